@@ -0,0 +1,120 @@
+/**
+ * Budget configuration for the AI Service
+ * Declares the monthly token and spend allowance of every subscription plan
+ * and what happens once a tenant has used it up:
+ * - block: reject AI calls until the next month
+ * - downgrade: keep serving with the cheapest available model
+ *
+ * Plans can be overridden without code changes by pointing AI_BUDGETS_FILE at
+ * a JSON file mapping plan names to budget declarations. Per-user overrides
+ * are managed at runtime through the analytics API.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Environment variables
+const MAX_TOKENS_PER_REQUEST = parseInt(process.env.MAX_TOKENS_PER_REQUEST || '2048');
+const AI_BUDGETS_FILE = process.env.AI_BUDGETS_FILE;
+const DEFAULT_PLAN = process.env.DEFAULT_PLAN || 'free';
+
+const BUDGET_ACTIONS = {
+  BLOCK: 'block',
+  DOWNGRADE: 'downgrade'
+};
+
+/**
+ * Default plan budgets (plan names match user_profiles.plan)
+ *
+ * monthlyTokens and monthlyCost (USD) of null mean unlimited.
+ */
+const defaultPlanBudgets = {
+  free: {
+    monthlyTokens: 200000,
+    monthlyCost: 0.5,
+    maxTokensPerRequest: 512,
+    onExhausted: BUDGET_ACTIONS.BLOCK
+  },
+  proA: {
+    monthlyTokens: 2000000,
+    monthlyCost: 5,
+    maxTokensPerRequest: 1024,
+    onExhausted: BUDGET_ACTIONS.DOWNGRADE
+  },
+  proB: {
+    monthlyTokens: 10000000,
+    monthlyCost: 25,
+    maxTokensPerRequest: MAX_TOKENS_PER_REQUEST,
+    onExhausted: BUDGET_ACTIONS.DOWNGRADE
+  },
+  enterprise: {
+    monthlyTokens: null,
+    monthlyCost: null,
+    maxTokensPerRequest: MAX_TOKENS_PER_REQUEST,
+    onExhausted: BUDGET_ACTIONS.DOWNGRADE
+  }
+};
+
+/**
+ * Load plan budgets from the JSON file configured in AI_BUDGETS_FILE
+ * @returns {Object} Plan budgets by plan name (empty if not configured)
+ */
+function loadBudgetsFromFile() {
+  if (!AI_BUDGETS_FILE) {
+    return {};
+  }
+
+  try {
+    const filePath = path.resolve(AI_BUDGETS_FILE);
+    const budgets = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (!budgets || typeof budgets !== 'object' || Array.isArray(budgets)) {
+      console.error(`AI_BUDGETS_FILE ${filePath} must contain an object keyed by plan`);
+      return {};
+    }
+
+    return budgets;
+  } catch (error) {
+    console.error('Error loading plan budgets from AI_BUDGETS_FILE:', error);
+    return {};
+  }
+}
+
+/**
+ * Normalize a budget declaration, filling in defaults
+ * @param {Object} budget - Raw budget declaration
+ * @returns {Object} Normalized budget declaration
+ */
+function normalizeBudget(budget) {
+  return {
+    monthlyTokens: budget.monthlyTokens ?? null,
+    monthlyCost: budget.monthlyCost ?? null,
+    maxTokensPerRequest: budget.maxTokensPerRequest || MAX_TOKENS_PER_REQUEST,
+    onExhausted: Object.values(BUDGET_ACTIONS).includes(budget.onExhausted)
+      ? budget.onExhausted
+      : BUDGET_ACTIONS.BLOCK
+  };
+}
+
+/**
+ * Get all plan budgets (defaults merged with file overrides)
+ * @returns {Object} Normalized budgets by plan name
+ */
+function loadPlanBudgets() {
+  const budgets = { ...defaultPlanBudgets };
+
+  for (const [plan, budget] of Object.entries(loadBudgetsFromFile())) {
+    budgets[plan] = { ...(budgets[plan] || {}), ...budget };
+  }
+
+  return Object.fromEntries(
+    Object.entries(budgets).map(([plan, budget]) => [plan, normalizeBudget(budget)])
+  );
+}
+
+module.exports = {
+  BUDGET_ACTIONS,
+  DEFAULT_PLAN,
+  loadPlanBudgets,
+  normalizeBudget,
+  defaultPlanBudgets
+};
@@ -0,0 +1,161 @@
+/**
+ * Dialog configuration for the AI Service
+ * Declares the slots an intent needs before the request can be acted on, and
+ * the follow-up question asked (in the customer's language) while a slot is
+ * missing. Each slot declaration has:
+ * - name {string} - Slot name
+ * - entity {string} - Entity type filling the slot (see entityService.ENTITY_TYPES)
+ * - required {boolean} - Whether the dialog is complete without it
+ * - freeText {boolean} - When the slot was just asked for and no entity is
+ *   found, take the whole reply as its value (e.g. a service name)
+ * - questions {Object} - Follow-up question by language (en, zh, ms)
+ *
+ * Dialogs can be overridden without code changes by pointing DIALOGS_FILE at a
+ * JSON file mapping intent names to dialog declarations.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Environment variables
+const DIALOGS_FILE = process.env.DIALOGS_FILE;
+
+const serviceSlot = {
+  name: 'service',
+  entity: 'service',
+  required: true,
+  freeText: true,
+  questions: {
+    en: 'Which service would you like to book?',
+    zh: '请问您想预约哪项服务？',
+    ms: 'Perkhidmatan apa yang anda ingin tempah?'
+  }
+};
+
+const dateSlot = {
+  name: 'date',
+  entity: 'date',
+  required: true,
+  questions: {
+    en: 'Which date works for you?',
+    zh: '请问您想预约哪一天？',
+    ms: 'Tarikh bila yang sesuai untuk anda?'
+  }
+};
+
+const timeSlot = {
+  name: 'time',
+  entity: 'time',
+  required: true,
+  questions: {
+    en: 'What time would you prefer?',
+    zh: '请问您希望几点？',
+    ms: 'Pukul berapa yang anda mahu?'
+  }
+};
+
+const phoneSlot = {
+  name: 'phone',
+  entity: 'phone',
+  required: true,
+  questions: {
+    en: 'May I have your phone number?',
+    zh: '请提供您的联系电话。',
+    ms: 'Boleh berikan nombor telefon anda?'
+  }
+};
+
+const addressSlot = {
+  name: 'address',
+  entity: 'address',
+  required: false,
+  freeText: true,
+  questions: {
+    en: 'What is the address for the on-site service?',
+    zh: '请提供上门服务的地址。',
+    ms: 'Apakah alamat untuk perkhidmatan di lokasi?'
+  }
+};
+
+/**
+ * Default dialogs by intent
+ */
+const defaultDialogs = {
+  booking: {
+    slots: [serviceSlot, dateSlot, timeSlot, phoneSlot, addressSlot]
+  },
+  cancel: {
+    slots: [
+      {
+        ...dateSlot,
+        questions: {
+          en: 'What is the date of the appointment you want to cancel?',
+          zh: '请问您要取消哪一天的预约？',
+          ms: 'Apakah tarikh temujanji yang ingin dibatalkan?'
+        }
+      },
+      phoneSlot
+    ]
+  }
+};
+
+/**
+ * Load dialogs from the JSON file configured in DIALOGS_FILE
+ * @returns {Object} Dialogs by intent (empty if not configured)
+ */
+function loadDialogsFromFile() {
+  if (!DIALOGS_FILE) {
+    return {};
+  }
+
+  try {
+    const filePath = path.resolve(DIALOGS_FILE);
+    const dialogs = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (!dialogs || typeof dialogs !== 'object' || Array.isArray(dialogs)) {
+      console.error(`DIALOGS_FILE ${filePath} must contain an object keyed by intent`);
+      return {};
+    }
+
+    return dialogs;
+  } catch (error) {
+    console.error('Error loading dialogs from DIALOGS_FILE:', error);
+    return {};
+  }
+}
+
+/**
+ * Normalize a slot declaration, filling in defaults
+ * @param {Object} slot - Raw slot declaration
+ * @returns {Object} Normalized slot declaration
+ */
+function normalizeSlot(slot) {
+  return {
+    name: slot.name,
+    entity: slot.entity || slot.name,
+    required: slot.required !== false,
+    freeText: !!slot.freeText,
+    questions: slot.questions || {}
+  };
+}
+
+/**
+ * Get all dialogs (defaults merged with file overrides)
+ * @returns {Object} Normalized dialogs by intent
+ */
+function loadDialogs() {
+  const dialogs = { ...defaultDialogs, ...loadDialogsFromFile() };
+
+  return Object.fromEntries(
+    Object.entries(dialogs)
+      .filter(([, dialog]) => Array.isArray(dialog?.slots))
+      .map(([intent, dialog]) => [intent, {
+        slots: dialog.slots.filter(slot => slot?.name).map(normalizeSlot)
+      }])
+  );
+}
+
+module.exports = {
+  loadDialogs,
+  normalizeSlot,
+  defaultDialogs
+};
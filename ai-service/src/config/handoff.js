@@ -0,0 +1,122 @@
+/**
+ * Human handoff configuration for the AI Service
+ * Declares when a conversation is handed from the bot to a human agent, and
+ * the notice the customer gets (in their language) when it is. Triggers:
+ * - { type: 'intent', intents: [...] } - The message is recognized as one of these intents
+ * - { type: 'low_confidence', threshold, consecutive } - Intent confidence stays
+ *   below threshold for this many consecutive messages
+ * - { type: 'sentiment', reasons: [...] } - sentimentService flags the message
+ *   for escalation, optionally only for some of its reasons
+ *   (negative_sentiment, high_urgency, toxicity)
+ * - { type: 'keyword', keywords: [...] } - The message contains one of the
+ *   keywords (whole words for Latin scripts, case-insensitive)
+ *
+ * Triggers and notices can be overridden without code changes by pointing
+ * HANDOFF_FILE at a JSON file ({ "triggers": [...], "notices": {...} }).
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Environment variables
+const HANDOFF_FILE = process.env.HANDOFF_FILE;
+
+const TRIGGER_TYPES = ['intent', 'low_confidence', 'sentiment', 'keyword'];
+
+/**
+ * Default handoff triggers
+ */
+const defaultTriggers = [
+  { type: 'intent', intents: ['help'] },
+  { type: 'low_confidence', threshold: 0.3, consecutive: 2 },
+  { type: 'sentiment', reasons: ['negative_sentiment', 'toxicity'] },
+  {
+    type: 'keyword',
+    keywords: [
+      'human', 'real person', 'agent', 'customer service', 'speak to someone',
+      '人工', '真人', '客服', '转人工',
+      'manusia', 'orang sebenar', 'ejen', 'khidmat pelanggan'
+    ]
+  }
+];
+
+/**
+ * Default notices sent to the customer when a handoff starts, by language
+ */
+const defaultNotices = {
+  en: "I'm connecting you with a member of our team. Please hold on, someone will reply shortly.",
+  zh: '正在为您转接人工客服，请稍候，我们会尽快回复您。',
+  ms: 'Saya akan sambungkan anda dengan kakitangan kami. Sila tunggu sebentar, kami akan membalas secepat mungkin.'
+};
+
+/**
+ * Load the handoff configuration from the JSON file configured in HANDOFF_FILE
+ * @returns {Object} Configuration { triggers, notices } (empty if not configured)
+ */
+function loadHandoffFromFile() {
+  if (!HANDOFF_FILE) {
+    return {};
+  }
+
+  try {
+    const filePath = path.resolve(HANDOFF_FILE);
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      console.error(`HANDOFF_FILE ${filePath} must contain an object with triggers and/or notices`);
+      return {};
+    }
+
+    return config;
+  } catch (error) {
+    console.error('Error loading handoff configuration from HANDOFF_FILE:', error);
+    return {};
+  }
+}
+
+/**
+ * Normalize a trigger declaration, filling in defaults
+ * @param {Object} trigger - Raw trigger declaration
+ * @returns {Object|null} Normalized trigger or null if its type is unknown
+ */
+function normalizeTrigger(trigger) {
+  if (!trigger || !TRIGGER_TYPES.includes(trigger.type)) {
+    return null;
+  }
+
+  switch (trigger.type) {
+    case 'intent':
+      return { type: 'intent', intents: trigger.intents || [] };
+    case 'low_confidence':
+      return {
+        type: 'low_confidence',
+        threshold: trigger.threshold ?? 0.3,
+        consecutive: Math.max(parseInt(trigger.consecutive) || 1, 1)
+      };
+    case 'sentiment':
+      return { type: 'sentiment', reasons: trigger.reasons || [] };
+    default:
+      return { type: 'keyword', keywords: (trigger.keywords || []).filter(Boolean) };
+  }
+}
+
+/**
+ * Get the handoff configuration (defaults overridden by the file)
+ * @returns {Object} { triggers, notices }
+ */
+function loadHandoffConfig() {
+  const fileConfig = loadHandoffFromFile();
+  const triggers = Array.isArray(fileConfig.triggers) ? fileConfig.triggers : defaultTriggers;
+
+  return {
+    triggers: triggers.map(normalizeTrigger).filter(Boolean),
+    notices: { ...defaultNotices, ...(fileConfig.notices || {}) }
+  };
+}
+
+module.exports = {
+  TRIGGER_TYPES,
+  loadHandoffConfig,
+  normalizeTrigger,
+  defaultTriggers,
+  defaultNotices
+};
@@ -0,0 +1,187 @@
+/**
+ * Model configuration for the AI Service
+ * Declares every model the service can route to, together with its provider,
+ * generation parameters, limits, cost and capabilities.
+ *
+ * Additional models can be declared without code changes by pointing
+ * AI_MODELS_FILE at a JSON file containing an array of model declarations.
+ * Entries with the same id override the defaults below.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Environment variables
+const MAX_TOKENS_PER_REQUEST = parseInt(process.env.MAX_TOKENS_PER_REQUEST || '2048');
+const AI_MODELS_FILE = process.env.AI_MODELS_FILE;
+const LOCAL_LLM_MODEL = process.env.LOCAL_LLM_MODEL;
+
+/**
+ * Default model declarations (order = fallback order)
+ *
+ * cost is expressed in USD per 1K tokens.
+ */
+const defaultModels = [
+  {
+    id: 'gemini-2.0-flash-lite',
+    provider: 'google',
+    providerModel: 'gemini-2.0-flash-lite',
+    params: {
+      temperature: 0.7,
+      topK: 40,
+      topP: 0.95
+    },
+    limits: {
+      contextWindow: 1048576,
+      maxOutputTokens: MAX_TOKENS_PER_REQUEST
+    },
+    cost: { input: 0.000075, output: 0.0003 },
+    capabilities: ['chat', 'multilingual']
+  },
+  {
+    id: 'gemini-1.5-pro-latest',
+    provider: 'google',
+    providerModel: 'gemini-1.5-pro-latest',
+    params: {
+      temperature: 0.9,
+      topK: 32,
+      topP: 0.9
+    },
+    limits: {
+      contextWindow: 2097152,
+      maxOutputTokens: MAX_TOKENS_PER_REQUEST
+    },
+    cost: { input: 0.00125, output: 0.005 },
+    capabilities: ['chat', 'multilingual', 'reasoning']
+  },
+  {
+    id: 'gpt-4o-mini',
+    provider: 'openrouter',
+    providerModel: 'openai/gpt-4o-mini',
+    params: {
+      temperature: 0.8,
+      topP: 0.95,
+      presencePenalty: 0,
+      frequencyPenalty: 0
+    },
+    limits: {
+      contextWindow: 128000,
+      maxOutputTokens: MAX_TOKENS_PER_REQUEST
+    },
+    cost: { input: 0.00015, output: 0.0006 },
+    capabilities: ['chat', 'multilingual', 'reasoning', 'json']
+  }
+];
+
+/**
+ * Build the declaration for the local OpenAI-compatible model (Ollama, vLLM...)
+ * @returns {Object|null} Model declaration or null if not configured
+ */
+function buildLocalModel() {
+  if (!LOCAL_LLM_MODEL) {
+    return null;
+  }
+
+  return {
+    id: `local:${LOCAL_LLM_MODEL}`,
+    provider: 'local',
+    providerModel: LOCAL_LLM_MODEL,
+    params: {
+      temperature: 0.7,
+      topP: 0.95
+    },
+    limits: {
+      contextWindow: parseInt(process.env.LOCAL_LLM_CONTEXT_WINDOW || '8192'),
+      maxOutputTokens: MAX_TOKENS_PER_REQUEST
+    },
+    cost: { input: 0, output: 0 },
+    capabilities: ['chat']
+  };
+}
+
+/**
+ * Load model declarations from the JSON file configured in AI_MODELS_FILE
+ * @returns {Array<Object>} Model declarations (empty if not configured)
+ */
+function loadModelsFromFile() {
+  if (!AI_MODELS_FILE) {
+    return [];
+  }
+
+  try {
+    const filePath = path.resolve(AI_MODELS_FILE);
+    const models = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (!Array.isArray(models)) {
+      console.error(`AI_MODELS_FILE ${filePath} must contain an array of models`);
+      return [];
+    }
+
+    return models;
+  } catch (error) {
+    console.error('Error loading model declarations from AI_MODELS_FILE:', error);
+    return [];
+  }
+}
+
+/**
+ * Normalize a model declaration, filling in defaults
+ * @param {Object} model - Raw model declaration
+ * @returns {Object} Normalized model declaration
+ */
+function normalizeModel(model) {
+  return {
+    id: model.id,
+    provider: model.provider,
+    providerModel: model.providerModel || model.id,
+    params: { ...(model.params || {}) },
+    limits: {
+      contextWindow: 8192,
+      maxOutputTokens: MAX_TOKENS_PER_REQUEST,
+      ...(model.limits || {})
+    },
+    cost: {
+      input: 0,
+      output: 0,
+      ...(model.cost || {})
+    },
+    capabilities: model.capabilities || ['chat'],
+    enabled: model.enabled !== false
+  };
+}
+
+/**
+ * Get all model declarations (defaults, local model and file overrides)
+ * @returns {Array<Object>} Normalized model declarations in fallback order
+ */
+function loadModelConfigs() {
+  const models = [...defaultModels];
+
+  const localModel = buildLocalModel();
+  if (localModel) {
+    models.push(localModel);
+  }
+
+  // File declarations override defaults with the same id, new ones are appended
+  for (const fileModel of loadModelsFromFile()) {
+    if (!fileModel.id || !fileModel.provider) {
+      console.warn('Skipping model declaration without id or provider:', fileModel);
+      continue;
+    }
+
+    const index = models.findIndex(model => model.id === fileModel.id);
+    if (index >= 0) {
+      models[index] = { ...models[index], ...fileModel };
+    } else {
+      models.push(fileModel);
+    }
+  }
+
+  return models
+    .map(normalizeModel)
+    .filter(model => model.enabled);
+}
+
+module.exports = {
+  loadModelConfigs,
+  defaultModels
+};
@@ -0,0 +1,251 @@
+/**
+ * Prompt template defaults for the AI Service
+ * Every prompt the platform sends to a model is a named template (see
+ * services/promptService). A template declares:
+ * - name: Dotted name, e.g. 'chat.persona'
+ * - description: What the prompt is for
+ * - variables: [{ name, description, required, default }] - Filled into the
+ *   text where it says {{name}}
+ * - text: Default text
+ * - languages: { en, zh, ms } - Optional text per customer language
+ *
+ * These defaults are version 0 of each template. Edited versions (global, or
+ * a tenant's own override such as their persona) are stored in the database.
+ * The defaults can be overridden without code changes by pointing PROMPTS_FILE
+ * at a JSON file ({ "templates": [...] }), templates are matched by name.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Environment variables
+const PROMPTS_FILE = process.env.PROMPTS_FILE;
+
+// Valid template names: lowercase segments separated by dots
+const TEMPLATE_NAME_PATTERN = /^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)*$/;
+
+/**
+ * Default prompt templates
+ */
+const defaultTemplates = [
+  {
+    name: 'chat.persona',
+    description: 'Persona / system prompt of the chat assistant, put before every chat prompt. Tenants can override it.',
+    variables: [
+      { name: 'platform', description: 'Platform of the conversation', default: 'web' },
+      { name: 'date', description: 'Current date (YYYY-MM-DD)' }
+    ],
+    text: '你是商家的在线客服助手，正在{{platform}}上回复客户，今天是{{date}}。回复要礼貌、简洁，使用客户的语言；不确定的信息不要编造。',
+    languages: {
+      en: 'You are the online customer service assistant of the business, replying to customers on {{platform}}. Today is {{date}}. ' +
+        'Reply politely and briefly in the language of the customer, and do not make up information you are not sure about.',
+      ms: 'Anda ialah pembantu khidmat pelanggan dalam talian perniagaan ini, membalas pelanggan di {{platform}}. Hari ini {{date}}. ' +
+        'Balas dengan sopan dan ringkas dalam bahasa pelanggan, dan jangan mereka maklumat yang anda tidak pasti.'
+    }
+  },
+  {
+    name: 'chat.knowledge',
+    description: 'Knowledge base section of chat prompts, with the numbered passages relevant to the message',
+    variables: [
+      { name: 'passages', description: 'Numbered passages, one per line: [1] (source) content', required: true }
+    ],
+    text: '以下是商家知识库中与用户消息相关的资料。涉及价格、营业时间、配送等信息时以这些资料为准，' +
+      '并在使用到的内容后用 [编号] 标注来源；资料中没有的信息不要编造：\n{{passages}}'
+  },
+  {
+    name: 'chat.rich_response',
+    description: 'Asks for the reply as a structured rich response (JSON) when ENABLE_STRUCTURED_RESPONSES is set',
+    variables: [],
+    text: 'Reply with a single JSON object and nothing else. Put the text of your reply in "content", in the customer\'s language. ' +
+      'Use a rich element only when it helps the customer, otherwise use "text":\n' +
+      '- {"type": "text", "content": "..."}\n' +
+      '- {"type": "quick_reply", "content": "...", "buttons": [{"text": "Short answer", "value": "payload"}]}\n' +
+      '- {"type": "button_list", "content": "...", "buttons": [{"text": "Label", "value": "https://... or payload"}]}\n' +
+      '- {"type": "card", "content": "...", "title": "...", "subtitle": "...", "imageUrl": "https://...", "url": "https://...", "price": "...", "itemId": "...", "buttons": [...]}\n' +
+      '- {"type": "carousel", "content": "...", "items": [{"title": "...", "subtitle": "...", "imageUrl": "...", "url": "...", "price": "..."}]}\n' +
+      '- {"type": "image", "content": "...", "url": "https://...", "alt": "..."}\n' +
+      '- {"type": "table", "content": "...", "headers": ["..."], "rows": [["..."]]}\n' +
+      '- {"type": "form", "content": "...", "fields": [{"name": "phone", "label": "...", "type": "text|number|email|tel|date|select", "required": true, "options": ["..."]}]}\n' +
+      '- {"type": "chart", "content": "...", "chartType": "bar|line|pie", "labels": ["..."], "series": [{"name": "...", "data": [1, 2]}]}\n' +
+      'Only use links, images and product ids given in this conversation or the business information above.'
+  },
+  {
+    name: 'auto_reply.intent',
+    description: 'Auto-reply intent matching: pick the business intent that matches a customer message',
+    variables: [
+      { name: 'message', description: 'Customer message', required: true },
+      { name: 'intents', description: 'Intents with examples, one per line', required: true },
+      { name: 'context', description: 'Previous interaction (optional)' }
+    ],
+    text: 'Identify the single best matching intent for the user message. Respond ONLY with the intent name or "none".\n\n' +
+      'User Message: "{{message}}"\n\n' +
+      'Available Intents:\n{{intents}}\n{{context}}\n' +
+      'Identified Intent Name:'
+  },
+  {
+    name: 'auto_reply.knowledge',
+    description: 'Auto-reply answer grounded in knowledge base passages, or "none"',
+    variables: [
+      { name: 'message', description: 'Customer message', required: true },
+      { name: 'passages', description: 'Numbered passages, one per line', required: true },
+      { name: 'context', description: 'Previous interaction (optional)' }
+    ],
+    text: "You are replying to a customer on behalf of the business. Answer the customer message using ONLY the numbered passages " +
+      "from the business's knowledge base. Cite every passage you use as [number]. Reply in the language of the customer message, " +
+      'briefly and politely. If the passages do not answer the message, respond ONLY with "none".\n\n' +
+      'Knowledge Base:\n{{passages}}\n{{context}}\n' +
+      'Customer Message: "{{message}}"\n\n' +
+      'Answer:'
+  },
+  {
+    name: 'auto_reply.personalization',
+    description: 'Text generated for an {ai:instruction} placeholder of an auto-reply',
+    variables: [
+      { name: 'instruction', description: 'Instruction of the placeholder', required: true },
+      { name: 'message', description: 'Customer message', required: true },
+      { name: 'userName', description: 'Customer name', default: 'Unknown' },
+      { name: 'platform', description: 'Platform of the conversation', default: 'Unknown' },
+      { name: 'context', description: 'Interaction history (JSON)', default: '[]' }
+    ],
+    text: 'Based on the user message and context, fulfill the instruction: "{{instruction}}".\n' +
+      'Keep the response brief and conversational, suitable for a chat reply.\n\n' +
+      'User Message: "{{message}}"\n' +
+      'User Name: {{userName}}\n' +
+      'Platform: {{platform}}\n' +
+      'Context: {{context}}\n\n' +
+      'Generated text:'
+  },
+  {
+    name: 'content.generate',
+    description: 'Marketing text generated from a request, without a brand profile',
+    variables: [
+      { name: 'request', description: 'What the user asked for', required: true }
+    ],
+    text: 'Generate a marketing text based on the following request: {{request}}'
+  },
+  {
+    name: 'content.generate_with_brand',
+    description: 'Marketing text generated from a request, in the voice of the brand profile',
+    variables: [
+      { name: 'request', description: 'What the user asked for', required: true },
+      { name: 'brandName', default: 'Not specified' },
+      { name: 'brandKeywords', default: 'Not specified' },
+      { name: 'targetAudience', default: 'General public' },
+      { name: 'brandTone', default: 'Neutral' },
+      { name: 'communicationStyle', default: 'Not specified' },
+      { name: 'industry', default: 'Not specified' },
+      { name: 'brandMission', default: 'Not specified' },
+      { name: 'wordsToAvoid', default: 'None' }
+    ],
+    text: '**Brand Profile Context:**\n' +
+      '- Brand Name: {{brandName}}\n' +
+      '- Brand Keywords: {{brandKeywords}}\n' +
+      '- Target Audience: {{targetAudience}}\n' +
+      '- Brand Tone: {{brandTone}}\n' +
+      '- Communication Style: {{communicationStyle}}\n' +
+      '- Industry: {{industry}}\n' +
+      '- Brand Mission: {{brandMission}}\n' +
+      '- Words to Avoid: {{wordsToAvoid}}\n\n' +
+      '**User Request:**\n{{request}}\n\n' +
+      '**Generated Marketing Text:**\n'
+  },
+  {
+    name: 'eval.judge',
+    description: 'Grades a reply of the assistant against criteria in offline evaluation (LLM-as-judge)',
+    variables: [
+      { name: 'criteria', description: 'What a good reply does', required: true },
+      { name: 'conversation', description: 'Conversation up to the customer\'s last message', required: true },
+      { name: 'reply', description: 'Reply to grade', required: true }
+    ],
+    text: 'You are grading the reply of a customer service assistant.\n\n' +
+      'Conversation:\n{{conversation}}\n\n' +
+      'Assistant reply:\n{{reply}}\n\n' +
+      'Criteria: {{criteria}}\n\n' +
+      'Score how well the reply meets the criteria from 1 (not at all) to 5 (fully). ' +
+      'Answer with JSON only: {"score": <1-5>, "reason": "<one sentence>"}'
+  }
+];
+
+/**
+ * Load the templates from the JSON file configured in PROMPTS_FILE
+ * @returns {Array<Object>} Templates (empty if not configured)
+ */
+function loadPromptsFromFile() {
+  if (!PROMPTS_FILE) {
+    return [];
+  }
+
+  try {
+    const filePath = path.resolve(PROMPTS_FILE);
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const templates = Array.isArray(config) ? config : config?.templates;
+
+    if (!Array.isArray(templates)) {
+      console.error(`PROMPTS_FILE ${filePath} must contain a templates array`);
+      return [];
+    }
+
+    return templates;
+  } catch (error) {
+    console.error('Error loading prompt templates from PROMPTS_FILE:', error);
+    return [];
+  }
+}
+
+/**
+ * Normalize a template declaration, filling in defaults
+ * @param {Object} template - Raw template declaration
+ * @returns {Object|null} Normalized template or null if it has no valid name or text
+ */
+function normalizeTemplate(template) {
+  if (!template || !TEMPLATE_NAME_PATTERN.test(template.name || '') || typeof template.text !== 'string') {
+    return null;
+  }
+
+  const languages = {};
+  Object.entries(template.languages || {}).forEach(([language, text]) => {
+    if (typeof text === 'string' && text.trim()) {
+      languages[language] = text;
+    }
+  });
+
+  return {
+    name: template.name,
+    description: template.description || '',
+    variables: (template.variables || [])
+      .filter(variable => variable && variable.name)
+      .map(variable => ({
+        name: variable.name,
+        description: variable.description || '',
+        required: !!variable.required,
+        default: variable.default ?? null
+      })),
+    text: template.text,
+    languages
+  };
+}
+
+/**
+ * Get the default templates (defaults overridden by the file), by name
+ * @returns {Object} Templates by name
+ */
+function loadPromptTemplates() {
+  const templates = {};
+
+  [...defaultTemplates, ...loadPromptsFromFile()].forEach(declaration => {
+    const template = normalizeTemplate(declaration);
+    if (template) {
+      templates[template.name] = template;
+    } else {
+      console.error('Ignoring invalid prompt template:', declaration?.name);
+    }
+  });
+
+  return templates;
+}
+
+module.exports = {
+  TEMPLATE_NAME_PATTERN,
+  loadPromptTemplates,
+  normalizeTemplate,
+  defaultTemplates
+};
@@ -0,0 +1,125 @@
+/**
+ * Routing policy for the AI Service
+ * Declares which model handles a message. Rules are evaluated by
+ * services/routingService.js in descending priority order and the first rule
+ * whose conditions match (and whose model is available) wins.
+ *
+ * A rule looks like:
+ *   {
+ *     "id": "malay-shopee",
+ *     "description": "Malay Shopee buyer queries",
+ *     "priority": 50,
+ *     "when": { "language": { "in": ["zlm", "msa", "ind"] }, "platform": "shopee" },
+ *     "model": "gemini-1.5-pro-latest"
+ *   }
+ *
+ * Conditions map facts to a value (equality) or an operator object
+ * (eq, ne, in, nin, gt, gte, lt, lte, matches, exists), and can be combined
+ * with all / any / not. A model of the form "$fact" uses the value of that fact.
+ *
+ * Available facts: intent, intentConfidence, language, platform, plan,
+ * messageLength, conversationLength, historyLength, abTestId, abModel,
+ * complexity, text.
+ *
+ * The policy can be replaced without code changes by pointing
+ * ROUTING_POLICY_FILE at a JSON file ({ "defaultModel": ..., "rules": [...] })
+ * or at runtime through PUT /routing/policy.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Environment variables
+const DEFAULT_AI_MODEL = process.env.DEFAULT_AI_MODEL || 'gemini-2.0-flash-lite';
+const ENABLE_AUTO_MODEL_SELECTION = process.env.ENABLE_AUTO_MODEL_SELECTION === 'true';
+const COMPLEXITY_THRESHOLD_MEDIUM = parseInt(process.env.COMPLEXITY_THRESHOLD_MEDIUM || '100');
+const COMPLEXITY_THRESHOLD_HIGH = parseInt(process.env.COMPLEXITY_THRESHOLD_HIGH || '200');
+const ROUTING_POLICY_FILE = process.env.ROUTING_POLICY_FILE;
+
+/**
+ * Build the default routing policy
+ * Users in an A/B test get their assigned model; with automatic model
+ * selection enabled, complex messages go to stronger models.
+ * @returns {Object} Routing policy { defaultModel, rules }
+ */
+function buildDefaultPolicy() {
+  const rules = [
+    {
+      id: 'ab-test-assignment',
+      description: 'Users in an active A/B test use their assigned model',
+      priority: 100,
+      when: { abModel: { exists: true } },
+      model: '$abModel'
+    }
+  ];
+
+  if (ENABLE_AUTO_MODEL_SELECTION) {
+    rules.push(
+      {
+        id: 'high-complexity',
+        description: 'Highly complex messages use the most capable model',
+        priority: 20,
+        when: { complexity: { gte: COMPLEXITY_THRESHOLD_HIGH } },
+        model: 'gpt-4o-mini'
+      },
+      {
+        id: 'medium-complexity',
+        description: 'Moderately complex messages use a mid-tier model',
+        priority: 10,
+        when: { complexity: { gte: COMPLEXITY_THRESHOLD_MEDIUM } },
+        model: 'gemini-1.5-pro-latest'
+      }
+    );
+  }
+
+  return {
+    defaultModel: DEFAULT_AI_MODEL,
+    rules
+  };
+}
+
+/**
+ * Load the routing policy from the JSON file configured in ROUTING_POLICY_FILE
+ * @returns {Object|null} Routing policy or null if not configured
+ */
+function loadPolicyFromFile() {
+  if (!ROUTING_POLICY_FILE) {
+    return null;
+  }
+
+  try {
+    const filePath = path.resolve(ROUTING_POLICY_FILE);
+    const policy = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (!policy || !Array.isArray(policy.rules)) {
+      console.error(`ROUTING_POLICY_FILE ${filePath} must contain an object with a rules array`);
+      return null;
+    }
+
+    return policy;
+  } catch (error) {
+    console.error('Error loading routing policy from ROUTING_POLICY_FILE:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the routing policy (file policy if configured, default otherwise)
+ * @returns {Object} Routing policy { defaultModel, rules }
+ */
+function loadRoutingPolicy() {
+  const filePolicy = loadPolicyFromFile();
+
+  if (!filePolicy) {
+    return buildDefaultPolicy();
+  }
+
+  return {
+    defaultModel: filePolicy.defaultModel || DEFAULT_AI_MODEL,
+    rules: filePolicy.rules
+  };
+}
+
+module.exports = {
+  loadRoutingPolicy,
+  buildDefaultPolicy
+};
@@ -7,16 +7,24 @@ const abTestingService = require('../services/abTestingService');
 
 /**
  * Create a new A/B test
+ * Either `models` (one variant per model) or `variants` with prompt, parameter,
+ * context window and formatter overrides and per-variant traffic allocations.
+ * type 'bandit' shifts traffic toward the best-performing arm (settings in `bandit`).
  */
 const createTest = asyncHandler(async (req, res) => {
   const {
     name,
     description,
     models,
+    variants,
+    targeting,
+    type,
+    bandit,
     trafficPercentage,
     startDate,
     endDate,
-    metrics
+    metrics,
+    stoppingRule
   } = req.body;
   
   // Validate required fields
@@ -24,7 +32,11 @@ const createTest = asyncHandler(async (req, res) => {
     throw new ApiError('Test name is required', 400);
   }
   
-  if (!models || !Array.isArray(models) || models.length < 2) {
+  if (variants !== undefined) {
+    if (!Array.isArray(variants) || variants.length < 2) {
+      throw new ApiError('At least two variants are required for testing', 400);
+    }
+  } else if (!models || !Array.isArray(models) || models.length < 2) {
     throw new ApiError('At least two models are required for testing', 400);
   }
   
@@ -33,10 +45,15 @@ const createTest = asyncHandler(async (req, res) => {
     name,
     description,
     models,
+    variants,
+    targeting,
+    type,
+    bandit,
     trafficPercentage,
     startDate: startDate ? new Date(startDate) : new Date(),
     endDate: endDate ? new Date(endDate) : null,
-    metrics
+    metrics,
+    stoppingRule
   });
   
   res.status(201).json({
@@ -64,9 +81,7 @@ const getActiveTests = asyncHandler(async (req, res) => {
 const getTestById = asyncHandler(async (req, res) => {
   const { id } = req.params;
   
-  // Get test from active tests
-  const activeTests = await abTestingService.getActiveTests();
-  const test = activeTests.find(t => t.id === id);
+  const test = await abTestingService.getTest(id);
   
   if (!test) {
     throw new ApiError('Test not found', 404);
@@ -100,15 +115,17 @@ const getUserAssignments = asyncHandler(async (req, res) => {
 
 /**
  * Manually assign user to tests
+ * Optional body: platform and plan, to only assign tests targeting them
  */
 const assignUserToTests = asyncHandler(async (req, res) => {
   const { userId } = req.params;
+  const { platform, plan } = req.body || {};
   
   if (!userId) {
     throw new ApiError('User ID is required', 400);
   }
   
-  const assignments = await abTestingService.assignUserToTests(userId);
+  const assignments = await abTestingService.assignUserToTests(userId, { platform, plan });
   
   res.status(200).json({
     success: true,
@@ -119,16 +136,29 @@ const assignUserToTests = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get test results and statistics
+ * Get test results and the statistical report
+ * Optional query: confidenceLevel (e.g. 0.99), correction (holm, bonferroni, none)
  */
 const getTestResults = asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const { confidenceLevel, correction } = req.query;
   
   if (!id) {
     throw new ApiError('Test ID is required', 400);
   }
   
-  const results = await abTestingService.getTestResults(id);
+  if (confidenceLevel !== undefined && !(parseFloat(confidenceLevel) > 0 && parseFloat(confidenceLevel) < 1)) {
+    throw new ApiError('confidenceLevel must be between 0 and 1', 400);
+  }
+  
+  if (correction !== undefined && !['holm', 'bonferroni', 'none'].includes(correction)) {
+    throw new ApiError('correction must be one of: holm, bonferroni, none', 400);
+  }
+  
+  const results = await abTestingService.getTestResults(id, {
+    confidenceLevel: confidenceLevel !== undefined ? parseFloat(confidenceLevel) : undefined,
+    correction
+  });
   
   res.status(200).json({
     success: true,
@@ -136,6 +166,20 @@ const getTestResults = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get the current arm probabilities of a bandit test
+ */
+const getBanditArms = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  const bandit = await abTestingService.getBanditArms(id);
+  
+  res.status(200).json({
+    success: true,
+    bandit
+  });
+});
+
 /**
  * Calculate test significance
  */
@@ -160,18 +204,21 @@ const calculateSignificance = asyncHandler(async (req, res) => {
  */
 const endTest = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { winningModel } = req.body;
+  const { winningModel, reason } = req.body;
   
   if (!id) {
     throw new ApiError('Test ID is required', 400);
   }
   
-  // This is a placeholder. In a real implementation, we would update the test
-  // status in the database. For now, we'll just return a success message.
+  const test = await abTestingService.endTest(id, {
+    winningModel: winningModel || null,
+    reason: reason || 'Ended manually'
+  });
   
   res.status(200).json({
     success: true,
-    message: `Test ${id} marked as completed${winningModel ? ` with winning model: ${winningModel}` : ''}`
+    message: `Test ${id} marked as completed${winningModel ? ` with winning model: ${winningModel}` : ''}`,
+    test
   });
 });
 
@@ -182,6 +229,7 @@ module.exports = {
   getUserAssignments,
   assignUserToTests,
   getTestResults,
+  getBanditArms,
   calculateSignificance,
   endTest
 }; 
\ No newline at end of file
@@ -1,19 +1,24 @@
 /**
  * Analytics Controller for AI Service
- * Provides API endpoints for model usage statistics
+ * Provides API endpoints for model usage, spend and budget statistics
  */
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
 const analyticsService = require('../services/analyticsService');
+const usageService = require('../services/usageService');
+const modelRegistry = require('../services/modelRegistry');
+const { getTenantId, isPrivileged } = require('../middleware/auth');
 
 /**
  * Get model usage statistics
  */
 const getModelUsageStats = asyncHandler(async (req, res) => {
-  const { model, userId, timeRange, startDate, endDate } = req.query;
+  const { model, userId, feature, timeRange, startDate, endDate } = req.query;
   
+  // Tenants only see their own usage, admins and services any (or all)
   const stats = await analyticsService.getModelUsageStats({
     model,
-    userId,
+    userId: getTenantId(req, { requested: userId, allowAll: ['admin', 'service'] }),
+    feature,
     timeRange,
     startDate,
     endDate
@@ -49,7 +54,94 @@ const recordResponseMetrics = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Record token usage of an AI call made outside the AI service
+ * (auto-reply personalization, content generation...)
+ */
+const recordUsage = asyncHandler(async (req, res) => {
+  const { userId, feature, model, messageId, tokensInput, tokensOutput, processingTime, promptTemplates, success } = req.body;
+  
+  if (!userId || !feature || !model) {
+    throw new ApiError('User ID, feature and model are required', 400);
+  }
+  
+  if (!Object.values(usageService.FEATURES).includes(feature)) {
+    throw new ApiError(`Feature must be one of: ${Object.values(usageService.FEATURES).join(', ')}`, 400);
+  }
+  
+  if (!modelRegistry.getModel(model)) {
+    throw new ApiError(`Unknown model: ${model}`, 400);
+  }
+  
+  const usage = await usageService.recordUsage({
+    userId,
+    feature,
+    model,
+    messageId,
+    tokensInput: parseInt(tokensInput) || 0,
+    tokensOutput: parseInt(tokensOutput) || 0,
+    processingTime,
+    promptTemplates: Array.isArray(promptTemplates) ? promptTemplates : undefined,
+    success
+  });
+  
+  res.status(200).json({
+    success: true,
+    usage
+  });
+});
+
+/**
+ * Get the budget, current month usage and spend per feature of a user
+ */
+const getBudgetStatus = asyncHandler(async (req, res) => {
+  const userId = getTenantId(req, { requested: req.params.userId });
+  // Only admins and services may evaluate the budget against another plan
+  const plan = isPrivileged(req.user) ? req.query.plan : undefined;
+  
+  const budgetStatus = await usageService.checkBudget(userId, { plan });
+  
+  res.status(200).json({
+    success: true,
+    budgetStatus
+  });
+});
+
+/**
+ * Set a budget override for a user
+ */
+const setUserBudget = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { monthlyTokens, monthlyCost, maxTokensPerRequest, onExhausted } = req.body;
+  
+  const budget = await usageService.setUserBudget(userId, {
+    monthlyTokens,
+    monthlyCost,
+    maxTokensPerRequest,
+    onExhausted
+  });
+  
+  res.status(200).json({
+    success: true,
+    budget
+  });
+});
+
+/**
+ * Get the budgets of all plans
+ */
+const getPlanBudgets = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    plans: usageService.getPlanBudgets()
+  });
+});
+
 module.exports = {
   getModelUsageStats,
-  recordResponseMetrics
-}; 
\ No newline at end of file
+  recordResponseMetrics,
+  recordUsage,
+  getBudgetStatus,
+  setUserBudget,
+  getPlanBudgets
+};
@@ -6,12 +6,13 @@ const { asyncHandler, ApiError } = require('../middleware/errorHandler');
 const aiService = require('../services/aiService');
 const contextService = require('../services/contextService');
 const cacheService = require('../services/cacheService');
+const { getTenantId } = require('../middleware/auth');
 
 /**
  * Process a user message and generate a response
  */
 const processMessage = asyncHandler(async (req, res) => {
-  const { text, userId, sessionId, platform = 'web' } = req.body;
+  const { text, userId, sessionId, platform = 'web', stream = false, services, products } = req.body;
   
   // Validate required fields
   if (!text) {
@@ -25,19 +26,46 @@ const processMessage = asyncHandler(async (req, res) => {
   // Get user context - getting short-term context for faster processing
   const context = await contextService.getUserContext(userId, sessionId, 'short');
   
+  // Booking tools call the server API with the caller's own token
+  const authToken = req.headers.authorization?.split(' ')[1];
+  
+  // Stream the response over Server-Sent Events if requested
+  if (stream === true || req.get('Accept') === 'text/event-stream') {
+    return streamMessage(req, res, {
+      text,
+      userId,
+      sessionId,
+      platform,
+      context,
+      plan: req.user?.plan,
+      tenantId: req.user?.id,
+      authToken,
+      services,
+      products
+    });
+  }
+  
   // Process message
   const aiResponse = await aiService.processMessage({
     text,
     userId,
     sessionId,
     platform,
-    context
+    context,
+    plan: req.user?.plan,
+    // The signed-in business, whose knowledge base grounds the answer
+    tenantId: req.user?.id,
+    authToken,
+    // Optional service and product catalogues matched by entity extraction and the dialog manager
+    services,
+    products
   });
   
   // Update user context with the new interaction
   await contextService.updateUserContext(userId, sessionId, {
     userMessage: text,
     aiResponse: aiResponse.text,
+    analysis: aiResponse.analysis,
     timestamp: new Date()
   });
   
@@ -49,10 +77,120 @@ const processMessage = asyncHandler(async (req, res) => {
     confidence: aiResponse.confidence,
     messageId: aiResponse.messageId,
     model: aiResponse.model,
-    processingTime: aiResponse.processingTime
+    processingTime: aiResponse.processingTime,
+    usage: aiResponse.usage,
+    downgraded: aiResponse.downgraded,
+    citations: aiResponse.citations,
+    toolCalls: aiResponse.toolCalls,
+    pendingAction: aiResponse.pendingAction,
+    entities: aiResponse.entities,
+    analysis: aiResponse.analysis,
+    dialog: aiResponse.dialog,
+    // Set when a human agent is or will be handling the conversation (no reply while suppressed)
+    handoff: aiResponse.handoff,
+    suppressed: !!aiResponse.suppressed,
+    // Reply formatted for the platform (rich elements, platform message payloads)
+    formatted: aiResponse.formatted
   });
 });
 
+/**
+ * Stream an AI response over Server-Sent Events
+ * Emits `token` events with text deltas, then a single `done` event with the
+ * final response (or an `error` event). Closing the connection cancels the generation.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} messageData - Message data passed to the AI service
+ * @returns {Promise<void>}
+ */
+async function streamMessage(req, res, messageData) {
+  const { text, userId, sessionId } = messageData;
+  const abortController = new AbortController();
+  
+  // Cancel the generation when the client goes away
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+  
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  try {
+    const aiResponse = await aiService.processMessageStream(messageData, {
+      onToken: (delta) => sendEvent(res, 'token', { delta }),
+      signal: abortController.signal
+    });
+    
+    // Only keep completed generations in the conversation context
+    if (!aiResponse.cancelled) {
+      await contextService.updateUserContext(userId, sessionId, {
+        userMessage: text,
+        aiResponse: aiResponse.text,
+        analysis: aiResponse.analysis,
+        timestamp: new Date()
+      });
+    }
+    
+    const finalEvent = {
+      success: true,
+      reply: aiResponse.text,
+      intentDetected: aiResponse.intent,
+      confidence: aiResponse.confidence,
+      messageId: aiResponse.messageId,
+      model: aiResponse.model,
+      processingTime: aiResponse.processingTime,
+      usage: aiResponse.usage,
+      downgraded: !!aiResponse.downgraded,
+      citations: aiResponse.citations || [],
+      toolCalls: aiResponse.toolCalls || [],
+      pendingAction: aiResponse.pendingAction || null,
+      entities: aiResponse.entities || [],
+      analysis: aiResponse.analysis || null,
+      dialog: aiResponse.dialog || null,
+      handoff: aiResponse.handoff || null,
+      suppressed: !!aiResponse.suppressed,
+      formatted: aiResponse.formatted,
+      cancelled: !!aiResponse.cancelled
+    };
+    
+    sendEvent(res, 'done', finalEvent);
+  } catch (error) {
+    req.logger?.error('Error streaming chat response', { error: error.message, userId });
+    sendEvent(res, 'error', {
+      success: false,
+      message: error.message || 'Something went wrong'
+    });
+  } finally {
+    res.end();
+  }
+}
+
+/**
+ * Write a Server-Sent Event to the response
+ * @param {Object} res - Express response object
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload (JSON serialized)
+ */
+function sendEvent(res, event, data) {
+  if (res.writableEnded) {
+    return;
+  }
+  
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  
+  // compression middleware buffers output unless flushed
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+}
+
 /**
  * Get chat history for a user
  */
@@ -162,19 +300,20 @@ const getUserContext = asyncHandler(async (req, res) => {
  */
 const getContextSummary = asyncHandler(async (req, res) => {
   const { userId } = req.params;
-  const { sessionId } = req.query;
+  const { sessionId, query } = req.query;
   
   // Validate user ID
   if (!userId) {
     throw new ApiError('User ID is required', 400);
   }
   
-  // Get context structured for AI use
+  // Get context structured for AI use (query retrieves relevant older exchanges)
   const aiContext = await contextService.getAIContext(userId, sessionId, {
     includeShortTerm: true,
     includeMidTerm: true,
     includeLongTerm: true,
     includeUserProfile: true,
+    query,
     maxItems: 20
   });
   
@@ -230,6 +369,40 @@ const submitFeedback = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get the response cache statistics (semantic cache hit rates included)
+ */
+const getCacheStats = asyncHandler(async (req, res) => {
+  const stats = await cacheService.getStats();
+  
+  res.status(200).json({
+    success: true,
+    stats
+  });
+});
+
+/**
+ * Invalidate the semantic response cache
+ * Admins and other services may invalidate any tenant by passing tenantId, or every
+ * tenant without it (e.g. after the global auto-reply rules changed); everyone else
+ * invalidates their own.
+ */
+const invalidateResponseCache = asyncHandler(async (req, res) => {
+  const tenantId = getTenantId(req, { allowAll: ['admin', 'service'] });
+  
+  const invalidated = await cacheService.invalidateSemantic(tenantId);
+  
+  if (!invalidated) {
+    throw new ApiError('Response cache could not be invalidated', 500);
+  }
+  
+  res.status(200).json({
+    success: true,
+    tenantId,
+    message: tenantId ? 'Response cache invalidated' : 'Response cache invalidated for all tenants'
+  });
+});
+
 module.exports = {
   processMessage,
   getChatHistory,
@@ -237,5 +410,7 @@ module.exports = {
   getUserContext,
   getContextSummary,
   updateUserPreferences,
-  submitFeedback
+  submitFeedback,
+  getCacheStats,
+  invalidateResponseCache
 }; 
\ No newline at end of file
@@ -0,0 +1,182 @@
+/**
+ * Handoff controller for the AI Service
+ * Agent inbox of conversations handed from the bot to a human agent:
+ * listing, assignment, agent replies and handing conversations back to the bot
+ */
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const handoffService = require('../services/handoffService');
+const intentService = require('../services/intentService');
+const sentimentService = require('../services/sentimentService');
+const auth = require('../middleware/auth');
+
+// Admins may also omit tenantId to see the inbox of every tenant
+const getTenantId = (req) => auth.getTenantId(req, { allowAll: ['admin'] });
+
+/**
+ * List the agent inbox
+ */
+const listQueue = asyncHandler(async (req, res) => {
+  const { state, agentId, limit = 50 } = req.query;
+
+  const handoffs = await handoffService.listQueue({
+    tenantId: getTenantId(req),
+    state,
+    agentId,
+    limit: Math.min(parseInt(limit) || 50, 500)
+  });
+
+  res.status(200).json({
+    success: true,
+    handoffs
+  });
+});
+
+/**
+ * Get the handoff state of a conversation
+ */
+const getConversationState = asyncHandler(async (req, res) => {
+  const handoff = await handoffService.getActiveHandoff(req.params.userId, req.query.sessionId);
+  const tenantId = getTenantId(req);
+  const visible = handoff && (!tenantId || handoff.tenantId === tenantId) ? handoff : null;
+
+  res.status(200).json({
+    success: true,
+    state: visible ? visible.state : handoffService.HANDOFF_STATES.BOT,
+    handoff: visible
+  });
+});
+
+/**
+ * Check a message from another channel (e.g. the server's auto-replies)
+ * against the handoff of its conversation and the handoff triggers
+ * The intent is recognized and the message scored unless given.
+ */
+const processInbound = asyncHandler(async (req, res) => {
+  const { text, userId, sessionId, platform, analysis, modelId = 'default' } = req.body;
+  let { intent, confidence } = req.body;
+
+  if (!text) {
+    throw new ApiError('Message text is required', 400);
+  }
+
+  if (!userId) {
+    throw new ApiError('User ID is required', 400);
+  }
+
+  const tenantId = getTenantId(req);
+
+  if (intent === undefined) {
+    ({ intent, confidence } = await intentService.recognizeIntent(text, modelId));
+  }
+
+  const result = await handoffService.processInbound({
+    userId,
+    sessionId,
+    tenantId,
+    platform,
+    text,
+    intentResult: { intent, confidence: confidence ?? null },
+    analysis: analysis || await sentimentService.analyzeMessage(text, { userId: tenantId })
+  });
+
+  res.status(200).json({
+    success: true,
+    ...result
+  });
+});
+
+/**
+ * Hand a conversation to an agent on request (e.g. from a button in the chat UI)
+ */
+const requestHandoff = asyncHandler(async (req, res) => {
+  const { userId, sessionId, platform, note } = req.body;
+
+  if (!userId) {
+    throw new ApiError('User ID is required', 400);
+  }
+
+  const handoff = await handoffService.requestHandoff({
+    userId,
+    sessionId,
+    tenantId: getTenantId(req),
+    platform,
+    reasons: [{ type: 'manual', ...(note ? { note } : {}) }]
+  });
+
+  res.status(201).json({
+    success: true,
+    handoff
+  });
+});
+
+/**
+ * Get a handoff with its transcript
+ */
+const getHandoff = asyncHandler(async (req, res) => {
+  const handoff = await handoffService.getHandoff(req.params.handoffId, getTenantId(req));
+
+  res.status(200).json({
+    success: true,
+    handoff
+  });
+});
+
+/**
+ * Assign a handoff to an agent (the caller by default)
+ */
+const assignHandoff = asyncHandler(async (req, res) => {
+  const handoff = await handoffService.assignHandoff(
+    req.params.handoffId,
+    req.body.agentId || req.user?.id,
+    { tenantId: getTenantId(req) }
+  );
+
+  res.status(200).json({
+    success: true,
+    handoff
+  });
+});
+
+/**
+ * Record a reply an agent sent to the customer
+ */
+const recordAgentReply = asyncHandler(async (req, res) => {
+  const { text, agentId } = req.body;
+
+  const handoff = await handoffService.recordAgentReply(
+    req.params.handoffId,
+    agentId || req.user?.id,
+    text,
+    { tenantId: getTenantId(req) }
+  );
+
+  res.status(200).json({
+    success: true,
+    handoff
+  });
+});
+
+/**
+ * Hand a conversation back to the bot
+ */
+const releaseHandoff = asyncHandler(async (req, res) => {
+  const handoff = await handoffService.releaseHandoff(req.params.handoffId, {
+    tenantId: getTenantId(req)
+  });
+
+  res.status(200).json({
+    success: true,
+    handoff
+  });
+});
+
+module.exports = {
+  listQueue,
+  getConversationState,
+  processInbound,
+  requestHandoff,
+  getHandoff,
+  assignHandoff,
+  recordAgentReply,
+  releaseHandoff
+};
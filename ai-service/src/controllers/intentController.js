@@ -5,6 +5,9 @@
 const { asyncHandler, ApiError } = require('../middleware/errorHandler');
 const intentService = require('../services/intentService');
 const contextService = require('../services/contextService');
+const dialogService = require('../services/dialogService');
+const entityService = require('../services/entityService');
+const sentimentService = require('../services/sentimentService');
 
 /**
  * Detect intent from a text message
@@ -31,7 +34,133 @@ const detectIntent = asyncHandler(async (req, res) => {
     intent: intentResult.intent,
     confidence: intentResult.confidence,
     allIntents: intentResult.allIntents,
-    tokens: intentResult.tokens
+    tokens: intentResult.tokens,
+    language: intentResult.language,
+    languages: intentResult.languages,
+    isCodeSwitched: intentResult.isCodeSwitched,
+    modelVersion: intentResult.modelVersion
+  });
+});
+
+/**
+ * Extract entities from a text message
+ * Rules run first; with useLlm (or ENTITY_LLM_FALLBACK) a model extracts the
+ * product and address entities they missed.
+ */
+const extractEntities = asyncHandler(async (req, res) => {
+  const { text, userId, types, services, products, referenceDate, useLlm } = req.body;
+  
+  if (!text) {
+    throw new ApiError('Message text is required', 400);
+  }
+  
+  if (types !== undefined && (!Array.isArray(types) ||
+    types.some(type => !Object.values(entityService.ENTITY_TYPES).includes(type)))) {
+    throw new ApiError(`types must be an array of: ${Object.values(entityService.ENTITY_TYPES).join(', ')}`, 400);
+  }
+  
+  const reference = referenceDate ? new Date(referenceDate) : new Date();
+  if (Number.isNaN(reference.getTime())) {
+    throw new ApiError('referenceDate must be a valid date', 400);
+  }
+  
+  const entities = await entityService.extractEntitiesWithFallback(text, {
+    types,
+    services,
+    products,
+    referenceDate: reference,
+    useLlm,
+    userId: userId || req.user?.id
+  });
+  
+  res.status(200).json({
+    success: true,
+    entities
+  });
+});
+
+/**
+ * Score a text message for sentiment, urgency and toxicity
+ * Used by the main server to annotate auto-reply messages.
+ */
+const analyzeSentiment = asyncHandler(async (req, res) => {
+  const { text, userId, provider } = req.body;
+  
+  if (!text) {
+    throw new ApiError('Message text is required', 400);
+  }
+  
+  if (provider !== undefined && !['lexicon', 'llm'].includes(provider)) {
+    throw new ApiError('provider must be lexicon or llm', 400);
+  }
+  
+  const analysis = await sentimentService.analyzeMessage(text, {
+    provider,
+    userId: userId || req.user?.id
+  });
+  
+  res.status(200).json({
+    success: true,
+    ...analysis
+  });
+});
+
+/**
+ * Process a message in the user's slot-filling dialog
+ * The intent is recognized from the text unless given.
+ */
+const processDialogTurn = asyncHandler(async (req, res) => {
+  const { text, userId, sessionId, services, modelId = 'default' } = req.body;
+  let { intent, confidence } = req.body;
+  
+  if (!text) {
+    throw new ApiError('Message text is required', 400);
+  }
+  
+  if (!userId) {
+    throw new ApiError('User ID is required', 400);
+  }
+  
+  if (!intent) {
+    const context = await contextService.getUserContext(userId, sessionId);
+    const intentResult = await intentService.recognizeIntent(text, modelId, context);
+    intent = intentResult.intent;
+    confidence = intentResult.confidence;
+  } else if (confidence === undefined) {
+    confidence = 1;
+  }
+  
+  const dialog = await dialogService.processTurn({ userId, text, intent, confidence, services });
+  
+  res.status(200).json({
+    success: true,
+    intent,
+    confidence,
+    dialog
+  });
+});
+
+/**
+ * Get the dialog state of a user
+ */
+const getDialogState = asyncHandler(async (req, res) => {
+  const dialog = await dialogService.getDialogState(req.params.userId);
+  
+  res.status(200).json({
+    success: true,
+    dialog
+  });
+});
+
+/**
+ * Abandon the dialog of a user
+ */
+const resetDialog = asyncHandler(async (req, res) => {
+  await dialogService.resetDialog(req.params.userId);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Dialog reset'
   });
 });
 
@@ -72,6 +201,10 @@ const getIntentById = asyncHandler(async (req, res) => {
   const intent = {
     name: id,
     examples: intentService.defaultIntents[id],
+    examplesByLanguage: Object.fromEntries(
+      Object.entries(intentService.defaultIntentsByLanguage)
+        .map(([language, intents]) => [language, intents[id] || []])
+    ),
     relationships: intentService.getRelatedIntents(id, modelId)
   };
   
@@ -156,31 +289,79 @@ const deleteIntent = asyncHandler(async (req, res) => {
 
 /**
  * Train the intent model with new examples
+ * Stores the retrained model as a new version and reports its held-out evaluation.
+ * Without an intent, the model is retrained and evaluated on its current examples.
  */
 const trainIntentModel = asyncHandler(async (req, res) => {
-  const { intent, examples, modelId = 'default' } = req.body;
+  const {
+    intent,
+    examples,
+    modelId = 'default',
+    testRatio,
+    seed,
+    rollbackOnRegression = false
+  } = req.body;
   
   // Validate required fields
-  if (!intent) {
-    throw new ApiError('Intent name is required', 400);
+  if (intent && (!examples || !Array.isArray(examples) || examples.length === 0)) {
+    throw new ApiError('Examples array is required', 400);
   }
   
-  if (!examples || !Array.isArray(examples) || examples.length === 0) {
-    throw new ApiError('Examples array is required', 400);
+  if (testRatio !== undefined && !(testRatio > 0 && testRatio < 1)) {
+    throw new ApiError('testRatio must be between 0 and 1', 400);
   }
   
   // Train the intent
-  const success = await intentService.trainIntent(intent, examples, modelId);
+  const report = await intentService.trainIntent(intent || null, examples || [], modelId, {
+    testRatio,
+    seed,
+    rollbackOnRegression
+  });
   
-  if (!success) {
+  if (!report) {
     throw new ApiError('Failed to train intent model', 500);
   }
   
   res.status(200).json({
     success: true,
-    message: 'Intent model trained successfully',
-    intent,
-    exampleCount: examples.length
+    message: report.active
+      ? 'Intent model trained successfully'
+      : `Intent model version ${report.version} regressed and was not activated`,
+    intent: intent || null,
+    exampleCount: examples ? examples.length : 0,
+    model: report
+  });
+});
+
+/**
+ * Get the stored versions of an intent model with their evaluation metrics
+ */
+const getModelVersions = asyncHandler(async (req, res) => {
+  const result = await intentService.listModelVersions(req.params.modelId);
+  
+  res.status(200).json({
+    success: true,
+    ...result
+  });
+});
+
+/**
+ * Roll an intent model back to a stored version
+ * Defaults to the version before the active one.
+ */
+const rollbackModel = asyncHandler(async (req, res) => {
+  const { version } = req.body;
+  
+  if (version !== undefined && !Number.isInteger(Number(version))) {
+    throw new ApiError('version must be an integer', 400);
+  }
+  
+  const result = await intentService.rollbackModel(req.params.modelId, version);
+  
+  res.status(200).json({
+    success: true,
+    message: `Intent model ${result.modelId} rolled back to version ${result.version}`,
+    ...result
   });
 });
 
@@ -245,6 +426,13 @@ module.exports = {
   updateIntent,
   deleteIntent,
   trainIntentModel,
+  getModelVersions,
+  rollbackModel,
   createIntentRelationship,
-  getIntentStats
+  getIntentStats,
+  extractEntities,
+  analyzeSentiment,
+  processDialogTurn,
+  getDialogState,
+  resetDialog
 }; 
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * Knowledge controller for the AI Service
+ * Manages the knowledge base sources of a tenant and searches them
+ */
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const knowledgeService = require('../services/knowledgeService');
+const { getTenantId } = require('../middleware/auth');
+
+/**
+ * List the knowledge sources of the tenant
+ */
+const listSources = asyncHandler(async (req, res) => {
+  const sources = await knowledgeService.listSources(getTenantId(req));
+  
+  res.status(200).json({
+    success: true,
+    sources,
+    types: Object.values(knowledgeService.SOURCE_TYPES)
+  });
+});
+
+/**
+ * Get a knowledge source, including its content
+ */
+const getSource = asyncHandler(async (req, res) => {
+  const source = await knowledgeService.getSource(getTenantId(req), req.params.id);
+  
+  res.status(200).json({
+    success: true,
+    source
+  });
+});
+
+/**
+ * Create a knowledge source; it is indexed in the background
+ */
+const createSource = asyncHandler(async (req, res) => {
+  const { name, type, content, contentBase64, rows } = req.body;
+  
+  const source = await knowledgeService.createSource(getTenantId(req), {
+    name,
+    type,
+    content,
+    contentBase64,
+    rows
+  });
+  
+  res.status(201).json({
+    success: true,
+    source
+  });
+});
+
+/**
+ * Update a knowledge source; changed content is re-indexed in the background
+ */
+const updateSource = asyncHandler(async (req, res) => {
+  const { name, content, contentBase64, rows } = req.body;
+  
+  const source = await knowledgeService.updateSource(getTenantId(req), req.params.id, {
+    name,
+    content,
+    contentBase64,
+    rows
+  });
+  
+  res.status(200).json({
+    success: true,
+    source
+  });
+});
+
+/**
+ * Delete a knowledge source and its indexed chunks
+ */
+const deleteSource = asyncHandler(async (req, res) => {
+  await knowledgeService.deleteSource(getTenantId(req), req.params.id);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Knowledge source deleted'
+  });
+});
+
+/**
+ * Re-index a knowledge source
+ */
+const reindexSource = asyncHandler(async (req, res) => {
+  const tenantId = getTenantId(req);
+  
+  // Make sure the source exists before queueing the job
+  await knowledgeService.getSource(tenantId, req.params.id);
+  await knowledgeService.scheduleReindex(tenantId, req.params.id);
+  
+  res.status(202).json({
+    success: true,
+    message: 'Re-indexing scheduled'
+  });
+});
+
+/**
+ * Re-index every knowledge source of the tenant
+ */
+const reindexAll = asyncHandler(async (req, res) => {
+  const sources = await knowledgeService.reindexTenant(getTenantId(req));
+  
+  res.status(202).json({
+    success: true,
+    message: `Re-indexing of ${sources.length} sources scheduled`
+  });
+});
+
+/**
+ * Search the knowledge base of the tenant
+ */
+const search = asyncHandler(async (req, res) => {
+  const { query, topK, minScore } = req.body;
+  
+  if (!query) {
+    throw new ApiError('Query is required', 400);
+  }
+  
+  const passages = await knowledgeService.search(getTenantId(req), query, { topK, minScore });
+  
+  res.status(200).json({
+    success: true,
+    passages
+  });
+});
+
+module.exports = {
+  listSources,
+  getSource,
+  createSource,
+  updateSource,
+  deleteSource,
+  reindexSource,
+  reindexAll,
+  search
+};
@@ -0,0 +1,144 @@
+/**
+ * Prompt controller for the AI Service
+ * Versioned prompt templates: listing, editing, rolling back, tenant
+ * overrides (e.g. the assistant's persona) and rendering previews
+ */
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const promptService = require('../services/promptService');
+const auth = require('../middleware/auth');
+
+// Admins and other services work on the global templates without tenantId
+const getTenantId = (req) => auth.getTenantId(req, { allowAll: ['admin', 'service'] });
+
+/**
+ * List the templates in effect for the tenant
+ */
+const listTemplates = asyncHandler(async (req, res) => {
+  const templates = await promptService.listTemplates(getTenantId(req));
+
+  res.status(200).json({
+    success: true,
+    templates
+  });
+});
+
+/**
+ * Get the template in effect for the tenant, or a specific version
+ */
+const getTemplate = asyncHandler(async (req, res) => {
+  const template = await promptService.getTemplate(req.params.name, {
+    tenantId: getTenantId(req),
+    version: req.query.version
+  });
+
+  res.status(200).json({
+    success: true,
+    template
+  });
+});
+
+/**
+ * List the versions of a template
+ */
+const listVersions = asyncHandler(async (req, res) => {
+  const versions = await promptService.listVersions(req.params.name, getTenantId(req));
+
+  res.status(200).json({
+    success: true,
+    versions
+  });
+});
+
+/**
+ * Save a new version of a template (the tenant's override, or a global version)
+ */
+const saveTemplate = asyncHandler(async (req, res) => {
+  const { text, languages, description, variables } = req.body;
+
+  if (variables !== undefined && !Array.isArray(variables)) {
+    throw new ApiError('variables must be an array of { name, description, required, default }', 400);
+  }
+
+  const template = await promptService.saveTemplate(req.params.name, {
+    text,
+    languages,
+    description,
+    variables
+  }, {
+    tenantId: getTenantId(req),
+    createdBy: req.user?.id
+  });
+
+  res.status(201).json({
+    success: true,
+    template
+  });
+});
+
+/**
+ * Make an earlier version of a template the active one
+ */
+const activateVersion = asyncHandler(async (req, res) => {
+  const version = parseInt(req.params.version);
+
+  if (!Number.isInteger(version) || version < 1) {
+    throw new ApiError('Version must be a positive integer', 400);
+  }
+
+  const template = await promptService.activateVersion(req.params.name, version, {
+    tenantId: getTenantId(req)
+  });
+
+  res.status(200).json({
+    success: true,
+    template
+  });
+});
+
+/**
+ * Stop overriding a template
+ */
+const resetTemplate = asyncHandler(async (req, res) => {
+  const template = await promptService.resetTemplate(req.params.name, {
+    tenantId: getTenantId(req)
+  });
+
+  res.status(200).json({
+    success: true,
+    template
+  });
+});
+
+/**
+ * Render a template with variables, or preview an unsaved draft
+ */
+const renderPrompt = asyncHandler(async (req, res) => {
+  const { language, variables = {}, version, draft } = req.body;
+
+  if (typeof variables !== 'object' || Array.isArray(variables)) {
+    throw new ApiError('variables must be an object', 400);
+  }
+
+  const rendered = await promptService.renderPrompt(req.params.name, {
+    tenantId: getTenantId(req),
+    version,
+    language,
+    variables,
+    draft
+  });
+
+  res.status(200).json({
+    success: true,
+    ...rendered
+  });
+});
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  listVersions,
+  saveTemplate,
+  activateVersion,
+  resetTemplate,
+  renderPrompt
+};
@@ -0,0 +1,107 @@
+/**
+ * Routing controller for the AI Service
+ * Manages the model routing policy and explains routing decisions
+ */
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const aiService = require('../services/aiService');
+const routingService = require('../services/routingService');
+const contextService = require('../services/contextService');
+const { isPrivileged, getTenantId } = require('../middleware/auth');
+
+// Longest message a dry run evaluates
+const MAX_DRY_RUN_TEXT_LENGTH = 4000;
+
+/**
+ * Get the active routing policy and the vocabulary rules can use
+ */
+const getPolicy = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    policy: routingService.getPolicy(),
+    facts: routingService.FACTS,
+    operators: routingService.OPERATORS,
+    combinators: routingService.COMBINATORS
+  });
+});
+
+/**
+ * Replace the active routing policy
+ */
+const updatePolicy = asyncHandler(async (req, res) => {
+  const { defaultModel, rules } = req.body;
+  
+  if (!Array.isArray(rules)) {
+    throw new ApiError('Rules array is required', 400);
+  }
+  
+  const policy = routingService.setPolicy({ defaultModel, rules });
+  
+  req.logger?.info('Routing policy updated', { userId: req.user?.id, rules: rules.length });
+  
+  res.status(200).json({
+    success: true,
+    policy
+  });
+});
+
+/**
+ * Restore the configured routing policy
+ */
+const resetPolicy = asyncHandler(async (req, res) => {
+  const policy = routingService.resetPolicy();
+  
+  res.status(200).json({
+    success: true,
+    policy
+  });
+});
+
+/**
+ * Explain which rule routes a message to which model, without generating a response
+ * Only admins may try a candidate policy; everyone else dry-runs the active one.
+ */
+const dryRun = asyncHandler(async (req, res) => {
+  const { text, userId, sessionId, platform = 'web', plan, context, policy } = req.body;
+  
+  if (!text || typeof text !== 'string') {
+    throw new ApiError('Message text is required', 400);
+  }
+  
+  if (text.length > MAX_DRY_RUN_TEXT_LENGTH) {
+    throw new ApiError(`Message text must be at most ${MAX_DRY_RUN_TEXT_LENGTH} characters`, 400);
+  }
+  
+  if (policy && req.user?.role !== 'admin') {
+    throw new ApiError('Only admins may dry-run a candidate policy', 403);
+  }
+  
+  // Use the stored conversation unless the caller simulates one; tenants may
+  // only replay their own, since stored conversations are not kept per tenant
+  const canReadContext = userId && (isPrivileged(req.user) || userId === req.user?.id);
+  const routingContext = context || (canReadContext
+    ? await contextService.getUserContext(userId, sessionId, 'short')
+    : null);
+  
+  const decision = await aiService.explainRouting({
+    text,
+    userId,
+    sessionId,
+    platform,
+    plan,
+    context: routingContext,
+    // Plan of the caller's tenant (admins and services: of tenantId, or of userId)
+    tenantId: getTenantId(req, { allowAll: ['admin', 'service'] }) || undefined
+  }, policy);
+  
+  res.status(200).json({
+    success: true,
+    ...decision
+  });
+});
+
+module.exports = {
+  getPolicy,
+  updatePolicy,
+  resetPolicy,
+  dryRun
+};
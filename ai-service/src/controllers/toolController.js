@@ -0,0 +1,88 @@
+/**
+ * Tool controller for the AI Service
+ * Exposes the tool declarations, the invocation audit log and the
+ * confirmation of actions the assistant proposed
+ */
+const { asyncHandler, ApiError } = require('../middleware/errorHandler');
+const toolService = require('../services/toolService');
+const { getTenantId } = require('../middleware/auth');
+
+/**
+ * List the tools the model can call
+ */
+const listTools = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    tools: toolService.getDeclarations()
+  });
+});
+
+/**
+ * List audited tool invocations
+ * Admins may read every tenant's log; everyone else reads their own.
+ */
+const listInvocations = asyncHandler(async (req, res) => {
+  const { userId, tool, limit = 50 } = req.query;
+  
+  const invocations = await toolService.listInvocations({
+    tenantId: getTenantId(req, { allowAll: ['admin'] }),
+    userId,
+    tool,
+    limit: Math.min(parseInt(limit) || 50, 500)
+  });
+  
+  res.status(200).json({
+    success: true,
+    invocations
+  });
+});
+
+/**
+ * Get the action of a conversation waiting for confirmation
+ * Tenants only see the conversations of their own customers.
+ */
+const getPendingAction = asyncHandler(async (req, res) => {
+  const pendingAction = await toolService.getPendingAction(req.params.userId, req.query.sessionId, getTenantId(req));
+  
+  res.status(200).json({
+    success: true,
+    pendingAction
+  });
+});
+
+/**
+ * Confirm or reject a pending action
+ * Tenants only resolve the actions of their own customers.
+ */
+const resolvePendingAction = asyncHandler(async (req, res) => {
+  const { userId, sessionId, confirm } = req.body;
+  
+  if (!userId) {
+    throw new ApiError('User ID is required', 400);
+  }
+  
+  if (typeof confirm !== 'boolean') {
+    throw new ApiError('confirm must be true or false', 400);
+  }
+  
+  const invocation = await toolService.resolvePendingAction({
+    userId,
+    sessionId,
+    tenantId: getTenantId(req),
+    authToken: req.headers.authorization?.split(' ')[1]
+  }, confirm, req.params.confirmationId);
+  
+  const { pendingAction, ...result } = invocation;
+  
+  res.status(200).json({
+    success: invocation.status !== toolService.INVOCATION_STATUS.ERROR,
+    invocation: result
+  });
+});
+
+module.exports = {
+  listTools,
+  listInvocations,
+  getPendingAction,
+  resolvePendingAction
+};
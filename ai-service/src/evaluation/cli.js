@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Offline evaluation of AI replies
+ *
+ *   npm run eval -- [datasets...] [--model stub|routed|<model id>] [--judge <model id>]
+ *                   [--target ai|auto_reply] [--out <dir>] [--baseline <report.json>]
+ *
+ * Datasets default to evaluation/datasets, reports go to evaluation/reports.
+ * Exits with 1 when cases regressed against the baseline (or, without a
+ * baseline, when any case failed), so the run can gate CI.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { loadDatasets, TARGETS } = require('./datasets');
+const { runEvaluation, STUB_MODEL } = require('./runner');
+const { compareReports, writeReport } = require('./report');
+
+const SERVICE_ROOT = path.resolve(__dirname, '../..');
+const OPTIONS = {
+  '--model': 'model',
+  '--judge': 'judgeModel',
+  '--target': 'target',
+  '--out': 'outDir',
+  '--baseline': 'baseline'
+};
+
+/**
+ * Parse the command line
+ * @param {Array<string>} argv - Arguments after the script
+ * @returns {Object} { paths, model, judgeModel, target, outDir, baseline }
+ * @throws {Error} On unknown or incomplete options
+ */
+function parseArgs(argv) {
+  const args = {
+    paths: [],
+    model: STUB_MODEL,
+    judgeModel: null,
+    target: null,
+    outDir: path.join(SERVICE_ROOT, 'evaluation/reports'),
+    baseline: null
+  };
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+
+    if (!arg.startsWith('--')) {
+      args.paths.push(arg);
+    } else if (OPTIONS[arg] && argv[index + 1]) {
+      args[OPTIONS[arg]] = argv[++index];
+    } else {
+      throw new Error(`Unknown or incomplete option ${arg}`);
+    }
+  }
+
+  if (args.target && !TARGETS.includes(args.target)) {
+    throw new Error(`--target must be one of ${TARGETS.join(', ')}`);
+  }
+  if (args.paths.length === 0) {
+    args.paths.push(path.join(SERVICE_ROOT, 'evaluation/datasets'));
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const datasets = loadDatasets(args.paths);
+  const baseline = args.baseline ? JSON.parse(fs.readFileSync(args.baseline, 'utf8')) : null;
+
+  const report = await runEvaluation(datasets, {
+    model: args.model,
+    judgeModel: args.judgeModel,
+    target: args.target,
+    onCase: (datasetName, result) => {
+      console.log(`${result.status.padEnd(7)} ${datasetName}/${result.id}${result.reason ? ` (${result.reason})` : ''}`);
+    }
+  });
+
+  const comparison = baseline ? compareReports(baseline, report) : null;
+  const { jsonPath, htmlPath } = writeReport(report, args.outDir, comparison);
+  const { summary } = report;
+
+  console.log(`\n${summary.passed} passed, ${summary.failed} failed, ${summary.skipped} skipped`);
+  Object.entries(summary.metrics).forEach(([type, metric]) => {
+    console.log(`  ${type}: ${metric.accuracy == null ? '–' : `${(metric.accuracy * 100).toFixed(1)}%`}`);
+  });
+  if (comparison) {
+    console.log(`Regressions: ${comparison.regressions.join(', ') || 'none'}`);
+    console.log(`Fixes: ${comparison.fixes.join(', ') || 'none'}`);
+  }
+  console.log(`Report: ${jsonPath}\n        ${htmlPath}`);
+
+  return comparison ? comparison.regressions.length === 0 : summary.failed === 0;
+}
+
+main()
+  .then(passed => process.exit(passed ? 0 : 1))
+  .catch(error => {
+    console.error('Evaluation failed:', error.message);
+    process.exit(2);
+  });
@@ -0,0 +1,211 @@
+/**
+ * Golden conversation datasets for offline evaluation
+ * A dataset is a YAML or JSON file:
+ *
+ *   name: booking-basics
+ *   target: ai                    # ai (aiService.processMessage) or auto_reply (AutoReplyService.processMessage)
+ *   platform: whatsapp            # defaults for every case (optional)
+ *   tenantId: eval-shop
+ *   stubRules:                    # stub model replies for prompts matching a pattern (optional)
+ *     - match: 营业时间|opening hours
+ *       reply: We are open 10am to 8pm.
+ *   cases:
+ *     - id: greeting-en
+ *       turns:
+ *         - user: hi there
+ *           stub: Hello! How can I help?          # stub model reply (or a list, in call order)
+ *           expect:
+ *             intent: greeting                    # recognized intent (null for none)
+ *             matchType: direct                   # auto-reply match type; also ruleId and intentName
+ *             contains: [help]                    # keywords the reply must / must not contain
+ *             notContains: [sorry]
+ *             matches: ["^Hello"]                 # regular expressions ("/.../flags" or case-insensitive)
+ *             notMatches: []
+ *             judge: Greets the customer and offers help   # LLM-as-judge criteria (or { criteria, minScore })
+ *
+ * The turns of a case are one conversation (same user and session).
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const TARGETS = ['ai', 'auto_reply'];
+const DATASET_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+/**
+ * Compile a regular expression written as "/pattern/flags" or as a plain
+ * pattern (case-insensitive)
+ * @param {string} source - Pattern
+ * @returns {RegExp} Regular expression
+ */
+function compilePattern(source) {
+  const literal = /^\/(.+)\/([a-z]*)$/s.exec(source);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(source, 'i');
+}
+
+/**
+ * Make a value a list
+ * @param {*} value - Value, list or nothing
+ * @returns {Array} List
+ */
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Normalize the expectations of a turn
+ * @param {Object} expect - Raw expectations
+ * @param {string} where - Location, used in error messages
+ * @returns {Object} Expectations
+ */
+function normalizeExpect(expect = {}, where) {
+  const normalized = {};
+
+  ['intent', 'matchType', 'ruleId', 'intentName'].forEach(field => {
+    if (expect[field] !== undefined) {
+      normalized[field] = expect[field];
+    }
+  });
+
+  ['contains', 'notContains'].forEach(field => {
+    const keywords = toList(expect[field]).map(String);
+    if (keywords.length > 0) {
+      normalized[field] = keywords;
+    }
+  });
+
+  ['matches', 'notMatches'].forEach(field => {
+    const patterns = toList(expect[field]).map(String);
+    patterns.forEach(pattern => {
+      try {
+        compilePattern(pattern);
+      } catch (error) {
+        throw new Error(`${where}: invalid ${field} pattern ${pattern}: ${error.message}`);
+      }
+    });
+    if (patterns.length > 0) {
+      normalized[field] = patterns;
+    }
+  });
+
+  if (expect.judge) {
+    const judge = typeof expect.judge === 'string' ? { criteria: expect.judge } : expect.judge;
+    if (!judge.criteria) {
+      throw new Error(`${where}: judge needs criteria`);
+    }
+    normalized.judge = { criteria: String(judge.criteria), minScore: judge.minScore ?? null };
+  }
+
+  return normalized;
+}
+
+/**
+ * Normalize and validate a dataset
+ * @param {Object} raw - Parsed dataset
+ * @param {string} source - File the dataset was loaded from (for error messages)
+ * @returns {Object} Dataset { name, description, source, stubRules, cases }
+ * @throws {Error} When the dataset is invalid
+ */
+function normalizeDataset(raw, source = 'dataset') {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.cases)) {
+    throw new Error(`${source}: a dataset needs a cases array`);
+  }
+
+  const name = raw.name || path.basename(source, path.extname(source));
+  const defaults = {
+    target: raw.target || 'ai',
+    platform: raw.platform || 'web',
+    tenantId: raw.tenantId || null
+  };
+
+  const stubRules = toList(raw.stubRules).map((rule, index) => {
+    if (!rule?.match || typeof rule.reply !== 'string') {
+      throw new Error(`${source}: stubRules[${index}] needs match and reply`);
+    }
+    return { match: compilePattern(String(rule.match)), reply: rule.reply };
+  });
+
+  const ids = new Set();
+  const cases = raw.cases.map((testCase, index) => {
+    const id = String(testCase?.id || `case-${index + 1}`);
+    const where = `${source}: case ${id}`;
+
+    if (ids.has(id)) {
+      throw new Error(`${where}: duplicate id`);
+    }
+    ids.add(id);
+
+    const target = testCase.target || defaults.target;
+    if (!TARGETS.includes(target)) {
+      throw new Error(`${where}: target must be one of ${TARGETS.join(', ')}`);
+    }
+
+    const turns = toList(testCase.turns);
+    if (turns.length === 0) {
+      throw new Error(`${where}: a case needs turns`);
+    }
+
+    return {
+      id,
+      description: testCase.description || '',
+      target,
+      platform: testCase.platform || defaults.platform,
+      tenantId: testCase.tenantId || defaults.tenantId,
+      tags: toList(testCase.tags).map(String),
+      turns: turns.map((turn, turnIndex) => {
+        if (!turn?.user || typeof turn.user !== 'string') {
+          throw new Error(`${where}: turn ${turnIndex + 1} needs the user message`);
+        }
+        return {
+          user: turn.user,
+          stub: toList(turn.stub).map(String),
+          expect: normalizeExpect(turn.expect, `${where} turn ${turnIndex + 1}`)
+        };
+      })
+    };
+  });
+
+  return { name, description: raw.description || '', source, stubRules, cases };
+}
+
+/**
+ * Load a dataset file
+ * @param {string} filePath - YAML or JSON file
+ * @returns {Object} Dataset
+ * @throws {Error} When the file cannot be parsed or the dataset is invalid
+ */
+function loadDataset(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const raw = path.extname(filePath) === '.json' ? JSON.parse(content) : yaml.load(content);
+
+  return normalizeDataset(raw, path.relative(process.cwd(), filePath) || filePath);
+}
+
+/**
+ * Load the datasets of files and directories (dataset files directly inside them)
+ * @param {Array<string>} paths - Files or directories
+ * @returns {Array<Object>} Datasets, sorted by file
+ */
+function loadDatasets(paths) {
+  const files = paths.flatMap(target => {
+    if (!fs.statSync(target).isDirectory()) {
+      return [target];
+    }
+    return fs.readdirSync(target)
+      .filter(file => DATASET_EXTENSIONS.includes(path.extname(file)))
+      .map(file => path.join(target, file));
+  });
+
+  return files.sort().map(loadDataset);
+}
+
+module.exports = {
+  TARGETS,
+  compilePattern,
+  normalizeDataset,
+  loadDataset,
+  loadDatasets
+};
@@ -0,0 +1,199 @@
+/**
+ * Evaluation reports
+ * A run is saved as JSON (stable key order, so two runs diff cleanly) and as a
+ * self-contained HTML page; compareReports lists what changed since a baseline run.
+ */
+const fs = require('fs');
+const path = require('path');
+const { CASE_STATUS } = require('./runner');
+
+/**
+ * Index the cases of a report by dataset and case id
+ * @param {Object} report - Report
+ * @returns {Map<string, Object>} Cases by "dataset/case"
+ */
+function indexCases(report) {
+  const cases = new Map();
+  (report.datasets || []).forEach(dataset => {
+    dataset.cases.forEach(item => cases.set(`${dataset.name}/${item.id}`, item));
+  });
+  return cases;
+}
+
+/**
+ * Compare a run with a baseline run
+ * @param {Object} baseline - Baseline report
+ * @param {Object} current - Current report
+ * @returns {Object} { metrics, regressions, fixes, changedReplies, addedCases, removedCases }
+ */
+function compareReports(baseline, current) {
+  const delta = (before, after) => ({
+    baseline: before ?? null,
+    current: after ?? null,
+    delta: before != null && after != null ? Math.round((after - before) * 10000) / 10000 : null
+  });
+
+  const metricTypes = [...new Set([
+    ...Object.keys(baseline.summary.metrics || {}),
+    ...Object.keys(current.summary.metrics || {})
+  ])].sort();
+
+  const metrics = { passRate: delta(baseline.summary.passRate, current.summary.passRate) };
+  metricTypes.forEach(type => {
+    metrics[type] = delta(baseline.summary.metrics[type]?.accuracy, current.summary.metrics[type]?.accuracy);
+  });
+
+  const before = indexCases(baseline);
+  const after = indexCases(current);
+  const comparison = {
+    metrics,
+    regressions: [],
+    fixes: [],
+    changedReplies: [],
+    addedCases: [...after.keys()].filter(key => !before.has(key)),
+    removedCases: [...before.keys()].filter(key => !after.has(key))
+  };
+
+  after.forEach((item, key) => {
+    const previous = before.get(key);
+    if (!previous) {
+      return;
+    }
+
+    if (previous.status === CASE_STATUS.PASSED && item.status === CASE_STATUS.FAILED) {
+      comparison.regressions.push(key);
+    } else if (previous.status === CASE_STATUS.FAILED && item.status === CASE_STATUS.PASSED) {
+      comparison.fixes.push(key);
+    }
+
+    item.turns.forEach((turn, index) => {
+      const previousReply = previous.turns[index]?.reply ?? null;
+      if (previousReply !== (turn.reply ?? null)) {
+        comparison.changedReplies.push({ case: key, turn: index + 1, baseline: previousReply, current: turn.reply ?? null });
+      }
+    });
+  });
+
+  return comparison;
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format an accuracy or rate as a percentage
+ * @param {number|null} value - Rate between 0 and 1
+ * @returns {string} Percentage
+ */
+function formatRate(value) {
+  return value == null ? '–' : `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Format a rate delta as signed percentage points
+ * @param {number|null} value - Delta between -1 and 1
+ * @returns {string} Delta
+ */
+function formatDelta(value) {
+  if (value == null) {
+    return '';
+  }
+  return `${value > 0 ? '+' : ''}${(value * 100).toFixed(1)} pt`;
+}
+
+/**
+ * Render a report as a self-contained HTML page
+ * @param {Object} report - Report
+ * @param {Object} comparison - Comparison with a baseline (optional, see compareReports)
+ * @returns {string} HTML
+ */
+function renderHtml(report, comparison = null) {
+  const { summary } = report;
+  const metricRows = [['passRate', summary.passRate], ...Object.entries(summary.metrics).map(([type, metric]) => [type, metric.accuracy])]
+    .map(([name, value]) => `<tr><td>${escapeHtml(name)}</td><td>${formatRate(value)}</td>` +
+      `<td>${escapeHtml(formatDelta(comparison?.metrics[name]?.delta))}</td></tr>`)
+    .join('\n');
+
+  const list = (title, items) => items.length === 0 ? '' :
+    `<h3>${escapeHtml(title)}</h3><ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+
+  const comparisonHtml = !comparison ? '' : `<section><h2>Compared with the baseline</h2>
+${list('Regressions', comparison.regressions)}
+${list('Fixes', comparison.fixes)}
+${list('Added cases', comparison.addedCases)}
+${list('Removed cases', comparison.removedCases)}
+${comparison.changedReplies.length === 0 ? '' : `<h3>Changed replies</h3><table>
+<tr><th>Case</th><th>Turn</th><th>Baseline</th><th>Current</th></tr>
+${comparison.changedReplies.map(change => `<tr><td>${escapeHtml(change.case)}</td><td>${change.turn}</td>` +
+    `<td>${escapeHtml(change.baseline)}</td><td>${escapeHtml(change.current)}</td></tr>`).join('\n')}
+</table>`}</section>`;
+
+  const caseHtml = report.datasets.map(dataset => `<section><h2>${escapeHtml(dataset.name)}</h2>
+${dataset.cases.map(item => `<details class="${item.status}"${item.status === CASE_STATUS.FAILED ? ' open' : ''}>
+<summary>${escapeHtml(item.id)} <span class="status">${item.status}</span> <small>${escapeHtml(item.target)}</small></summary>
+${item.reason ? `<p>${escapeHtml(item.reason)}</p>` : ''}
+${item.turns.map(turn => `<div class="turn">
+<p><b>Customer:</b> ${escapeHtml(turn.user)}</p>
+<p><b>Reply:</b> ${turn.error ? `<span class="failed">Error: ${escapeHtml(turn.error)}</span>` : escapeHtml(turn.reply)}</p>
+<ul>${turn.checks.map(check => `<li class="${check.skipped ? 'skipped' : check.passed ? 'passed' : 'failed'}">` +
+    `${escapeHtml(check.name)}${check.passed || check.skipped ? '' : ` (expected ${escapeHtml(JSON.stringify(check.expected))}, got ${escapeHtml(JSON.stringify(check.actual))})`}` +
+    `${check.reason ? ` – ${escapeHtml(check.reason)}` : ''}</li>`).join('')}</ul>
+</div>`).join('\n')}
+</details>`).join('\n')}
+</section>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Evaluation ${escapeHtml(report.runId)}</title>
+<style>
+body{font-family:system-ui,sans-serif;margin:2rem;color:#222}
+table{border-collapse:collapse}td,th{border:1px solid #ccc;padding:.25rem .5rem;text-align:left;vertical-align:top}
+.passed{color:#1a7f37}.failed{color:#cf222e}.skipped{color:#777}
+details{margin:.5rem 0}summary{cursor:pointer}.turn{margin-left:1rem;border-left:3px solid #eee;padding-left:.75rem;color:#222}
+</style></head><body>
+<h1>Evaluation ${escapeHtml(report.runId)}</h1>
+<p>Model: ${escapeHtml(report.model)} · Judge: ${escapeHtml(report.judgeModel || 'none')} · Started: ${escapeHtml(report.startedAt)}</p>
+<p>Cases: ${summary.cases} · passed ${summary.passed} · failed ${summary.failed} · skipped ${summary.skipped}</p>
+<table><tr><th>Metric</th><th>Value</th><th>Change</th></tr>
+${metricRows}
+</table>
+${comparisonHtml}
+${caseHtml}
+</body></html>
+`;
+}
+
+/**
+ * Save a report as JSON and HTML
+ * @param {Object} report - Report
+ * @param {string} outDir - Directory (created if missing)
+ * @param {Object} comparison - Comparison with a baseline, included in both files (optional)
+ * @returns {Object} { jsonPath, htmlPath }
+ */
+function writeReport(report, outDir, comparison = null) {
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const jsonPath = path.join(outDir, `eval-${report.runId}.json`);
+  const htmlPath = path.join(outDir, `eval-${report.runId}.html`);
+
+  fs.writeFileSync(jsonPath, `${JSON.stringify(comparison ? { ...report, comparison } : report, null, 2)}\n`);
+  fs.writeFileSync(htmlPath, renderHtml(report, comparison));
+
+  return { jsonPath, htmlPath };
+}
+
+module.exports = {
+  compareReports,
+  renderHtml,
+  writeReport
+};
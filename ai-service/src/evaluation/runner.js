@@ -0,0 +1,210 @@
+/**
+ * Evaluation runner
+ * Replays golden conversations through their targets and scores every turn.
+ * With the stub model (default) replies are scripted by the dataset, so runs
+ * are deterministic and offline; with a real model the same datasets measure
+ * the live prompts and models.
+ */
+const routingService = require('../services/routingService');
+const stubModel = require('./stubModel');
+const { createAiTarget, createAutoReplyTarget } = require('./targets');
+const { scoreTurn, judgeReply, summarizeChecks } = require('./scorers');
+
+// Model options besides a model id
+const STUB_MODEL = 'stub'; // Deterministic stub model scripted by the datasets
+const ROUTED_MODEL = 'routed'; // Models selected by the configured routing policy
+
+const CASE_STATUS = {
+  PASSED: 'passed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+/**
+ * Point the targets at the model under evaluation
+ * @param {string} model - 'stub', 'routed' or a model id
+ * @param {Object} targets - Targets by name
+ * @returns {Function} Restores the previous models
+ */
+function useModel(model, targets) {
+  const previousPolicy = routingService.getPolicy();
+
+  if (model === STUB_MODEL) {
+    routingService.setPolicy({ defaultModel: stubModel.registerStubModel(), rules: [] });
+  } else if (model !== ROUTED_MODEL) {
+    // Throws for unknown models
+    routingService.setPolicy({ defaultModel: model, rules: [] });
+  }
+
+  // The auto-reply service has its own Gemini model: stubbed, or left as configured
+  Object.values(targets).forEach(target => target.useModel(model === STUB_MODEL ? stubModel.geminiStub : null));
+
+  return () => {
+    routingService.setPolicy(previousPolicy);
+    Object.values(targets).forEach(target => target.useModel(null));
+  };
+}
+
+/**
+ * Replay a case (one conversation)
+ * @param {Object} testCase - Normalized case
+ * @param {Object} dataset - Dataset of the case
+ * @param {Object} context - { target, runId, model, judgeModel, aiService }
+ * @returns {Promise<Object>} Case result { id, target, status, reason, turns }
+ */
+async function runCase(testCase, dataset, { target, runId, model, judgeModel, aiService }) {
+  const result = { id: testCase.id, target: testCase.target, status: CASE_STATUS.PASSED, reason: null, turns: [] };
+
+  if (!target.available) {
+    return { ...result, status: CASE_STATUS.SKIPPED, reason: target.reason };
+  }
+
+  // A user per run and case, so conversations never share context, caches or dialogs
+  const session = {
+    userId: `eval:${runId}:${dataset.name}:${testCase.id}`,
+    platform: testCase.platform,
+    tenantId: testCase.tenantId
+  };
+  const conversation = [];
+
+  for (const turn of testCase.turns) {
+    if (model === STUB_MODEL) {
+      stubModel.setScript({ replies: turn.stub, rules: dataset.stubRules });
+    }
+
+    const turnResult = { user: turn.user, reply: null, error: null, checks: [] };
+
+    try {
+      const outcome = await target.run(turn, session);
+      Object.assign(turnResult, {
+        reply: outcome.text,
+        intent: outcome.intent,
+        matchType: outcome.matchType,
+        ruleId: outcome.ruleId,
+        intentName: outcome.intentName,
+        model: outcome.model,
+        promptTemplates: outcome.promptTemplates
+      });
+
+      conversation.push({ role: 'customer', text: turn.user });
+      turnResult.checks = scoreTurn(turn.expect, outcome);
+
+      if (turn.expect.judge) {
+        turnResult.checks.push(await judgeReply(turn.expect.judge, { conversation, reply: outcome.text }, {
+          aiService,
+          model: judgeModel
+        }));
+      }
+
+      conversation.push({ role: 'assistant', text: outcome.text });
+    } catch (error) {
+      turnResult.error = error.message;
+    }
+
+    if (turnResult.error || turnResult.checks.some(item => !item.skipped && !item.passed)) {
+      result.status = CASE_STATUS.FAILED;
+    }
+    result.turns.push(turnResult);
+  }
+
+  return result;
+}
+
+/**
+ * Run datasets and build the report
+ * @param {Array<Object>} datasets - Normalized datasets (see datasets.loadDatasets)
+ * @param {Object} options
+ * @param {string} options.model - 'stub' (default), 'routed' or a model id
+ * @param {string} options.judgeModel - Model id of the LLM judge (judge checks are skipped without one)
+ * @param {string} options.target - Only run the cases of this target (optional)
+ * @param {string} options.runId - Run identifier (defaults to a timestamp)
+ * @param {Object} options.aiService - AI service (defaults to the real one; injected by tests)
+ * @param {Object} options.targets - Targets by name (defaults to the ai and auto_reply targets; injected by tests)
+ * @param {Function} options.onCase - Called with (datasetName, caseResult) after each case (optional)
+ * @returns {Promise<Object>} Report { runId, model, judgeModel, startedAt, summary, datasets }
+ */
+async function runEvaluation(datasets, options = {}) {
+  const {
+    model = STUB_MODEL,
+    judgeModel = null,
+    target: onlyTarget = null,
+    runId = Date.now().toString(36),
+    onCase = null
+  } = options;
+  // Required lazily: loading the AI service starts its models and clients
+  const aiService = options.aiService || require('../services/aiService');
+  const targets = options.targets || {
+    ai: createAiTarget(aiService),
+    auto_reply: createAutoReplyTarget()
+  };
+
+  const startedAt = new Date().toISOString();
+  const restoreModel = useModel(model, targets);
+  const datasetResults = [];
+
+  try {
+    for (const dataset of datasets) {
+      const cases = [];
+
+      for (const testCase of dataset.cases) {
+        if (onlyTarget && testCase.target !== onlyTarget) {
+          continue;
+        }
+
+        const caseResult = await runCase(testCase, dataset, {
+          target: targets[testCase.target],
+          runId,
+          model,
+          judgeModel,
+          aiService
+        });
+        cases.push(caseResult);
+
+        if (onCase) {
+          onCase(dataset.name, caseResult);
+        }
+      }
+
+      datasetResults.push({ name: dataset.name, source: dataset.source, cases });
+    }
+  } finally {
+    restoreModel();
+  }
+
+  return {
+    runId,
+    model,
+    judgeModel,
+    startedAt,
+    summary: summarize(datasetResults),
+    datasets: datasetResults
+  };
+}
+
+/**
+ * Summarize the case results of a run
+ * @param {Array<Object>} datasetResults - Results by dataset
+ * @returns {Object} { cases, passed, failed, skipped, passRate, metrics }
+ */
+function summarize(datasetResults) {
+  const cases = datasetResults.flatMap(dataset => dataset.cases);
+  const count = status => cases.filter(item => item.status === status).length;
+  const passed = count(CASE_STATUS.PASSED);
+  const failed = count(CASE_STATUS.FAILED);
+
+  return {
+    cases: cases.length,
+    passed,
+    failed,
+    skipped: count(CASE_STATUS.SKIPPED),
+    passRate: passed + failed > 0 ? Math.round((passed / (passed + failed)) * 10000) / 10000 : null,
+    metrics: summarizeChecks(cases.flatMap(item => item.turns.flatMap(turn => turn.checks)))
+  };
+}
+
+module.exports = {
+  STUB_MODEL,
+  ROUTED_MODEL,
+  CASE_STATUS,
+  runEvaluation
+};
@@ -0,0 +1,175 @@
+/**
+ * Scoring of replayed turns against the expectations of a golden conversation
+ * Every expectation becomes a check { type, name, passed, skipped, expected, actual };
+ * metrics are grouped by check type.
+ */
+const promptService = require('../services/promptService');
+const { FEATURES } = require('../services/usageService');
+const { compilePattern } = require('./datasets');
+
+const CHECK_TYPES = {
+  INTENT: 'intent',
+  RULE_MATCH: 'rule_match',
+  KEYWORD: 'keyword',
+  REGEX: 'regex',
+  JUDGE: 'judge'
+};
+
+// Lowest judge score (1-5) that passes, unless the turn sets minScore
+const DEFAULT_JUDGE_MIN_SCORE = 4;
+
+/**
+ * Build a check result
+ * @param {string} type - Check type (see CHECK_TYPES)
+ * @param {string} name - What was checked
+ * @param {boolean} passed - Whether the check passed
+ * @param {*} expected - Expected value
+ * @param {*} actual - Actual value
+ * @returns {Object} Check
+ */
+function check(type, name, passed, expected, actual) {
+  return { type, name, passed, skipped: false, expected, actual: actual ?? null };
+}
+
+/**
+ * Run the deterministic checks of a turn (everything but the judge)
+ * @param {Object} expect - Normalized expectations of the turn
+ * @param {Object} outcome - Replayed turn { text, intent, matchType, ruleId, intentName }
+ * @returns {Array<Object>} Checks
+ */
+function scoreTurn(expect, outcome) {
+  const checks = [];
+  const text = outcome.text || '';
+  const lowerText = text.toLowerCase();
+
+  if (expect.intent !== undefined) {
+    checks.push(check(CHECK_TYPES.INTENT, 'intent', (outcome.intent ?? null) === expect.intent,
+      expect.intent, outcome.intent));
+  }
+
+  ['matchType', 'ruleId', 'intentName'].forEach(field => {
+    if (expect[field] !== undefined) {
+      // Rule ids come back from the database as numbers or strings
+      const passed = String(outcome[field] ?? null) === String(expect[field]);
+      checks.push(check(CHECK_TYPES.RULE_MATCH, field, passed, expect[field], outcome[field]));
+    }
+  });
+
+  (expect.contains || []).forEach(keyword => {
+    checks.push(check(CHECK_TYPES.KEYWORD, `contains "${keyword}"`,
+      lowerText.includes(keyword.toLowerCase()), keyword, null));
+  });
+
+  (expect.notContains || []).forEach(keyword => {
+    checks.push(check(CHECK_TYPES.KEYWORD, `does not contain "${keyword}"`,
+      !lowerText.includes(keyword.toLowerCase()), keyword, null));
+  });
+
+  (expect.matches || []).forEach(pattern => {
+    checks.push(check(CHECK_TYPES.REGEX, `matches ${pattern}`, compilePattern(pattern).test(text), pattern, null));
+  });
+
+  (expect.notMatches || []).forEach(pattern => {
+    checks.push(check(CHECK_TYPES.REGEX, `does not match ${pattern}`, !compilePattern(pattern).test(text), pattern, null));
+  });
+
+  return checks;
+}
+
+/**
+ * Parse the judge model's answer
+ * @param {string} text - Model output, expected to contain {"score": n, "reason": "..."}
+ * @returns {Object|null} { score, reason } or null if it has no valid score
+ */
+function parseJudgement(text) {
+  const json = /\{[\s\S]*\}/.exec(text || '');
+  if (!json) {
+    return null;
+  }
+
+  try {
+    const { score, reason } = JSON.parse(json[0]);
+    const value = Number(score);
+    return value >= 1 && value <= 5 ? { score: value, reason: String(reason || '') } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Grade a reply with a judge model (LLM-as-judge)
+ * Skipped (not failed) without a judge model, so stub runs stay offline.
+ * @param {Object} judge - Expectation { criteria, minScore }
+ * @param {Object} turn - { conversation: Array<{ role, text }>, reply }
+ * @param {Object} options
+ * @param {Object} options.aiService - Service exposing generateText
+ * @param {string|null} options.model - Judge model id
+ * @returns {Promise<Object>} Judge check, with the score and the judge's reason
+ */
+async function judgeReply(judge, { conversation, reply }, { aiService, model }) {
+  const minScore = judge.minScore ?? DEFAULT_JUDGE_MIN_SCORE;
+  const name = `judge: ${judge.criteria}`;
+
+  if (!model) {
+    return { ...check(CHECK_TYPES.JUDGE, name, true, minScore, null), skipped: true, reason: 'No judge model' };
+  }
+
+  try {
+    const prompt = await promptService.renderPrompt('eval.judge', {
+      variables: {
+        criteria: judge.criteria,
+        conversation: conversation.map(message => `${message.role}: ${message.text}`).join('\n'),
+        reply: reply || ''
+      }
+    });
+    const response = await aiService.generateText(prompt.text, { model, feature: FEATURES.EVALUATION });
+    const judgement = parseJudgement(response.text);
+
+    if (!judgement) {
+      return { ...check(CHECK_TYPES.JUDGE, name, false, minScore, null), reason: 'Unreadable judgement' };
+    }
+
+    return {
+      ...check(CHECK_TYPES.JUDGE, name, judgement.score >= minScore, minScore, judgement.score),
+      reason: judgement.reason
+    };
+  } catch (error) {
+    return { ...check(CHECK_TYPES.JUDGE, name, false, minScore, null), reason: `Judge failed: ${error.message}` };
+  }
+}
+
+/**
+ * Summarize checks per type
+ * @param {Array<Object>} checks - Checks
+ * @returns {Object} { [type]: { passed, failed, skipped, accuracy } }, accuracy over the checks that ran
+ */
+function summarizeChecks(checks) {
+  const metrics = {};
+
+  Object.values(CHECK_TYPES).forEach(type => {
+    const ofType = checks.filter(item => item.type === type);
+    if (ofType.length === 0) {
+      return;
+    }
+
+    const ran = ofType.filter(item => !item.skipped);
+    const passed = ran.filter(item => item.passed).length;
+    metrics[type] = {
+      passed,
+      failed: ran.length - passed,
+      skipped: ofType.length - ran.length,
+      accuracy: ran.length > 0 ? Math.round((passed / ran.length) * 10000) / 10000 : null
+    };
+  });
+
+  return metrics;
+}
+
+module.exports = {
+  CHECK_TYPES,
+  DEFAULT_JUDGE_MIN_SCORE,
+  scoreTurn,
+  parseJudgement,
+  judgeReply,
+  summarizeChecks
+};
@@ -0,0 +1,111 @@
+/**
+ * Deterministic stub model for offline evaluation
+ * Replies with the text scripted for the current turn of a golden conversation
+ * (in call order, for turns that call the model more than once, e.g. tool
+ * rounds), else with the first dataset rule whose pattern matches the prompt,
+ * else with a fixed echo of the last line of the prompt. Token counts are
+ * estimated, cost is zero.
+ */
+const providerRegistry = require('../services/providers');
+const modelRegistry = require('../services/modelRegistry');
+const { estimateTokens } = require('../services/usageService');
+
+const STUB_MODEL_ID = 'eval-stub';
+
+// Script of the turn being replayed
+const script = {
+  replies: [],
+  rules: []
+};
+
+/**
+ * Script the replies of the next turn
+ * @param {Object} turnScript - Script
+ * @param {Array<string>} turnScript.replies - Replies in call order (optional)
+ * @param {Array<Object>} turnScript.rules - Dataset rules [{ match: RegExp, reply }] (optional)
+ * @returns {void}
+ */
+function setScript({ replies = [], rules = [] } = {}) {
+  script.replies = [...replies];
+  script.rules = rules;
+}
+
+/**
+ * Produce the stub's reply to a prompt
+ * @param {string} prompt - Prompt
+ * @returns {string} Reply
+ */
+function reply(prompt) {
+  if (script.replies.length > 0) {
+    return script.replies.shift();
+  }
+
+  const rule = script.rules.find(candidate => candidate.match.test(prompt));
+  if (rule) {
+    return rule.reply;
+  }
+
+  const lines = String(prompt).split('\n').map(line => line.trim()).filter(Boolean);
+  return `[stub] ${lines[lines.length - 1] || ''}`;
+}
+
+/**
+ * Model provider backed by the script
+ */
+const stubProvider = {
+  name: STUB_MODEL_ID,
+  isConfigured: () => true,
+  async generate(model, prompt) {
+    const text = reply(prompt);
+    return {
+      text,
+      usage: { tokensInput: estimateTokens(prompt), tokensOutput: estimateTokens(text) }
+    };
+  },
+  async *generateStream(model, prompt) {
+    yield reply(prompt);
+  }
+};
+
+/**
+ * Gemini-compatible model backed by the script, for AutoReplyService.useModel
+ */
+const geminiStub = {
+  async generateContent(prompt) {
+    const text = reply(prompt);
+    return {
+      response: {
+        text: () => text,
+        usageMetadata: { promptTokenCount: estimateTokens(prompt), candidatesTokenCount: estimateTokens(text) }
+      }
+    };
+  }
+};
+
+/**
+ * Register the stub provider and model (once)
+ * @returns {string} Model id to route to
+ */
+function registerStubModel() {
+  if (!modelRegistry.getModel(STUB_MODEL_ID)) {
+    providerRegistry.registerProvider(stubProvider);
+    modelRegistry.registerModel({
+      id: STUB_MODEL_ID,
+      provider: STUB_MODEL_ID,
+      providerModel: STUB_MODEL_ID,
+      params: {},
+      limits: { contextWindow: 1048576, maxOutputTokens: 2048 },
+      cost: { input: 0, output: 0 },
+      capabilities: ['chat', 'multilingual']
+    });
+  }
+
+  return STUB_MODEL_ID;
+}
+
+module.exports = {
+  STUB_MODEL_ID,
+  setScript,
+  registerStubModel,
+  geminiStub
+};
@@ -0,0 +1,101 @@
+/**
+ * Evaluation targets: the reply pipelines golden conversations are replayed through
+ *   ai          aiService.processMessage (this service)
+ *   auto_reply  AutoReplyService.processMessage of the main server (rules, intents, knowledge)
+ * Each target answers a turn with an outcome { text, intent, matchType, ruleId, intentName, model, promptTemplates }.
+ */
+const path = require('path');
+
+// AutoReplyService of the main server in this repository
+const DEFAULT_AUTO_REPLY_MODULE = path.resolve(__dirname, '../../../server/src/services/autoReplyService');
+
+/**
+ * Create the target for aiService.processMessage
+ * @param {Object} aiService - AI service (injected by tests)
+ * @returns {Object} Target { name, available, reason, useModel, run }
+ */
+function createAiTarget(aiService) {
+  return {
+    name: 'ai',
+    available: true,
+    reason: null,
+    // The model is selected by the routing policy, which the runner pins
+    useModel() {},
+    async run(turn, { userId, platform, tenantId }) {
+      const response = await aiService.processMessage({
+        text: turn.user,
+        userId,
+        platform,
+        tenantId: tenantId || undefined
+      });
+
+      return {
+        text: response.text || '',
+        intent: response.intent || null,
+        matchType: response.handoff ? 'handoff' : null,
+        ruleId: null,
+        intentName: response.intent || null,
+        model: response.model || null,
+        promptTemplates: (response.promptTemplates || []).map(template => `${template.name}@${template.version}`)
+      };
+    }
+  };
+}
+
+/**
+ * Create the target for the main server's AutoReplyService
+ * The server's dependencies and Supabase configuration must be available;
+ * otherwise the target is unavailable and its cases are skipped.
+ * @param {Object} options
+ * @param {string} options.modulePath - Module exporting the AutoReplyService instance (defaults to the server's)
+ * @param {Object} options.service - AutoReplyService instance (injected by tests, skips loading)
+ * @returns {Object} Target { name, available, reason, useModel, run }
+ */
+function createAutoReplyTarget({ modulePath = DEFAULT_AUTO_REPLY_MODULE, service = null } = {}) {
+  let autoReplyService = service;
+  let reason = null;
+
+  if (!autoReplyService) {
+    try {
+      autoReplyService = require(modulePath);
+    } catch (error) {
+      reason = `AutoReplyService could not be loaded: ${error.message.split('\n')[0]}`;
+    }
+  }
+
+  return {
+    name: 'auto_reply',
+    available: !!autoReplyService,
+    reason,
+    // Gemini-compatible model (the stub), or null for the server's configured model
+    useModel(model) {
+      if (typeof autoReplyService?.useModel === 'function') {
+        autoReplyService.useModel(model);
+      }
+    },
+    async run(turn, { userId, platform, tenantId }) {
+      const reply = await autoReplyService.processMessage({
+        text: turn.user,
+        platform,
+        sender: { id: userId, name: 'Eval Customer' },
+        timestamp: new Date()
+      }, { tenantId });
+
+      return {
+        text: reply?.text || '',
+        intent: reply?.intentName || null,
+        matchType: reply?.matchType || null,
+        ruleId: reply?.ruleId ?? null,
+        intentName: reply?.intentName || null,
+        model: null,
+        promptTemplates: (reply?.promptTemplates || []).map(template => `${template.name}@${template.version}`)
+      };
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_AUTO_REPLY_MODULE,
+  createAiTarget,
+  createAutoReplyTarget
+};
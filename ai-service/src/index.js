@@ -17,15 +17,20 @@ const intentRoutes = require('./routes/intent');
 const autoReplyRoutes = require('./routes/autoReply');
 const abTestRoutes = require('./routes/abTest');
 const analyticsRoutes = require('./routes/analytics');
+const routingRoutes = require('./routes/routing');
+const knowledgeRoutes = require('./routes/knowledge');
+const toolRoutes = require('./routes/tools');
+const handoffRoutes = require('./routes/handoff');
+const promptRoutes = require('./routes/prompts');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 const { authMiddleware } = require('./middleware/auth');
-const { recordModelUsage } = require('./middleware/analyticsMiddleware');
 
 // Import services
 const intentService = require('./services/intentService');
 const aiService = require('./services/aiService');
+const { registerMessageHandlers } = require('./services/messageHandlers');
 
 // Setup winston logger
 const logger = winston.createLogger({
@@ -52,10 +57,10 @@ const app = express();
 // Basic middleware
 app.use(helmet()); // Security headers
 app.use(cors()); // Enable CORS
-app.use(express.json()); // Parse JSON bodies
+// Parse JSON bodies (knowledge base uploads are parsed by the knowledge router with a larger limit, after authentication)
+app.use(express.json({ type: req => !knowledgeRoutes.isUploadRequest(req) && !!req.is('application/json') }));
 app.use(morgan('combined')); // HTTP request logging
 app.use(compression());
-app.use(recordModelUsage); // 添加分析中间件
 
 // Inject logger into request object
 app.use((req, res, next) => {
@@ -72,6 +77,11 @@ app.use('/intent', authMiddleware, intentRoutes);
 app.use('/auto-reply', authMiddleware, autoReplyRoutes);
 app.use('/ab-test', authMiddleware, abTestRoutes);
 app.use('/analytics', authMiddleware, analyticsRoutes);
+app.use('/routing', authMiddleware, routingRoutes);
+app.use('/knowledge', authMiddleware, knowledgeRoutes);
+app.use('/tools', authMiddleware, toolRoutes);
+app.use('/handoff', authMiddleware, handoffRoutes);
+app.use('/prompts', authMiddleware, promptRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -119,132 +129,13 @@ if (messageQueue) {
       logger.info('Message queue initialized');
       
       // 设置消息队列消费者
-      setupMessageQueueConsumers(messageQueue, logger);
+      return registerMessageHandlers(messageQueue, logger);
     })
     .catch((err) => {
       logger.error('Failed to initialize message queue', err);
     });
 }
 
-/**
- * Set up message queue consumers for various message types
- * @param {Object} queue - Message queue instance
- * @param {Object} logger - Logger instance
- */
-function setupMessageQueueConsumers(queue, logger) {
-  // AI request handler
-  queue.consumeMessages('ai.request', async (msg) => {
-    try {
-      const data = JSON.parse(msg.content.toString());
-      logger.debug(`Received ai.request message: ${data.type}`);
-      
-      // Process different types of AI requests
-      if (data.type === 'message') {
-        // Process a chat message
-        const response = await aiService.processMessage({
-          text: data.text,
-          userId: data.userId,
-          sessionId: data.sessionId,
-          platform: data.platform,
-          context: data.context
-        });
-        
-        // Send response back if replyTo is provided
-        if (data.replyTo) {
-          await queue.sendMessage(data.replyTo, {
-            type: 'response',
-            messageId: response.messageId,
-            text: response.text,
-            intent: response.intent,
-            requestId: data.requestId
-          });
-        }
-      }
-      else if (data.type === 'intent') {
-        // Process an intent recognition request
-        const intentResult = await intentService.recognizeIntent(
-          data.text,
-          data.modelId || 'default',
-          data.context
-        );
-        
-        // Send response back if replyTo is provided
-        if (data.replyTo) {
-          await queue.sendMessage(data.replyTo, {
-            type: 'intent_result',
-            intent: intentResult.intent,
-            confidence: intentResult.confidence,
-            allIntents: intentResult.allIntents,
-            requestId: data.requestId
-          });
-        }
-      }
-      
-      // Acknowledge message
-      queue.channel.ack(msg);
-    } catch (error) {
-      logger.error('Error processing queued message', error);
-      // Reject message
-      queue.channel.nack(msg, false, false);
-    }
-  });
-  
-  // Feedback handler
-  queue.consumeMessages('ai.feedback', async (msg) => {
-    try {
-      const feedback = JSON.parse(msg.content.toString());
-      logger.debug(`Received feedback for message ${feedback.messageId}`);
-      
-      // Process the feedback
-      await aiService.recordFeedback(
-        feedback.messageId,
-        feedback.userId,
-        feedback.rating,
-        feedback.comment
-      );
-      
-      // Acknowledge message
-      queue.channel.ack(msg);
-    } catch (error) {
-      logger.error('Error processing feedback message', error);
-      // Reject message
-      queue.channel.nack(msg, false, false);
-    }
-  });
-  
-  // Intent training handler
-  queue.consumeMessages('ai.train_intent', async (msg) => {
-    try {
-      const training = JSON.parse(msg.content.toString());
-      logger.debug(`Received intent training for ${training.intent}`);
-      
-      // Train the intent model
-      const success = await intentService.trainIntent(
-        training.intent,
-        training.examples,
-        training.modelId || 'default'
-      );
-      
-      // Send response back if replyTo is provided
-      if (training.replyTo) {
-        await queue.sendMessage(training.replyTo, {
-          type: 'training_result',
-          intent: training.intent,
-          success,
-          requestId: training.requestId
-        });
-      }
-      
-      // Acknowledge message
-      queue.channel.ack(msg);
-    } catch (error) {
-      logger.error('Error processing intent training message', error);
-      // Reject message
-      queue.channel.nack(msg, false, false);
-    }
-  });
-}
-
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received. Shutting down gracefully');
@@ -252,12 +143,11 @@ process.on('SIGTERM', () => {
     logger.info('HTTP server closed');
     
     // Close message queue connection if it exists
-    if (messageQueue && messageQueue.connection) {
-      messageQueue.connection.close();
-      logger.info('Message queue connection closed');
-    }
-    
-    process.exit(0);
+    const closeQueue = messageQueue ? messageQueue.close() : Promise.resolve();
+    closeQueue
+      .then(() => messageQueue && logger.info('Message queue connection closed'))
+      .catch(err => logger.error('Error closing message queue', err))
+      .finally(() => process.exit(0));
   });
 });
 
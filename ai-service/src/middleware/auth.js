@@ -2,10 +2,14 @@
  * Authentication middleware for the AI Service
  */
 const jwt = require('jsonwebtoken');
+const { ApiError } = require('./errorHandler');
 
 // Environment variables
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 
+// Roles that may act for any tenant
+const PRIVILEGED_ROLES = ['admin', 'service'];
+
 /**
  * Middleware to validate JWT token
  * @param {Object} req - Express request object
@@ -93,7 +97,46 @@ const roleCheck = (roles) => {
   };
 };
 
+/**
+ * Check whether the user may act for any tenant
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {boolean} True for admins and other services
+ */
+const isPrivileged = (user) => PRIVILEGED_ROLES.includes(user?.role);
+
+/**
+ * Get the tenant a request acts for
+ * Admins and other services may act for any tenant by passing tenantId;
+ * everyone else acts for their own tenant, whatever they pass.
+ * @param {Object} req - Express request object
+ * @param {Object} options - Options
+ * @param {string} options.requested - Requested tenant (defaults to tenantId of the body or query)
+ * @param {Array<string>} options.allowAll - Privileged roles that act for every tenant when none is requested
+ * @returns {string|null} Tenant ID, null when acting for every tenant
+ */
+const getTenantId = (req, { requested, allowAll = [] } = {}) => {
+  const requestedTenant = requested || req.body?.tenantId || req.query?.tenantId;
+
+  if (isPrivileged(req.user)) {
+    if (requestedTenant) {
+      return requestedTenant;
+    }
+
+    if (allowAll.includes(req.user.role)) {
+      return null;
+    }
+  }
+
+  if (!req.user?.id) {
+    throw new ApiError('Tenant could not be determined', 400);
+  }
+
+  return req.user.id;
+};
+
 module.exports = {
   authMiddleware,
-  roleCheck
+  roleCheck,
+  isPrivileged,
+  getTenantId
 }; 
\ No newline at end of file
@@ -36,11 +36,29 @@ CREATE TABLE IF NOT EXISTS ab_test_results (
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
+-- Stopping rule and outcome of a test (for tables created before these columns existed)
+ALTER TABLE ab_tests ADD COLUMN IF NOT EXISTS stopping_rule JSONB; -- { type: bayesian|sequential, metric, ... }
+ALTER TABLE ab_tests ADD COLUMN IF NOT EXISTS winning_model TEXT;
+ALTER TABLE ab_tests ADD COLUMN IF NOT EXISTS ended_reason TEXT;
+
+-- Prompt/parameter variants and targeting; assignments and results record the variant
+ALTER TABLE ab_tests ADD COLUMN IF NOT EXISTS variants JSONB; -- [{ id, model, systemPrompt, temperature, topP, contextWindow, formatOptions, allocation }]
+ALTER TABLE ab_tests ADD COLUMN IF NOT EXISTS targeting JSONB; -- { platforms: [...], plans: [...] }
+ALTER TABLE ab_test_assignments ADD COLUMN IF NOT EXISTS variant TEXT;
+ALTER TABLE ab_test_assignments ALTER COLUMN model DROP NOT NULL; -- Variants may leave the model to the routing policy
+ALTER TABLE ab_test_results ADD COLUMN IF NOT EXISTS variant TEXT;
+ALTER TABLE ab_test_results ALTER COLUMN model DROP NOT NULL;
+
+-- Experiment type: fixed-split A/B test or multi-armed bandit
+ALTER TABLE ab_tests ADD COLUMN IF NOT EXISTS type TEXT NOT NULL DEFAULT 'ab'; -- ab | bandit
+ALTER TABLE ab_tests ADD COLUMN IF NOT EXISTS bandit JSONB; -- { algorithm, explorationCap, minSamplesPerArm, latencyWeight, latencyTargetMs, ucbExploration, seed }
+
 -- Create indexes for faster lookups
 CREATE INDEX IF NOT EXISTS idx_ab_tests_status ON ab_tests(status);
 CREATE INDEX IF NOT EXISTS idx_ab_test_assignments_user_id ON ab_test_assignments(user_id);
 CREATE INDEX IF NOT EXISTS idx_ab_test_results_test_id ON ab_test_results(test_id);
 CREATE INDEX IF NOT EXISTS idx_ab_test_results_user_id ON ab_test_results(user_id);
+CREATE INDEX IF NOT EXISTS idx_ab_test_results_message_id ON ab_test_results(test_id, message_id);
 
 -- Trigger to update updated_at column
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -7,13 +7,31 @@ CREATE TABLE IF NOT EXISTS model_usage (
   model TEXT NOT NULL,
   message_id TEXT NOT NULL,
   user_id TEXT,
+  feature TEXT NOT NULL DEFAULT 'chat',
   tokens_input INTEGER NOT NULL DEFAULT 0,
   tokens_output INTEGER NOT NULL DEFAULT 0,
+  cost NUMERIC(12, 6) NOT NULL DEFAULT 0,
   processing_time INTEGER NOT NULL DEFAULT 0,
   success BOOLEAN NOT NULL DEFAULT TRUE,
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
+-- Cost accounting columns for databases created before they were added
+ALTER TABLE model_usage ADD COLUMN IF NOT EXISTS feature TEXT NOT NULL DEFAULT 'chat';
+ALTER TABLE model_usage ADD COLUMN IF NOT EXISTS cost NUMERIC(12, 6) NOT NULL DEFAULT 0;
+-- Prompt template versions the prompt was built from ([{ name, version, language, source }])
+ALTER TABLE model_usage ADD COLUMN IF NOT EXISTS prompt_templates JSONB NOT NULL DEFAULT '[]';
+
+-- Per-user AI budget overrides (plan budgets live in config/budgets.js)
+CREATE TABLE IF NOT EXISTS ai_budgets (
+  user_id TEXT PRIMARY KEY,
+  monthly_tokens BIGINT,
+  monthly_cost NUMERIC(12, 6),
+  max_tokens_per_request INTEGER,
+  on_exhausted TEXT CHECK (on_exhausted IN ('block', 'downgrade')),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
 -- Table for response metrics
 CREATE TABLE IF NOT EXISTS response_metrics (
   id UUID PRIMARY KEY,
@@ -30,6 +48,8 @@ CREATE TABLE IF NOT EXISTS response_metrics (
 CREATE INDEX IF NOT EXISTS idx_model_usage_model ON model_usage(model);
 CREATE INDEX IF NOT EXISTS idx_model_usage_user_id ON model_usage(user_id);
 CREATE INDEX IF NOT EXISTS idx_model_usage_created_at ON model_usage(created_at);
+CREATE INDEX IF NOT EXISTS idx_model_usage_feature ON model_usage(feature);
+CREATE INDEX IF NOT EXISTS idx_model_usage_user_month ON model_usage(user_id, created_at);
 
 CREATE INDEX IF NOT EXISTS idx_response_metrics_model ON response_metrics(model);
 CREATE INDEX IF NOT EXISTS idx_response_metrics_user_id ON response_metrics(user_id);
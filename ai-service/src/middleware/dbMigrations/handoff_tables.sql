@@ -0,0 +1,28 @@
+-- Human Handoff Table for AI Service
+-- Run this script in your Supabase SQL editor
+-- Conversations handed from the bot to a human agent (the agent inbox).
+-- Only handoffs are stored: a conversation without an open handoff is handled by the bot.
+
+CREATE TABLE IF NOT EXISTS handoffs (
+  id UUID PRIMARY KEY,
+  tenant_id TEXT,
+  user_id TEXT NOT NULL,
+  session_id TEXT,
+  platform TEXT,
+  state TEXT NOT NULL CHECK (state IN ('bot', 'waiting_for_agent', 'agent')),
+  reasons JSONB NOT NULL DEFAULT '[]',
+  priority REAL NOT NULL DEFAULT 0,
+  agent_id TEXT,
+  messages JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  assigned_at TIMESTAMPTZ,
+  last_agent_activity_at TIMESTAMPTZ,
+  closed_at TIMESTAMPTZ,
+  close_reason TEXT CHECK (close_reason IN ('released', 'inactivity'))
+);
+
+-- Agent inbox: open handoffs of a tenant by priority and age
+CREATE INDEX IF NOT EXISTS idx_handoffs_tenant_queue ON handoffs(tenant_id, state, priority DESC, created_at);
+-- Open handoff of a conversation
+CREATE INDEX IF NOT EXISTS idx_handoffs_conversation ON handoffs(user_id, session_id, state);
@@ -0,0 +1,19 @@
+-- Intent Model Versions for AI Service
+-- Run this script in your Supabase SQL editor to store trained intent classifiers
+-- Each training run of a model stores a new version; exactly one version per model is active
+
+CREATE TABLE IF NOT EXISTS intent_model_versions (
+  model_id TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  classifier JSONB NOT NULL, -- Serialized natural LogisticRegressionClassifier
+  metrics JSONB, -- Held-out evaluation: accuracy, per-intent precision/recall, confusion matrix
+  example_count INTEGER NOT NULL DEFAULT 0,
+  intent_count INTEGER NOT NULL DEFAULT 0,
+  corpus_hash TEXT, -- Hash of the training examples, used to retrain when examples change
+  is_active BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (model_id, version)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_intent_model_versions_active
+  ON intent_model_versions(model_id) WHERE is_active;
@@ -0,0 +1,20 @@
+-- Knowledge Base Tables for AI Service
+-- Run this script in your Supabase SQL editor after vector_tables.sql
+-- Chunks are stored in vector_embeddings under the namespace kb:<tenant_id>
+
+CREATE TABLE IF NOT EXISTS knowledge_sources (
+  id UUID PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('pdf', 'markdown', 'text', 'qa_csv', 'services')),
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'indexing', 'ready', 'failed')),
+  content TEXT,
+  rows JSONB,
+  chunk_count INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  indexed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_sources_tenant_id ON knowledge_sources(tenant_id);
@@ -0,0 +1,24 @@
+-- Prompt Template Table for AI Service
+-- Run this script in your Supabase SQL editor
+-- Versions of the prompt templates (defaults in src/config/prompts.js are version 0).
+-- Rows without tenant_id are global versions, rows with one are a tenant's override.
+-- One version per template and scope is active.
+
+CREATE TABLE IF NOT EXISTS prompt_templates (
+  id UUID PRIMARY KEY,
+  tenant_id TEXT,
+  name TEXT NOT NULL,
+  version INTEGER NOT NULL CHECK (version > 0),
+  description TEXT NOT NULL DEFAULT '',
+  variables JSONB NOT NULL DEFAULT '[]',
+  text TEXT NOT NULL,
+  languages JSONB NOT NULL DEFAULT '{}',
+  is_active BOOLEAN NOT NULL DEFAULT FALSE,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Versions of a template in a scope
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_version ON prompt_templates(COALESCE(tenant_id, ''), name, version);
+-- Active version of a template in a scope
+CREATE INDEX IF NOT EXISTS idx_prompt_templates_active ON prompt_templates(name, tenant_id) WHERE is_active;
@@ -0,0 +1,22 @@
+-- Tool Invocation Audit Table for AI Service
+-- Run this script in your Supabase SQL editor
+-- Every tool the chat assistant calls (including actions waiting for or refused
+-- by the customer) is recorded with its arguments and outcome
+
+CREATE TABLE IF NOT EXISTS tool_invocations (
+  id UUID PRIMARY KEY,
+  user_id TEXT,
+  tenant_id TEXT,
+  session_id TEXT,
+  message_id TEXT,
+  tool TEXT NOT NULL,
+  arguments JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL CHECK (status IN ('success', 'error', 'confirmation_required', 'rejected')),
+  result JSONB,
+  error TEXT,
+  duration_ms INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tool_invocations_tenant_id ON tool_invocations(tenant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_tool_invocations_user_id ON tool_invocations(user_id, created_at DESC);
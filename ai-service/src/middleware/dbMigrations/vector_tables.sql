@@ -0,0 +1,49 @@
+-- Vector Tables for AI Service
+-- Run this script in your Supabase SQL editor to enable semantic retrieval (pgvector)
+-- The vector size must match EMBEDDING_DIMENSIONS (default 768)
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+-- Embedded documents, grouped by namespace (e.g. memory:<user_id>)
+CREATE TABLE IF NOT EXISTS vector_embeddings (
+  id TEXT NOT NULL,
+  namespace TEXT NOT NULL,
+  content TEXT NOT NULL,
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  embedding VECTOR(768) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (namespace, id)
+);
+
+-- Approximate nearest neighbour index for cosine distance
+CREATE INDEX IF NOT EXISTS idx_vector_embeddings_embedding
+  ON vector_embeddings USING hnsw (embedding vector_cosine_ops);
+
+CREATE INDEX IF NOT EXISTS idx_vector_embeddings_namespace ON vector_embeddings(namespace);
+
+-- Most similar documents of a namespace (used by services/vectorStore.js)
+CREATE OR REPLACE FUNCTION match_vector_embeddings(
+  query_embedding VECTOR(768),
+  match_namespace TEXT,
+  match_count INTEGER DEFAULT 5,
+  min_similarity FLOAT DEFAULT 0
+)
+RETURNS TABLE (
+  id TEXT,
+  content TEXT,
+  metadata JSONB,
+  similarity FLOAT
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    vector_embeddings.id,
+    vector_embeddings.content,
+    vector_embeddings.metadata,
+    1 - (vector_embeddings.embedding <=> query_embedding) AS similarity
+  FROM vector_embeddings
+  WHERE vector_embeddings.namespace = match_namespace
+    AND 1 - (vector_embeddings.embedding <=> query_embedding) >= min_similarity
+  ORDER BY vector_embeddings.embedding <=> query_embedding
+  LIMIT match_count;
+$$;
@@ -42,11 +42,18 @@ router.post('/user/:userId/assign', abTestController.assignUserToTests);
 
 /**
  * @route GET /ab-test/:id/results
- * @desc Get test results and statistics
+ * @desc Get test results and the statistical report (Welch/z tests, confidence intervals, corrected multi-arm comparisons, stopping decision)
  * @access Protected
  */
 router.get('/:id/results', abTestController.getTestResults);
 
+/**
+ * @route GET /ab-test/:id/bandit
+ * @desc Get the current arm probabilities and reward estimates of a bandit test
+ * @access Protected
+ */
+router.get('/:id/bandit', abTestController.getBanditArms);
+
 /**
  * @route GET /ab-test/:id/significance
  * @desc Calculate test significance
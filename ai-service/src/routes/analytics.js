@@ -4,11 +4,14 @@
 const express = require('express');
 const router = express.Router();
 const analyticsController = require('../controllers/analyticsController');
+const { roleCheck } = require('../middleware/auth');
 
 /**
  * @route GET /analytics/model-usage
- * @desc Get model usage statistics
- * @access Protected
+ * @desc Get model usage statistics, including tokens and spend per model and per feature
+ * @access Protected (own usage; admins and services any user, or all without userId)
+ * @query {string} userId - Filter by user (admins and services only)
+ * @query {string} feature - Filter by feature (chat, auto_reply_intent, auto_reply_personalization, content_generation)
  */
 router.get('/model-usage', analyticsController.getModelUsageStats);
 
@@ -19,4 +22,33 @@ router.get('/model-usage', analyticsController.getModelUsageStats);
  */
 router.post('/response', analyticsController.recordResponseMetrics);
 
-module.exports = router; 
\ No newline at end of file
+/**
+ * @route POST /analytics/usage
+ * @desc Record token usage of an AI call made by another service
+ * @access Private (Admin/Service only)
+ */
+router.post('/usage', roleCheck(['admin', 'service']), analyticsController.recordUsage);
+
+/**
+ * @route GET /analytics/budgets/plans
+ * @desc Get the monthly budget of every plan
+ * @access Protected
+ */
+router.get('/budgets/plans', analyticsController.getPlanBudgets);
+
+/**
+ * @route GET /analytics/budgets/:userId
+ * @desc Get the budget, usage and spend per feature of a user for the current month
+ * @access Protected (own budget; admins and services any user)
+ * @query {string} plan - Plan to evaluate (admins and services only, looked up when omitted)
+ */
+router.get('/budgets/:userId', analyticsController.getBudgetStatus);
+
+/**
+ * @route PUT /analytics/budgets/:userId
+ * @desc Override the budget of a user
+ * @access Private (Admin only)
+ */
+router.put('/budgets/:userId', roleCheck('admin'), analyticsController.setUserBudget);
+
+module.exports = router;
@@ -4,11 +4,14 @@
 const express = require('express');
 const router = express.Router();
 const chatController = require('../controllers/chatController');
+const { roleCheck } = require('../middleware/auth');
 
 /**
  * @route POST /chat/message
  * @desc Send a message to the AI and get a response
  * @access Protected
+ * @body {boolean} stream - Stream the response as Server-Sent Events
+ *   (token events, then a done event); also enabled by Accept: text/event-stream
  */
 router.post('/message', chatController.processMessage);
 
@@ -45,6 +48,7 @@ router.get('/context/:userId', chatController.getUserContext);
  * @desc Get a summary of user context optimized for AI use
  * @access Protected
  * @query {string} sessionId - Optional session ID
+ * @query {string} query - Optional message to retrieve semantically relevant older exchanges for
  */
 router.get('/context-summary/:userId', chatController.getContextSummary);
 
@@ -62,4 +66,19 @@ router.put('/preferences/:userId', chatController.updateUserPreferences);
  */
 router.post('/feedback', chatController.submitFeedback);
 
+/**
+ * @route GET /chat/cache/stats
+ * @desc Get response cache statistics, including the semantic cache hit rate overall and per intent
+ * @access Private (Admin/Service only)
+ */
+router.get('/cache/stats', roleCheck(['admin', 'service']), chatController.getCacheStats);
+
+/**
+ * @route DELETE /chat/cache
+ * @desc Invalidate the semantic response cache of a tenant
+ * @access Protected
+ * @query {string} tenantId - Tenant to invalidate (admins/services only; every tenant when omitted)
+ */
+router.delete('/cache', chatController.invalidateResponseCache);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,83 @@
+/**
+ * Handoff routes for the AI Service
+ * Agent inbox of conversations handed from the bot to a human agent
+ */
+const express = require('express');
+const router = express.Router();
+const handoffController = require('../controllers/handoffController');
+
+/**
+ * @route GET /handoff/queue
+ * @desc List open handoffs of the tenant, most urgent first, then oldest first
+ * @access Protected
+ * @query {string} state - waiting_for_agent or agent (optional)
+ * @query {string} agentId - Only handoffs assigned to this agent (optional)
+ * @query {number} limit - Max handoffs (default 50)
+ */
+router.get('/queue', handoffController.listQueue);
+
+/**
+ * @route GET /handoff/conversations/:userId
+ * @desc Get the handoff state (bot, waiting_for_agent or agent) of a conversation
+ * @access Protected
+ * @query {string} sessionId - Optional session ID
+ */
+router.get('/conversations/:userId', handoffController.getConversationState);
+
+/**
+ * @route POST /handoff/inbound
+ * @desc Check a customer message against the conversation's handoff and the handoff triggers
+ * @access Protected
+ * @body {string} text - Message text
+ * @body {string} userId - Conversation user ID
+ * @body {string} sessionId - Optional session ID
+ * @body {string} platform - Optional platform
+ * @body {Object} analysis - Sentiment analysis of the message (optional, scored when omitted)
+ * @body {string} intent - Recognized intent (optional, recognized when omitted)
+ * @body {number} confidence - Intent confidence (optional)
+ */
+router.post('/inbound', handoffController.processInbound);
+
+/**
+ * @route POST /handoff
+ * @desc Hand a conversation to an agent on request
+ * @access Protected
+ * @body {string} userId - Conversation user ID
+ * @body {string} sessionId - Optional session ID
+ * @body {string} platform - Optional platform
+ * @body {string} note - Optional note for the agent
+ */
+router.post('/', handoffController.requestHandoff);
+
+/**
+ * @route GET /handoff/:handoffId
+ * @desc Get a handoff with its transcript
+ * @access Protected
+ */
+router.get('/:handoffId', handoffController.getHandoff);
+
+/**
+ * @route POST /handoff/:handoffId/assign
+ * @desc Assign a handoff to an agent; the bot stops replying in the conversation
+ * @access Protected
+ * @body {string} agentId - Agent ID (defaults to the caller)
+ */
+router.post('/:handoffId/assign', handoffController.assignHandoff);
+
+/**
+ * @route POST /handoff/:handoffId/messages
+ * @desc Record a reply an agent sent (assigns waiting handoffs to the agent)
+ * @access Protected
+ * @body {string} text - Reply text
+ * @body {string} agentId - Agent ID (defaults to the caller)
+ */
+router.post('/:handoffId/messages', handoffController.recordAgentReply);
+
+/**
+ * @route POST /handoff/:handoffId/release
+ * @desc Hand the conversation back to the bot
+ * @access Protected
+ */
+router.post('/:handoffId/release', handoffController.releaseHandoff);
+
+module.exports = router;
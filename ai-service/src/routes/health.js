@@ -5,6 +5,7 @@ const express = require('express');
 const router = express.Router();
 const os = require('os');
 const aiService = require('../services/aiService');
+const { authMiddleware, roleCheck } = require('../middleware/auth');
 
 /**
  * @route GET /health
@@ -96,6 +97,31 @@ router.get('/model-stats', async (req, res) => {
   }
 });
 
+/**
+ * @route POST /health/model-stats/circuit-breakers/reset
+ * @desc Reset the circuit breaker of one model, or of all models
+ * @body {string} model - Model id (optional, resets all models if omitted)
+ * @access Private (Admin only)
+ */
+router.post('/model-stats/circuit-breakers/reset', authMiddleware, roleCheck('admin'), (req, res) => {
+  try {
+    const { model } = req.body || {};
+    const circuitBreakers = aiService.resetCircuitBreakers(model);
+    
+    req.logger?.info('Circuit breakers reset', { model: model || 'all', userId: req.user.id });
+    
+    res.json({
+      success: true,
+      data: circuitBreakers
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to reset circuit breakers'
+    });
+  }
+});
+
 /**
  * Check health of dependent components
  * @returns {Promise<Object>} Health status of all components
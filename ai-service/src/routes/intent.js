@@ -12,6 +12,41 @@ const intentController = require('../controllers/intentController');
  */
 router.post('/detect', intentController.detectIntent);
 
+/**
+ * @route POST /intent/entities
+ * @desc Extract entities (dates, times, money, phones, emails, order numbers, addresses, services, products) from a message
+ * @access Protected
+ */
+router.post('/entities', intentController.extractEntities);
+
+/**
+ * @route POST /intent/sentiment
+ * @desc Score a message for sentiment, urgency and toxicity and decide whether to escalate it
+ * @access Protected
+ */
+router.post('/sentiment', intentController.analyzeSentiment);
+
+/**
+ * @route POST /intent/dialog
+ * @desc Process a message in the user's slot-filling dialog (body: { text, userId, intent?, services? })
+ * @access Protected
+ */
+router.post('/dialog', intentController.processDialogTurn);
+
+/**
+ * @route GET /intent/dialog/:userId
+ * @desc Get the user's dialog state (collected slots, missing slots, next question)
+ * @access Protected
+ */
+router.get('/dialog/:userId', intentController.getDialogState);
+
+/**
+ * @route DELETE /intent/dialog/:userId
+ * @desc Abandon the user's dialog
+ * @access Protected
+ */
+router.delete('/dialog/:userId', intentController.resetDialog);
+
 /**
  * @route GET /intent
  * @desc Get all intents
@@ -49,11 +84,25 @@ router.delete('/:id', intentController.deleteIntent);
 
 /**
  * @route POST /intent/train
- * @desc Trigger intent model training
+ * @desc Train the intent model, store it as a new version and report its held-out evaluation
  * @access Protected
  */
 router.post('/train', intentController.trainIntentModel);
 
+/**
+ * @route GET /intent/models/:modelId/versions
+ * @desc Get the stored versions of an intent model and their evaluation metrics
+ * @access Protected
+ */
+router.get('/models/:modelId/versions', intentController.getModelVersions);
+
+/**
+ * @route POST /intent/models/:modelId/rollback
+ * @desc Activate a previous version of an intent model (body: { version })
+ * @access Protected
+ */
+router.post('/models/:modelId/rollback', intentController.rollbackModel);
+
 /**
  * @route POST /intent/relationship
  * @desc Create a relationship between intents
@@ -0,0 +1,86 @@
+/**
+ * Knowledge base routes for the AI Service
+ * Admins and services may pass tenantId (query or body) to act for a tenant.
+ */
+const express = require('express');
+const router = express.Router();
+const knowledgeController = require('../controllers/knowledgeController');
+
+// Uploads (PDFs as base64) need a larger body limit than the other routes
+const uploadParser = express.json({ limit: process.env.KNOWLEDGE_UPLOAD_LIMIT || '15mb' });
+
+/**
+ * Check whether a request uploads source content (left unparsed by the app-wide JSON parser)
+ * @param {Object} req - Express request object
+ * @returns {boolean} Whether the request creates or updates a source
+ */
+function isUploadRequest(req) {
+  return ['POST', 'PUT'].includes(req.method) && /^\/knowledge\/sources(\/[^/]+)?\/?$/.test(req.path);
+}
+
+/**
+ * @route GET /knowledge/sources
+ * @desc List the knowledge sources of the tenant
+ * @access Protected
+ */
+router.get('/sources', knowledgeController.listSources);
+
+/**
+ * @route GET /knowledge/sources/:id
+ * @desc Get a knowledge source, including its content
+ * @access Protected
+ */
+router.get('/sources/:id', knowledgeController.getSource);
+
+/**
+ * @route POST /knowledge/sources
+ * @desc Create a knowledge source, indexed in the background
+ * @access Protected
+ * @body {string} name - Source name (shown in citations)
+ * @body {string} type - pdf, markdown, text, qa_csv or services
+ * @body {string} content - Text content (markdown, text, qa_csv)
+ * @body {string} contentBase64 - File content (pdf)
+ * @body {Array} rows - Services table rows (services)
+ */
+router.post('/sources', uploadParser, knowledgeController.createSource);
+
+/**
+ * @route PUT /knowledge/sources/:id
+ * @desc Update a knowledge source, re-indexing changed content
+ * @access Protected
+ */
+router.put('/sources/:id', uploadParser, knowledgeController.updateSource);
+
+/**
+ * @route DELETE /knowledge/sources/:id
+ * @desc Delete a knowledge source and its indexed chunks
+ * @access Protected
+ */
+router.delete('/sources/:id', knowledgeController.deleteSource);
+
+/**
+ * @route POST /knowledge/sources/:id/reindex
+ * @desc Schedule the re-indexing of a knowledge source
+ * @access Protected
+ */
+router.post('/sources/:id/reindex', knowledgeController.reindexSource);
+
+/**
+ * @route POST /knowledge/reindex
+ * @desc Schedule the re-indexing of every knowledge source of the tenant
+ * @access Protected
+ */
+router.post('/reindex', knowledgeController.reindexAll);
+
+/**
+ * @route POST /knowledge/search
+ * @desc Find the passages most relevant to a query, with citations
+ * @access Protected
+ * @body {string} query - Query text
+ * @body {number} topK - Maximum number of passages (optional)
+ * @body {number} minScore - Minimum similarity (optional)
+ */
+router.post('/search', knowledgeController.search);
+
+module.exports = router;
+module.exports.isUploadRequest = isUploadRequest;
@@ -0,0 +1,71 @@
+/**
+ * Prompt routes for the AI Service
+ * Versioned prompt templates and tenant overrides
+ */
+const express = require('express');
+const router = express.Router();
+const promptController = require('../controllers/promptController');
+
+/**
+ * @route GET /prompts
+ * @desc List the prompt templates in effect for the tenant (version and source of each)
+ * @access Protected
+ * @query {string} tenantId - Tenant (admins and services only; global templates when omitted)
+ */
+router.get('/', promptController.listTemplates);
+
+/**
+ * @route GET /prompts/:name
+ * @desc Get the template in effect for the tenant: their override, else the global version, else the default
+ * @access Protected
+ * @query {number} version - Specific version (0 is the default)
+ * @query {string} tenantId - Tenant (admins and services only)
+ */
+router.get('/:name', promptController.getTemplate);
+
+/**
+ * @route GET /prompts/:name/versions
+ * @desc List the versions of a template (the tenant's override, or the global versions)
+ * @access Protected
+ */
+router.get('/:name/versions', promptController.listVersions);
+
+/**
+ * @route PUT /prompts/:name
+ * @desc Save a new version of a template and make it active
+ * @access Protected
+ * @body {string} text - Template text with {{variables}}
+ * @body {Object} languages - Text per customer language { en, zh, ms } (optional)
+ * @body {string} description - Description (optional, kept from the current version)
+ * @body {Array} variables - [{ name, description, required, default }] (optional, kept from the current version)
+ * @body {string} tenantId - Tenant to override the template for (admins and services only; global when omitted)
+ */
+router.put('/:name', promptController.saveTemplate);
+
+/**
+ * @route POST /prompts/:name/versions/:version/activate
+ * @desc Make an earlier version of a template active again
+ * @access Protected
+ */
+router.post('/:name/versions/:version/activate', promptController.activateVersion);
+
+/**
+ * @route DELETE /prompts/:name
+ * @desc Stop overriding a template (versions are kept)
+ * @access Protected
+ */
+router.delete('/:name', promptController.resetTemplate);
+
+/**
+ * @route POST /prompts/:name/render
+ * @desc Render a template as it would be sent to the model
+ * @access Protected
+ * @body {Object} variables - Variable values
+ * @body {string} language - Customer language (en, zh, ms; optional)
+ * @body {number} version - Specific version (optional)
+ * @body {Object} draft - Unsaved { text, languages, variables } to preview (optional)
+ * @body {string} tenantId - Tenant (admins and services only)
+ */
+router.post('/:name/render', promptController.renderPrompt);
+
+module.exports = router;
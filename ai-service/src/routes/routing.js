@@ -0,0 +1,46 @@
+/**
+ * Model routing routes for the AI Service
+ */
+const express = require('express');
+const router = express.Router();
+const routingController = require('../controllers/routingController');
+const { roleCheck } = require('../middleware/auth');
+
+/**
+ * @route GET /routing/policy
+ * @desc Get the active routing policy, with the facts and operators rules can use
+ * @access Protected
+ */
+router.get('/policy', routingController.getPolicy);
+
+/**
+ * @route PUT /routing/policy
+ * @desc Replace the active routing policy
+ * @access Private (Admin only)
+ * @body {string} defaultModel - Model used when no rule matches (optional)
+ * @body {Array} rules - Routing rules
+ */
+router.put('/policy', roleCheck('admin'), routingController.updatePolicy);
+
+/**
+ * @route POST /routing/policy/reset
+ * @desc Restore the configured routing policy (ROUTING_POLICY_FILE or defaults)
+ * @access Private (Admin only)
+ */
+router.post('/policy/reset', roleCheck('admin'), routingController.resetPolicy);
+
+/**
+ * @route POST /routing/dry-run
+ * @desc Explain which rule would route a message to which model, without calling it
+ * @access Protected
+ * @body {string} text - Message text (at most 4000 characters)
+ * @body {string} userId - User ID (optional, used for context, plan and A/B assignment; stored
+ *   context is only read for the caller's own ID unless admin/service)
+ * @body {string} platform - Platform (optional)
+ * @body {string} plan - Plan override (optional)
+ * @body {Object} context - Simulated context, e.g. { history: [...] } (optional)
+ * @body {Object} policy - Candidate policy to evaluate instead of the active one (optional, admin only)
+ */
+router.post('/dry-run', routingController.dryRun);
+
+module.exports = router;
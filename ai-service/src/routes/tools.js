@@ -0,0 +1,47 @@
+/**
+ * Tool routes for the AI Service
+ * Tools the chat assistant can call, their audit log and confirmation of
+ * pending actions (bookings, reschedules, cancellations)
+ */
+const express = require('express');
+const router = express.Router();
+const toolController = require('../controllers/toolController');
+
+/**
+ * @route GET /tools
+ * @desc List the tools the model can call, with their argument schemas
+ * @access Protected
+ */
+router.get('/', toolController.listTools);
+
+/**
+ * @route GET /tools/invocations
+ * @desc List audited tool invocations of the tenant (admins and services may filter by tenantId)
+ * @access Protected
+ * @query {string} userId - Only invocations for this conversation user (optional)
+ * @query {string} tool - Only invocations of this tool (optional)
+ * @query {number} limit - Max rows (default 50)
+ */
+router.get('/invocations', toolController.listInvocations);
+
+/**
+ * @route GET /tools/pending/:userId
+ * @desc Get the action of a conversation waiting for the customer's confirmation
+ * @access Protected (own customers; admins and services pass tenantId)
+ * @query {string} sessionId - Optional session ID
+ * @query {string} tenantId - Tenant of the conversation (admins and services only)
+ */
+router.get('/pending/:userId', toolController.getPendingAction);
+
+/**
+ * @route POST /tools/confirmations/:confirmationId
+ * @desc Confirm or reject a pending action (e.g. from a button in the chat UI)
+ * @access Protected (own customers; admins and services pass tenantId)
+ * @body {string} userId - Conversation user ID
+ * @body {string} sessionId - Optional session ID
+ * @body {string} tenantId - Tenant of the conversation (admins and services only)
+ * @body {boolean} confirm - Whether the customer confirmed
+ */
+router.post('/confirmations/:confirmationId', toolController.resolvePendingAction);
+
+module.exports = router;
@@ -4,6 +4,8 @@
  */
 const { v4: uuidv4 } = require('uuid');
 const cacheService = require('./cacheService');
+const statisticsService = require('./statisticsService');
+const { ApiError } = require('../middleware/errorHandler');
 const { createClient } = require('@supabase/supabase-js');
 
 // Environment variables
@@ -18,34 +20,427 @@ const supabase = useSupabase
   ? createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY)
   : null;
 
+// Statistical analysis settings
+const AB_TEST_CONFIDENCE_LEVEL = parseFloat(process.env.AB_TEST_CONFIDENCE_LEVEL || '0.95');
+const AB_TEST_MIN_SAMPLES = parseInt(process.env.AB_TEST_MIN_SAMPLES || '30', 10);
+const AB_TEST_CORRECTION = process.env.AB_TEST_CORRECTION || 'holm';
+// Ratings at or above this value count as a thumbs-up when no explicit thumbsUp is recorded
+const AB_TEST_POSITIVE_RATING = parseFloat(process.env.AB_TEST_POSITIVE_RATING || '4');
+// Evaluate the stopping rule of a test every N recorded results
+const AB_TEST_STOP_CHECK_INTERVAL = parseInt(process.env.AB_TEST_STOP_CHECK_INTERVAL || '20', 10);
+
+// Multi-armed bandit defaults
+const BANDIT_ALGORITHM = process.env.BANDIT_ALGORITHM || 'thompson';
+// Maximum share of traffic sent to arms other than the leader once every arm has minSamplesPerArm results
+const BANDIT_EXPLORATION_CAP = parseFloat(process.env.BANDIT_EXPLORATION_CAP || '0.3');
+const BANDIT_MIN_SAMPLES_PER_ARM = parseInt(process.env.BANDIT_MIN_SAMPLES_PER_ARM || '10', 10);
+// Share of the reward coming from latency (the rest comes from feedback)
+const BANDIT_LATENCY_WEIGHT = parseFloat(process.env.BANDIT_LATENCY_WEIGHT || '0.2');
+// Responses at or below this processing time get the full latency reward
+const BANDIT_LATENCY_TARGET_MS = parseInt(process.env.BANDIT_LATENCY_TARGET_MS || '2000', 10);
+// Posterior draws used to estimate the Thompson sampling arm probabilities
+const BANDIT_PROBABILITY_DRAWS = 2000;
+
+/**
+ * Metrics analysed for every test
+ * mean metrics use Welch's t-test, proportion metrics the two-proportion z-test
+ */
+const TEST_METRICS = {
+  rating: {
+    type: 'mean',
+    higherIsBetter: true,
+    value: metrics => metrics.rating
+  },
+  processingTime: {
+    type: 'mean',
+    higherIsBetter: false,
+    value: metrics => metrics.processingTime
+  },
+  thumbsUp: {
+    type: 'proportion',
+    higherIsBetter: true,
+    value: metrics => {
+      if (typeof metrics.thumbsUp === 'boolean') return metrics.thumbsUp;
+      if (metrics.rating !== undefined && metrics.rating !== null) return metrics.rating >= AB_TEST_POSITIVE_RATING;
+      return undefined;
+    }
+  }
+};
+
+// Default expected-loss thresholds of the Bayesian stopping rule, in metric units
+const DEFAULT_EXPECTED_LOSS = {
+  rating: 0.05,
+  processingTime: 50,
+  thumbsUp: 0.005
+};
+
 // In-memory storage for tests (used when Supabase is not configured)
 const activeTests = {};
 const testAssignments = {};
 const testResults = {};
+const resultCounters = {};
+// Reward statistics and random number generators of bandit tests, rebuilt from the results on first use
+const banditStates = {};
+
+/**
+ * Validate a stopping rule and fill in its defaults
+ * @param {Object|null} rule - Stopping rule
+ * @param {string} rule.type - 'bayesian' (probability to be best) or 'sequential' (group-sequential test)
+ * @param {string} rule.metric - Metric deciding the test (rating, processingTime, thumbsUp)
+ * @param {number} rule.minSamplesPerArm - Samples required in every arm before stopping
+ * @param {number} rule.probabilityThreshold - Bayesian: probability to be best required to stop
+ * @param {number} rule.expectedLossThreshold - Bayesian: maximum expected loss of the winner
+ * @param {number} rule.maxSamplesPerArm - Sequential: planned sample size per arm
+ * @param {number} rule.alpha - Sequential: overall significance level
+ * @param {boolean} rule.autoStop - Whether to end the test automatically (default true)
+ * @returns {Object|null} Normalized rule
+ * @throws {ApiError} 400 when the rule is invalid
+ */
+function normalizeStoppingRule(rule) {
+  if (!rule) {
+    return null;
+  }
+  
+  if (!['bayesian', 'sequential'].includes(rule.type)) {
+    throw new ApiError('stoppingRule.type must be one of: bayesian, sequential', 400);
+  }
+  
+  const metric = rule.metric || 'thumbsUp';
+  if (!TEST_METRICS[metric]) {
+    throw new ApiError(`stoppingRule.metric must be one of: ${Object.keys(TEST_METRICS).join(', ')}`, 400);
+  }
+  
+  const normalized = {
+    type: rule.type,
+    metric,
+    minSamplesPerArm: rule.minSamplesPerArm || AB_TEST_MIN_SAMPLES,
+    autoStop: rule.autoStop !== false
+  };
+  
+  if (rule.type === 'bayesian') {
+    normalized.probabilityThreshold = rule.probabilityThreshold || 0.95;
+    normalized.expectedLossThreshold = rule.expectedLossThreshold ?? DEFAULT_EXPECTED_LOSS[metric];
+  } else {
+    normalized.maxSamplesPerArm = rule.maxSamplesPerArm || 1000;
+    normalized.alpha = rule.alpha || 1 - AB_TEST_CONFIDENCE_LEVEL;
+    
+    if (normalized.maxSamplesPerArm < normalized.minSamplesPerArm) {
+      throw new ApiError('stoppingRule.maxSamplesPerArm must be at least minSamplesPerArm', 400);
+    }
+  }
+  
+  return normalized;
+}
+
+/**
+ * Validate the variants of a test and fill in their traffic allocation
+ * A variant can change the model, the system prompt, sampling parameters, the
+ * context window and the formatter options. Tests configured with `models` only
+ * get one variant per model sharing trafficPercentage equally.
+ * @param {Object} testConfig - Test configuration
+ * @param {Array<Object>} testConfig.variants - Variants (optional)
+ * @param {string} testConfig.variants[].id - Variant ID (defaults to the model name)
+ * @param {string} testConfig.variants[].model - Model to use (optional, routing policy decides otherwise)
+ * @param {string} testConfig.variants[].systemPrompt - System prompt template ({{platform}} and {{date}} are replaced)
+ * @param {number} testConfig.variants[].temperature - Sampling temperature (0-2)
+ * @param {number} testConfig.variants[].topP - Top-p (0-1)
+ * @param {Object} testConfig.variants[].contextWindow - { maxItems, includeMidTerm, includeLongTerm } for getAIContext
+ * @param {Object} testConfig.variants[].formatOptions - Formatter options merged over the request's
+ * @param {number} testConfig.variants[].allocation - Percentage of users assigned to the variant
+ * @param {Array<string>} testConfig.models - Models to test (when no variants are given)
+ * @param {number} testConfig.trafficPercentage - Percentage of traffic shared by model-only variants
+ * @returns {Array<Object>} Normalized variants
+ * @throws {ApiError} 400 when the variants are invalid
+ */
+function normalizeVariants(testConfig) {
+  const configured = Array.isArray(testConfig.variants) && testConfig.variants.length > 0
+    ? testConfig.variants
+    : (testConfig.models || []).map(model => ({ id: model, model }));
+  
+  if (configured.length < 2) {
+    throw new ApiError('At least two variants (or models) are required for testing', 400);
+  }
+  
+  const withAllocation = configured.filter(variant => variant.allocation !== undefined && variant.allocation !== null);
+  if (withAllocation.length > 0 && withAllocation.length < configured.length) {
+    throw new ApiError('Either every variant or no variant must have an allocation', 400);
+  }
+  
+  // 未指定分配比例时平分测试流量
+  const sharedAllocation = (testConfig.trafficPercentage || 100) / configured.length;
+  const ids = new Set();
+  
+  const variants = configured.map((variant, index) => {
+    const id = variant.id || variant.model;
+    if (!id || typeof id !== 'string') {
+      throw new ApiError(`Variant ${index + 1} needs an id or a model`, 400);
+    }
+    if (ids.has(id)) {
+      throw new ApiError(`Duplicate variant id: ${id}`, 400);
+    }
+    ids.add(id);
+  
+    const allocation = withAllocation.length > 0 ? Number(variant.allocation) : sharedAllocation;
+    if (!(allocation >= 0 && allocation <= 100)) {
+      throw new ApiError(`Variant ${id}: allocation must be between 0 and 100`, 400);
+    }
+    if (variant.temperature !== undefined && !(variant.temperature >= 0 && variant.temperature <= 2)) {
+      throw new ApiError(`Variant ${id}: temperature must be between 0 and 2`, 400);
+    }
+    if (variant.topP !== undefined && !(variant.topP > 0 && variant.topP <= 1)) {
+      throw new ApiError(`Variant ${id}: topP must be greater than 0 and at most 1`, 400);
+    }
+    if (variant.contextWindow?.maxItems !== undefined &&
+      !(Number.isInteger(variant.contextWindow.maxItems) && variant.contextWindow.maxItems >= 1)) {
+      throw new ApiError(`Variant ${id}: contextWindow.maxItems must be a positive integer`, 400);
+    }
+  
+    return {
+      id,
+      model: variant.model || null,
+      systemPrompt: variant.systemPrompt || null,
+      temperature: variant.temperature ?? null,
+      topP: variant.topP ?? null,
+      contextWindow: variant.contextWindow || null,
+      formatOptions: variant.formatOptions || null,
+      allocation
+    };
+  });
+  
+  const totalAllocation = variants.reduce((sum, variant) => sum + variant.allocation, 0);
+  if (totalAllocation > 100 + 1e-9) {
+    throw new ApiError(`Variant allocations add up to ${totalAllocation}%, which is more than 100%`, 400);
+  }
+  
+  return variants;
+}
+
+/**
+ * Validate the targeting of a test
+ * @param {Object|null} targeting - Targeting { platforms, plans }
+ * @returns {Object|null} Normalized targeting (null targets everyone)
+ * @throws {ApiError} 400 when the targeting is invalid
+ */
+function normalizeTargeting(targeting) {
+  if (!targeting) {
+    return null;
+  }
+  
+  const normalized = {};
+  for (const field of ['platforms', 'plans']) {
+    if (targeting[field] === undefined) continue;
+    if (!Array.isArray(targeting[field]) || targeting[field].some(value => typeof value !== 'string')) {
+      throw new ApiError(`targeting.${field} must be an array of strings`, 400);
+    }
+    if (targeting[field].length > 0) {
+      normalized[field] = targeting[field];
+    }
+  }
+  
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Validate the bandit settings of a test and fill in their defaults
+ * @param {Object} config - Bandit settings (optional)
+ * @param {string} config.algorithm - 'thompson' (Thompson sampling) or 'ucb' (UCB1)
+ * @param {number} config.explorationCap - Maximum traffic share of non-leading arms after warm-up (0-1)
+ * @param {number} config.minSamplesPerArm - Results every arm needs before exploration is capped
+ * @param {number} config.latencyWeight - Share of the reward coming from latency (0-1)
+ * @param {number} config.latencyTargetMs - Processing time that still earns the full latency reward
+ * @param {number} config.ucbExploration - UCB exploration constant
+ * @param {number} config.seed - Seed of the arm selection, for reproducible experiments
+ * @param {string} testId - Test ID (default seed)
+ * @returns {Object} Normalized bandit settings
+ * @throws {ApiError} 400 when the settings are invalid
+ */
+function normalizeBanditConfig(config = {}, testId) {
+  const algorithm = config.algorithm || BANDIT_ALGORITHM;
+  if (!['thompson', 'ucb'].includes(algorithm)) {
+    throw new ApiError('bandit.algorithm must be one of: thompson, ucb', 400);
+  }
+  
+  const normalized = {
+    algorithm,
+    explorationCap: config.explorationCap ?? BANDIT_EXPLORATION_CAP,
+    minSamplesPerArm: config.minSamplesPerArm ?? BANDIT_MIN_SAMPLES_PER_ARM,
+    latencyWeight: config.latencyWeight ?? BANDIT_LATENCY_WEIGHT,
+    latencyTargetMs: config.latencyTargetMs || BANDIT_LATENCY_TARGET_MS,
+    ucbExploration: config.ucbExploration ?? 1,
+    seed: Number.isInteger(config.seed) ? config.seed : hashString(testId)
+  };
+  
+  if (!(normalized.explorationCap >= 0 && normalized.explorationCap <= 1)) {
+    throw new ApiError('bandit.explorationCap must be between 0 and 1', 400);
+  }
+  if (!(normalized.latencyWeight >= 0 && normalized.latencyWeight <= 1)) {
+    throw new ApiError('bandit.latencyWeight must be between 0 and 1', 400);
+  }
+  
+  return normalized;
+}
+
+/**
+ * Check whether a test targets a user/message
+ * Fields missing from the context (e.g. the platform of a manual assignment) do not exclude the test.
+ * @param {Object} test - Test
+ * @param {Object} context - { platform, plan }
+ * @returns {boolean} True if the test applies
+ */
+function matchesTargeting(test, context = {}) {
+  const { targeting } = test;
+  if (!targeting) {
+    return true;
+  }
+  
+  if (targeting.platforms && context.platform && !targeting.platforms.includes(context.platform)) {
+    return false;
+  }
+  if (targeting.plans && context.plan && !targeting.plans.includes(context.plan)) {
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Check whether the current date is within the date range of a test
+ * @param {Object} test - Test
+ * @returns {boolean} True if the test is running
+ */
+function isWithinDates(test) {
+  const now = new Date();
+  const startDate = new Date(test.startDate);
+  const endDate = test.endDate ? new Date(test.endDate) : null;
+  
+  return now >= startDate && !(endDate && now > endDate);
+}
+
+/**
+ * Pick the variant of a user from the variant allocations
+ * The user's bucket (0-99.99) is a hash of user and test, so assignments are stable.
+ * @param {Object} test - Test
+ * @param {string} userId - User ID
+ * @returns {Object|null} Variant, or null when the user falls outside the allocated traffic
+ */
+function pickVariant(test, userId) {
+  const bucket = (hashString(userId + test.id) % 10000) / 100;
+  let cumulative = 0;
+  
+  for (const variant of test.variants) {
+    cumulative += variant.allocation;
+    if (bucket < cumulative) {
+      return variant;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Arm of a result: its variant, or its model for results recorded before variants existed
+ * @param {Object} result - Test result
+ * @returns {string} Arm name
+ */
+function getResultArm(result) {
+  return result.variant || result.model;
+}
+
+/**
+ * Map a test to an ab_tests row
+ * @param {Object} test - Test object
+ * @returns {Object} Row
+ */
+function toTestRow(test) {
+  return {
+    id: test.id,
+    name: test.name,
+    description: test.description,
+    models: test.models,
+    variants: test.variants,
+    targeting: test.targeting,
+    type: test.type,
+    bandit: test.bandit,
+    traffic_percentage: test.trafficPercentage,
+    start_date: test.startDate,
+    end_date: test.endDate,
+    metrics: test.metrics,
+    stopping_rule: test.stoppingRule,
+    status: test.status,
+    winning_model: test.winningModel,
+    ended_reason: test.endedReason,
+    created_at: test.createdAt
+  };
+}
+
+/**
+ * Map an ab_tests row to a test
+ * @param {Object} row - Row
+ * @returns {Object} Test object
+ */
+function mapTestRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    models: row.models,
+    // Tests created before variants existed have one variant per model
+    variants: row.variants || normalizeVariants({ models: row.models, trafficPercentage: row.traffic_percentage }),
+    targeting: row.targeting || null,
+    type: row.type || 'ab',
+    bandit: row.bandit || null,
+    trafficPercentage: row.traffic_percentage,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    metrics: row.metrics,
+    stoppingRule: row.stopping_rule || null,
+    status: row.status,
+    winningModel: row.winning_model || null,
+    endedReason: row.ended_reason || null,
+    createdAt: row.created_at
+  };
+}
 
 /**
  * Create a new A/B test
  * @param {Object} testConfig - Test configuration
+ * @param {string} testConfig.type - 'ab' (fixed split, default) or 'bandit' (traffic shifts toward the best arm)
+ * @param {Object} testConfig.bandit - Bandit settings (see normalizeBanditConfig)
  * @param {string} testConfig.name - Test name
  * @param {string} testConfig.description - Test description
- * @param {Array<string>} testConfig.models - Array of model names to test
- * @param {number} testConfig.trafficPercentage - Percentage of traffic to include (0-100)
+ * @param {Array<string>} testConfig.models - Array of model names to test (when no variants are given)
+ * @param {Array<Object>} testConfig.variants - Prompt/parameter variants (see normalizeVariants)
+ * @param {Object} testConfig.targeting - Optional { platforms, plans } the test is limited to
+ * @param {number} testConfig.trafficPercentage - Percentage of traffic to include (0-100) when variants have no allocation
  * @param {Date} testConfig.startDate - Test start date
  * @param {Date} testConfig.endDate - Test end date
  * @param {Object} testConfig.metrics - Metrics to track
+ * @param {Object} testConfig.stoppingRule - Optional stopping rule (see normalizeStoppingRule)
  * @returns {Promise<Object>} Created test object
  */
 async function createTest(testConfig) {
   const testId = uuidv4();
+  const variants = normalizeVariants(testConfig);
+  const type = testConfig.type || 'ab';
+  
+  if (!['ab', 'bandit'].includes(type)) {
+    throw new ApiError('type must be one of: ab, bandit', 400);
+  }
+  
   const test = {
     id: testId,
     name: testConfig.name,
     description: testConfig.description,
-    models: testConfig.models || [],
-    trafficPercentage: testConfig.trafficPercentage || 100,
+    models: [...new Set(variants.map(variant => variant.model).filter(Boolean))],
+    variants,
+    targeting: normalizeTargeting(testConfig.targeting),
+    type,
+    bandit: type === 'bandit' ? normalizeBanditConfig(testConfig.bandit, testId) : null,
+    trafficPercentage: variants.reduce((sum, variant) => sum + variant.allocation, 0),
     startDate: testConfig.startDate || new Date(),
     endDate: testConfig.endDate,
     metrics: testConfig.metrics || { rating: true, processingTime: true },
+    stoppingRule: normalizeStoppingRule(testConfig.stoppingRule),
     createdAt: new Date().toISOString(),
     status: 'active'
   };
@@ -54,11 +449,11 @@ async function createTest(testConfig) {
     try {
       const { data, error } = await supabase
         .from('ab_tests')
-        .insert([test])
+        .insert([toTestRow(test)])
         .select();
       
       if (error) throw error;
-      return data[0];
+      return mapTestRow(data[0]);
     } catch (error) {
       console.error('Error creating A/B test in Supabase:', error);
       activeTests[testId] = test;
@@ -83,73 +478,147 @@ async function getActiveTests() {
         .eq('status', 'active');
       
       if (error) throw error;
-      return data;
+      return data.map(mapTestRow);
     } catch (error) {
       console.error('Error fetching active A/B tests from Supabase:', error);
-      return Object.values(activeTests);
+      return Object.values(activeTests).filter(test => test.status === 'active');
     }
   } else {
-    return Object.values(activeTests);
+    return Object.values(activeTests).filter(test => test.status === 'active');
+  }
+}
+
+/**
+ * Get a test by ID, whatever its status
+ * @param {string} testId - Test ID
+ * @returns {Promise<Object|null>} Test or null if not found
+ */
+async function getTest(testId) {
+  if (useSupabase) {
+    try {
+      const { data, error } = await supabase
+        .from('ab_tests')
+        .select('*')
+        .eq('id', testId)
+        .maybeSingle();
+      
+      if (error) throw error;
+      if (data) return mapTestRow(data);
+    } catch (error) {
+      console.error('Error fetching A/B test from Supabase:', error);
+    }
+  }
+  
+  return activeTests[testId] || null;
+}
+
+/**
+ * End a test (status completed) and record the winner
+ * @param {string} testId - Test ID
+ * @param {Object} options - Options
+ * @param {string} options.winningModel - Winning model (optional)
+ * @param {string} options.reason - Why the test ended (e.g. the stopping rule decision)
+ * @returns {Promise<Object>} Updated test
+ * @throws {ApiError} 404 when the test does not exist
+ */
+async function endTest(testId, { winningModel = null, reason = 'Ended manually' } = {}) {
+  const test = await getTest(testId);
+  if (!test) {
+    throw new ApiError('Test not found', 404);
   }
+  
+  const updated = {
+    ...test,
+    status: 'completed',
+    endDate: new Date().toISOString(),
+    winningModel,
+    endedReason: reason
+  };
+  
+  if (useSupabase) {
+    try {
+      const { error } = await supabase
+        .from('ab_tests')
+        .update({
+          status: updated.status,
+          end_date: updated.endDate,
+          winning_model: winningModel,
+          ended_reason: reason
+        })
+        .eq('id', testId);
+      
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error ending A/B test in Supabase:', error);
+    }
+  }
+  
+  if (activeTests[testId] || !useSupabase) {
+    activeTests[testId] = updated;
+  }
+  
+  console.log(`A/B test ${testId} ended${winningModel ? ` with winning model ${winningModel}` : ''}: ${reason}`);
+  return updated;
 }
 
 /**
- * Assign a user to test groups for all active tests
+ * Assign a user to a variant of every running test they are not yet assigned to
+ * Existing assignments are kept, so a user sees the same variant for the whole test.
  * @param {string} userId - User ID
+ * @param {Object} context - Targeting context (optional)
+ * @param {string} context.platform - Platform of the current message
+ * @param {string} context.plan - Subscription plan of the user
  * @returns {Promise<Object>} User test assignments
  */
-async function assignUserToTests(userId) {
-  // Check cache for existing assignments
+async function assignUserToTests(userId, context = {}) {
   const cacheKey = `abtest:assignments:${userId}`;
-  const cachedAssignments = await cacheService.get(cacheKey);
-  
-  if (cachedAssignments) {
-    return JSON.parse(cachedAssignments);
-  }
+  const existingAssignments = await getUserAssignments(userId);
   
   const activeTests = await getActiveTests();
-  const assignments = {};
+  const assignments = { ...existingAssignments };
+  const newAssignments = {};
   
-  // Assign user to each active test based on traffic percentage
   for (const test of activeTests) {
-    // Check if test is currently active based on dates
-    const now = new Date();
-    const startDate = new Date(test.startDate);
-    const endDate = test.endDate ? new Date(test.endDate) : null;
-    
-    if (now < startDate || (endDate && now > endDate)) {
-      continue; // Skip tests outside their date range
+    // Skip tests outside their date range, targeting other users, or already assigned
+    if (assignments[test.id] || !isWithinDates(test) || !matchesTargeting(test, context)) {
+      continue;
     }
     
-    // Determine if user should be included in test based on traffic percentage
-    const userHash = hashString(userId + test.id);
-    const normalizedHash = (userHash % 100) + 1; // 1-100
-    
-    if (normalizedHash <= test.trafficPercentage) {
-      // Assign to a model variant
-      const modelIndex = userHash % test.models.length;
-      assignments[test.id] = {
+    // Users outside the allocated traffic are not part of the test
+    const variant = pickVariant(test, userId);
+    if (variant) {
+      newAssignments[test.id] = {
         testId: test.id,
         testName: test.name,
-        model: test.models[modelIndex],
+        variant: variant.id,
+        model: variant.model,
         assignedAt: new Date().toISOString()
       };
     }
   }
   
+  if (Object.keys(newAssignments).length === 0) {
+    return assignments;
+  }
+  
+  Object.assign(assignments, newAssignments);
+  
   // Store assignments
   if (useSupabase) {
     try {
       // Store each assignment
-      for (const [testId, assignment] of Object.entries(assignments)) {
-        await supabase
+      for (const [testId, assignment] of Object.entries(newAssignments)) {
+        const { error } = await supabase
           .from('ab_test_assignments')
           .upsert({
             user_id: userId,
             test_id: testId,
+            variant: assignment.variant,
             model: assignment.model,
             assigned_at: assignment.assignedAt
           });
+        
+        if (error) throw error;
       }
     } catch (error) {
       console.error('Error storing A/B test assignments in Supabase:', error);
@@ -165,11 +634,57 @@ async function assignUserToTests(userId) {
   return assignments;
 }
 
+/**
+ * Get the variant to apply to a user's message
+ * Only one test is applied per message: the first running test that targets the
+ * platform and plan and has the user in its traffic. Users are assigned on their
+ * first message during a test; bandit tests pick an arm for every message.
+ * @param {string} userId - User ID
+ * @param {Object} context - Targeting context
+ * @param {string} context.platform - Platform of the message
+ * @param {string} context.plan - Subscription plan of the user
+ * @param {Object} options - Options
+ * @param {boolean} options.readOnly - Only report existing assignments: the user is not
+ *   assigned and no bandit arm is drawn (dry runs), so bandit tests report no variant
+ * @returns {Promise<Object|null>} { testId, testName, variant } or null when no test applies
+ */
+async function getMessageVariant(userId, context = {}, { readOnly = false } = {}) {
+  const tests = (await getActiveTests()).filter(test => isWithinDates(test) && matchesTargeting(test, context));
+  if (tests.length === 0) {
+    return null;
+  }
+  
+  let assignments = await getUserAssignments(userId);
+  if (!readOnly && tests.some(test => !assignments[test.id])) {
+    assignments = await assignUserToTests(userId, context);
+  }
+  
+  for (const test of tests) {
+    const assignment = assignments[test.id];
+    if (!assignment) continue;
+    
+    if (readOnly && test.type === 'bandit') {
+      return { testId: test.id, testName: test.name, variant: null };
+    }
+    
+    // Bandit tests choose the arm of every message; the assignment only marks the user as part of the test
+    const variant = test.type === 'bandit'
+      ? await selectBanditArm(test)
+      : test.variants.find(item => item.id === (assignment.variant || assignment.model));
+    
+    if (variant) {
+      return { testId: test.id, testName: test.name, variant };
+    }
+  }
+  
+  return null;
+}
+
 /**
  * Get model for a user for a specific test
  * @param {string} userId - User ID
  * @param {string} testId - Test ID
- * @returns {Promise<string|null>} Model name or null if not assigned
+ * @returns {Promise<string|null>} Model name or null if not assigned (or the variant has no model)
  */
 async function getUserTestModel(userId, testId) {
   // Get all user assignments
@@ -198,7 +713,7 @@ async function getUserAssignments(userId) {
     try {
       const { data, error } = await supabase
         .from('ab_test_assignments')
-        .select('test_id, model, assigned_at, ab_tests(name)')
+        .select('test_id, variant, model, assigned_at, ab_tests(name)')
         .eq('user_id', userId);
       
       if (error) throw error;
@@ -209,6 +724,7 @@ async function getUserAssignments(userId) {
         assignments[item.test_id] = {
           testId: item.test_id,
           testName: item.ab_tests?.name,
+          variant: item.variant || item.model,
           model: item.model,
           assignedAt: item.assigned_at
         };
@@ -233,23 +749,39 @@ async function getUserAssignments(userId) {
  * @param {string} resultData.userId - User ID
  * @param {string} resultData.testId - Test ID
  * @param {string} resultData.messageId - Message ID
+ * @param {string} resultData.variant - Variant that served the message (optional)
+ * @param {string} resultData.model - Model that generated the response (defaults to the variant's model)
  * @param {Object} resultData.metrics - Metrics values
  * @returns {Promise<boolean>} Success status
  */
 async function recordTestResult(resultData) {
   const { userId, testId, messageId, metrics } = resultData;
   
-  // Get user's assigned model for this test
-  const model = await getUserTestModel(userId, testId);
-  if (!model) {
+  // Get user's assigned variant for this test
+  const assignment = (await getUserAssignments(userId))[testId];
+  if (!assignment) {
     return false; // User not assigned to this test
   }
   
+  // Feedback belongs to the variant that served the message (bandit arms change between messages)
+  const test = await getTest(testId);
+  const servedVariant = resultData.variant || await findServedVariant(testId, messageId);
+  if (test?.type === 'bandit' && !servedVariant) {
+    return false; // Message was not served by this test
+  }
+  
+  const variant = servedVariant || assignment.variant || assignment.model;
+  const model = resultData.model ||
+    test?.variants?.find(item => item.id === variant)?.model ||
+    assignment.model ||
+    null;
+  
   const result = {
     id: uuidv4(),
     userId,
     testId,
     messageId,
+    variant,
     model,
     metrics,
     timestamp: new Date().toISOString()
@@ -264,13 +796,13 @@ async function recordTestResult(resultData) {
           user_id: userId,
           test_id: testId,
           message_id: messageId,
+          variant,
           model,
           metrics,
           created_at: result.timestamp
         }]);
       
       if (error) throw error;
-      return true;
     } catch (error) {
       console.error('Error recording A/B test result in Supabase:', error);
       // Fallback to in-memory storage
@@ -278,7 +810,6 @@ async function recordTestResult(resultData) {
         testResults[testId] = [];
       }
       testResults[testId].push(result);
-      return true;
     }
   } else {
     // Store in memory
@@ -286,18 +817,82 @@ async function recordTestResult(resultData) {
       testResults[testId] = [];
     }
     testResults[testId].push(result);
-    return true;
   }
+  
+  if (test?.type === 'bandit') {
+    await updateBanditState(test, variant, metrics);
+  }
+  
+  // Periodically check whether the test can be stopped
+  resultCounters[testId] = (resultCounters[testId] || 0) + 1;
+  if (resultCounters[testId] % AB_TEST_STOP_CHECK_INTERVAL === 0) {
+    try {
+      await checkStoppingRule(testId);
+    } catch (error) {
+      console.error('Error evaluating A/B test stopping rule:', error);
+    }
+  }
+  
+  return true;
+}
+
+/**
+ * Evaluate the stopping rule of a test and end it when the rule says so
+ * @param {string} testId - Test ID
+ * @returns {Promise<Object|null>} Stopping decision, or null when the test has no rule
+ */
+async function checkStoppingRule(testId) {
+  const test = await getTest(testId);
+  if (!test || test.status !== 'active' || !test.stoppingRule) {
+    return null;
+  }
+  
+  const { report } = await getTestResults(testId, { test });
+  const decision = report.stopping;
+  
+  if (decision.shouldStop && test.stoppingRule.autoStop) {
+    await endTest(testId, { winningModel: decision.winner, reason: decision.reason });
+  }
+  
+  return decision;
 }
 
 /**
  * Get test results
  * @param {string} testId - Test ID
- * @returns {Promise<Object>} Test results and statistics
+ * @param {Object} options - Report options
+ * @param {Object} options.test - Test (loaded when omitted)
+ * @param {number} options.confidenceLevel - Confidence level of tests and intervals
+ * @param {string} options.correction - Multiple-comparison correction (holm, bonferroni, none)
+ * @returns {Promise<Object>} Test results, per-model statistics and the statistical report
  */
-async function getTestResults(testId) {
-  let results = [];
+async function getTestResults(testId, options = {}) {
+  const results = await fetchTestResults(testId);
+  
+  // Calculate statistics
+  const stats = calculateTestStatistics(results);
+  const test = options.test || await getTest(testId);
+  
+  const testResultsReport = {
+    testId,
+    resultCount: results.length,
+    statistics: stats,
+    report: buildStatisticalReport(test, results, options)
+  };
+  
+  if (test?.type === 'bandit') {
+    testResultsReport.bandit = await getBanditArms(test);
+  }
   
+  return testResultsReport;
+}
+
+/**
+ * Fetch the recorded results of a test
+ * @param {string} testId - Test ID
+ * @returns {Promise<Array<Object>>} Results
+ */
+async function fetchTestResults(testId) {
   if (useSupabase) {
     try {
       const { data, error } = await supabase
@@ -306,22 +901,476 @@ async function getTestResults(testId) {
         .eq('test_id', testId);
       
       if (error) throw error;
-      results = data;
+      return data;
     } catch (error) {
       console.error('Error fetching A/B test results from Supabase:', error);
-      results = testResults[testId] || [];
+      return testResults[testId] || [];
     }
+  }
+  
+  return testResults[testId] || [];
+}
+
+/**
+ * Find the variant that served a message in a test
+ * @param {string} testId - Test ID
+ * @param {string} messageId - Message ID
+ * @returns {Promise<string|null>} Variant ID or null if the message has no result yet
+ */
+async function findServedVariant(testId, messageId) {
+  if (!messageId) {
+    return null;
+  }
+  
+  if (useSupabase) {
+    try {
+      const { data, error } = await supabase
+        .from('ab_test_results')
+        .select('variant')
+        .eq('test_id', testId)
+        .eq('message_id', messageId)
+        .not('variant', 'is', null)
+        .limit(1);
+      
+      if (error) throw error;
+      if (data.length > 0) return data[0].variant;
+    } catch (error) {
+      console.error('Error fetching A/B test result from Supabase:', error);
+    }
+  }
+  
+  const served = (testResults[testId] || []).find(result => result.messageId === messageId && result.variant);
+  return served ? served.variant : null;
+}
+
+/**
+ * Rewards of a bandit result: feedback (thumbs-up, or a rating at or above
+ * AB_TEST_POSITIVE_RATING) and latency (1 up to latencyTargetMs, then target / processingTime)
+ * @param {Object} metrics - Result metrics
+ * @param {Object} config - Bandit settings
+ * @returns {Array<Object>} Rewards [{ reward (0-1), weight }]
+ */
+function getBanditRewards(metrics = {}, config) {
+  const rewards = [];
+  
+  const thumbsUp = TEST_METRICS.thumbsUp.value(metrics);
+  if (thumbsUp !== undefined && config.latencyWeight < 1) {
+    rewards.push({ reward: thumbsUp ? 1 : 0, weight: 1 - config.latencyWeight });
+  }
+  
+  if (typeof metrics.processingTime === 'number' && config.latencyWeight > 0) {
+    rewards.push({
+      reward: Math.min(1, config.latencyTargetMs / Math.max(metrics.processingTime, 1)),
+      weight: config.latencyWeight
+    });
+  }
+  
+  return rewards;
+}
+
+/**
+ * Add a result to the reward statistics of a bandit arm
+ * @param {Object} state - Bandit state
+ * @param {string} arm - Variant ID
+ * @param {Object} metrics - Result metrics
+ * @param {Object} config - Bandit settings
+ */
+function addBanditResult(state, arm, metrics, config) {
+  const stats = state.arms[arm];
+  if (!stats) {
+    return;
+  }
+  
+  stats.results++;
+  state.updates++;
+  
+  // Weighted Bernoulli observations of a Beta(1, 1) prior
+  getBanditRewards(metrics, config).forEach(({ reward, weight }) => {
+    stats.successes += reward * weight;
+    stats.observations += weight;
+  });
+}
+
+/**
+ * Get the bandit state of a test, rebuilding it from the recorded results on first use
+ * @param {Object} test - Bandit test
+ * @returns {Promise<Object>} { arms: { variantId: { results, successes, observations } }, updates, random }
+ */
+async function getBanditState(test) {
+  if (banditStates[test.id]) {
+    return banditStates[test.id];
+  }
+  
+  const state = {
+    arms: Object.fromEntries(test.variants.map(variant => [variant.id, { results: 0, successes: 0, observations: 0 }])),
+    updates: 0,
+    random: statisticsService.createRandom(test.bandit.seed)
+  };
+  
+  (await fetchTestResults(test.id)).forEach(result => {
+    addBanditResult(state, getResultArm(result), result.metrics, test.bandit);
+  });
+  
+  banditStates[test.id] = state;
+  return state;
+}
+
+/**
+ * Update the reward statistics of a bandit test with a new result
+ * @param {Object} test - Bandit test
+ * @param {string} arm - Variant ID
+ * @param {Object} metrics - Result metrics
+ * @returns {Promise<void>}
+ */
+async function updateBanditState(test, arm, metrics) {
+  if (!banditStates[test.id]) {
+    // Rebuilding reads the stored results, which already include this one
+    await getBanditState(test);
+    return;
+  }
+  
+  addBanditResult(banditStates[test.id], arm, metrics, test.bandit);
+}
+
+/**
+ * Compute the probability of serving each arm of a bandit test
+ * - thompson: probability that the arm has the highest reward rate under its Beta posterior
+ *   (serving arms with these probabilities is equivalent to Thompson sampling)
+ * - ucb: the arm with the highest UCB1 index (unplayed arms first)
+ * Once every arm has minSamplesPerArm results, the non-leading arms share at most
+ * explorationCap of the traffic.
+ * @param {Object} test - Bandit test
+ * @param {Object} state - Bandit state
+ * @returns {Object} { probabilities, meanRewards, leader, warm, capped }
+ */
+function computeBanditProbabilities(test, state) {
+  const config = test.bandit;
+  const arms = Object.keys(state.arms);
+  const meanRewards = {};
+  arms.forEach(arm => {
+    const { successes, observations } = state.arms[arm];
+    meanRewards[arm] = (1 + successes) / (2 + observations);
+  });
+  
+  let probabilities = {};
+  if (config.algorithm === 'thompson') {
+    const samplers = Object.fromEntries(arms.map(arm => [
+      arm,
+      statisticsService.betaPosterior(state.arms[arm].successes, state.arms[arm].observations)
+    ]));
+    const posterior = statisticsService.posteriorComparison(samplers, {
+      draws: BANDIT_PROBABILITY_DRAWS,
+      seed: (config.seed + state.updates) >>> 0
+    });
+    arms.forEach(arm => {
+      probabilities[arm] = posterior[arm].probabilityBest;
+    });
   } else {
-    results = testResults[testId] || [];
+    const total = arms.reduce((sum, arm) => sum + state.arms[arm].observations, 0);
+    const index = arm => {
+      const { observations } = state.arms[arm];
+      if (observations === 0) return Infinity;
+      return meanRewards[arm] + config.ucbExploration * Math.sqrt(2 * Math.log(Math.max(total, 1)) / observations);
+    };
+    const selected = arms.reduce((best, arm) => (index(arm) > index(best) ? arm : best), arms[0]);
+    probabilities = Object.fromEntries(arms.map(arm => [arm, arm === selected ? 1 : 0]));
   }
   
-  // Calculate statistics
-  const stats = calculateTestStatistics(results);
+  const leader = arms.reduce((best, arm) => (meanRewards[arm] > meanRewards[best] ? arm : best), arms[0]);
+  const warm = arms.every(arm => state.arms[arm].results >= config.minSamplesPerArm);
+  const exploration = 1 - probabilities[leader];
+  const capped = warm && exploration > config.explorationCap;
+  
+  // 预热结束后限制非领先臂的总流量
+  if (capped) {
+    arms.forEach(arm => {
+      probabilities[arm] = arm === leader
+        ? 1 - config.explorationCap
+        : probabilities[arm] * (config.explorationCap / exploration);
+    });
+  }
+  
+  return { probabilities, meanRewards, leader, warm, capped };
+}
+
+/**
+ * Choose the arm of a bandit test for a message
+ * @param {Object} test - Bandit test
+ * @returns {Promise<Object>} Variant
+ */
+async function selectBanditArm(test) {
+  const state = await getBanditState(test);
+  const { probabilities } = computeBanditProbabilities(test, state);
+  const draw = state.random();
+  
+  let cumulative = 0;
+  for (const variant of test.variants) {
+    cumulative += probabilities[variant.id];
+    if (draw < cumulative) {
+      return variant;
+    }
+  }
+  
+  // Rounding: fall back to the most likely arm
+  return test.variants.reduce((best, variant) =>
+    (probabilities[variant.id] > probabilities[best.id] ? variant : best), test.variants[0]);
+}
+
+/**
+ * Get the current arm probabilities and reward estimates of a bandit test
+ * @param {Object|string} testOrId - Bandit test or its ID
+ * @returns {Promise<Object>} { testId, algorithm, explorationCap, warm, capped, leader, arms }
+ * @throws {ApiError} 404 when the test does not exist, 400 when it is not a bandit test
+ */
+async function getBanditArms(testOrId) {
+  const test = typeof testOrId === 'string' ? await getTest(testOrId) : testOrId;
+  if (!test) {
+    throw new ApiError('Test not found', 404);
+  }
+  if (test.type !== 'bandit') {
+    throw new ApiError('Test is not a bandit experiment', 400);
+  }
+  
+  const state = await getBanditState(test);
+  const { probabilities, meanRewards, leader, warm, capped } = computeBanditProbabilities(test, state);
+  
+  const arms = {};
+  test.variants.forEach(variant => {
+    arms[variant.id] = {
+      model: variant.model,
+      results: state.arms[variant.id].results,
+      observations: state.arms[variant.id].observations,
+      meanReward: meanRewards[variant.id],
+      probability: probabilities[variant.id]
+    };
+  });
   
   return {
-    testId,
-    resultCount: results.length,
-    statistics: stats
+    testId: test.id,
+    algorithm: test.bandit.algorithm,
+    explorationCap: test.bandit.explorationCap,
+    warm,
+    capped,
+    leader,
+    arms
+  };
+}
+
+/**
+ * Build the statistical report of a test: per-arm estimates with confidence intervals,
+ * pairwise comparisons per metric (Welch's t-test or two-proportion z-test) with
+ * p-values corrected for multiple comparisons, winners and the stopping decision
+ * @param {Object|null} test - Test
+ * @param {Array<Object>} results - Test results
+ * @param {Object} options - Report options (confidenceLevel, correction)
+ * @returns {Object} Statistical report
+ */
+function buildStatisticalReport(test, results, options = {}) {
+  const confidenceLevel = options.confidenceLevel || AB_TEST_CONFIDENCE_LEVEL;
+  const correction = options.correction || AB_TEST_CORRECTION;
+  const alpha = 1 - confidenceLevel;
+  
+  const armNames = [...new Set([
+    ...(test?.variants || []).map(variant => variant.id),
+    ...results.map(getResultArm)
+  ])];
+  
+  // Collect observations per arm and metric
+  const observations = {};
+  armNames.forEach(arm => {
+    observations[arm] = Object.fromEntries(Object.keys(TEST_METRICS).map(metric => [metric, []]));
+  });
+  results.forEach(result => {
+    for (const [metric, definition] of Object.entries(TEST_METRICS)) {
+      const value = result.metrics ? definition.value(result.metrics) : undefined;
+      if (value !== undefined && value !== null) {
+        observations[getResultArm(result)][metric].push(definition.type === 'proportion' ? (value ? 1 : 0) : value);
+      }
+    }
+  });
+  
+  // Per-arm estimates
+  const arms = {};
+  armNames.forEach(arm => {
+    arms[arm] = { count: results.filter(result => getResultArm(result) === arm).length };
+    
+    for (const [metric, definition] of Object.entries(TEST_METRICS)) {
+      const values = observations[arm][metric];
+      if (definition.type === 'proportion') {
+        const successes = values.reduce((sum, value) => sum + value, 0);
+        arms[arm][metric] = {
+          n: values.length,
+          successes,
+          rate: values.length > 0 ? successes / values.length : null,
+          ci: statisticsService.proportionConfidenceInterval(successes, values.length, confidenceLevel)
+        };
+      } else {
+        const summary = statisticsService.summarize(values);
+        arms[arm][metric] = {
+          ...summary,
+          ci: statisticsService.meanConfidenceInterval(summary, confidenceLevel)
+        };
+      }
+    }
+  });
+  
+  // Pairwise comparisons, corrected within each metric
+  const comparisons = [];
+  const winners = {};
+  
+  for (const [metric, definition] of Object.entries(TEST_METRICS)) {
+    const metricComparisons = [];
+    
+    for (let i = 0; i < armNames.length; i++) {
+      for (let j = i + 1; j < armNames.length; j++) {
+        const a = arms[armNames[i]][metric];
+        const b = arms[armNames[j]][metric];
+        const result = definition.type === 'proportion'
+          ? statisticsService.twoProportionZTest(a.successes, a.n, b.successes, b.n, confidenceLevel)
+          : statisticsService.welchTTest(a, b, confidenceLevel);
+        
+        if (result) {
+          metricComparisons.push({
+            metric,
+            test: definition.type === 'proportion' ? 'two-proportion-z' : 'welch-t',
+            modelA: armNames[i],
+            modelB: armNames[j],
+            ...result,
+            sufficientSamples: a.n >= AB_TEST_MIN_SAMPLES && b.n >= AB_TEST_MIN_SAMPLES
+          });
+        }
+      }
+    }
+    
+    const adjusted = statisticsService.adjustPValues(metricComparisons.map(c => c.pValue), correction);
+    metricComparisons.forEach((comparison, index) => {
+      comparison.adjustedPValue = adjusted[index];
+      comparison.significant = comparison.sufficientSamples && adjusted[index] < alpha;
+      
+      // Which arm is better, following the direction of the metric
+      if (comparison.significant) {
+        const aIsBetter = definition.higherIsBetter ? comparison.difference > 0 : comparison.difference < 0;
+        comparison.betterModel = aIsBetter ? comparison.modelA : comparison.modelB;
+      } else {
+        comparison.betterModel = null;
+      }
+    });
+    
+    // A winner beats every other arm significantly
+    const winner = armNames.find(arm => armNames.length > 1 && armNames
+      .filter(other => other !== arm)
+      .every(other => metricComparisons.some(c =>
+        c.betterModel === arm && (c.modelA === other || c.modelB === other)
+      )));
+    winners[metric] = winner || null;
+    
+    comparisons.push(...metricComparisons);
+  }
+  
+  return {
+    confidenceLevel,
+    alpha,
+    correction,
+    minSamplesPerArm: AB_TEST_MIN_SAMPLES,
+    arms,
+    comparisons,
+    winners,
+    stopping: evaluateStoppingRule(test, arms)
+  };
+}
+
+/**
+ * Decide whether a test can stop according to its stopping rule
+ * - bayesian: stop when one arm's posterior probability to be best and its expected
+ *   loss pass the thresholds (Beta posteriors for proportions, normal for means)
+ * - sequential: group-sequential test of the leading arm against every other arm with an
+ *   O'Brien-Fleming-type boundary z(alpha / 2k) / sqrt(t) at information fraction t;
+ *   stops without a winner when the planned sample size is reached
+ * @param {Object|null} test - Test
+ * @param {Object} arms - Per-arm estimates from buildStatisticalReport
+ * @returns {Object} { rule, shouldStop, winner, reason, ... }
+ */
+function evaluateStoppingRule(test, arms) {
+  const rule = test?.stoppingRule;
+  if (!rule) {
+    return { rule: null, shouldStop: false, winner: null, reason: 'No stopping rule configured' };
+  }
+  
+  const definition = TEST_METRICS[rule.metric];
+  const armNames = Object.keys(arms);
+  const estimates = armNames.map(arm => arms[arm][rule.metric]);
+  const minSamples = Math.min(...estimates.map(estimate => estimate.n));
+  const base = { rule, shouldStop: false, winner: null };
+  
+  if (armNames.length < 2 || minSamples < rule.minSamplesPerArm) {
+    return { ...base, reason: `Waiting for ${rule.minSamplesPerArm} ${rule.metric} samples per arm` };
+  }
+  
+  if (rule.type === 'bayesian') {
+    const samplers = {};
+    armNames.forEach(arm => {
+      const estimate = arms[arm][rule.metric];
+      samplers[arm] = definition.type === 'proportion'
+        ? statisticsService.betaPosterior(estimate.successes, estimate.n)
+        : statisticsService.normalPosterior(estimate);
+    });
+    
+    const posterior = statisticsService.posteriorComparison(samplers, {
+      higherIsBetter: definition.higherIsBetter,
+      seed: hashString(test.id)
+    });
+    const leader = armNames.reduce((best, arm) =>
+      (posterior[arm].probabilityBest > posterior[best].probabilityBest ? arm : best), armNames[0]);
+    const { probabilityBest, expectedLoss } = posterior[leader];
+    const shouldStop = probabilityBest >= rule.probabilityThreshold && expectedLoss <= rule.expectedLossThreshold;
+    
+    return {
+      ...base,
+      shouldStop,
+      winner: shouldStop ? leader : null,
+      leader,
+      posterior,
+      reason: shouldStop
+        ? `${leader} is best on ${rule.metric} with probability ${probabilityBest.toFixed(3)} (expected loss ${expectedLoss.toPrecision(3)})`
+        : `No arm has reached probability ${rule.probabilityThreshold} to be best with expected loss below ${rule.expectedLossThreshold}`
+    };
+  }
+  
+  // Sequential test of the leader against the other arms
+  const value = estimate => (definition.type === 'proportion' ? estimate.rate : estimate.mean);
+  const leader = armNames.reduce((best, arm) => {
+    const better = definition.higherIsBetter
+      ? value(arms[arm][rule.metric]) > value(arms[best][rule.metric])
+      : value(arms[arm][rule.metric]) < value(arms[best][rule.metric]);
+    return better ? arm : best;
+  }, armNames[0]);
+  
+  const informationFraction = Math.min(1, minSamples / rule.maxSamplesPerArm);
+  const boundary = statisticsService.normalQuantile(1 - rule.alpha / (2 * (armNames.length - 1))) / Math.sqrt(informationFraction);
+  const statistics = armNames.filter(arm => arm !== leader).map(arm => {
+    const a = arms[leader][rule.metric];
+    const b = arms[arm][rule.metric];
+    const result = definition.type === 'proportion'
+      ? statisticsService.twoProportionZTest(a.successes, a.n, b.successes, b.n)
+      : statisticsService.welchTTest(a, b);
+    return { model: arm, statistic: result ? result.statistic : 0 };
+  });
+  const crossed = statistics.every(({ statistic }) => Math.abs(statistic) >= boundary);
+  const maxReached = informationFraction >= 1;
+  
+  return {
+    ...base,
+    shouldStop: crossed || maxReached,
+    winner: crossed ? leader : null,
+    leader,
+    informationFraction,
+    boundary,
+    statistics,
+    reason: crossed
+      ? `${leader} crossed the sequential boundary on ${rule.metric} at information fraction ${informationFraction.toFixed(2)}`
+      : maxReached
+        ? `Reached ${rule.maxSamplesPerArm} samples per arm without a significant difference on ${rule.metric}`
+        : `No arm has crossed the sequential boundary (${boundary.toFixed(2)}) yet`
   };
 }
 
@@ -331,11 +1380,11 @@ async function getTestResults(testId) {
  * @returns {Object} Test statistics
  */
 function calculateTestStatistics(results) {
-  // Group by model
+  // Group by arm (variant)
   const modelGroups = {};
   
   for (const result of results) {
-    const model = result.model;
+    const model = getResultArm(result);
     if (!modelGroups[model]) {
       modelGroups[model] = [];
     }
@@ -390,23 +1439,15 @@ function calculateTestStatistics(results) {
  * @returns {Promise<Object>} Significance results
  */
 async function calculateSignificance(testId) {
-  const results = await getTestResults(testId);
-  const stats = results.statistics;
+  const { report } = await getTestResults(testId);
+  const models = Object.keys(report.arms);
   
-  // Simple significance calculation (t-test would be more appropriate)
-  const models = Object.keys(stats);
   if (models.length < 2) {
     return { significant: false, confidence: 0 };
   }
   
-  // For illustration - a real implementation would use proper statistical methods
-  const modelA = models[0];
-  const modelB = models[1];
-  const statsA = stats[modelA];
-  const statsB = stats[modelB];
-  
   // Minimum sample size check
-  if (statsA.count < 30 || statsB.count < 30) {
+  if (models.some(model => report.arms[model].count < AB_TEST_MIN_SAMPLES)) {
     return {
       significant: false,
       confidence: 0,
@@ -414,68 +1455,30 @@ async function calculateSignificance(testId) {
     };
   }
   
-  // Rating difference
-  const ratingDiff = Math.abs(statsA.averageRating - statsB.averageRating);
-  const ratingSignificant = ratingDiff > 0.5; // Arbitrary threshold
-  
-  // Time difference
-  const timeDiff = Math.abs(statsA.averageProcessingTime - statsB.averageProcessingTime);
-  const timeSignificant = timeDiff > 100; // 100ms threshold
-  
-  // Combined significance
-  const significant = ratingSignificant || timeSignificant;
+  const metrics = {};
+  for (const metric of Object.keys(TEST_METRICS)) {
+    const comparisons = report.comparisons.filter(c => c.metric === metric);
+    metrics[metric] = {
+      significant: comparisons.some(c => c.significant),
+      winner: report.winners[metric],
+      comparisons
+    };
+  }
   
-  // Confidence calculation (simplified)
-  const confidence = significant ? 0.95 : 0;
+  const significantComparisons = report.comparisons.filter(c => c.significant);
+  const significant = significantComparisons.length > 0;
+  const betterModel = report.winners.thumbsUp || report.winners.rating || report.winners.processingTime;
   
   return {
     significant,
-    confidence,
-    metrics: {
-      rating: {
-        difference: ratingDiff,
-        significant: ratingSignificant
-      },
-      processingTime: {
-        difference: timeDiff,
-        significant: timeSignificant
-      }
-    },
-    betterModel: getBetterModel(statsA, statsB, modelA, modelB)
+    // 1 - the smallest corrected p-value among significant comparisons
+    confidence: significant ? 1 - Math.min(...significantComparisons.map(c => c.adjustedPValue)) : 0,
+    correction: report.correction,
+    metrics,
+    betterModel: betterModel || 'no clear winner'
   };
 }
 
-/**
- * Determine which model performed better
- * @param {Object} statsA - Statistics for model A
- * @param {Object} statsB - Statistics for model B
- * @param {string} modelA - Model A name
- * @param {string} modelB - Model B name
- * @returns {string} Better performing model name
- */
-function getBetterModel(statsA, statsB, modelA, modelB) {
-  // Higher rating is better
-  if (statsA.averageRating > statsB.averageRating + 0.3) {
-    return modelA;
-  }
-  
-  if (statsB.averageRating > statsA.averageRating + 0.3) {
-    return modelB;
-  }
-  
-  // If ratings are similar, faster response is better
-  if (statsA.averageProcessingTime < statsB.averageProcessingTime - 50) {
-    return modelA;
-  }
-  
-  if (statsB.averageProcessingTime < statsA.averageProcessingTime - 50) {
-    return modelB;
-  }
-  
-  // No clear winner
-  return 'no clear winner';
-}
-
 /**
  * Hash a string to a number (deterministic)
  * @param {string} str - String to hash
@@ -494,10 +1497,16 @@ function hashString(str) {
 module.exports = {
   createTest,
   getActiveTests,
+  getTest,
+  endTest,
+  checkStoppingRule,
   assignUserToTests,
+  getMessageVariant,
   getUserTestModel,
   getUserAssignments,
   recordTestResult,
   getTestResults,
+  getBanditArms,
+  buildStatisticalReport,
   calculateSignificance
 }; 
\ No newline at end of file
@@ -6,9 +6,6 @@
  * - Model selection and fallback
  */
 const { v4: uuidv4 } = require('uuid');
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const { OpenAI } = require("openai");
-const franc = require('franc');
 const { ApiError } = require('../middleware/errorHandler');
 
 // Import other services
@@ -19,124 +16,69 @@ const messageQueue = process.env.ENABLE_MESSAGE_QUEUE === 'true'
 const intentService = require('./intentService');
 const responseFormatter = require('./responseFormatterService');
 const abTestingService = require('./abTestingService');
+const modelRegistry = require('./modelRegistry');
+const circuitBreaker = require('./circuitBreaker');
+const usageService = require('./usageService');
+const routingService = require('./routingService');
+const knowledgeService = require('./knowledgeService');
+const toolService = require('./toolService');
+const dialogService = require('./dialogService');
+const entityService = require('./entityService');
+const sentimentService = require('./sentimentService');
+const handoffService = require('./handoffService');
+const piiService = require('./piiService');
+const languageService = require('./languageService');
+const promptService = require('./promptService');
+const richResponseService = require('./richResponseService');
 
 // Environment variables
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
 const DEFAULT_AI_MODEL = process.env.DEFAULT_AI_MODEL || 'gemini-2.0-flash-lite';
 const ENABLE_MODEL_FALLBACK = process.env.ENABLE_MODEL_FALLBACK === 'true';
-const MAX_TOKENS_PER_REQUEST = parseInt(process.env.MAX_TOKENS_PER_REQUEST || '2048');
 const AI_REQUEST_TIMEOUT = parseInt(process.env.AI_REQUEST_TIMEOUT || '15000');
+const AI_STREAM_IDLE_TIMEOUT = parseInt(process.env.AI_STREAM_IDLE_TIMEOUT || '15000');
+const ENABLE_KNOWLEDGE_BASE = process.env.ENABLE_KNOWLEDGE_BASE === 'true';
+const ENABLE_TOOL_CALLING = process.env.ENABLE_TOOL_CALLING === 'true';
+const TOOL_CALLING_INTENTS = (process.env.TOOL_CALLING_INTENTS || 'booking,cancel')
+  .split(',')
+  .map(intent => intent.trim())
+  .filter(Boolean);
+const TOOL_MAX_ROUNDS = parseInt(process.env.TOOL_MAX_ROUNDS || '4');
+const ENABLE_DIALOG_MANAGER = process.env.ENABLE_DIALOG_MANAGER === 'true';
+const ENABLE_HANDOFF = process.env.ENABLE_HANDOFF === 'true';
+const ENABLE_PII_REDACTION = process.env.ENABLE_PII_REDACTION === 'true';
+const ENABLE_STRUCTURED_RESPONSES = process.env.ENABLE_STRUCTURED_RESPONSES === 'true';
+const ENABLE_SEMANTIC_CACHE = process.env.ENABLE_SEMANTIC_CACHE === 'true';
 
-// Initialize the Google Generative AI client
-const genAI = GEMINI_API_KEY 
-  ? new GoogleGenerativeAI(GEMINI_API_KEY) 
-  : null;
-
-// Initialize the OpenAI client
-const openai = OPENAI_API_KEY 
-  ? new OpenAI({ apiKey: OPENAI_API_KEY })
-  : null;
-
-// Initialize the OpenRouter client
-const openrouter = OPENROUTER_API_KEY
-  ? new OpenAI({
-      apiKey: OPENROUTER_API_KEY,
-      baseURL: 'https://openrouter.ai/api/v1',
-      defaultHeaders: {
-        'HTTP-Referer': 'https://yourapp.com',
-        'X-Title': 'iBuddy AI Assistant'
-      }
-    })
-  : null;
-
-// Model configs
-const modelConfigs = {
-  'gemini-2.0-flash-lite': {
-    temperature: 0.7,
-    topK: 40,
-    topP: 0.95,
-    maxOutputTokens: MAX_TOKENS_PER_REQUEST
-  },
-  'gemini-1.5-pro-latest': {
-    temperature: 0.9,
-    topK: 32,
-    topP: 0.9,
-    maxOutputTokens: MAX_TOKENS_PER_REQUEST
-  },
-  'gpt-4o-mini': {
-    temperature: 0.8,
-    top_p: 0.95,
-    max_tokens: MAX_TOKENS_PER_REQUEST,
-    presence_penalty: 0,
-    frequency_penalty: 0
-  }
-};
-
-// Available models (with fallback order)
-const availableModels = [
-  'gemini-2.0-flash-lite',
-  'gemini-1.5-pro-latest',
-  'gpt-4o-mini'
-];
-
-// Model providers
-const modelProviders = {
-  'gemini-2.0-flash-lite': 'google',
-  'gemini-1.5-pro-latest': 'google',
-  'gpt-4o-mini': 'openrouter'
-};
-
-// 添加模型使用统计
+// 添加模型使用统计 (按已声明的模型初始化)
 const modelStats = {
-  usage: {
-    'gemini-2.0-flash-lite': 0,
-    'gemini-1.5-pro-latest': 0,
-    'gpt-4o-mini': 0
-  },
-  performance: {
-    'gemini-2.0-flash-lite': [],
-    'gemini-1.5-pro-latest': [],
-    'gpt-4o-mini': []
-  },
-  failures: {
-    'gemini-2.0-flash-lite': 0,
-    'gemini-1.5-pro-latest': 0,
-    'gpt-4o-mini': 0
-  }
+  usage: {},
+  performance: {},
+  failures: {}
 };
 
+modelRegistry.getModelIds().forEach(modelId => {
+  modelStats.usage[modelId] = 0;
+  modelStats.performance[modelId] = [];
+  modelStats.failures[modelId] = 0;
+});
+
 /**
  * Check if AI models are available
  * @returns {Promise<boolean>} Whether models are available
  */
 async function checkAiModelsAvailability() {
-  if (!genAI && !openai && !openrouter) {
+  // 优先检查默认模型，未配置时检查第一个可用模型
+  const modelId = modelRegistry.isModelAvailable(DEFAULT_AI_MODEL)
+    ? DEFAULT_AI_MODEL
+    : modelRegistry.getAvailableModels()[0]?.id;
+  
+  if (!modelId) {
     return false;
   }
   
   try {
-    if (modelProviders[DEFAULT_AI_MODEL] === 'google' && genAI) {
-      const model = genAI.getGenerativeModel({ model: DEFAULT_AI_MODEL });
-      await model.generateContent("test");
-      return true;
-    } else if (modelProviders[DEFAULT_AI_MODEL] === 'openai' && openai) {
-      await openai.chat.completions.create({
-        model: DEFAULT_AI_MODEL,
-        messages: [{ role: "user", content: "test" }],
-        max_tokens: 5
-      });
-      return true;
-    } else if (modelProviders[DEFAULT_AI_MODEL] === 'openrouter' && openrouter) {
-      await openrouter.chat.completions.create({
-        model: `openai/${DEFAULT_AI_MODEL}`,
-        messages: [{ role: "user", content: "test" }],
-        max_tokens: 5
-      });
-      return true;
-    }
-    return false;
+    await generateWithModel(modelId, 'test', { maxTokens: 5 });
+    return true;
   } catch (error) {
     console.error('AI model availability check failed:', error);
     return false;
@@ -152,206 +94,977 @@ async function checkAiModelsAvailability() {
  * @param {string} messageData.platform - Platform identifier
  * @param {Object} messageData.context - User context
  * @param {Object} messageData.formatOptions - Response formatting options
+ * @param {string} messageData.plan - Subscription plan (optional, looked up when omitted)
+ * @param {string} messageData.feature - Feature the usage is billed to (defaults to chat)
+ * @param {string} messageData.tenantId - Authenticated business: its budget is checked and billed, and its
+ *   knowledge base grounds the answer (defaults to userId)
+ * @param {string} messageData.authToken - User's token, required for the booking tools to call the server API
+ * @param {Array<Object>} messageData.services - Services of the business { id, name, aliases }, matched by the dialog manager (optional)
+ * @param {Array<Object>} messageData.products - Products of the business { id, name, aliases, sku }, matched by entity extraction (optional)
  * @returns {Promise<Object>} AI response
  */
 async function processMessage(messageData) {
+  const prepared = await prepareMessage(messageData);
+  
+  if (prepared.cachedResponse) {
+    return prepared.cachedResponse;
+  }
+  
+  // 转人工：客服接手后不回复，刚触发转接时只发送转接提示
+  if (prepared.handoffResponse) {
+    return prepared.handoffResponse;
+  }
+  
+  // Generate response with fallback (letting the model call tools for booking messages)
+  try {
+    const response = prepared.useTools
+      ? await generateWithTools(prepared, messageData)
+      : await generateResponseWithFallback(
+          prepared.prompt,
+          prepared.selectedModel,
+          prepared.generationOptions
+        );
+    
+    return await finalizeResponse(prepared, response, messageData);
+  } catch (error) {
+    // 记录失败
+    console.error(`Error processing message with AI:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Process a message using AI, streaming the generated text
+ * Replies that call tools are generated first and sent as a single delta.
+ * @param {Object} messageData - Message data object (same as processMessage)
+ * @param {Object} streamOptions - Streaming options
+ * @param {Function} streamOptions.onToken - Called with each text delta
+ * @param {AbortSignal} streamOptions.signal - Signal used to cancel the generation
+ * @returns {Promise<Object>} Final AI response (cancelled: true if aborted)
+ */
+async function processMessageStream(messageData, streamOptions = {}) {
+  const { onToken = () => {}, signal } = streamOptions;
+  const prepared = await prepareMessage(messageData, { stream: true });
+  
+  // 缓存命中时一次性发送完整文本
+  if (prepared.cachedResponse) {
+    onToken(prepared.cachedResponse.text);
+    return prepared.cachedResponse;
+  }
+  
+  if (prepared.handoffResponse) {
+    if (prepared.handoffResponse.text) {
+      onToken(prepared.handoffResponse.text);
+    }
+    return prepared.handoffResponse;
+  }
+  
+  try {
+    let response;
+    // 流式输出时还原个人信息占位符（跨token的占位符先缓存）
+    const restorer = prepared.piiVault ? piiService.createStreamRestorer(prepared.piiVault, onToken) : null;
+    const emitToken = restorer ? delta => restorer.push(delta) : onToken;
+    
+    if (prepared.useTools) {
+      response = await generateWithTools(prepared, messageData);
+      emitToken(response.text);
+    } else {
+      response = await generateStreamWithFallback(
+        prepared.prompt,
+        prepared.selectedModel,
+        emitToken,
+        signal,
+        prepared.generationOptions
+      );
+    }
+    
+    restorer?.flush();
+    
+    // 生成被取消时只返回部分文本，不记录测试结果也不缓存，但已生成的token仍计费
+    if (response.cancelled) {
+      const usage = await recordResponseUsage(prepared, response, messageData);
+      
+      return {
+        messageId: prepared.messageId,
+        text: restorePrivateData(response.text, prepared),
+        intent: prepared.intentResult?.intent || null,
+        confidence: prepared.intentResult?.confidence || null,
+        model: response.model,
+        processingTime: Date.now() - prepared.startTime,
+        timestamp: new Date().toISOString(),
+        usage,
+        citations: prepared.citations || [],
+        promptTemplates: prepared.promptTemplates || [],
+        entities: prepared.entities || [],
+        analysis: prepared.analysis || null,
+        dialog: prepared.dialog ? formatDialog(prepared.dialog) : null,
+        handoff: prepared.handoff ? formatHandoff(prepared.handoff) : null,
+        cancelled: true
+      };
+    }
+    
+    return await finalizeResponse(prepared, response, messageData);
+  } catch (error) {
+    console.error(`Error streaming message with AI:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Prepare a message for generation: cache lookup, routing (intent recognition,
+ * language detection, A/B test assignment, routing policy), budget check,
+ * semantic cache lookup and prompt building
+ * @param {Object} messageData - Message data object
+ * @param {Object} options - Options
+ * @param {boolean} options.stream - Whether the reply is streamed (streamed replies are never structured)
+ * @returns {Promise<Object>} Prepared generation state
+ */
+async function prepareMessage(messageData, { stream = false } = {}) {
   const messageId = uuidv4();
   const startTime = Date.now();
   
   // Check if any AI service is available
-  if (!genAI && !openai && !openrouter) {
+  if (modelRegistry.getAvailableModels().length === 0) {
     throw new ApiError('AI service is not configured', 503);
   }
   
+  // 等待客户确认的工具操作（此时"好的"之类的答复不能使用缓存）
+  const pendingAction = canUseTools(messageData)
+    ? await toolService.getPendingAction(messageData.userId, messageData.sessionId, messageData.tenantId || messageData.userId)
+    : null;
+  
+  // 进行中的多轮对话（"明天"之类的答复取决于对话状态，不能使用缓存）
+  const activeDialog = ENABLE_DIALOG_MANAGER && messageData.userId
+    ? await dialogService.getActiveDialog(messageData.userId)
+    : null;
+  
+  // 已转人工的对话（回复取决于转接状态，不能使用缓存）
+  const activeHandoff = ENABLE_HANDOFF && messageData.userId
+    ? await handoffService.getActiveHandoff(messageData.userId, messageData.sessionId)
+    : null;
+  
   // Check for cached response
   const cacheKey = `ai:response:${messageData.userId}:${encodeURIComponent(messageData.text.toLowerCase().trim())}`;
-  const cachedResponse = await cacheService.get(cacheKey);
+  const cachedResponse = pendingAction || activeDialog || activeHandoff ? null : await cacheService.get(cacheKey);
   
   if (cachedResponse) {
     return {
-      ...JSON.parse(cachedResponse),
       messageId,
-      cached: true
+      cachedResponse: {
+        ...JSON.parse(cachedResponse),
+        messageId,
+        // 缓存命中不消耗token
+        usage: { tokensInput: 0, tokensOutput: 0, cost: 0 },
+        cached: true
+      }
     };
   }
   
-  // Detect language (optional)
-  const detectedLang = franc(messageData.text, { minLength: 3 });
+  // 意图识别、语言检测、A/B测试分配，按路由策略选择模型
+  const { detectedLang, intentResult, experiment, routing } = await routeMessage(messageData);
+  const variant = experiment?.variant || null;
   
-  // 进行意图识别
-  let intentResult = null;
-  try {
-    intentResult = await intentService.recognizeIntent(
-      messageData.text,
-      'default',
-      messageData.context
-    );
-  } catch (error) {
-    console.warn('Intent recognition failed:', error);
-    // 继续处理，意图识别失败不应阻止消息处理
+  if (routing.ruleId) {
+    console.log(`Routing rule ${routing.ruleId} selected model ${routing.model}`);
   }
   
-  // 获取用户A/B测试分配
-  let testAssignments = null;
-  let selectedModel = null;
+  // 检查用户月度预算，用尽时阻止请求或降级到更便宜的模型
+  const budgetSelection = await usageService.selectModelWithinBudget(
+    getBillingId(messageData),
+    routing.model,
+    { plan: messageData.plan }
+  );
   
-  if (messageData.userId) {
-    try {
-      testAssignments = await abTestingService.getUserAssignments(messageData.userId);
-      
-      // 如果有活跃测试，查找当前激活的测试
-      const activeTests = await abTestingService.getActiveTests();
-      for (const test of activeTests) {
-        if (testAssignments[test.id]) {
-          // 使用测试分配的模型
-          selectedModel = testAssignments[test.id].model;
-          console.log(`User ${messageData.userId} is in A/B test: ${test.name}, using model: ${selectedModel}`);
-          break; // 一次只使用一个测试的模型
-        }
+  if (budgetSelection.downgraded) {
+    console.log(`Tenant ${getBillingId(messageData)} exhausted their AI budget, downgrading ${routing.model} to ${budgetSelection.model}`);
+  }
+  
+  // 提取消息中的实体（日期、金额、订单号等），随响应返回
+  const entities = await extractMessageEntities(messageData);
+  
+  // 情感、紧急程度和攻击性评分，用于上下文记忆和转人工
+  const analysis = await sentimentService.analyzeMessage(messageData.text, { userId: getBillingId(messageData) });
+  
+  // 转人工检查：记录已转接对话中的消息，或在触发条件满足时转接
+  const handoffCheck = await checkHandoff(messageData, intentResult, analysis);
+  
+  if (handoffCheck?.suppressReply || handoffCheck?.triggered) {
+    return {
+      messageId,
+      handoffResponse: buildHandoffResponse({ messageId, startTime, detectedLang, intentResult, entities, analysis }, handoffCheck, messageData)
+    };
+  }
+  
+  // 槽位填充：从消息中提取实体，更新对话状态并确定需要追问的信息
+  const dialog = await runDialogTurn(messageData, intentResult);
+  
+  const useTools = canUseTools(messageData) && (!!pendingAction ||
+    TOOL_CALLING_INTENTS.includes(intentResult?.intent) ||
+    TOOL_CALLING_INTENTS.includes(dialog?.intent));
+  
+  // 语义缓存：同一租户内相似问题的回复（A/B测试中的消息不使用，以免影响测试结果）
+  const semanticScope = ENABLE_SEMANTIC_CACHE && !pendingAction && !activeHandoff && !dialog && !useTools && !experiment
+    ? getSemanticScope(messageData, intentResult, detectedLang)
+    : null;
+  const semanticHit = semanticScope ? await cacheService.getSemantic(messageData.text, semanticScope) : null;
+  
+  if (semanticHit) {
+    return {
+      messageId,
+      cachedResponse: {
+        ...JSON.parse(semanticHit.value),
+        messageId,
+        usage: { tokensInput: 0, tokensOutput: 0, cost: 0 },
+        entities,
+        analysis,
+        cached: true,
+        cacheMatch: { type: 'semantic', score: semanticHit.score }
       }
-    } catch (error) {
-      console.warn('Error getting A/B test assignments:', error);
-    }
+    };
   }
   
-  // 如果用户没有测试分配，使用常规选择逻辑
-  if (!selectedModel) {
-    selectedModel = chooseAppropriateModel(messageData);
+  // 结构化回复（JSON）：流式输出和工具调用的回复仍为文本
+  const structuredResponse = ENABLE_STRUCTURED_RESPONSES && !stream && !useTools;
+  
+  // Build prompt with context and knowledge base passages (A/B variants may change the prompt and context window)
+  const { prompt, citations, promptTemplates } = await buildPromptWithContext(messageData, variant, dialog, structuredResponse);
+  
+  // 发送给第三方模型前用占位符替换个人信息（电话、邮箱、证件号、卡号、地址），回复时再还原
+  const piiVault = ENABLE_PII_REDACTION ? piiService.createVault() : null;
+  
+  return {
+    messageId,
+    startTime,
+    cacheKey,
+    semanticScope,
+    detectedLang,
+    intentResult,
+    experiment,
+    routingRule: routing.ruleId,
+    selectedModel: budgetSelection.model,
+    downgraded: budgetSelection.downgraded,
+    // 变体的采样参数覆盖模型声明中的默认值
+    generationOptions: {
+      maxTokens: budgetSelection.maxTokens,
+      temperature: variant?.temperature ?? undefined,
+      topP: variant?.topP ?? undefined,
+      responseFormat: structuredResponse ? 'json' : undefined
+    },
+    prompt: piiVault ? protectPrompt(prompt, piiVault) : prompt,
+    piiVault,
+    citations,
+    promptTemplates,
+    pendingAction,
+    entities,
+    analysis,
+    dialog,
+    handoff: handoffCheck?.handoff || null,
+    structuredResponse,
+    useTools
+  };
+}
+
+/**
+ * Extract the entities of a message
+ * Failures are logged and do not block the reply.
+ * @param {Object} messageData - Message data object
+ * @returns {Promise<Array<Object>>} Entities (empty on failure)
+ */
+async function extractMessageEntities(messageData) {
+  try {
+    return await entityService.extractEntitiesWithFallback(messageData.text, {
+      services: messageData.services,
+      products: messageData.products,
+      userId: getBillingId(messageData)
+    });
+  } catch (error) {
+    console.warn('Entity extraction failed:', error);
+    return [];
+  }
+}
+
+/**
+ * Check a message against the open handoff of its conversation and the handoff triggers
+ * Failures are logged and leave the conversation to the bot.
+ * @param {Object} messageData - Message data object
+ * @param {Object} intentResult - Recognized intent (optional)
+ * @param {Object} analysis - Sentiment analysis of the message (optional)
+ * @returns {Promise<Object|null>} handoffService.processInbound result, or null when handoffs are disabled
+ */
+async function checkHandoff(messageData, intentResult, analysis) {
+  if (!ENABLE_HANDOFF || !messageData.userId) {
+    return null;
   }
   
-  // Build prompt with context
-  const prompt = await buildPromptWithContext(messageData);
+  try {
+    return await handoffService.processInbound({
+      userId: messageData.userId,
+      sessionId: messageData.sessionId,
+      tenantId: messageData.tenantId || messageData.userId,
+      platform: messageData.platform,
+      text: messageData.text,
+      intentResult,
+      analysis
+    });
+  } catch (error) {
+    console.error('Error checking handoff:', error);
+    return null;
+  }
+}
+
+/**
+ * Build the response to a message the bot does not answer itself: the
+ * handoff notice when a handoff was just opened, no text while an agent owns
+ * the conversation
+ * @param {Object} prepared - Partially prepared state { messageId, startTime, detectedLang, intentResult, entities, analysis }
+ * @param {Object} handoffCheck - handoffService.processInbound result
+ * @param {Object} messageData - Message data object
+ * @returns {Object} AI response (no model, no usage)
+ */
+function buildHandoffResponse(prepared, handoffCheck, messageData) {
+  const { messageId, startTime, detectedLang, intentResult, entities, analysis } = prepared;
+  const text = handoffCheck.suppressReply ? null : handoffCheck.notice;
+  
+  return {
+    messageId,
+    text,
+    intent: intentResult?.intent || null,
+    confidence: intentResult?.confidence || null,
+    model: null,
+    language: detectedLang !== 'und' ? detectedLang : null,
+    processingTime: Date.now() - startTime,
+    timestamp: new Date().toISOString(),
+    usage: { tokensInput: 0, tokensOutput: 0, cost: 0 },
+    citations: [],
+    toolCalls: [],
+    pendingAction: null,
+    entities: entities || [],
+    analysis: analysis || null,
+    dialog: null,
+    handoff: formatHandoff(handoffCheck.handoff),
+    suppressed: handoffCheck.suppressReply,
+    formatted: text
+      ? responseFormatter.formatRichResponse(text, messageData.platform || 'web', messageData.formatOptions || {})
+      : null
+  };
+}
+
+/**
+ * Describe the handoff state of a reply (without the transcript)
+ * @param {Object} handoff - Handoff
+ * @returns {Object} { id, state, reasons, agentId }
+ */
+function formatHandoff(handoff) {
+  const { id, state, reasons, agentId } = handoff;
+  return { id, state, reasons, agentId };
+}
+
+/**
+ * Replace the personal data of a prompt with placeholders, telling the model to keep them
+ * @param {string} prompt - Prompt
+ * @param {Object} vault - Placeholder vault of the request (updated in place)
+ * @returns {string} Prompt safe to send to a third-party model
+ */
+function protectPrompt(prompt, vault) {
+  const { text } = piiService.redact(prompt, { vault });
+  
+  if (!piiService.hasEntries(vault)) {
+    return text;
+  }
+  
+  return "注意：[PHONE_1]、[EMAIL_1]、[ADDRESS_1]等方括号占位符代表客户的个人信息，" +
+    "回复或调用工具时如需使用，请原样保留占位符。\n\n" + text;
+}
+
+/**
+ * Put the customer's personal data back into a reply
+ * @param {string} text - Reply with placeholders
+ * @param {Object} prepared - Prepared generation state (holds the request's vault)
+ * @returns {string} Reply for the customer
+ */
+function restorePrivateData(text, prepared) {
+  return prepared.piiVault ? piiService.restoreReply(text, prepared.piiVault) : text;
+}
+
+/**
+ * Run the dialog manager on a message
+ * Failures are logged and do not block the reply.
+ * @param {Object} messageData - Message data object
+ * @param {Object} intentResult - Recognized intent (optional)
+ * @returns {Promise<Object|null>} Dialog turn result or null when no dialog applies
+ */
+async function runDialogTurn(messageData, intentResult) {
+  if (!ENABLE_DIALOG_MANAGER || !messageData.userId) {
+    return null;
+  }
   
-  // Generate response with fallback
   try {
-    const response = await generateResponseWithFallback(prompt, selectedModel);
-    
-    // 记录性能数据
-    const processingTime = Date.now() - startTime;
-    recordModelPerformance(response.model, processingTime, messageData.text.length);
-    
-    // 获取目标平台，用于响应格式化
-    const platform = messageData.platform || 'web';
-    const formatOptions = messageData.formatOptions || {};
+    return await dialogService.processTurn({
+      userId: messageData.userId,
+      text: messageData.text,
+      intent: intentResult?.intent,
+      confidence: intentResult?.confidence,
+      services: messageData.services
+    });
+  } catch (error) {
+    console.warn('Dialog manager failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Check whether the model may call tools for a message
+ * Tools act on the server API with the user's token, so it must be supplied.
+ * @param {Object} messageData - Message data object
+ * @returns {boolean} Whether tool calling is possible
+ */
+function canUseTools(messageData) {
+  return ENABLE_TOOL_CALLING && !!messageData.authToken && !!messageData.userId;
+}
+
+/**
+ * Generate a response letting the model call the registered tools
+ * The model is called repeatedly with the results of its tool calls until it
+ * answers the customer (at most TOOL_MAX_ROUNDS rounds). A reply to a pending
+ * action ("yes", "好的", "boleh"...) confirms or rejects it before the model runs.
+ * @param {Object} prepared - State returned by prepareMessage
+ * @param {Object} messageData - Message data object
+ * @returns {Promise<Object>} Generated response { text, model, usage, toolCalls, pendingAction }
+ */
+async function generateWithTools(prepared, messageData) {
+  const toolContext = {
+    userId: messageData.userId,
+    tenantId: messageData.tenantId || messageData.userId,
+    sessionId: messageData.sessionId,
+    messageId: prepared.messageId,
+    authToken: messageData.authToken
+  };
+  const declarations = toolService.getDeclarations();
+  const toolCalls = [];
+  const usage = { tokensInput: 0, tokensOutput: 0 };
+  let pendingAction = prepared.pendingAction;
+  
+  const messages = [{ role: 'user', content: buildToolInstructions(pendingAction) + prepared.prompt }];
+  
+  // 工具结果中的个人信息同样替换为占位符，模型给出的参数在调用工具前还原
+  const vault = prepared.piiVault;
+  const protectValue = value => vault ? piiService.redactValue(value, vault) : value;
+  
+  /**
+   * Add an audited tool result to the conversation
+   * @param {Object} call - Tool call { id, name }
+   * @param {Object} invocation - Result returned by toolService
+   */
+  const addToolResult = (call, invocation) => {
+    toolCalls.push(invocation);
+    messages.push({
+      role: 'tool',
+      toolCallId: call.id,
+      name: call.name,
+      content: JSON.stringify(protectValue({
+        status: invocation.status,
+        result: invocation.result,
+        error: invocation.error
+      }))
+    });
+  };
+  
+  // 客户对待确认操作的答复：确认则执行，拒绝则放弃
+  const decision = pendingAction ? toolService.classifyConfirmation(messageData.text) : null;
+  
+  if (decision) {
+    const invocation = await toolService.resolvePendingAction(toolContext, decision === 'confirm');
+    const call = { id: invocation.id, name: invocation.name, arguments: protectValue(invocation.arguments) };
     
-    // 根据目标平台格式化响应
-    const formattedResponse = responseFormatter.formatRichResponse(
-      response.text,
-      platform,
-      formatOptions
+    messages.push({ role: 'assistant', content: '', toolCalls: [call] });
+    addToolResult(call, invocation);
+    pendingAction = null;
+  }
+  
+  for (let round = 0; round <= TOOL_MAX_ROUNDS; round++) {
+    // 最后一轮不再提供工具，要求模型直接回复客户
+    const response = await generateToolStepWithFallback(
+      messages,
+      round < TOOL_MAX_ROUNDS ? declarations : [],
+      prepared.selectedModel,
+      prepared.generationOptions
     );
     
-    // Structure the final response
-    const aiResponse = {
-      messageId,
-      text: response.text,
-      intent: intentResult?.intent || null,
-      confidence: intentResult?.confidence || null,
-      model: response.model,
-      language: detectedLang !== 'und' ? detectedLang : null,
-      processingTime,
-      timestamp: new Date().toISOString(),
-      formatted: formattedResponse
-    };
+    usage.tokensInput += response.usage.tokensInput;
+    usage.tokensOutput += response.usage.tokensOutput;
     
-    // If intent was recognized, add related intents for context
-    if (intentResult?.intent) {
-      aiResponse.relatedIntents = intentService.getRelatedIntents(intentResult.intent);
+    if (response.toolCalls.length === 0) {
+      return {
+        text: response.text,
+        model: response.model,
+        usage,
+        toolCalls,
+        pendingAction
+      };
     }
     
-    // 如果用户在A/B测试中，记录测试结果
-    if (messageData.userId && testAssignments) {
-      for (const [testId, assignment] of Object.entries(testAssignments)) {
-        if (assignment.model === response.model) {
-          // 记录此测试的结果
-          await abTestingService.recordTestResult({
-            userId: messageData.userId,
-            testId,
-            messageId,
-            metrics: {
-              processingTime,
-              // 其他测试指标可以在用户提供反馈时添加
-            }
-          });
-        }
+    messages.push({ role: 'assistant', content: response.text, toolCalls: response.toolCalls });
+    
+    for (const call of response.toolCalls) {
+      const invocation = await toolService.invokeTool(call.name, piiService.restoreValue(call.arguments, vault), toolContext);
+      
+      if (invocation.pendingAction) {
+        pendingAction = invocation.pendingAction;
       }
+      addToolResult(call, invocation);
     }
-    
-    // Cache the response
+  }
+  
+  throw new ApiError('The model did not answer after calling tools', 502, { toolCalls });
+}
+
+/**
+ * Build the instructions prepended to the prompt when tools are available
+ * @param {Object} pendingAction - Action waiting for the customer's confirmation (optional)
+ * @returns {string} Instructions
+ */
+function buildToolInstructions(pendingAction) {
+  let instructions = `当前时间：${new Date().toISOString()}。` +
+    "需要查询服务、空闲时段或预约、改期、取消时请调用工具，不要编造结果。" +
+    "需要确认的操作只有在客户明确确认后才会执行，请向客户复述操作内容并询问是否确认。\n";
+  
+  if (pendingAction) {
+    instructions += `待客户确认的操作：${pendingAction.summary}\n`;
+  }
+  
+  return instructions + "\n";
+}
+
+/**
+ * Get the account a message's AI usage is budgeted and billed to
+ * Budgets are per tenant: the userId of a message only identifies the conversation
+ * and is chosen by the caller, so it must not decide whose budget is used.
+ * @param {Object} messageData - Message data object
+ * @returns {string|null} Tenant ID (the userId for internal callers without a tenant)
+ */
+function getBillingId(messageData) {
+  return messageData.tenantId || messageData.userId || null;
+}
+
+/**
+ * Record the token usage and cost of a generated response
+ * Token counts reported by the provider are used when available, otherwise estimated.
+ * @param {Object} prepared - State returned by prepareMessage
+ * @param {Object} response - Generated response { text, model, usage }
+ * @param {Object} messageData - Message data object
+ * @returns {Promise<Object>} Usage { tokensInput, tokensOutput, cost }
+ */
+async function recordResponseUsage(prepared, response, messageData) {
+  return usageService.recordUsage({
+    userId: getBillingId(messageData),
+    feature: messageData.feature || usageService.FEATURES.CHAT,
+    model: response.model,
+    messageId: prepared.messageId,
+    tokensInput: response.usage?.tokensInput ?? usageService.estimateTokens(prepared.prompt),
+    tokensOutput: response.usage?.tokensOutput ?? usageService.estimateTokens(response.text),
+    processingTime: Date.now() - prepared.startTime,
+    promptTemplates: prepared.promptTemplates,
+    success: true
+  });
+}
+
+/**
+ * Describe the dialog state of a reply (without the raw entities)
+ * @param {Object} dialog - Dialog turn result
+ * @returns {Object} { intent, status, slots, filledSlots, missingSlots, nextSlot, question }
+ */
+function formatDialog(dialog) {
+  const { intent, status, slots, filledSlots, missingSlots, nextSlot, question } = dialog;
+  return { intent, status, slots, filledSlots, missingSlots, nextSlot, question };
+}
+
+/**
+ * Finalize a generated response: record performance and usage, format for the
+ * platform, record A/B test results and cache the response
+ * @param {Object} prepared - State returned by prepareMessage
+ * @param {Object} response - Generated response { text, model, usage }
+ * @param {Object} messageData - Message data object
+ * @returns {Promise<Object>} AI response
+ */
+async function finalizeResponse(prepared, response, messageData) {
+  const { messageId, startTime, cacheKey, detectedLang, intentResult, experiment } = prepared;
+  
+  // 还原回复中的个人信息占位符
+  response = { ...response, text: restorePrivateData(response.text, prepared) };
+  
+  // 结构化回复：读取模型输出的JSON，无法读取时按普通文本回复处理
+  const { text: replyText, richResponse } = prepared.structuredResponse
+    ? readStructuredResponse(response.text)
+    : { text: response.text, richResponse: null };
+  response = { ...response, text: replyText };
+  
+  // 记录性能数据
+  const processingTime = Date.now() - startTime;
+  recordModelPerformance(response.model, processingTime, messageData.text.length);
+  
+  // 记录token用量和费用
+  const usage = await recordResponseUsage(prepared, response, messageData);
+  
+  // 获取目标平台，用于响应格式化
+  const platform = messageData.platform || 'web';
+  // A/B测试变体的格式化选项优先于请求中的选项
+  const formatOptions = {
+    ...(messageData.formatOptions || {}),
+    ...(experiment?.variant.formatOptions || {})
+  };
+  
+  // 根据目标平台格式化响应
+  const formattedResponse = responseFormatter.formatRichResponse(
+    richResponse || response.text,
+    platform,
+    formatOptions
+  );
+  
+  // Structure the final response
+  const aiResponse = {
+    messageId,
+    text: response.text,
+    intent: intentResult?.intent || null,
+    confidence: intentResult?.confidence || null,
+    model: response.model,
+    language: detectedLang !== 'und' ? detectedLang : null,
+    processingTime,
+    timestamp: new Date().toISOString(),
+    usage,
+    routingRule: prepared.routingRule || null,
+    downgraded: !!prepared.downgraded,
+    citations: prepared.citations || [],
+    promptTemplates: prepared.promptTemplates || [],
+    toolCalls: (response.toolCalls || []).map(({ id, name, arguments: args, status, result, error }) => ({
+      id,
+      name,
+      arguments: args,
+      status,
+      result,
+      error
+    })),
+    pendingAction: response.pendingAction || null,
+    entities: prepared.entities || [],
+    analysis: prepared.analysis || null,
+    dialog: prepared.dialog ? formatDialog(prepared.dialog) : null,
+    handoff: prepared.handoff ? formatHandoff(prepared.handoff) : null,
+    experiment: experiment ? { testId: experiment.testId, variant: experiment.variant.id } : null,
+    formatted: formattedResponse
+  };
+  
+  // If intent was recognized, add related intents for context
+  if (intentResult?.intent) {
+    aiResponse.relatedIntents = intentService.getRelatedIntents(intentResult.intent);
+  }
+  
+  // 如果消息应用了A/B测试变体，记录测试结果（变体指定的模型被降级替换时不计入）
+  if (messageData.userId && experiment &&
+    (!experiment.variant.model || experiment.variant.model === response.model)) {
+    await abTestingService.recordTestResult({
+      userId: messageData.userId,
+      testId: experiment.testId,
+      messageId,
+      variant: experiment.variant.id,
+      model: response.model,
+      // 与recordModelPerformance相同的处理时间，也是bandit实验的延迟奖励
+      metrics: {
+        processingTime,
+        // 其他测试指标可以在用户提供反馈时添加
+      }
+    });
+  }
+  
+  // 等待客服接手期间机器人的回复也记入转接记录，客服可以看到完整对话
+  if (prepared.handoff) {
+    await handoffService.recordBotReply(prepared.handoff.id, response.text);
+  }
+  
+  // Cache the response (replies that called tools depend on live data, dialog replies on the dialog state,
+  // and replies in handed-off conversations on the handoff state)
+  if (aiResponse.toolCalls.length === 0 && !aiResponse.pendingAction && !aiResponse.dialog && !aiResponse.handoff) {
     await cacheService.set(
       cacheKey, 
       JSON.stringify(aiResponse),
       60 * 5 // 5 minutes TTL
     );
-    
-    return aiResponse;
-  } catch (error) {
-    // 记录失败
-    console.error(`Error processing message with AI:`, error);
-    throw error;
   }
+  
+  // 语义缓存（TTL按意图）；回复中含有还原的个人信息时不与其他用户共用
+  if (prepared.semanticScope && aiResponse.toolCalls.length === 0 && !aiResponse.pendingAction && !aiResponse.handoff) {
+    await cacheService.setSemantic(messageData.text, JSON.stringify(aiResponse), {
+      ...prepared.semanticScope,
+      shareable: !piiService.hasEntries(prepared.piiVault)
+    });
+  }
+  
+  return aiResponse;
+}
+
+/**
+ * Get the semantic cache scope of a message
+ * @param {Object} messageData - Message data
+ * @param {Object} intentResult - Intent recognition result
+ * @param {string} detectedLang - Detected language (ISO 639-3)
+ * @returns {Object|null} Scope for cacheService.getSemantic/setSemantic, null when the message is not cacheable
+ */
+function getSemanticScope(messageData, intentResult, detectedLang) {
+  const intent = intentResult?.intent || null;
+
+  if (!messageData.tenantId || !messageData.userId || !cacheService.isSemanticCacheable(intent)) {
+    return null;
+  }
+
+  return {
+    tenantId: messageData.tenantId,
+    userId: messageData.userId,
+    intent,
+    platform: messageData.platform || 'web',
+    language: detectedLang !== 'und' ? detectedLang : null
+  };
+}
+
+/**
+ * Read the structured rich response of a reply (ENABLE_STRUCTURED_RESPONSES)
+ * Malformed JSON is repaired; replies that still cannot be read fall back to
+ * their text, from which the formatter extracts rich elements as usual.
+ * @param {string} text - Model output
+ * @returns {Object} { text, richResponse } (richResponse is null on fallback)
+ */
+function readStructuredResponse(text) {
+  const { response, repaired, errors } = richResponseService.parseRichResponse(text);
+  
+  if (!response) {
+    console.warn(`Structured response could not be read, using the reply text: ${errors.join('; ')}`);
+    return { text: richResponseService.getFallbackText(text), richResponse: null };
+  }
+  
+  if (repaired) {
+    console.log('Repaired malformed structured response JSON');
+  }
+  
+  return { text: response.content || responseFormatter.toPlainText(response), richResponse: response };
 }
 
 /**
- * Choose the most appropriate model based on message complexity and type
+ * Collect the routing signals of a message and select a model with the routing policy
  * @param {Object} messageData - Message data
- * @returns {string} Selected model name
+ * @param {Object} routingPolicy - Policy to evaluate (optional, defaults to the active policy)
+ * @param {Object} options - Options
+ * @param {boolean} options.readOnly - Only read A/B assignments, never assign users or draw bandit arms (dry runs)
+ * @returns {Promise<Object>} { detectedLang, intentResult, experiment, facts, routing }
  */
-function chooseAppropriateModel(messageData) {
-  // 如果禁用了自动模型选择，则返回默认模型
-  if (process.env.ENABLE_AUTO_MODEL_SELECTION !== 'true') {
-    return DEFAULT_AI_MODEL;
+async function routeMessage(messageData, routingPolicy, { readOnly = false } = {}) {
+  // Detect language (ISO 639-3, e.g. zlm for short Malay marketplace messages)
+  const detectedLang = languageService.detectLanguage(messageData.text).iso6393 || 'und';
+  
+  // 进行意图识别
+  let intentResult = null;
+  try {
+    intentResult = await intentService.recognizeIntent(
+      messageData.text,
+      'default',
+      messageData.context
+    );
+  } catch (error) {
+    console.warn('Intent recognition failed:', error);
+    // 继续处理，意图识别失败不应阻止消息处理
   }
   
-  const { text, context } = messageData;
+  const plan = await usageService.getUserPlan(getBillingId(messageData), messageData.plan);
+  
+  // 获取用户在A/B测试中的变体（按平台和套餐定向，一次只应用一个测试）
+  let experiment = null;
   
-  // 获取配置的阈值，如果未配置则使用默认值
-  const COMPLEXITY_THRESHOLD_MEDIUM = parseInt(process.env.COMPLEXITY_THRESHOLD_MEDIUM || '100');
-  const COMPLEXITY_THRESHOLD_HIGH = parseInt(process.env.COMPLEXITY_THRESHOLD_HIGH || '200');
+  if (messageData.userId) {
+    try {
+      experiment = await abTestingService.getMessageVariant(messageData.userId, {
+        platform: messageData.platform || 'web',
+        plan
+      }, { readOnly });
+    } catch (error) {
+      console.warn('Error getting A/B test assignments:', error);
+    }
+  }
   
-  // 复杂度分析
-  let complexityScore = 0;
+  const facts = routingService.buildFacts(messageData, {
+    intent: intentResult?.intent,
+    intentConfidence: intentResult?.confidence,
+    language: detectedLang,
+    plan,
+    abTestId: experiment?.testId,
+    abModel: experiment?.variant?.model
+  });
   
-  // 基于文本长度的复杂度
-  complexityScore += text.length * 0.1;
+  return {
+    detectedLang,
+    intentResult,
+    experiment,
+    facts,
+    routing: routingService.selectModel(facts, routingPolicy)
+  };
+}
+
+/**
+ * Explain which routing rule selects which model for a message, without generating
+ * @param {Object} messageData - Message data (same as processMessage)
+ * @param {Object} routingPolicy - Candidate policy to try (optional, defaults to the active policy)
+ * @returns {Promise<Object>} Decision { model, ruleId, reason, facts, trace }
+ */
+async function explainRouting(messageData, routingPolicy) {
+  const { facts, routing } = await routeMessage(
+    messageData,
+    routingPolicy
+      ? routingService.validatePolicy({ defaultModel: routingService.getPolicy().defaultModel, ...routingPolicy })
+      : undefined,
+    // 试算不能分配A/B测试或抽取bandit臂
+    { readOnly: true }
+  );
   
-  // 基于特定关键词和模式的复杂度
-  const complexPatterns = [
-    'explain', 'analyze', 'compare', 'difference', 'why', 'how', 
-    '分析', '比较', '解释', '为什么', '如何', '区别', '优缺点'
-  ];
+  // 消息文本已在请求中，不重复返回
+  const { text, ...reportedFacts } = facts;
   
-  for (const pattern of complexPatterns) {
-    if (text.toLowerCase().includes(pattern.toLowerCase())) {
-      complexityScore += 50;
-      break; // 只加一次分数，避免多次匹配同类型关键词
-    }
+  return {
+    model: routing.model,
+    ruleId: routing.ruleId,
+    reason: routing.reason,
+    facts: reportedFacts,
+    trace: routing.trace
+  };
+}
+
+/**
+ * Build a prompt with user context and knowledge base passages
+ * @param {Object} messageData - Message data
+ * @param {Object} variant - A/B test variant applied to the message (optional)
+ * @param {Object} dialog - Dialog turn result, adds the collected slots and the follow-up question (optional)
+ * @param {boolean} structuredResponse - Whether to ask for a structured rich response (chat.rich_response)
+ * @returns {Promise<Object>} { prompt, citations, promptTemplates } where citations list the passages the prompt cites
+ *   and promptTemplates the template versions the prompt was built from
+ */
+async function buildPromptWithContext(messageData, variant = null, dialog = null, structuredResponse = false) {
+  const passages = await retrieveKnowledge(messageData);
+  const conversationPrompt = await buildConversationPrompt(messageData, variant?.contextWindow || {});
+  
+  // 模板按租户覆盖，按客户语言选择文本
+  const templateOptions = {
+    tenantId: messageData.tenantId || messageData.userId || null,
+    language: languageService.detectLanguage(messageData.text).language
+  };
+  const persona = await buildPersonaPrompt(messageData, variant, templateOptions);
+  const knowledge = await buildKnowledgePrompt(passages, templateOptions);
+  const richResponse = structuredResponse
+    ? await promptService.renderPrompt('chat.rich_response', templateOptions)
+    : { text: '', template: null };
+  
+  return {
+    prompt: persona.text + knowledge.text + dialogService.buildDialogPrompt(dialog) +
+      (richResponse.text ? richResponse.text + "\n\n" : '') + conversationPrompt,
+    citations: passages.map(passage => ({
+      citation: passage.citation,
+      sourceId: passage.sourceId,
+      sourceName: passage.sourceName,
+      title: passage.title,
+      score: passage.score
+    })),
+    promptTemplates: [persona.template, knowledge.template, richResponse.template].filter(Boolean)
+  };
+}
+
+/**
+ * Build the persona (system prompt) section of a prompt
+ * The tenant's chat.persona template applies unless an A/B test variant
+ * brings its own system prompt.
+ * @param {Object} messageData - Message data
+ * @param {Object} variant - A/B test variant applied to the message (optional)
+ * @param {Object} templateOptions - { tenantId, language } of the message
+ * @returns {Promise<Object>} { text, template } (template is null for variant system prompts)
+ */
+async function buildPersonaPrompt(messageData, variant, templateOptions) {
+  if (variant?.systemPrompt) {
+    return { text: renderSystemPrompt(variant.systemPrompt, messageData) + "\n\n", template: null };
   }
   
-  // 基于上下文历史长度的复杂度
-  if (context && context.history) {
-    complexityScore += context.history.length * 5;
+  const { text, template } = await promptService.renderPrompt('chat.persona', {
+    ...templateOptions,
+    variables: {
+      platform: messageData.platform || 'web',
+      date: new Date().toISOString().slice(0, 10)
+    }
+  });
+  
+  return { text: text.trim() ? text + "\n\n" : '', template };
+}
+
+/**
+ * Fill in the placeholders of a variant's system prompt template
+ * @param {string} template - Template with {{platform}} and {{date}} placeholders
+ * @param {Object} messageData - Message data
+ * @returns {string} System prompt
+ */
+function renderSystemPrompt(template, messageData) {
+  const values = {
+    platform: messageData.platform || 'web',
+    date: new Date().toISOString().slice(0, 10)
+  };
+  
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => values[name] ?? match);
+}
+
+/**
+ * Retrieve the knowledge base passages relevant to a message
+ * @param {Object} messageData - Message data
+ * @returns {Promise<Array<Object>>} Passages (empty when disabled or on error)
+ */
+async function retrieveKnowledge(messageData) {
+  const tenantId = messageData.tenantId || messageData.userId;
+  
+  if (!ENABLE_KNOWLEDGE_BASE || !tenantId) {
+    return [];
   }
   
-  // 模型选择逻辑
-  if (complexityScore >= COMPLEXITY_THRESHOLD_HIGH) {
-    // 高复杂度查询使用最强大的模型
-    return 'gpt-4o-mini';
-  } else if (complexityScore >= COMPLEXITY_THRESHOLD_MEDIUM) {
-    // 中等复杂度查询使用中等模型
-    return 'gemini-1.5-pro-latest';
-  } else {
-    // 简单查询使用快速模型
-    return 'gemini-2.0-flash-lite';
+  try {
+    return await knowledgeService.search(tenantId, messageData.text);
+  } catch (error) {
+    console.error('Error retrieving knowledge base passages:', error);
+    return [];
+  }
+}
+
+/**
+ * Build the knowledge base section of a prompt (chat.knowledge template)
+ * @param {Array<Object>} passages - Passages returned by knowledgeService.search
+ * @param {Object} templateOptions - { tenantId, language } of the message
+ * @returns {Promise<Object>} { text, template } (empty text and no template without passages)
+ */
+async function buildKnowledgePrompt(passages, templateOptions) {
+  if (passages.length === 0) {
+    return { text: '', template: null };
   }
+  
+  // 资料逐条编号，模型回复时用编号标注引用来源
+  const passageLines = passages.map(passage => {
+    const source = passage.title ? `${passage.sourceName} - ${passage.title}` : passage.sourceName;
+    return `[${passage.citation}] (${source}) ${passage.content}`;
+  });
+  
+  const { text, template } = await promptService.renderPrompt('chat.knowledge', {
+    ...templateOptions,
+    variables: { passages: passageLines.join("\n") }
+  });
+  
+  return { text: text + "\n\n", template };
 }
 
 /**
- * Build a prompt with user context
+ * Build a prompt with the conversation context
  * @param {Object} messageData - Message data
- * @returns {string} The full prompt
+ * @param {Object} contextWindow - Context window overrides of an A/B test variant
+ * @param {number} contextWindow.maxItems - Maximum history items (default 15)
+ * @param {boolean} contextWindow.includeMidTerm - Include mid-term memory (default true)
+ * @param {boolean} contextWindow.includeLongTerm - Include long-term memory (default true)
+ * @returns {Promise<string>} The prompt
  */
-async function buildPromptWithContext(messageData) {
+async function buildConversationPrompt(messageData, contextWindow = {}) {
   const { text, userId, sessionId, context } = messageData;
   
   // 如果没有上下文信息，直接返回原始文本
@@ -377,26 +1090,42 @@ async function buildPromptWithContext(messageData) {
     // 获取智能上下文数据，可能包括短期、中期和长期记忆
     const aiContext = await contextService.getAIContext(userId, sessionId, {
       includeShortTerm: true,
-      includeMidTerm: true,
-      includeLongTerm: true,
+      includeMidTerm: contextWindow.includeMidTerm ?? true,
+      includeLongTerm: contextWindow.includeLongTerm ?? true,
       includeUserProfile: true,
       topic: topic,
-      maxItems: 15
+      query: text,
+      maxItems: contextWindow.maxItems ?? 15
     });
     
+    const relevantMemories = aiContext.relevantMemories || [];
+    
     // 如果没有历史记录，返回原始文本
-    if (!aiContext.history || aiContext.history.length === 0) {
+    if ((!aiContext.history || aiContext.history.length === 0) && relevantMemories.length === 0) {
       return text;
     }
     
     // 构建上下文部分
-    let contextPart = "\n\n以下是对话历史：\n";
+    let contextPart = "";
+    
+    // 添加与当前消息语义相关的较早对话
+    if (relevantMemories.length > 0) {
+      contextPart += "\n\n以下是与当前消息相关的较早对话：\n";
+      relevantMemories.forEach(item => {
+        contextPart += `用户: ${item.userMessage}\n`;
+        if (item.aiResponse) {
+          contextPart += `助手: ${item.aiResponse}\n`;
+        }
+      });
+    }
+    
+    contextPart += "\n\n以下是对话历史：\n";
     
     // 添加历史消息
     aiContext.history.forEach((item, index) => {
       if (item.isSummary) {
-        // 如果是摘要，使用特殊格式
-        contextPart += `[摘要：${item.userMessage.replace('[Summary of ', '').replace(']', '')}]\n`;
+        // 如果是摘要，使用特殊格式（优先使用模型生成的摘要文本）
+        contextPart += `[摘要：${item.summary || item.userMessage.replace('[Summary of ', '').replace(']', '')}]\n`;
       } else {
         // 普通消息
         contextPart += `用户: ${item.userMessage}\n`;
@@ -428,7 +1157,7 @@ async function buildPromptWithContext(messageData) {
     let fallbackPrompt = text;
     
     if (context && context.history && context.history.length > 0) {
-      const historyLimit = parseInt(process.env.CONTEXT_WINDOW_SIZE || '10');
+      const historyLimit = contextWindow.maxItems ?? parseInt(process.env.CONTEXT_WINDOW_SIZE || '10');
       const recentHistory = context.history.slice(-historyLimit);
       
       let fallbackContextPart = "\n\n对话历史：\n";
@@ -453,59 +1182,40 @@ async function buildPromptWithContext(messageData) {
  * Generate response with fallback to other models if needed
  * @param {string} prompt - The input prompt
  * @param {string} preferredModel - The preferred model to use first
- * @returns {Promise<Object>} Generated response
+ * @param {Object} options - Provider generation options (e.g. maxTokens)
+ * @returns {Promise<Object>} Generated response { text, model, usage }
  */
-async function generateResponseWithFallback(prompt, preferredModel = DEFAULT_AI_MODEL) {
-  // 构建模型尝试顺序列表，从首选模型开始
-  let modelList = [preferredModel];
-  
-  // 如果启用了回退，添加其他模型作为备选
-  if (ENABLE_MODEL_FALLBACK) {
-    // 过滤掉已包含的首选模型
-    const otherModels = availableModels.filter(model => model !== preferredModel);
-    modelList = [...modelList, ...otherModels];
-  }
-  
+async function generateResponseWithFallback(prompt, preferredModel = DEFAULT_AI_MODEL, options = {}) {
+  const modelList = getModelAttemptOrder(preferredModel);
   let lastError = null;
   
   // 按顺序尝试每个模型
   for (const modelName of modelList) {
-    const provider = modelProviders[modelName];
-    
-    // 检查提供商API密钥是否可用
-    if ((provider === 'google' && !genAI) || 
-        (provider === 'openai' && !openai) ||
-        (provider === 'openrouter' && !openrouter)) {
-      console.log(`Skipping model ${modelName} as ${provider} API is not configured`);
+    // 熔断器打开时跳过该模型
+    if (!circuitBreaker.allowRequest(modelName)) {
+      console.log(`Skipping model ${modelName} as its circuit breaker is open`);
       continue;
     }
     
+    const callStart = Date.now();
+    
     try {
-      const startTime = Date.now();
-      
-      // 根据模型提供商调用不同的生成函数
-      let response;
-      if (provider === 'google') {
-        response = await generateWithGoogleModel(modelName, prompt);
-      } else if (provider === 'openai') {
-        response = await generateWithOpenAIModel(modelName, prompt);
-      } else if (provider === 'openrouter') {
-        response = await generateWithOpenRouterModel(modelName, prompt);
-      } else {
-        throw new Error(`Unknown model provider: ${provider}`);
-      }
+      const response = await generateWithModel(modelName, prompt, options);
       
       // 记录模型成功使用
       modelStats.usage[modelName] = (modelStats.usage[modelName] || 0) + 1;
+      circuitBreaker.recordSuccess(modelName, Date.now() - callStart);
       
       return {
-        text: response,
-        model: modelName
+        text: response.text,
+        model: modelName,
+        usage: response.usage || null
       };
     } catch (error) {
       console.error(`Error with model ${modelName}:`, error);
       // 记录模型失败
       modelStats.failures[modelName] = (modelStats.failures[modelName] || 0) + 1;
+      circuitBreaker.recordFailure(modelName, error, Date.now() - callStart);
       lastError = error;
       
       // 继续尝试下一个模型
@@ -514,113 +1224,384 @@ async function generateResponseWithFallback(prompt, preferredModel = DEFAULT_AI_
   }
   
   // 如果所有模型都失败
-  throw new ApiError(
-    `All AI models failed: ${lastError?.message}`,
-    503,
-    { originalError: lastError }
-  );
+  throw buildAllModelsFailedError(lastError);
 }
 
 /**
- * Generate a response with Google model
- * @param {string} modelName - The model name to use
- * @param {string} prompt - The input prompt
- * @returns {Promise<string>} Generated text
+ * Generate one tool-calling step with fallback to other models if needed
+ * @param {Array<Object>} messages - Conversation { role, content, toolCalls, toolCallId, name }
+ * @param {Array<Object>} declarations - Tools the model may call (empty to require an answer)
+ * @param {string} preferredModel - The preferred model to use first
+ * @param {Object} options - Provider generation options (e.g. maxTokens)
+ * @returns {Promise<Object>} Generated step { text, toolCalls, model, usage }
+ */
+async function generateToolStepWithFallback(messages, declarations, preferredModel = DEFAULT_AI_MODEL, options = {}) {
+  const modelList = getModelAttemptOrder(preferredModel);
+  let lastError = null;
+  
+  for (const modelName of modelList) {
+    if (!circuitBreaker.allowRequest(modelName)) {
+      console.log(`Skipping model ${modelName} as its circuit breaker is open`);
+      continue;
+    }
+    
+    const callStart = Date.now();
+    
+    try {
+      const response = await generateToolStepWithModel(modelName, messages, declarations, options);
+      
+      modelStats.usage[modelName] = (modelStats.usage[modelName] || 0) + 1;
+      circuitBreaker.recordSuccess(modelName, Date.now() - callStart);
+      
+      return { ...response, model: modelName };
+    } catch (error) {
+      console.error(`Error with model ${modelName}:`, error);
+      modelStats.failures[modelName] = (modelStats.failures[modelName] || 0) + 1;
+      circuitBreaker.recordFailure(modelName, error, Date.now() - callStart);
+      lastError = error;
+    }
+  }
+  
+  throw buildAllModelsFailedError(lastError);
+}
+
+/**
+ * Generate one tool-calling step with a declared model
+ * Providers with native function calling receive the tools directly; other
+ * models get them described in the prompt and answer with JSON tool calls.
+ * @param {string} modelName - The model id to use
+ * @param {Array<Object>} messages - Conversation
+ * @param {Array<Object>} declarations - Tools the model may call
+ * @param {Object} options - Provider generation options
+ * @returns {Promise<Object>} Generated step { text, toolCalls, usage }
  */
-async function generateWithGoogleModel(modelName, prompt) {
-  const model = genAI.getGenerativeModel({ model: modelName });
+async function generateToolStepWithModel(modelName, messages, declarations, options = {}) {
+  const model = modelRegistry.getModel(modelName);
+  const provider = modelRegistry.getProviderForModel(modelName);
+  
+  if (!model || !provider) {
+    throw new Error(`Unknown model: ${modelName}`);
+  }
+  
+  let response;
+  let prompt = null;
+  
+  if (typeof provider.generateWithTools === 'function') {
+    response = await withTimeout(provider.generateWithTools(model, messages, declarations, options));
+  } else {
+    prompt = toolService.buildToolPrompt(messages, declarations);
+    const generated = await generateWithModel(modelName, prompt, options);
+    const toolCalls = declarations.length > 0 ? toolService.parseToolCalls(generated.text) : [];
+    response = { ...generated, toolCalls, text: toolCalls.length > 0 ? '' : generated.text };
+  }
   
-  const generationConfig = modelConfigs[modelName] || {
-    temperature: 0.7,
-    topK: 40,
-    topP: 0.95,
-    maxOutputTokens: MAX_TOKENS_PER_REQUEST
+  // 提供商未返回用量时按消息内容估算
+  return {
+    text: response.text || '',
+    toolCalls: response.toolCalls || [],
+    usage: {
+      tokensInput: response.usage?.tokensInput ??
+        usageService.estimateTokens(prompt || messages.map(message => message.content || '').join('\n')),
+      tokensOutput: response.usage?.tokensOutput ??
+        usageService.estimateTokens(response.text || JSON.stringify(response.toolCalls || []))
+    }
   };
+}
+
+/**
+ * Generate text for an internal task (e.g. summarizing conversation memory)
+ * Uses the model fallback chain and bills the tokens to the user. Users whose
+ * budget is exhausted are not charged for background work: the call is refused.
+ * @param {string} prompt - The input prompt
+ * @param {Object} options - Options
+ * @param {string} options.model - Preferred model (defaults to DEFAULT_AI_MODEL)
+ * @param {number} options.maxTokens - Maximum completion tokens
+ * @param {string} options.userId - User the call is billed to
+ * @param {string} options.feature - Feature recorded with the usage (see usageService.FEATURES)
+ * @returns {Promise<Object>} Generated response { text, model, usage }
+ * @throws {ApiError} 402 when the user's budget is exhausted
+ */
+async function generateText(prompt, options = {}) {
+  const { model = DEFAULT_AI_MODEL, maxTokens, userId, feature } = options;
   
-  // Create a promise with timeout
-  const timeoutPromise = new Promise((_, reject) => {
-    setTimeout(() => reject(new Error('AI request timed out')), AI_REQUEST_TIMEOUT);
+  if (userId) {
+    const budgetStatus = await usageService.checkBudget(userId);
+    if (budgetStatus.exhausted) {
+      throw new ApiError('AI budget exhausted', 402, { budgetStatus });
+    }
+  }
+  
+  // 辅助调用（摘要、情感、实体提取）同样不把个人信息发送给模型
+  const piiVault = ENABLE_PII_REDACTION ? piiService.createVault() : null;
+  
+  const startTime = Date.now();
+  const response = await generateResponseWithFallback(
+    piiVault ? protectPrompt(prompt, piiVault) : prompt,
+    model,
+    { maxTokens }
+  );
+  
+  const usage = await usageService.recordUsage({
+    userId,
+    feature,
+    model: response.model,
+    tokensInput: response.usage?.tokensInput ?? usageService.estimateTokens(prompt),
+    tokensOutput: response.usage?.tokensOutput ?? usageService.estimateTokens(response.text),
+    processingTime: Date.now() - startTime,
+    success: true
   });
   
-  // Create the generation promise
-  const generationPromise = model.generateContent([prompt], generationConfig)
-    .then(result => {
-      const response = result.response;
-      return response.text();
+  return {
+    ...response,
+    text: piiVault ? piiService.restore(response.text, piiVault) : response.text,
+    usage
+  };
+}
+
+/**
+ * Stream a response with fallback to other models if needed
+ * Falling back is only possible until the first token has been emitted.
+ * @param {string} prompt - The input prompt
+ * @param {string} preferredModel - The preferred model to use first
+ * @param {Function} onToken - Called with each text delta
+ * @param {AbortSignal} signal - Signal used to cancel the generation
+ * @param {Object} options - Provider generation options (e.g. maxTokens)
+ * @returns {Promise<Object>} Generated response { text, model, cancelled }
+ */
+async function generateStreamWithFallback(prompt, preferredModel = DEFAULT_AI_MODEL, onToken, signal, options = {}) {
+  const modelList = getModelAttemptOrder(preferredModel);
+  let lastError = null;
+  
+  for (const modelName of modelList) {
+    if (!circuitBreaker.allowRequest(modelName)) {
+      console.log(`Skipping model ${modelName} as its circuit breaker is open`);
+      continue;
+    }
+    
+    const callStart = Date.now();
+    let firstTokenLatency = null;
+    let text = '';
+    
+    try {
+      for await (const delta of streamWithModel(modelName, prompt, { ...options, signal })) {
+        if (firstTokenLatency === null) {
+          firstTokenLatency = Date.now() - callStart;
+        }
+        text += delta;
+        onToken(delta);
+      }
+      
+      modelStats.usage[modelName] = (modelStats.usage[modelName] || 0) + 1;
+      
+      // 流式响应以首个token的延迟衡量模型健康状况
+      if (signal?.aborted) {
+        circuitBreaker.release(modelName);
+      } else {
+        circuitBreaker.recordSuccess(modelName, firstTokenLatency ?? Date.now() - callStart);
+      }
+      
+      return {
+        text,
+        model: modelName,
+        cancelled: !!signal?.aborted
+      };
+    } catch (error) {
+      // 客户端取消不算模型失败
+      if (signal?.aborted) {
+        circuitBreaker.release(modelName);
+        return { text, model: modelName, cancelled: true };
+      }
+      
+      console.error(`Error streaming with model ${modelName}:`, error);
+      modelStats.failures[modelName] = (modelStats.failures[modelName] || 0) + 1;
+      circuitBreaker.recordFailure(modelName, error, Date.now() - callStart);
+      lastError = error;
+      
+      // 已经发送了部分内容，无法再切换模型
+      if (text.length > 0) {
+        break;
+      }
+    }
+  }
+  
+  throw buildAllModelsFailedError(lastError);
+}
+
+/**
+ * Build the error thrown when no model produced a response
+ * @param {Error|null} lastError - Last model error, null if every model was skipped
+ * @returns {ApiError} Service unavailable error
+ */
+function buildAllModelsFailedError(lastError) {
+  if (!lastError) {
+    return new ApiError('No AI model is currently available', 503, {
+      circuitBreakers: circuitBreaker.getStates()
     });
+  }
   
-  // Race between timeout and generation
-  return Promise.race([generationPromise, timeoutPromise]);
+  return new ApiError(
+    `All AI models failed: ${lastError.message}`,
+    503,
+    { originalError: lastError }
+  );
 }
 
 /**
- * Generate a response with OpenAI model
- * @param {string} modelName - The model name to use
- * @param {string} prompt - The input prompt
- * @returns {Promise<string>} Generated text
+ * Get the ordered list of models to try, starting with the preferred model
+ * @param {string} preferredModel - The preferred model to use first
+ * @returns {Array<string>} Callable model ids in attempt order
+ */
+function getModelAttemptOrder(preferredModel) {
+  // 构建模型尝试顺序列表，从首选模型开始
+  let modelList = [preferredModel];
+  
+  // 如果启用了回退，添加其他模型作为备选
+  if (ENABLE_MODEL_FALLBACK) {
+    // 过滤掉已包含的首选模型，健康的模型优先
+    const otherModels = modelRegistry.getModelIds()
+      .filter(model => model !== preferredModel)
+      .sort((a, b) => getBreakerRank(a) - getBreakerRank(b));
+    modelList = [...modelList, ...otherModels];
+  }
+  
+  // 跳过未声明或提供商未配置的模型
+  return modelList.filter(modelName => {
+    if (!modelRegistry.isModelAvailable(modelName)) {
+      console.log(`Skipping model ${modelName} as it is not declared or its provider is not configured`);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Rank a model by circuit breaker state for fallback ordering
+ * @param {string} modelName - Model id
+ * @returns {number} Lower is healthier
  */
-async function generateWithOpenAIModel(modelName, prompt) {
-  const config = modelConfigs[modelName] || {
-    temperature: 0.8,
-    top_p: 0.95,
-    max_tokens: MAX_TOKENS_PER_REQUEST
+function getBreakerRank(modelName) {
+  const ranks = {
+    [circuitBreaker.STATES.CLOSED]: 0,
+    [circuitBreaker.STATES.HALF_OPEN]: 1,
+    [circuitBreaker.STATES.OPEN]: 2
   };
+  return ranks[circuitBreaker.getState(modelName)];
+}
+
+/**
+ * Generate a response with a declared model through its provider
+ * @param {string} modelName - The model id to use
+ * @param {string} prompt - The input prompt
+ * @param {Object} options - Provider generation options
+ * @returns {Promise<Object>} Generated response { text }
+ */
+async function generateWithModel(modelName, prompt, options = {}) {
+  const model = modelRegistry.getModel(modelName);
+  const provider = modelRegistry.getProviderForModel(modelName);
+  
+  if (!model || !provider) {
+    throw new Error(`Unknown model: ${modelName}`);
+  }
   
+  // JSON模式只用于声明了 json 能力的模型，其他模型按提示词输出JSON
+  const providerOptions = options.responseFormat && !(model.capabilities || []).includes('json')
+    ? { ...options, responseFormat: undefined }
+    : options;
+  
+  return withTimeout(provider.generate(model, prompt, providerOptions));
+}
+
+/**
+ * Reject a provider call that takes longer than AI_REQUEST_TIMEOUT
+ * @param {Promise<Object>} generation - Provider call
+ * @returns {Promise<Object>} Provider response
+ */
+async function withTimeout(generation) {
   // Create a promise with timeout
+  let timeoutId;
   const timeoutPromise = new Promise((_, reject) => {
-    setTimeout(() => reject(new Error('AI request timed out')), AI_REQUEST_TIMEOUT);
-  });
-  
-  // Create the generation promise
-  const generationPromise = openai.chat.completions.create({
-    model: modelName,
-    messages: [{ role: "user", content: prompt }],
-    temperature: config.temperature,
-    top_p: config.top_p,
-    max_tokens: config.max_tokens,
-    presence_penalty: config.presence_penalty || 0,
-    frequency_penalty: config.frequency_penalty || 0
-  }).then(response => {
-    return response.choices[0].message.content;
+    timeoutId = setTimeout(() => reject(new Error('AI request timed out')), AI_REQUEST_TIMEOUT);
   });
   
   // Race between timeout and generation
-  return Promise.race([generationPromise, timeoutPromise]);
+  try {
+    return await Promise.race([generation, timeoutPromise]);
+  } finally {
+    clearTimeout(timeoutId);
+  }
 }
 
 /**
- * Generate a response with OpenRouter model
- * @param {string} modelName - The model name to use
+ * Stream a response with a declared model through its provider
+ * Providers without streaming support yield the whole text at once.
+ * @param {string} modelName - The model id to use
  * @param {string} prompt - The input prompt
- * @returns {Promise<string>} Generated text
+ * @param {Object} options - Provider generation options
+ * @returns {AsyncGenerator<string>} Text deltas
  */
-async function generateWithOpenRouterModel(modelName, prompt) {
-  const config = modelConfigs[modelName] || {
-    temperature: 0.8,
-    top_p: 0.95,
-    max_tokens: MAX_TOKENS_PER_REQUEST
-  };
+async function* streamWithModel(modelName, prompt, options = {}) {
+  const model = modelRegistry.getModel(modelName);
+  const provider = modelRegistry.getProviderForModel(modelName);
   
-  // Create a promise with timeout
-  const timeoutPromise = new Promise((_, reject) => {
-    setTimeout(() => reject(new Error('AI request timed out')), AI_REQUEST_TIMEOUT);
-  });
+  if (!model || !provider) {
+    throw new Error(`Unknown model: ${modelName}`);
+  }
+  
+  if (typeof provider.generateStream !== 'function') {
+    const response = await generateWithModel(modelName, prompt, options);
+    yield response.text;
+    return;
+  }
   
-  // Create the generation promise
-  const generationPromise = openrouter.chat.completions.create({
-    model: `openai/${modelName}`,
-    messages: [{ role: "user", content: prompt }],
-    temperature: config.temperature,
-    top_p: config.top_p,
-    max_tokens: config.max_tokens,
-    presence_penalty: config.presence_penalty || 0,
-    frequency_penalty: config.frequency_penalty || 0
-  }).then(response => {
-    return response.choices[0].message.content;
+  // 每次尝试单独中止：超时后停止生成，回退的模型不会与其同时生成和计费
+  const attempt = new AbortController();
+  const abortAttempt = () => attempt.abort();
+  if (options.signal?.aborted) {
+    attempt.abort();
+  }
+  options.signal?.addEventListener('abort', abortAttempt, { once: true });
+  
+  const iterator = provider.generateStream(model, prompt, { ...options, signal: attempt.signal })[Symbol.asyncIterator]();
+  let finished = false;
+  
+  try {
+    // 首个token受AI_REQUEST_TIMEOUT限制，之后每两个token之间受AI_STREAM_IDLE_TIMEOUT限制
+    for (
+      let next = await nextWithTimeout(iterator, AI_REQUEST_TIMEOUT);
+      !next.done;
+      next = await nextWithTimeout(iterator, AI_STREAM_IDLE_TIMEOUT)
+    ) {
+      yield next.value;
+    }
+    finished = true;
+  } finally {
+    options.signal?.removeEventListener('abort', abortAttempt);
+    
+    if (!finished) {
+      attempt.abort();
+      // 不等待：挂起的next()结束前生成器无法关闭
+      iterator.return?.().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Get the next delta of a provider stream, rejecting if it takes longer than the timeout
+ * @param {AsyncIterator<string>} iterator - Provider stream
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Object>} Iterator result { value, done }
+ */
+async function nextWithTimeout(iterator, timeout) {
+  let timeoutId;
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => reject(new Error('AI request timed out')), timeout);
   });
   
-  // Race between timeout and generation
-  return Promise.race([generationPromise, timeoutPromise]);
+  try {
+    return await Promise.race([iterator.next(), timeoutPromise]);
+  } finally {
+    clearTimeout(timeoutId);
+  }
 }
 
 /**
@@ -632,13 +1613,16 @@ async function generateWithOpenRouterModel(modelName, prompt) {
  * @returns {Promise<void>}
  */
 async function recordFeedback(messageId, userId, rating, comment = null) {
+  // Comments are free text and may carry personal data
+  const storedComment = piiService.redactForStorage(comment);
+  
   // Here we would normally store this in a database
   // For now, we'll just log it
   console.log('Feedback recorded:', {
     messageId,
     userId,
     rating,
-    comment
+    comment: storedComment
   });
   
   // 尝试更新对应消息的A/B测试结果
@@ -666,7 +1650,7 @@ async function recordFeedback(messageId, userId, rating, comment = null) {
       messageId,
       userId,
       rating,
-      comment,
+      comment: storedComment,
       timestamp: new Date().toISOString()
     });
   }
@@ -717,6 +1701,7 @@ function getModelStats() {
     usage: modelStats.usage,
     failures: modelStats.failures,
     averageResponseTimes,
+    circuitBreakers: circuitBreaker.getStates(modelRegistry.getModelIds()),
     // 计算成功率
     successRates: Object.fromEntries(
       Object.entries(modelStats.usage).map(([model, count]) => {
@@ -727,6 +1712,22 @@ function getModelStats() {
   };
 }
 
+/**
+ * Reset model circuit breakers
+ * @param {string} modelName - Model id (optional, resets all declared models if omitted)
+ * @returns {Object} Breaker states after the reset
+ */
+function resetCircuitBreakers(modelName = null) {
+  if (modelName && !modelRegistry.getModel(modelName)) {
+    throw new ApiError(`Unknown model: ${modelName}`, 404);
+  }
+  
+  const modelIds = modelName ? [modelName] : modelRegistry.getModelIds();
+  modelIds.forEach(modelId => circuitBreaker.reset(modelId));
+  
+  return circuitBreaker.getStates(modelIds);
+}
+
 /**
  * Format a response for a specific platform
  * @param {string} text - Response text
@@ -740,8 +1741,12 @@ function formatResponse(text, platform, options = {}) {
 
 module.exports = {
   processMessage,
+  processMessageStream,
   checkAiModelsAvailability,
   getModelStats,
+  resetCircuitBreakers,
+  explainRouting,
+  generateText,
   formatResponse,
   recordFeedback
 }; 
\ No newline at end of file
@@ -40,23 +40,29 @@ const INTERVALS = {
  * @param {string} data.model - Model name
  * @param {string} data.messageId - Message ID
  * @param {string} data.userId - User ID (optional)
+ * @param {string} data.feature - Feature that made the call (chat, content_generation...)
  * @param {number} data.tokensInput - Input tokens count
  * @param {number} data.tokensOutput - Output tokens count
+ * @param {number} data.cost - Cost in USD
  * @param {number} data.processingTime - Processing time in ms
+ * @param {Array<Object>} data.promptTemplates - Prompt template versions the prompt was built from (optional)
  * @param {boolean} data.success - Whether the request was successful
  * @returns {Promise<boolean>} Success status
  */
 async function recordModelUsage(data) {
-  const { model, messageId, userId, tokensInput, tokensOutput, processingTime, success } = data;
+  const { model, messageId, userId, feature, tokensInput, tokensOutput, cost, processingTime, promptTemplates, success } = data;
   
   const record = {
     id: uuidv4(),
     model,
-    messageId,
+    messageId: messageId || uuidv4(),
     userId: userId || null,
+    feature: feature || 'chat',
     tokensInput: tokensInput || 0,
     tokensOutput: tokensOutput || 0,
+    cost: cost || 0,
     processingTime: processingTime || 0,
+    promptTemplates: promptTemplates || [],
     success: success !== undefined ? success : true,
     timestamp: new Date().toISOString()
   };
@@ -71,9 +77,12 @@ async function recordModelUsage(data) {
           model: record.model,
           message_id: record.messageId,
           user_id: record.userId,
+          feature: record.feature,
           tokens_input: record.tokensInput,
           tokens_output: record.tokensOutput,
+          cost: record.cost,
           processing_time: record.processingTime,
+          prompt_templates: record.promptTemplates,
           success: record.success,
           created_at: record.timestamp
         }]);
@@ -179,13 +188,14 @@ async function recordResponseMetrics(data) {
  * @param {Object} options - Query options
  * @param {string} options.model - Filter by model (optional)
  * @param {string} options.userId - Filter by user (optional)
+ * @param {string} options.feature - Filter by feature (optional)
  * @param {string} options.timeRange - Time range (day/week/month)
  * @param {string} options.startDate - Start date (ISO string, optional)
  * @param {string} options.endDate - End date (ISO string, optional)
  * @returns {Promise<Object>} Usage statistics
  */
 async function getModelUsageStats(options = {}) {
-  const { model, userId, timeRange, startDate, endDate } = options;
+  const { model, userId, feature, timeRange, startDate, endDate } = options;
   
   // Set time range
   let start = startDate ? new Date(startDate) : null;
@@ -212,7 +222,7 @@ async function getModelUsageStats(options = {}) {
   }
   
   // Cache key for this query
-  const cacheKey = `analytics:model-usage:${model || 'all'}:${userId || 'all'}:${start.toISOString()}:${end.toISOString()}`;
+  const cacheKey = `analytics:model-usage:${model || 'all'}:${userId || 'all'}:${feature || 'all'}:${start.toISOString()}:${end.toISOString()}`;
   const cachedStats = await cacheService.get(cacheKey);
   
   if (cachedStats) {
@@ -236,6 +246,10 @@ async function getModelUsageStats(options = {}) {
         query = query.eq('user_id', userId);
       }
       
+      if (feature) {
+        query = query.eq('feature', feature);
+      }
+      
       const { data, error } = await query;
       
       if (error) throw error;
@@ -250,11 +264,11 @@ async function getModelUsageStats(options = {}) {
     } catch (error) {
       console.error('Error fetching model usage stats from Supabase:', error);
       // Fall back to in-memory data
-      return calculateInMemoryModelStats(model, userId, start, end);
+      return calculateInMemoryModelStats(model, userId, start, end, feature);
     }
   } else {
     // Use in-memory data
-    const stats = calculateInMemoryModelStats(model, userId, start, end);
+    const stats = calculateInMemoryModelStats(model, userId, start, end, feature);
     
     // Cache the result
     await cacheService.set(cacheKey, JSON.stringify(stats), 60 * 5); // 5 minutes
@@ -290,6 +304,7 @@ function calculateModelStats(data) {
       failedRequests: records.filter(r => !r.success).length,
       totalTokensInput: records.reduce((sum, r) => sum + (r.tokens_input || 0), 0),
       totalTokensOutput: records.reduce((sum, r) => sum + (r.tokens_output || 0), 0),
+      totalCost: calculateSum(records, 'cost'),
       averageProcessingTime: calculateAverage(records, 'processing_time'),
       maxProcessingTime: calculateMax(records, 'processing_time'),
       minProcessingTime: calculateMin(records, 'processing_time')
@@ -303,6 +318,24 @@ function calculateModelStats(data) {
     modelStats[model] = stats;
   }
   
+  // Group tokens and spend by feature
+  const featureStats = {};
+  
+  for (const record of data) {
+    const feature = record.feature || 'chat';
+    if (!featureStats[feature]) {
+      featureStats[feature] = { totalRequests: 0, totalTokensInput: 0, totalTokensOutput: 0, totalCost: 0 };
+    }
+    featureStats[feature].totalRequests += 1;
+    featureStats[feature].totalTokensInput += record.tokens_input || 0;
+    featureStats[feature].totalTokensOutput += record.tokens_output || 0;
+    featureStats[feature].totalCost += Number(record.cost) || 0;
+  }
+  
+  for (const stats of Object.values(featureStats)) {
+    stats.totalCost = Math.round(stats.totalCost * 1e6) / 1e6;
+  }
+  
   return {
     overallStats: {
       totalRequests: data.length,
@@ -310,9 +343,13 @@ function calculateModelStats(data) {
       successRate: data.length > 0 
         ? (data.filter(r => r.success).length / data.length) * 100
         : 0,
-      averageProcessingTime: calculateAverage(data, 'processing_time')
+      averageProcessingTime: calculateAverage(data, 'processing_time'),
+      totalTokensInput: data.reduce((sum, r) => sum + (r.tokens_input || 0), 0),
+      totalTokensOutput: data.reduce((sum, r) => sum + (r.tokens_output || 0), 0),
+      totalCost: calculateSum(data, 'cost')
     },
-    modelStats
+    modelStats,
+    featureStats
   };
 }
 
@@ -322,9 +359,10 @@ function calculateModelStats(data) {
  * @param {string} userIdFilter - Filter by user ID
  * @param {Date} start - Start date
  * @param {Date} end - End date
+ * @param {string} featureFilter - Filter by feature
  * @returns {Object} Model statistics
  */
-function calculateInMemoryModelStats(modelFilter, userIdFilter, start, end) {
+function calculateInMemoryModelStats(modelFilter, userIdFilter, start, end, featureFilter) {
   // Collect data from memory
   let data = [];
   
@@ -342,13 +380,16 @@ function calculateInMemoryModelStats(modelFilter, userIdFilter, start, end) {
       
       // Apply filters
       if (recordDate >= start && recordDate <= end &&
-          (!userIdFilter || record.userId === userIdFilter)) {
+          (!userIdFilter || record.userId === userIdFilter) &&
+          (!featureFilter || record.feature === featureFilter)) {
         // Convert to database-like format
         data.push({
           model: record.model,
+          feature: record.feature,
           success: record.success,
           tokens_input: record.tokensInput,
           tokens_output: record.tokensOutput,
+          cost: record.cost,
           processing_time: record.processingTime,
           created_at: record.timestamp
         });
@@ -360,6 +401,57 @@ function calculateInMemoryModelStats(modelFilter, userIdFilter, start, end) {
   return calculateModelStats(data);
 }
 
+/**
+ * Get the usage records of a user within a time range
+ * @param {string} userId - User ID
+ * @param {Date} start - Start date (inclusive)
+ * @param {Date} end - End date (exclusive)
+ * @returns {Promise<Array<Object>>} Records { model, feature, tokensInput, tokensOutput, cost }
+ */
+async function getUserUsageRecords(userId, start, end) {
+  if (useSupabase) {
+    try {
+      const { data, error } = await supabase
+        .from('model_usage')
+        .select('model, feature, tokens_input, tokens_output, cost')
+        .eq('user_id', userId)
+        .gte('created_at', start.toISOString())
+        .lt('created_at', end.toISOString());
+      
+      if (error) throw error;
+      
+      return data.map(record => ({
+        model: record.model,
+        feature: record.feature,
+        tokensInput: record.tokens_input || 0,
+        tokensOutput: record.tokens_output || 0,
+        cost: Number(record.cost) || 0
+      }));
+    } catch (error) {
+      console.error('Error fetching user usage records from Supabase:', error);
+      // Fall back to in-memory data
+    }
+  }
+  
+  return Object.values(analyticsData.modelUsage)
+    .flat()
+    .filter(record => {
+      const recordDate = new Date(record.timestamp);
+      return record.userId === userId && recordDate >= start && recordDate < end;
+    });
+}
+
+/**
+ * Calculate the sum of a numeric property in an array of objects
+ * @param {Array} data - Array of objects
+ * @param {string} property - Property name
+ * @returns {number} Sum rounded to 6 decimals
+ */
+function calculateSum(data, property) {
+  const sum = data.reduce((acc, item) => acc + (Number(item[property]) || 0), 0);
+  return Math.round(sum * 1e6) / 1e6;
+}
+
 /**
  * Calculate average of a property in an array of objects
  * @param {Array} data - Array of objects
@@ -409,5 +501,6 @@ function calculateMin(data, property) {
 module.exports = {
   recordModelUsage,
   recordResponseMetrics,
-  getModelUsageStats
+  getModelUsageStats,
+  getUserUsageRecords
 }; 
\ No newline at end of file
@@ -1,12 +1,71 @@
 /**
  * Cache Service for AI Service
- * Provides caching functionality using Redis or in-memory cache
+ * Provides caching functionality using Redis or in-memory cache, and an
+ * optional semantic response cache: replies are found by the embedding
+ * similarity of the question within a tenant, so paraphrased questions
+ * reuse an earlier answer.
  */
 const Redis = require('ioredis');
+const { v4: uuidv4 } = require('uuid');
+const embeddingService = require('./embeddingService');
+const vectorStore = require('./vectorStore');
 
 // Environment variables
 const REDIS_URL = process.env.REDIS_URL;
 const REDIS_ENABLED = process.env.REDIS_ENABLED === 'true';
+const ENABLE_SEMANTIC_CACHE = process.env.ENABLE_SEMANTIC_CACHE === 'true';
+const SEMANTIC_CACHE_THRESHOLD = parseFloat(process.env.SEMANTIC_CACHE_THRESHOLD || '0.92');
+const SEMANTIC_CACHE_TTL = parseInt(process.env.SEMANTIC_CACHE_TTL || '600');
+// FAQ类意图的回答与提问者无关，租户内所有用户共用；其他意图只匹配同一用户的缓存
+const SEMANTIC_CACHE_SHARED_INTENTS = parseList(process.env.SEMANTIC_CACHE_SHARED_INTENTS || 'information,help');
+// 回答取决于对话状态的意图（"好的"、"取消"）不使用语义缓存
+const SEMANTIC_CACHE_EXCLUDED_INTENTS = parseList(
+  process.env.SEMANTIC_CACHE_EXCLUDED_INTENTS || 'booking,cancel,confirm,reject,clarification'
+);
+const SEMANTIC_CACHE_INTENT_TTLS = parseIntentTtls(process.env.SEMANTIC_CACHE_INTENT_TTLS || '');
+
+// Candidates checked per lookup (entries of other users and expired entries are skipped)
+const SEMANTIC_CANDIDATES = 10;
+
+// Semantic cache counters since the process started
+const semanticStats = {
+  hits: 0,
+  misses: 0,
+  stores: 0,
+  invalidations: 0,
+  byIntent: {}
+};
+
+/**
+ * Parse a comma-separated list
+ * @param {string} value - List, e.g. "information,help"
+ * @returns {Array<string>} Items
+ */
+function parseList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse per-intent TTLs
+ * @param {string} value - TTLs, e.g. "information:86400,greeting:3600"
+ * @returns {Object} TTL in seconds by intent
+ */
+function parseIntentTtls(value) {
+  const ttls = {};
+
+  for (const item of parseList(value)) {
+    const [intent, seconds] = item.split(':').map(part => part.trim());
+    const ttl = parseInt(seconds);
+
+    if (intent && ttl > 0) {
+      ttls[intent] = ttl;
+    } else {
+      console.warn(`Ignoring invalid SEMANTIC_CACHE_INTENT_TTLS entry "${item}"`);
+    }
+  }
+
+  return ttls;
+}
 
 // Initialize Redis client if enabled
 let redisClient = null;
@@ -54,13 +113,13 @@ async function set(key, value, ttlSeconds = 3600) {
         const expiryTime = Date.now() + (ttlSeconds * 1000);
         memoryCacheExpiry[key] = expiryTime;
         
-        // Schedule cleanup
+        // Schedule cleanup (without keeping the process alive for it)
         setTimeout(() => {
           if (memoryCacheExpiry[key] <= Date.now()) {
             delete memoryCache[key];
             delete memoryCacheExpiry[key];
           }
-        }, ttlSeconds * 1000);
+        }, ttlSeconds * 1000).unref();
       }
     }
     return true;
@@ -166,9 +225,223 @@ async function clear(pattern = '*') {
   }
 }
 
+/**
+ * Get the vector namespace of a tenant's semantic cache
+ * @param {string} tenantId - Tenant ID
+ * @returns {string} Namespace
+ */
+function getSemanticNamespace(tenantId) {
+  return `response-cache:${tenantId}`;
+}
+
+/**
+ * Get the key of a semantic cache entry's value
+ * @param {string} tenantId - Tenant ID
+ * @param {string} entryId - Entry ID
+ * @returns {string} Cache key
+ */
+function getSemanticKey(tenantId, entryId) {
+  return `ai:semantic:${tenantId}:${entryId}`;
+}
+
+/**
+ * Check whether replies to an intent may be cached semantically
+ * @param {string|null} intent - Recognized intent
+ * @returns {boolean} Whether the intent is cacheable
+ */
+function isSemanticCacheable(intent) {
+  return ENABLE_SEMANTIC_CACHE && !SEMANTIC_CACHE_EXCLUDED_INTENTS.includes(intent);
+}
+
+/**
+ * Get the semantic cache TTL of an intent
+ * @param {string|null} intent - Recognized intent
+ * @returns {number} TTL in seconds
+ */
+function getSemanticTtl(intent) {
+  return SEMANTIC_CACHE_INTENT_TTLS[intent] || SEMANTIC_CACHE_TTL;
+}
+
+/**
+ * Count a semantic cache lookup
+ * @param {string|null} intent - Recognized intent
+ * @param {boolean} hit - Whether the lookup hit
+ */
+function countSemanticLookup(intent, hit) {
+  const key = intent || 'unknown';
+  const counts = semanticStats.byIntent[key] || (semanticStats.byIntent[key] = { hits: 0, misses: 0 });
+
+  if (hit) {
+    semanticStats.hits++;
+    counts.hits++;
+  } else {
+    semanticStats.misses++;
+    counts.misses++;
+  }
+}
+
+/**
+ * Find a cached reply to a similar question
+ * Entries match within the tenant when their similarity reaches SEMANTIC_CACHE_THRESHOLD
+ * and they have the same intent, platform and language; entries of non-shared intents
+ * only match the user who asked.
+ * @param {string} text - Question
+ * @param {Object} scope - Lookup scope
+ * @param {string} scope.tenantId - Tenant ID
+ * @param {string} scope.userId - User ID
+ * @param {string|null} scope.intent - Recognized intent
+ * @param {string} scope.platform - Platform the reply is formatted for
+ * @param {string|null} scope.language - Detected language
+ * @returns {Promise<Object|null>} { value, score, entryId } or null on a miss
+ */
+async function getSemantic(text, { tenantId, userId, intent = null, platform = 'web', language = null }) {
+  if (!tenantId || !text || !isSemanticCacheable(intent)) {
+    return null;
+  }
+
+  try {
+    const namespace = getSemanticNamespace(tenantId);
+    const embedding = await embeddingService.embed(text.trim());
+    const matches = await vectorStore.query(namespace, embedding, {
+      topK: SEMANTIC_CANDIDATES,
+      minScore: SEMANTIC_CACHE_THRESHOLD
+    });
+    const stale = [];
+    let hit = null;
+
+    for (const match of matches) {
+      const { metadata } = match;
+
+      if (metadata.expiresAt <= Date.now()) {
+        stale.push(match.id);
+        continue;
+      }
+
+      if ((metadata.userId && metadata.userId !== userId) ||
+        metadata.intent !== intent ||
+        metadata.platform !== platform ||
+        metadata.language !== language) {
+        continue;
+      }
+
+      // 值已过期或被清除（失效）时，向量也一并删除
+      const value = await get(getSemanticKey(tenantId, match.id));
+      if (!value) {
+        stale.push(match.id);
+        continue;
+      }
+
+      hit = { value, score: match.score, entryId: match.id };
+      break;
+    }
+
+    if (stale.length > 0) {
+      await vectorStore.remove(namespace, stale);
+    }
+
+    countSemanticLookup(intent, !!hit);
+    return hit;
+  } catch (error) {
+    console.error('Semantic cache lookup error:', error);
+    countSemanticLookup(intent, false);
+    return null;
+  }
+}
+
+/**
+ * Cache a reply for similar questions
+ * @param {string} text - Question
+ * @param {string} value - Reply to cache (stringified)
+ * @param {Object} scope - Entry scope
+ * @param {string} scope.tenantId - Tenant ID
+ * @param {string} scope.userId - User ID
+ * @param {string|null} scope.intent - Recognized intent (sets the TTL and whether the entry is shared)
+ * @param {string} scope.platform - Platform the reply is formatted for
+ * @param {string|null} scope.language - Detected language
+ * @param {boolean} scope.shareable - Whether the reply may be shared with other users (default true)
+ * @returns {Promise<boolean>} Whether the reply was cached
+ */
+async function setSemantic(text, value, { tenantId, userId, intent = null, platform = 'web', language = null, shareable = true }) {
+  if (!tenantId || !text || !isSemanticCacheable(intent)) {
+    return false;
+  }
+
+  try {
+    const entryId = uuidv4();
+    const ttl = getSemanticTtl(intent);
+    const shared = shareable && SEMANTIC_CACHE_SHARED_INTENTS.includes(intent);
+
+    await set(getSemanticKey(tenantId, entryId), value, ttl);
+    await vectorStore.upsert(getSemanticNamespace(tenantId), [{
+      id: entryId,
+      content: text.trim(),
+      embedding: await embeddingService.embed(text.trim()),
+      metadata: {
+        userId: shared ? null : userId,
+        intent,
+        platform,
+        language,
+        expiresAt: Date.now() + ttl * 1000
+      }
+    }]);
+
+    semanticStats.stores++;
+    return true;
+  } catch (error) {
+    console.error('Semantic cache set error:', error);
+    return false;
+  }
+}
+
+/**
+ * Invalidate the semantic cache, e.g. after the knowledge base or auto-reply rules changed
+ * @param {string} tenantId - Tenant ID (all tenants when omitted)
+ * @returns {Promise<boolean>} Success status
+ */
+async function invalidateSemantic(tenantId = null) {
+  try {
+    if (tenantId) {
+      await vectorStore.remove(getSemanticNamespace(tenantId));
+      await clear(`ai:semantic:${tenantId}:*`);
+    } else {
+      // 其他租户的向量在下次匹配时因找不到值而删除
+      await clear('ai:semantic:*');
+    }
+
+    semanticStats.invalidations++;
+    return true;
+  } catch (error) {
+    console.error('Semantic cache invalidation error:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the semantic cache statistics of this process
+ * @returns {Object} { enabled, threshold, hits, misses, hitRate, stores, invalidations, byIntent }
+ */
+function getSemanticStats() {
+  const hitRate = counts => {
+    const lookups = counts.hits + counts.misses;
+    return lookups > 0 ? counts.hits / lookups : 0;
+  };
+
+  return {
+    enabled: ENABLE_SEMANTIC_CACHE,
+    threshold: SEMANTIC_CACHE_THRESHOLD,
+    hits: semanticStats.hits,
+    misses: semanticStats.misses,
+    hitRate: hitRate(semanticStats),
+    stores: semanticStats.stores,
+    invalidations: semanticStats.invalidations,
+    byIntent: Object.fromEntries(Object.entries(semanticStats.byIntent)
+      .map(([intent, counts]) => [intent, { ...counts, hitRate: hitRate(counts) }]))
+  };
+}
+
 /**
  * Get cache stats
- * @returns {Promise<Object>} Cache statistics
+ * @returns {Promise<Object>} Cache statistics (semantic cache hit rates under "semantic")
  */
 async function getStats() {
   try {
@@ -180,7 +453,8 @@ async function getStats() {
       const stats = {
         type: 'redis',
         connected: redisClient.status === 'ready',
-        keyCount: 0
+        keyCount: 0,
+        semantic: getSemanticStats()
       };
       
       // Extract key count from info
@@ -199,7 +473,8 @@ async function getStats() {
         type: 'memory',
         connected: true,
         keyCount: Object.keys(memoryCache).length,
-        memoryUsage: process.memoryUsage().heapUsed
+        memoryUsage: process.memoryUsage().heapUsed,
+        semantic: getSemanticStats()
       };
     }
   } catch (error) {
@@ -207,7 +482,8 @@ async function getStats() {
     return {
       type: redisClient ? 'redis' : 'memory',
       connected: false,
-      error: error.message
+      error: error.message,
+      semantic: getSemanticStats()
     };
   }
 }
@@ -218,5 +494,9 @@ module.exports = {
   del,
   clear,
   getStats,
+  getSemantic,
+  setSemantic,
+  invalidateSemantic,
+  isSemanticCacheable,
   redisClient // Expose for direct access if needed
 }; 
\ No newline at end of file
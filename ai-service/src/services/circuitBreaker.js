@@ -0,0 +1,311 @@
+/**
+ * Circuit breaker for AI model calls
+ * Tracks recent outcomes per model and stops routing to a model whose
+ * failure rate (timeouts and slow calls included) is too high, until a
+ * cooldown has elapsed.
+ *
+ * States:
+ * - closed: requests flow normally
+ * - open: requests are rejected until the cooldown elapses
+ * - half_open: a limited number of trial requests decide whether to close again
+ */
+
+// Environment variables
+const CIRCUIT_BREAKER_ENABLED = process.env.CIRCUIT_BREAKER_ENABLED !== 'false';
+const CB_WINDOW_SIZE = parseInt(process.env.CB_WINDOW_SIZE || '20');
+const CB_MIN_REQUESTS = parseInt(process.env.CB_MIN_REQUESTS || '5');
+const CB_FAILURE_RATE_THRESHOLD = parseFloat(process.env.CB_FAILURE_RATE_THRESHOLD || '0.5');
+const CB_SLOW_CALL_THRESHOLD_MS = parseInt(process.env.CB_SLOW_CALL_THRESHOLD_MS || '10000');
+const CB_COOLDOWN_MS = parseInt(process.env.CB_COOLDOWN_MS || '30000');
+const CB_HALF_OPEN_MAX_CALLS = parseInt(process.env.CB_HALF_OPEN_MAX_CALLS || '1');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Circuit breaker for a single model
+ */
+class CircuitBreaker {
+  /**
+   * Create a circuit breaker
+   * @param {string} name - Name of the protected resource (model id)
+   * @param {Object} options - Breaker options
+   * @param {number} options.windowSize - Number of recent calls considered
+   * @param {number} options.minRequests - Minimum calls in window before tripping
+   * @param {number} options.failureRateThreshold - Failure rate (0-1) that opens the breaker
+   * @param {number} options.slowCallThresholdMs - Calls slower than this count as failures
+   * @param {number} options.cooldownMs - Time the breaker stays open
+   * @param {number} options.halfOpenMaxCalls - Trial calls allowed while half-open
+   * @param {Function} options.now - Clock function (for tests)
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.windowSize = options.windowSize || CB_WINDOW_SIZE;
+    this.minRequests = options.minRequests || CB_MIN_REQUESTS;
+    this.failureRateThreshold = options.failureRateThreshold || CB_FAILURE_RATE_THRESHOLD;
+    this.slowCallThresholdMs = options.slowCallThresholdMs || CB_SLOW_CALL_THRESHOLD_MS;
+    this.cooldownMs = options.cooldownMs || CB_COOLDOWN_MS;
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls || CB_HALF_OPEN_MAX_CALLS;
+    this.now = options.now || Date.now;
+
+    this.reset();
+  }
+
+  /**
+   * Reset the breaker to the closed state and clear its history
+   */
+  reset() {
+    this.state = STATES.CLOSED;
+    this.outcomes = []; // { success, latency, timestamp }
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+    this.lastError = null;
+  }
+
+  /**
+   * Check whether a request may be sent, transitioning open -> half_open
+   * once the cooldown has elapsed
+   * @returns {boolean} Whether the request is allowed
+   */
+  allowRequest() {
+    if (this.state === STATES.OPEN) {
+      if (this.now() - this.openedAt < this.cooldownMs) {
+        return false;
+      }
+      this.state = STATES.HALF_OPEN;
+      this.halfOpenCalls = 0;
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.halfOpenCalls >= this.halfOpenMaxCalls) {
+        return false;
+      }
+      this.halfOpenCalls++;
+    }
+
+    return true;
+  }
+
+  /**
+   * Give back a half-open trial that ended without an outcome (e.g. a cancelled request)
+   */
+  release() {
+    if (this.state === STATES.HALF_OPEN && this.halfOpenCalls > 0) {
+      this.halfOpenCalls--;
+    }
+  }
+
+  /**
+   * Record a successful call
+   * @param {number} latency - Call duration in ms
+   */
+  recordSuccess(latency = 0) {
+    // A slow response is treated as a failure so that degraded providers are skipped
+    if (latency > this.slowCallThresholdMs) {
+      this.recordFailure(new Error(`Slow call: ${latency}ms`), latency);
+      return;
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      // Trial succeeded, start over with a clean window
+      this.reset();
+    }
+
+    this.pushOutcome(true, latency);
+  }
+
+  /**
+   * Record a failed call
+   * @param {Error} error - Error raised by the call
+   * @param {number} latency - Call duration in ms
+   */
+  recordFailure(error = null, latency = 0) {
+    this.lastError = error ? error.message : null;
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.trip();
+      return;
+    }
+
+    this.pushOutcome(false, latency);
+
+    const { total, failureRate } = this.getWindowStats();
+    if (total >= this.minRequests && failureRate >= this.failureRateThreshold) {
+      this.trip();
+    }
+  }
+
+  /**
+   * Open the breaker
+   */
+  trip() {
+    this.state = STATES.OPEN;
+    this.openedAt = this.now();
+    this.halfOpenCalls = 0;
+  }
+
+  /**
+   * Append an outcome to the sliding window
+   * @param {boolean} success - Whether the call succeeded
+   * @param {number} latency - Call duration in ms
+   */
+  pushOutcome(success, latency) {
+    this.outcomes.push({ success, latency, timestamp: this.now() });
+
+    if (this.outcomes.length > this.windowSize) {
+      this.outcomes.shift();
+    }
+  }
+
+  /**
+   * Compute statistics over the sliding window
+   * @returns {Object} Window statistics
+   */
+  getWindowStats() {
+    const total = this.outcomes.length;
+    const failures = this.outcomes.filter(outcome => !outcome.success).length;
+    const averageLatency = total > 0
+      ? this.outcomes.reduce((sum, outcome) => sum + outcome.latency, 0) / total
+      : 0;
+
+    return {
+      total,
+      failures,
+      failureRate: total > 0 ? failures / total : 0,
+      averageLatency
+    };
+  }
+
+  /**
+   * Get the current state without consuming a half-open trial
+   * @returns {string} One of STATES
+   */
+  getCurrentState() {
+    if (this.state === STATES.OPEN && this.now() - this.openedAt >= this.cooldownMs) {
+      return STATES.HALF_OPEN;
+    }
+    return this.state;
+  }
+
+  /**
+   * Get a serializable snapshot of the breaker
+   * @returns {Object} Breaker state
+   */
+  getState() {
+    return {
+      state: this.getCurrentState(),
+      ...this.getWindowStats(),
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === STATES.OPEN
+        ? new Date(this.openedAt + this.cooldownMs).toISOString()
+        : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+// Breakers by model id
+const breakers = {};
+
+/**
+ * Get (or create) the breaker for a model
+ * @param {string} modelId - Model id
+ * @returns {CircuitBreaker} Model breaker
+ */
+function getBreaker(modelId) {
+  if (!breakers[modelId]) {
+    breakers[modelId] = new CircuitBreaker(modelId);
+  }
+  return breakers[modelId];
+}
+
+/**
+ * Check whether a model may be called
+ * @param {string} modelId - Model id
+ * @returns {boolean} Whether the call is allowed
+ */
+function allowRequest(modelId) {
+  if (!CIRCUIT_BREAKER_ENABLED) {
+    return true;
+  }
+  return getBreaker(modelId).allowRequest();
+}
+
+/**
+ * Release a permitted call that ended without an outcome
+ * @param {string} modelId - Model id
+ */
+function release(modelId) {
+  getBreaker(modelId).release();
+}
+
+/**
+ * Get the current state of a model breaker
+ * @param {string} modelId - Model id
+ * @returns {string} One of STATES
+ */
+function getState(modelId) {
+  if (!CIRCUIT_BREAKER_ENABLED) {
+    return STATES.CLOSED;
+  }
+  return getBreaker(modelId).getCurrentState();
+}
+
+/**
+ * Record a successful model call
+ * @param {string} modelId - Model id
+ * @param {number} latency - Call duration in ms
+ */
+function recordSuccess(modelId, latency) {
+  getBreaker(modelId).recordSuccess(latency);
+}
+
+/**
+ * Record a failed model call
+ * @param {string} modelId - Model id
+ * @param {Error} error - Error raised by the call
+ * @param {number} latency - Call duration in ms
+ */
+function recordFailure(modelId, error, latency) {
+  getBreaker(modelId).recordFailure(error, latency);
+}
+
+/**
+ * Get the state of model breakers
+ * @param {Array<string>} modelIds - Model ids (optional, defaults to all tracked models)
+ * @returns {Object} Breaker states by model id
+ */
+function getStates(modelIds = Object.keys(breakers)) {
+  return Object.fromEntries(
+    modelIds.map(modelId => [modelId, getBreaker(modelId).getState()])
+  );
+}
+
+/**
+ * Reset one breaker or all breakers
+ * @param {string} modelId - Model id (optional, resets all if omitted)
+ * @returns {Array<string>} Ids of the reset breakers
+ */
+function reset(modelId = null) {
+  const ids = modelId ? [modelId] : Object.keys(breakers);
+
+  ids.forEach(id => getBreaker(id).reset());
+
+  return ids;
+}
+
+module.exports = {
+  CircuitBreaker,
+  STATES,
+  allowRequest,
+  release,
+  recordSuccess,
+  recordFailure,
+  getState,
+  getStates,
+  reset,
+  isEnabled: () => CIRCUIT_BREAKER_ENABLED
+};
@@ -4,6 +4,10 @@
  * Multi-level context storage system (short-term, mid-term, long-term)
  */
 const cacheService = require('./cacheService');
+const { FEATURES } = require('./usageService');
+const embeddingService = require('./embeddingService');
+const vectorStore = require('./vectorStore');
+const piiService = require('./piiService');
 const { createClient } = require('@supabase/supabase-js');
 const { v4: uuidv4 } = require('uuid');
 const natural = require('natural');
@@ -23,6 +27,16 @@ const ENABLE_CONTEXT_COMPRESSION = process.env.ENABLE_CONTEXT_COMPRESSION === 't
 const COMPRESSION_THRESHOLD = parseInt(process.env.COMPRESSION_THRESHOLD || '10');
 const COMPRESSION_TARGET = parseInt(process.env.COMPRESSION_TARGET || '5');
 
+// Summaries written by a model (falls back to extractive summaries when no model is available)
+const ENABLE_LLM_SUMMARIES = process.env.ENABLE_LLM_SUMMARIES === 'true';
+const SUMMARY_MODEL = process.env.SUMMARY_MODEL || process.env.DEFAULT_AI_MODEL || 'gemini-2.0-flash-lite';
+const SUMMARY_MAX_TOKENS = parseInt(process.env.SUMMARY_MAX_TOKENS || '256');
+
+// Semantic memory: interactions are embedded so relevant older exchanges can be retrieved
+const ENABLE_SEMANTIC_MEMORY = process.env.ENABLE_SEMANTIC_MEMORY === 'true';
+const SEMANTIC_MEMORY_TOP_K = parseInt(process.env.SEMANTIC_MEMORY_TOP_K || '3');
+const SEMANTIC_MEMORY_MIN_SCORE = parseFloat(process.env.SEMANTIC_MEMORY_MIN_SCORE || '0.3');
+
 // Check if Supabase is configured
 const useSupabase = !!(SUPABASE_URL && SUPABASE_SERVICE_KEY);
 
@@ -34,6 +48,9 @@ const supabase = useSupabase
 // In-memory context store (used when Supabase is not configured)
 const memoryContextStore = {};
 
+// Conversations being summarized in the background (one summarization at a time per conversation)
+const pendingSummaries = new Set();
+
 /**
  * Get user context
  * @param {string} userId - User ID
@@ -144,9 +161,11 @@ async function updateUserContext(userId, sessionId = null, interaction) {
   // Get current context
   const context = await getUserContext(userId, sessionId);
   
-  // Create interaction with metadata
+  // Create interaction with metadata (personal data masked when PII_REDACT_AT_REST is enabled)
   const interactionWithMetadata = {
     ...interaction,
+    userMessage: piiService.redactForStorage(interaction.userMessage),
+    aiResponse: piiService.redactForStorage(interaction.aiResponse),
     id: uuidv4(),
     timestamp: new Date().toISOString(),
     importance: calculateInteractionImportance(interaction),
@@ -165,18 +184,178 @@ async function updateUserContext(userId, sessionId = null, interaction) {
   // Update user profile based on interaction
   updateUserProfile(context, interactionWithMetadata);
   
-  // Compress context if needed
-  if (ENABLE_CONTEXT_COMPRESSION && 
-      context.midTermMemory.length > COMPRESSION_THRESHOLD) {
-    compressContext(context);
-  }
-  
   // Save the updated context
   await saveContext(userId, sessionId, context);
   
+  // Compressing mid-term memory and folding overflowing long-term memory call the summary
+  // model, so they run in the background instead of delaying the reply
+  if (needsSummarization(context)) {
+    scheduleSummarization(userId, sessionId);
+  }
+  
+  if (ENABLE_SEMANTIC_MEMORY) {
+    await indexInteraction(userId, sessionId, interactionWithMetadata);
+  }
+  
   return context;
 }
 
+/**
+ * Check whether a context's memory has outgrown its windows
+ * @param {Object} context - User context
+ * @returns {boolean} Whether mid-term memory needs compressing or long-term memory consolidating
+ */
+function needsSummarization(context) {
+  return (ENABLE_CONTEXT_COMPRESSION && context.midTermMemory.length > COMPRESSION_THRESHOLD) ||
+    context.longTermMemory.length > LONG_TERM_WINDOW_SIZE;
+}
+
+/**
+ * Summarize a conversation's memory in the background
+ * Errors are logged; the conversation is summarized again after its next interaction.
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID (optional)
+ */
+function scheduleSummarization(userId, sessionId = null) {
+  const key = `${userId}${sessionId ? `:${sessionId}` : ''}`;
+  
+  if (pendingSummaries.has(key)) {
+    return;
+  }
+  
+  pendingSummaries.add(key);
+  summarizeContext(userId, sessionId)
+    .catch(error => console.error(`Error summarizing context of user ${userId}:`, error))
+    .finally(() => pendingSummaries.delete(key));
+}
+
+/**
+ * Compress mid-term memory and consolidate long-term memory of a conversation
+ * Works on a copy of the memory and merges the result into the latest context,
+ * so interactions added while the summary model runs are kept.
+ * @param {string} userId - User ID (also billed for the summaries)
+ * @param {string} sessionId - Session ID (optional)
+ * @returns {Promise<void>}
+ */
+async function summarizeContext(userId, sessionId = null) {
+  const snapshot = await getUserContext(userId, sessionId);
+  const working = {
+    midTermMemory: [...snapshot.midTermMemory],
+    longTermMemory: [...snapshot.longTermMemory]
+  };
+  const summarizedMidIds = new Set(working.midTermMemory.map(item => item.id));
+  const summarizedLongIds = new Set(working.longTermMemory.map(item => item.id));
+  
+  if (ENABLE_CONTEXT_COMPRESSION && working.midTermMemory.length > COMPRESSION_THRESHOLD) {
+    await compressContext(working, userId);
+  }
+  
+  // Fold the oldest long-term memories into a summary once the window overflows
+  if (working.longTermMemory.length > LONG_TERM_WINDOW_SIZE) {
+    await consolidateLongTermMemory(working, userId);
+  }
+  
+  const context = await getUserContext(userId, sessionId);
+  context.midTermMemory = [
+    ...working.midTermMemory,
+    ...context.midTermMemory.filter(item => !summarizedMidIds.has(item.id))
+  ];
+  context.longTermMemory = [
+    ...working.longTermMemory,
+    ...context.longTermMemory.filter(item => !summarizedLongIds.has(item.id))
+  ];
+  
+  for (const field of ['compressed', 'lastCompression', 'lastLongTermConsolidation']) {
+    if (working[field] !== undefined) {
+      context[field] = working[field];
+    }
+  }
+  
+  await saveContext(userId, sessionId, context);
+}
+
+/**
+ * Get the vector store namespace holding a user's semantic memory
+ * All sessions share it (the session is kept in the metadata), so exchanges
+ * from earlier sessions can be recalled.
+ * @param {string} userId - User ID
+ * @returns {string} Namespace
+ */
+function getMemoryNamespace(userId) {
+  return `memory:${userId}`;
+}
+
+/**
+ * Embed an interaction and add it to the semantic memory index
+ * Failures are logged, the interaction is still kept in the context.
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID (optional)
+ * @param {Object} interaction - Interaction with metadata
+ * @returns {Promise<void>}
+ */
+async function indexInteraction(userId, sessionId, interaction) {
+  try {
+    const content = `${interaction.userMessage || ''}\n${interaction.aiResponse || ''}`.trim();
+    const embedding = await embeddingService.embed(content);
+    
+    await vectorStore.upsert(getMemoryNamespace(userId), [{
+      id: interaction.id,
+      content,
+      embedding,
+      metadata: {
+        sessionId,
+        userMessage: interaction.userMessage,
+        aiResponse: interaction.aiResponse,
+        timestamp: interaction.timestamp,
+        importance: interaction.importance,
+        topics: interaction.topics
+      }
+    }]);
+  } catch (error) {
+    console.error('Error indexing interaction for semantic memory:', error);
+  }
+}
+
+/**
+ * Retrieve the past exchanges most relevant to a message, from any of the user's sessions
+ * @param {string} userId - User ID
+ * @param {string} text - Current message
+ * @param {Object} options - Retrieval options
+ * @param {number} options.topK - Maximum number of exchanges
+ * @param {number} options.minScore - Minimum cosine similarity
+ * @param {Array<string>} options.excludeIds - Interaction ids already in the prompt
+ * @returns {Promise<Array<Object>>} Interactions with a relevance score, most relevant first
+ */
+async function retrieveRelevantMemories(userId, text, options = {}) {
+  const {
+    topK = SEMANTIC_MEMORY_TOP_K,
+    minScore = SEMANTIC_MEMORY_MIN_SCORE,
+    excludeIds = []
+  } = options;
+  
+  try {
+    const embedding = await embeddingService.embed(text);
+    const matches = await vectorStore.query(getMemoryNamespace(userId), embedding, {
+      topK,
+      minScore,
+      excludeIds
+    });
+    
+    return matches.map(match => ({
+      id: match.id,
+      userMessage: match.metadata.userMessage,
+      aiResponse: match.metadata.aiResponse,
+      timestamp: match.metadata.timestamp,
+      importance: match.metadata.importance,
+      topics: match.metadata.topics || [],
+      relevance: match.score
+    }));
+  } catch (error) {
+    console.error('Error retrieving semantic memories:', error);
+    return [];
+  }
+}
+
 /**
  * Update all memory levels with new interaction
  * @param {Object} context - User context
@@ -218,15 +397,7 @@ function updateMemoryLevels(context, interaction) {
     context.midTermMemory = context.midTermMemory.slice(-MID_TERM_WINDOW_SIZE);
   }
   
-  if (context.longTermMemory.length > LONG_TERM_WINDOW_SIZE) {
-    // For long-term memory, remove least important items first
-    context.longTermMemory.sort((a, b) => (b.importance || 0) - (a.importance || 0));
-    context.longTermMemory = context.longTermMemory.slice(0, LONG_TERM_WINDOW_SIZE);
-    // Re-sort by time
-    context.longTermMemory.sort((a, b) => 
-      new Date(a.timestamp) - new Date(b.timestamp)
-    );
-  }
+  // Long-term memory overflow is handled by consolidateLongTermMemory
 }
 
 /**
@@ -277,6 +448,14 @@ function calculateInteractionImportance(interaction) {
     importance += 0.1;
   }
   
+  // 5. Urgent or clearly unhappy messages (scored by sentimentService) are worth remembering
+  if (interaction.analysis) {
+    importance += interaction.analysis.urgency.score * 0.2;
+    if (interaction.analysis.sentiment.score < 0) {
+      importance += -interaction.analysis.sentiment.score * 0.1;
+    }
+  }
+  
   // Normalize to 0-1 range
   return Math.min(Math.max(importance, 0), 1);
 }
@@ -319,8 +498,10 @@ function extractTopics(interaction) {
 /**
  * Compress context to reduce token usage
  * @param {Object} context - User context
+ * @param {string} userId - User the summarization calls are billed to
+ * @returns {Promise<void>}
  */
-function compressContext(context) {
+async function compressContext(context, userId = null) {
   // Compression mainly targets mid-term memory
   if (!context.midTermMemory || context.midTermMemory.length <= COMPRESSION_TARGET) {
     return;
@@ -346,7 +527,7 @@ function compressContext(context) {
     } else {
       // Process existing group if it has multiple items
       if (currentGroup.length > 1) {
-        compressed.push(summarizeGroup(currentGroup));
+        compressed.push(await summarizeGroup(currentGroup, userId));
       } else if (currentGroup.length === 1) {
         compressed.push(currentGroup[0]);
       }
@@ -359,7 +540,7 @@ function compressContext(context) {
   
   // Process the last group
   if (currentGroup.length > 1) {
-    compressed.push(summarizeGroup(currentGroup));
+    compressed.push(await summarizeGroup(currentGroup, userId));
   } else if (currentGroup.length === 1) {
     compressed.push(currentGroup[0]);
   }
@@ -382,19 +563,110 @@ function compressContext(context) {
   context.lastCompression = new Date().toISOString();
 }
 
+/**
+ * Fold the oldest long-term memories into a single summary
+ * Keeps long-term memory within LONG_TERM_WINDOW_SIZE without dropping what
+ * the user told us earlier; older summaries are re-summarized with the rest.
+ * @param {Object} context - User context
+ * @param {string} userId - User the summarization call is billed to
+ * @returns {Promise<void>}
+ */
+async function consolidateLongTermMemory(context, userId = null) {
+  const memory = [...(context.longTermMemory || [])]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  
+  if (memory.length <= LONG_TERM_WINDOW_SIZE) {
+    return;
+  }
+  
+  // The summary takes one slot, so fold one more entry than the overflow
+  const foldCount = Math.max(memory.length - LONG_TERM_WINDOW_SIZE + 1, 2);
+  const summary = await summarizeGroup(memory.slice(0, foldCount), userId);
+  
+  context.longTermMemory = [summary, ...memory.slice(foldCount)];
+  context.lastLongTermConsolidation = new Date().toISOString();
+}
+
 /**
  * Summarize a group of related interactions
+ * Asks the summary model for an abstractive summary when enabled, falling back
+ * to an extractive summary when it is disabled, unavailable or fails.
  * @param {Array} group - Group of related interactions
- * @returns {Object} Summarized interaction
+ * @param {string} userId - User the summarization call is billed to
+ * @returns {Promise<Object>} Summarized interaction
  */
-function summarizeGroup(group) {
+async function summarizeGroup(group, userId = null) {
   if (!group || group.length === 0) return null;
   if (group.length === 1) return group[0];
   
+  const summary = buildExtractiveSummary(group);
+  
+  if (!ENABLE_LLM_SUMMARIES) {
+    return summary;
+  }
+  
+  try {
+    const result = await generateLLMSummary(group, userId);
+    
+    if (result.text) {
+      summary.aiResponse = result.text;
+      summary.summary = result.text;
+      summary.summaryMethod = 'llm';
+      summary.summaryModel = result.model;
+    }
+  } catch (error) {
+    console.error('Error generating LLM summary, using extractive summary:', error.message);
+  }
+  
+  return summary;
+}
+
+/**
+ * Ask the summary model to summarize a group of interactions
+ * @param {Array} group - Group of interactions (may contain earlier summaries)
+ * @param {string} userId - User the call is billed to
+ * @returns {Promise<Object>} Generated response { text, model }
+ */
+async function generateLLMSummary(group, userId) {
+  // Required lazily: aiService depends on this module
+  const aiService = require('./aiService');
+  
+  const transcript = group.map(item => {
+    if (item.isSummary) {
+      return `[Earlier summary] ${item.summary || item.aiResponse}`;
+    }
+    return `User: ${item.userMessage}${item.aiResponse ? `\nAssistant: ${item.aiResponse}` : ''}`;
+  }).join('\n---\n');
+  
+  const prompt = 'Summarize the following conversation between a user and an assistant for use as ' +
+    'long-term memory. Keep facts, decisions, preferences and open questions; drop pleasantries. ' +
+    'Write at most 5 sentences in the language the user writes in. Reply with the summary only.\n\n' +
+    transcript;
+  
+  const response = await aiService.generateText(prompt, {
+    model: SUMMARY_MODEL,
+    maxTokens: SUMMARY_MAX_TOKENS,
+    userId,
+    feature: FEATURES.CONTEXT_SUMMARY
+  });
+  
+  return {
+    text: (response.text || '').trim(),
+    model: response.model
+  };
+}
+
+/**
+ * Build an extractive summary of a group of interactions (no model call)
+ * @param {Array} group - Group of interactions (may contain earlier summaries)
+ * @returns {Object} Summarized interaction
+ */
+function buildExtractiveSummary(group) {
   // Get earliest and latest timestamps
   const timestamps = group.map(item => new Date(item.timestamp));
+  const endTimestamps = group.map(item => new Date(item.endTimestamp || item.timestamp));
   const earliestTimestamp = new Date(Math.min(...timestamps));
-  const latestTimestamp = new Date(Math.max(...timestamps));
+  const latestTimestamp = new Date(Math.max(...endTimestamps));
   
   // Collect all topics
   const allTopics = [];
@@ -414,8 +686,11 @@ function summarizeGroup(group) {
     .sort((a, b) => topicFrequency[b] - topicFrequency[a])
     .slice(0, 5); // Keep top 5
   
+  // Summaries of summaries point back to the original interactions
+  const sourceIds = group.flatMap(item => item.isSummary ? (item.sourceIds || []) : [item.id]);
+  
   // Create summary text
-  const itemCount = group.length;
+  const itemCount = sourceIds.length;
   const topicText = uniqueTopics.join(', ');
   const firstUserMessage = group[0].userMessage;
   const lastUserMessage = group[group.length - 1].userMessage;
@@ -436,8 +711,9 @@ function summarizeGroup(group) {
     importance: maxImportance, 
     topics: uniqueTopics,
     isSummary: true,
+    summaryMethod: 'extractive',
     originalCount: itemCount,
-    originalIds: group.map(item => item.id)
+    sourceIds
   };
 }
 
@@ -463,6 +739,22 @@ function updateUserProfile(context, interaction) {
     context.userProfile.topics[topic] = (context.userProfile.topics[topic] || 0) + 1;
   });
   
+  // Track the user's mood: last scores and a moving average of sentiment
+  if (interaction.analysis) {
+    const { sentiment, urgency, toxicity } = interaction.analysis;
+    const previous = context.userProfile.sentiment;
+    
+    context.userProfile.sentiment = {
+      last: sentiment.score,
+      label: sentiment.label,
+      average: previous
+        ? Math.round((previous.average * 0.7 + sentiment.score * 0.3) * 100) / 100
+        : sentiment.score,
+      lastUrgency: urgency.score,
+      toxicMessages: (previous?.toxicMessages || 0) + (toxicity.toxic ? 1 : 0)
+    };
+  }
+  
   // Update last updated timestamp
   context.userProfile.lastUpdated = new Date().toISOString();
 }
@@ -597,6 +889,7 @@ async function getChatHistory(userId, sessionId = null, memoryLevel = 'short', l
  * @param {string} userId - User ID
  * @param {string} sessionId - Session ID (optional)
  * @param {Object} options - Context retrieval options
+ * @param {string} options.query - Current message, used to retrieve semantically relevant older exchanges
  * @returns {Promise<Object>} AI prompt context
  */
 async function getAIContext(userId, sessionId = null, options = {}) {
@@ -686,8 +979,17 @@ async function getAIContext(userId, sessionId = null, options = {}) {
     userProfileSummary = generateUserProfileSummary(context.userProfile);
   }
   
+  // Older exchanges relevant to the current message that are not already included
+  let relevantMemories = [];
+  if (ENABLE_SEMANTIC_MEMORY && options.query) {
+    relevantMemories = await retrieveRelevantMemories(userId, options.query, {
+      excludeIds: limitedItems.map(item => item.id)
+    });
+  }
+  
   return {
     history: limitedItems,
+    relevantMemories,
     userProfile: userProfileSummary,
     interactionCount: context.interactionCount || 0
   };
@@ -732,6 +1034,11 @@ function generateUserProfileSummary(userProfile) {
       .join(', ') + '.';
   }
   
+  // Let the model know when the user has recently been unhappy
+  if (userProfile.sentiment && userProfile.sentiment.average <= -0.2) {
+    summary += ` Recent mood: negative (average sentiment ${userProfile.sentiment.average}).`;
+  }
+  
   return summary;
 }
 
@@ -769,6 +1076,20 @@ async function clearChatHistory(userId, sessionId = null, memoryLevel = 'all') {
   // Save the updated context
   await saveContext(userId, sessionId, context);
   
+  // Forget the embedded interactions along with long-term memory: those of the session,
+  // or of every session when no session is given
+  if (ENABLE_SEMANTIC_MEMORY && ['long', 'all'].includes(memoryLevel)) {
+    try {
+      if (sessionId) {
+        await vectorStore.removeWhere(getMemoryNamespace(userId), { sessionId });
+      } else {
+        await vectorStore.remove(getMemoryNamespace(userId));
+      }
+    } catch (error) {
+      console.error('Error clearing semantic memory:', error);
+    }
+  }
+  
   // If using Supabase, we could also run a more efficient update
   if (useSupabase) {
     try {
@@ -850,6 +1171,36 @@ async function updateUserPreferences(userId, preferences) {
   return context.userProfile;
 }
 
+/**
+ * Get the dialog in progress for a user
+ * Dialog state lives in the user-level context (no session), so a booking
+ * started on one platform can be finished on another.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Dialog state or null if none
+ */
+async function getDialogState(userId) {
+  const context = await getUserContext(userId);
+  return context.dialog || null;
+}
+
+/**
+ * Save (or clear) the dialog in progress for a user
+ * @param {string} userId - User ID
+ * @param {Object|null} state - Dialog state, null to clear it
+ * @returns {Promise<void>}
+ */
+async function saveDialogState(userId, state) {
+  const context = await getUserContext(userId);
+  
+  if (state) {
+    context.dialog = state;
+  } else {
+    delete context.dialog;
+  }
+  
+  await saveContext(userId, null, context);
+}
+
 /**
  * Create a default context object
  * @returns {Object} Default context
@@ -878,5 +1229,12 @@ module.exports = {
   getChatHistory,
   clearChatHistory,
   getAIContext,
-  updateUserPreferences
+  updateUserPreferences,
+  getDialogState,
+  saveDialogState,
+  compressContext,
+  summarizeContext,
+  consolidateLongTermMemory,
+  retrieveRelevantMemories,
+  summarizeGroup
 }; 
\ No newline at end of file
@@ -0,0 +1,287 @@
+/**
+ * Dialog Service for AI Service
+ * Multi-turn slot filling on top of intent recognition. When a message is
+ * recognized as an intent with a dialog (see config/dialogs.js), a dialog is
+ * started and the entities of this and the following messages fill its slots
+ * until every required slot is known. Meanwhile the service tells the caller
+ * which slot is missing and the follow-up question to ask, in the customer's
+ * language. The state is kept in the user context, so a dialog survives across
+ * messages, sessions and platforms.
+ */
+const contextService = require('./contextService');
+const entityService = require('./entityService');
+const languageService = require('./languageService');
+const { loadDialogs } = require('../config/dialogs');
+
+// Environment variables
+const DIALOG_STATE_TTL = parseInt(process.env.DIALOG_STATE_TTL || '1800'); // seconds
+const DIALOG_SWITCH_CONFIDENCE = parseFloat(process.env.DIALOG_SWITCH_CONFIDENCE || '0.8');
+
+const DIALOG_STATUS = {
+  ACTIVE: 'active',
+  COMPLETE: 'complete',
+  CANCELLED: 'cancelled'
+};
+
+// Phrases abandoning the dialog in progress
+const RESET_PATTERN = /^\s*(never\s*mind|nevermind|forget it|stop|start over|cancel that|算了|不用了|不要了|取消吧|重新开始|tak jadi|tak payah|lupakan|batal(?:kan)?(?: je)?)\s*[.!。！]*\s*$/i;
+
+// Dialogs by intent
+const dialogs = loadDialogs();
+
+/**
+ * Get the dialog declared for an intent
+ * @param {string} intent - Intent name
+ * @returns {Object|null} Dialog { slots } or null if the intent has none
+ */
+function getDialog(intent) {
+  return dialogs[intent] || null;
+}
+
+/**
+ * List the declared dialogs
+ * @returns {Object} Dialogs by intent
+ */
+function listDialogs() {
+  return dialogs;
+}
+
+/**
+ * Check whether a dialog state has expired
+ * @param {Object} state - Dialog state
+ * @param {Date} now - Current time
+ * @returns {boolean} Whether it is older than DIALOG_STATE_TTL
+ */
+function isExpired(state, now) {
+  return now.getTime() - new Date(state.updatedAt).getTime() > DIALOG_STATE_TTL * 1000;
+}
+
+/**
+ * Get the active dialog of a user
+ * Completed, cancelled and expired dialogs are not active.
+ * @param {string} userId - User ID
+ * @param {Date} now - Current time (optional)
+ * @returns {Promise<Object|null>} Dialog state or null if none is active
+ */
+async function getActiveDialog(userId, now = new Date()) {
+  const state = await contextService.getDialogState(userId);
+
+  if (!state || state.status !== DIALOG_STATUS.ACTIVE || isExpired(state, now)) {
+    return null;
+  }
+  return state;
+}
+
+/**
+ * Get the dialog state of a user, whatever its status
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Dialog state or null
+ */
+async function getDialogState(userId) {
+  return contextService.getDialogState(userId);
+}
+
+/**
+ * Abandon the dialog of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function resetDialog(userId) {
+  await contextService.saveDialogState(userId, null);
+}
+
+/**
+ * Pick the language follow-up questions are asked in
+ * Short Latin replies ("3pm", "ok esok") are too ambiguous to switch language.
+ * @param {string} text - Message text
+ * @param {string} current - Language of the dialog so far (optional)
+ * @returns {string} Language (en, zh or ms)
+ */
+function pickLanguage(text, current) {
+  const { language } = languageService.detectLanguage(text);
+
+  if (!language) {
+    return current || 'en';
+  }
+  if (!current || language === 'zh' || text.trim().split(/\s+/).length >= 3) {
+    return language;
+  }
+  return current;
+}
+
+/**
+ * Create a new dialog state
+ * @param {string} intent - Intent with a dialog
+ * @param {string} language - Language of the dialog
+ * @param {Date} now - Current time
+ * @returns {Object} Dialog state
+ */
+function createState(intent, language, now) {
+  return {
+    intent,
+    status: DIALOG_STATUS.ACTIVE,
+    slots: {},
+    missingSlots: [],
+    expectedSlot: null,
+    language,
+    turns: 0,
+    startedAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  };
+}
+
+/**
+ * Fill the slots of a dialog from the entities of a message
+ * A value given later replaces the earlier one, so customers can correct themselves.
+ * @param {Object} state - Dialog state (updated in place)
+ * @param {Object} dialog - Dialog declaration
+ * @param {string} text - Message text
+ * @param {Array<Object>} entities - Entities extracted from the message
+ * @returns {Array<string>} Names of the slots filled by the message
+ */
+function fillSlots(state, dialog, text, entities) {
+  const filled = [];
+
+  dialog.slots.forEach(slot => {
+    const entity = entities.find(candidate => candidate.type === slot.entity);
+    if (entity) {
+      state.slots[slot.name] = { value: entity.value, text: entity.text, turn: state.turns };
+      filled.push(slot.name);
+    }
+  });
+
+  // A reply to a free-text question without any recognized entity is the answer itself
+  const expected = dialog.slots.find(slot => slot.name === state.expectedSlot);
+  if (expected?.freeText && filled.length === 0 && entities.length === 0 && text.trim()) {
+    state.slots[expected.name] = { value: text.trim(), text: text.trim(), turn: state.turns };
+    filled.push(expected.name);
+  }
+
+  return filled;
+}
+
+/**
+ * Build the result of a turn returned to callers
+ * @param {Object} state - Dialog state
+ * @param {Object} dialog - Dialog declaration
+ * @param {Array<string>} filledSlots - Slots filled by this message
+ * @returns {Object} { intent, status, slots, filledSlots, missingSlots, nextSlot, question, language }
+ */
+function toResult(state, dialog, filledSlots = []) {
+  const nextSlot = dialog?.slots.find(slot => slot.name === state.expectedSlot) || null;
+
+  return {
+    intent: state.intent,
+    status: state.status,
+    slots: Object.fromEntries(Object.entries(state.slots).map(([name, slot]) => [name, slot.value])),
+    filledSlots,
+    missingSlots: state.missingSlots,
+    nextSlot: nextSlot?.name || null,
+    question: nextSlot ? (nextSlot.questions[state.language] || nextSlot.questions.en || null) : null,
+    language: state.language
+  };
+}
+
+/**
+ * Process a message in the user's dialog
+ * Starts a dialog when the message's intent declares one, continues the active
+ * dialog otherwise (switching when another dialog intent is recognized with
+ * DIALOG_SWITCH_CONFIDENCE), and ends it on reset phrases ("never mind", "算了",
+ * "tak jadi").
+ * @param {Object} turn - Turn data
+ * @param {string} turn.userId - User ID
+ * @param {string} turn.text - Message text
+ * @param {string} turn.intent - Recognized intent (optional)
+ * @param {number} turn.confidence - Confidence of the intent (optional)
+ * @param {Array<Object>} turn.services - Services of the business { id, name, aliases } (optional)
+ * @param {Date} turn.referenceDate - Date relative expressions are resolved against (default now)
+ * @returns {Promise<Object|null>} Turn result (see toResult) with entities, or null when no dialog applies
+ */
+async function processTurn(turn) {
+  const { userId, text, intent, confidence = 0, services = [] } = turn;
+  const now = turn.referenceDate || new Date();
+
+  if (!userId || !text) {
+    return null;
+  }
+
+  let state = await getActiveDialog(userId, now);
+
+  if (state && RESET_PATTERN.test(text)) {
+    state.status = DIALOG_STATUS.CANCELLED;
+    state.expectedSlot = null;
+    await contextService.saveDialogState(userId, null);
+    return { ...toResult(state, getDialog(state.intent)), entities: [] };
+  }
+
+  // Start a dialog, or switch to another one the customer clearly asks for
+  const switching = state && intent !== state.intent && getDialog(intent) && confidence >= DIALOG_SWITCH_CONFIDENCE;
+  if (!state || switching) {
+    if (!getDialog(intent)) {
+      return null;
+    }
+    state = createState(intent, pickLanguage(text, state?.language), now);
+  } else {
+    state.language = pickLanguage(text, state.language);
+  }
+
+  const dialog = getDialog(state.intent);
+  const entities = entityService.extractEntities(text, {
+    referenceDate: now,
+    services,
+    types: [...new Set(dialog.slots.map(slot => slot.entity))]
+  });
+
+  state.turns += 1;
+  const filledSlots = fillSlots(state, dialog, text, entities);
+
+  state.missingSlots = dialog.slots
+    .filter(slot => slot.required && !state.slots[slot.name])
+    .map(slot => slot.name);
+  state.expectedSlot = state.missingSlots[0] || null;
+  state.status = state.expectedSlot ? DIALOG_STATUS.ACTIVE : DIALOG_STATUS.COMPLETE;
+  state.updatedAt = now.toISOString();
+
+  await contextService.saveDialogState(userId, state);
+
+  return { ...toResult(state, dialog, filledSlots), entities };
+}
+
+/**
+ * Build the prompt section telling the model where the dialog stands
+ * @param {Object} result - Turn result from processTurn
+ * @returns {string} Prompt section (empty when no dialog applies)
+ */
+function buildDialogPrompt(result) {
+  if (!result || result.status === DIALOG_STATUS.CANCELLED) {
+    return '';
+  }
+
+  const collected = Object.entries(result.slots)
+    .map(([name, value]) => `- ${name}: ${typeof value === 'object' ? value.name || JSON.stringify(value) : value}`)
+    .join('\n');
+
+  let prompt = `当前对话任务：${result.intent}\n`;
+  if (collected) {
+    prompt += `已收集的信息：\n${collected}\n`;
+  }
+
+  if (result.nextSlot) {
+    prompt += `仍缺少：${result.missingSlots.join(', ')}。请确认已收集的信息，并向客户询问${result.nextSlot}："${result.question}"\n\n`;
+  } else {
+    prompt += '所需信息已齐全，请向客户复述并继续处理请求。\n\n';
+  }
+
+  return prompt;
+}
+
+module.exports = {
+  DIALOG_STATUS,
+  getDialog,
+  listDialogs,
+  getActiveDialog,
+  getDialogState,
+  resetDialog,
+  processTurn,
+  buildDialogPrompt
+};
@@ -0,0 +1,218 @@
+/**
+ * Embedding Service for AI Service
+ * Turns text into vectors for semantic retrieval. Supported providers:
+ * - openai: OpenAI embeddings API
+ * - google: Gemini embeddings API
+ * - local: deterministic feature hashing, no network (used by tests and offline development)
+ */
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { OpenAI } = require('openai');
+
+// Environment variables
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+const EMBEDDING_DIMENSIONS = parseInt(process.env.EMBEDDING_DIMENSIONS || '768');
+const EMBEDDING_PROVIDER = process.env.EMBEDDING_PROVIDER
+  || (OPENAI_API_KEY ? 'openai' : GEMINI_API_KEY ? 'google' : 'local');
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL
+  || (EMBEDDING_PROVIDER === 'openai' ? 'text-embedding-3-small' : 'text-embedding-004');
+
+// Longest text sent to an embedding API (characters)
+const MAX_EMBEDDING_INPUT = 8000;
+
+// Lazily created API clients
+let openaiClient = null;
+let googleModel = null;
+
+/**
+ * Get the active embedding provider name
+ * @returns {string} Provider name (openai, google or local)
+ */
+function getProviderName() {
+  return EMBEDDING_PROVIDER;
+}
+
+/**
+ * Get the embedding vector length
+ * @returns {number} Dimensions
+ */
+function getDimensions() {
+  return EMBEDDING_DIMENSIONS;
+}
+
+/**
+ * Split text into hashing features: lowercase words, plus single characters
+ * and character bigrams for CJK text (which has no spaces)
+ * @param {string} text - Text
+ * @returns {Array<string>} Features
+ */
+function tokenize(text) {
+  const features = [];
+  const lowerText = (text || '').toLowerCase();
+
+  for (const word of lowerText.match(/[a-z0-9\u00c0-\u024f]+/g) || []) {
+    features.push(word);
+    // Word prefixes make inflected forms (booking/booked) overlap
+    if (word.length > 4) {
+      features.push(`${word.slice(0, 4)}~`);
+    }
+  }
+
+  for (const run of lowerText.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]+/g) || []) {
+    for (let i = 0; i < run.length; i++) {
+      features.push(run[i]);
+      if (i < run.length - 1) {
+        features.push(run.slice(i, i + 2));
+      }
+    }
+  }
+
+  return features;
+}
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} value - String to hash
+ * @returns {number} Unsigned hash
+ */
+function hashFeature(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Scale a vector to unit length
+ * @param {Array<number>} vector - Vector
+ * @returns {Array<number>} Normalized vector
+ */
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Embed text locally with signed feature hashing
+ * Captures lexical overlap only, but is deterministic and needs no network.
+ * @param {string} text - Text
+ * @returns {Array<number>} Unit vector
+ */
+function embedLocal(text) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+
+  for (const feature of tokenize(text)) {
+    const hash = hashFeature(feature);
+    vector[hash % EMBEDDING_DIMENSIONS] += (hash & 0x80000000) ? -1 : 1;
+  }
+
+  return normalize(vector);
+}
+
+/**
+ * Embed texts with the OpenAI embeddings API
+ * @param {Array<string>} texts - Texts
+ * @returns {Promise<Array<Array<number>>>} Vectors
+ */
+async function embedOpenAI(texts) {
+  if (!openaiClient) {
+    openaiClient = new OpenAI({ apiKey: OPENAI_API_KEY });
+  }
+
+  const response = await openaiClient.embeddings.create({
+    model: EMBEDDING_MODEL,
+    input: texts,
+    dimensions: EMBEDDING_DIMENSIONS
+  });
+
+  return response.data
+    .sort((a, b) => a.index - b.index)
+    .map(item => item.embedding);
+}
+
+/**
+ * Embed texts with the Gemini embeddings API
+ * @param {Array<string>} texts - Texts
+ * @returns {Promise<Array<Array<number>>>} Vectors
+ */
+async function embedGoogle(texts) {
+  if (!googleModel) {
+    googleModel = new GoogleGenerativeAI(GEMINI_API_KEY).getGenerativeModel({ model: EMBEDDING_MODEL });
+  }
+
+  const response = await googleModel.batchEmbedContents({
+    requests: texts.map(text => ({
+      content: { role: 'user', parts: [{ text }] }
+    }))
+  });
+
+  return response.embeddings.map(embedding => embedding.values);
+}
+
+/**
+ * Embed several texts
+ * @param {Array<string>} texts - Texts
+ * @returns {Promise<Array<Array<number>>>} Vectors (same order as texts)
+ */
+async function embedBatch(texts) {
+  if (!texts || texts.length === 0) {
+    return [];
+  }
+
+  const inputs = texts.map(text => (text || '').slice(0, MAX_EMBEDDING_INPUT));
+
+  switch (EMBEDDING_PROVIDER) {
+    case 'openai':
+      return embedOpenAI(inputs);
+    case 'google':
+      return embedGoogle(inputs);
+    case 'local':
+      return inputs.map(embedLocal);
+    default:
+      throw new Error(`Unknown embedding provider: ${EMBEDDING_PROVIDER}`);
+  }
+}
+
+/**
+ * Embed a single text
+ * @param {string} text - Text
+ * @returns {Promise<Array<number>>} Vector
+ */
+async function embed(text) {
+  const [vector] = await embedBatch([text]);
+  return vector;
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector
+ * @returns {number} Similarity (-1 to 1, 0 if either vector is empty)
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+module.exports = {
+  embed,
+  embedBatch,
+  cosineSimilarity,
+  getProviderName,
+  getDimensions
+};
@@ -0,0 +1,757 @@
+/**
+ * Entity Service for AI Service
+ * Extraction of entities from customer messages: dates and times (English,
+ * Chinese and Malay, including relative expressions such as "tomorrow",
+ * "下周二" or "esok"), money amounts, phone numbers, emails, Shopee/Lazada
+ * order numbers, postal codes, addresses and the business's services and
+ * products. Rules run first; types they miss can optionally be extracted by a
+ * model (ENTITY_LLM_FALLBACK). Every entity carries its character offsets in
+ * the message and a normalized value:
+ * - date: YYYY-MM-DD (resolved in ENTITY_TIMEZONE against the reference date)
+ * - time: HH:MM (24h)
+ * - money: { amount, currency } with an ISO 4217 currency code
+ * - phone: +<country code><number>
+ * - email: lowercased address
+ * - order_number: { platform, orderNumber } (platform shopee or lazada)
+ * - postal_code: the code
+ * - address: the address text
+ * - service / product: { id, name } of the matched catalogue item
+ */
+const { FEATURES } = require('./usageService');
+
+// Environment variables
+const ENTITY_TIMEZONE = process.env.ENTITY_TIMEZONE || 'Asia/Kuala_Lumpur';
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_COUNTRY_CODE || '60';
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'MYR';
+const ENTITY_LLM_FALLBACK = process.env.ENTITY_LLM_FALLBACK === 'true';
+const ENTITY_LLM_MODEL = process.env.ENTITY_LLM_MODEL || process.env.DEFAULT_AI_MODEL || 'gemini-2.0-flash-lite';
+const ENTITY_LLM_TYPES = (process.env.ENTITY_LLM_TYPES || 'product,address')
+  .split(',')
+  .map(type => type.trim())
+  .filter(Boolean);
+
+const ENTITY_TYPES = {
+  DATE: 'date',
+  TIME: 'time',
+  PHONE: 'phone',
+  POSTAL_CODE: 'postal_code',
+  ADDRESS: 'address',
+  SERVICE: 'service',
+  MONEY: 'money',
+  EMAIL: 'email',
+  ORDER_NUMBER: 'order_number',
+  PRODUCT: 'product'
+};
+
+// Currency words and symbols (lowercase) by ISO 4217 code; 块/元 follow DEFAULT_CURRENCY
+const CURRENCIES = {
+  rm: 'MYR', myr: 'MYR', ringgit: 'MYR', '令吉': 'MYR', '马币': 'MYR', '馬幣': 'MYR',
+  usd: 'USD', 'us$': 'USD', '$': 'USD', dollar: 'USD', dollars: 'USD', bucks: 'USD', '美元': 'USD', '美金': 'USD',
+  sgd: 'SGD', 's$': 'SGD', '新币': 'SGD', '新幣': 'SGD',
+  cny: 'CNY', rmb: 'CNY', '¥': 'CNY', '人民币': 'CNY',
+  eur: 'EUR', '€': 'EUR', gbp: 'GBP', '£': 'GBP',
+  idr: 'IDR', rp: 'IDR', thb: 'THB', baht: 'THB', '฿': 'THB',
+  '块': DEFAULT_CURRENCY, '块钱': DEFAULT_CURRENCY, '塊': DEFAULT_CURRENCY, '元': DEFAULT_CURRENCY
+};
+
+const AMOUNT_MULTIPLIERS = { k: 1000, ribu: 1000, juta: 1000000, mil: 1000000, '千': 1000, '万': 10000, '萬': 10000 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weekday names by language, Monday = 1 ... Sunday = 7
+const WEEKDAYS = {
+  monday: 1, mon: 1, tuesday: 2, tue: 2, tues: 2, wednesday: 3, wed: 3, thursday: 4, thu: 4, thur: 4, thurs: 4,
+  friday: 5, fri: 5, saturday: 6, sat: 6, sunday: 7, sun: 7,
+  isnin: 1, selasa: 2, rabu: 3, khamis: 4, jumaat: 5, sabtu: 6, ahad: 7
+};
+
+const CHINESE_WEEKDAYS = { '一': 1, '二': 2, '三': 3, '四': 4, '五': 5, '六': 6, '日': 7, '天': 7, '1': 1, '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7 };
+
+// Month names (English and Malay)
+const MONTHS = {
+  january: 1, jan: 1, januari: 1, february: 2, feb: 2, februari: 2, march: 3, mar: 3, mac: 3,
+  april: 4, apr: 4, may: 5, mei: 5, june: 6, jun: 6, july: 7, jul: 7, julai: 7,
+  august: 8, aug: 8, ogos: 8, september: 9, sep: 9, sept: 9, october: 10, oct: 10, oktober: 10,
+  november: 11, nov: 11, december: 12, dec: 12, disember: 12
+};
+
+const MONTH_PATTERN = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+const WEEKDAY_PATTERN = Object.keys(WEEKDAYS).sort((a, b) => b.length - a.length).join('|');
+
+const CHINESE_DIGITS = { '零': 0, '〇': 0, '一': 1, '二': 2, '两': 2, '兩': 2, '三': 3, '四': 4, '五': 5, '六': 6, '七': 7, '八': 8, '九': 9 };
+const CHINESE_NUMBER = '[0-9零〇一二两兩三四五六七八九十]{1,3}';
+const AMOUNT = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d{1,2})?|\\d+(?:\\.\\d{1,2})?';
+
+// Relative day words by offset from today
+const RELATIVE_DAYS = [
+  { pattern: /\bday after tomorrow\b/gi, offset: 2 },
+  { pattern: /\b(today|tonight|hari ini|malam ini)\b/gi, offset: 0 },
+  { pattern: /\b(tomorrow|tmrw|tmr|esok|besok)\b/gi, offset: 1 },
+  { pattern: /\blusa\b/gi, offset: 2 },
+  { pattern: /大后天/g, offset: 3 },
+  { pattern: /(?<!大)后天/g, offset: 2 },
+  { pattern: /(今天|今日|今晚)/g, offset: 0 },
+  { pattern: /(明天|明日|明早|明晚)/g, offset: 1 }
+];
+
+// Street words that start an address
+const ADDRESS_PATTERN = /\b(?:(?:no\.?|lot|unit)\s*[\w-]+,?\s*)?(?:jalan|jln|lorong|lrg|persiaran|lebuh|lebuhraya|taman|tmn|street|st\.|road|rd\.?|avenue|ave|lane|block|blok)\b[^\n.;!?]*/gi;
+const CHINESE_ADDRESS_PATTERN = /[一-龥A-Za-z0-9]{1,20}(?:路|街|道|巷|大厦|花园)[一-龥A-Za-z0-9-]{0,10}号?/g;
+
+/**
+ * Parse a number written with digits or Chinese numerals (up to 99)
+ * @param {string} text - Number text, e.g. "12", "十二", "二十三"
+ * @returns {number|null} Number or null
+ */
+function parseNumber(text) {
+  if (/^\d+$/.test(text)) {
+    return parseInt(text, 10);
+  }
+
+  if (!/^[零〇一二两兩三四五六七八九十]+$/.test(text)) {
+    return null;
+  }
+
+  const tenIndex = text.indexOf('十');
+  if (tenIndex === -1) {
+    return text.split('').reduce((value, char) => value * 10 + CHINESE_DIGITS[char], 0);
+  }
+
+  const tens = tenIndex === 0 ? 1 : CHINESE_DIGITS[text[tenIndex - 1]];
+  const ones = tenIndex === text.length - 1 ? 0 : CHINESE_DIGITS[text[tenIndex + 1]];
+  return tens * 10 + ones;
+}
+
+/**
+ * Get the calendar date of an instant in ENTITY_TIMEZONE
+ * @param {Date} date - Instant
+ * @returns {Date} Midnight UTC of that calendar date
+ */
+function toCalendarDate(date) {
+  const [year, month, day] = new Intl.DateTimeFormat('en-CA', {
+    timeZone: ENTITY_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date).split('-').map(Number);
+
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Format a calendar date
+ * @param {Date} date - Midnight UTC of the date
+ * @returns {string} YYYY-MM-DD
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Build a valid calendar date
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @returns {Date|null} Midnight UTC of the date, null if it does not exist
+ */
+function buildDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+/**
+ * Resolve a day and month without a year to its next occurrence
+ * @param {Date} today - Today's calendar date
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @returns {Date|null} Date this year, or next year once it has passed
+ */
+function resolveDayMonth(today, month, day) {
+  const year = today.getUTCFullYear();
+  const date = buildDate(year, month, day);
+
+  if (date && date < today) {
+    return buildDate(year + 1, month, day);
+  }
+  return date;
+}
+
+/**
+ * Resolve a weekday
+ * @param {Date} today - Today's calendar date
+ * @param {number} weekday - Weekday (Monday = 1 ... Sunday = 7)
+ * @param {string} week - 'this' (upcoming, today included), 'next' (next calendar week) or null (upcoming, today excluded)
+ * @returns {Date} Date
+ */
+function resolveWeekday(today, weekday, week) {
+  const todayWeekday = today.getUTCDay() || 7;
+  let offset;
+
+  if (week === 'next') {
+    offset = 7 - todayWeekday + weekday;
+  } else {
+    offset = (weekday - todayWeekday + 7) % 7;
+    if (offset === 0 && week !== 'this') {
+      offset = 7;
+    }
+  }
+
+  return new Date(today.getTime() + offset * DAY_MS);
+}
+
+/**
+ * Collect the matches of a pattern as entities
+ * @param {string} text - Message text
+ * @param {RegExp} pattern - Global pattern
+ * @param {string} type - Entity type
+ * @param {Function} normalize - (match) => normalized value, or null to skip the match
+ * @returns {Array<Object>} Entities { type, value, text, start, end }
+ */
+function matchAll(text, pattern, type, normalize) {
+  const entities = [];
+
+  for (const match of text.matchAll(pattern)) {
+    const value = normalize(match);
+    if (value === null || value === undefined) {
+      continue;
+    }
+
+    const matchedText = match[0].trim();
+    const start = match.index + match[0].indexOf(matchedText);
+    entities.push({ type, value, text: matchedText, start, end: start + matchedText.length, source: 'rule' });
+  }
+
+  return entities;
+}
+
+/**
+ * Extract dates
+ * @param {string} text - Message text
+ * @param {Object} options - Options { referenceDate }
+ * @returns {Array<Object>} Date entities
+ */
+function extractDates(text, options) {
+  const today = toCalendarDate(options.referenceDate);
+  const relative = offset => formatDate(new Date(today.getTime() + offset * DAY_MS));
+  const entities = [];
+
+  RELATIVE_DAYS.forEach(({ pattern, offset }) => {
+    entities.push(...matchAll(text, pattern, ENTITY_TYPES.DATE, () => relative(offset)));
+  });
+
+  // in 3 days / dalam 3 hari / 3天后
+  entities.push(...matchAll(text, /\b(?:in|dalam)\s+(\d{1,2})\s+(?:days?|hari)\b/gi, ENTITY_TYPES.DATE,
+    match => relative(parseInt(match[1], 10))));
+  entities.push(...matchAll(text, new RegExp(`(${CHINESE_NUMBER})天(?:后|以后)`, 'g'), ENTITY_TYPES.DATE,
+    match => relative(parseNumber(match[1]))));
+
+  // (next|this) monday, isnin (depan|ini)
+  entities.push(...matchAll(text, new RegExp(`\\b(?:(next|this|coming)\\s+)?(?:hari\\s+)?(${WEEKDAY_PATTERN})\\b(?:\\s+(depan|ini|hadapan))?`, 'gi'),
+    ENTITY_TYPES.DATE, match => {
+      const prefix = match[1]?.toLowerCase();
+      const suffix = match[3]?.toLowerCase();
+      const week = prefix === 'next' || ['depan', 'hadapan'].includes(suffix)
+        ? 'next'
+        : (prefix === 'this' || suffix === 'ini' ? 'this' : null);
+      return formatDate(resolveWeekday(today, WEEKDAYS[match[2].toLowerCase()], week));
+    }));
+
+  // 下周二 / 这个星期五 / 周日
+  entities.push(...matchAll(text, /(下下|下个?|这个?|本)?(?:周|星期|礼拜|禮拜)([一二三四五六日天1-7])/g, ENTITY_TYPES.DATE, match => {
+    const prefix = match[1] || '';
+    let date = resolveWeekday(today, CHINESE_WEEKDAYS[match[2]], prefix.startsWith('下') ? 'next' : 'this');
+    if (prefix === '下下') {
+      date = new Date(date.getTime() + 7 * DAY_MS);
+    }
+    return formatDate(date);
+  }));
+
+  // 2026-10-20
+  entities.push(...matchAll(text, /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, ENTITY_TYPES.DATE, match => {
+    const date = buildDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    return date ? formatDate(date) : null;
+  }));
+
+  // 20/10/2026, 20/10 (day first)
+  entities.push(...matchAll(text, /(?<![\d/-])(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?(?![\d/])/g, ENTITY_TYPES.DATE, match => {
+    const day = Number(match[1]);
+    const month = Number(match[2]);
+    if (!match[3]) {
+      const date = resolveDayMonth(today, month, day);
+      return date ? formatDate(date) : null;
+    }
+    const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+    const date = buildDate(year, month, day);
+    return date ? formatDate(date) : null;
+  }));
+
+  // 20 Oct / 20th October 2026 / 20 Oktober
+  entities.push(...matchAll(text, new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(${MONTH_PATTERN})\\b\\.?(?:,?\\s+(\\d{4}))?`, 'gi'), ENTITY_TYPES.DATE, match => {
+    const month = MONTHS[match[2].toLowerCase()];
+    const date = match[3]
+      ? buildDate(Number(match[3]), month, Number(match[1]))
+      : resolveDayMonth(today, month, Number(match[1]));
+    return date ? formatDate(date) : null;
+  }));
+
+  // Oct 20 / October 20th, 2026
+  entities.push(...matchAll(text, new RegExp(`\\b(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`, 'gi'), ENTITY_TYPES.DATE, match => {
+    const month = MONTHS[match[1].toLowerCase()];
+    const date = match[3]
+      ? buildDate(Number(match[3]), month, Number(match[2]))
+      : resolveDayMonth(today, month, Number(match[2]));
+    return date ? formatDate(date) : null;
+  }));
+
+  // 10月20日 / 十月二十号 / 20号
+  entities.push(...matchAll(text, new RegExp(`(?:(${CHINESE_NUMBER})月)?(${CHINESE_NUMBER})[日号號]`, 'g'), ENTITY_TYPES.DATE, match => {
+    const day = parseNumber(match[2]);
+    if (match[1]) {
+      const date = resolveDayMonth(today, parseNumber(match[1]), day);
+      return date ? formatDate(date) : null;
+    }
+
+    // Day of the month only: this month, or next month once it has passed
+    let date = buildDate(today.getUTCFullYear(), today.getUTCMonth() + 1, day);
+    if (date && date < today) {
+      date = buildDate(today.getUTCFullYear(), today.getUTCMonth() + 2, day);
+    }
+    return date ? formatDate(date) : null;
+  }));
+
+  return entities;
+}
+
+/**
+ * Format a time
+ * @param {number} hour - Hour (0-23)
+ * @param {number} minute - Minute
+ * @returns {string|null} HH:MM or null when out of range
+ */
+function formatTime(hour, minute = 0) {
+  if (hour < 0 || hour > 23 || minute < 0 || minute > 59) {
+    return null;
+  }
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Convert an hour with a period of the day to 24h
+ * @param {number} hour - Hour as said (1-12 or 0-23)
+ * @param {string} period - am/pm or the Chinese/Malay period word (optional)
+ * @returns {number} Hour (0-23)
+ */
+function to24Hour(hour, period) {
+  const value = (period || '').toLowerCase();
+
+  if (['pm', 'p.m.', '下午', '晚上', '傍晚', 'petang', 'ptg', 'malam', 'mlm'].includes(value)) {
+    return hour < 12 ? hour + 12 : hour;
+  }
+  if (['中午', 'tengahari', 'tengah hari'].includes(value)) {
+    return hour < 11 ? hour + 12 : hour;
+  }
+  if (['am', 'a.m.', '上午', '早上', '凌晨', 'pagi'].includes(value)) {
+    return hour === 12 ? 0 : hour;
+  }
+  return hour;
+}
+
+/**
+ * Extract times of day
+ * @param {string} text - Message text
+ * @returns {Array<Object>} Time entities
+ */
+function extractTimes(text) {
+  const entities = [];
+
+  // 3:30pm, 15:00, 3.30 pm
+  entities.push(...matchAll(text, /\b(\d{1,2})[:.](\d{2})\s*(a\.?m\.?|p\.?m\.?)?(?![\d.])/gi, ENTITY_TYPES.TIME, match => {
+    // Without am/pm only a colon marks a time ("3.50" could be a price)
+    if (!match[3] && match[0].includes('.')) {
+      return null;
+    }
+    return formatTime(to24Hour(Number(match[1]), match[3]?.replace(/\./g, '')), Number(match[2]));
+  }));
+
+  // 3pm, 11 am
+  entities.push(...matchAll(text, /\b(\d{1,2})\s*(am|pm)\b/gi, ENTITY_TYPES.TIME,
+    match => formatTime(to24Hour(Number(match[1]), match[2]))));
+
+  entities.push(...matchAll(text, /\b(noon|midday)\b/gi, ENTITY_TYPES.TIME, () => '12:00'));
+
+  // 下午三点半 / 10点15分 / 晚上8点
+  entities.push(...matchAll(text, new RegExp(`(上午|早上|中午|下午|晚上|傍晚|凌晨)?(${CHINESE_NUMBER})[点點时時](半|(${CHINESE_NUMBER})分?)?`, 'g'),
+    ENTITY_TYPES.TIME, match => {
+      const minute = match[3] === '半' ? 30 : (match[4] ? parseNumber(match[4]) : 0);
+      return formatTime(to24Hour(parseNumber(match[2]), match[1]), minute);
+    }));
+
+  // pukul 3 petang / pukul 10.30 pagi / 3 ptg
+  entities.push(...matchAll(text, /\b(?:pukul|pkl|jam)\s*(\d{1,2})(?:[.:](\d{2}))?(?:\s*(pagi|tengah hari|tengahari|petang|ptg|malam|mlm))?\b/gi,
+    ENTITY_TYPES.TIME, match => formatTime(to24Hour(Number(match[1]), match[3]), Number(match[2] || 0))));
+  entities.push(...matchAll(text, /\b(\d{1,2})(?:[.:](\d{2}))?\s+(pagi|tengahari|petang|ptg|malam|mlm)\b/gi,
+    ENTITY_TYPES.TIME, match => formatTime(to24Hour(Number(match[1]), match[3]), Number(match[2] || 0))));
+
+  return entities;
+}
+
+/**
+ * Normalize a phone number to +<country code><number>
+ * @param {string} raw - Phone number as written
+ * @returns {string|null} Normalized number or null when too short
+ */
+function normalizePhone(raw) {
+  const digits = raw.replace(/\D/g, '');
+
+  if (digits.length < 9 || digits.length > 15) {
+    return null;
+  }
+  if (raw.trim().startsWith('+')) {
+    return `+${digits}`;
+  }
+  if (digits.startsWith('0')) {
+    return `+${DEFAULT_COUNTRY_CODE}${digits.slice(1)}`;
+  }
+  if (digits.startsWith(DEFAULT_COUNTRY_CODE)) {
+    return `+${digits}`;
+  }
+  return `+${DEFAULT_COUNTRY_CODE}${digits}`;
+}
+
+/**
+ * Extract phone numbers
+ * @param {string} text - Message text
+ * @returns {Array<Object>} Phone entities
+ */
+function extractPhones(text) {
+  return matchAll(text, /(?<![\w+])(?:\+\d{1,3}[\s-]?)?\(?0?\d{1,3}\)?(?:[\s-]?\d{3,4}){2}(?!\d)/g, ENTITY_TYPES.PHONE,
+    match => normalizePhone(match[0]));
+}
+
+/**
+ * Extract postal codes (5 digits, as used in Malaysia)
+ * @param {string} text - Message text
+ * @returns {Array<Object>} Postal code entities
+ */
+function extractPostalCodes(text) {
+  return matchAll(text, /(?<![\d+-])\d{5}(?![\d-])/g, ENTITY_TYPES.POSTAL_CODE, match => match[0]);
+}
+
+/**
+ * Extract street addresses
+ * @param {string} text - Message text
+ * @returns {Array<Object>} Address entities
+ */
+function extractAddresses(text) {
+  return [
+    ...matchAll(text, ADDRESS_PATTERN, ENTITY_TYPES.ADDRESS, match => match[0].trim().replace(/[,\s]+$/, '')),
+    ...matchAll(text, CHINESE_ADDRESS_PATTERN, ENTITY_TYPES.ADDRESS, match => match[0])
+  ];
+}
+
+/**
+ * Parse an amount of money
+ * @param {string} number - Amount as written ("1,200.50", "五十")
+ * @param {string} multiplier - Multiplier word (k, ribu, juta, 千, 万) (optional)
+ * @returns {number|null} Amount or null
+ */
+function parseAmount(number, multiplier) {
+  const amount = /\d/.test(number) ? parseFloat(number.replace(/,/g, '')) : parseNumber(number);
+
+  if (amount === null || Number.isNaN(amount)) {
+    return null;
+  }
+
+  const factor = multiplier ? AMOUNT_MULTIPLIERS[multiplier.toLowerCase()] || 1 : 1;
+  return Math.round(amount * factor * 100) / 100;
+}
+
+/**
+ * Extract money amounts with their currency
+ * @param {string} text - Message text
+ * @returns {Array<Object>} Money entities
+ */
+function extractMoney(text) {
+  const multipliers = '(?:\\s?(k|ribu|juta|mil|千|万|萬)(?![a-z]))?';
+
+  return [
+    // RM50, RM 1,200.50, US$20, €15, Rp 50 ribu
+    ...matchAll(text, new RegExp(`(?<![A-Za-z0-9])(rm|myr|usd|us\\$|s\\$|sgd|rmb|cny|eur|gbp|idr|rp|thb|\\$|€|£|¥|฿)\\s?(${AMOUNT})${multipliers}`, 'gi'),
+      ENTITY_TYPES.MONEY, match => {
+        const amount = parseAmount(match[2], match[3]);
+        return amount === null ? null : { amount, currency: CURRENCIES[match[1].toLowerCase()] };
+      }),
+    // 50 ringgit, 20 dollars, 30 sen, 五十块, 100令吉
+    ...matchAll(text, new RegExp(`(${AMOUNT}|[零〇一二两兩三四五六七八九十]{1,3})${multipliers}\\s?(ringgit|myr|usd|sgd|dollars?|bucks|baht|sen|令吉|马币|馬幣|块钱|块|塊|元|人民币|新币|新幣|美元|美金)(?![a-z])`, 'gi'),
+      ENTITY_TYPES.MONEY, match => {
+        const amount = parseAmount(match[1], match[2]);
+        if (amount === null) {
+          return null;
+        }
+        // Sen are hundredths of a ringgit
+        return match[3].toLowerCase() === 'sen'
+          ? { amount: Math.round(amount) / 100, currency: 'MYR' }
+          : { amount, currency: CURRENCIES[match[3].toLowerCase()] };
+      })
+  ];
+}
+
+/**
+ * Extract email addresses
+ * @param {string} text - Message text
+ * @returns {Array<Object>} Email entities
+ */
+function extractEmails(text) {
+  return matchAll(text, /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g, ENTITY_TYPES.EMAIL,
+    match => match[0].toLowerCase());
+}
+
+/**
+ * Extract Shopee and Lazada order numbers
+ * Shopee order numbers are the order date (YYMMDD) followed by 8 letters and
+ * digits; Lazada order numbers are 12-16 digits, only recognized after an
+ * order keyword since they cannot be told apart from other numbers.
+ * @param {string} text - Message text
+ * @returns {Array<Object>} Order number entities
+ */
+function extractOrderNumbers(text) {
+  return [
+    ...matchAll(text, /(?<![A-Za-z0-9])\d{2}(\d{2})(\d{2})[A-Za-z0-9]{8}(?![A-Za-z0-9])/g, ENTITY_TYPES.ORDER_NUMBER, match => {
+      const month = Number(match[1]);
+      const day = Number(match[2]);
+      if (!/[A-Za-z]/.test(match[0]) || month < 1 || month > 12 || day < 1 || day > 31) {
+        return null;
+      }
+      return { platform: 'shopee', orderNumber: match[0].toUpperCase() };
+    }),
+    ...matchAll(text, /(?<=(?:order|lazada|订单|訂單|单号|單號|pesanan)[^\d\n]{0,20})\d{12,16}(?!\d)/gi, ENTITY_TYPES.ORDER_NUMBER,
+      match => ({ platform: 'lazada', orderNumber: match[0] }))
+  ];
+}
+
+/**
+ * Find the catalogue items (services, products) mentioned in a message
+ * @param {string} text - Message text
+ * @param {string} type - Entity type
+ * @param {Array<Object>} items - Catalogue items { id, name, aliases, sku }
+ * @returns {Array<Object>} Entities with value { id, name }
+ */
+function matchCatalogue(text, type, items = []) {
+  const lowerText = text.toLowerCase();
+  const entities = [];
+
+  items.forEach(item => {
+    [item.name, item.sku, ...(item.aliases || [])].filter(Boolean).forEach(name => {
+      const start = lowerText.indexOf(String(name).toLowerCase());
+      if (start !== -1) {
+        const end = start + String(name).length;
+        entities.push({
+          type,
+          value: { id: item.id ?? null, name: item.name },
+          text: text.slice(start, end),
+          start,
+          end,
+          source: 'rule'
+        });
+      }
+    });
+  });
+
+  return entities;
+}
+
+/**
+ * Extract the services of the business mentioned in the message
+ * @param {string} text - Message text
+ * @param {Object} options - Options { services: [{ id, name, aliases }] }
+ * @returns {Array<Object>} Service entities
+ */
+function extractServices(text, options) {
+  return matchCatalogue(text, ENTITY_TYPES.SERVICE, options.services);
+}
+
+/**
+ * Extract the products of the business mentioned in the message
+ * @param {string} text - Message text
+ * @param {Object} options - Options { products: [{ id, name, aliases, sku }] }
+ * @returns {Array<Object>} Product entities
+ */
+function extractProducts(text, options) {
+  return matchCatalogue(text, ENTITY_TYPES.PRODUCT, options.products);
+}
+
+// Extractors in priority order: an entity overlapping one found earlier is dropped
+const EXTRACTORS = [
+  { type: ENTITY_TYPES.SERVICE, extract: extractServices },
+  { type: ENTITY_TYPES.PRODUCT, extract: extractProducts },
+  { type: ENTITY_TYPES.EMAIL, extract: extractEmails },
+  { type: ENTITY_TYPES.ORDER_NUMBER, extract: extractOrderNumbers },
+  { type: ENTITY_TYPES.MONEY, extract: extractMoney },
+  { type: ENTITY_TYPES.DATE, extract: extractDates },
+  { type: ENTITY_TYPES.TIME, extract: extractTimes },
+  { type: ENTITY_TYPES.PHONE, extract: extractPhones },
+  { type: ENTITY_TYPES.POSTAL_CODE, extract: extractPostalCodes },
+  { type: ENTITY_TYPES.ADDRESS, extract: extractAddresses }
+];
+
+/**
+ * Check whether two entities overlap
+ * Addresses may contain other entities (postal codes, unit numbers).
+ * @param {Object} a - Entity
+ * @param {Object} b - Entity
+ * @returns {boolean} Whether they conflict
+ */
+function conflicts(a, b) {
+  if (a.type === ENTITY_TYPES.ADDRESS || b.type === ENTITY_TYPES.ADDRESS) {
+    return a.type === b.type && a.start < b.end && b.start < a.end;
+  }
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Add entities to the accepted list, dropping those that conflict with it
+ * @param {Array<Object>} accepted - Accepted entities (updated in place)
+ * @param {Array<Object>} entities - Candidate entities
+ * @returns {void}
+ */
+function acceptEntities(accepted, entities) {
+  entities
+    .sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start)
+    .forEach(entity => {
+      if (!accepted.some(other => conflicts(entity, other))) {
+        accepted.push(entity);
+      }
+    });
+}
+
+/**
+ * Extract entities from a message with the rules
+ * Within a type the longest match wins; across types the extractor order decides.
+ * @param {string} text - Message text
+ * @param {Object} options - Options
+ * @param {Date} options.referenceDate - Date relative expressions are resolved against (default now)
+ * @param {Array<Object>} options.services - Services of the business { id, name, aliases }
+ * @param {Array<Object>} options.products - Products of the business { id, name, aliases, sku }
+ * @param {Array<string>} options.types - Entity types to extract (default all)
+ * @returns {Array<Object>} Entities { type, value, text, start, end, source } in order of appearance
+ */
+function extractEntities(text, options = {}) {
+  const extractOptions = { ...options, referenceDate: options.referenceDate || new Date() };
+  const accepted = [];
+
+  if (!text) {
+    return accepted;
+  }
+
+  EXTRACTORS
+    .filter(extractor => !options.types || options.types.includes(extractor.type))
+    .forEach(extractor => acceptEntities(accepted, extractor.extract(text, extractOptions)));
+
+  return accepted.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Build the prompt asking a model for the entities the rules missed
+ * @param {string} text - Message text
+ * @param {Array<string>} types - Entity types to extract
+ * @returns {string} Prompt
+ */
+function buildExtractionPrompt(text, types) {
+  return 'Extract entities from the customer message below. ' +
+    `Only extract these types: ${types.join(', ')}. ` +
+    'Reply with JSON only, in the form {"entities": [{"type": "...", "text": "...", "value": ...}]}, ' +
+    'where text is copied exactly from the message. Reply {"entities": []} if there are none.\n\n' +
+    `Message: ${text}`;
+}
+
+/**
+ * Parse the entities returned by the model and locate them in the message
+ * Entities whose text does not appear in the message are dropped.
+ * @param {string} text - Message text
+ * @param {string} reply - Model reply
+ * @param {Array<string>} types - Entity types that were asked for
+ * @returns {Array<Object>} Entities with source 'llm'
+ */
+function parseExtractionReply(text, reply, types) {
+  const json = (reply || '').match(/\{[\s\S]*\}/);
+  if (!json) {
+    return [];
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(json[0]);
+  } catch (error) {
+    return [];
+  }
+
+  return (Array.isArray(parsed.entities) ? parsed.entities : [])
+    .filter(entity => entity && types.includes(entity.type) && typeof entity.text === 'string' && entity.text.trim())
+    .map(entity => {
+      const matchedText = entity.text.trim();
+      const start = text.indexOf(matchedText);
+      if (start === -1) {
+        return null;
+      }
+
+      const isCatalogue = [ENTITY_TYPES.PRODUCT, ENTITY_TYPES.SERVICE].includes(entity.type);
+      return {
+        type: entity.type,
+        value: isCatalogue ? { id: null, name: matchedText } : (entity.value ?? matchedText),
+        text: matchedText,
+        start,
+        end: start + matchedText.length,
+        source: 'llm'
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Extract entities with the rules, asking a model for the types they missed
+ * The model is only called for ENTITY_LLM_TYPES (products and addresses by
+ * default, which rules cannot list exhaustively) that the rules did not find.
+ * Model failures are logged and the rule entities returned.
+ * @param {string} text - Message text
+ * @param {Object} options - Options (same as extractEntities)
+ * @param {boolean} options.useLlm - Use the model fallback (defaults to ENTITY_LLM_FALLBACK)
+ * @param {string} options.userId - User the model usage is billed to (optional)
+ * @returns {Promise<Array<Object>>} Entities in order of appearance
+ */
+async function extractEntitiesWithFallback(text, options = {}) {
+  const entities = extractEntities(text, options);
+  const useLlm = options.useLlm ?? ENTITY_LLM_FALLBACK;
+
+  const missingTypes = ENTITY_LLM_TYPES.filter(type =>
+    (!options.types || options.types.includes(type)) && !entities.some(entity => entity.type === type));
+
+  if (!text || !useLlm || missingTypes.length === 0) {
+    return entities;
+  }
+
+  try {
+    // Required lazily: aiService depends on this module
+    const aiService = require('./aiService');
+    const response = await aiService.generateText(buildExtractionPrompt(text, missingTypes), {
+      model: ENTITY_LLM_MODEL,
+      maxTokens: 256,
+      userId: options.userId,
+      feature: FEATURES.ENTITY_EXTRACTION
+    });
+
+    acceptEntities(entities, parseExtractionReply(text, response.text, missingTypes));
+  } catch (error) {
+    console.warn('LLM entity extraction failed:', error.message);
+  }
+
+  return entities.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  extractEntities,
+  extractEntitiesWithFallback,
+  parseExtractionReply,
+  normalizePhone,
+  parseNumber
+};
@@ -0,0 +1,673 @@
+/**
+ * Handoff Service for AI Service
+ * Hands conversations from the bot to a human agent. Every inbound message
+ * is checked against the handoff triggers (see config/handoff.js); when one
+ * fires, a handoff is opened in the agent inbox and the conversation moves
+ * from `bot` to `waiting_for_agent`. The bot keeps answering until an agent
+ * takes the handoff (`agent`), after which its replies are suppressed and the
+ * customer's messages only go to the agent. The conversation returns to the
+ * bot when the agent releases it, or after HANDOFF_INACTIVITY_TIMEOUT seconds
+ * without agent activity.
+ *
+ * Only open handoffs are stored: a conversation without one is in the `bot`
+ * state. Handoffs are kept in Supabase when configured, in memory otherwise.
+ */
+const { createClient } = require('@supabase/supabase-js');
+const { v4: uuidv4 } = require('uuid');
+const { ApiError } = require('../middleware/errorHandler');
+const cacheService = require('./cacheService');
+const languageService = require('./languageService');
+const piiService = require('./piiService');
+const { loadHandoffConfig } = require('../config/handoff');
+
+// Environment variables
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+const HANDOFF_INACTIVITY_TIMEOUT = parseInt(process.env.HANDOFF_INACTIVITY_TIMEOUT || '1800'); // seconds
+const HANDOFF_TRANSCRIPT_SIZE = parseInt(process.env.HANDOFF_TRANSCRIPT_SIZE || '50');
+
+const HANDOFF_STATES = {
+  BOT: 'bot',
+  WAITING_FOR_AGENT: 'waiting_for_agent',
+  AGENT: 'agent'
+};
+
+const OPEN_STATES = [HANDOFF_STATES.WAITING_FOR_AGENT, HANDOFF_STATES.AGENT];
+
+const CLOSE_REASONS = {
+  RELEASED: 'released',
+  INACTIVITY: 'inactivity'
+};
+
+// In-memory handoffs kept (used when Supabase is not configured)
+const MAX_MEMORY_HANDOFFS = 1000;
+
+// Check if Supabase is configured
+const useSupabase = !!(SUPABASE_URL && SUPABASE_SERVICE_KEY);
+
+// Initialize Supabase client
+const supabase = useSupabase
+  ? createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY)
+  : null;
+
+// In-memory handoffs by ID
+const memoryHandoffs = new Map();
+
+// Triggers and notices
+const config = loadHandoffConfig();
+
+// --- Storage --- //
+
+/**
+ * Find the open handoff of a conversation
+ * @param {string} userId - Conversation user ID
+ * @param {string} sessionId - Session ID (optional)
+ * @returns {Promise<Object|null>} Handoff row or null
+ */
+async function findOpenHandoff(userId, sessionId = null) {
+  if (useSupabase) {
+    let query = supabase
+      .from('handoffs')
+      .select('*')
+      .eq('user_id', userId)
+      .in('state', OPEN_STATES)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    query = sessionId ? query.eq('session_id', sessionId) : query.is('session_id', null);
+
+    const { data, error } = await query;
+    if (error) {
+      throw error;
+    }
+    return data?.[0] || null;
+  }
+
+  for (const row of memoryHandoffs.values()) {
+    if (row.user_id === userId && row.session_id === (sessionId || null) && OPEN_STATES.includes(row.state)) {
+      return row;
+    }
+  }
+  return null;
+}
+
+/**
+ * Load a handoff by ID
+ * @param {string} handoffId - Handoff ID
+ * @returns {Promise<Object|null>} Handoff row or null
+ */
+async function loadHandoff(handoffId) {
+  if (useSupabase) {
+    const { data, error } = await supabase
+      .from('handoffs')
+      .select('*')
+      .eq('id', handoffId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    return data;
+  }
+
+  return memoryHandoffs.get(handoffId) || null;
+}
+
+/**
+ * Insert or update a handoff
+ * @param {Object} row - Handoff row
+ * @returns {Promise<Object>} Saved row
+ */
+async function saveHandoff(row) {
+  row.updated_at = new Date().toISOString();
+
+  if (useSupabase) {
+    const { error } = await supabase.from('handoffs').upsert(row);
+    if (error) {
+      throw error;
+    }
+    return row;
+  }
+
+  memoryHandoffs.set(row.id, row);
+
+  // 超出上限时丢弃最早关闭的转接记录
+  if (memoryHandoffs.size > MAX_MEMORY_HANDOFFS) {
+    const closed = [...memoryHandoffs.values()].find(handoff => !OPEN_STATES.includes(handoff.state));
+    if (closed) {
+      memoryHandoffs.delete(closed.id);
+    }
+  }
+  return row;
+}
+
+/**
+ * Query open handoffs
+ * @param {Object} filters - { tenantId, state, agentId, limit }
+ * @returns {Promise<Array<Object>>} Handoff rows
+ */
+async function queryOpenHandoffs({ tenantId, state, agentId, limit }) {
+  const states = state ? [state] : OPEN_STATES;
+
+  if (useSupabase) {
+    let query = supabase
+      .from('handoffs')
+      .select('*')
+      .in('state', states)
+      .order('priority', { ascending: false })
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (tenantId) query = query.eq('tenant_id', tenantId);
+    if (agentId) query = query.eq('agent_id', agentId);
+
+    const { data, error } = await query;
+    if (error) {
+      throw error;
+    }
+    return data || [];
+  }
+
+  return [...memoryHandoffs.values()]
+    .filter(row => states.includes(row.state) &&
+      (!tenantId || row.tenant_id === tenantId) &&
+      (!agentId || row.agent_id === agentId))
+    .sort((a, b) => b.priority - a.priority || a.created_at.localeCompare(b.created_at))
+    .slice(0, limit);
+}
+
+// --- Triggers --- //
+
+/**
+ * Check whether a message contains a keyword
+ * Latin keywords match whole words, other scripts (e.g. Chinese) any substring.
+ * @param {string} text - Message text
+ * @param {string} keyword - Keyword
+ * @returns {boolean} Whether the keyword is in the message
+ */
+function containsKeyword(text, keyword) {
+  if (/^[\x20-\x7E]+$/.test(keyword)) {
+    const escaped = keyword.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return new RegExp(`\\b${escaped}\\b`, 'i').test(text);
+  }
+  return text.includes(keyword);
+}
+
+/**
+ * Count consecutive low-confidence messages of a conversation
+ * @param {string} key - Conversation key
+ * @param {boolean} isLow - Whether this message's intent confidence is low
+ * @returns {Promise<number>} Consecutive low-confidence messages, including this one
+ */
+async function countLowConfidence(key, isLow) {
+  const cacheKey = `handoff:low_confidence:${key}`;
+
+  if (!isLow) {
+    await cacheService.set(cacheKey, '0', HANDOFF_INACTIVITY_TIMEOUT);
+    return 0;
+  }
+
+  const count = (parseInt(await cacheService.get(cacheKey)) || 0) + 1;
+  await cacheService.set(cacheKey, String(count), HANDOFF_INACTIVITY_TIMEOUT);
+  return count;
+}
+
+/**
+ * Evaluate the handoff triggers on a message
+ * @param {Object} message - Message { text, intentResult, analysis }
+ * @param {Object} options - Options
+ * @param {string} options.conversationKey - Key the low-confidence streak is counted under
+ * @param {Array<Object>} options.triggers - Triggers to evaluate (defaults to the configured ones)
+ * @returns {Promise<Array<Object>>} Reasons of the triggers that fired, e.g. { type: 'keyword', keyword: 'human' }
+ */
+async function evaluateTriggers(message, options = {}) {
+  const { text = '', intentResult = null, analysis = null } = message;
+  const { conversationKey = null, triggers = config.triggers } = options;
+  const reasons = [];
+
+  for (const trigger of triggers) {
+    switch (trigger.type) {
+      case 'intent':
+        if (intentResult?.intent && trigger.intents.includes(intentResult.intent)) {
+          reasons.push({ type: 'intent', intent: intentResult.intent });
+        }
+        break;
+      case 'low_confidence': {
+        if (!intentResult || typeof intentResult.confidence !== 'number') break;
+        const isLow = intentResult.confidence < trigger.threshold;
+        const streak = conversationKey ? await countLowConfidence(conversationKey, isLow) : (isLow ? 1 : 0);
+        if (streak >= trigger.consecutive) {
+          reasons.push({ type: 'low_confidence', confidence: intentResult.confidence, consecutive: streak });
+        }
+        break;
+      }
+      case 'sentiment': {
+        if (!analysis?.escalation?.escalate) break;
+        const matched = trigger.reasons.length > 0
+          ? analysis.escalation.reasons.filter(reason => trigger.reasons.includes(reason))
+          : analysis.escalation.reasons;
+        if (matched.length > 0) {
+          reasons.push({ type: 'sentiment', reasons: matched });
+        }
+        break;
+      }
+      case 'keyword': {
+        const keyword = trigger.keywords.find(candidate => containsKeyword(text, candidate));
+        if (keyword) {
+          reasons.push({ type: 'keyword', keyword });
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return reasons;
+}
+
+// --- Handoffs --- //
+
+/**
+ * Describe a handoff for API responses
+ * @param {Object} row - Handoff row
+ * @returns {Object|null} Handoff
+ */
+function formatHandoff(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    userId: row.user_id,
+    sessionId: row.session_id,
+    platform: row.platform,
+    state: row.state,
+    reasons: row.reasons || [],
+    priority: row.priority,
+    agentId: row.agent_id,
+    messages: row.messages || [],
+    createdAt: row.created_at,
+    assignedAt: row.assigned_at,
+    lastAgentActivityAt: row.last_agent_activity_at,
+    closedAt: row.closed_at,
+    closeReason: row.close_reason
+  };
+}
+
+/**
+ * Append a message to a handoff transcript (newest HANDOFF_TRANSCRIPT_SIZE kept)
+ * @param {Object} row - Handoff row
+ * @param {string} role - customer, bot or agent
+ * @param {string} text - Message text
+ * @param {Date} now - Current time
+ * @param {Object} extra - Extra fields, e.g. agentId or analysis (optional)
+ */
+function appendMessage(row, role, text, now, extra = {}) {
+  row.messages = [...(row.messages || []), { role, text: piiService.redactForStorage(text), timestamp: now.toISOString(), ...extra }]
+    .slice(-HANDOFF_TRANSCRIPT_SIZE);
+}
+
+/**
+ * Close a handoff, handing the conversation back to the bot
+ * @param {Object} row - Handoff row
+ * @param {string} reason - Close reason (see CLOSE_REASONS)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Closed row
+ */
+async function closeHandoff(row, reason, now) {
+  row.state = HANDOFF_STATES.BOT;
+  row.closed_at = now.toISOString();
+  row.close_reason = reason;
+  return saveHandoff(row);
+}
+
+/**
+ * Hand a conversation back to the bot when its agent has been inactive too long
+ * @param {Object} row - Handoff row
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} Whether the handoff was closed
+ */
+async function releaseIfInactive(row, now) {
+  if (row.state !== HANDOFF_STATES.AGENT) {
+    return false;
+  }
+
+  const lastActivity = new Date(row.last_agent_activity_at || row.assigned_at).getTime();
+  if (now.getTime() - lastActivity <= HANDOFF_INACTIVITY_TIMEOUT * 1000) {
+    return false;
+  }
+
+  await closeHandoff(row, CLOSE_REASONS.INACTIVITY, now);
+  return true;
+}
+
+/**
+ * Get the open handoff of a conversation
+ * Handoffs whose agent has been inactive too long are closed first.
+ * @param {string} userId - Conversation user ID
+ * @param {string} sessionId - Session ID (optional)
+ * @param {Date} now - Current time (optional)
+ * @returns {Promise<Object|null>} Handoff or null when the bot owns the conversation
+ */
+async function getActiveHandoff(userId, sessionId = null, now = new Date()) {
+  const row = await findOpenHandoff(userId, sessionId);
+
+  if (!row || await releaseIfInactive(row, now)) {
+    return null;
+  }
+  return formatHandoff(row);
+}
+
+/**
+ * Open a handoff for a conversation (or return the one already open)
+ * @param {Object} request - Handoff request
+ * @param {string} request.userId - Conversation user ID
+ * @param {string} request.sessionId - Session ID (optional)
+ * @param {string} request.tenantId - Business whose agents take the handoff
+ * @param {string} request.platform - Platform of the conversation (optional)
+ * @param {Array<Object>} request.reasons - Why the conversation is handed off
+ * @param {number} request.priority - Inbox priority, higher first (default 0)
+ * @param {string} request.text - Customer message that triggered it (optional)
+ * @param {Object} request.analysis - Scores of that message (optional)
+ * @param {Date} request.now - Current time (optional)
+ * @returns {Promise<Object>} Handoff
+ */
+async function requestHandoff(request) {
+  const { userId, sessionId = null, tenantId = null, platform = null, reasons = [], priority = 0, text, analysis, now = new Date() } = request;
+
+  if (!userId) {
+    throw new ApiError('User ID is required', 400);
+  }
+
+  const existing = await findOpenHandoff(userId, sessionId);
+  if (existing && !(await releaseIfInactive(existing, now))) {
+    return formatHandoff(existing);
+  }
+
+  const row = {
+    id: uuidv4(),
+    tenant_id: tenantId,
+    user_id: userId,
+    session_id: sessionId || null,
+    platform,
+    state: HANDOFF_STATES.WAITING_FOR_AGENT,
+    reasons,
+    priority,
+    agent_id: null,
+    messages: [],
+    created_at: now.toISOString(),
+    assigned_at: null,
+    last_agent_activity_at: null,
+    closed_at: null,
+    close_reason: null
+  };
+
+  if (text) {
+    appendMessage(row, 'customer', text, now, analysis ? { analysis } : {});
+  }
+
+  return formatHandoff(await saveHandoff(row));
+}
+
+/**
+ * Get the notice sent to the customer when a handoff starts
+ * @param {string} text - Customer message
+ * @returns {string} Notice in the customer's language
+ */
+function getNotice(text) {
+  const { language } = languageService.detectLanguage(text || '');
+  return config.notices[language] || config.notices.en;
+}
+
+/**
+ * Handle an inbound customer message
+ * Records it in the open handoff, or opens one when a trigger fires. While
+ * an agent owns the conversation the bot must not reply (suppressReply); when a
+ * handoff has just been opened the bot should send the notice instead of a reply.
+ * @param {Object} message - Inbound message
+ * @param {string} message.userId - Conversation user ID
+ * @param {string} message.sessionId - Session ID (optional)
+ * @param {string} message.tenantId - Business whose agents take handoffs
+ * @param {string} message.platform - Platform (optional)
+ * @param {string} message.text - Message text
+ * @param {Object} message.intentResult - Recognized intent { intent, confidence } (optional)
+ * @param {Object} message.analysis - sentimentService analysis (optional)
+ * @param {Date} message.now - Current time (optional)
+ * @returns {Promise<Object>} { state, handoff, triggered, suppressReply, notice }
+ */
+async function processInbound(message) {
+  const { userId, sessionId = null, tenantId = null, platform = null, text, intentResult = null, analysis = null, now = new Date() } = message;
+
+  const row = await findOpenHandoff(userId, sessionId);
+
+  if (row && !(await releaseIfInactive(row, now))) {
+    appendMessage(row, 'customer', text, now, analysis ? { analysis } : {});
+    await saveHandoff(row);
+
+    return {
+      state: row.state,
+      handoff: formatHandoff(row),
+      triggered: false,
+      suppressReply: row.state === HANDOFF_STATES.AGENT,
+      notice: null
+    };
+  }
+
+  const conversationKey = `${userId}:${sessionId || 'default'}`;
+  const reasons = await evaluateTriggers({ text, intentResult, analysis }, { conversationKey });
+
+  if (reasons.length === 0) {
+    return { state: HANDOFF_STATES.BOT, handoff: null, triggered: false, suppressReply: false, notice: null };
+  }
+
+  // 转接后重新计算低置信度的连续次数
+  await cacheService.set(`handoff:low_confidence:${conversationKey}`, '0', HANDOFF_INACTIVITY_TIMEOUT);
+
+  const handoff = await requestHandoff({
+    userId,
+    sessionId,
+    tenantId,
+    platform,
+    reasons,
+    // 紧急的对话排在收件箱前面
+    priority: analysis?.urgency?.score || 0,
+    text,
+    analysis,
+    now
+  });
+
+  const notice = getNotice(text);
+  await recordBotReply(handoff.id, notice);
+
+  return {
+    state: handoff.state,
+    handoff,
+    triggered: true,
+    suppressReply: false,
+    notice
+  };
+}
+
+/**
+ * Record a reply the bot sent in a conversation with an open handoff, so the
+ * agent sees the whole conversation
+ * Never throws: failures are logged.
+ * @param {string} handoffId - Handoff ID
+ * @param {string} text - Reply text
+ * @returns {Promise<void>}
+ */
+async function recordBotReply(handoffId, text) {
+  try {
+    const row = await loadHandoff(handoffId);
+
+    if (!row || !OPEN_STATES.includes(row.state) || !text) {
+      return;
+    }
+
+    appendMessage(row, 'bot', text, new Date());
+    await saveHandoff(row);
+  } catch (error) {
+    // 记录失败不影响回复
+    console.error('Error recording bot reply in handoff:', error);
+  }
+}
+
+/**
+ * Load an open handoff, checking it belongs to the tenant
+ * @param {string} handoffId - Handoff ID
+ * @param {string} tenantId - Tenant of the caller (omit for admins)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Handoff row
+ */
+async function loadOpenHandoff(handoffId, tenantId, now) {
+  const row = await loadHandoff(handoffId);
+
+  if (!row || (tenantId && row.tenant_id !== tenantId)) {
+    throw new ApiError('Handoff not found', 404);
+  }
+
+  if (!OPEN_STATES.includes(row.state) || await releaseIfInactive(row, now)) {
+    throw new ApiError('Handoff is closed, the bot owns the conversation again', 409);
+  }
+  return row;
+}
+
+/**
+ * Get a handoff
+ * @param {string} handoffId - Handoff ID
+ * @param {string} tenantId - Tenant of the caller (omit for admins)
+ * @returns {Promise<Object>} Handoff
+ */
+async function getHandoff(handoffId, tenantId = null) {
+  const row = await loadHandoff(handoffId);
+
+  if (!row || (tenantId && row.tenant_id !== tenantId)) {
+    throw new ApiError('Handoff not found', 404);
+  }
+
+  await releaseIfInactive(row, new Date());
+  return formatHandoff(row);
+}
+
+/**
+ * List the agent inbox: open handoffs, most urgent first, then oldest first
+ * @param {Object} filters - Filters
+ * @param {string} filters.tenantId - Only handoffs of this tenant
+ * @param {string} filters.state - Only waiting_for_agent or agent handoffs (optional)
+ * @param {string} filters.agentId - Only handoffs assigned to this agent (optional)
+ * @param {number} filters.limit - Maximum handoffs (default 50)
+ * @param {Date} filters.now - Current time (optional)
+ * @returns {Promise<Array<Object>>} Handoffs
+ */
+async function listQueue(filters = {}) {
+  const { tenantId, state, agentId, limit = 50, now = new Date() } = filters;
+
+  if (state && !OPEN_STATES.includes(state)) {
+    throw new ApiError(`Invalid state. Must be one of: ${OPEN_STATES.join(', ')}`, 400);
+  }
+
+  const rows = await queryOpenHandoffs({ tenantId, state, agentId, limit });
+  const open = [];
+
+  for (const row of rows) {
+    if (!(await releaseIfInactive(row, now))) {
+      open.push(formatHandoff(row));
+    }
+  }
+  return open;
+}
+
+/**
+ * Assign a handoff to an agent; the bot stops replying in the conversation
+ * Assigned handoffs can be reassigned to another agent.
+ * @param {string} handoffId - Handoff ID
+ * @param {string} agentId - Agent taking the conversation
+ * @param {Object} options - { tenantId, now }
+ * @returns {Promise<Object>} Handoff
+ */
+async function assignHandoff(handoffId, agentId, options = {}) {
+  const { tenantId = null, now = new Date() } = options;
+
+  if (!agentId) {
+    throw new ApiError('Agent ID is required', 400);
+  }
+
+  const row = await loadOpenHandoff(handoffId, tenantId, now);
+
+  row.state = HANDOFF_STATES.AGENT;
+  row.agent_id = agentId;
+  row.assigned_at = now.toISOString();
+  row.last_agent_activity_at = now.toISOString();
+
+  return formatHandoff(await saveHandoff(row));
+}
+
+/**
+ * Record a reply an agent sent in a handoff
+ * Replying to a waiting handoff assigns it to the agent. Delivering the reply
+ * to the customer's platform is up to the caller.
+ * @param {string} handoffId - Handoff ID
+ * @param {string} agentId - Agent replying
+ * @param {string} text - Reply text
+ * @param {Object} options - { tenantId, now }
+ * @returns {Promise<Object>} Handoff
+ */
+async function recordAgentReply(handoffId, agentId, text, options = {}) {
+  const { tenantId = null, now = new Date() } = options;
+
+  if (!agentId) {
+    throw new ApiError('Agent ID is required', 400);
+  }
+
+  if (!text) {
+    throw new ApiError('Reply text is required', 400);
+  }
+
+  const row = await loadOpenHandoff(handoffId, tenantId, now);
+
+  if (row.state === HANDOFF_STATES.AGENT && row.agent_id !== agentId) {
+    throw new ApiError('Handoff is assigned to another agent', 409);
+  }
+
+  if (row.state === HANDOFF_STATES.WAITING_FOR_AGENT) {
+    row.state = HANDOFF_STATES.AGENT;
+    row.agent_id = agentId;
+    row.assigned_at = now.toISOString();
+  }
+
+  row.last_agent_activity_at = now.toISOString();
+  appendMessage(row, 'agent', text, now, { agentId });
+
+  return formatHandoff(await saveHandoff(row));
+}
+
+/**
+ * Hand a conversation back to the bot
+ * @param {string} handoffId - Handoff ID
+ * @param {Object} options - { tenantId, now }
+ * @returns {Promise<Object>} Closed handoff
+ */
+async function releaseHandoff(handoffId, options = {}) {
+  const { tenantId = null, now = new Date() } = options;
+  const row = await loadOpenHandoff(handoffId, tenantId, now);
+
+  return formatHandoff(await closeHandoff(row, CLOSE_REASONS.RELEASED, now));
+}
+
+module.exports = {
+  HANDOFF_STATES,
+  CLOSE_REASONS,
+  evaluateTriggers,
+  getActiveHandoff,
+  requestHandoff,
+  processInbound,
+  recordBotReply,
+  getHandoff,
+  listQueue,
+  assignHandoff,
+  recordAgentReply,
+  releaseHandoff
+};
@@ -3,13 +3,15 @@
  * Manages intent recognition, mapping, and relationship graphs
  */
 const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
 const natural = require('natural');
-const { WordTokenizer, LogisticRegressionClassifier } = natural;
-const tokenizer = new WordTokenizer();
+const { LogisticRegressionClassifier } = natural;
 
 // Import other services
 const cacheService = require('./cacheService');
 const contextService = require('./contextService');
+const languageService = require('./languageService');
+const { ApiError } = require('../middleware/errorHandler');
 
 // Supabase client (for DB operations)
 const { createClient } = require('@supabase/supabase-js');
@@ -23,56 +25,82 @@ const supabase = useSupabase
 // Intent confidence threshold
 const INTENT_CONFIDENCE_THRESHOLD = parseFloat(process.env.INTENT_CONFIDENCE_THRESHOLD || '0.7');
 
+// Held-out evaluation settings used when a new model version is trained
+const INTENT_EVAL_TEST_RATIO = parseFloat(process.env.INTENT_EVAL_TEST_RATIO || '0.2');
+const INTENT_EVAL_SEED = parseInt(process.env.INTENT_EVAL_SEED || '42', 10);
+// Drop in macro F1 (compared with the active version) that counts as a regression
+const INTENT_REGRESSION_TOLERANCE = parseFloat(process.env.INTENT_REGRESSION_TOLERANCE || '0.02');
+
 // In-memory storage for intent models and relationship graphs
 const intentModels = {};
 const relationshipGraphs = {};
 
+// Minimum number of intents with examples in a language before it gets its own classifier
+const MIN_LANGUAGE_INTENTS = 2;
+
+// Part of the corpus hash, so stored classifiers are retrained when the tokenizer changes
+const CLASSIFIER_FORMAT = 'multilingual-1';
+
+// Training corpora per model ({ intent: [examples] }) and the active version of each model
+const trainingData = {};
+const activeVersions = {};
+
+// In-memory model versions (fallback when Supabase is not configured)
+const memoryModelVersions = {};
+
 /**
- * Intent categories and their predefined examples
- */
-const defaultIntents = {
-  'greeting': [
-    'hello', 'hi', 'hey', 'good morning', 'good afternoon', 'good evening',
-    '你好', '早上好', '下午好', '晚上好', '嗨'
-  ],
-  'farewell': [
-    'goodbye', 'bye', 'see you', 'see you later', 'talk to you later',
-    '再见', '拜拜', '下次见', '回头见'
-  ],
-  'thanks': [
-    'thank you', 'thanks', 'appreciate it', 'thank you very much',
-    '谢谢', '感谢', '多谢', '非常感谢'
-  ],
-  'help': [
-    'help', 'can you help me', 'i need help', 'assist me', 'support',
-    '帮助', '需要帮助', '帮帮我', '救命'
-  ],
-  'information': [
-    'what is', 'how does', 'tell me about', 'explain', 'describe',
-    '什么是', '怎么做', '告诉我关于', '解释', '描述'
-  ],
-  'booking': [
-    'book', 'reserve', 'make a reservation', 'schedule', 'appointment',
-    '预订', '预约', '安排', '约'
-  ],
-  'cancel': [
-    'cancel', 'stop', 'delete', 'remove', 'end',
-    '取消', '停止', '删除', '移除', '结束'
-  ],
-  'confirm': [
-    'confirm', 'yes', 'okay', 'sure', 'correct',
-    '确认', '是的', '好的', '没问题', '正确'
-  ],
-  'reject': [
-    'no', 'nope', 'not now', 'decline', 'reject',
-    '不', '不是', '现在不行', '拒绝'
-  ],
-  'clarification': [
-    'what do you mean', 'clarify', 'explain more', 'i don\'t understand',
-    '什么意思', '解释清楚', '我不明白', '无法理解'
-  ]
+ * Intent categories and their predefined examples per language
+ * (the Malay set includes code-switched phrasing common in Malaysian chats)
+ */
+const defaultIntentsByLanguage = {
+  en: {
+    'greeting': ['hello', 'hi', 'hey', 'good morning', 'good afternoon', 'good evening'],
+    'farewell': ['goodbye', 'bye', 'see you', 'see you later', 'talk to you later'],
+    'thanks': ['thank you', 'thanks', 'appreciate it', 'thank you very much'],
+    'help': ['help', 'can you help me', 'i need help', 'assist me', 'support'],
+    'information': ['what is', 'how does', 'tell me about', 'explain', 'describe'],
+    'booking': ['book', 'reserve', 'make a reservation', 'schedule', 'appointment'],
+    'cancel': ['cancel', 'stop', 'delete', 'remove', 'end'],
+    'confirm': ['confirm', 'yes', 'okay', 'sure', 'correct'],
+    'reject': ['no', 'nope', 'not now', 'decline', 'reject'],
+    'clarification': ['what do you mean', 'clarify', 'explain more', 'i don\'t understand']
+  },
+  zh: {
+    'greeting': ['你好', '早上好', '下午好', '晚上好', '嗨'],
+    'farewell': ['再见', '拜拜', '下次见', '回头见'],
+    'thanks': ['谢谢', '感谢', '多谢', '非常感谢'],
+    'help': ['帮助', '需要帮助', '帮帮我', '救命'],
+    'information': ['什么是', '怎么做', '告诉我关于', '解释', '描述'],
+    'booking': ['预订', '预约', '安排', '约'],
+    'cancel': ['取消', '停止', '删除', '移除', '结束'],
+    'confirm': ['确认', '是的', '好的', '没问题', '正确'],
+    'reject': ['不', '不是', '现在不行', '拒绝'],
+    'clarification': ['什么意思', '解释清楚', '我不明白', '无法理解']
+  },
+  ms: {
+    'greeting': ['hai', 'helo', 'selamat pagi', 'selamat petang', 'selamat malam', 'assalamualaikum'],
+    'farewell': ['selamat tinggal', 'jumpa lagi', 'jumpa nanti', 'selamat jalan', 'bye dulu'],
+    'thanks': ['terima kasih', 'terima kasih banyak', 'ribuan terima kasih', 'tq'],
+    'help': ['tolong', 'tolong saya', 'boleh bantu saya', 'saya perlukan bantuan', 'minta tolong'],
+    'information': ['apa itu', 'bagaimana', 'beritahu saya tentang', 'terangkan', 'maklumat tentang'],
+    'booking': ['tempah', 'nak buat tempahan', 'buat temujanji', 'saya nak tempah slot', 'ada slot kosong', 'nak book appointment'],
+    'cancel': ['batal', 'batalkan tempahan', 'nak batalkan', 'hentikan', 'padam', 'nak cancel booking'],
+    'confirm': ['ya', 'betul', 'baik', 'okey', 'setuju', 'boleh'],
+    'reject': ['tidak', 'tak nak', 'bukan', 'taknak', 'tolak', 'tak boleh'],
+    'clarification': ['apa maksud', 'tak faham', 'saya tidak faham', 'boleh terangkan lagi', 'maksudnya apa']
+  }
 };
 
+/**
+ * Intent categories and their predefined examples in all languages
+ */
+const defaultIntents = {};
+for (const examplesByIntent of Object.values(defaultIntentsByLanguage)) {
+  for (const [intent, examples] of Object.entries(examplesByIntent)) {
+    defaultIntents[intent] = [...(defaultIntents[intent] || []), ...examples];
+  }
+}
+
 /**
  * Default intent relationships (parent-child and related intents)
  */
@@ -132,21 +160,14 @@ async function initialize() {
  * @returns {Promise<void>}
  */
 async function initializeDefaultIntents() {
-  // Build classifier with default intents
-  const classifier = new LogisticRegressionClassifier();
-  
-  // Add training data for each intent
+  // Build the training corpus from the default intents
+  trainingData['default'] = {};
   for (const [intent, examples] of Object.entries(defaultIntents)) {
-    examples.forEach(example => {
-      classifier.addDocument(example, intent);
-    });
+    trainingData['default'][intent] = [...examples];
   }
   
-  // Train the classifier
-  classifier.train();
-  
-  // Store the classifier
-  intentModels['default'] = classifier;
+  // Restore the stored classifier or train a first version
+  await loadOrTrainModel('default');
   
   // Initialize relationship graph
   relationshipGraphs['default'] = defaultRelationships;
@@ -191,8 +212,6 @@ async function loadIntentsFromDB() {
     
     // Build classifiers for each model
     for (const [modelId, modelIntents] of Object.entries(intentsByModel)) {
-      const classifier = new LogisticRegressionClassifier();
-      
       // Load training examples for each intent
       const { data: examples, error: examplesError } = await supabase
         .from('intent_examples')
@@ -213,19 +232,18 @@ async function loadIntentsFromDB() {
         examplesByIntent[example.intent_id].push(example.text);
       });
       
-      // Add documents to classifier
+      // Build the training corpus of the model
+      const corpus = {};
       modelIntents.forEach(intent => {
         const intentExamples = examplesByIntent[intent.id] || [];
-        intentExamples.forEach(example => {
-          classifier.addDocument(example, intent.name);
-        });
+        if (intentExamples.length > 0) {
+          corpus[intent.name] = [...(corpus[intent.name] || []), ...intentExamples];
+        }
       });
+      trainingData[modelId] = corpus;
       
-      // Train the classifier
-      classifier.train();
-      
-      // Store the classifier
-      intentModels[modelId] = classifier;
+      // Restore the stored classifier or train a new version
+      await loadOrTrainModel(modelId);
     }
   } catch (error) {
     console.error('Error in loadIntentsFromDB:', error);
@@ -404,6 +422,577 @@ async function seedDefaultRelationshipsToDB() {
   }
 }
 
+/**
+ * Build and train a classifier from a training corpus
+ * @param {Object} corpus - Examples by intent { intent: [examples] }
+ * @returns {LogisticRegressionClassifier} Trained classifier
+ */
+function buildClassifier(corpus) {
+  const classifier = new LogisticRegressionClassifier(languageService.multilingualStemmer);
+  
+  for (const [intent, examples] of Object.entries(corpus)) {
+    examples.forEach(example => {
+      classifier.addDocument(example, intent);
+    });
+  }
+  
+  classifier.train();
+  return classifier;
+}
+
+/**
+ * Split a corpus into per-language example sets by detecting the language of each
+ * example. Code-switched examples are only used by the combined classifier.
+ * @param {Object} corpus - Examples by intent
+ * @returns {Object} { language: { intent: [examples] } }
+ */
+function splitCorpusByLanguage(corpus) {
+  const corpora = {};
+  
+  for (const [intent, examples] of Object.entries(corpus)) {
+    examples.forEach(example => {
+      const { language, isCodeSwitched } = languageService.detectLanguage(example);
+      if (!language || isCodeSwitched) {
+        return;
+      }
+      
+      corpora[language] = corpora[language] || {};
+      corpora[language][intent] = [...(corpora[language][intent] || []), example];
+    });
+  }
+  
+  return corpora;
+}
+
+/**
+ * Build an intent model: a combined classifier trained on every example (used for
+ * code-switched messages and as fallback) and a classifier per language
+ * @param {Object} corpus - Examples by intent
+ * @returns {Object} { all, languages: { language: classifier } }
+ */
+function buildModel(corpus) {
+  const languages = {};
+  
+  for (const [language, languageCorpus] of Object.entries(splitCorpusByLanguage(corpus))) {
+    if (Object.keys(languageCorpus).length >= MIN_LANGUAGE_INTENTS) {
+      languages[language] = buildClassifier(languageCorpus);
+    }
+  }
+  
+  return { all: buildClassifier(corpus), languages };
+}
+
+/**
+ * Classify text with the classifier matching its language.
+ * Single-language messages use their language's classifier when it is confident
+ * enough; code-switched messages and the rest use the combined classifier.
+ * @param {Object} model - Intent model from buildModel
+ * @param {string} text - Input text
+ * @param {Object} detection - Result of languageService.detectLanguage
+ * @returns {Object} { classifications, classifier } where classifier is the language or 'all'
+ */
+function classifyWithModel(model, text, detection) {
+  const languageClassifier = detection.language && !detection.isCodeSwitched
+    ? model.languages[detection.language]
+    : null;
+  
+  if (languageClassifier) {
+    const classifications = languageClassifier.getClassifications(text);
+    const best = Math.max(0, ...classifications.map(c => c.value));
+    if (best >= INTENT_CONFIDENCE_THRESHOLD) {
+      return { classifications, classifier: detection.language };
+    }
+  }
+  
+  return { classifications: model.all.getClassifications(text), classifier: 'all' };
+}
+
+/**
+ * Serialize a trained classifier to a plain object
+ * @param {LogisticRegressionClassifier} classifier - Trained classifier
+ * @returns {Object} Serialized classifier
+ */
+function serializeClassifier(classifier) {
+  // The stemmer and event listeners are restored from code, not stored
+  const { _events, _eventsCount, stemmer, ...data } = JSON.parse(JSON.stringify(classifier));
+  return data;
+}
+
+/**
+ * Restore a classifier serialized with serializeClassifier
+ * @param {Object} data - Serialized classifier
+ * @returns {LogisticRegressionClassifier} Classifier ready for classification
+ */
+function restoreClassifier(data) {
+  return LogisticRegressionClassifier.restore(JSON.parse(JSON.stringify(data)), languageService.multilingualStemmer);
+}
+
+/**
+ * Serialize an intent model
+ * @param {Object} model - Intent model from buildModel
+ * @returns {Object} { all, languages } of serialized classifiers
+ */
+function serializeModel(model) {
+  const languages = {};
+  for (const [language, classifier] of Object.entries(model.languages)) {
+    languages[language] = serializeClassifier(classifier);
+  }
+  return { all: serializeClassifier(model.all), languages };
+}
+
+/**
+ * Restore an intent model serialized with serializeModel
+ * (versions stored before per-language classifiers hold a single classifier)
+ * @param {Object} data - Serialized model
+ * @returns {Object} Intent model
+ */
+function restoreModel(data) {
+  if (!data.all) {
+    return { all: restoreClassifier(data), languages: {} };
+  }
+  
+  const languages = {};
+  for (const [language, classifier] of Object.entries(data.languages || {})) {
+    languages[language] = restoreClassifier(classifier);
+  }
+  return { all: restoreClassifier(data.all), languages };
+}
+
+/**
+ * Hash a training corpus, to detect examples added since a version was trained
+ * @param {Object} corpus - Examples by intent
+ * @returns {string} Corpus hash
+ */
+function hashCorpus(corpus) {
+  const normalized = Object.keys(corpus).sort().map(intent => [intent, [...corpus[intent]].sort()]);
+  return crypto.createHash('sha1').update(JSON.stringify([CLASSIFIER_FORMAT, normalized])).digest('hex');
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Split a corpus into training examples and a stratified held-out set.
+ * Intents with a single example are only used for training.
+ * @param {Object} corpus - Examples by intent
+ * @param {number} testRatio - Share of each intent's examples held out
+ * @param {number} seed - Seed of the shuffle, so evaluations are reproducible
+ * @returns {Object} { train: { intent: [examples] }, test: [{ text, intent }] }
+ */
+function splitCorpus(corpus, testRatio = INTENT_EVAL_TEST_RATIO, seed = INTENT_EVAL_SEED) {
+  const random = createRandom(seed);
+  const train = {};
+  const test = [];
+  
+  for (const intent of Object.keys(corpus).sort()) {
+    const examples = [...new Set(corpus[intent])];
+    
+    // Fisher-Yates shuffle
+    for (let i = examples.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [examples[i], examples[j]] = [examples[j], examples[i]];
+    }
+    
+    const testCount = Math.min(Math.round(examples.length * testRatio), examples.length - 1);
+    examples.slice(0, Math.max(testCount, 0)).forEach(text => test.push({ text, intent }));
+    train[intent] = examples.slice(Math.max(testCount, 0));
+  }
+  
+  return { train, test };
+}
+
+/**
+ * Evaluate a classifier on labelled examples
+ * @param {LogisticRegressionClassifier} classifier - Trained classifier
+ * @param {Array<Object>} testSet - Examples [{ text, intent }]
+ * @returns {Object|null} Accuracy, macro averages, per-intent precision/recall/F1 and the
+ *   confusion matrix (rows are expected intents, columns predicted intents); null without examples
+ */
+function evaluateClassifier(classifier, testSet) {
+  if (!testSet || testSet.length === 0) {
+    return null;
+  }
+  
+  const predictions = testSet.map(({ text, intent }) => {
+    let predicted = null;
+    try {
+      predicted = classifier.classify(text.toLowerCase());
+    } catch (error) {
+      console.error('Error classifying evaluation example:', error);
+    }
+    return { expected: intent, predicted: predicted || 'none' };
+  });
+  
+  const labels = [...new Set(predictions.flatMap(p => [p.expected, p.predicted]))].sort();
+  const index = Object.fromEntries(labels.map((label, i) => [label, i]));
+  const matrix = labels.map(() => labels.map(() => 0));
+  predictions.forEach(p => {
+    matrix[index[p.expected]][index[p.predicted]]++;
+  });
+  
+  const round = value => Math.round(value * 10000) / 10000;
+  const perIntent = {};
+  const expectedLabels = [...new Set(testSet.map(example => example.intent))].sort();
+  
+  expectedLabels.forEach(label => {
+    const i = index[label];
+    const truePositives = matrix[i][i];
+    const predictedCount = matrix.reduce((sum, row) => sum + row[i], 0);
+    const support = matrix[i].reduce((sum, count) => sum + count, 0);
+    const precision = predictedCount > 0 ? truePositives / predictedCount : 0;
+    const recall = support > 0 ? truePositives / support : 0;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+    
+    perIntent[label] = { precision: round(precision), recall: round(recall), f1: round(f1), support };
+  });
+  
+  const average = key => expectedLabels.reduce((sum, label) => sum + perIntent[label][key], 0) / expectedLabels.length;
+  const correct = predictions.filter(p => p.expected === p.predicted).length;
+  
+  // Accuracy per detected language of the examples
+  const byLanguage = {};
+  testSet.forEach(({ text }, i) => {
+    const language = languageService.detectLanguage(text);
+    const key = language.isCodeSwitched ? 'mixed' : (language.language || 'unknown');
+    byLanguage[key] = byLanguage[key] || { testCount: 0, correct: 0 };
+    byLanguage[key].testCount++;
+    if (predictions[i].expected === predictions[i].predicted) {
+      byLanguage[key].correct++;
+    }
+  });
+  for (const stats of Object.values(byLanguage)) {
+    stats.accuracy = round(stats.correct / stats.testCount);
+    delete stats.correct;
+  }
+  
+  return {
+    testCount: testSet.length,
+    accuracy: round(correct / testSet.length),
+    macroPrecision: round(average('precision')),
+    macroRecall: round(average('recall')),
+    macroF1: round(average('f1')),
+    perIntent,
+    byLanguage,
+    confusionMatrix: { labels, matrix }
+  };
+}
+
+/**
+ * Get the label with the highest confidence
+ * @param {Array<Object>} classifications - Classifications [{ label, value }]
+ * @returns {string|null} Label
+ */
+function topClassification(classifications) {
+  let best = null;
+  classifications.forEach(classification => {
+    if (!best || classification.value > best.value) {
+      best = classification;
+    }
+  });
+  return best ? best.label : null;
+}
+
+/**
+ * Map a model version DB row to a version record
+ * @param {Object} row - intent_model_versions row
+ * @returns {Object} Version record
+ */
+function mapVersionRow(row) {
+  return {
+    modelId: row.model_id,
+    version: row.version,
+    classifier: row.classifier,
+    metrics: row.metrics,
+    exampleCount: row.example_count,
+    intentCount: row.intent_count,
+    corpusHash: row.corpus_hash,
+    isActive: row.is_active,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Get the stored versions of a model, newest first
+ * @param {string} modelId - Intent model ID
+ * @param {boolean} withClassifier - Whether to include the serialized classifiers
+ * @returns {Promise<Array<Object>>} Version records
+ */
+async function getStoredVersions(modelId, withClassifier = false) {
+  if (useSupabase) {
+    const columns = 'model_id, version, metrics, example_count, intent_count, corpus_hash, is_active, created_at';
+    const { data, error } = await supabase
+      .from('intent_model_versions')
+      .select(withClassifier ? `${columns}, classifier` : columns)
+      .eq('model_id', modelId)
+      .order('version', { ascending: false });
+    
+    if (error) {
+      throw error;
+    }
+    
+    return (data || []).map(mapVersionRow);
+  }
+  
+  return [...(memoryModelVersions[modelId] || [])]
+    .sort((a, b) => b.version - a.version)
+    .map(record => (withClassifier ? { ...record } : { ...record, classifier: undefined }));
+}
+
+/**
+ * Store a new model version
+ * @param {Object} record - Version record
+ * @returns {Promise<void>}
+ */
+async function storeModelVersion(record) {
+  if (useSupabase) {
+    const { error } = await supabase
+      .from('intent_model_versions')
+      .insert({
+        model_id: record.modelId,
+        version: record.version,
+        classifier: record.classifier,
+        metrics: record.metrics,
+        example_count: record.exampleCount,
+        intent_count: record.intentCount,
+        corpus_hash: record.corpusHash,
+        is_active: false,
+        created_at: record.createdAt
+      });
+    
+    if (error) {
+      throw error;
+    }
+    return;
+  }
+  
+  memoryModelVersions[record.modelId] = [...(memoryModelVersions[record.modelId] || []), { ...record, isActive: false }];
+}
+
+/**
+ * Mark a stored version as the active version of its model
+ * @param {string} modelId - Intent model ID
+ * @param {number} version - Version number
+ * @returns {Promise<void>}
+ */
+async function markVersionActive(modelId, version) {
+  if (useSupabase) {
+    const { error: resetError } = await supabase
+      .from('intent_model_versions')
+      .update({ is_active: false })
+      .eq('model_id', modelId)
+      .neq('version', version);
+    
+    if (resetError) {
+      throw resetError;
+    }
+    
+    const { error } = await supabase
+      .from('intent_model_versions')
+      .update({ is_active: true })
+      .eq('model_id', modelId)
+      .eq('version', version);
+    
+    if (error) {
+      throw error;
+    }
+    return;
+  }
+  
+  (memoryModelVersions[modelId] || []).forEach(record => {
+    record.isActive = record.version === version;
+  });
+}
+
+/**
+ * Restore the active stored version of a model, or train a new version when none is
+ * stored or examples were added since the newest version was trained. A version that
+ * was rolled back to stays active until the next training run.
+ * @param {string} modelId - Intent model ID
+ * @returns {Promise<void>}
+ */
+async function loadOrTrainModel(modelId) {
+  const corpus = trainingData[modelId] || {};
+  
+  try {
+    const versions = await getStoredVersions(modelId, true);
+    const active = versions.find(record => record.isActive);
+    const isCurrent = active && (active !== versions[0] || active.corpusHash === hashCorpus(corpus));
+    
+    if (isCurrent) {
+      intentModels[modelId] = restoreModel(active.classifier);
+      activeVersions[modelId] = active.version;
+      return;
+    }
+  } catch (error) {
+    console.error(`Error loading stored versions of intent model ${modelId}:`, error);
+  }
+  
+  await trainModelVersion(modelId);
+}
+
+/**
+ * Train, evaluate and store a new version of a model from its training corpus.
+ * The held-out evaluation trains a separate classifier on the remaining examples; the
+ * stored classifier is trained on all examples.
+ * @param {string} modelId - Intent model ID
+ * @param {Object} options - Training options
+ * @param {number} options.testRatio - Share of each intent's examples held out for evaluation
+ * @param {number} options.seed - Seed of the train/test split
+ * @param {boolean} options.rollbackOnRegression - Keep the current version active if the new one regresses
+ * @returns {Promise<Object>} Training report { modelId, version, active, metrics, previousVersion, comparison, regressed }
+ */
+async function trainModelVersion(modelId, options = {}) {
+  const {
+    testRatio = INTENT_EVAL_TEST_RATIO,
+    seed = INTENT_EVAL_SEED,
+    rollbackOnRegression = false
+  } = options;
+  const corpus = trainingData[modelId] || {};
+  
+  // Held-out evaluation, choosing the classifier per example as recognizeIntent does
+  const { train, test } = splitCorpus(corpus, testRatio, seed);
+  const candidate = buildModel(train);
+  const metrics = evaluateClassifier({
+    classify: text => topClassification(classifyWithModel(candidate, text, languageService.detectLanguage(text)).classifications)
+  }, test);
+  
+  // Final model on all examples
+  const model = buildModel(corpus);
+  
+  let versions = [];
+  try {
+    versions = await getStoredVersions(modelId);
+  } catch (error) {
+    console.error(`Error loading stored versions of intent model ${modelId}:`, error);
+  }
+  
+  const previous = versions.find(record => record.version === activeVersions[modelId]) || null;
+  const comparison = previous && previous.metrics && metrics
+    ? {
+      accuracyDelta: Math.round((metrics.accuracy - previous.metrics.accuracy) * 10000) / 10000,
+      macroF1Delta: Math.round((metrics.macroF1 - previous.metrics.macroF1) * 10000) / 10000
+    }
+    : null;
+  const regressed = !!comparison && comparison.macroF1Delta < -INTENT_REGRESSION_TOLERANCE;
+  
+  const record = {
+    modelId,
+    version: (versions[0]?.version || 0) + 1,
+    classifier: serializeModel(model),
+    metrics,
+    exampleCount: Object.values(corpus).reduce((sum, examples) => sum + examples.length, 0),
+    intentCount: Object.keys(corpus).length,
+    corpusHash: hashCorpus(corpus),
+    createdAt: new Date().toISOString()
+  };
+  
+  let stored = true;
+  try {
+    await storeModelVersion(record);
+  } catch (error) {
+    // Keep serving the new classifier from memory
+    console.error(`Error storing intent model ${modelId} version ${record.version}:`, error);
+    stored = false;
+  }
+  
+  const activate = !(regressed && rollbackOnRegression);
+  if (activate) {
+    intentModels[modelId] = model;
+    activeVersions[modelId] = record.version;
+    
+    if (stored) {
+      try {
+        await markVersionActive(modelId, record.version);
+      } catch (error) {
+        console.error(`Error activating intent model ${modelId} version ${record.version}:`, error);
+      }
+    }
+  } else {
+    console.warn(`Intent model ${modelId} version ${record.version} regressed; keeping version ${previous.version} active`);
+  }
+  
+  return {
+    modelId,
+    version: record.version,
+    active: activate,
+    exampleCount: record.exampleCount,
+    intentCount: record.intentCount,
+    metrics,
+    previousVersion: previous ? previous.version : null,
+    comparison,
+    regressed
+  };
+}
+
+/**
+ * List the stored versions of a model
+ * @param {string} modelId - Intent model ID
+ * @returns {Promise<Object>} { modelId, activeVersion, versions }
+ */
+async function listModelVersions(modelId = 'default') {
+  const versions = await getStoredVersions(modelId);
+  
+  return {
+    modelId,
+    activeVersion: activeVersions[modelId] || null,
+    versions: versions.map(({ classifier, corpusHash, ...record }) => ({
+      ...record,
+      isActive: record.version === activeVersions[modelId]
+    }))
+  };
+}
+
+/**
+ * Roll a model back (or forward) to a stored version
+ * @param {string} modelId - Intent model ID
+ * @param {number} version - Version to activate; defaults to the version before the active one
+ * @returns {Promise<Object>} { modelId, version, previousVersion, metrics }
+ * @throws {ApiError} 404 when the model or version does not exist
+ */
+async function rollbackModel(modelId = 'default', version = null) {
+  const versions = await getStoredVersions(modelId, true);
+  const activeVersion = activeVersions[modelId];
+  
+  if (versions.length === 0) {
+    throw new ApiError(`Intent model ${modelId} has no stored versions`, 404);
+  }
+  
+  const target = version
+    ? versions.find(record => record.version === Number(version))
+    : versions.find(record => record.version < activeVersion);
+  
+  if (!target) {
+    throw new ApiError(
+      version ? `Version ${version} of intent model ${modelId} not found` : `Intent model ${modelId} has no earlier version`,
+      404
+    );
+  }
+  
+  intentModels[modelId] = restoreModel(target.classifier);
+  activeVersions[modelId] = target.version;
+  await markVersionActive(modelId, target.version);
+  
+  return {
+    modelId,
+    version: target.version,
+    previousVersion: activeVersion || null,
+    metrics: target.metrics
+  };
+}
+
 /**
  * Recognize intent from text
  * @param {string} text - Input text
@@ -422,22 +1011,27 @@ async function recognizeIntent(text, modelId = 'default', context = null) {
     }
   }
   
-  // Get classifier
-  const classifier = intentModels[modelId];
+  // Get model (combined and per-language classifiers)
+  const model = intentModels[modelId];
   
-  // Get cached intent if available
-  const cacheKey = `intent:${modelId}:${text.toLowerCase().trim()}`;
+  // Get cached intent if available (per model version, so retraining and rollbacks take effect)
+  const modelVersion = activeVersions[modelId] || null;
+  const cacheKey = `intent:${modelId}:${modelVersion || 0}:${text.toLowerCase().trim()}`;
   const cachedIntent = await cacheService.get(cacheKey);
   if (cachedIntent) {
     return JSON.parse(cachedIntent);
   }
   
-  // Process text and get classifications
-  const tokens = tokenizer.tokenize(text.toLowerCase());
+  // Detect the language(s) and pick the matching classifier
+  const detection = languageService.detectLanguage(text);
+  const tokens = languageService.tokenize(text, detection.language);
   let classifications = [];
+  let classifierUsed = null;
   
   try {
-    classifications = classifier.getClassifications(text.toLowerCase());
+    const classified = classifyWithModel(model, text, detection);
+    classifications = classified.classifications;
+    classifierUsed = classified.classifier;
   } catch (error) {
     console.error('Error getting classifications:', error);
     classifications = [];
@@ -473,7 +1067,13 @@ async function recognizeIntent(text, modelId = 'default', context = null) {
     confidence: highestConfidence,
     allIntents: classifications.map(c => ({ intent: c.label, confidence: c.value })),
     originalText: text,
-    tokens: tokens
+    tokens: tokens,
+    language: detection.language,
+    languages: detection.languages,
+    isCodeSwitched: detection.isCodeSwitched,
+    classifier: classifierUsed,
+    modelId,
+    modelVersion
   };
   
   // Cache the result
@@ -574,13 +1174,15 @@ function getRelatedIntents(intent, modelId = 'default') {
 }
 
 /**
- * Train intent with new examples
- * @param {string} intent - Intent name
+ * Train intent with new examples and store the retrained model as a new version.
+ * Without an intent the model is retrained (and evaluated) on its current examples.
+ * @param {string|null} intent - Intent name
  * @param {Array} examples - New examples
  * @param {string} modelId - Intent model ID
- * @returns {Promise<boolean>} Success status
+ * @param {Object} options - Training options (see trainModelVersion)
+ * @returns {Promise<Object|false>} Training report, or false on failure
  */
-async function trainIntent(intent, examples, modelId = 'default') {
+async function trainIntent(intent, examples = [], modelId = 'default', options = {}) {
   try {
     // Ensure model exists
     if (!intentModels[modelId]) {
@@ -592,23 +1194,18 @@ async function trainIntent(intent, examples, modelId = 'default') {
       }
     }
     
-    // Get classifier
-    const classifier = intentModels[modelId];
-    
-    // Add new examples
-    examples.forEach(example => {
-      classifier.addDocument(example, intent);
-    });
-    
-    // Retrain the classifier
-    classifier.train();
-    
-    // Update database if using Supabase
-    if (useSupabase) {
-      await storeIntentExamples(intent, examples, modelId);
+    // Add new examples to the training corpus
+    if (intent && examples.length > 0) {
+      const corpus = trainingData[modelId] || (trainingData[modelId] = {});
+      corpus[intent] = [...(corpus[intent] || []), ...examples];
+      
+      // Update database if using Supabase
+      if (useSupabase) {
+        await storeIntentExamples(intent, examples, modelId);
+      }
     }
     
-    return true;
+    return await trainModelVersion(modelId, options);
   } catch (error) {
     console.error('Error training intent:', error);
     return false;
@@ -801,5 +1398,10 @@ module.exports = {
   getRelatedIntents,
   trainIntent,
   createIntentRelationship,
-  defaultIntents
+  listModelVersions,
+  rollbackModel,
+  evaluateClassifier,
+  splitCorpus,
+  defaultIntents,
+  defaultIntentsByLanguage
 }; 
\ No newline at end of file
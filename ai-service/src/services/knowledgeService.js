@@ -0,0 +1,696 @@
+/**
+ * Knowledge Service for AI Service
+ * Business knowledge base (prices, opening hours, delivery...) used to ground
+ * AI answers. Sources are parsed, split into chunks and embedded per tenant;
+ * search returns the passages most relevant to a message with their citation.
+ *
+ * Supported source types:
+ * - pdf: PDF document (uploaded as base64)
+ * - markdown: Markdown document, split by headings
+ * - text: Plain text
+ * - qa_csv: CSV with question and answer columns, one chunk per row
+ * - services: Rows of the services table (name, price, duration, description)
+ */
+const { createClient } = require('@supabase/supabase-js');
+const { v4: uuidv4 } = require('uuid');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { ApiError } = require('../middleware/errorHandler');
+const embeddingService = require('./embeddingService');
+const vectorStore = require('./vectorStore');
+const cacheService = require('./cacheService');
+
+// Environment variables
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+const KNOWLEDGE_CHUNK_SIZE = parseInt(process.env.KNOWLEDGE_CHUNK_SIZE || '800');
+const KNOWLEDGE_CHUNK_OVERLAP = getChunkOverlap(parseInt(process.env.KNOWLEDGE_CHUNK_OVERLAP || '100'));
+const KNOWLEDGE_TOP_K = parseInt(process.env.KNOWLEDGE_TOP_K || '4');
+const KNOWLEDGE_MIN_SCORE = parseFloat(process.env.KNOWLEDGE_MIN_SCORE || '0.35');
+
+const SOURCE_TYPES = {
+  PDF: 'pdf',
+  MARKDOWN: 'markdown',
+  TEXT: 'text',
+  QA_CSV: 'qa_csv',
+  SERVICES: 'services'
+};
+
+const SOURCE_STATUS = {
+  PENDING: 'pending',
+  INDEXING: 'indexing',
+  READY: 'ready',
+  FAILED: 'failed'
+};
+
+// Chunks embedded per embedding API call
+const EMBEDDING_BATCH_SIZE = 64;
+
+// Check if Supabase is configured
+const useSupabase = !!(SUPABASE_URL && SUPABASE_SERVICE_KEY);
+
+// Initialize Supabase client
+const supabase = useSupabase
+  ? createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY)
+  : null;
+
+// In-memory source store (used when Supabase is not configured)
+const memorySources = {};
+
+/**
+ * Get the vector store namespace of a tenant's knowledge base
+ * @param {string} tenantId - Tenant (business user) ID
+ * @returns {string} Namespace
+ */
+function getNamespace(tenantId) {
+  return `kb:${tenantId}`;
+}
+
+/**
+ * Map a knowledge_sources row to a source object
+ * @param {Object} row - Database row
+ * @returns {Object} Source
+ */
+function fromRow(row) {
+  return {
+    id: row.id,
+    tenantId: row.tenant_id,
+    name: row.name,
+    type: row.type,
+    status: row.status,
+    content: row.content,
+    rows: row.rows,
+    chunkCount: row.chunk_count,
+    error: row.error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    indexedAt: row.indexed_at
+  };
+}
+
+/**
+ * Map a source object to a knowledge_sources row
+ * @param {Object} source - Source
+ * @returns {Object} Database row
+ */
+function toRow(source) {
+  return {
+    id: source.id,
+    tenant_id: source.tenantId,
+    name: source.name,
+    type: source.type,
+    status: source.status,
+    content: source.content,
+    rows: source.rows,
+    chunk_count: source.chunkCount,
+    error: source.error,
+    created_at: source.createdAt,
+    updated_at: source.updatedAt,
+    indexed_at: source.indexedAt
+  };
+}
+
+/**
+ * Leave the (potentially large) content out of a source
+ * @param {Object} source - Source
+ * @returns {Object} Source summary
+ */
+function summarizeSource(source) {
+  const { content, rows, ...summary } = source;
+  return {
+    ...summary,
+    rowCount: Array.isArray(rows) ? rows.length : undefined
+  };
+}
+
+/**
+ * Save a source
+ * @param {Object} source - Source
+ * @returns {Promise<Object>} Saved source
+ */
+async function saveSource(source) {
+  source.updatedAt = new Date().toISOString();
+
+  if (useSupabase) {
+    const { error } = await supabase
+      .from('knowledge_sources')
+      .upsert(toRow(source));
+
+    if (error) {
+      throw error;
+    }
+  } else {
+    memorySources[source.id] = { ...source };
+  }
+
+  return source;
+}
+
+/**
+ * List the knowledge sources of a tenant (without content)
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<Array<Object>>} Sources, newest first
+ */
+async function listSources(tenantId) {
+  let sources;
+
+  if (useSupabase) {
+    const { data, error } = await supabase
+      .from('knowledge_sources')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+    sources = (data || []).map(fromRow);
+  } else {
+    sources = Object.values(memorySources)
+      .filter(source => source.tenantId === tenantId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  return sources.map(summarizeSource);
+}
+
+/**
+ * Get a knowledge source
+ * @param {string} tenantId - Tenant ID
+ * @param {string} sourceId - Source ID
+ * @returns {Promise<Object>} Source
+ * @throws {ApiError} 404 when the source does not exist
+ */
+async function getSource(tenantId, sourceId) {
+  let source = null;
+
+  if (useSupabase) {
+    const { data, error } = await supabase
+      .from('knowledge_sources')
+      .select('*')
+      .eq('id', sourceId)
+      .eq('tenant_id', tenantId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    source = data ? fromRow(data) : null;
+  } else if (memorySources[sourceId]?.tenantId === tenantId) {
+    source = { ...memorySources[sourceId] };
+  }
+
+  if (!source) {
+    throw new ApiError('Knowledge source not found', 404);
+  }
+
+  return source;
+}
+
+/**
+ * Validate source input and extract its text
+ * PDFs are converted to text once, so re-indexing does not need the file.
+ * @param {string} type - Source type
+ * @param {Object} input - Source input
+ * @param {string} input.content - Text content (markdown, text, qa_csv)
+ * @param {string} input.contentBase64 - File content (pdf)
+ * @param {Array<Object>} input.rows - Services table rows (services)
+ * @returns {Promise<Object>} { content, rows }
+ * @throws {ApiError} 400 when the input is invalid
+ */
+async function prepareContent(type, input) {
+  if (type === SOURCE_TYPES.SERVICES) {
+    if (!Array.isArray(input.rows) || input.rows.length === 0) {
+      throw new ApiError('rows must be a non-empty array of services', 400);
+    }
+    return { content: null, rows: input.rows };
+  }
+
+  if (type === SOURCE_TYPES.PDF) {
+    if (!input.contentBase64) {
+      throw new ApiError('contentBase64 is required for PDF sources', 400);
+    }
+
+    try {
+      const pdf = await pdfParse(Buffer.from(input.contentBase64, 'base64'));
+      return { content: pdf.text, rows: null };
+    } catch (error) {
+      throw new ApiError(`Could not read PDF: ${error.message}`, 400);
+    }
+  }
+
+  if (typeof input.content !== 'string' || !input.content.trim()) {
+    throw new ApiError('content is required', 400);
+  }
+
+  if (type === SOURCE_TYPES.QA_CSV && parseQaCsv(input.content).length === 0) {
+    throw new ApiError('CSV must have question and answer columns and at least one row', 400);
+  }
+
+  return { content: input.content, rows: null };
+}
+
+/**
+ * Create a knowledge source and schedule its indexing
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} data - Source data { name, type, content, contentBase64, rows }
+ * @returns {Promise<Object>} Created source (status pending)
+ * @throws {ApiError} 400 when the source is invalid
+ */
+async function createSource(tenantId, data) {
+  const { name, type } = data;
+
+  if (!name) {
+    throw new ApiError('Source name is required', 400);
+  }
+
+  if (!Object.values(SOURCE_TYPES).includes(type)) {
+    throw new ApiError(`Source type must be one of: ${Object.values(SOURCE_TYPES).join(', ')}`, 400);
+  }
+
+  const { content, rows } = await prepareContent(type, data);
+  const now = new Date().toISOString();
+
+  const source = await saveSource({
+    id: uuidv4(),
+    tenantId,
+    name,
+    type,
+    status: SOURCE_STATUS.PENDING,
+    content,
+    rows,
+    chunkCount: 0,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    indexedAt: null
+  });
+
+  await scheduleReindex(tenantId, source.id);
+
+  return summarizeSource(source);
+}
+
+/**
+ * Update a knowledge source, re-indexing it when its content changes
+ * @param {string} tenantId - Tenant ID
+ * @param {string} sourceId - Source ID
+ * @param {Object} data - Changes { name, content, contentBase64, rows }
+ * @returns {Promise<Object>} Updated source
+ */
+async function updateSource(tenantId, sourceId, data) {
+  const source = await getSource(tenantId, sourceId);
+  const contentChanged = data.content !== undefined
+    || data.contentBase64 !== undefined
+    || data.rows !== undefined;
+
+  if (data.name) {
+    source.name = data.name;
+  }
+
+  if (contentChanged) {
+    Object.assign(source, await prepareContent(source.type, data));
+    source.status = SOURCE_STATUS.PENDING;
+  }
+
+  await saveSource(source);
+
+  if (contentChanged) {
+    await scheduleReindex(tenantId, sourceId);
+  }
+
+  return summarizeSource(source);
+}
+
+/**
+ * Delete a knowledge source and its chunks
+ * @param {string} tenantId - Tenant ID
+ * @param {string} sourceId - Source ID
+ * @returns {Promise<void>}
+ */
+async function deleteSource(tenantId, sourceId) {
+  const source = await getSource(tenantId, sourceId);
+
+  await vectorStore.remove(getNamespace(tenantId), getChunkIds(source));
+  await cacheService.invalidateSemantic(tenantId);
+
+  if (useSupabase) {
+    const { error } = await supabase
+      .from('knowledge_sources')
+      .delete()
+      .eq('id', sourceId)
+      .eq('tenant_id', tenantId);
+
+    if (error) {
+      throw error;
+    }
+  } else {
+    delete memorySources[sourceId];
+  }
+}
+
+/**
+ * Get the vector ids of the chunks currently indexed for a source
+ * @param {Object} source - Source
+ * @returns {Array<string>} Chunk ids
+ */
+function getChunkIds(source) {
+  return Array.from({ length: source.chunkCount || 0 }, (_, index) => `${source.id}:${index}`);
+}
+
+/**
+ * Parse a CSV document (RFC 4180 quoting)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * Parse a Q&A CSV (header row with question and answer columns)
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Pairs { question, answer }
+ */
+function parseQaCsv(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\ufeff/, ''));
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  const questionIndex = columns.findIndex(name => ['question', 'q'].includes(name));
+  const answerIndex = columns.findIndex(name => ['answer', 'a'].includes(name));
+
+  if (questionIndex === -1 || answerIndex === -1) return [];
+
+  return rows
+    .map(fields => ({
+      question: (fields[questionIndex] || '').trim(),
+      answer: (fields[answerIndex] || '').trim()
+    }))
+    .filter(pair => pair.question && pair.answer);
+}
+
+/**
+ * Split Markdown into sections at headings
+ * @param {string} text - Markdown text
+ * @returns {Array<Object>} Sections { title, text }
+ */
+function splitMarkdown(text) {
+  const sections = [];
+  let current = { title: null, lines: [] };
+
+  for (const line of text.split(/\r?\n/)) {
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    if (heading) {
+      sections.push(current);
+      current = { title: heading[1].trim(), lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+
+  return sections
+    .map(section => ({ title: section.title, text: section.lines.join('\n').trim() }))
+    .filter(section => section.text);
+}
+
+/**
+ * Validate the chunk overlap: chunks advance by size - overlap characters,
+ * so an overlap that is not smaller than the chunk size would never finish
+ * @param {number} overlap - Configured overlap
+ * @returns {number} Overlap to use
+ */
+function getChunkOverlap(overlap) {
+  if (!(overlap >= 0 && overlap < KNOWLEDGE_CHUNK_SIZE)) {
+    console.warn(`KNOWLEDGE_CHUNK_OVERLAP must be between 0 and KNOWLEDGE_CHUNK_SIZE (${KNOWLEDGE_CHUNK_SIZE}), chunks will not overlap`);
+    return 0;
+  }
+  return overlap;
+}
+
+/**
+ * Split text into overlapping chunks of about KNOWLEDGE_CHUNK_SIZE characters,
+ * breaking at paragraph and sentence boundaries where possible
+ * @param {string} text - Text
+ * @returns {Array<string>} Chunks
+ */
+function chunkText(text) {
+  const sentences = text
+    .split(/\n\s*\n/)
+    .flatMap(paragraph => paragraph.match(/[^.!?。！？]+[.!?。！？]*\s*/g) || [])
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  const chunks = [];
+  let current = '';
+
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length + 1 > KNOWLEDGE_CHUNK_SIZE) {
+      chunks.push(current);
+      // Carry the end of the previous chunk over so facts spanning the break stay retrievable
+      current = KNOWLEDGE_CHUNK_OVERLAP > 0 ? current.slice(-KNOWLEDGE_CHUNK_OVERLAP) : '';
+    }
+
+    // Hard-split sentences longer than a chunk, continuing from the pending text so chunks stay in order
+    let rest = sentence;
+    if (rest.length > KNOWLEDGE_CHUNK_SIZE) {
+      rest = current ? `${current} ${rest}` : rest;
+      current = '';
+
+      while (rest.length > KNOWLEDGE_CHUNK_SIZE) {
+        chunks.push(rest.slice(0, KNOWLEDGE_CHUNK_SIZE));
+        rest = rest.slice(KNOWLEDGE_CHUNK_SIZE - KNOWLEDGE_CHUNK_OVERLAP);
+      }
+    }
+
+    current = current ? `${current} ${rest}` : rest;
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+/**
+ * Format a services table row as text
+ * @param {Object} service - Service row
+ * @returns {string} Text
+ */
+function formatService(service) {
+  const lines = [`Service: ${service.name}`];
+  if (service.price !== undefined && service.price !== null) lines.push(`Price: ${service.price}`);
+  if (service.duration) lines.push(`Duration: ${service.duration} minutes`);
+  if (service.description) lines.push(`Description: ${service.description}`);
+  return lines.join('\n');
+}
+
+/**
+ * Split a source into chunks
+ * @param {Object} source - Source
+ * @returns {Array<Object>} Chunks { title, content }
+ */
+function buildChunks(source) {
+  switch (source.type) {
+    case SOURCE_TYPES.QA_CSV:
+      return parseQaCsv(source.content).map(pair => ({
+        title: pair.question,
+        content: `Q: ${pair.question}\nA: ${pair.answer}`
+      }));
+    case SOURCE_TYPES.SERVICES:
+      return source.rows
+        .filter(service => service && service.name)
+        .map(service => ({ title: service.name, content: formatService(service) }));
+    case SOURCE_TYPES.MARKDOWN:
+      return splitMarkdown(source.content).flatMap(section =>
+        chunkText(section.text).map(content => ({
+          title: section.title,
+          // Keep the heading with the text so it is embedded too
+          content: section.title ? `${section.title}\n${content}` : content
+        }))
+      );
+    default:
+      return chunkText(source.content || '').map(content => ({ title: null, content }));
+  }
+}
+
+/**
+ * Parse, chunk and embed a source, replacing its previous chunks
+ * @param {string} tenantId - Tenant ID
+ * @param {string} sourceId - Source ID
+ * @returns {Promise<Object>} Indexed source
+ */
+async function indexSource(tenantId, sourceId) {
+  const source = await getSource(tenantId, sourceId);
+  const namespace = getNamespace(tenantId);
+  const previousChunkIds = getChunkIds(source);
+
+  source.status = SOURCE_STATUS.INDEXING;
+  source.error = null;
+  await saveSource(source);
+
+  try {
+    const chunks = buildChunks(source);
+    const documents = [];
+
+    for (let start = 0; start < chunks.length; start += EMBEDDING_BATCH_SIZE) {
+      const batch = chunks.slice(start, start + EMBEDDING_BATCH_SIZE);
+      const embeddings = await embeddingService.embedBatch(batch.map(chunk => chunk.content));
+
+      batch.forEach((chunk, offset) => {
+        const chunkIndex = start + offset;
+        documents.push({
+          id: `${source.id}:${chunkIndex}`,
+          content: chunk.content,
+          embedding: embeddings[offset],
+          metadata: {
+            sourceId: source.id,
+            sourceName: source.name,
+            sourceType: source.type,
+            title: chunk.title,
+            chunkIndex
+          }
+        });
+      });
+    }
+
+    await vectorStore.remove(namespace, previousChunkIds);
+    await vectorStore.upsert(namespace, documents);
+    // 缓存的回复可能引用了旧内容
+    await cacheService.invalidateSemantic(tenantId);
+
+    source.status = SOURCE_STATUS.READY;
+    source.chunkCount = documents.length;
+    source.indexedAt = new Date().toISOString();
+  } catch (error) {
+    console.error(`Error indexing knowledge source ${sourceId}:`, error);
+    source.status = SOURCE_STATUS.FAILED;
+    source.error = error.message;
+  }
+
+  await saveSource(source);
+  return summarizeSource(source);
+}
+
+/**
+ * Schedule the (re-)indexing of a source
+ * Runs as a knowledge.reindex job when the message queue is enabled,
+ * otherwise in the background of this process.
+ * @param {string} tenantId - Tenant ID
+ * @param {string} sourceId - Source ID
+ * @returns {Promise<void>}
+ */
+async function scheduleReindex(tenantId, sourceId) {
+  if (process.env.ENABLE_MESSAGE_QUEUE === 'true') {
+    const messageQueue = require('./messageQueue');
+    const queued = await messageQueue.sendMessage('knowledge.reindex', { tenantId, sourceId });
+    if (queued) {
+      return;
+    }
+  }
+
+  indexSource(tenantId, sourceId).catch(error => {
+    console.error(`Error re-indexing knowledge source ${sourceId}:`, error);
+  });
+}
+
+/**
+ * Schedule the re-indexing of every source of a tenant
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<Array<Object>>} Sources scheduled
+ */
+async function reindexTenant(tenantId) {
+  const sources = await listSources(tenantId);
+
+  for (const source of sources) {
+    await scheduleReindex(tenantId, source.id);
+  }
+
+  return sources;
+}
+
+/**
+ * Find the knowledge passages most relevant to a query
+ * @param {string} tenantId - Tenant ID
+ * @param {string} query - Query (usually the customer's message)
+ * @param {Object} options - Search options
+ * @param {number} options.topK - Maximum number of passages
+ * @param {number} options.minScore - Minimum cosine similarity
+ * @returns {Promise<Array<Object>>} Passages { citation, id, sourceId, sourceName, sourceType, title, content, score }
+ */
+async function search(tenantId, query, options = {}) {
+  const { topK = KNOWLEDGE_TOP_K, minScore = KNOWLEDGE_MIN_SCORE } = options;
+
+  if (!tenantId || !query) {
+    return [];
+  }
+
+  const embedding = await embeddingService.embed(query);
+  const matches = await vectorStore.query(getNamespace(tenantId), embedding, { topK, minScore });
+
+  return matches.map((match, index) => ({
+    citation: index + 1,
+    id: match.id,
+    sourceId: match.metadata.sourceId,
+    sourceName: match.metadata.sourceName,
+    sourceType: match.metadata.sourceType,
+    title: match.metadata.title || null,
+    content: match.content,
+    score: match.score
+  }));
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  SOURCE_STATUS,
+  listSources,
+  getSource,
+  createSource,
+  updateSource,
+  deleteSource,
+  indexSource,
+  reindexTenant,
+  scheduleReindex,
+  search,
+  chunkText,
+  parseQaCsv
+};
@@ -0,0 +1,225 @@
+/**
+ * Language service for the AI Service
+ * Detects English, Chinese and Malay (including code-switched messages) and
+ * provides the language-aware tokenizer used by the intent classifiers
+ */
+const natural = require('natural');
+const { PorterStemmer, StemmerId } = natural;
+
+// Languages with their own intent example sets and classifiers
+const SUPPORTED_LANGUAGES = ['en', 'zh', 'ms'];
+
+// ISO 639-3 codes (as returned by franc and used by the routing policy)
+const ISO_639_3 = {
+  en: 'eng',
+  zh: 'cmn',
+  ms: 'zlm'
+};
+
+// franc codes of the supported languages; Indonesian is close enough to Malay to count as Malay
+const FRANC_LANGUAGES = {
+  eng: 'en',
+  cmn: 'zh',
+  zlm: 'ms',
+  zsm: 'ms',
+  msa: 'ms',
+  ind: 'ms'
+};
+
+// Minimum length before franc is trusted over the word lists
+const FRANC_MIN_LENGTH = 24;
+
+// Chinese/Japanese/Korean characters
+const CJK_PATTERN = /[\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF]/;
+const CJK_PATTERN_GLOBAL = /[\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF]/g;
+
+/**
+ * Common Malay words, including the informal spellings used in chat (nak, tak, x, dgn)
+ */
+const MALAY_WORDS = new Set([
+  'saya', 'aku', 'awak', 'anda', 'kamu', 'dia', 'kami', 'kita', 'mereka', 'encik', 'cik', 'puan', 'tuan',
+  'nak', 'hendak', 'mahu', 'mau', 'ingin', 'boleh', 'bolehkah', 'tak', 'tidak', 'x', 'tiada', 'takde', 'bukan',
+  'ada', 'adakah', 'sudah', 'dah', 'belum', 'blm', 'akan', 'sedang', 'tengah', 'masih', 'juga', 'jugak',
+  'ini', 'itu', 'sini', 'situ', 'mana', 'bila', 'apa', 'apakah', 'siapa', 'kenapa', 'mengapa', 'bagaimana', 'macam', 'camne',
+  'berapa', 'harga', 'bayar', 'bayaran', 'duit', 'murah', 'mahal', 'percuma', 'diskaun',
+  'dan', 'atau', 'tapi', 'tetapi', 'dengan', 'dgn', 'untuk', 'utk', 'dari', 'daripada', 'ke', 'di', 'pada', 'dalam', 'yang', 'yg',
+  'lah', 'kah', 'pun', 'je', 'saja', 'sahaja', 'kan', 'tu', 'ni', 'la', 'lagi', 'sangat', 'sikit', 'banyak',
+  'hari', 'esok', 'lusa', 'semalam', 'minggu', 'bulan', 'pagi', 'tengahari', 'petang', 'malam', 'pukul', 'jam', 'masa', 'waktu',
+  'isnin', 'selasa', 'rabu', 'khamis', 'jumaat', 'sabtu', 'ahad',
+  'selamat', 'terima', 'kasih', 'tq', 'ribuan', 'jumpa', 'tinggal', 'jalan', 'salam', 'assalamualaikum', 'hai', 'helo',
+  'nanti', 'dulu', 'tentang', 'perlu', 'perlukan',
+  'tolong', 'bantu', 'bantuan', 'minta', 'mohon', 'faham', 'maksud', 'terangkan', 'jelaskan', 'maklumat', 'beritahu',
+  'tempah', 'tempahan', 'buat', 'temujanji', 'janji', 'jadual', 'slot', 'kosong', 'penuh',
+  'batal', 'batalkan', 'pembatalan', 'hentikan', 'padam', 'buang', 'tukar', 'ubah',
+  'ya', 'yaa', 'betul', 'baik', 'okey', 'setuju', 'sah', 'sahkan', 'tidaklah', 'taknak', 'tolak', 'jangan',
+  'rambut', 'potong', 'kuku', 'muka', 'urut', 'rawatan', 'kedai', 'alamat', 'buka', 'tutup', 'hantar', 'penghantaran'
+]);
+
+/**
+ * Common English words (function words and customer-service vocabulary)
+ */
+const ENGLISH_WORDS = new Set([
+  'i', 'me', 'my', 'you', 'your', 'we', 'our', 'he', 'she', 'it', 'they', 'them',
+  'the', 'a', 'an', 'this', 'that', 'these', 'those', 'is', 'are', 'was', 'were', 'be', 'been', 'am',
+  'do', 'does', 'did', 'have', 'has', 'had', 'can', 'could', 'will', 'would', 'should', 'may', 'want', 'need', 'like',
+  'and', 'or', 'but', 'with', 'for', 'from', 'to', 'of', 'in', 'on', 'at', 'by', 'about',
+  'what', 'when', 'where', 'who', 'why', 'how', 'which', 'much', 'many',
+  'not', 'no', 'yes', 'please', 'thanks', 'thank', 'hello', 'hi', 'hey', 'bye', 'goodbye', 'good', 'morning', 'evening',
+  'book', 'booking', 'appointment', 'reserve', 'reservation', 'schedule', 'cancel', 'price', 'cost', 'help',
+  'today', 'tomorrow', 'tonight', 'time', 'slot', 'available', 'confirm', 'okay', 'ok', 'sure'
+]);
+
+/**
+ * Split text into word-like segments (CJK runs are segmented by the ICU dictionary)
+ * @param {string} text - Input text
+ * @returns {Array<string>} Lowercased words
+ */
+function segmentWords(text) {
+  if (!text) {
+    return [];
+  }
+
+  const segmenter = new Intl.Segmenter('zh', { granularity: 'word' });
+  const words = [];
+
+  for (const { segment, isWordLike } of segmenter.segment(text.toLowerCase())) {
+    if (isWordLike) {
+      words.push(segment);
+    }
+  }
+
+  return words;
+}
+
+/**
+ * Detect the language of longer text with franc
+ * franc is an ES module; it is loaded on first use so environments that cannot
+ * load it (e.g. the jest CommonJS runtime) still detect from the word lists.
+ * @param {string} text - Input text
+ * @returns {string|null} ISO 639-3 code or null
+ */
+function detectWithFranc(text) {
+  try {
+    // require() returns the module namespace
+    const { franc } = require('franc');
+    return franc(text, { only: Object.keys(FRANC_LANGUAGES) });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Detect the language(s) of a message
+ * Short messages are classified from their script and the word lists; longer
+ * single-language Latin text falls back to franc.
+ * @param {string} text - Input text
+ * @returns {Object} { language, iso6393, languages, isCodeSwitched, shares }
+ */
+function detectLanguage(text) {
+  const counts = { en: 0, zh: 0, ms: 0 };
+  let unknownLatin = 0;
+
+  segmentWords(text).forEach(word => {
+    if (CJK_PATTERN.test(word)) {
+      counts.zh += (word.match(CJK_PATTERN_GLOBAL) || []).length;
+    } else if (MALAY_WORDS.has(word)) {
+      counts.ms++;
+    } else if (ENGLISH_WORDS.has(word)) {
+      counts.en++;
+    } else if (/[a-z]/.test(word)) {
+      unknownLatin++;
+    }
+  });
+
+  // Longer Latin text without known words
+  if (counts.en === 0 && counts.ms === 0 && unknownLatin > 0 && text.length >= FRANC_MIN_LENGTH) {
+    const detected = FRANC_LANGUAGES[detectWithFranc(text)];
+    if (detected && detected !== 'zh') {
+      counts[detected] += unknownLatin;
+      unknownLatin = 0;
+    }
+  }
+
+  // Unknown Latin words follow the Latin language of the message, English by default
+  if (unknownLatin > 0) {
+    counts[counts.ms > counts.en ? 'ms' : 'en'] += unknownLatin;
+  }
+
+  const total = counts.en + counts.zh + counts.ms;
+  if (total === 0) {
+    return { language: null, iso6393: null, languages: [], isCodeSwitched: false, shares: {} };
+  }
+
+  const shares = {};
+  SUPPORTED_LANGUAGES.forEach(language => {
+    if (counts[language] > 0) {
+      shares[language] = Math.round((counts[language] / total) * 100) / 100;
+    }
+  });
+
+  const languages = Object.keys(shares).sort((a, b) => shares[b] - shares[a]);
+
+  return {
+    language: languages[0],
+    iso6393: ISO_639_3[languages[0]],
+    languages,
+    isCodeSwitched: languages.length > 1,
+    shares
+  };
+}
+
+/**
+ * Stem a Latin word in the given language
+ * @param {string} word - Lowercased word
+ * @param {string} language - Language of the message
+ * @returns {string} Stem
+ */
+function stemWord(word, language) {
+  if (MALAY_WORDS.has(word) || (language === 'ms' && !ENGLISH_WORDS.has(word))) {
+    return StemmerId.stem(word);
+  }
+  return PorterStemmer.stem(word);
+}
+
+/**
+ * Tokenize and stem text for classification
+ * Latin words are stemmed as Malay or English; CJK words are kept whole and split
+ * into characters, so a single-character example (约) still matches longer words (预约).
+ * @param {string} text - Input text
+ * @param {string} language - Language of the message (detected when omitted)
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(text, language = null) {
+  const messageLanguage = language || detectLanguage(text).language;
+  const tokens = [];
+
+  segmentWords(text).forEach(word => {
+    if (CJK_PATTERN.test(word)) {
+      tokens.push(word);
+      const chars = Array.from(word);
+      if (chars.length > 1) {
+        chars.forEach(char => tokens.push(char));
+      }
+    } else {
+      tokens.push(stemWord(word, messageLanguage));
+    }
+  });
+
+  return tokens;
+}
+
+/**
+ * Stemmer for natural classifiers (classifier.addDocument/classify call tokenizeAndStem)
+ */
+const multilingualStemmer = {
+  tokenizeAndStem: (text) => tokenize(text),
+  stem: (word) => stemWord(word.toLowerCase(), null)
+};
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  ISO_639_3,
+  detectLanguage,
+  tokenize,
+  multilingualStemmer
+};
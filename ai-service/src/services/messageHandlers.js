@@ -0,0 +1,140 @@
+/**
+ * Message queue consumers of the AI Service
+ * Handlers return the reply of a request; errors are retried and then
+ * dead-lettered by the messaging layer, so handlers do not ack or nack.
+ */
+const aiService = require('./aiService');
+const intentService = require('./intentService');
+const knowledgeService = require('./knowledgeService');
+
+/**
+ * Reply to a caller that named its reply queue in the message body
+ * Callers that use request() get the handler's return value instead.
+ * @param {Object} queue - Message queue service
+ * @param {Object} data - Message
+ * @param {Object} context - Message context
+ * @param {Object} reply - Reply
+ * @returns {Promise<void>}
+ */
+async function sendLegacyReply(queue, data, context, reply) {
+  if (data.replyTo && !context.replyTo) {
+    await queue.sendMessage(data.replyTo, { ...reply, requestId: data.requestId }, {
+      idempotencyKey: `${context.idempotencyKey}:reply`
+    });
+  }
+}
+
+/**
+ * Handle an ai.request message: a chat message or an intent recognition request
+ * @param {Object} queue - Message queue service
+ * @param {Object} logger - Logger instance
+ * @param {Object} data - Request
+ * @param {Object} context - Message context
+ * @returns {Promise<Object>} Reply
+ */
+async function handleAiRequest(queue, logger, data, context) {
+  logger.debug(`Received ai.request message: ${data.type} (attempt ${context.attempt})`);
+
+  let reply;
+  if (data.type === 'message') {
+    // Process a chat message
+    const response = await aiService.processMessage({
+      text: data.text,
+      userId: data.userId,
+      sessionId: data.sessionId,
+      platform: data.platform,
+      context: data.context,
+      plan: data.plan,
+      feature: data.feature,
+      tenantId: data.tenantId,
+      authToken: data.authToken,
+      services: data.services,
+      products: data.products
+    });
+
+    reply = {
+      type: 'response',
+      messageId: response.messageId,
+      text: response.text,
+      intent: response.intent,
+      citations: response.citations,
+      toolCalls: response.toolCalls,
+      pendingAction: response.pendingAction,
+      entities: response.entities,
+      analysis: response.analysis,
+      dialog: response.dialog,
+      handoff: response.handoff,
+      suppressed: !!response.suppressed
+    };
+  } else {
+    // Process an intent recognition request
+    const intentResult = await intentService.recognizeIntent(
+      data.text,
+      data.modelId || 'default',
+      data.context
+    );
+
+    reply = {
+      type: 'intent_result',
+      intent: intentResult.intent,
+      confidence: intentResult.confidence,
+      allIntents: intentResult.allIntents
+    };
+  }
+
+  await sendLegacyReply(queue, data, context, reply);
+  return reply;
+}
+
+/**
+ * Set up message queue consumers for various message types
+ * @param {Object} queue - Message queue service
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Array<Object>>} Consumers
+ */
+async function registerMessageHandlers(queue, logger) {
+  return Promise.all([
+    // AI request handler
+    queue.consumeMessages('ai.request', (data, context) => handleAiRequest(queue, logger, data, context)),
+
+    // Feedback handler
+    queue.consumeMessages('ai.feedback', async (feedback) => {
+      logger.debug(`Received feedback for message ${feedback.messageId}`);
+
+      await aiService.recordFeedback(
+        feedback.messageId,
+        feedback.userId,
+        feedback.rating,
+        feedback.comment
+      );
+    }),
+
+    // Intent training handler
+    queue.consumeMessages('ai.train_intent', async (training, context) => {
+      logger.debug(`Received intent training for ${training.intent}`);
+
+      const success = await intentService.trainIntent(
+        training.intent,
+        training.examples,
+        training.modelId || 'default'
+      );
+
+      const reply = { type: 'training_result', intent: training.intent, success };
+      await sendLegacyReply(queue, training, context, reply);
+      return reply;
+    }),
+
+    // Knowledge base re-index handler
+    queue.consumeMessages('knowledge.reindex', async (job) => {
+      logger.debug(`Received knowledge re-index for source ${job.sourceId}`);
+
+      const source = await knowledgeService.indexSource(job.tenantId, job.sourceId);
+      logger.info(`Knowledge source ${job.sourceId} indexed: ${source.status}, ${source.chunkCount} chunks`);
+      return { sourceId: job.sourceId, status: source.status, chunkCount: source.chunkCount };
+    })
+  ]);
+}
+
+module.exports = {
+  registerMessageHandlers
+};
@@ -1,39 +1,57 @@
 /**
  * Message queue service for the AI Service
- * Handles asynchronous communication between services
+ * Handles asynchronous communication between services, on the shared
+ * messaging layer (@ibuddy2/messaging): request/reply, retries with
+ * dead-letter queues, idempotency and message schemas.
  */
-const amqp = require('amqplib');
+const { createMessageBus, createTransport, MESSAGE_SCHEMAS } = require('@ibuddy2/messaging');
 
 // Environment variables
 const RABBITMQ_URL = process.env.RABBITMQ_URL || 'amqp://localhost:5672';
-const QUEUE_NAME = process.env.RABBITMQ_QUEUE_NAME || 'ai-service-queue';
+const MESSAGE_TRANSPORT = process.env.MESSAGE_TRANSPORT || 'amqp';
+const MQ_EXCHANGE = process.env.MQ_EXCHANGE || 'ibuddy';
+const MQ_MAX_ATTEMPTS = parseInt(process.env.MQ_MAX_ATTEMPTS || '5');
+const MQ_RETRY_DELAY = parseInt(process.env.MQ_RETRY_DELAY || '1000');
+const MQ_REQUEST_TIMEOUT = parseInt(process.env.MQ_REQUEST_TIMEOUT || '30000');
 
-// Connection and channel
-let connection = null;
-let channel = null;
+// Message bus, created on first use
+let bus = null;
+
+/**
+ * Get the message bus
+ * @returns {Object} Message bus
+ */
+function getBus() {
+  if (!bus) {
+    bus = createMessageBus({
+      transport: createTransport({ type: MESSAGE_TRANSPORT, url: RABBITMQ_URL }),
+      serviceName: 'ai-service',
+      exchange: MQ_EXCHANGE,
+      schemas: MESSAGE_SCHEMAS,
+      retry: { maxAttempts: MQ_MAX_ATTEMPTS, baseDelay: MQ_RETRY_DELAY },
+      requestTimeout: MQ_REQUEST_TIMEOUT
+    });
+  }
+  return bus;
+}
+
+/**
+ * Use another message bus (e.g. one on the in-memory transport in tests)
+ * @param {Object} messageBus - Message bus
+ */
+function setBus(messageBus) {
+  bus = messageBus;
+}
 
 /**
  * Initialize the message queue
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} Message bus
  */
 async function initialize() {
   try {
-    // Connect to RabbitMQ server
-    connection = await amqp.connect(RABBITMQ_URL);
-    
-    // Create a channel
-    channel = await connection.createChannel();
-    
-    // Create common queues
-    await Promise.all([
-      channel.assertQueue('ai.request', { durable: true }),
-      channel.assertQueue('ai.response', { durable: true }),
-      channel.assertQueue('ai.feedback', { durable: true })
-    ]);
-    
+    await getBus().connect();
     console.log('Message queue initialized');
-    
-    return { connection, channel };
+    return bus;
   } catch (error) {
     console.error('Failed to initialize message queue', error);
     throw error;
@@ -45,80 +63,51 @@ async function initialize() {
  * @returns {Promise<boolean>} Whether the connection is active
  */
 async function checkConnection() {
-  if (!connection || !channel) {
-    return false;
-  }
-  
-  return true;
+  return !!bus && bus.isConnected();
 }
 
 /**
  * Send a message to a queue
  * @param {string} queueName - The queue name
  * @param {Object} message - The message to send
+ * @param {Object} options - Send options (idempotencyKey, headers)
  * @returns {Promise<boolean>} Whether the message was sent
  */
-async function sendMessage(queueName, message) {
-  if (!channel) {
-    try {
-      await initialize();
-    } catch (error) {
-      console.error('Failed to initialize message queue for sending', error);
-      return false;
-    }
-  }
-  
+async function sendMessage(queueName, message, options = {}) {
   try {
-    // Make sure queue exists
-    await channel.assertQueue(queueName, { durable: true });
-    
-    // Send the message
-    return channel.sendToQueue(
-      queueName, 
-      Buffer.from(JSON.stringify(message)), 
-      { 
-        persistent: true,
-        timestamp: Date.now(),
-        contentType: 'application/json'
-      }
-    );
+    await getBus().send(queueName, message, options);
+    return true;
   } catch (error) {
     console.error(`Error sending message to queue ${queueName}`, error);
     return false;
   }
 }
 
+/**
+ * Send a request to a queue and wait for the reply
+ * @param {string} queueName - The queue name
+ * @param {Object} message - The request
+ * @param {Object} options - Request options (timeout, idempotencyKey, headers)
+ * @returns {Promise<*>} Data of the reply
+ */
+async function request(queueName, message, options = {}) {
+  return getBus().request(queueName, message, options);
+}
+
 /**
  * Consume messages from a queue
+ * The handler gets the parsed message and its context and returns the reply;
+ * throwing retries the message, then dead-letters it (see @ibuddy2/messaging).
  * @param {string} queueName - The queue name
- * @param {Function} handler - The message handler function
+ * @param {Function} handler - async (message, context) => reply
+ * @param {Object} options - Consumer options (retry, prefetch)
  * @returns {Promise<Object>} Consumer details
  */
-async function consumeMessages(queueName, handler) {
-  if (!channel) {
-    try {
-      await initialize();
-    } catch (error) {
-      console.error('Failed to initialize message queue for consuming', error);
-      throw error;
-    }
-  }
-  
+async function consumeMessages(queueName, handler, options = {}) {
   try {
-    // Make sure queue exists
-    await channel.assertQueue(queueName, { durable: true });
-    
-    // Set prefetch to process one message at a time per consumer
-    await channel.prefetch(1);
-    
-    // Start consuming
-    const { consumerTag } = await channel.consume(queueName, handler, {
-      noAck: false // Manual acknowledgment
-    });
-    
-    console.log(`Started consuming from queue ${queueName}, consumer tag: ${consumerTag}`);
-    
-    return { queueName, consumerTag };
+    const consumer = await getBus().consume(queueName, handler, options);
+    console.log(`Started consuming from queue ${queueName}, consumer tag: ${consumer.consumerTag}`);
+    return consumer;
   } catch (error) {
     console.error(`Error consuming messages from queue ${queueName}`, error);
     throw error;
@@ -131,13 +120,12 @@ async function consumeMessages(queueName, handler) {
  * @returns {Promise<boolean>} Whether the consumer was cancelled
  */
 async function cancelConsumer(consumerTag) {
-  if (!channel) {
+  if (!bus) {
     return false;
   }
-  
+
   try {
-    await channel.cancel(consumerTag);
-    return true;
+    return await bus.cancel(consumerTag);
   } catch (error) {
     console.error(`Error cancelling consumer ${consumerTag}`, error);
     return false;
@@ -149,29 +137,20 @@ async function cancelConsumer(consumerTag) {
  * @returns {Promise<void>}
  */
 async function close() {
-  if (channel) {
-    await channel.close();
-    channel = null;
-  }
-  
-  if (connection) {
-    await connection.close();
-    connection = null;
+  if (bus) {
+    const current = bus;
+    bus = null;
+    await current.close();
   }
 }
 
-// Add event handlers for connection errors and closing
-process.on('exit', async () => {
-  await close();
-});
-
 module.exports = {
   initialize,
   sendMessage,
+  request,
   consumeMessages,
   cancelConsumer,
   close,
   checkConnection,
-  get connection() { return connection; },
-  get channel() { return channel; }
-}; 
\ No newline at end of file
+  setBus
+};
@@ -0,0 +1,103 @@
+/**
+ * Model registry for the AI Service
+ * Resolves declared models (see config/models.js) to their providers
+ */
+const { loadModelConfigs } = require('../config/models');
+const providerRegistry = require('./providers');
+
+// Declared models by id, in fallback order
+const models = new Map();
+
+/**
+ * Load model declarations into the registry
+ * @returns {void}
+ */
+function loadModels() {
+  models.clear();
+
+  for (const model of loadModelConfigs()) {
+    if (!providerRegistry.getProvider(model.provider)) {
+      console.warn(`Model ${model.id} references unknown provider ${model.provider}, skipping`);
+      continue;
+    }
+    models.set(model.id, model);
+  }
+}
+
+/**
+ * Get a model declaration by id
+ * @param {string} modelId - Model id
+ * @returns {Object|null} Model declaration or null if not declared
+ */
+function getModel(modelId) {
+  return models.get(modelId) || null;
+}
+
+/**
+ * List all declared models
+ * @returns {Array<Object>} Model declarations in fallback order
+ */
+function listModels() {
+  return [...models.values()];
+}
+
+/**
+ * Get the ids of all declared models
+ * @returns {Array<string>} Model ids in fallback order
+ */
+function getModelIds() {
+  return [...models.keys()];
+}
+
+/**
+ * Check whether a model is declared and its provider is configured
+ * @param {string} modelId - Model id
+ * @returns {boolean} Whether the model can be called
+ */
+function isModelAvailable(modelId) {
+  const model = models.get(modelId);
+  return !!(model && providerRegistry.isProviderAvailable(model.provider));
+}
+
+/**
+ * Get all models that can currently be called
+ * @returns {Array<Object>} Available model declarations in fallback order
+ */
+function getAvailableModels() {
+  return listModels().filter(model => providerRegistry.isProviderAvailable(model.provider));
+}
+
+/**
+ * Get the provider implementation for a model
+ * @param {string} modelId - Model id
+ * @returns {Object|null} Provider implementation or null
+ */
+function getProviderForModel(modelId) {
+  const model = models.get(modelId);
+  return model ? providerRegistry.getProvider(model.provider) : null;
+}
+
+/**
+ * Register (or replace) a model at runtime
+ * @param {Object} model - Normalized model declaration
+ * @returns {void}
+ */
+function registerModel(model) {
+  if (!model || !model.id || !providerRegistry.getProvider(model.provider)) {
+    throw new Error('A model must have an id and a registered provider');
+  }
+  models.set(model.id, model);
+}
+
+loadModels();
+
+module.exports = {
+  loadModels,
+  getModel,
+  listModels,
+  getModelIds,
+  isModelAvailable,
+  getAvailableModels,
+  getProviderForModel,
+  registerModel
+};
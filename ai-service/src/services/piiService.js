@@ -0,0 +1,387 @@
+/**
+ * PII Service for AI Service
+ * Detects personal data in text (phone numbers, emails, Malaysian IC numbers,
+ * passport numbers, payment card numbers and addresses) and replaces it with
+ * reversible placeholders such as [PHONE_1] before prompts are sent to
+ * third-party models. The placeholders are kept in a vault for the request, so
+ * the values can be put back into the model's reply (or tool arguments).
+ * Identity and card numbers are masked rather than repeated in replies.
+ *
+ * With PII_REDACT_AT_REST the text stored in user contexts, handoff transcripts,
+ * the tool audit log and feedback comments is masked irreversibly ([PHONE], [EMAIL], ...).
+ */
+const entityService = require('./entityService');
+
+// Environment variables
+const PII_TYPES_ENABLED = (process.env.PII_TYPES || 'phone,email,ic,passport,card,address')
+  .split(',')
+  .map(type => type.trim())
+  .filter(Boolean);
+const PII_RESTORE_TYPES = (process.env.PII_RESTORE_TYPES || 'phone,email,address')
+  .split(',')
+  .map(type => type.trim())
+  .filter(Boolean);
+const PII_REDACT_AT_REST = process.env.PII_REDACT_AT_REST === 'true';
+
+const PII_TYPES = {
+  PHONE: 'phone',
+  EMAIL: 'email',
+  IC: 'ic',
+  PASSPORT: 'passport',
+  CARD: 'card',
+  ADDRESS: 'address'
+};
+
+// Placeholders put in prompts, e.g. [PHONE_1]
+const PLACEHOLDER_PATTERN = /\[(PHONE|EMAIL|IC|PASSPORT|CARD|ADDRESS)_(\d+)\]/g;
+// Longest placeholder prefix held back while streaming ("[PASSPORT_123]")
+const MAX_PLACEHOLDER_LENGTH = 16;
+
+/**
+ * Check whether six digits are a plausible YYMMDD birth date
+ * @param {string} digits - Six digits
+ * @returns {boolean} Whether month and day are valid
+ */
+function isBirthDate(digits) {
+  const month = parseInt(digits.slice(2, 4), 10);
+  const day = parseInt(digits.slice(4, 6), 10);
+  return month >= 1 && month <= 12 && day >= 1 && day <= 31;
+}
+
+/**
+ * Check a card number with the Luhn checksum
+ * @param {string} digits - Card number digits
+ * @returns {boolean} Whether the checksum is valid
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * Collect pattern matches as detections
+ * When the pattern has a capture group, the detection covers the group (which
+ * must end the match), otherwise the whole match.
+ * @param {string} text - Text
+ * @param {RegExp} pattern - Global pattern
+ * @param {string} type - PII type
+ * @param {Function} isValid - (value) => whether the match is kept (optional)
+ * @returns {Array<Object>} Detections { type, text, start, end }
+ */
+function matchAll(text, pattern, type, isValid = () => true) {
+  const detections = [];
+
+  for (const match of text.matchAll(pattern)) {
+    const value = match[1] || match[0];
+    if (!isValid(value)) {
+      continue;
+    }
+
+    const start = match.index + match[0].length - value.length;
+    detections.push({ type, text: value, start, end: start + value.length });
+  }
+
+  return detections;
+}
+
+/**
+ * Detect Malaysian IC (MyKad) numbers: YYMMDD-PB-###G, or 12 digits after an IC keyword
+ * @param {string} text - Text
+ * @returns {Array<Object>} Detections
+ */
+function detectIcNumbers(text) {
+  return [
+    ...matchAll(text, /(?<![\d-])\d{6}-\d{2}-\d{4}(?![\d-])/g, PII_TYPES.IC, value => isBirthDate(value)),
+    ...matchAll(text, /(?:\b(?:ic|nric|mykad|i\/c)\b|身份证|kad pengenalan)[^\d\n]{0,15}(\d{12})(?!\d)/gi, PII_TYPES.IC,
+      value => isBirthDate(value))
+  ];
+}
+
+/**
+ * Detect passport numbers: after a passport keyword, or Malaysian passports (A/H/K and 8 digits)
+ * @param {string} text - Text
+ * @returns {Array<Object>} Detections
+ */
+function detectPassports(text) {
+  return [
+    ...matchAll(text, /(?:\bpass?port\b|护照)[^\w\n]{0,3}(?:(?:no|number|nombor|号码?)\.?[\s:：#]*)?([A-Z]{1,2}\d{6,8})\b/gi, PII_TYPES.PASSPORT),
+    ...matchAll(text, /\b[AHK]\d{8}\b/g, PII_TYPES.PASSPORT)
+  ];
+}
+
+/**
+ * Detect payment card numbers (13-19 digits, Visa/Mastercard/Amex/Discover/UnionPay
+ * prefixes, valid Luhn checksum; spaces and dashes allowed)
+ * @param {string} text - Text
+ * @returns {Array<Object>} Detections
+ */
+function detectCards(text) {
+  return matchAll(text, /(?<![\d-])[2-6]\d(?:[ -]?\d){11,17}(?![\d-])/g, PII_TYPES.CARD, value => {
+    const digits = value.replace(/\D/g, '');
+    return digits.length >= 13 && digits.length <= 19 && /^(4|5[1-5]|2[2-7]|3[47]|6)/.test(digits) && passesLuhn(digits);
+  });
+}
+
+/**
+ * Detect personal data in a text
+ * Identity and card numbers are detected first, so phone numbers cannot
+ * claim part of them; overlapping detections are dropped.
+ * @param {string} text - Text
+ * @param {Object} options - Options
+ * @param {Array<string>} options.types - PII types to detect (defaults to PII_TYPES)
+ * @returns {Array<Object>} Detections { type, text, start, end } in order of appearance
+ */
+function detectPII(text, options = {}) {
+  const types = options.types || PII_TYPES_ENABLED;
+  const accepted = [];
+
+  if (!text) {
+    return accepted;
+  }
+
+  const candidates = [
+    ...(types.includes(PII_TYPES.CARD) ? detectCards(text) : []),
+    ...(types.includes(PII_TYPES.IC) ? detectIcNumbers(text) : []),
+    ...(types.includes(PII_TYPES.PASSPORT) ? detectPassports(text) : [])
+  ];
+
+  const entityTypes = [PII_TYPES.EMAIL, PII_TYPES.PHONE, PII_TYPES.ADDRESS].filter(type => types.includes(type));
+  if (entityTypes.length > 0) {
+    entityService.extractEntities(text, { types: entityTypes })
+      .forEach(({ type, text: matched, start, end }) => candidates.push({ type, text: matched, start, end }));
+  }
+
+  candidates.forEach(candidate => {
+    if (!accepted.some(other => candidate.start < other.end && other.start < candidate.end)) {
+      accepted.push(candidate);
+    }
+  });
+
+  return accepted.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Create an empty vault of placeholders
+ * @returns {Object} Vault { entries: { placeholder: { type, value } }, placeholders: { 'type:value': placeholder }, counts }
+ */
+function createVault() {
+  return { entries: {}, placeholders: {}, counts: {} };
+}
+
+/**
+ * Check whether a vault holds any placeholder
+ * @param {Object} vault - Vault
+ * @returns {boolean} Whether anything was redacted
+ */
+function hasEntries(vault) {
+  return !!vault && Object.keys(vault.entries).length > 0;
+}
+
+/**
+ * Get the placeholder of a value, adding it to the vault
+ * The same value always gets the same placeholder.
+ * @param {Object} vault - Vault (updated in place)
+ * @param {string} type - PII type
+ * @param {string} value - Original value
+ * @returns {string} Placeholder, e.g. [PHONE_1]
+ */
+function getPlaceholder(vault, type, value) {
+  const key = `${type}:${value}`;
+
+  if (!vault.placeholders[key]) {
+    vault.counts[type] = (vault.counts[type] || 0) + 1;
+    const placeholder = `[${type.toUpperCase()}_${vault.counts[type]}]`;
+    vault.placeholders[key] = placeholder;
+    vault.entries[placeholder] = { type, value };
+  }
+
+  return vault.placeholders[key];
+}
+
+/**
+ * Replace the personal data in a text with placeholders
+ * @param {string} text - Text
+ * @param {Object} options - Options
+ * @param {Object} options.vault - Vault to add to (shared by every text of a request; created when omitted)
+ * @param {Array<string>} options.types - PII types to redact (defaults to PII_TYPES)
+ * @returns {Object} { text, vault, detections }
+ */
+function redact(text, options = {}) {
+  const vault = options.vault || createVault();
+  const detections = detectPII(text, options);
+  // 按出现顺序编号，再从后往前替换，保持前面检测结果的位置不变
+  const placeholders = detections.map(detection => getPlaceholder(vault, detection.type, detection.text));
+  let redacted = text || '';
+
+  for (let i = detections.length - 1; i >= 0; i--) {
+    redacted = redacted.slice(0, detections[i].start) + placeholders[i] + redacted.slice(detections[i].end);
+  }
+
+  return { text: redacted, vault, detections };
+}
+
+/**
+ * Mask a value, keeping its separators and last four letters or digits
+ * @param {string} value - Value
+ * @returns {string} Masked value, e.g. ****-****-****-1234
+ */
+function maskValue(value) {
+  return value.replace(/[A-Za-z0-9](?=(?:[^A-Za-z0-9]*[A-Za-z0-9]){4})/g, '*');
+}
+
+/**
+ * Put the original values back in place of the placeholders of a text
+ * @param {string} text - Text with placeholders
+ * @param {Object} vault - Vault of the request
+ * @param {Object} options - Options
+ * @param {Array<string>} options.types - Types whose values are put back; the others are masked (default all)
+ * @returns {string} Restored text (unknown placeholders are left as they are)
+ */
+function restore(text, vault, options = {}) {
+  if (!text || !hasEntries(vault)) {
+    return text;
+  }
+
+  const types = options.types || Object.values(PII_TYPES);
+
+  return text.replace(PLACEHOLDER_PATTERN, placeholder => {
+    const entry = vault.entries[placeholder];
+    if (!entry) {
+      return placeholder;
+    }
+    return types.includes(entry.type) ? entry.value : maskValue(entry.value);
+  });
+}
+
+/**
+ * Restore a reply to the customer: PII_RESTORE_TYPES are put back, identity
+ * and card numbers (by default) are masked
+ * @param {string} text - Reply with placeholders
+ * @param {Object} vault - Vault of the request
+ * @returns {string} Restored reply
+ */
+function restoreReply(text, vault) {
+  return restore(text, vault, { types: PII_RESTORE_TYPES });
+}
+
+/**
+ * Redact every string of a value (strings, arrays and plain objects)
+ * @param {*} value - Value
+ * @param {Object} vault - Vault to add to
+ * @returns {*} Redacted copy
+ */
+function redactValue(value, vault) {
+  return mapStrings(value, text => redact(text, { vault }).text);
+}
+
+/**
+ * Restore every string of a value (e.g. tool call arguments)
+ * @param {*} value - Value with placeholders
+ * @param {Object} vault - Vault of the request
+ * @returns {*} Restored copy
+ */
+function restoreValue(value, vault) {
+  return hasEntries(vault) ? mapStrings(value, text => restore(text, vault)) : value;
+}
+
+/**
+ * Apply a function to every string of a value
+ * @param {*} value - Value
+ * @param {Function} fn - (string) => string
+ * @returns {*} Mapped copy
+ */
+function mapStrings(value, fn) {
+  if (typeof value === 'string') {
+    return fn(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => mapStrings(item, fn));
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn)]));
+  }
+  return value;
+}
+
+/**
+ * Wrap a streaming token callback so placeholders are restored
+ * Text that may be the start of a placeholder split across deltas is held back
+ * until the placeholder is complete.
+ * @param {Object} vault - Vault of the request
+ * @param {Function} onToken - Called with each restored text delta
+ * @returns {Object} { push(delta), flush() }
+ */
+function createStreamRestorer(vault, onToken) {
+  let pending = '';
+
+  const emit = text => {
+    if (text) {
+      onToken(restoreReply(text, vault));
+    }
+  };
+
+  return {
+    push(delta) {
+      pending += delta;
+      const open = pending.lastIndexOf('[');
+      const tail = open >= 0 ? pending.slice(open) : '';
+
+      if (tail && !tail.includes(']') && tail.length < MAX_PLACEHOLDER_LENGTH && /^\[[A-Z_0-9]*$/.test(tail)) {
+        emit(pending.slice(0, open));
+        pending = tail;
+      } else {
+        emit(pending);
+        pending = '';
+      }
+    },
+    flush() {
+      emit(pending);
+      pending = '';
+    }
+  };
+}
+
+/**
+ * Mask the personal data of a value before it is stored, when PII_REDACT_AT_REST is enabled
+ * @param {*} value - String, array or plain object
+ * @returns {*} Value with personal data replaced by [PHONE], [EMAIL], ... (unchanged when disabled)
+ */
+function redactForStorage(value) {
+  if (!PII_REDACT_AT_REST) {
+    return value;
+  }
+
+  return mapStrings(value, text => {
+    let masked = text;
+    [...detectPII(text)].reverse().forEach(detection => {
+      masked = masked.slice(0, detection.start) + `[${detection.type.toUpperCase()}]` + masked.slice(detection.end);
+    });
+    return masked;
+  });
+}
+
+module.exports = {
+  PII_TYPES,
+  PII_REDACT_AT_REST,
+  detectPII,
+  createVault,
+  hasEntries,
+  redact,
+  restore,
+  restoreReply,
+  redactValue,
+  restoreValue,
+  createStreamRestorer,
+  redactForStorage,
+  maskValue
+};
@@ -0,0 +1,531 @@
+/**
+ * Prompt Service for AI Service
+ * Registry of the named, versioned prompt templates the platform sends to
+ * models (defaults in config/prompts.js). A template resolves to the tenant's
+ * own active version, else the active global version, else the file default
+ * (version 0), so a tenant can override e.g. the persona of their assistant.
+ * Saving a template adds a new version and activates it; older versions stay
+ * and can be activated again.
+ *
+ * Rendering fills in the {{variables}}, picks the text for the customer's
+ * language and returns a reference to the template version that produced the
+ * prompt ({ name, version, language, source }), which responses record.
+ * Versions are kept in Supabase when configured, in memory otherwise.
+ */
+const { createClient } = require('@supabase/supabase-js');
+const { v4: uuidv4 } = require('uuid');
+const { ApiError } = require('../middleware/errorHandler');
+const { SUPPORTED_LANGUAGES } = require('./languageService');
+const { loadPromptTemplates, normalizeTemplate, TEMPLATE_NAME_PATTERN } = require('../config/prompts');
+
+// Environment variables
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+const PROMPT_CACHE_TTL = parseInt(process.env.PROMPT_CACHE_TTL || '60'); // seconds
+
+// Where the resolved version of a template comes from
+const TEMPLATE_SOURCES = {
+  DEFAULT: 'default',
+  GLOBAL: 'global',
+  TENANT: 'tenant',
+  DRAFT: 'draft'
+};
+
+// Template variables, e.g. {{platform}}
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Check if Supabase is configured
+const useSupabase = !!(SUPABASE_URL && SUPABASE_SERVICE_KEY);
+
+// Initialize Supabase client
+const supabase = useSupabase
+  ? createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY)
+  : null;
+
+// File defaults by name
+const defaultTemplates = loadPromptTemplates();
+
+// In-memory template versions
+const memoryVersions = [];
+
+// Active versions by `${tenantId}:${name}`, to avoid a query per prompt
+const activeCache = new Map();
+
+// --- Storage --- //
+
+/**
+ * Get all versions of a template in a scope
+ * @param {string} name - Template name
+ * @param {string|null} tenantId - Tenant, or null for the global versions
+ * @returns {Promise<Array<Object>>} Version rows, newest first
+ */
+async function queryVersions(name, tenantId) {
+  if (useSupabase) {
+    let query = supabase
+      .from('prompt_templates')
+      .select('*')
+      .eq('name', name)
+      .order('version', { ascending: false });
+
+    query = tenantId ? query.eq('tenant_id', tenantId) : query.is('tenant_id', null);
+
+    const { data, error } = await query;
+    if (error) {
+      throw error;
+    }
+    return data || [];
+  }
+
+  return memoryVersions
+    .filter(row => row.name === name && row.tenant_id === (tenantId || null))
+    .sort((a, b) => b.version - a.version);
+}
+
+/**
+ * Get the active version of a template in a scope
+ * Lookup failures are logged and treated as no version, so prompts fall back
+ * to the defaults instead of failing replies.
+ * @param {string} name - Template name
+ * @param {string|null} tenantId - Tenant, or null for the global version
+ * @returns {Promise<Object|null>} Version row or null
+ */
+async function loadActiveVersion(name, tenantId) {
+  const key = `${tenantId || ''}:${name}`;
+  const cached = activeCache.get(key);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.row;
+  }
+
+  try {
+    const row = (await queryVersions(name, tenantId)).find(version => version.is_active) || null;
+    activeCache.set(key, { row, expiresAt: Date.now() + PROMPT_CACHE_TTL * 1000 });
+    return row;
+  } catch (error) {
+    console.error(`Error loading prompt template ${name}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Make one version of a template the active one in its scope (or none)
+ * @param {string} name - Template name
+ * @param {string|null} tenantId - Tenant, or null for the global versions
+ * @param {string|null} activeId - ID of the version to activate, null to deactivate all
+ * @returns {Promise<void>}
+ */
+async function setActiveVersion(name, tenantId, activeId) {
+  activeCache.delete(`${tenantId || ''}:${name}`);
+
+  if (useSupabase) {
+    let query = supabase
+      .from('prompt_templates')
+      .update({ is_active: false })
+      .eq('name', name)
+      .eq('is_active', true);
+
+    query = tenantId ? query.eq('tenant_id', tenantId) : query.is('tenant_id', null);
+
+    const { error } = await query;
+    if (error) {
+      throw error;
+    }
+
+    if (activeId) {
+      const { error: activateError } = await supabase
+        .from('prompt_templates')
+        .update({ is_active: true })
+        .eq('id', activeId);
+      if (activateError) {
+        throw activateError;
+      }
+    }
+    return;
+  }
+
+  memoryVersions
+    .filter(row => row.name === name && row.tenant_id === (tenantId || null))
+    .forEach(row => {
+      row.is_active = row.id === activeId;
+    });
+}
+
+/**
+ * Insert a template version
+ * @param {Object} row - Version row
+ * @returns {Promise<Object>} Saved row
+ */
+async function insertVersion(row) {
+  if (useSupabase) {
+    const { error } = await supabase.from('prompt_templates').insert([row]);
+    if (error) {
+      throw error;
+    }
+    return row;
+  }
+
+  memoryVersions.push(row);
+  return row;
+}
+
+// --- Templates --- //
+
+/**
+ * Format a template (version row or file default) for callers
+ * @param {Object} template - Version row, or a normalized default template
+ * @param {string} source - TEMPLATE_SOURCES value
+ * @returns {Object} Template
+ */
+function formatTemplate(template, source) {
+  if (source === TEMPLATE_SOURCES.DEFAULT) {
+    return { ...template, version: 0, tenantId: null, source, active: true, createdBy: null, createdAt: null };
+  }
+
+  return {
+    name: template.name,
+    description: template.description || '',
+    variables: template.variables || [],
+    text: template.text,
+    languages: template.languages || {},
+    version: template.version,
+    tenantId: template.tenant_id,
+    source,
+    active: !!template.is_active,
+    createdBy: template.created_by,
+    createdAt: template.created_at
+  };
+}
+
+/**
+ * Check a template name
+ * @param {string} name - Template name
+ * @throws {ApiError} 400 if the name is invalid
+ */
+function assertTemplateName(name) {
+  if (!TEMPLATE_NAME_PATTERN.test(name || '')) {
+    throw new ApiError('Template name must be lowercase words separated by dots, e.g. chat.persona', 400);
+  }
+}
+
+/**
+ * Get a template: the tenant's active version, else the active global version, else the default
+ * @param {string} name - Template name
+ * @param {Object} options - Options
+ * @param {string} options.tenantId - Tenant (optional)
+ * @param {number} options.version - Specific version of the tenant's (or global) versions, 0 for the default (optional)
+ * @returns {Promise<Object>} Template
+ * @throws {ApiError} 404 if the template or version does not exist
+ */
+async function getTemplate(name, options = {}) {
+  const { tenantId = null, version } = options;
+  const source = tenantId ? TEMPLATE_SOURCES.TENANT : TEMPLATE_SOURCES.GLOBAL;
+
+  if (version !== undefined && version !== null) {
+    if (parseInt(version) === 0 && defaultTemplates[name]) {
+      return formatTemplate(defaultTemplates[name], TEMPLATE_SOURCES.DEFAULT);
+    }
+
+    const row = (await queryVersions(name, tenantId)).find(candidate => candidate.version === parseInt(version));
+    if (!row) {
+      throw new ApiError(`Version ${version} of prompt template ${name} not found`, 404);
+    }
+    return formatTemplate(row, source);
+  }
+
+  const tenantRow = tenantId ? await loadActiveVersion(name, tenantId) : null;
+  if (tenantRow) {
+    return formatTemplate(tenantRow, TEMPLATE_SOURCES.TENANT);
+  }
+
+  const globalRow = await loadActiveVersion(name, null);
+  if (globalRow) {
+    return formatTemplate(globalRow, TEMPLATE_SOURCES.GLOBAL);
+  }
+
+  if (defaultTemplates[name]) {
+    return formatTemplate(defaultTemplates[name], TEMPLATE_SOURCES.DEFAULT);
+  }
+
+  throw new ApiError(`Prompt template not found: ${name}`, 404);
+}
+
+/**
+ * List the templates a tenant's prompts are built from
+ * @param {string} tenantId - Tenant, or null for the global templates
+ * @returns {Promise<Array<Object>>} Templates (without their text), by name
+ */
+async function listTemplates(tenantId = null) {
+  const names = new Set(Object.keys(defaultTemplates));
+
+  try {
+    if (useSupabase) {
+      for (const scope of tenantId ? [null, tenantId] : [null]) {
+        let query = supabase
+          .from('prompt_templates')
+          .select('name')
+          .eq('is_active', true);
+
+        query = scope ? query.eq('tenant_id', scope) : query.is('tenant_id', null);
+
+        const { data, error } = await query;
+        if (error) {
+          throw error;
+        }
+        (data || []).forEach(row => names.add(row.name));
+      }
+    } else {
+      memoryVersions
+        .filter(row => row.is_active && (row.tenant_id === null || row.tenant_id === tenantId))
+        .forEach(row => names.add(row.name));
+    }
+  } catch (error) {
+    console.error('Error listing prompt templates:', error);
+  }
+
+  const templates = await Promise.all([...names].sort().map(name => getTemplate(name, { tenantId })));
+
+  return templates.map(({ text, languages, ...template }) => ({
+    ...template,
+    languages: Object.keys(languages)
+  }));
+}
+
+/**
+ * List the versions of a template in a scope (the default is version 0)
+ * @param {string} name - Template name
+ * @param {string} tenantId - Tenant, or null for the global versions
+ * @returns {Promise<Array<Object>>} Versions, newest first
+ * @throws {ApiError} 404 if the template does not exist
+ */
+async function listVersions(name, tenantId = null) {
+  const source = tenantId ? TEMPLATE_SOURCES.TENANT : TEMPLATE_SOURCES.GLOBAL;
+  const versions = (await queryVersions(name, tenantId)).map(row => formatTemplate(row, source));
+
+  if (defaultTemplates[name]) {
+    versions.push({ ...formatTemplate(defaultTemplates[name], TEMPLATE_SOURCES.DEFAULT), active: false });
+  }
+
+  if (versions.length === 0) {
+    throw new ApiError(`Prompt template not found: ${name}`, 404);
+  }
+
+  return versions;
+}
+
+/**
+ * Save a new version of a template and make it the active one
+ * Variables are kept from the template being replaced unless given; variables
+ * the text uses without declaring them are added as optional.
+ * @param {string} name - Template name
+ * @param {Object} data - { text, languages, description, variables }
+ * @param {Object} options - Options
+ * @param {string} options.tenantId - Tenant overriding the template, or null for a global version
+ * @param {string} options.createdBy - User saving the version (optional)
+ * @returns {Promise<Object>} Saved template
+ * @throws {ApiError} 400 if the template is invalid
+ */
+async function saveTemplate(name, data, options = {}) {
+  const { tenantId = null, createdBy = null } = options;
+  assertTemplateName(name);
+
+  if (typeof data.text !== 'string' || !data.text.trim()) {
+    throw new ApiError('Template text is required', 400);
+  }
+
+  const unsupported = Object.keys(data.languages || {}).filter(language => !SUPPORTED_LANGUAGES.includes(language));
+  if (unsupported.length > 0) {
+    throw new ApiError(`Unsupported template languages: ${unsupported.join(', ')} (expected ${SUPPORTED_LANGUAGES.join(', ')})`, 400);
+  }
+
+  let current = null;
+  try {
+    current = await getTemplate(name, { tenantId });
+  } catch (error) {
+    if (error.statusCode !== 404) throw error;
+  }
+
+  const template = normalizeTemplate({
+    name,
+    description: data.description ?? current?.description,
+    variables: data.variables ?? current?.variables,
+    text: data.text,
+    languages: data.languages
+  });
+
+  const texts = [template.text, ...Object.values(template.languages)];
+  const declared = new Set(template.variables.map(variable => variable.name));
+  texts.forEach(text => {
+    for (const [, variable] of text.matchAll(VARIABLE_PATTERN)) {
+      if (!declared.has(variable)) {
+        declared.add(variable);
+        template.variables.push({ name: variable, description: '', required: false, default: null });
+      }
+    }
+  });
+
+  const [latest] = await queryVersions(name, tenantId);
+  const row = await insertVersion({
+    id: uuidv4(),
+    tenant_id: tenantId,
+    name,
+    version: (latest?.version || 0) + 1,
+    description: template.description,
+    variables: template.variables,
+    text: template.text,
+    languages: template.languages,
+    is_active: false,
+    created_by: createdBy,
+    created_at: new Date().toISOString()
+  });
+
+  await setActiveVersion(name, tenantId, row.id);
+  row.is_active = true;
+
+  return formatTemplate(row, tenantId ? TEMPLATE_SOURCES.TENANT : TEMPLATE_SOURCES.GLOBAL);
+}
+
+/**
+ * Make an earlier version of a template the active one again
+ * @param {string} name - Template name
+ * @param {number} version - Version in the scope
+ * @param {Object} options - { tenantId } (null for the global versions)
+ * @returns {Promise<Object>} Activated template
+ * @throws {ApiError} 404 if the version does not exist
+ */
+async function activateVersion(name, version, options = {}) {
+  const { tenantId = null } = options;
+  const row = (await queryVersions(name, tenantId)).find(candidate => candidate.version === parseInt(version));
+
+  if (!row) {
+    throw new ApiError(`Version ${version} of prompt template ${name} not found`, 404);
+  }
+
+  await setActiveVersion(name, tenantId, row.id);
+  row.is_active = true;
+
+  return formatTemplate(row, tenantId ? TEMPLATE_SOURCES.TENANT : TEMPLATE_SOURCES.GLOBAL);
+}
+
+/**
+ * Stop overriding a template in a scope: the tenant gets the global version
+ * (or the default) again, the global scope gets the default. Versions are kept.
+ * @param {string} name - Template name
+ * @param {Object} options - { tenantId } (null for the global versions)
+ * @returns {Promise<Object>} Template now in effect
+ */
+async function resetTemplate(name, options = {}) {
+  const { tenantId = null } = options;
+
+  await setActiveVersion(name, tenantId, null);
+  return getTemplate(name, { tenantId });
+}
+
+// --- Rendering --- //
+
+/**
+ * Format a value for a prompt
+ * @param {*} value - Variable value
+ * @returns {string} Text
+ */
+function formatValue(value) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Render a template
+ * Declared variables without a value (or an empty one) use their default, or
+ * are left empty (and reported when required); undeclared placeholders are
+ * kept as written.
+ * @param {Object} template - Template returned by getTemplate
+ * @param {Object} options - Options
+ * @param {string} options.language - Customer language (en, zh, ms), selects the language variant
+ * @param {Object} options.variables - Variable values
+ * @returns {Object} { text, template: { name, version, language, source }, missingVariables }
+ */
+function renderTemplate(template, options = {}) {
+  const { language = null, variables = {} } = options;
+  const variant = language && template.languages?.[language] ? language : null;
+  const declared = new Map((template.variables || []).map(variable => [variable.name, variable]));
+  const missingVariables = [];
+
+  const text = (variant ? template.languages[variant] : template.text).replace(VARIABLE_PATTERN, (match, name) => {
+    const given = variables[name];
+    const value = given !== undefined && given !== null && given !== '' ? given : declared.get(name)?.default;
+
+    if (value !== undefined && value !== null) {
+      return formatValue(value);
+    }
+    if (!declared.has(name)) {
+      return match;
+    }
+    if (declared.get(name).required && !missingVariables.includes(name)) {
+      missingVariables.push(name);
+    }
+    return '';
+  });
+
+  return {
+    text,
+    template: {
+      name: template.name,
+      version: template.version,
+      language: variant || 'default',
+      source: template.source
+    },
+    missingVariables
+  };
+}
+
+/**
+ * Render a template by name for a tenant
+ * @param {string} name - Template name
+ * @param {Object} options - Options
+ * @param {string} options.tenantId - Tenant whose override applies (optional)
+ * @param {number} options.version - Specific version to render (optional)
+ * @param {string} options.language - Customer language (optional)
+ * @param {Object} options.variables - Variable values
+ * @param {Object} options.draft - Unsaved { text, languages, variables } to preview instead of the stored text (optional)
+ * @returns {Promise<Object>} { text, template, missingVariables }
+ */
+async function renderPrompt(name, options = {}) {
+  const { tenantId = null, version, language, variables, draft } = options;
+
+  if (!draft) {
+    return renderTemplate(await getTemplate(name, { tenantId, version }), { language, variables });
+  }
+
+  assertTemplateName(name);
+  let current = null;
+  try {
+    current = await getTemplate(name, { tenantId });
+  } catch (error) {
+    if (error.statusCode !== 404) throw error;
+  }
+
+  const template = normalizeTemplate({
+    name,
+    variables: draft.variables ?? current?.variables,
+    text: draft.text,
+    languages: draft.languages
+  });
+  if (!template) {
+    throw new ApiError('Draft template text is required', 400);
+  }
+
+  return renderTemplate({ ...template, version: null, source: TEMPLATE_SOURCES.DRAFT }, { language, variables });
+}
+
+module.exports = {
+  TEMPLATE_SOURCES,
+  getTemplate,
+  listTemplates,
+  listVersions,
+  saveTemplate,
+  activateVersion,
+  resetTemplate,
+  renderTemplate,
+  renderPrompt
+};
@@ -0,0 +1,107 @@
+/**
+ * Google Gemini model provider
+ */
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Environment variables
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+
+// Initialize the Google Generative AI client
+const genAI = GEMINI_API_KEY
+  ? new GoogleGenerativeAI(GEMINI_API_KEY)
+  : null;
+
+/**
+ * Whether the provider is configured
+ * @returns {boolean} Whether an API key is available
+ */
+function isConfigured() {
+  return !!genAI;
+}
+
+/**
+ * Generate a response with a Gemini model
+ * @param {Object} model - Model declaration
+ * @param {string} prompt - The input prompt
+ * @param {Object} options - Generation options
+ * @param {number} options.maxTokens - Max output tokens override
+ * @param {number} options.temperature - Temperature override
+ * @param {number} options.topP - Top-p override
+ * @param {string} options.responseFormat - 'json' for JSON output
+ * @returns {Promise<Object>} Generated response { text, usage }
+ */
+async function generate(model, prompt, options = {}) {
+  const generativeModel = getGenerativeModel(model, options);
+
+  const result = await generativeModel.generateContent([prompt]);
+
+  // Older API versions do not return usage metadata
+  const usageMetadata = result.response.usageMetadata;
+
+  return {
+    text: result.response.text(),
+    usage: usageMetadata
+      ? {
+          tokensInput: usageMetadata.promptTokenCount,
+          tokensOutput: usageMetadata.candidatesTokenCount
+        }
+      : null
+  };
+}
+
+/**
+ * Stream a response with a Gemini model
+ * The SDK does not accept an abort signal, so cancellation stops reading the stream.
+ * @param {Object} model - Model declaration
+ * @param {string} prompt - The input prompt
+ * @param {Object} options - Generation options
+ * @param {number} options.maxTokens - Max output tokens override
+ * @param {number} options.temperature - Temperature override
+ * @param {number} options.topP - Top-p override
+ * @param {AbortSignal} options.signal - Signal used to cancel the generation
+ * @returns {AsyncGenerator<string>} Text deltas
+ */
+async function* generateStream(model, prompt, options = {}) {
+  const generativeModel = getGenerativeModel(model, options);
+
+  const result = await generativeModel.generateContentStream([prompt]);
+
+  for await (const chunk of result.stream) {
+    if (options.signal?.aborted) {
+      return;
+    }
+
+    const delta = chunk.text();
+    if (delta) {
+      yield delta;
+    }
+  }
+}
+
+/**
+ * Get a generative model client configured for a model declaration
+ * @param {Object} model - Model declaration
+ * @param {Object} options - Generation options
+ * @returns {Object} Gemini generative model
+ */
+function getGenerativeModel(model, options) {
+  const { params, limits } = model;
+
+  return genAI.getGenerativeModel({
+    model: model.providerModel,
+    generationConfig: {
+      temperature: options.temperature ?? params.temperature,
+      topK: params.topK,
+      topP: options.topP ?? params.topP,
+      maxOutputTokens: options.maxTokens || limits.maxOutputTokens,
+      ...(options.responseFormat === 'json' ? { responseMimeType: 'application/json' } : {})
+    }
+  });
+}
+
+module.exports = {
+  name: 'google',
+  isConfigured,
+  generate,
+  generateStream
+};
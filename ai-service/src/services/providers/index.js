@@ -0,0 +1,76 @@
+/**
+ * Model provider registry for the AI Service
+ * Every provider module implements the same interface:
+ * - name {string} - Provider identifier referenced by model declarations
+ * - isConfigured() {boolean} - Whether credentials/endpoint are available
+ * - generate(model, prompt, options) {Promise<Object>} - Generate a completion,
+ *   resolves to { text, usage } where usage ({ tokensInput, tokensOutput }) is
+ *   null when the API does not report token counts; options.responseFormat 'json'
+ *   asks for JSON output (only passed for models declaring the "json" capability)
+ * - generateStream(model, prompt, options) {AsyncGenerator<string>} - Optional,
+ *   yields text deltas; options.signal cancels the generation
+ * - generateWithTools(model, messages, tools, options) {Promise<Object>} - Optional,
+ *   native function calling; resolves to { text, toolCalls, usage } where
+ *   toolCalls are { id, name, arguments }. Without it, aiService describes the
+ *   tools in the prompt (see toolService.buildToolPrompt)
+ */
+const googleProvider = require('./googleProvider');
+const openaiProvider = require('./openaiProvider');
+const openrouterProvider = require('./openrouterProvider');
+const localProvider = require('./localProvider');
+
+// Registered providers by name
+const providers = {};
+
+/**
+ * Register a model provider
+ * @param {Object} provider - Provider implementation
+ * @returns {void}
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.generate !== 'function') {
+    throw new Error('A provider must have a name and a generate function');
+  }
+
+  providers[provider.name] = provider;
+}
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|null} Provider implementation or null if not registered
+ */
+function getProvider(name) {
+  return providers[name] || null;
+}
+
+/**
+ * Check whether a provider is registered and configured
+ * @param {string} name - Provider name
+ * @returns {boolean} Whether the provider can be used
+ */
+function isProviderAvailable(name) {
+  const provider = providers[name];
+  return !!(provider && provider.isConfigured());
+}
+
+/**
+ * List registered providers and their configuration status
+ * @returns {Array<Object>} Provider summaries
+ */
+function listProviders() {
+  return Object.values(providers).map(provider => ({
+    name: provider.name,
+    configured: provider.isConfigured()
+  }));
+}
+
+// Register built-in providers
+[googleProvider, openaiProvider, openrouterProvider, localProvider].forEach(registerProvider);
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  isProviderAvailable,
+  listProviders
+};
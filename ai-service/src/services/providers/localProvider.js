@@ -0,0 +1,18 @@
+/**
+ * Local model provider
+ * Talks to any OpenAI-compatible server running next to the stack
+ * (e.g. Ollama at http://localhost:11434/v1 or vLLM at http://localhost:8000/v1)
+ */
+const { createOpenAICompatibleProvider } = require('./openaiCompatibleProvider');
+
+// Environment variables
+const LOCAL_LLM_BASE_URL = process.env.LOCAL_LLM_BASE_URL;
+// Local servers usually ignore the key, but the OpenAI client requires one
+const LOCAL_LLM_API_KEY = process.env.LOCAL_LLM_API_KEY || 'local';
+
+module.exports = createOpenAICompatibleProvider({
+  name: 'local',
+  apiKey: LOCAL_LLM_API_KEY,
+  baseURL: LOCAL_LLM_BASE_URL,
+  enabled: !!LOCAL_LLM_BASE_URL
+});
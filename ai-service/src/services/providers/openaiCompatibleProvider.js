@@ -0,0 +1,205 @@
+/**
+ * Factory for providers exposing the OpenAI chat completions API
+ * Shared by OpenAI, OpenRouter and local OpenAI-compatible servers (Ollama, vLLM)
+ */
+const { OpenAI } = require('openai');
+
+/**
+ * Create an OpenAI-compatible provider
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name
+ * @param {string} options.apiKey - API key (optional for local servers)
+ * @param {string} options.baseURL - API base URL (optional)
+ * @param {Object} options.defaultHeaders - Extra headers sent with every request
+ * @param {boolean} options.enabled - Whether the provider should be enabled
+ * @returns {Object} Provider implementation
+ */
+function createOpenAICompatibleProvider({ name, apiKey, baseURL, defaultHeaders, enabled }) {
+  const client = enabled
+    ? new OpenAI({
+        apiKey,
+        baseURL,
+        defaultHeaders
+      })
+    : null;
+
+  /**
+   * Whether the provider is configured
+   * @returns {boolean} Whether a client is available
+   */
+  function isConfigured() {
+    return !!client;
+  }
+
+  /**
+   * Generate a response with a chat completions model
+   * @param {Object} model - Model declaration
+   * @param {string} prompt - The input prompt
+   * @param {Object} options - Generation options
+   * @param {number} options.maxTokens - Max output tokens override
+   * @param {number} options.temperature - Temperature override
+   * @param {number} options.topP - Top-p override
+   * @param {string} options.responseFormat - 'json' for JSON mode
+   * @returns {Promise<Object>} Generated response { text, usage }
+   */
+  async function generate(model, prompt, options = {}) {
+    const response = await client.chat.completions.create(
+      buildRequest(model, prompt, options),
+      { signal: options.signal }
+    );
+
+    return {
+      text: response.choices[0].message.content,
+      usage: response.usage
+        ? {
+            tokensInput: response.usage.prompt_tokens,
+            tokensOutput: response.usage.completion_tokens
+          }
+        : null
+    };
+  }
+
+  /**
+   * Stream a response with a chat completions model
+   * @param {Object} model - Model declaration
+   * @param {string} prompt - The input prompt
+   * @param {Object} options - Generation options
+   * @param {number} options.maxTokens - Max output tokens override
+   * @param {number} options.temperature - Temperature override
+   * @param {number} options.topP - Top-p override
+   * @param {AbortSignal} options.signal - Signal used to cancel the generation
+   * @returns {AsyncGenerator<string>} Text deltas
+   */
+  async function* generateStream(model, prompt, options = {}) {
+    const stream = await client.chat.completions.create(
+      { ...buildRequest(model, prompt, options), stream: true },
+      { signal: options.signal }
+    );
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        yield delta;
+      }
+    }
+  }
+
+  /**
+   * Generate a response that may call tools (native function calling)
+   * @param {Object} model - Model declaration
+   * @param {Array<Object>} messages - Conversation { role, content, toolCalls, toolCallId }
+   * @param {Array<Object>} tools - Tool declarations { name, description, parameters }
+   * @param {Object} options - Generation options (same as generate)
+   * @returns {Promise<Object>} Generated response { text, toolCalls, usage }
+   */
+  async function generateWithTools(model, messages, tools, options = {}) {
+    const response = await client.chat.completions.create(
+      {
+        ...buildRequest(model, '', options),
+        messages: messages.map(toChatMessage),
+        // The API rejects an empty tools array
+        ...(tools.length > 0 && {
+          tools: tools.map(tool => ({
+            type: 'function',
+            function: {
+              name: tool.name,
+              description: tool.description,
+              parameters: tool.parameters
+            }
+          }))
+        })
+      },
+      { signal: options.signal }
+    );
+
+    const message = response.choices[0].message;
+
+    return {
+      text: message.content || '',
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: parseArguments(call.function.arguments)
+      })),
+      usage: response.usage
+        ? {
+            tokensInput: response.usage.prompt_tokens,
+            tokensOutput: response.usage.completion_tokens
+          }
+        : null
+    };
+  }
+
+  return {
+    name,
+    isConfigured,
+    generate,
+    generateStream,
+    generateWithTools
+  };
+}
+
+/**
+ * Build a chat completions request body for a model declaration
+ * @param {Object} model - Model declaration
+ * @param {string} prompt - The input prompt
+ * @param {Object} options - Generation options
+ * @returns {Object} Request body
+ */
+function buildRequest(model, prompt, options) {
+  const { params, limits } = model;
+
+  return {
+    model: model.providerModel,
+    messages: [{ role: 'user', content: prompt }],
+    temperature: options.temperature ?? params.temperature,
+    top_p: options.topP ?? params.topP,
+    max_tokens: options.maxTokens || limits.maxOutputTokens,
+    presence_penalty: params.presencePenalty || 0,
+    frequency_penalty: params.frequencyPenalty || 0,
+    ...(options.responseFormat === 'json' ? { response_format: { type: 'json_object' } } : {})
+  };
+}
+
+/**
+ * Map a tool-calling conversation message to a chat completions message
+ * @param {Object} message - Message { role, content, toolCalls, toolCallId }
+ * @returns {Object} Chat completions message
+ */
+function toChatMessage(message) {
+  if (message.role === 'tool') {
+    return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+  }
+
+  if (message.role === 'assistant' && message.toolCalls?.length) {
+    return {
+      role: 'assistant',
+      content: message.content || null,
+      tool_calls: message.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+      }))
+    };
+  }
+
+  return { role: message.role, content: message.content };
+}
+
+/**
+ * Parse the JSON arguments of a tool call
+ * @param {string} json - Arguments as returned by the API
+ * @returns {Object} Arguments (empty when malformed)
+ */
+function parseArguments(json) {
+  try {
+    const args = JSON.parse(json || '{}');
+    return args && typeof args === 'object' ? args : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+module.exports = {
+  createOpenAICompatibleProvider
+};
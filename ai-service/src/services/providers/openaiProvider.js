@@ -0,0 +1,13 @@
+/**
+ * OpenAI model provider
+ */
+const { createOpenAICompatibleProvider } = require('./openaiCompatibleProvider');
+
+// Environment variables
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+
+module.exports = createOpenAICompatibleProvider({
+  name: 'openai',
+  apiKey: OPENAI_API_KEY,
+  enabled: !!OPENAI_API_KEY
+});
@@ -0,0 +1,18 @@
+/**
+ * OpenRouter model provider
+ */
+const { createOpenAICompatibleProvider } = require('./openaiCompatibleProvider');
+
+// Environment variables
+const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
+
+module.exports = createOpenAICompatibleProvider({
+  name: 'openrouter',
+  apiKey: OPENROUTER_API_KEY,
+  baseURL: 'https://openrouter.ai/api/v1',
+  defaultHeaders: {
+    'HTTP-Referer': 'https://yourapp.com',
+    'X-Title': 'iBuddy AI Assistant'
+  },
+  enabled: !!OPENROUTER_API_KEY
+});
@@ -35,9 +35,28 @@ const PLATFORMS = {
   EMAIL: 'email',
   SLACK: 'slack',
   DISCORD: 'discord',
+  MESSENGER: 'messenger',
+  INSTAGRAM: 'instagram',
+  SHOPEE: 'shopee',
+  LAZADA: 'lazada',
+  LINE: 'line',
+  WECHAT: 'wechat',
   GENERIC: 'generic'
 };
 
+/**
+ * Message limits of the platforms whose rich elements are capped
+ * (Shopee/Lazada chat limits are kept conservative, longer text is split)
+ */
+const PLATFORM_LIMITS = {
+  messenger: { text: 2000, templateText: 640, title: 20, buttons: 3, quickReplies: 13, elements: 10, elementText: 80 },
+  instagram: { text: 1000, title: 20, buttons: 3, quickReplies: 13, elements: 10, elementText: 80 },
+  shopee: { text: 500 },
+  lazada: { text: 1000 },
+  line: { text: 5000, altText: 400, label: 20, quickReplies: 13, bubbles: 12 },
+  wechat: { textBytes: 2048, menuItems: 10 }
+};
+
 /**
  * Format a basic text response
  * @param {string} text - The text to format
@@ -217,14 +236,15 @@ function extractRichElements(text) {
 
 /**
  * Format a response based on detected elements and platform
- * @param {string} text - AI-generated text response
+ * @param {string|Object} text - AI-generated text response, or a structured
+ *   response already validated by richResponseService
  * @param {string} platform - Target platform
  * @param {Object} options - Formatting options
  * @returns {Object} Formatted rich response
  */
 function formatRichResponse(text, platform = PLATFORMS.WEB, options = {}) {
-  // Extract rich elements from text
-  const richResponse = extractRichElements(text);
+  // Extract rich elements from text (structured responses need no extraction)
+  const richResponse = text && typeof text === 'object' ? { ...text } : extractRichElements(text);
   
   // Default formatting options
   const defaultOptions = {
@@ -239,25 +259,41 @@ function formatRichResponse(text, platform = PLATFORMS.WEB, options = {}) {
   let platformResponse;
   switch (platform.toLowerCase()) {
     case PLATFORMS.WHATSAPP:
-      platformResponse = formatForWhatsApp(richResponse);
+      platformResponse = formatForWhatsApp(toBasicElement(richResponse));
       break;
     case PLATFORMS.TELEGRAM:
-      platformResponse = formatForTelegram(richResponse);
+      platformResponse = formatForTelegram(toBasicElement(richResponse));
       break;
     case PLATFORMS.SMS:
-      platformResponse = formatForSMS(richResponse);
+      platformResponse = formatForSMS(toBasicElement(richResponse));
       break;
     case PLATFORMS.EMAIL:
-      platformResponse = formatForEmail(richResponse);
+      platformResponse = formatForEmail(toBasicElement(richResponse));
       break;
     case PLATFORMS.MOBILE:
       platformResponse = formatForMobile(richResponse);
       break;
     case PLATFORMS.SLACK:
-      platformResponse = formatForSlack(richResponse);
+      platformResponse = formatForSlack(toBasicElement(richResponse));
       break;
     case PLATFORMS.DISCORD:
-      platformResponse = formatForDiscord(richResponse);
+      platformResponse = formatForDiscord(toBasicElement(richResponse));
+      break;
+    case PLATFORMS.MESSENGER:
+      platformResponse = formatForMessenger(richResponse);
+      break;
+    case PLATFORMS.INSTAGRAM:
+      platformResponse = formatForInstagram(richResponse);
+      break;
+    case PLATFORMS.SHOPEE:
+    case PLATFORMS.LAZADA:
+      platformResponse = formatForMarketplaceChat(richResponse, platform.toLowerCase());
+      break;
+    case PLATFORMS.LINE:
+      platformResponse = formatForLine(richResponse);
+      break;
+    case PLATFORMS.WECHAT:
+      platformResponse = formatForWeChat(richResponse);
       break;
     case PLATFORMS.WEB:
     case PLATFORMS.GENERIC:
@@ -274,6 +310,43 @@ function formatRichResponse(text, platform = PLATFORMS.WEB, options = {}) {
   return platformResponse;
 }
 
+/**
+ * Map the elements the WhatsApp, Telegram, SMS, email, Slack and Discord
+ * formatters do not handle to ones they do: quick replies to buttons, cards
+ * made of images only to images, and other cards, forms and charts to text
+ * @param {Object} richResponse - Rich response object
+ * @returns {Object} Rich response object
+ */
+function toBasicElement(richResponse) {
+  switch (richResponse.type) {
+    case 'quick_reply':
+      return { ...richResponse, type: 'button_list', content: richResponse.content || '', buttons: getButtons(richResponse) };
+    case 'card':
+    case 'carousel': {
+      // Image carousels extracted from the text are handled as they are
+      if (richResponse.items?.every(item => item.alt !== undefined && !item.title)) {
+        return richResponse;
+      }
+      const cards = getCards(richResponse);
+      const imagesOnly = cards.length > 0 && cards.every(card =>
+        card.imageUrl && !card.url && !card.price && !card.subtitle && card.buttons.length === 0);
+
+      if (!imagesOnly) {
+        return { type: 'text', content: toPlainText(richResponse) };
+      }
+      const images = cards.map(card => ({ url: card.imageUrl, alt: card.title }));
+      return images.length === 1
+        ? { type: 'image', ...images[0] }
+        : { type: 'carousel', items: images };
+    }
+    case 'form':
+    case 'chart':
+      return { type: 'text', content: toPlainText(richResponse) };
+    default:
+      return richResponse;
+  }
+}
+
 /**
  * Format response for WhatsApp
  * @param {Object} richResponse - Rich response object
@@ -731,6 +804,610 @@ function formatForDiscord(richResponse) {
   }
 }
 
+/**
+ * Remove HTML and markdown markup (for platforms that render plain text only)
+ * @param {string} text - Text with markup
+ * @returns {string} Plain text
+ */
+function stripMarkup(text) {
+  return String(text || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\*\*(.*?)\*\*/g, '$1')
+    .replace(/\*(.*?)\*/g, '$1')
+    .replace(/`(.*?)`/g, '$1');
+}
+
+/**
+ * Shorten text to a maximum number of characters
+ * @param {string} text - Text
+ * @param {number} max - Maximum characters
+ * @returns {string} Text, ending with an ellipsis when shortened
+ */
+function truncate(text, max) {
+  const chars = Array.from(text || '');
+  return chars.length <= max ? chars.join('') : `${chars.slice(0, max - 1).join('').trimEnd()}…`;
+}
+
+/**
+ * Shorten text to a maximum number of UTF-8 bytes
+ * @param {string} text - Text
+ * @param {number} maxBytes - Maximum bytes
+ * @returns {string} Text, ending with an ellipsis when shortened
+ */
+function truncateBytes(text, maxBytes) {
+  if (Buffer.byteLength(text || '') <= maxBytes) {
+    return text || '';
+  }
+
+  const ellipsisBytes = Buffer.byteLength('…');
+  let result = '';
+  let bytes = 0;
+  for (const char of text) {
+    bytes += Buffer.byteLength(char);
+    if (bytes + ellipsisBytes > maxBytes) break;
+    result += char;
+  }
+  return `${result.trimEnd()}…`;
+}
+
+/**
+ * Split text into chunks of at most max characters, at line or word breaks where possible
+ * @param {string} text - Text
+ * @param {number} max - Maximum characters per chunk
+ * @returns {Array<string>} Chunks
+ */
+function splitText(text, max) {
+  const chunks = [];
+  let rest = (text || '').trim();
+
+  while (rest.length > max) {
+    const window = rest.slice(0, max + 1);
+    const lineBreak = window.lastIndexOf('\n');
+    const space = window.lastIndexOf(' ');
+    const cut = lineBreak > max / 2 ? lineBreak : space > max / 2 ? space : max;
+
+    chunks.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+
+  if (rest) {
+    chunks.push(rest);
+  }
+  return chunks;
+}
+
+/**
+ * Check whether a button value is a link
+ * @param {string} value - Button value
+ * @returns {boolean} True for http(s) URLs
+ */
+function isUrl(value) {
+  return /^https?:\/\//i.test(value || '');
+}
+
+/**
+ * Escape text for HTML markup
+ * @param {string} text - Text
+ * @returns {string} Text with &, <, > and quotes escaped
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Remove empty fields (platform APIs reject null values)
+ * @param {Object} object - Object
+ * @returns {Object} Object without null, undefined or empty string fields
+ */
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+}
+
+/**
+ * Get the buttons of a response or card as { text, value }
+ * @param {Object} source - Rich response or card
+ * @returns {Array<Object>} Buttons
+ */
+function getButtons(source) {
+  return (source.buttons || source.data?.buttons || [])
+    .map(button => ({
+      text: button.text || button.title || button.label || '',
+      value: String(button.value ?? button.payload ?? button.url ?? button.text ?? '')
+    }))
+    .filter(button => button.text);
+}
+
+/**
+ * Get the cards of a card or carousel response
+ * Extracted carousels are image lists ({ url, alt }); cards written as JSON
+ * may carry a title, subtitle, imageUrl, link url, price, marketplace itemId and buttons.
+ * @param {Object} richResponse - Rich response object
+ * @returns {Array<Object>} Cards { title, subtitle, imageUrl, url, price, itemId, buttons }
+ */
+function getCards(richResponse) {
+  const items = richResponse.type === 'card'
+    ? [richResponse.data || richResponse]
+    : richResponse.items || richResponse.data?.items || [];
+
+  return items.map((item, index) => {
+    const isImage = item.alt !== undefined && !item.title;
+    return {
+      title: item.title || item.alt || `Item ${index + 1}`,
+      subtitle: item.subtitle || item.description || '',
+      imageUrl: item.imageUrl || item.image || (isImage ? item.url : null),
+      url: isImage ? null : item.url || null,
+      price: item.price ?? null,
+      itemId: item.itemId ?? item.productId ?? null,
+      buttons: getButtons(item)
+    };
+  });
+}
+
+/**
+ * Describe a card as text
+ * @param {Object} card - Card (see getCards)
+ * @returns {string} Text
+ */
+function describeCard(card) {
+  return [
+    card.title,
+    [card.price, card.subtitle].filter(Boolean).join(' · '),
+    card.url || card.imageUrl
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Describe buttons as numbered options (links are spelled out)
+ * @param {Array<Object>} buttons - Buttons
+ * @param {number} start - Number of the first option
+ * @returns {Array<string>} Lines
+ */
+function describeButtons(buttons, start = 1) {
+  return buttons.map((button, index) => `${start + index}. ${button.text}${isUrl(button.value) ? `: ${button.value}` : ''}`);
+}
+
+/**
+ * Render any rich response as plain text, the fallback of platforms without the element
+ * @param {Object} richResponse - Rich response object
+ * @returns {string} Plain text
+ */
+function toPlainText(richResponse) {
+  const content = stripMarkup(richResponse.content).trim();
+
+  switch (richResponse.type) {
+    case 'table':
+      return [richResponse.headers, ...richResponse.rows].map(row => row.join(' | ')).join('\n');
+    case 'button_list':
+    case 'quick_reply':
+      return [content, ...describeButtons(getButtons(richResponse))].filter(Boolean).join('\n');
+    case 'card':
+    case 'carousel':
+      return [content, ...getCards(richResponse).map(describeCard)].filter(Boolean).join('\n\n');
+    case 'image':
+      return [richResponse.alt, richResponse.url].filter(Boolean).join('\n');
+    case 'form':
+      return [content, ...(richResponse.fields || richResponse.data?.fields || [])
+        .map(field => `- ${field.label || field.name}${field.options?.length ? ` (${field.options.join(' / ')})` : ''}`)]
+        .filter(Boolean).join('\n');
+    case 'chart':
+      return [content, ...(richResponse.series || []).map(series =>
+        `${series.name ? `${series.name}: ` : ''}${series.data.map((value, index) => `${richResponse.labels?.[index] ?? index + 1} ${value}`).join(', ')}`)]
+        .filter(Boolean).join('\n');
+    default:
+      return content;
+  }
+}
+
+/**
+ * Build a Messenger / Instagram generic template element from a card
+ * @param {Object} card - Card (see getCards)
+ * @param {Object} limits - Platform limits
+ * @returns {Object} Template element
+ */
+function toTemplateElement(card, limits) {
+  return compact({
+    title: truncate(card.title, limits.elementText),
+    subtitle: truncate([card.price, card.subtitle].filter(Boolean).join(' · '), limits.elementText),
+    image_url: card.imageUrl,
+    default_action: card.url ? { type: 'web_url', url: card.url } : null,
+    buttons: card.buttons.length > 0
+      ? card.buttons.slice(0, limits.buttons).map(button => toMessengerButton(button, limits))
+      : null
+  });
+}
+
+/**
+ * Build a Messenger / Instagram template button
+ * @param {Object} button - Button { text, value }
+ * @param {Object} limits - Platform limits
+ * @returns {Object} Link or postback button
+ */
+function toMessengerButton(button, limits) {
+  const title = truncate(button.text, limits.title);
+  return isUrl(button.value)
+    ? { type: 'web_url', url: button.value, title }
+    : { type: 'postback', title, payload: button.value };
+}
+
+/**
+ * Build a text message with quick replies (Messenger and Instagram)
+ * Options that do not fit, and links (quick replies cannot open links), are listed in the text.
+ * @param {Object} richResponse - Rich response object
+ * @param {Object} limits - Platform limits
+ * @returns {Object} Send API message
+ */
+function buildQuickReplyMessage(richResponse, limits) {
+  const buttons = getButtons(richResponse);
+  const replies = buttons.filter(button => !isUrl(button.value)).slice(0, limits.quickReplies);
+  const listed = buttons.filter(button => !replies.includes(button));
+  const text = [stripMarkup(richResponse.content).trim() || 'Options', ...describeButtons(listed)].join('\n');
+
+  return compact({
+    text: truncate(text, limits.text),
+    quick_replies: replies.length > 0
+      ? replies.map(button => ({ content_type: 'text', title: truncate(button.text, limits.title), payload: button.value }))
+      : null
+  });
+}
+
+/**
+ * Format response for Facebook Messenger (Send API message)
+ * Cards and carousels become generic templates, buttons with links a button
+ * template and other buttons quick replies; tables, forms and charts are sent as text.
+ * @param {Object} richResponse - Rich response object
+ * @returns {Object} Messenger-formatted response { type, content, message }
+ */
+function formatForMessenger(richResponse) {
+  const limits = PLATFORM_LIMITS.messenger;
+  const content = toPlainText(richResponse);
+
+  switch (richResponse.type) {
+    case 'image':
+      return {
+        type: 'image',
+        content,
+        message: { attachment: { type: 'image', payload: { url: richResponse.url, is_reusable: true } } }
+      };
+    case 'button_list':
+    case 'quick_reply': {
+      const buttons = getButtons(richResponse);
+
+      if (!buttons.some(button => isUrl(button.value))) {
+        return { type: 'quick_reply', content, message: buildQuickReplyMessage(richResponse, limits) };
+      }
+
+      // Buttons beyond the template's three are listed in its text
+      const text = [
+        stripMarkup(richResponse.content).trim() || 'Options',
+        ...describeButtons(buttons.slice(limits.buttons), limits.buttons + 1)
+      ].join('\n');
+      return {
+        type: 'template',
+        content,
+        message: {
+          attachment: {
+            type: 'template',
+            payload: {
+              template_type: 'button',
+              text: truncate(text, limits.templateText),
+              buttons: buttons.slice(0, limits.buttons).map(button => toMessengerButton(button, limits))
+            }
+          }
+        }
+      };
+    }
+    case 'card':
+    case 'carousel':
+      return {
+        type: 'template',
+        content,
+        message: {
+          attachment: {
+            type: 'template',
+            payload: {
+              template_type: 'generic',
+              elements: getCards(richResponse).slice(0, limits.elements).map(card => toTemplateElement(card, limits))
+            }
+          }
+        }
+      };
+    default:
+      return { type: 'text', content, message: { text: truncate(content, limits.text) } };
+  }
+}
+
+/**
+ * Format response for Instagram Direct (Messenger Platform for Instagram)
+ * Like Messenger, without button templates: links are listed in the text.
+ * @param {Object} richResponse - Rich response object
+ * @returns {Object} Instagram-formatted response { type, content, message }
+ */
+function formatForInstagram(richResponse) {
+  const limits = PLATFORM_LIMITS.instagram;
+  const content = toPlainText(richResponse);
+
+  switch (richResponse.type) {
+    case 'image':
+      return {
+        type: 'image',
+        content,
+        message: { attachment: { type: 'image', payload: { url: richResponse.url } } }
+      };
+    case 'button_list':
+    case 'quick_reply':
+      return { type: 'quick_reply', content, message: buildQuickReplyMessage(richResponse, limits) };
+    case 'card':
+    case 'carousel':
+      return {
+        type: 'template',
+        content,
+        message: {
+          attachment: {
+            type: 'template',
+            payload: {
+              template_type: 'generic',
+              elements: getCards(richResponse).slice(0, limits.elements).map(card => toTemplateElement(card, limits))
+            }
+          }
+        }
+      };
+    default:
+      return { type: 'text', content, message: { text: truncate(content, limits.text) } };
+  }
+}
+
+/**
+ * Format response for Shopee and Lazada seller chat
+ * Plain text, split into messages within the platform's limit; cards of
+ * marketplace products (with an itemId) become product cards, other cards text.
+ * @param {Object} richResponse - Rich response object
+ * @param {string} platform - 'shopee' or 'lazada'
+ * @returns {Object} Chat-formatted response { type: 'messages', content, messages: [{ type: 'text', text } | { type: 'product', itemId, title }] }
+ */
+function formatForMarketplaceChat(richResponse, platform) {
+  const limits = PLATFORM_LIMITS[platform];
+  const isCards = ['card', 'carousel'].includes(richResponse.type);
+  const products = isCards ? getCards(richResponse).filter(card => card.itemId !== null) : [];
+  const textResponse = isCards
+    ? { ...richResponse, items: getCards(richResponse).filter(card => card.itemId === null), type: 'carousel' }
+    : richResponse;
+  const text = toPlainText(textResponse);
+
+  return {
+    type: 'messages',
+    content: toPlainText(richResponse),
+    messages: [
+      ...splitText(text, limits.text).map(chunk => ({ type: 'text', text: chunk })),
+      ...products.map(card => compact({ type: 'product', itemId: String(card.itemId), title: card.title, price: card.price }))
+    ]
+  };
+}
+
+/**
+ * Build a LINE action from a button
+ * @param {Object} button - Button { text, value }
+ * @returns {Object} URI or postback action
+ */
+function toLineAction(button) {
+  const label = truncate(button.text, PLATFORM_LIMITS.line.label);
+  return isUrl(button.value)
+    ? { type: 'uri', label, uri: button.value }
+    : { type: 'postback', label, data: button.value, displayText: button.text };
+}
+
+/**
+ * Build a LINE Flex bubble from a card
+ * @param {Object} card - Card (see getCards)
+ * @returns {Object} Flex bubble
+ */
+function toLineBubble(card) {
+  const buttons = [
+    ...card.buttons.map(button => ({ type: 'button', style: 'link', height: 'sm', action: toLineAction(button) })),
+    ...(card.url && card.buttons.length === 0
+      ? [{ type: 'button', style: 'link', height: 'sm', action: { type: 'uri', label: 'View', uri: card.url } }]
+      : [])
+  ];
+
+  return compact({
+    type: 'bubble',
+    hero: card.imageUrl
+      ? { type: 'image', url: card.imageUrl, size: 'full', aspectRatio: '20:13', aspectMode: 'cover' }
+      : null,
+    body: {
+      type: 'box',
+      layout: 'vertical',
+      contents: [
+        { type: 'text', text: card.title, weight: 'bold', wrap: true },
+        card.price !== null ? { type: 'text', text: String(card.price), weight: 'bold', color: '#d0021b' } : null,
+        card.subtitle ? { type: 'text', text: card.subtitle, size: 'sm', color: '#666666', wrap: true } : null
+      ].filter(Boolean)
+    },
+    footer: buttons.length > 0 ? { type: 'box', layout: 'vertical', spacing: 'sm', contents: buttons } : null
+  });
+}
+
+/**
+ * Build a LINE Flex bubble from a table
+ * @param {Object} richResponse - Table response { headers, rows }
+ * @returns {Object} Flex bubble
+ */
+function toLineTableBubble(richResponse) {
+  const row = (cells, weight) => ({
+    type: 'box',
+    layout: 'horizontal',
+    spacing: 'sm',
+    contents: cells.map(cell => ({ type: 'text', text: String(cell) || '-', size: 'sm', weight, wrap: true, flex: 1 }))
+  });
+
+  return {
+    type: 'bubble',
+    body: {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'sm',
+      contents: [
+        row(richResponse.headers, 'bold'),
+        { type: 'separator' },
+        ...richResponse.rows.map(cells => row(cells, 'regular'))
+      ]
+    }
+  };
+}
+
+/**
+ * Format response for LINE (Messaging API messages)
+ * Cards, carousels and tables become Flex messages, buttons quick replies;
+ * forms and charts are sent as text.
+ * @param {Object} richResponse - Rich response object
+ * @returns {Object} LINE-formatted response { type, content, messages }
+ */
+function formatForLine(richResponse) {
+  const limits = PLATFORM_LIMITS.line;
+  const content = toPlainText(richResponse);
+  const altText = truncate(content || 'Message', limits.altText);
+  const intro = stripMarkup(richResponse.content).trim();
+
+  switch (richResponse.type) {
+    case 'image':
+      return {
+        type: 'image',
+        content,
+        messages: [
+          ...(richResponse.alt ? [{ type: 'text', text: truncate(richResponse.alt, limits.text) }] : []),
+          { type: 'image', originalContentUrl: richResponse.url, previewImageUrl: richResponse.url }
+        ]
+      };
+    case 'button_list':
+    case 'quick_reply': {
+      const buttons = getButtons(richResponse);
+      const text = [intro || 'Options', ...describeButtons(buttons.slice(limits.quickReplies), limits.quickReplies + 1)].join('\n');
+      return {
+        type: 'text',
+        content,
+        messages: [{
+          type: 'text',
+          text: truncate(text, limits.text),
+          quickReply: {
+            items: buttons.slice(0, limits.quickReplies).map(button => ({ type: 'action', action: toLineAction(button) }))
+          }
+        }]
+      };
+    }
+    case 'card':
+    case 'carousel': {
+      const bubbles = getCards(richResponse).slice(0, limits.bubbles).map(toLineBubble);
+      return {
+        type: 'flex',
+        content,
+        messages: [
+          ...(intro ? [{ type: 'text', text: truncate(intro, limits.text) }] : []),
+          {
+            type: 'flex',
+            altText,
+            contents: bubbles.length === 1 ? bubbles[0] : { type: 'carousel', contents: bubbles }
+          }
+        ]
+      };
+    }
+    case 'table':
+      return {
+        type: 'flex',
+        content,
+        messages: [{ type: 'flex', altText, contents: toLineTableBubble(richResponse) }]
+      };
+    default:
+      return { type: 'text', content, messages: [{ type: 'text', text: truncate(content, limits.text) }] };
+  }
+}
+
+/**
+ * Format response for WeChat (Official Account customer service messages)
+ * A card with a link becomes a news article and buttons a menu message; images
+ * (which must be uploaded as media first), carousels and tables are sent as
+ * text, where links are written as <a> tags.
+ * @param {Object} richResponse - Rich response object
+ * @returns {Object} WeChat-formatted response { type, content, message }
+ */
+function formatForWeChat(richResponse) {
+  const limits = PLATFORM_LIMITS.wechat;
+  const content = toPlainText(richResponse);
+  const link = (url, text) => `<a href="${escapeHtml(url)}">${escapeHtml(text)}</a>`;
+  const textMessage = text => ({
+    type: 'text',
+    content,
+    message: { msgtype: 'text', text: { content: truncateBytes(text, limits.textBytes) } }
+  });
+
+  switch (richResponse.type) {
+    case 'image':
+      return textMessage(link(richResponse.url, richResponse.alt || 'Image'));
+    case 'button_list':
+    case 'quick_reply': {
+      const buttons = getButtons(richResponse);
+      const menu = buttons.filter(button => !isUrl(button.value)).slice(0, limits.menuItems);
+      const links = buttons.filter(button => isUrl(button.value)).map(button => link(button.value, button.text));
+      const intro = stripMarkup(richResponse.content).trim();
+
+      if (menu.length === 0) {
+        return textMessage([intro, ...links].filter(Boolean).join('\n'));
+      }
+
+      return {
+        type: 'msgmenu',
+        content,
+        message: {
+          msgtype: 'msgmenu',
+          msgmenu: {
+            head_content: intro,
+            list: menu.map(button => ({ id: button.value, content: button.text })),
+            tail_content: links.join('\n')
+          }
+        }
+      };
+    }
+    case 'card':
+    case 'carousel': {
+      const cards = getCards(richResponse);
+
+      if (cards.length === 1 && cards[0].url) {
+        const [card] = cards;
+        return {
+          type: 'news',
+          content,
+          message: {
+            msgtype: 'news',
+            news: {
+              articles: [compact({
+                title: card.title,
+                description: [card.price, card.subtitle].filter(Boolean).join(' · '),
+                url: card.url,
+                picurl: card.imageUrl
+              })]
+            }
+          }
+        };
+      }
+
+      return textMessage([
+        stripMarkup(richResponse.content).trim(),
+        ...cards.map(card => {
+          const details = [card.price, card.subtitle].filter(Boolean).join(' · ');
+          const url = card.url || card.imageUrl;
+          return [url ? link(url, card.title) : card.title, details].filter(Boolean).join('\n');
+        })
+      ].filter(Boolean).join('\n\n'));
+    }
+    default:
+      return textMessage(content);
+  }
+}
+
 /**
  * Strip HTML tags and return plain text
  * @param {string} html - HTML content
@@ -757,6 +1434,8 @@ module.exports = {
   formatTextResponse,
   formatRichResponse,
   extractRichElements,
+  toPlainText,
   RESPONSE_TYPES,
-  PLATFORMS
+  PLATFORMS,
+  PLATFORM_LIMITS
 }; 
\ No newline at end of file
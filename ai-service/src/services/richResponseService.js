@@ -0,0 +1,415 @@
+/**
+ * Structured rich responses
+ * With ENABLE_STRUCTURED_RESPONSES the model answers with a JSON object
+ * (chat.rich_response template, JSON mode for models declaring the "json"
+ * capability) instead of free text with markup. The object is repaired when
+ * malformed, normalized and validated here; replies that cannot be read fall
+ * back to responseFormatterService.extractRichElements.
+ */
+const { RESPONSE_TYPES } = require('./responseFormatterService');
+const { validateSchema } = require('./toolService');
+
+// Element types the model may author (html and composite stay free-text only)
+const STRUCTURED_TYPES = [
+  RESPONSE_TYPES.TEXT,
+  RESPONSE_TYPES.MARKDOWN,
+  RESPONSE_TYPES.CARD,
+  RESPONSE_TYPES.CAROUSEL,
+  RESPONSE_TYPES.BUTTON_LIST,
+  RESPONSE_TYPES.QUICK_REPLY,
+  RESPONSE_TYPES.IMAGE,
+  RESPONSE_TYPES.FORM,
+  RESPONSE_TYPES.CHART,
+  RESPONSE_TYPES.TABLE
+];
+
+const FORM_FIELD_TYPES = ['text', 'number', 'email', 'tel', 'date', 'select'];
+const CHART_TYPES = ['bar', 'line', 'pie'];
+
+const buttonSchema = {
+  type: 'object',
+  properties: { text: { type: 'string' }, value: { type: 'string' } },
+  required: ['text', 'value']
+};
+
+const cardSchema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    subtitle: { type: 'string' },
+    imageUrl: { type: 'string' },
+    url: { type: 'string' },
+    price: { type: 'string' },
+    itemId: { type: 'string' },
+    buttons: { type: 'array', items: buttonSchema }
+  },
+  required: ['title']
+};
+
+/**
+ * Schema of a structured response (the subset of JSON Schema checked by toolService.validateSchema)
+ */
+const RICH_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: STRUCTURED_TYPES },
+    content: { type: 'string' },
+    ...cardSchema.properties,
+    items: { type: 'array', items: cardSchema },
+    alt: { type: 'string' },
+    headers: { type: 'array', items: { type: 'string' } },
+    rows: { type: 'array', items: { type: 'array', items: { type: 'string' } } },
+    fields: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          label: { type: 'string' },
+          type: { type: 'string', enum: FORM_FIELD_TYPES },
+          required: { type: 'boolean' },
+          options: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['name', 'label', 'type']
+      }
+    },
+    chartType: { type: 'string', enum: CHART_TYPES },
+    labels: { type: 'array', items: { type: 'string' } },
+    series: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { name: { type: 'string' }, data: { type: 'array', items: { type: 'number' } } },
+        required: ['name', 'data']
+      }
+    }
+  },
+  required: ['type']
+};
+
+// Fields kept for each type, the first ones listed in REQUIRED_FIELDS must not be empty
+const TYPE_FIELDS = {
+  text: ['content'],
+  markdown: ['content'],
+  card: ['title', 'subtitle', 'imageUrl', 'url', 'price', 'itemId', 'buttons'],
+  carousel: ['items'],
+  button_list: ['buttons'],
+  quick_reply: ['buttons'],
+  image: ['url', 'alt'],
+  form: ['fields'],
+  chart: ['chartType', 'labels', 'series'],
+  table: ['headers', 'rows']
+};
+
+const REQUIRED_FIELDS = {
+  text: ['content'],
+  markdown: ['content'],
+  card: ['title'],
+  carousel: ['items'],
+  button_list: ['buttons'],
+  quick_reply: ['buttons'],
+  image: ['url'],
+  form: ['fields'],
+  chart: ['labels', 'series'],
+  table: ['headers', 'rows']
+};
+
+/**
+ * Repair the JSON written by a model
+ * Handles code fences and surrounding prose, smart and single quotes,
+ * unquoted keys, trailing commas, raw newlines in strings, Python literals
+ * and output cut off before the closing brackets.
+ * @param {string} text - Model output
+ * @returns {string|null} Candidate JSON, null if the output has no object
+ */
+function repairJson(text) {
+  let source = String(text || '');
+
+  const fence = /```(?:json)?\s*([\s\S]*?)(?:```|$)/i.exec(source);
+  if (fence && fence[1].includes('{')) {
+    source = fence[1];
+  }
+
+  const start = source.indexOf('{');
+  if (start === -1) {
+    return null;
+  }
+  source = source.slice(start).replace(/[“”]/g, '"').replace(/[‘’]/g, "'");
+
+  // Fix the syntax between strings
+  const fixSyntax = segment => segment
+    .replace(/,(\s*[}\]])/g, '$1')
+    .replace(/([{,]\s*)([A-Za-z_$][\w$-]*)(\s*:)/g, '$1"$2"$3')
+    .replace(/\bTrue\b/g, 'true')
+    .replace(/\bFalse\b/g, 'false')
+    .replace(/\bNone\b/g, 'null');
+
+  let output = '';
+  let segment = '';
+  let quote = null;
+  let escaped = false;
+  const closers = [];
+
+  for (const char of source) {
+    if (quote) {
+      if (escaped) {
+        // \' is not a JSON escape
+        output = char === "'" ? `${output.slice(0, -1)}'` : output + char;
+        escaped = false;
+      } else if (char === '\\') {
+        output += char;
+        escaped = true;
+      } else if (char === quote) {
+        output += '"';
+        quote = null;
+      } else if (char === '"') {
+        output += '\\"';
+      } else if (char === '\n') {
+        output += '\\n';
+      } else {
+        output += char;
+      }
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      output += fixSyntax(segment) + '"';
+      segment = '';
+      quote = char;
+      continue;
+    }
+
+    if (char === '{' || char === '[') {
+      closers.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      closers.pop();
+    }
+    segment += char;
+
+    // Ignore anything after the top-level object
+    if (closers.length === 0) {
+      break;
+    }
+  }
+
+  if (quote) {
+    output += '"';
+  }
+  output += fixSyntax(segment);
+
+  // Cut off output: drop a dangling key or separator, then close what is open
+  if (closers.length > 0) {
+    if (closers[closers.length - 1] === '}') {
+      output = output.replace(/,\s*"[^"]*"\s*:?\s*$/, '');
+    }
+    output = output.replace(/[,:]\s*$/, '') + closers.reverse().join('');
+  }
+
+  return output;
+}
+
+/**
+ * Parse the JSON object of a model's output, repairing it if needed
+ * @param {string} text - Model output
+ * @returns {Object|null} { value, repaired } or null when no object can be read
+ */
+function parseJsonObject(text) {
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  try {
+    const value = JSON.parse(String(text || '').trim());
+    if (isObject(value)) {
+      return { value, repaired: false };
+    }
+  } catch (error) {
+    // Repaired below
+  }
+
+  const candidate = repairJson(text);
+  if (!candidate) {
+    return null;
+  }
+
+  try {
+    const value = JSON.parse(candidate);
+    return isObject(value) ? { value, repaired: true } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Convert a scalar to trimmed text
+ * @param {*} value - Value
+ * @returns {string|undefined} Text, undefined for missing or non-scalar values
+ */
+function toText(value) {
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  return typeof value === 'number' || typeof value === 'boolean' ? String(value) : undefined;
+}
+
+/**
+ * Normalize buttons written as strings or { text|title|label, value|payload|url }
+ * @param {*} buttons - Buttons
+ * @returns {Array<Object>|undefined} Buttons { text, value }
+ */
+function normalizeButtons(buttons) {
+  if (!Array.isArray(buttons)) {
+    return undefined;
+  }
+
+  return buttons
+    .map(button => {
+      if (typeof button !== 'object' || button === null) {
+        const text = toText(button);
+        return { text, value: text };
+      }
+      const text = toText(button.text ?? button.title ?? button.label);
+      return { text, value: toText(button.value ?? button.payload ?? button.url) ?? text };
+    })
+    .filter(button => button.text);
+}
+
+/**
+ * Normalize a card
+ * @param {Object} card - Card written by the model
+ * @returns {Object} Card with the fields of cardSchema
+ */
+function normalizeCard(card) {
+  return dropUndefined({
+    title: toText(card.title),
+    subtitle: toText(card.subtitle ?? card.description),
+    imageUrl: toText(card.imageUrl ?? card.image),
+    url: toText(card.url ?? card.link),
+    price: toText(card.price),
+    itemId: toText(card.itemId ?? card.productId),
+    buttons: normalizeButtons(card.buttons)
+  });
+}
+
+/**
+ * Remove undefined and empty string fields
+ * @param {Object} object - Object
+ * @returns {Object} Object
+ */
+function dropUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+/**
+ * Normalize the object written by the model to the fields of its type
+ * Models get the shape roughly right; common variations (buttons as strings,
+ * numbers as strings, "text" for "content") are accepted here.
+ * @param {Object} value - Parsed object
+ * @returns {Object} Normalized response (validated separately)
+ */
+function normalizeRichResponse(value) {
+  const type = String(value.type || RESPONSE_TYPES.TEXT).toLowerCase();
+  const fields = TYPE_FIELDS[type] || [];
+  const candidate = { ...value, ...(type === RESPONSE_TYPES.CARD ? normalizeCard(value) : {}) };
+
+  const normalizers = {
+    buttons: normalizeButtons,
+    items: items => Array.isArray(items)
+      ? items.filter(item => item && typeof item === 'object').map(normalizeCard).filter(card => card.title)
+      : undefined,
+    url: toText,
+    alt: toText,
+    headers: headers => Array.isArray(headers) ? headers.map(header => toText(header) ?? '') : undefined,
+    rows: rows => Array.isArray(rows)
+      ? rows.filter(Array.isArray).map(row => row.map(cell => toText(cell) ?? ''))
+      : undefined,
+    fields: formFields => Array.isArray(formFields)
+      ? formFields
+        .filter(field => field && toText(field.name))
+        .map(field => dropUndefined({
+          name: toText(field.name),
+          label: toText(field.label) || toText(field.name),
+          type: FORM_FIELD_TYPES.includes(field.type) ? field.type : 'text',
+          required: !!field.required,
+          options: Array.isArray(field.options) ? field.options.map(toText).filter(Boolean) : undefined
+        }))
+      : undefined,
+    chartType: chartType => CHART_TYPES.includes(chartType) ? chartType : 'bar',
+    labels: labels => Array.isArray(labels) ? labels.map(label => toText(label) ?? '') : undefined,
+    series: series => Array.isArray(series)
+      ? series
+        .filter(item => item && Array.isArray(item.data))
+        .map(item => ({ name: toText(item.name) || '', data: item.data.map(Number).filter(Number.isFinite) }))
+      : undefined
+  };
+
+  const response = {
+    type,
+    content: toText(value.content ?? value.text) || ''
+  };
+
+  fields.filter(field => field !== 'content').forEach(field => {
+    const normalize = normalizers[field] || toText;
+    const normalized = normalize(candidate[field]);
+    if (normalized !== undefined && normalized !== '') {
+      response[field] = normalized;
+    }
+  });
+
+  return response;
+}
+
+/**
+ * Validate a normalized response
+ * @param {Object} response - Normalized response
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateRichResponse(response) {
+  const errors = validateSchema(response, RICH_RESPONSE_SCHEMA, 'response');
+
+  (REQUIRED_FIELDS[response.type] || []).forEach(field => {
+    const value = response[field];
+    if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+      errors.push(`response.${field} is required for ${response.type}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Read a structured response from a model's output
+ * @param {string} text - Model output
+ * @returns {Object} { response, repaired, errors } - response is null when the
+ *   output cannot be used (callers fall back to text extraction)
+ */
+function parseRichResponse(text) {
+  const parsed = parseJsonObject(text);
+
+  if (!parsed) {
+    return { response: null, repaired: false, errors: ['The reply is not a JSON object'] };
+  }
+
+  const response = normalizeRichResponse(parsed.value);
+  const errors = validateRichResponse(response);
+
+  return { response: errors.length === 0 ? response : null, repaired: parsed.repaired, errors };
+}
+
+/**
+ * Get the text of a reply that could not be read as a structured response
+ * A JSON object with a text content yields that text, other output is
+ * returned unchanged (models without JSON mode often answer in plain text).
+ * @param {string} text - Model output
+ * @returns {string} Text for the reply
+ */
+function getFallbackText(text) {
+  const parsed = parseJsonObject(text);
+  return toText(parsed?.value.content ?? parsed?.value.text) || text;
+}
+
+module.exports = {
+  STRUCTURED_TYPES,
+  RICH_RESPONSE_SCHEMA,
+  repairJson,
+  parseRichResponse,
+  getFallbackText
+};
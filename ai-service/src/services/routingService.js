@@ -0,0 +1,396 @@
+/**
+ * Routing Service for AI Service
+ * Evaluates the declarative routing policy (see config/routingPolicy.js) to pick
+ * the model for a message, and explains the decision for dry runs
+ */
+const { loadRoutingPolicy, buildDefaultPolicy } = require('../config/routingPolicy');
+const safeRegex = require('safe-regex2');
+const { ApiError } = require('../middleware/errorHandler');
+const modelRegistry = require('./modelRegistry');
+
+// Condition operators: (actual fact value, expected value) => boolean
+const OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+  nin: (actual, expected) => Array.isArray(expected) && !expected.includes(actual),
+  gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+  gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+  lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+  lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+  matches: (actual, expected) => typeof actual === 'string' && new RegExp(expected, 'i').test(actual),
+  exists: (actual, expected) => (actual !== undefined && actual !== null) === expected
+};
+
+// Longest pattern a "matches" condition may use
+const MAX_PATTERN_LENGTH = 200;
+
+// Condition combinators
+const COMBINATORS = ['all', 'any', 'not'];
+
+// Facts rules can refer to
+const FACTS = [
+  'text', 'intent', 'intentConfidence', 'language', 'platform', 'plan',
+  'messageLength', 'conversationLength', 'historyLength', 'abTestId', 'abModel', 'complexity'
+];
+
+// Keywords that suggest an analytical question
+const COMPLEX_PATTERNS = [
+  'explain', 'analyze', 'compare', 'difference', 'why', 'how',
+  '分析', '比较', '解释', '为什么', '如何', '区别', '优缺点'
+];
+
+// Active routing policy
+let policy = loadConfiguredPolicy();
+
+/**
+ * Score the complexity of a message
+ * Length, analytical keywords and conversation history all add to the score.
+ * @param {string} text - Message text
+ * @param {Object} context - User context
+ * @returns {number} Complexity score
+ */
+function calculateComplexity(text, context) {
+  let complexityScore = text.length * 0.1;
+
+  const lowerText = text.toLowerCase();
+  if (COMPLEX_PATTERNS.some(pattern => lowerText.includes(pattern.toLowerCase()))) {
+    complexityScore += 50;
+  }
+
+  if (context && context.history) {
+    complexityScore += context.history.length * 5;
+  }
+
+  return complexityScore;
+}
+
+/**
+ * Build the facts a routing policy is evaluated against
+ * @param {Object} messageData - Message data (text, platform, context)
+ * @param {Object} signals - Signals computed by the caller
+ * @param {string} signals.intent - Recognized intent
+ * @param {number} signals.intentConfidence - Intent confidence
+ * @param {string} signals.language - Detected language (ISO 639-3, e.g. eng, cmn, zlm)
+ * @param {string} signals.plan - User subscription plan
+ * @param {string} signals.abTestId - Active A/B test the user is assigned to
+ * @param {string} signals.abModel - Model assigned by the A/B test
+ * @returns {Object} Routing facts
+ */
+function buildFacts(messageData, signals = {}) {
+  const { text = '', platform = 'web', context } = messageData;
+  const historyLength = context?.history?.length || 0;
+
+  return {
+    text,
+    intent: signals.intent ?? null,
+    intentConfidence: signals.intentConfidence ?? null,
+    language: signals.language ?? null,
+    platform,
+    plan: signals.plan ?? null,
+    messageLength: text.length,
+    conversationLength: context?.interactionCount ?? historyLength,
+    historyLength,
+    abTestId: signals.abTestId ?? null,
+    abModel: signals.abModel ?? null,
+    complexity: calculateComplexity(text, context)
+  };
+}
+
+/**
+ * Evaluate a rule condition against facts
+ * @param {Object} when - Condition object
+ * @param {Object} facts - Routing facts
+ * @returns {Object} Result { passed, checks } where checks explain every comparison
+ */
+function evaluateCondition(when, facts) {
+  const checks = [];
+
+  for (const [key, value] of Object.entries(when || {})) {
+    if (key === 'all' || key === 'any') {
+      const results = value.map(condition => evaluateCondition(condition, facts));
+      const passed = key === 'all'
+        ? results.every(result => result.passed)
+        : results.some(result => result.passed);
+
+      checks.push({ combinator: key, passed, checks: results.flatMap(result => result.checks) });
+      continue;
+    }
+
+    if (key === 'not') {
+      const result = evaluateCondition(value, facts);
+      checks.push({ combinator: 'not', passed: !result.passed, checks: result.checks });
+      continue;
+    }
+
+    // A plain value is an equality check
+    const comparisons = value !== null && typeof value === 'object' && !Array.isArray(value)
+      ? Object.entries(value)
+      : [['eq', value]];
+
+    for (const [operator, expected] of comparisons) {
+      const actual = facts[key];
+      checks.push({
+        fact: key,
+        operator,
+        expected,
+        actual: key === 'text' ? undefined : actual,
+        passed: !!OPERATORS[operator] && OPERATORS[operator](actual, expected)
+      });
+    }
+  }
+
+  return {
+    passed: checks.every(check => check.passed),
+    checks
+  };
+}
+
+/**
+ * Resolve the model of a rule, substituting "$fact" references
+ * @param {string} model - Rule model
+ * @param {Object} facts - Routing facts
+ * @returns {string|null} Model id
+ */
+function resolveModel(model, facts) {
+  if (typeof model === 'string' && model.startsWith('$')) {
+    return facts[model.slice(1)] || null;
+  }
+  return model;
+}
+
+/**
+ * Select a model for a set of facts
+ * @param {Object} facts - Routing facts
+ * @param {Object} routingPolicy - Policy to evaluate (defaults to the active policy)
+ * @returns {Object} Decision { model, ruleId, reason, trace }
+ */
+function selectModel(facts, routingPolicy = policy) {
+  const trace = [];
+
+  for (const rule of getOrderedRules(routingPolicy)) {
+    const result = evaluateCondition(rule.when, facts);
+    const model = resolveModel(rule.model, facts);
+    const entry = {
+      ruleId: rule.id,
+      description: rule.description || null,
+      priority: rule.priority || 0,
+      matched: result.passed,
+      model,
+      checks: result.checks
+    };
+
+    if (result.passed && !modelRegistry.isModelAvailable(model)) {
+      entry.skipped = `Model ${model} is not available`;
+    }
+
+    trace.push(entry);
+
+    if (result.passed && !entry.skipped) {
+      return {
+        model,
+        ruleId: rule.id,
+        reason: rule.description || `Matched rule ${rule.id}`,
+        trace
+      };
+    }
+  }
+
+  return {
+    model: routingPolicy.defaultModel,
+    ruleId: null,
+    reason: 'No rule matched, using the default model',
+    trace
+  };
+}
+
+/**
+ * Get enabled rules in evaluation order (priority desc, then declaration order)
+ * @param {Object} routingPolicy - Routing policy
+ * @returns {Array<Object>} Rules
+ */
+function getOrderedRules(routingPolicy) {
+  return routingPolicy.rules
+    .filter(rule => rule.enabled !== false)
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+}
+
+/**
+ * Validate a condition, collecting errors
+ * @param {Object} when - Condition object
+ * @param {string} where - Location used in error messages
+ * @param {Array<string>} errors - Collected errors
+ */
+function validateCondition(when, where, errors) {
+  if (when === undefined) {
+    return;
+  }
+
+  if (!when || typeof when !== 'object' || Array.isArray(when)) {
+    errors.push(`${where}: condition must be an object`);
+    return;
+  }
+
+  for (const [key, value] of Object.entries(when)) {
+    if (key === 'all' || key === 'any') {
+      if (!Array.isArray(value)) {
+        errors.push(`${where}.${key}: must be an array of conditions`);
+        continue;
+      }
+      value.forEach((condition, index) => validateCondition(condition, `${where}.${key}[${index}]`, errors));
+      continue;
+    }
+
+    if (key === 'not') {
+      validateCondition(value, `${where}.not`, errors);
+      continue;
+    }
+
+    if (!FACTS.includes(key)) {
+      errors.push(`${where}: unknown fact "${key}"`);
+      continue;
+    }
+
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      continue;
+    }
+
+    for (const [operator, expected] of Object.entries(value)) {
+      if (!OPERATORS[operator]) {
+        errors.push(`${where}.${key}: unknown operator "${operator}"`);
+      } else if (operator === 'matches') {
+        validatePattern(expected, `${where}.${key}`, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate the pattern of a "matches" condition
+ * Nested quantifiers such as (a+)+ backtrack exponentially and would block the
+ * event loop, so only short patterns without them are accepted.
+ * @param {string} pattern - Regular expression source
+ * @param {string} where - Location used in error messages
+ * @param {Array<string>} errors - Collected errors
+ */
+function validatePattern(pattern, where, errors) {
+  if (typeof pattern !== 'string' || pattern.length > MAX_PATTERN_LENGTH) {
+    errors.push(`${where}: regular expression must be a string of at most ${MAX_PATTERN_LENGTH} characters`);
+    return;
+  }
+
+  try {
+    new RegExp(pattern, 'i');
+  } catch (error) {
+    errors.push(`${where}: invalid regular expression "${pattern}"`);
+    return;
+  }
+
+  if (!safeRegex(pattern)) {
+    errors.push(`${where}: regular expression "${pattern}" has nested quantifiers`);
+  }
+}
+
+/**
+ * Validate a routing policy
+ * @param {Object} candidate - Routing policy { defaultModel, rules }
+ * @returns {Object} The policy
+ * @throws {ApiError} 400 listing every problem found
+ */
+function validatePolicy(candidate) {
+  const errors = [];
+
+  if (!candidate || typeof candidate.defaultModel !== 'string') {
+    errors.push('defaultModel must be a model id');
+  }
+
+  if (!candidate || !Array.isArray(candidate.rules)) {
+    errors.push('rules must be an array');
+  } else {
+    const ids = new Set();
+
+    candidate.rules.forEach((rule, index) => {
+      const where = `rules[${index}]`;
+
+      if (!rule.id) {
+        errors.push(`${where}: id is required`);
+      } else if (ids.has(rule.id)) {
+        errors.push(`${where}: duplicate id "${rule.id}"`);
+      }
+      ids.add(rule.id);
+
+      if (typeof rule.model !== 'string') {
+        errors.push(`${where}: model must be a model id or a "$fact" reference`);
+      } else if (rule.model.startsWith('$') && !FACTS.includes(rule.model.slice(1))) {
+        errors.push(`${where}: model references unknown fact "${rule.model}"`);
+      } else if (!rule.model.startsWith('$') && !modelRegistry.getModel(rule.model)) {
+        errors.push(`${where}: model "${rule.model}" is not declared`);
+      }
+
+      validateCondition(rule.when, `${where}.when`, errors);
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new ApiError('Invalid routing policy', 400, { errors });
+  }
+
+  return candidate;
+}
+
+/**
+ * Load the configured routing policy, falling back to the defaults if it is invalid
+ * @returns {Object} Routing policy { defaultModel, rules }
+ */
+function loadConfiguredPolicy() {
+  try {
+    return validatePolicy(loadRoutingPolicy());
+  } catch (error) {
+    console.error('Invalid routing policy, using the default policy:', error.data?.errors || error);
+    return buildDefaultPolicy();
+  }
+}
+
+/**
+ * Get the active routing policy
+ * @returns {Object} Routing policy { defaultModel, rules }
+ */
+function getPolicy() {
+  return policy;
+}
+
+/**
+ * Replace the active routing policy
+ * @param {Object} newPolicy - Routing policy { defaultModel, rules }
+ * @returns {Object} The active policy
+ * @throws {ApiError} 400 when the policy is invalid
+ */
+function setPolicy(newPolicy) {
+  policy = validatePolicy({
+    defaultModel: newPolicy.defaultModel || policy.defaultModel,
+    rules: newPolicy.rules
+  });
+  return policy;
+}
+
+/**
+ * Restore the configured routing policy (file or defaults)
+ * @returns {Object} The active policy
+ */
+function resetPolicy() {
+  policy = loadConfiguredPolicy();
+  return policy;
+}
+
+module.exports = {
+  FACTS,
+  OPERATORS: Object.keys(OPERATORS),
+  COMBINATORS,
+  buildFacts,
+  evaluateCondition,
+  selectModel,
+  validatePolicy,
+  getPolicy,
+  setPolicy,
+  resetPolicy
+};
@@ -0,0 +1,366 @@
+/**
+ * Sentiment Service for AI Service
+ * Scores inbound customer messages for sentiment, urgency and toxicity, and
+ * decides whether a message should be escalated to a human. The default
+ * scorer is lexicon-based (English, Chinese and Malay word lists with
+ * negation and intensifiers) and runs offline; with SENTIMENT_PROVIDER=llm a
+ * model scores the message instead, falling back to the lexicon when it fails.
+ *
+ * Scores:
+ * - sentiment.score: -1 (very negative) ... 1 (very positive), label negative/neutral/positive
+ * - urgency.score: 0 ... 1, level low/medium/high
+ * - toxicity.score: 0 ... 1, toxic when above TOXICITY_THRESHOLD
+ */
+const { FEATURES } = require('./usageService');
+
+// Environment variables
+const SENTIMENT_PROVIDER = process.env.SENTIMENT_PROVIDER || 'lexicon';
+const SENTIMENT_MODEL = process.env.SENTIMENT_MODEL || process.env.DEFAULT_AI_MODEL || 'gemini-2.0-flash-lite';
+const TOXICITY_THRESHOLD = parseFloat(process.env.TOXICITY_THRESHOLD || '0.5');
+const ESCALATION_SENTIMENT_THRESHOLD = parseFloat(process.env.ESCALATION_SENTIMENT_THRESHOLD || '-0.6');
+const ESCALATION_URGENCY_THRESHOLD = parseFloat(process.env.ESCALATION_URGENCY_THRESHOLD || '0.7');
+const ESCALATION_TOXICITY_THRESHOLD = parseFloat(process.env.ESCALATION_TOXICITY_THRESHOLD || '0.7');
+
+const SENTIMENT_LABELS = {
+  NEGATIVE: 'negative',
+  NEUTRAL: 'neutral',
+  POSITIVE: 'positive'
+};
+
+const URGENCY_LEVELS = {
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high'
+};
+
+const ESCALATION_REASONS = {
+  NEGATIVE_SENTIMENT: 'negative_sentiment',
+  HIGH_URGENCY: 'high_urgency',
+  TOXICITY: 'toxicity'
+};
+
+// Sentiment lexicon: term -> weight (positive or negative)
+const SENTIMENT_LEXICON = {
+  // English
+  good: 1.5, great: 2, excellent: 2.5, amazing: 2.5, awesome: 2.5, perfect: 2.5, love: 2.5, like: 1,
+  nice: 1.5, happy: 2, glad: 1.5, thanks: 1.5, 'thank you': 1.5, helpful: 1.5, satisfied: 2, best: 2,
+  wonderful: 2.5, fast: 1, friendly: 1.5, recommend: 1.5,
+  bad: -1.5, terrible: -2.5, awful: -2.5, worst: -3, hate: -2.5, angry: -2.5, disappointed: -2,
+  disappointing: -2, poor: -1.5, slow: -1, broken: -2, damaged: -2, wrong: -1.5, late: -1,
+  useless: -2.5, rude: -2.5, scam: -3, fake: -2, upset: -2, annoyed: -2, unacceptable: -2.5,
+  ridiculous: -2, frustrated: -2, frustrating: -2, complaint: -1.5, refund: -1, problem: -1, issue: -1,
+  'not working': -2, 'never again': -2.5,
+  // Chinese
+  '好': 1, '很好': 2, '不错': 1.5, '满意': 2, '谢谢': 1.5, '感谢': 1.5, '喜欢': 2, '棒': 2, '完美': 2.5,
+  '开心': 2, '推荐': 1.5, '专业': 1.5,
+  '差': -1.5, '很差': -2.5, '糟糕': -2.5, '失望': -2, '生气': -2.5, '投诉': -2, '退款': -1, '骗子': -3,
+  '慢': -1, '坏了': -2, '不满': -2, '烂': -2.5, '恶心': -2.5, '气死': -3, '问题': -1, '太差': -2.5, '不好': -1.5,
+  // Malay
+  bagus: 1.5, baik: 1, 'terima kasih': 1.5, suka: 1.5, gembira: 2, 'puas hati': 2, cantik: 1.5,
+  mantap: 2, terbaik: 2.5, cepat: 1,
+  teruk: -2.5, buruk: -2, kecewa: -2, marah: -2.5, lambat: -1, rosak: -2, tipu: -3, penipu: -3,
+  'tak puas hati': -2, geram: -2, masalah: -1, aduan: -1.5
+};
+
+// Urgency lexicon: term -> weight
+const URGENCY_LEXICON = {
+  urgent: 0.5, urgently: 0.5, asap: 0.5, immediately: 0.5, emergency: 0.6, 'right now': 0.4, now: 0.2,
+  today: 0.2, quickly: 0.3, hurry: 0.4, help: 0.2, deadline: 0.3, 'as soon as possible': 0.5,
+  '紧急': 0.6, '急': 0.4, '马上': 0.4, '立刻': 0.5, '赶快': 0.4, '尽快': 0.4, '今天': 0.2, '快点': 0.3, '救命': 0.6,
+  segera: 0.5, kecemasan: 0.6, sekarang: 0.3, 'cepat sikit': 0.4, tolong: 0.2, 'hari ini': 0.2
+};
+
+// Toxicity lexicon: term -> weight (insults, profanity, threats)
+const TOXICITY_LEXICON = {
+  fuck: 0.9, fucking: 0.9, shit: 0.7, bullshit: 0.8, bitch: 0.9, bastard: 0.9, asshole: 0.9,
+  idiot: 0.7, stupid: 0.6, dumb: 0.5, moron: 0.7, damn: 0.3, crap: 0.4, wtf: 0.5, 'shut up': 0.6,
+  'go to hell': 0.8, kill: 0.6,
+  '傻逼': 0.9, '他妈': 0.8, '妈的': 0.8, '操你': 0.9, '白痴': 0.7, '笨蛋': 0.5, '去死': 0.9, '混蛋': 0.8,
+  '滚': 0.6, '废物': 0.6,
+  bodoh: 0.6, babi: 0.8, sial: 0.6, celaka: 0.6, bangang: 0.7, bengap: 0.6, pukimak: 0.9, puki: 0.9,
+  lancau: 0.9, 'pergi mampus': 0.9
+};
+
+// Words that flip the sentiment of the term that follows them
+const NEGATION_PATTERN = /(?:\b(?:not|no|never|don't|dont|doesn't|isn't|wasn't|aren't|tak|tidak|bukan|kurang|belum)\s+(?:\w+\s+)?|[不没沒别別]有?)$/i;
+// Words that strengthen the term that follows them
+const INTENSIFIER_PATTERN = /(?:\b(?:very|so|really|extremely|super|totally|sangat|amat|terlalu|sungguh)\s+|[很非常太超真])$/i;
+
+const CJK_PATTERN = /[一-鿿]/;
+
+/**
+ * Find the lexicon terms in a message
+ * Longer terms are matched first and shorter terms inside them are skipped
+ * ("tak puas hati" is not also counted as "puas hati").
+ * @param {string} text - Message text
+ * @param {Object} lexicon - Term -> weight
+ * @returns {Array<Object>} Matches { term, weight, start, end }
+ */
+function findTerms(text, lexicon) {
+  const lowerText = text.toLowerCase();
+  const matches = [];
+
+  Object.keys(lexicon)
+    .sort((a, b) => b.length - a.length)
+    .forEach(term => {
+      // Latin terms match whole words, CJK terms anywhere
+      const pattern = CJK_PATTERN.test(term)
+        ? new RegExp(term, 'g')
+        : new RegExp(`(?<![a-z])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![a-z])`, 'g');
+
+      for (const match of lowerText.matchAll(pattern)) {
+        const start = match.index;
+        const end = start + term.length;
+        if (!matches.some(other => start < other.end && other.start < end)) {
+          matches.push({ term, weight: lexicon[term], start, end });
+        }
+      }
+    });
+
+  return matches;
+}
+
+/**
+ * Score the sentiment of a message with the lexicon
+ * Weights are flipped after a negation, strengthened after an intensifier,
+ * and the sum is normalized to -1 ... 1 (as in VADER). Insults count as negative.
+ * @param {string} text - Message text
+ * @param {number} toxicity - Toxicity score of the message
+ * @returns {number} Sentiment score
+ */
+function scoreSentiment(text, toxicity = 0) {
+  let total = toxicity > 0 ? -2 * toxicity : 0;
+
+  findTerms(text, SENTIMENT_LEXICON).forEach(({ weight, start }) => {
+    const before = text.slice(Math.max(0, start - 20), start);
+    let value = weight;
+
+    if (INTENSIFIER_PATTERN.test(before)) {
+      value *= 1.5;
+    }
+    if (NEGATION_PATTERN.test(before.replace(INTENSIFIER_PATTERN, ''))) {
+      value *= -0.75;
+    }
+    total += value;
+  });
+
+  // Exclamation marks amplify whatever the message expresses
+  const exclamations = Math.min((text.match(/[!！]/g) || []).length, 3);
+  if (total !== 0) {
+    total += Math.sign(total) * exclamations * 0.3;
+  }
+
+  return Math.round((total / Math.sqrt(total * total + 15)) * 100) / 100;
+}
+
+/**
+ * Check whether a message is "shouted" (mostly capital letters)
+ * @param {string} text - Message text
+ * @returns {boolean} Whether it is
+ */
+function isShouting(text) {
+  const letters = text.match(/[A-Za-z]/g) || [];
+  const capitals = text.match(/[A-Z]/g) || [];
+  return letters.length >= 6 && capitals.length / letters.length > 0.7;
+}
+
+/**
+ * Sum the weights of the lexicon terms in a message, capped at 1
+ * @param {string} text - Message text
+ * @param {Object} lexicon - Term -> weight
+ * @returns {number} Score
+ */
+function sumTerms(text, lexicon) {
+  return Math.min(1, findTerms(text, lexicon).reduce((sum, match) => sum + match.weight, 0));
+}
+
+/**
+ * Score the urgency of a message with the lexicon
+ * Urgent words, exclamation and question marks, shouting and strong negative
+ * sentiment all raise the score.
+ * @param {string} text - Message text
+ * @param {number} sentiment - Sentiment score of the message
+ * @returns {number} Urgency score
+ */
+function scoreUrgency(text, sentiment) {
+  let score = sumTerms(text, URGENCY_LEXICON);
+
+  score += Math.min((text.match(/[!！]/g) || []).length, 3) * 0.1;
+  if (/[?？]{2,}/.test(text)) {
+    score += 0.1;
+  }
+  if (isShouting(text)) {
+    score += 0.2;
+  }
+  if (sentiment < 0) {
+    score += -sentiment * 0.3;
+  }
+
+  return Math.round(Math.min(1, score) * 100) / 100;
+}
+
+/**
+ * Label a sentiment score
+ * @param {number} score - Sentiment score
+ * @returns {string} negative, neutral or positive
+ */
+function labelSentiment(score) {
+  if (score <= -0.2) return SENTIMENT_LABELS.NEGATIVE;
+  if (score >= 0.2) return SENTIMENT_LABELS.POSITIVE;
+  return SENTIMENT_LABELS.NEUTRAL;
+}
+
+/**
+ * Grade an urgency score
+ * @param {number} score - Urgency score
+ * @returns {string} low, medium or high
+ */
+function levelUrgency(score) {
+  if (score >= ESCALATION_URGENCY_THRESHOLD) return URGENCY_LEVELS.HIGH;
+  if (score >= 0.4) return URGENCY_LEVELS.MEDIUM;
+  return URGENCY_LEVELS.LOW;
+}
+
+/**
+ * Decide whether a message should be escalated to a human
+ * @param {Object} scores - { sentiment, urgency, toxicity } scores
+ * @returns {Object} { escalate, reasons }
+ */
+function getEscalation(scores) {
+  const reasons = [];
+
+  if (scores.sentiment <= ESCALATION_SENTIMENT_THRESHOLD) {
+    reasons.push(ESCALATION_REASONS.NEGATIVE_SENTIMENT);
+  }
+  if (scores.urgency >= ESCALATION_URGENCY_THRESHOLD) {
+    reasons.push(ESCALATION_REASONS.HIGH_URGENCY);
+  }
+  if (scores.toxicity >= ESCALATION_TOXICITY_THRESHOLD) {
+    reasons.push(ESCALATION_REASONS.TOXICITY);
+  }
+
+  return { escalate: reasons.length > 0, reasons };
+}
+
+/**
+ * Build the analysis result from raw scores
+ * @param {Object} scores - { sentiment, urgency, toxicity } scores
+ * @param {string} source - lexicon or llm
+ * @returns {Object} Analysis { sentiment, urgency, toxicity, escalation, source }
+ */
+function buildAnalysis(scores, source) {
+  return {
+    sentiment: { score: scores.sentiment, label: labelSentiment(scores.sentiment) },
+    urgency: { score: scores.urgency, level: levelUrgency(scores.urgency) },
+    toxicity: { score: scores.toxicity, toxic: scores.toxicity >= TOXICITY_THRESHOLD },
+    escalation: getEscalation(scores),
+    source
+  };
+}
+
+/**
+ * Score a message with the lexicon (no model call)
+ * @param {string} text - Message text
+ * @returns {Object} Analysis
+ */
+function analyzeWithLexicon(text) {
+  const toxicity = Math.round(sumTerms(text || '', TOXICITY_LEXICON) * 100) / 100;
+  const sentiment = scoreSentiment(text || '', toxicity);
+
+  return buildAnalysis({
+    sentiment,
+    urgency: scoreUrgency(text || '', sentiment),
+    toxicity
+  }, 'lexicon');
+}
+
+/**
+ * Parse the scores returned by the model
+ * @param {string} reply - Model reply
+ * @returns {Object|null} { sentiment, urgency, toxicity } or null if invalid
+ */
+function parseScores(reply) {
+  const json = (reply || '').match(/\{[\s\S]*\}/);
+  if (!json) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(json[0]);
+    const clamp = (value, min, max) => Math.round(Math.min(max, Math.max(min, Number(value))) * 100) / 100;
+
+    if ([parsed.sentiment, parsed.urgency, parsed.toxicity].some(value => !Number.isFinite(Number(value)))) {
+      return null;
+    }
+
+    return {
+      sentiment: clamp(parsed.sentiment, -1, 1),
+      urgency: clamp(parsed.urgency, 0, 1),
+      toxicity: clamp(parsed.toxicity, 0, 1)
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Score a message with a model
+ * @param {string} text - Message text
+ * @param {string} userId - User the model usage is billed to (optional)
+ * @returns {Promise<Object>} Analysis
+ * @throws {Error} When the model fails or returns invalid scores
+ */
+async function analyzeWithModel(text, userId) {
+  // Required lazily: aiService depends on this module
+  const aiService = require('./aiService');
+
+  const prompt = 'Score this customer service message. Reply with JSON only: ' +
+    '{"sentiment": <-1 very negative ... 1 very positive>, "urgency": <0 ... 1>, "toxicity": <0 ... 1, insults or profanity>}\n\n' +
+    `Message: ${text}`;
+
+  const response = await aiService.generateText(prompt, {
+    model: SENTIMENT_MODEL,
+    maxTokens: 64,
+    userId,
+    feature: FEATURES.MESSAGE_ANALYSIS
+  });
+
+  const scores = parseScores(response.text);
+  if (!scores) {
+    throw new Error('Model returned invalid scores');
+  }
+
+  return buildAnalysis(scores, 'llm');
+}
+
+/**
+ * Score a message for sentiment, urgency and toxicity
+ * @param {string} text - Message text
+ * @param {Object} options - Options
+ * @param {string} options.provider - lexicon or llm (defaults to SENTIMENT_PROVIDER)
+ * @param {string} options.userId - User the model usage is billed to (optional)
+ * @returns {Promise<Object>} Analysis { sentiment, urgency, toxicity, escalation, source }
+ */
+async function analyzeMessage(text, options = {}) {
+  const provider = options.provider || SENTIMENT_PROVIDER;
+
+  if (provider === 'llm' && text) {
+    try {
+      return await analyzeWithModel(text, options.userId);
+    } catch (error) {
+      console.warn('LLM sentiment analysis failed, using the lexicon:', error.message);
+    }
+  }
+
+  return analyzeWithLexicon(text);
+}
+
+module.exports = {
+  SENTIMENT_LABELS,
+  URGENCY_LEVELS,
+  ESCALATION_REASONS,
+  analyzeMessage,
+  analyzeWithLexicon,
+  getEscalation,
+  parseScores
+};
@@ -0,0 +1,472 @@
+/**
+ * Statistics service for the AI Service
+ * Hypothesis tests, confidence intervals, multiple-comparison corrections and
+ * Bayesian posteriors used to analyse A/B experiments
+ */
+
+/**
+ * Summarize a sample
+ * @param {Array<number>} values - Observations
+ * @returns {Object} { n, mean, variance, sd }
+ */
+function summarize(values) {
+  const n = values.length;
+  if (n === 0) {
+    return { n: 0, mean: null, variance: null, sd: null };
+  }
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / n;
+  const variance = n > 1
+    ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1)
+    : 0;
+
+  return { n, mean, variance, sd: Math.sqrt(variance) };
+}
+
+/**
+ * Natural logarithm of the gamma function (Lanczos approximation)
+ * @param {number} x - Positive number
+ * @returns {number} ln Γ(x)
+ */
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  for (const coefficient of coefficients) {
+    series += coefficient / ++y;
+  }
+  return -tmp + Math.log((2.5066282746310005 * series) / x);
+}
+
+/**
+ * Continued fraction of the incomplete beta function (modified Lentz)
+ * @param {number} a - Shape a
+ * @param {number} b - Shape b
+ * @param {number} x - Point in [0, 1]
+ * @returns {number} Continued fraction value
+ */
+function betaContinuedFraction(a, b, x) {
+  const maxIterations = 200;
+  const epsilon = 3e-14;
+  const tiny = 1e-300;
+
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= maxIterations; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+
+    if (Math.abs(delta - 1) < epsilon) break;
+  }
+
+  return h;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @param {number} x - Point in [0, 1]
+ * @param {number} a - Shape a
+ * @param {number} b - Shape b
+ * @returns {number} I_x(a, b)
+ */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+/**
+ * Cumulative distribution function of the standard normal distribution
+ * @param {number} z - Value
+ * @returns {number} P(Z <= z)
+ */
+function normalCdf(z) {
+  // erfc approximation with fractional error below 1.2e-7 (Numerical Recipes)
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.5 * x);
+  const erfc = t * Math.exp(
+    -x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+    t * (-0.82215223 + t * 0.17087277))))))))
+  );
+  return z >= 0 ? 1 - erfc / 2 : erfc / 2;
+}
+
+/**
+ * Quantile function of the standard normal distribution (Acklam's algorithm)
+ * @param {number} p - Probability in (0, 1)
+ * @returns {number} z such that P(Z <= z) = p
+ */
+function normalQuantile(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.38357751867269e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Cumulative distribution function of Student's t distribution
+ * @param {number} t - Value
+ * @param {number} df - Degrees of freedom
+ * @returns {number} P(T <= t)
+ */
+function studentTCdf(t, df) {
+  if (!Number.isFinite(df)) {
+    return normalCdf(t);
+  }
+  const tail = 0.5 * incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  return t >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Quantile function of Student's t distribution (bisection on the CDF)
+ * @param {number} p - Probability in (0, 1)
+ * @param {number} df - Degrees of freedom
+ * @returns {number} t such that P(T <= t) = p
+ */
+function studentTQuantile(p, df) {
+  if (!Number.isFinite(df)) {
+    return normalQuantile(p);
+  }
+
+  let low = -1000;
+  let high = 1000;
+  for (let i = 0; i < 200 && high - low > 1e-10; i++) {
+    const mid = (low + high) / 2;
+    if (studentTCdf(mid, df) < p) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Confidence interval of a mean (t distribution)
+ * @param {Object} summary - Sample summary from summarize
+ * @param {number} confidenceLevel - Confidence level, e.g. 0.95
+ * @returns {Array<number>|null} [lower, upper]
+ */
+function meanConfidenceInterval(summary, confidenceLevel = 0.95) {
+  if (!summary || summary.n < 2) {
+    return null;
+  }
+
+  const margin = studentTQuantile(1 - (1 - confidenceLevel) / 2, summary.n - 1) * Math.sqrt(summary.variance / summary.n);
+  return [summary.mean - margin, summary.mean + margin];
+}
+
+/**
+ * Wilson score interval of a proportion
+ * @param {number} successes - Number of successes
+ * @param {number} n - Number of trials
+ * @param {number} confidenceLevel - Confidence level, e.g. 0.95
+ * @returns {Array<number>|null} [lower, upper]
+ */
+function proportionConfidenceInterval(successes, n, confidenceLevel = 0.95) {
+  if (n === 0) {
+    return null;
+  }
+
+  const z = normalQuantile(1 - (1 - confidenceLevel) / 2);
+  const p = successes / n;
+  const denominator = 1 + (z * z) / n;
+  const center = (p + (z * z) / (2 * n)) / denominator;
+  const margin = (z * Math.sqrt((p * (1 - p)) / n + (z * z) / (4 * n * n))) / denominator;
+  return [Math.max(0, center - margin), Math.min(1, center + margin)];
+}
+
+/**
+ * Welch's t-test for the difference of two means (unequal variances)
+ * @param {Object} a - Summary of sample A
+ * @param {Object} b - Summary of sample B
+ * @param {number} confidenceLevel - Confidence level of the interval
+ * @returns {Object|null} { statistic, df, pValue, difference, ci } for mean(A) - mean(B); null with fewer than 2 observations per sample
+ */
+function welchTTest(a, b, confidenceLevel = 0.95) {
+  if (!a || !b || a.n < 2 || b.n < 2) {
+    return null;
+  }
+
+  const difference = a.mean - b.mean;
+  const varianceA = a.variance / a.n;
+  const varianceB = b.variance / b.n;
+  const standardError = Math.sqrt(varianceA + varianceB);
+
+  if (standardError === 0) {
+    return {
+      statistic: difference === 0 ? 0 : Math.sign(difference) * Infinity,
+      df: a.n + b.n - 2,
+      pValue: difference === 0 ? 1 : 0,
+      difference,
+      ci: [difference, difference]
+    };
+  }
+
+  const statistic = difference / standardError;
+  // Welch-Satterthwaite degrees of freedom
+  const df = (varianceA + varianceB) ** 2 /
+    ((varianceA ** 2) / (a.n - 1) + (varianceB ** 2) / (b.n - 1));
+  const pValue = 2 * (1 - studentTCdf(Math.abs(statistic), df));
+  const margin = studentTQuantile(1 - (1 - confidenceLevel) / 2, df) * standardError;
+
+  return {
+    statistic,
+    df,
+    pValue: Math.min(1, Math.max(0, pValue)),
+    difference,
+    ci: [difference - margin, difference + margin]
+  };
+}
+
+/**
+ * Two-proportion z-test (pooled standard error for the test, unpooled for the interval)
+ * @param {number} successesA - Successes in A
+ * @param {number} nA - Trials in A
+ * @param {number} successesB - Successes in B
+ * @param {number} nB - Trials in B
+ * @param {number} confidenceLevel - Confidence level of the interval
+ * @returns {Object|null} { statistic, pValue, difference, ci } for rate(A) - rate(B); null without trials
+ */
+function twoProportionZTest(successesA, nA, successesB, nB, confidenceLevel = 0.95) {
+  if (nA === 0 || nB === 0) {
+    return null;
+  }
+
+  const rateA = successesA / nA;
+  const rateB = successesB / nB;
+  const difference = rateA - rateB;
+  const pooled = (successesA + successesB) / (nA + nB);
+  const pooledError = Math.sqrt(pooled * (1 - pooled) * (1 / nA + 1 / nB));
+  const statistic = pooledError > 0 ? difference / pooledError : 0;
+  const pValue = pooledError > 0 ? 2 * (1 - normalCdf(Math.abs(statistic))) : 1;
+
+  const unpooledError = Math.sqrt((rateA * (1 - rateA)) / nA + (rateB * (1 - rateB)) / nB);
+  const margin = normalQuantile(1 - (1 - confidenceLevel) / 2) * unpooledError;
+
+  return {
+    statistic,
+    pValue: Math.min(1, Math.max(0, pValue)),
+    difference,
+    ci: [difference - margin, difference + margin]
+  };
+}
+
+/**
+ * Adjust p-values for multiple comparisons
+ * @param {Array<number>} pValues - Raw p-values
+ * @param {string} method - 'holm' (Holm-Bonferroni), 'bonferroni' or 'none'
+ * @returns {Array<number>} Adjusted p-values in the original order
+ */
+function adjustPValues(pValues, method = 'holm') {
+  const m = pValues.length;
+
+  if (method === 'none') {
+    return [...pValues];
+  }
+
+  if (method === 'bonferroni') {
+    return pValues.map(p => Math.min(1, p * m));
+  }
+
+  // Holm step-down: adjusted p-values are made monotone in the sorted order
+  const order = pValues.map((p, index) => ({ p, index })).sort((a, b) => a.p - b.p);
+  const adjusted = new Array(m);
+  let running = 0;
+  order.forEach(({ p, index }, rank) => {
+    running = Math.max(running, Math.min(1, (m - rank) * p));
+    adjusted[index] = running;
+  });
+  return adjusted;
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw from the standard normal distribution (Box-Muller)
+ * @param {Function} random - Uniform generator
+ * @returns {number} Sample
+ */
+function sampleNormal(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Draw from a gamma distribution with scale 1 (Marsaglia-Tsang)
+ * @param {number} shape - Shape parameter
+ * @param {Function} random - Uniform generator
+ * @returns {number} Sample
+ */
+function sampleGamma(shape, random) {
+  if (shape < 1) {
+    return sampleGamma(shape + 1, random) * Math.pow(random(), 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = random();
+    if (u < 1 - 0.0331 * x ** 4 || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+      return d * v;
+    }
+  }
+}
+
+/**
+ * Draw from a beta distribution
+ * @param {number} alpha - Shape alpha
+ * @param {number} beta - Shape beta
+ * @param {Function} random - Uniform generator
+ * @returns {number} Sample
+ */
+function sampleBeta(alpha, beta, random) {
+  const x = sampleGamma(alpha, random);
+  const y = sampleGamma(beta, random);
+  return x / (x + y);
+}
+
+/**
+ * Monte Carlo estimate of the probability that each arm is best and of the expected
+ * loss of choosing it, from posterior samplers
+ * @param {Object} samplers - { arm: (random) => posterior draw }
+ * @param {Object} options - Options
+ * @param {boolean} options.higherIsBetter - Whether larger values are better
+ * @param {number} options.draws - Number of posterior draws
+ * @param {number} options.seed - Seed, so reports are reproducible
+ * @returns {Object} { arm: { probabilityBest, expectedLoss } }
+ */
+function posteriorComparison(samplers, { higherIsBetter = true, draws = 10000, seed = 1 } = {}) {
+  const random = createRandom(seed);
+  const arms = Object.keys(samplers);
+  const wins = Object.fromEntries(arms.map(arm => [arm, 0]));
+  const losses = Object.fromEntries(arms.map(arm => [arm, 0]));
+
+  for (let i = 0; i < draws; i++) {
+    const values = arms.map(arm => samplers[arm](random));
+    const best = higherIsBetter ? Math.max(...values) : Math.min(...values);
+    const bestIndex = values.indexOf(best);
+    wins[arms[bestIndex]]++;
+    values.forEach((value, index) => {
+      losses[arms[index]] += Math.abs(best - value);
+    });
+  }
+
+  const result = {};
+  arms.forEach(arm => {
+    result[arm] = {
+      probabilityBest: wins[arm] / draws,
+      expectedLoss: losses[arm] / draws
+    };
+  });
+  return result;
+}
+
+/**
+ * Posterior sampler of a conversion rate with a uniform Beta(1, 1) prior
+ * @param {number} successes - Successes
+ * @param {number} n - Trials
+ * @returns {Function} Sampler
+ */
+function betaPosterior(successes, n) {
+  return random => sampleBeta(1 + successes, 1 + n - successes, random);
+}
+
+/**
+ * Approximate posterior sampler of a mean (normal with the standard error as scale)
+ * @param {Object} summary - Sample summary from summarize
+ * @returns {Function} Sampler
+ */
+function normalPosterior(summary) {
+  const standardError = Math.sqrt(summary.variance / summary.n);
+  return random => summary.mean + standardError * sampleNormal(random);
+}
+
+module.exports = {
+  summarize,
+  normalCdf,
+  normalQuantile,
+  studentTCdf,
+  studentTQuantile,
+  meanConfidenceInterval,
+  proportionConfidenceInterval,
+  welchTTest,
+  twoProportionZTest,
+  adjustPValues,
+  createRandom,
+  posteriorComparison,
+  betaPosterior,
+  normalPosterior
+};
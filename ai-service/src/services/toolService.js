@@ -0,0 +1,478 @@
+/**
+ * Tool Service for AI Service
+ * Runs the tools the model calls (see services/tools), validates their
+ * arguments against the declared schema, holds actions that need the
+ * customer's confirmation and audits every invocation.
+ *
+ * Models whose provider has no native function calling use a JSON protocol:
+ * the tools are described in the prompt and the model answers with a
+ * {"tool_calls": [...]} object (see buildToolPrompt / parseToolCalls).
+ */
+const { createClient } = require('@supabase/supabase-js');
+const { v4: uuidv4 } = require('uuid');
+const { ApiError } = require('../middleware/errorHandler');
+const toolRegistry = require('./tools');
+const cacheService = require('./cacheService');
+const piiService = require('./piiService');
+
+// Environment variables
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+const TOOL_CONFIRMATION_TTL = parseInt(process.env.TOOL_CONFIRMATION_TTL || '600');
+
+const INVOCATION_STATUS = {
+  SUCCESS: 'success',
+  ERROR: 'error',
+  CONFIRMATION_REQUIRED: 'confirmation_required',
+  REJECTED: 'rejected'
+};
+
+// Replies that confirm or reject a pending action (English, Chinese, Malay)
+const CONFIRM_PATTERN = /^(yes|yeah|yep|ok|okay|sure|confirm(ed)?|go ahead|please do|好|好的|是|是的|对|确认|可以|没问题|ya|boleh|setuju|ok je|baik)[\s!.。！]*$/i;
+const REJECT_PATTERN = /^(no|nope|cancel|don'?t|stop|不|不要|不用|取消|算了|tidak|tak|jangan|batal)[\s!.。！]*$/i;
+
+// In-memory audit log size (used when Supabase is not configured)
+const MAX_MEMORY_INVOCATIONS = 1000;
+
+// Check if Supabase is configured
+const useSupabase = !!(SUPABASE_URL && SUPABASE_SERVICE_KEY);
+
+// Initialize Supabase client
+const supabase = useSupabase
+  ? createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY)
+  : null;
+
+// In-memory audit log, newest last
+const memoryInvocations = [];
+
+/**
+ * Check a value against a JSON schema (the subset used by tool declarations:
+ * type, enum, properties, required, items)
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateSchema(value, schema, path = 'arguments') {
+  const errors = [];
+  const typeChecks = {
+    string: v => typeof v === 'string',
+    number: v => typeof v === 'number' && Number.isFinite(v),
+    integer: v => Number.isInteger(v),
+    boolean: v => typeof v === 'boolean',
+    object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+    array: v => Array.isArray(v)
+  };
+
+  if (schema.type && typeChecks[schema.type] && !typeChecks[schema.type](value)) {
+    return [`${path} must be of type ${schema.type}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null || value[key] === '') {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Coerce arguments produced by the model to the declared types
+ * Models often send numbers as strings ("14" for an hour).
+ * @param {Object} args - Arguments
+ * @param {Object} schema - Parameters schema
+ * @returns {Object} Coerced arguments
+ */
+function coerceArguments(args, schema) {
+  const coerced = { ...args };
+
+  Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+    const value = coerced[key];
+    if (typeof value !== 'string') {
+      return;
+    }
+
+    if (['number', 'integer'].includes(propertySchema.type) && value.trim() !== '' && !isNaN(Number(value))) {
+      coerced[key] = Number(value);
+    } else if (propertySchema.type === 'boolean' && ['true', 'false'].includes(value)) {
+      coerced[key] = value === 'true';
+    }
+  });
+
+  return coerced;
+}
+
+/**
+ * Invoke a tool on behalf of a user
+ * Tools that require confirmation are not run: the action is stored as
+ * pending for the conversation and must be confirmed by the customer.
+ * @param {string} name - Tool name
+ * @param {Object} args - Arguments from the model
+ * @param {Object} context - Invocation context
+ * @param {string} context.userId - User ID
+ * @param {string} context.tenantId - Business the tool acts for
+ * @param {string} context.sessionId - Session ID
+ * @param {string} context.messageId - AI message the call belongs to
+ * @param {string} context.authToken - Token forwarded to the server API
+ * @returns {Promise<Object>} Result { id, name, arguments, status, result, error, pendingAction }
+ */
+async function invokeTool(name, args, context = {}) {
+  const tool = toolRegistry.getTool(name);
+
+  if (!tool) {
+    return auditResult({
+      name,
+      arguments: args,
+      status: INVOCATION_STATUS.ERROR,
+      error: `Unknown tool: ${name}`
+    }, context);
+  }
+
+  const coercedArgs = coerceArguments(args || {}, tool.parameters);
+  const validationErrors = validateSchema(coercedArgs, tool.parameters);
+
+  if (validationErrors.length > 0) {
+    return auditResult({
+      name,
+      arguments: coercedArgs,
+      status: INVOCATION_STATUS.ERROR,
+      error: `Invalid arguments: ${validationErrors.join('; ')}`
+    }, context);
+  }
+
+  if (tool.requiresConfirmation) {
+    const pendingAction = await createPendingAction(tool, coercedArgs, context);
+
+    return auditResult({
+      name,
+      arguments: coercedArgs,
+      status: INVOCATION_STATUS.CONFIRMATION_REQUIRED,
+      result: {
+        confirmationId: pendingAction.confirmationId,
+        summary: pendingAction.summary,
+        message: 'Not done yet: ask the customer to confirm this action'
+      },
+      pendingAction
+    }, context);
+  }
+
+  return executeTool(tool, coercedArgs, context);
+}
+
+/**
+ * Run a tool and audit the outcome
+ * @param {Object} tool - Tool declaration
+ * @param {Object} args - Validated arguments
+ * @param {Object} context - Invocation context
+ * @returns {Promise<Object>} Audited result
+ */
+async function executeTool(tool, args, context) {
+  const startTime = Date.now();
+
+  try {
+    const result = await tool.execute(args, context);
+
+    return auditResult({
+      name: tool.name,
+      arguments: args,
+      status: INVOCATION_STATUS.SUCCESS,
+      result,
+      durationMs: Date.now() - startTime
+    }, context);
+  } catch (error) {
+    console.error(`Error executing tool ${tool.name}:`, error);
+
+    return auditResult({
+      name: tool.name,
+      arguments: args,
+      status: INVOCATION_STATUS.ERROR,
+      error: error.message,
+      durationMs: Date.now() - startTime
+    }, context);
+  }
+}
+
+/**
+ * Get the cache key of a conversation's pending action
+ * Keyed by tenant, so one tenant can never read or resolve another's action.
+ * @param {Object} context - Invocation context { userId, tenantId, sessionId }
+ * @returns {string} Cache key
+ */
+function getPendingKey(context) {
+  return `ai:tool:pending:${context.tenantId || 'default'}:${context.userId}:${context.sessionId || 'default'}`;
+}
+
+/**
+ * Store an action waiting for the customer's confirmation
+ * A conversation has at most one pending action; a new one replaces it.
+ * @param {Object} tool - Tool declaration
+ * @param {Object} args - Validated arguments
+ * @param {Object} context - Invocation context
+ * @returns {Promise<Object>} Pending action
+ */
+async function createPendingAction(tool, args, context) {
+  const pendingAction = {
+    confirmationId: uuidv4(),
+    tool: tool.name,
+    arguments: args,
+    summary: typeof tool.summarize === 'function' ? tool.summarize(args) : `Run ${tool.name}`,
+    userId: context.userId,
+    tenantId: context.tenantId,
+    sessionId: context.sessionId || null,
+    expiresAt: new Date(Date.now() + TOOL_CONFIRMATION_TTL * 1000).toISOString()
+  };
+
+  await cacheService.set(getPendingKey(context), JSON.stringify(pendingAction), TOOL_CONFIRMATION_TTL);
+
+  return pendingAction;
+}
+
+/**
+ * Get the action of a conversation waiting for confirmation
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @param {string} tenantId - Tenant the conversation belongs to
+ * @returns {Promise<Object|null>} Pending action or null
+ */
+async function getPendingAction(userId, sessionId, tenantId) {
+  const cached = await cacheService.get(getPendingKey({ userId, sessionId, tenantId }));
+  return cached ? JSON.parse(cached) : null;
+}
+
+/**
+ * Confirm or reject the pending action of a conversation
+ * Confirming runs the tool with the stored arguments; the auth token comes
+ * from the confirming request, never from the cache.
+ * @param {Object} context - Invocation context { userId, tenantId, sessionId, messageId, authToken }
+ * @param {boolean} confirm - Whether the customer confirmed
+ * @param {string} confirmationId - Expected confirmation id (optional)
+ * @returns {Promise<Object>} Audited result of the action
+ * @throws {ApiError} 404 when there is no matching pending action
+ */
+async function resolvePendingAction(context, confirm, confirmationId = null) {
+  const pendingAction = await getPendingAction(context.userId, context.sessionId, context.tenantId);
+
+  if (!pendingAction || (confirmationId && pendingAction.confirmationId !== confirmationId)) {
+    throw new ApiError('No pending action to confirm', 404);
+  }
+
+  await cacheService.del(getPendingKey(context));
+
+  const tool = toolRegistry.getTool(pendingAction.tool);
+
+  if (!confirm || !tool) {
+    return auditResult({
+      name: pendingAction.tool,
+      arguments: pendingAction.arguments,
+      status: INVOCATION_STATUS.REJECTED,
+      result: { confirmationId: pendingAction.confirmationId },
+      error: tool ? null : `Unknown tool: ${pendingAction.tool}`
+    }, context);
+  }
+
+  const result = await executeTool(tool, pendingAction.arguments, context);
+  return { ...result, confirmationId: pendingAction.confirmationId };
+}
+
+/**
+ * Classify a customer reply to a pending action
+ * @param {string} text - Message text
+ * @returns {string|null} 'confirm', 'reject' or null when the reply is neither
+ */
+function classifyConfirmation(text) {
+  const reply = (text || '').trim();
+
+  if (CONFIRM_PATTERN.test(reply)) {
+    return 'confirm';
+  }
+  if (REJECT_PATTERN.test(reply)) {
+    return 'reject';
+  }
+  return null;
+}
+
+/**
+ * Record a tool invocation in the audit log and return it
+ * @param {Object} invocation - Invocation { name, arguments, status, result, error, durationMs, pendingAction }
+ * @param {Object} context - Invocation context
+ * @returns {Promise<Object>} Invocation with its id
+ */
+async function auditResult(invocation, context) {
+  const record = {
+    id: uuidv4(),
+    ...invocation,
+    result: invocation.result ?? null,
+    error: invocation.error ?? null
+  };
+
+  const row = {
+    id: record.id,
+    user_id: context.userId || null,
+    tenant_id: context.tenantId || null,
+    session_id: context.sessionId || null,
+    message_id: context.messageId || null,
+    tool: record.name,
+    // 开启静态脱敏时，审计日志中不保存个人信息
+    arguments: piiService.redactForStorage(record.arguments || {}),
+    status: record.status,
+    result: piiService.redactForStorage(record.result),
+    error: piiService.redactForStorage(record.error),
+    duration_ms: record.durationMs ?? null,
+    created_at: new Date().toISOString()
+  };
+
+  if (useSupabase) {
+    const { error } = await supabase.from('tool_invocations').insert(row);
+    if (error) {
+      // 审计失败不影响工具结果
+      console.error('Error saving tool invocation audit:', error);
+    }
+  } else {
+    memoryInvocations.push(row);
+    if (memoryInvocations.length > MAX_MEMORY_INVOCATIONS) {
+      memoryInvocations.shift();
+    }
+  }
+
+  return record;
+}
+
+/**
+ * List audited tool invocations
+ * @param {Object} filters - Filters
+ * @param {string} filters.userId - Only invocations of this user
+ * @param {string} filters.tenantId - Only invocations for this tenant
+ * @param {string} filters.tool - Only invocations of this tool
+ * @param {number} filters.limit - Maximum rows (default 50)
+ * @returns {Promise<Array<Object>>} Invocations, newest first
+ */
+async function listInvocations(filters = {}) {
+  const { userId, tenantId, tool, limit = 50 } = filters;
+
+  if (useSupabase) {
+    let query = supabase
+      .from('tool_invocations')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (userId) query = query.eq('user_id', userId);
+    if (tenantId) query = query.eq('tenant_id', tenantId);
+    if (tool) query = query.eq('tool', tool);
+
+    const { data, error } = await query;
+    if (error) {
+      throw error;
+    }
+    return data || [];
+  }
+
+  return memoryInvocations
+    .filter(row => (!userId || row.user_id === userId) &&
+      (!tenantId || row.tenant_id === tenantId) &&
+      (!tool || row.tool === tool))
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * Render a tool-calling conversation as a single prompt for models without
+ * native function calling
+ * @param {Array<Object>} messages - Conversation { role, content, toolCalls, toolCallId, name }
+ * @param {Array<Object>} declarations - Tool declarations
+ * @returns {string} Prompt
+ */
+function buildToolPrompt(messages, declarations) {
+  let prompt = '';
+
+  // 没有可用工具时（如达到调用轮数上限）只要求模型回复客户
+  if (declarations.length > 0) {
+    prompt = "你可以调用以下工具来查询或操作预约。需要调用工具时，只回复一个JSON对象，格式为 " +
+      '{"tool_calls": [{"name": "工具名", "arguments": {...}}]}，不要添加其他文字；' +
+      "不需要工具时直接用自然语言回复客户。\n\n工具列表：\n";
+
+    declarations.forEach(tool => {
+      prompt += `- ${tool.name}: ${tool.description}\n  参数: ${JSON.stringify(tool.parameters)}\n`;
+    });
+
+    prompt += "\n";
+  }
+
+  messages.forEach(message => {
+    if (message.role === 'user') {
+      prompt += `${message.content}\n`;
+    } else if (message.role === 'assistant' && message.toolCalls?.length) {
+      prompt += `\n助手调用工具: ${JSON.stringify({
+        tool_calls: message.toolCalls.map(call => ({ name: call.name, arguments: call.arguments }))
+      })}\n`;
+    } else if (message.role === 'assistant') {
+      prompt += `\n助手: ${message.content}\n`;
+    } else if (message.role === 'tool') {
+      prompt += `工具 ${message.name} 返回: ${message.content}\n`;
+    }
+  });
+
+  return prompt;
+}
+
+/**
+ * Extract tool calls from a reply written with the JSON protocol
+ * @param {string} text - Model reply
+ * @returns {Array<Object>} Tool calls { id, name, arguments } (empty for a plain answer)
+ */
+function parseToolCalls(text) {
+  const match = (text || '').match(/\{[\s\S]*"tool_calls"[\s\S]*\}/);
+
+  if (!match) {
+    return [];
+  }
+
+  try {
+    const parsed = JSON.parse(match[0]);
+    const calls = Array.isArray(parsed.tool_calls) ? parsed.tool_calls : [];
+
+    return calls
+      .filter(call => call && typeof call.name === 'string')
+      .map(call => ({
+        id: uuidv4(),
+        name: call.name,
+        arguments: call.arguments && typeof call.arguments === 'object' ? call.arguments : {}
+      }));
+  } catch (error) {
+    console.warn('Could not parse tool calls from model reply:', error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  INVOCATION_STATUS,
+  invokeTool,
+  getPendingAction,
+  resolvePendingAction,
+  classifyConfirmation,
+  listInvocations,
+  validateSchema,
+  buildToolPrompt,
+  parseToolCalls,
+  getDeclarations: toolRegistry.getDeclarations,
+  registerTool: toolRegistry.registerTool
+};
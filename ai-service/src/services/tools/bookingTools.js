@@ -0,0 +1,247 @@
+/**
+ * Booking tools
+ * Let the assistant look up services and free slots and book, reschedule or
+ * cancel appointments through the main server's API (/api/services,
+ * /api/appointments), acting with the customer's or business's own token.
+ */
+const axios = require('axios');
+const { ApiError } = require('../../middleware/errorHandler');
+
+// Environment variables
+const SERVER_API_URL = process.env.SERVER_API_URL || 'http://localhost:3001';
+const TOOL_REQUEST_TIMEOUT = parseInt(process.env.TOOL_REQUEST_TIMEOUT || '10000');
+
+// Slots returned to the model per call, to keep the prompt small
+const MAX_SLOTS = 10;
+
+/**
+ * Call the server API on behalf of the user
+ * @param {Object} context - Tool context { authToken }
+ * @param {Object} request - Axios request options (method, url, params, data)
+ * @returns {Promise<*>} Response body
+ * @throws {ApiError} With the server's status and message when the call fails
+ */
+async function callServer(context, request) {
+  if (!context.authToken) {
+    throw new ApiError('Booking tools require the user\'s authorization token', 401);
+  }
+
+  try {
+    const response = await axios({
+      baseURL: SERVER_API_URL,
+      timeout: TOOL_REQUEST_TIMEOUT,
+      ...request,
+      headers: { Authorization: `Bearer ${context.authToken}` }
+    });
+    return response.data;
+  } catch (error) {
+    const status = error.response?.status || 502;
+    const message = error.response?.data?.message || error.message;
+    throw new ApiError(`Server API error: ${message}`, status, {
+      details: error.response?.data?.details
+    });
+  }
+}
+
+/**
+ * Build the end time of an appointment from its start and duration
+ * @param {string} start - Start time (ISO 8601)
+ * @param {number} durationMinutes - Duration in minutes
+ * @returns {string} End time (ISO 8601)
+ */
+function addMinutes(start, durationMinutes) {
+  return new Date(new Date(start).getTime() + durationMinutes * 60000).toISOString();
+}
+
+const findAvailableSlots = {
+  name: 'find_available_slots',
+  description: 'Find free appointment slots for a service on a date. Call this before proposing a time to the customer.',
+  parameters: {
+    type: 'object',
+    properties: {
+      service_id: { type: 'string', description: 'ID of the service (see get_service_prices)' },
+      date: { type: 'string', description: 'Date to search, YYYY-MM-DD' },
+      end_date: { type: 'string', description: 'Last date to search for a range, YYYY-MM-DD (optional)' },
+      team_id: { type: 'string', description: 'Team performing the service (optional)' },
+      preferred_start_hour: { type: 'integer', description: 'Earliest hour the customer prefers, 0-23 (optional)' },
+      preferred_end_hour: { type: 'integer', description: 'Latest hour the customer prefers, 0-23 (optional)' }
+    },
+    required: ['service_id', 'date']
+  },
+  async execute(args, context) {
+    const slots = await callServer(context, {
+      method: 'get',
+      url: '/api/appointments/suggestions',
+      params: args
+    });
+
+    const list = Array.isArray(slots) ? slots : [];
+    return {
+      total: list.length,
+      slots: list.slice(0, MAX_SLOTS).map(slot => ({
+        start: slot.appointment_start_time,
+        end: slot.appointment_end_time
+      }))
+    };
+  }
+};
+
+const getServicePrices = {
+  name: 'get_service_prices',
+  description: 'List the services the business offers with their ID, price and duration.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Only return services whose name contains this text (optional)' }
+    }
+  },
+  async execute(args, context) {
+    const services = await callServer(context, { method: 'get', url: '/api/services' });
+    const query = args.query?.toLowerCase();
+
+    return {
+      services: (Array.isArray(services) ? services : [])
+        .filter(service => !query || String(service.name || '').toLowerCase().includes(query))
+        .map(service => ({
+          id: service.id,
+          name: service.name,
+          price: service.price ?? null,
+          duration: service.duration ?? null,
+          description: service.description || null
+        }))
+    };
+  }
+};
+
+const createAppointment = {
+  name: 'create_appointment',
+  description: 'Book an appointment. The customer is asked to confirm before it is created.',
+  requiresConfirmation: true,
+  parameters: {
+    type: 'object',
+    properties: {
+      service_id: { type: 'string', description: 'ID of the service' },
+      start: { type: 'string', description: 'Start time, ISO 8601 (use a slot from find_available_slots)' },
+      end: { type: 'string', description: 'End time, ISO 8601 (optional when duration_minutes is given)' },
+      duration_minutes: { type: 'integer', description: 'Duration of the service in minutes (optional)' },
+      client_name: { type: 'string', description: 'Customer name' },
+      client_phone: { type: 'string', description: 'Customer phone number (optional)' },
+      booking_type: { type: 'string', enum: ['in-store', 'on-site'], description: 'Where the service takes place' },
+      team_id: { type: 'string', description: 'Team performing the service (optional)' },
+      address: {
+        type: 'object',
+        description: 'Address for on-site appointments',
+        properties: {
+          line1: { type: 'string' },
+          line2: { type: 'string' },
+          city: { type: 'string' },
+          postalCode: { type: 'string' },
+          country: { type: 'string' }
+        }
+      }
+    },
+    required: ['service_id', 'start', 'client_name', 'booking_type']
+  },
+  summarize(args) {
+    return `Book service ${args.service_id} for ${args.client_name} at ${args.start} (${args.booking_type})`;
+  },
+  async execute(args, context) {
+    if (!args.end && !args.duration_minutes) {
+      throw new ApiError('Either end or duration_minutes is required', 400);
+    }
+
+    const appointment = await callServer(context, {
+      method: 'post',
+      url: '/api/appointments',
+      data: {
+        service_id: args.service_id,
+        start: args.start,
+        end: args.end || addMinutes(args.start, args.duration_minutes),
+        clientName: args.client_name,
+        clientPhone: args.client_phone,
+        booking_type: args.booking_type,
+        team_id: args.team_id,
+        address: args.address,
+        source: 'ai_assistant'
+      }
+    });
+
+    // The server exposes appointments by their service_id_old_uuid
+    return {
+      appointmentId: appointment.id || appointment.service_id_old_uuid,
+      start: appointment.start,
+      end: appointment.end,
+      status: appointment.status
+    };
+  }
+};
+
+const rescheduleAppointment = {
+  name: 'reschedule_appointment',
+  description: 'Move an existing appointment to a new time. The customer is asked to confirm first.',
+  requiresConfirmation: true,
+  parameters: {
+    type: 'object',
+    properties: {
+      appointment_id: { type: 'string', description: 'ID of the appointment' },
+      start: { type: 'string', description: 'New start time, ISO 8601' },
+      end: { type: 'string', description: 'New end time, ISO 8601' }
+    },
+    required: ['appointment_id', 'start', 'end']
+  },
+  summarize(args) {
+    return `Move appointment ${args.appointment_id} to ${args.start}`;
+  },
+  async execute(args, context) {
+    const appointment = await callServer(context, {
+      method: 'put',
+      url: `/api/appointments/${encodeURIComponent(args.appointment_id)}`,
+      data: { start: args.start, end: args.end }
+    });
+
+    return {
+      appointmentId: args.appointment_id,
+      start: appointment.start,
+      end: appointment.end,
+      status: appointment.status
+    };
+  }
+};
+
+const cancelAppointment = {
+  name: 'cancel_appointment',
+  description: 'Cancel an existing appointment. The customer is asked to confirm first.',
+  requiresConfirmation: true,
+  parameters: {
+    type: 'object',
+    properties: {
+      appointment_id: { type: 'string', description: 'ID of the appointment' },
+      reason: { type: 'string', description: 'Why the customer cancels (optional)' }
+    },
+    required: ['appointment_id']
+  },
+  summarize(args) {
+    return `Cancel appointment ${args.appointment_id}`;
+  },
+  async execute(args, context) {
+    // Cancelled appointments are kept for history rather than deleted
+    const appointment = await callServer(context, {
+      method: 'put',
+      url: `/api/appointments/${encodeURIComponent(args.appointment_id)}`,
+      data: { status: 'cancelled' }
+    });
+
+    return {
+      appointmentId: args.appointment_id,
+      status: appointment.status || 'cancelled'
+    };
+  }
+};
+
+module.exports = [
+  getServicePrices,
+  findAvailableSlots,
+  createAppointment,
+  rescheduleAppointment,
+  cancelAppointment
+];
@@ -0,0 +1,80 @@
+/**
+ * Tool registry for the AI Service
+ * Tools are functions the model can call while answering a customer. Every
+ * tool module exports an array of declarations with the same shape:
+ * - name {string} - Tool name the model calls (snake_case)
+ * - description {string} - What the tool does, shown to the model
+ * - parameters {Object} - JSON schema of the arguments (type object)
+ * - requiresConfirmation {boolean} - Whether the customer must confirm before
+ *   the tool runs (bookings, cancellations...)
+ * - summarize(args) {string} - Optional, describes a pending action to the customer
+ * - execute(args, context) {Promise<Object>} - Run the tool; context carries
+ *   { userId, tenantId, sessionId, authToken }
+ */
+const bookingTools = require('./bookingTools');
+
+// Registered tools by name
+const tools = {};
+
+/**
+ * Register a tool
+ * @param {Object} tool - Tool declaration
+ * @returns {void}
+ */
+function registerTool(tool) {
+  if (!tool || !tool.name || typeof tool.execute !== 'function') {
+    throw new Error('A tool must have a name and an execute function');
+  }
+
+  if (!tool.parameters || tool.parameters.type !== 'object') {
+    throw new Error(`Tool ${tool.name} must declare its parameters as an object schema`);
+  }
+
+  tools[tool.name] = {
+    requiresConfirmation: false,
+    ...tool
+  };
+}
+
+/**
+ * Get a tool by name
+ * @param {string} name - Tool name
+ * @returns {Object|null} Tool declaration or null if not registered
+ */
+function getTool(name) {
+  return tools[name] || null;
+}
+
+/**
+ * List registered tools
+ * @returns {Array<Object>} Tool declarations
+ */
+function listTools() {
+  return Object.values(tools);
+}
+
+/**
+ * Get the declarations sent to the model (without the implementation)
+ * @param {Array<string>} names - Tool names to include (optional, defaults to all)
+ * @returns {Array<Object>} Declarations { name, description, parameters, requiresConfirmation }
+ */
+function getDeclarations(names = null) {
+  return listTools()
+    .filter(tool => !names || names.includes(tool.name))
+    .map(({ name, description, parameters, requiresConfirmation }) => ({
+      name,
+      description,
+      parameters,
+      requiresConfirmation
+    }));
+}
+
+// Register built-in tools
+bookingTools.forEach(registerTool);
+
+module.exports = {
+  registerTool,
+  getTool,
+  listTools,
+  getDeclarations
+};
@@ -0,0 +1,483 @@
+/**
+ * Usage Service for AI Service
+ * Counts tokens, prices AI calls with the per-model cost table and enforces
+ * per-tenant monthly budgets (see config/budgets.js)
+ */
+const { createClient } = require('@supabase/supabase-js');
+const { ApiError } = require('../middleware/errorHandler');
+const { loadPlanBudgets, normalizeBudget, BUDGET_ACTIONS, DEFAULT_PLAN } = require('../config/budgets');
+const modelRegistry = require('./modelRegistry');
+const analyticsService = require('./analyticsService');
+const cacheService = require('./cacheService');
+
+// Environment variables
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+// Check if Supabase is configured
+const useSupabase = !!(SUPABASE_URL && SUPABASE_SERVICE_KEY);
+
+// Initialize Supabase client
+const supabase = useSupabase
+  ? createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY)
+  : null;
+
+// Features that consume AI tokens, used to break down spend
+const FEATURES = {
+  CHAT: 'chat',
+  AUTO_REPLY_INTENT: 'auto_reply_intent',
+  AUTO_REPLY_PERSONALIZATION: 'auto_reply_personalization',
+  AUTO_REPLY_KNOWLEDGE: 'auto_reply_knowledge',
+  CONTENT_GENERATION: 'content_generation',
+  CONTEXT_SUMMARY: 'context_summary',
+  ENTITY_EXTRACTION: 'entity_extraction',
+  MESSAGE_ANALYSIS: 'message_analysis',
+  EVALUATION: 'evaluation'
+};
+
+// Plan budgets by plan name
+const planBudgets = loadPlanBudgets();
+
+// Per-user budget overrides (null = no override), lazily loaded from Supabase
+const userBudgets = {};
+
+// Monthly usage counters by `${userId}:${month}`
+const monthlyUsage = {};
+
+// Pending loads of monthly usage, to avoid loading the same month twice
+const pendingUsageLoads = {};
+
+/**
+ * Estimate the number of tokens in a text
+ * Used when the provider does not report token counts: CJK characters count
+ * as one token each, other text as roughly four characters per token.
+ * @param {string} text - Input text
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+
+  const cjkCount = (text.match(/[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]/g) || []).length;
+  return cjkCount + Math.ceil((text.length - cjkCount) / 4);
+}
+
+/**
+ * Calculate the cost of a call from the model price table
+ * @param {string} modelId - Model id
+ * @param {number} tokensInput - Prompt tokens
+ * @param {number} tokensOutput - Completion tokens
+ * @returns {number} Cost in USD
+ */
+function calculateCost(modelId, tokensInput, tokensOutput) {
+  const model = modelRegistry.getModel(modelId);
+
+  if (!model) {
+    return 0;
+  }
+
+  const cost = (tokensInput / 1000) * model.cost.input + (tokensOutput / 1000) * model.cost.output;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Get the current billing month
+ * @returns {string} Month as YYYY-MM
+ */
+function getCurrentMonth() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+/**
+ * Resolve the subscription plan of a user
+ * @param {string} userId - User ID
+ * @param {string} plan - Plan supplied by the caller (optional)
+ * @returns {Promise<string>} Plan name
+ */
+async function getUserPlan(userId, plan = null) {
+  if (plan && planBudgets[plan]) {
+    return plan;
+  }
+
+  if (!useSupabase || !userId) {
+    return DEFAULT_PLAN;
+  }
+
+  const cacheKey = `ai:plan:${userId}`;
+  const cachedPlan = await cacheService.get(cacheKey);
+
+  if (cachedPlan) {
+    return cachedPlan;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .select('plan')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    const userPlan = data?.plan && planBudgets[data.plan] ? data.plan : DEFAULT_PLAN;
+    await cacheService.set(cacheKey, userPlan, 60 * 10); // 10 minutes
+
+    return userPlan;
+  } catch (error) {
+    console.error('Error fetching user plan from Supabase:', error);
+    return DEFAULT_PLAN;
+  }
+}
+
+/**
+ * Get the budget override of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Budget override or null
+ */
+async function getUserBudgetOverride(userId) {
+  if (userId in userBudgets) {
+    return userBudgets[userId];
+  }
+
+  if (!useSupabase) {
+    return null;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('ai_budgets')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    userBudgets[userId] = data
+      ? {
+          monthlyTokens: data.monthly_tokens,
+          monthlyCost: data.monthly_cost !== null ? Number(data.monthly_cost) : null,
+          maxTokensPerRequest: data.max_tokens_per_request,
+          onExhausted: data.on_exhausted
+        }
+      : null;
+
+    return userBudgets[userId];
+  } catch (error) {
+    console.error('Error fetching user budget from Supabase:', error);
+    return null;
+  }
+}
+
+/**
+ * Get the effective budget of a user (plan budget with user override applied)
+ * @param {string} userId - User ID
+ * @param {string} plan - Plan name
+ * @returns {Promise<Object>} Normalized budget
+ */
+async function getBudget(userId, plan) {
+  const planBudget = planBudgets[plan] || planBudgets[DEFAULT_PLAN];
+  const override = userId ? await getUserBudgetOverride(userId) : null;
+
+  if (!override) {
+    return planBudget;
+  }
+
+  // Only fields set on the override replace the plan values (unset columns are null after a reload from Supabase)
+  const definedOverride = Object.fromEntries(
+    Object.entries(override).filter(([, value]) => value !== undefined && value !== null)
+  );
+
+  return normalizeBudget({ ...planBudget, ...definedOverride });
+}
+
+/**
+ * Set a budget override for a user
+ * @param {string} userId - User ID
+ * Fields left unset keep the plan's value.
+ * @param {Object} budget - Budget override
+ * @param {number} budget.monthlyTokens - Monthly token allowance
+ * @param {number} budget.monthlyCost - Monthly spend allowance in USD
+ * @param {number} budget.maxTokensPerRequest - Max output tokens per call
+ * @param {string} budget.onExhausted - block or downgrade
+ * @returns {Promise<Object>} Effective budget
+ * @throws {ApiError} 400 when a limit is not a non-negative number
+ */
+async function setUserBudget(userId, budget) {
+  for (const field of ['monthlyTokens', 'monthlyCost', 'maxTokensPerRequest']) {
+    const value = budget[field];
+    if (value !== undefined && value !== null && !(typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+      throw new ApiError(`${field} must be a non-negative number`, 400);
+    }
+  }
+  
+  if (budget.onExhausted && !Object.values(BUDGET_ACTIONS).includes(budget.onExhausted)) {
+    throw new ApiError(`onExhausted must be one of: ${Object.values(BUDGET_ACTIONS).join(', ')}`, 400);
+  }
+
+  const override = {
+    monthlyTokens: budget.monthlyTokens,
+    monthlyCost: budget.monthlyCost,
+    maxTokensPerRequest: budget.maxTokensPerRequest,
+    onExhausted: budget.onExhausted
+  };
+
+  if (useSupabase) {
+    try {
+      const { error } = await supabase
+        .from('ai_budgets')
+        .upsert({
+          user_id: userId,
+          monthly_tokens: override.monthlyTokens ?? null,
+          monthly_cost: override.monthlyCost ?? null,
+          max_tokens_per_request: override.maxTokensPerRequest ?? null,
+          on_exhausted: override.onExhausted ?? null,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'user_id' });
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error saving user budget in Supabase:', error);
+      // Keep the in-memory override
+    }
+  }
+
+  userBudgets[userId] = override;
+
+  return getBudget(userId, await getUserPlan(userId));
+}
+
+/**
+ * Get the usage of a user for a month
+ * @param {string} userId - User ID
+ * @param {string} month - Month as YYYY-MM (defaults to the current month)
+ * @returns {Promise<Object>} Usage { tokensInput, tokensOutput, cost, requests, byFeature, byModel }
+ */
+async function getMonthlyUsage(userId, month = getCurrentMonth()) {
+  const key = `${userId}:${month}`;
+
+  if (monthlyUsage[key]) {
+    return monthlyUsage[key];
+  }
+
+  if (!pendingUsageLoads[key]) {
+    pendingUsageLoads[key] = loadMonthlyUsage(userId, month)
+      .then(usage => {
+        monthlyUsage[key] = usage;
+        return usage;
+      })
+      .finally(() => {
+        delete pendingUsageLoads[key];
+      });
+  }
+
+  return pendingUsageLoads[key];
+}
+
+/**
+ * Load the usage of a user for a month from recorded model usage
+ * @param {string} userId - User ID
+ * @param {string} month - Month as YYYY-MM
+ * @returns {Promise<Object>} Usage totals
+ */
+async function loadMonthlyUsage(userId, month) {
+  const usage = createEmptyUsage();
+  const start = new Date(`${month}-01T00:00:00.000Z`);
+  const end = new Date(start);
+  end.setUTCMonth(end.getUTCMonth() + 1);
+
+  try {
+    const records = await analyticsService.getUserUsageRecords(userId, start, end);
+    records.forEach(record => addToUsage(usage, record));
+  } catch (error) {
+    console.error('Error loading monthly usage:', error);
+  }
+
+  return usage;
+}
+
+/**
+ * Create empty usage totals
+ * @returns {Object} Usage totals
+ */
+function createEmptyUsage() {
+  return {
+    tokensInput: 0,
+    tokensOutput: 0,
+    cost: 0,
+    requests: 0,
+    byFeature: {},
+    byModel: {}
+  };
+}
+
+/**
+ * Add a usage record to usage totals
+ * @param {Object} usage - Usage totals
+ * @param {Object} record - Usage record { model, feature, tokensInput, tokensOutput, cost }
+ */
+function addToUsage(usage, record) {
+  const tokensInput = record.tokensInput || 0;
+  const tokensOutput = record.tokensOutput || 0;
+  const cost = record.cost || 0;
+
+  usage.tokensInput += tokensInput;
+  usage.tokensOutput += tokensOutput;
+  usage.cost = Math.round((usage.cost + cost) * 1e6) / 1e6;
+  usage.requests += 1;
+
+  for (const [group, name] of [['byFeature', record.feature || FEATURES.CHAT], ['byModel', record.model]]) {
+    if (!usage[group][name]) {
+      usage[group][name] = { tokensInput: 0, tokensOutput: 0, cost: 0, requests: 0 };
+    }
+
+    const entry = usage[group][name];
+    entry.tokensInput += tokensInput;
+    entry.tokensOutput += tokensOutput;
+    entry.cost = Math.round((entry.cost + cost) * 1e6) / 1e6;
+    entry.requests += 1;
+  }
+}
+
+/**
+ * Check the budget of a user for the current month
+ * @param {string} userId - User ID
+ * @param {Object} options - Options
+ * @param {string} options.plan - Plan supplied by the caller (optional)
+ * @returns {Promise<Object>} Budget status
+ */
+async function checkBudget(userId, options = {}) {
+  const plan = await getUserPlan(userId, options.plan);
+  const budget = await getBudget(userId, plan);
+  const month = getCurrentMonth();
+  const usage = await getMonthlyUsage(userId, month);
+
+  const tokensUsed = usage.tokensInput + usage.tokensOutput;
+  const remaining = {
+    tokens: budget.monthlyTokens !== null ? Math.max(budget.monthlyTokens - tokensUsed, 0) : null,
+    cost: budget.monthlyCost !== null
+      ? Math.max(Math.round((budget.monthlyCost - usage.cost) * 1e6) / 1e6, 0)
+      : null
+  };
+  const exhausted = remaining.tokens === 0 || remaining.cost === 0;
+
+  return {
+    userId,
+    plan,
+    month,
+    budget,
+    usage,
+    remaining,
+    exhausted,
+    action: exhausted ? budget.onExhausted : null,
+    allowed: !exhausted || budget.onExhausted === BUDGET_ACTIONS.DOWNGRADE
+  };
+}
+
+/**
+ * Get the cheapest model that can currently be called
+ * @returns {string|null} Model id
+ */
+function getCheapestModel() {
+  const [cheapest] = modelRegistry.getAvailableModels()
+    .sort((a, b) => (a.cost.input + a.cost.output) - (b.cost.input + b.cost.output));
+
+  return cheapest ? cheapest.id : null;
+}
+
+/**
+ * Select the model to use for a user within their budget
+ * @param {string} userId - User ID
+ * @param {string} preferredModel - Model chosen by routing
+ * @param {Object} options - Options
+ * @param {string} options.plan - Plan supplied by the caller (optional)
+ * @returns {Promise<Object>} Selection { model, downgraded, maxTokens, budgetStatus }
+ * @throws {ApiError} 402 when the budget is exhausted and the plan blocks further calls
+ */
+async function selectModelWithinBudget(userId, preferredModel, options = {}) {
+  if (!userId) {
+    return { model: preferredModel, downgraded: false, maxTokens: null, budgetStatus: null };
+  }
+
+  const budgetStatus = await checkBudget(userId, options);
+  const maxTokens = budgetStatus.budget.maxTokensPerRequest;
+
+  if (!budgetStatus.exhausted) {
+    return { model: preferredModel, downgraded: false, maxTokens, budgetStatus };
+  }
+
+  if (!budgetStatus.allowed) {
+    throw new ApiError('Monthly AI budget exhausted', 402, {
+      plan: budgetStatus.plan,
+      month: budgetStatus.month,
+      budget: budgetStatus.budget,
+      remaining: budgetStatus.remaining
+    });
+  }
+
+  const cheapestModel = getCheapestModel() || preferredModel;
+  const model = calculateCost(cheapestModel, 1000, 1000) < calculateCost(preferredModel, 1000, 1000)
+    ? cheapestModel
+    : preferredModel;
+
+  return { model, downgraded: model !== preferredModel, maxTokens, budgetStatus };
+}
+
+/**
+ * Record the token usage and cost of an AI call
+ * @param {Object} data - Usage data
+ * @param {string} data.userId - User (tenant) ID
+ * @param {string} data.feature - Feature that made the call (see FEATURES)
+ * @param {string} data.model - Model id
+ * @param {string} data.messageId - Message ID (optional)
+ * @param {number} data.tokensInput - Prompt tokens
+ * @param {number} data.tokensOutput - Completion tokens
+ * @param {number} data.processingTime - Processing time in ms
+ * @param {Array<Object>} data.promptTemplates - Prompt template versions { name, version, language, source } (optional)
+ * @param {boolean} data.success - Whether the call was successful
+ * @returns {Promise<Object>} Usage { tokensInput, tokensOutput, cost }
+ */
+async function recordUsage(data) {
+  const tokensInput = data.tokensInput || 0;
+  const tokensOutput = data.tokensOutput || 0;
+  const cost = calculateCost(data.model, tokensInput, tokensOutput);
+  const feature = data.feature || FEATURES.CHAT;
+
+  if (data.userId) {
+    const usage = await getMonthlyUsage(data.userId);
+    addToUsage(usage, { model: data.model, feature, tokensInput, tokensOutput, cost });
+  }
+
+  // Record asynchronously, analytics must not slow down responses
+  analyticsService.recordModelUsage({
+    model: data.model,
+    messageId: data.messageId,
+    userId: data.userId,
+    feature,
+    tokensInput,
+    tokensOutput,
+    cost,
+    processingTime: data.processingTime,
+    promptTemplates: data.promptTemplates,
+    success: data.success
+  }).catch(error => {
+    console.error('Error recording model usage:', error);
+  });
+
+  return { tokensInput, tokensOutput, cost };
+}
+
+module.exports = {
+  FEATURES,
+  estimateTokens,
+  calculateCost,
+  getUserPlan,
+  getBudget,
+  setUserBudget,
+  getMonthlyUsage,
+  checkBudget,
+  getCheapestModel,
+  selectModelWithinBudget,
+  recordUsage,
+  getPlanBudgets: () => planBudgets
+};
@@ -0,0 +1,202 @@
+/**
+ * Vector Store for AI Service
+ * Stores embedded documents in namespaces (e.g. one per user's memory) and
+ * finds the most similar ones to a query vector. Uses pgvector in Supabase
+ * (see middleware/dbMigrations/vector_tables.sql) or an in-memory cosine index
+ * when Supabase is not configured.
+ */
+const { createClient } = require('@supabase/supabase-js');
+const { cosineSimilarity } = require('./embeddingService');
+
+// Environment variables
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+// Check if Supabase is configured
+const useSupabase = !!(SUPABASE_URL && SUPABASE_SERVICE_KEY);
+
+// Initialize Supabase client
+const supabase = useSupabase
+  ? createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY)
+  : null;
+
+// In-memory index: namespace -> Map(id -> document)
+const memoryIndex = {};
+
+/**
+ * Insert or replace documents in a namespace
+ * @param {string} namespace - Namespace
+ * @param {Array<Object>} documents - Documents { id, embedding, content, metadata }
+ * @returns {Promise<void>}
+ */
+async function upsert(namespace, documents) {
+  if (!documents || documents.length === 0) {
+    return;
+  }
+
+  if (useSupabase) {
+    const { error } = await supabase
+      .from('vector_embeddings')
+      .upsert(documents.map(document => ({
+        id: document.id,
+        namespace,
+        content: document.content,
+        metadata: document.metadata || {},
+        embedding: document.embedding,
+        created_at: new Date().toISOString()
+      })), { onConflict: 'namespace,id' });
+
+    if (error) {
+      throw error;
+    }
+    return;
+  }
+
+  if (!memoryIndex[namespace]) {
+    memoryIndex[namespace] = new Map();
+  }
+
+  for (const document of documents) {
+    memoryIndex[namespace].set(document.id, {
+      id: document.id,
+      content: document.content,
+      metadata: document.metadata || {},
+      embedding: document.embedding
+    });
+  }
+}
+
+/**
+ * Find the documents most similar to a query vector
+ * @param {string} namespace - Namespace
+ * @param {Array<number>} embedding - Query vector
+ * @param {Object} options - Query options
+ * @param {number} options.topK - Maximum number of results
+ * @param {number} options.minScore - Minimum cosine similarity
+ * @param {Array<string>} options.excludeIds - Document ids to leave out
+ * @returns {Promise<Array<Object>>} Matches { id, content, metadata, score }, best first
+ */
+async function query(namespace, embedding, options = {}) {
+  const { topK = 5, minScore = 0, excludeIds = [] } = options;
+
+  if (useSupabase) {
+    const { data, error } = await supabase.rpc('match_vector_embeddings', {
+      query_embedding: embedding,
+      match_namespace: namespace,
+      match_count: topK + excludeIds.length,
+      min_similarity: minScore
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return (data || [])
+      .filter(row => !excludeIds.includes(row.id))
+      .slice(0, topK)
+      .map(row => ({
+        id: row.id,
+        content: row.content,
+        metadata: row.metadata || {},
+        score: row.similarity
+      }));
+  }
+
+  const documents = memoryIndex[namespace];
+  if (!documents) {
+    return [];
+  }
+
+  const matches = [];
+  for (const document of documents.values()) {
+    if (excludeIds.includes(document.id)) continue;
+
+    const score = cosineSimilarity(embedding, document.embedding);
+    if (score >= minScore) {
+      matches.push({
+        id: document.id,
+        content: document.content,
+        metadata: document.metadata,
+        score
+      });
+    }
+  }
+
+  return matches
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+/**
+ * Remove documents from a namespace
+ * @param {string} namespace - Namespace
+ * @param {Array<string>} ids - Document ids (all documents when omitted)
+ * @returns {Promise<void>}
+ */
+async function remove(namespace, ids = null) {
+  if (useSupabase) {
+    let deleteQuery = supabase
+      .from('vector_embeddings')
+      .delete()
+      .eq('namespace', namespace);
+
+    if (ids) {
+      deleteQuery = deleteQuery.in('id', ids);
+    }
+
+    const { error } = await deleteQuery;
+
+    if (error) {
+      throw error;
+    }
+    return;
+  }
+
+  if (!memoryIndex[namespace]) {
+    return;
+  }
+
+  if (ids) {
+    ids.forEach(id => memoryIndex[namespace].delete(id));
+  } else {
+    delete memoryIndex[namespace];
+  }
+}
+
+/**
+ * Remove the documents of a namespace whose metadata contains the given values
+ * @param {string} namespace - Namespace
+ * @param {Object} metadata - Metadata values to match, e.g. { sessionId }
+ * @returns {Promise<void>}
+ */
+async function removeWhere(namespace, metadata) {
+  if (useSupabase) {
+    const { error } = await supabase
+      .from('vector_embeddings')
+      .delete()
+      .eq('namespace', namespace)
+      .contains('metadata', metadata);
+
+    if (error) {
+      throw error;
+    }
+    return;
+  }
+
+  if (!memoryIndex[namespace]) {
+    return;
+  }
+
+  for (const document of [...memoryIndex[namespace].values()]) {
+    if (Object.entries(metadata).every(([key, value]) => document.metadata[key] === value)) {
+      memoryIndex[namespace].delete(document.id);
+    }
+  }
+}
+
+module.exports = {
+  upsert,
+  query,
+  remove,
+  removeWhere
+};
@@ -0,0 +1,239 @@
+process.env.AB_TEST_MIN_SAMPLES = '20';
+process.env.AB_TEST_STOP_CHECK_INTERVAL = '10';
+
+// Assignments come from the in-memory store
+jest.mock('../../src/services/cacheService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  set: jest.fn().mockResolvedValue(true)
+}));
+
+const abTestingService = require('../../src/services/abTestingService');
+
+/**
+ * Record thumbs-up feedback for users of a test until each arm has `perArm` results
+ * (or the test has ended)
+ */
+async function recordFeedback(test, rates, perArm) {
+  const counts = Object.fromEntries(test.models.map(model => [model, 0]));
+
+  for (let i = 0; Object.values(counts).some(count => count < perArm); i++) {
+    const userId = `user-${test.id}-${i}`;
+    const assignments = await abTestingService.assignUserToTests(userId);
+    if (!assignments[test.id]) break;
+    const model = assignments[test.id].model;
+    if (counts[model] >= perArm) continue;
+
+    // Deterministic share of positive feedback per arm
+    const thumbsUp = (counts[model] % 100) < rates[model] * 100;
+    counts[model]++;
+    await abTestingService.recordTestResult({ userId, testId: test.id, messageId: `m-${i}`, metrics: { thumbsUp } });
+  }
+}
+
+/**
+ * End every active test (only one test applies per message)
+ */
+async function endActiveTests() {
+  for (const test of await abTestingService.getActiveTests()) {
+    await abTestingService.endTest(test.id);
+  }
+}
+
+describe('abTestingService statistics', () => {
+  test('reports corrected pairwise comparisons and a multi-arm winner', async () => {
+    const test = await abTestingService.createTest({ name: 'three arms', models: ['a', 'b', 'c'] });
+    await recordFeedback(test, { a: 0.8, b: 0.3, c: 0.3 }, 100);
+
+    const { report } = await abTestingService.getTestResults(test.id);
+
+    expect(report.arms.a.thumbsUp).toMatchObject({ n: 100, successes: 80, rate: 0.8 });
+    const thumbsUp = report.comparisons.filter(c => c.metric === 'thumbsUp');
+    expect(thumbsUp).toHaveLength(3);
+    thumbsUp.forEach(c => expect(c.adjustedPValue).toBeGreaterThanOrEqual(c.pValue));
+    expect(thumbsUp.find(c => c.modelA === 'b' && c.modelB === 'c').significant).toBe(false);
+    expect(report.winners.thumbsUp).toBe('a');
+
+    const significance = await abTestingService.calculateSignificance(test.id);
+    expect(significance).toMatchObject({ significant: true, betterModel: 'a', correction: 'holm' });
+  });
+
+  test('ends a test automatically when the Bayesian stopping rule is met', async () => {
+    const test = await abTestingService.createTest({
+      name: 'bayesian stop',
+      models: ['a', 'b'],
+      stoppingRule: { type: 'bayesian', metric: 'thumbsUp', minSamplesPerArm: 50 }
+    });
+    await recordFeedback(test, { a: 0.9, b: 0.2 }, 60);
+
+    const ended = await abTestingService.getTest(test.id);
+    expect(ended).toMatchObject({ status: 'completed', winningModel: 'a' });
+    expect(ended.endedReason).toContain('probability');
+    expect((await abTestingService.getActiveTests()).map(t => t.id)).not.toContain(test.id);
+  });
+
+  test('sequential rule stops without a winner at the planned sample size', async () => {
+    const test = await abTestingService.createTest({
+      name: 'sequential',
+      models: ['a', 'b'],
+      stoppingRule: { type: 'sequential', metric: 'thumbsUp', minSamplesPerArm: 20, maxSamplesPerArm: 40, autoStop: false }
+    });
+    await recordFeedback(test, { a: 0.5, b: 0.5 }, 40);
+
+    const { report } = await abTestingService.getTestResults(test.id);
+
+    expect(report.stopping).toMatchObject({ shouldStop: true, winner: null, informationFraction: 1 });
+    expect((await abTestingService.getTest(test.id)).status).toBe('active');
+  });
+
+  test('rejects invalid stopping rules', async () => {
+    await expect(abTestingService.createTest({ name: 'x', models: ['a', 'b'], stoppingRule: { type: 'magic' } }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('abTestingService variants', () => {
+  beforeEach(endActiveTests);
+
+  const variants = [
+    { id: 'control', allocation: 20 },
+    { id: 'concise', systemPrompt: 'Answer in one sentence on {{platform}}.', temperature: 0.2, contextWindow: { maxItems: 5 }, allocation: 60 }
+  ];
+
+  test('assigns users to variants following their allocations', async () => {
+    const test = await abTestingService.createTest({ name: 'allocations', variants });
+    const counts = { control: 0, concise: 0, none: 0 };
+    let assignedUser = null;
+
+    for (let i = 0; i < 1000; i++) {
+      const experiment = await abTestingService.getMessageVariant(`alloc-${i}`, { platform: 'web', plan: 'free' });
+      const inTest = experiment && experiment.testId === test.id;
+      counts[inTest ? experiment.variant.id : 'none']++;
+      if (inTest && !assignedUser) {
+        assignedUser = `alloc-${i}`;
+      }
+    }
+
+    expect(test.trafficPercentage).toBe(80);
+    expect(counts.control).toBeGreaterThan(150);
+    expect(counts.control).toBeLessThan(250);
+    expect(counts.concise).toBeGreaterThan(550);
+    expect(counts.concise).toBeLessThan(650);
+
+    // Assignments are sticky and results are recorded per variant
+    // (the test ID is random, so which users fall outside its traffic varies)
+    const experiment = await abTestingService.getMessageVariant(assignedUser, { platform: 'web' });
+    const again = await abTestingService.getMessageVariant(assignedUser, { platform: 'web' });
+    expect(again.variant.id).toBe(experiment.variant.id);
+
+    await abTestingService.recordTestResult({ userId: assignedUser, testId: test.id, messageId: 'm', model: 'gpt-4o-mini', metrics: { rating: 5 } });
+    const { report } = await abTestingService.getTestResults(test.id);
+    expect(Object.keys(report.arms)).toEqual(['control', 'concise']);
+    expect(report.arms[experiment.variant.id].count).toBe(1);
+  });
+
+  test('only applies tests to the targeted platforms and plans', async () => {
+    const test = await abTestingService.createTest({
+      name: 'targeted',
+      variants: [{ id: 'a', allocation: 50 }, { id: 'b', allocation: 50 }],
+      targeting: { platforms: ['whatsapp'], plans: ['pro'] }
+    });
+
+    expect(await abTestingService.getMessageVariant('target-user', { platform: 'web', plan: 'pro' })).toBeNull();
+    expect(await abTestingService.getMessageVariant('target-user', { platform: 'whatsapp', plan: 'free' })).toBeNull();
+    expect(await abTestingService.getMessageVariant('target-user', { platform: 'whatsapp', plan: 'pro' }))
+      .toMatchObject({ testId: test.id });
+  });
+
+  test('rejects invalid variants', async () => {
+    await expect(abTestingService.createTest({ name: 'x', variants: [{ id: 'a', allocation: 70 }, { id: 'b', allocation: 40 }] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(abTestingService.createTest({ name: 'x', variants: [{ id: 'a' }, { id: 'a' }] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(abTestingService.createTest({ name: 'x', variants: [{ id: 'a', temperature: 3 }, { id: 'b' }] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('abTestingService bandits', () => {
+  beforeEach(endActiveTests);
+
+  /**
+   * Serve `messages` messages of one user and send feedback with a deterministic
+   * thumbs-up share per arm; returns the served arms in order
+   */
+  async function runBandit(test, rates, messages) {
+    const served = [];
+    const counts = {};
+
+    for (let i = 0; i < messages; i++) {
+      const userId = `bandit-user-${test.id}`;
+      const { variant } = await abTestingService.getMessageVariant(userId, { platform: 'web' });
+      const messageId = `${test.id}-${i}`;
+      counts[variant.id] = (counts[variant.id] || 0) + 1;
+      served.push(variant.id);
+
+      await abTestingService.recordTestResult({ userId, testId: test.id, messageId, variant: variant.id, metrics: { processingTime: 800 } });
+      const thumbsUp = (counts[variant.id] % 10) < rates[variant.id] * 10;
+      await abTestingService.recordTestResult({ userId, testId: test.id, messageId, metrics: { thumbsUp } });
+    }
+
+    return served;
+  }
+
+  const config = name => ({
+    name,
+    type: 'bandit',
+    variants: [{ id: 'weak' }, { id: 'strong' }],
+    bandit: { algorithm: 'thompson', explorationCap: 0.1, minSamplesPerArm: 5, seed: 7 }
+  });
+
+  test('Thompson sampling shifts traffic to the best arm within the exploration cap', async () => {
+    const test = await abTestingService.createTest(config('thompson'));
+    const served = await runBandit(test, { weak: 0.2, strong: 0.8 }, 200);
+
+    const bandit = await abTestingService.getBanditArms(test.id);
+    expect(bandit).toMatchObject({ algorithm: 'thompson', leader: 'strong', warm: true });
+    expect(bandit.arms.strong.probability).toBeGreaterThanOrEqual(0.9);
+    expect(bandit.arms.weak.results).toBeGreaterThanOrEqual(5);
+    expect(served.slice(100).filter(arm => arm === 'strong').length).toBeGreaterThan(80);
+  });
+
+  test('is reproducible with a seed', async () => {
+    const first = await runBandit(await abTestingService.createTest(config('seeded 1')), { weak: 0.5, strong: 0.6 }, 60);
+    await endActiveTests();
+    const second = await runBandit(await abTestingService.createTest(config('seeded 2')), { weak: 0.5, strong: 0.6 }, 60);
+
+    expect(second).toEqual(first);
+  });
+
+  test('dry runs neither assign users nor draw arms', async () => {
+    const first = await runBandit(await abTestingService.createTest(config('dry run 1')), { weak: 0.5, strong: 0.6 }, 30);
+    await endActiveTests();
+    const test = await abTestingService.createTest(config('dry run 2'));
+
+    expect(await abTestingService.getMessageVariant('dry-run-user', { platform: 'web' }, { readOnly: true })).toBeNull();
+    expect(await abTestingService.getUserAssignments('dry-run-user')).toEqual({});
+
+    await abTestingService.assignUserToTests(`bandit-user-${test.id}`, { platform: 'web' });
+    for (let i = 0; i < 5; i++) {
+      expect(await abTestingService.getMessageVariant(`bandit-user-${test.id}`, { platform: 'web' }, { readOnly: true }))
+        .toEqual({ testId: test.id, testName: 'dry run 2', variant: null });
+    }
+
+    expect(await runBandit(test, { weak: 0.5, strong: 0.6 }, 30)).toEqual(first);
+  });
+
+  test('UCB plays every arm before exploiting and ignores feedback for unserved messages', async () => {
+    const test = await abTestingService.createTest({
+      ...config('ucb'),
+      bandit: { algorithm: 'ucb', explorationCap: 0, minSamplesPerArm: 1, latencyWeight: 0 }
+    });
+    const served = await runBandit(test, { weak: 0.1, strong: 0.9 }, 30);
+
+    expect(served.slice(0, 2).sort()).toEqual(['strong', 'weak']);
+    expect(served.slice(10).every(arm => arm === 'strong')).toBe(true);
+    expect(await abTestingService.recordTestResult({
+      userId: `bandit-user-${test.id}`, testId: test.id, messageId: 'unknown', metrics: { thumbsUp: true }
+    })).toBe(false);
+  });
+});
@@ -0,0 +1,31 @@
+const { getTenantId, isPrivileged } = require('../../src/middleware/auth');
+
+const request = (user, { body = {}, query = {} } = {}) => ({ user, body, query });
+
+describe('auth getTenantId', () => {
+  test('keeps tenants on their own tenant whatever they pass', () => {
+    const req = request({ id: 't-1', role: 'user' }, { body: { tenantId: 't-2' } });
+
+    expect(isPrivileged(req.user)).toBe(false);
+    expect(getTenantId(req)).toBe('t-1');
+    expect(getTenantId(req, { requested: 't-2' })).toBe('t-1');
+  });
+
+  test('lets admins and services act for the requested tenant', () => {
+    expect(getTenantId(request({ id: 'admin-1', role: 'admin' }, { query: { tenantId: 't-2' } }))).toBe('t-2');
+    expect(getTenantId(request({ id: 'server', role: 'service' }), { requested: 't-3' })).toBe('t-3');
+  });
+
+  test('acts for every tenant only for the allowed roles', () => {
+    const admin = request({ id: 'admin-1', role: 'admin' });
+    const service = request({ id: 'server', role: 'service' });
+
+    expect(getTenantId(admin)).toBe('admin-1');
+    expect(getTenantId(admin, { allowAll: ['admin'] })).toBeNull();
+    expect(getTenantId(service, { allowAll: ['admin'] })).toBe('server');
+  });
+
+  test('rejects requests without a tenant', () => {
+    expect(() => getTenantId(request(undefined))).toThrow('Tenant could not be determined');
+  });
+});
@@ -0,0 +1,90 @@
+process.env.EMBEDDING_PROVIDER = 'local';
+process.env.ENABLE_SEMANTIC_CACHE = 'true';
+process.env.SEMANTIC_CACHE_THRESHOLD = '0.8';
+process.env.SEMANTIC_CACHE_SHARED_INTENTS = 'information';
+process.env.SEMANTIC_CACHE_INTENT_TTLS = 'information:86400,greeting:60';
+
+const cacheService = require('../../src/services/cacheService');
+
+const scope = (overrides = {}) => ({
+  tenantId: 't-1',
+  userId: 'u-1',
+  intent: 'information',
+  platform: 'web',
+  language: 'eng',
+  ...overrides
+});
+
+describe('cacheService semantic cache', () => {
+  beforeEach(async () => {
+    await cacheService.invalidateSemantic('t-1');
+    await cacheService.invalidateSemantic('t-2');
+  });
+
+  test('returns the reply cached for a similar question', async () => {
+    await cacheService.setSemantic('What are your opening hours?', '{"text":"9am to 6pm"}', scope());
+
+    const hit = await cacheService.getSemantic('what are your opening hours today?', scope());
+
+    expect(hit.value).toBe('{"text":"9am to 6pm"}');
+    expect(hit.score).toBeGreaterThanOrEqual(0.8);
+    expect(await cacheService.getSemantic('How much does a haircut cost?', scope())).toBeNull();
+  });
+
+  test('shares FAQ replies within the tenant only', async () => {
+    await cacheService.setSemantic('What are your opening hours?', '{"text":"9am to 6pm"}', scope());
+
+    expect(await cacheService.getSemantic('What are your opening hours?', scope({ userId: 'u-2' }))).not.toBeNull();
+    expect(await cacheService.getSemantic('What are your opening hours?', scope({ tenantId: 't-2' }))).toBeNull();
+  });
+
+  test('keeps other intents and replies with personal data per user', async () => {
+    await cacheService.setSemantic('Hello there', '{"text":"Hi Aminah!"}', scope({ intent: 'greeting' }));
+    await cacheService.setSemantic('Where do you deliver?', '{"text":"To [ADDRESS_1]"}', scope({ shareable: false }));
+
+    expect(await cacheService.getSemantic('Hello there', scope({ intent: 'greeting' }))).not.toBeNull();
+    expect(await cacheService.getSemantic('Hello there', scope({ intent: 'greeting', userId: 'u-2' }))).toBeNull();
+    expect(await cacheService.getSemantic('Where do you deliver?', scope({ userId: 'u-2' }))).toBeNull();
+  });
+
+  test('only matches the same intent, platform and language', async () => {
+    await cacheService.setSemantic('What are your opening hours?', '{"text":"9am to 6pm"}', scope());
+
+    expect(await cacheService.getSemantic('What are your opening hours?', scope({ intent: 'help' }))).toBeNull();
+    expect(await cacheService.getSemantic('What are your opening hours?', scope({ platform: 'whatsapp' }))).toBeNull();
+    expect(await cacheService.getSemantic('What are your opening hours?', scope({ language: 'zlm' }))).toBeNull();
+  });
+
+  test('does not cache excluded intents', async () => {
+    expect(await cacheService.setSemantic('yes please', '{"text":"Booked"}', scope({ intent: 'confirm' }))).toBe(false);
+    expect(cacheService.isSemanticCacheable('confirm')).toBe(false);
+  });
+
+  test('invalidates a tenant or every tenant', async () => {
+    await cacheService.setSemantic('What are your opening hours?', '{"text":"9am to 6pm"}', scope());
+    await cacheService.setSemantic('What are your opening hours?', '{"text":"10am to 8pm"}', scope({ tenantId: 't-2' }));
+
+    await cacheService.invalidateSemantic('t-1');
+    expect(await cacheService.getSemantic('What are your opening hours?', scope())).toBeNull();
+    expect(await cacheService.getSemantic('What are your opening hours?', scope({ tenantId: 't-2' }))).not.toBeNull();
+
+    await cacheService.invalidateSemantic();
+    expect(await cacheService.getSemantic('What are your opening hours?', scope({ tenantId: 't-2' }))).toBeNull();
+  });
+
+  test('reports the hit rate overall and per intent in getStats', async () => {
+    const before = (await cacheService.getStats()).semantic;
+
+    await cacheService.setSemantic('What are your opening hours?', '{"text":"9am to 6pm"}', scope());
+    await cacheService.getSemantic('What are your opening hours?', scope());
+    await cacheService.getSemantic('How much does a haircut cost?', scope());
+
+    const { semantic } = await cacheService.getStats();
+    expect(semantic).toMatchObject({ enabled: true, threshold: 0.8 });
+    expect(semantic.hits - before.hits).toBe(1);
+    expect(semantic.misses - before.misses).toBe(1);
+    expect(semantic.stores - before.stores).toBe(1);
+    expect(semantic.hitRate).toBeCloseTo(semantic.hits / (semantic.hits + semantic.misses));
+    expect(semantic.byIntent.information.hitRate).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,90 @@
+const { CircuitBreaker, STATES } = require('../../src/services/circuitBreaker');
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+  
+  beforeEach(() => {
+    now = 0;
+    breaker = new CircuitBreaker('test-model', {
+      windowSize: 10,
+      minRequests: 4,
+      failureRateThreshold: 0.5,
+      slowCallThresholdMs: 1000,
+      cooldownMs: 5000,
+      halfOpenMaxCalls: 1,
+      now: () => now
+    });
+  });
+  
+  it('stays closed until the minimum number of calls is reached', () => {
+    breaker.recordFailure(new Error('boom'));
+    breaker.recordFailure(new Error('boom'));
+    breaker.recordFailure(new Error('boom'));
+    
+    expect(breaker.getCurrentState()).toBe(STATES.CLOSED);
+    expect(breaker.allowRequest()).toBe(true);
+  });
+  
+  it('opens when the failure rate reaches the threshold', () => {
+    breaker.recordSuccess(100);
+    breaker.recordSuccess(100);
+    breaker.recordFailure(new Error('boom'));
+    breaker.recordFailure(new Error('timeout'));
+    
+    expect(breaker.getCurrentState()).toBe(STATES.OPEN);
+    expect(breaker.allowRequest()).toBe(false);
+    expect(breaker.getState().lastError).toBe('timeout');
+  });
+  
+  it('counts slow calls as failures', () => {
+    breaker.recordSuccess(100);
+    breaker.recordSuccess(100);
+    breaker.recordSuccess(2000);
+    breaker.recordSuccess(3000);
+    
+    expect(breaker.getCurrentState()).toBe(STATES.OPEN);
+  });
+  
+  it('allows a single trial call after the cooldown and closes on success', () => {
+    for (let i = 0; i < 4; i++) breaker.recordFailure(new Error('boom'));
+    
+    now = 5000;
+    expect(breaker.getCurrentState()).toBe(STATES.HALF_OPEN);
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.allowRequest()).toBe(false);
+    
+    breaker.recordSuccess(100);
+    expect(breaker.getCurrentState()).toBe(STATES.CLOSED);
+    expect(breaker.getState().total).toBe(1);
+  });
+  
+  it('re-opens when the trial call fails', () => {
+    for (let i = 0; i < 4; i++) breaker.recordFailure(new Error('boom'));
+    
+    now = 5000;
+    breaker.allowRequest();
+    breaker.recordFailure(new Error('still down'));
+    
+    expect(breaker.getCurrentState()).toBe(STATES.OPEN);
+    now = 9999;
+    expect(breaker.allowRequest()).toBe(false);
+  });
+  
+  it('gives back the trial slot when a call is released', () => {
+    for (let i = 0; i < 4; i++) breaker.recordFailure(new Error('boom'));
+    
+    now = 5000;
+    breaker.allowRequest();
+    breaker.release();
+    
+    expect(breaker.allowRequest()).toBe(true);
+  });
+  
+  it('resets to closed with an empty window', () => {
+    for (let i = 0; i < 4; i++) breaker.recordFailure(new Error('boom'));
+    breaker.reset();
+    
+    expect(breaker.getState()).toMatchObject({ state: STATES.CLOSED, total: 0, openedAt: null });
+  });
+});
@@ -0,0 +1,184 @@
+process.env.ENABLE_LLM_SUMMARIES = 'true';
+process.env.LONG_TERM_WINDOW_SIZE = '3';
+process.env.ENABLE_SEMANTIC_MEMORY = 'true';
+process.env.EMBEDDING_PROVIDER = 'local';
+
+jest.mock('../../src/services/aiService', () => ({
+  generateText: jest.fn()
+}));
+
+// Contexts come from the in-memory store
+jest.mock('../../src/services/cacheService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  set: jest.fn().mockResolvedValue(true)
+}));
+
+const aiService = require('../../src/services/aiService');
+const contextService = require('../../src/services/contextService');
+
+const interaction = (id, minute, extra = {}) => ({
+  id,
+  userMessage: `question ${id}`,
+  aiResponse: `answer ${id}`,
+  timestamp: new Date(Date.UTC(2024, 0, 1, 0, minute)).toISOString(),
+  importance: 0.8,
+  topics: ['booking'],
+  ...extra
+});
+
+describe('contextService summaries', () => {
+  beforeEach(() => {
+    aiService.generateText.mockReset();
+  });
+
+  test('uses the model summary and keeps the source ids', async () => {
+    aiService.generateText.mockResolvedValue({ text: ' User booked a facial on Friday. ', model: 'model-a' });
+
+    const summary = await contextService.summarizeGroup([interaction('a', 1), interaction('b', 2)], 'user-1');
+
+    expect(summary).toMatchObject({
+      isSummary: true,
+      summary: 'User booked a facial on Friday.',
+      summaryMethod: 'llm',
+      summaryModel: 'model-a',
+      sourceIds: ['a', 'b'],
+      originalCount: 2
+    });
+    expect(aiService.generateText).toHaveBeenCalledWith(expect.stringContaining('question a'), expect.objectContaining({
+      userId: 'user-1',
+      feature: 'context_summary'
+    }));
+  });
+
+  test('falls back to an extractive summary when the model fails', async () => {
+    aiService.generateText.mockRejectedValue(new Error('All AI models failed'));
+
+    const summary = await contextService.summarizeGroup([interaction('a', 1), interaction('b', 2)]);
+
+    expect(summary.summaryMethod).toBe('extractive');
+    expect(summary.summary).toBeUndefined();
+    expect(summary.userMessage).toBe('[Summary of 2 related messages about booking]');
+    expect(summary.sourceIds).toEqual(['a', 'b']);
+  });
+
+  test('re-summarizes the oldest long-term memories on overflow', async () => {
+    aiService.generateText.mockResolvedValue({ text: 'Earlier bookings.', model: 'model-a' });
+
+    const earlier = {
+      ...interaction('s1', 0),
+      isSummary: true,
+      summary: 'First visit.',
+      sourceIds: ['x', 'y']
+    };
+    const context = {
+      longTermMemory: [interaction('c', 3), earlier, interaction('a', 1), interaction('b', 2)]
+    };
+
+    await contextService.consolidateLongTermMemory(context, 'user-1');
+
+    expect(context.longTermMemory).toHaveLength(3);
+    expect(context.longTermMemory[0]).toMatchObject({
+      summary: 'Earlier bookings.',
+      sourceIds: ['x', 'y', 'a'],
+      originalCount: 3
+    });
+    expect(context.longTermMemory.slice(1).map(item => item.id)).toEqual(['b', 'c']);
+    expect(aiService.generateText.mock.calls[0][0]).toContain('[Earlier summary] First visit.');
+  });
+});
+
+describe('contextService background summaries', () => {
+  test('summarizes after replying and keeps interactions added meanwhile', async () => {
+    let finishSummary;
+    aiService.generateText.mockReset();
+    aiService.generateText.mockReturnValue(new Promise(resolve => {
+      finishSummary = resolve;
+    }));
+    const important = i => ({ userMessage: `important ${i}`, aiResponse: `noted ${i}`, importance: 0.9 });
+
+    for (let i = 1; i <= 4; i++) {
+      await contextService.updateUserContext('user-5', null, important(i));
+    }
+
+    // The fourth interaction overflows long-term memory, the reply does not wait for the summary
+    expect(aiService.generateText).toHaveBeenCalledTimes(1);
+    await contextService.updateUserContext('user-5', null, important(5));
+
+    finishSummary({ text: 'Important notes 1 and 2.', model: 'model-a' });
+    let context;
+    for (let i = 0; i < 50; i++) {
+      await new Promise(resolve => setImmediate(resolve));
+      context = await contextService.getUserContext('user-5');
+      if (context.longTermMemory[0].isSummary) break;
+    }
+
+    expect(context.longTermMemory[0]).toMatchObject({ summary: 'Important notes 1 and 2.', originalCount: 2 });
+    expect(context.longTermMemory.slice(1).map(item => item.userMessage))
+      .toEqual(['important 3', 'important 4', 'important 5']);
+  });
+});
+
+describe('contextService semantic memory', () => {
+  test('retrieves a relevant exchange that has left the recent history', async () => {
+    await contextService.updateUserContext('user-2', null, {
+      userMessage: 'My dog Max is allergic to lavender shampoo',
+      aiResponse: 'Noted, we will use an unscented shampoo for Max.'
+    });
+
+    for (let i = 0; i < 40; i++) {
+      await contextService.updateUserContext('user-2', null, {
+        userMessage: `Can I move appointment number ${i} to the afternoon`,
+        aiResponse: 'Sure, the afternoon slot is free.'
+      });
+    }
+
+    const aiContext = await contextService.getAIContext('user-2', null, {
+      query: 'Which shampoo should you use for my dog?'
+    });
+
+    expect(aiContext.history.some(item => item.userMessage.includes('lavender'))).toBe(false);
+    expect(aiContext.relevantMemories[0].userMessage).toBe('My dog Max is allergic to lavender shampoo');
+    expect(aiContext.relevantMemories[0].relevance).toBeGreaterThan(0.3);
+  });
+
+  test('recalls exchanges from earlier sessions', async () => {
+    await contextService.updateUserContext('user-3', 'session-1', {
+      userMessage: 'My cat Luna only eats salmon treats',
+      aiResponse: 'Got it, salmon treats for Luna.'
+    });
+
+    const aiContext = await contextService.getAIContext('user-3', 'session-2', {
+      query: 'What treats does my cat like?'
+    });
+
+    expect(aiContext.relevantMemories[0].userMessage).toBe('My cat Luna only eats salmon treats');
+  });
+
+  test('forgets the embedded exchanges when the history is cleared', async () => {
+    const query = { query: 'What treats does my cat like?' };
+    await contextService.updateUserContext('user-4', 'session-1', {
+      userMessage: 'My cat Luna only eats salmon treats',
+      aiResponse: 'Got it, salmon treats for Luna.'
+    });
+    await contextService.updateUserContext('user-4', 'session-2', {
+      userMessage: 'My other cat prefers chicken treats',
+      aiResponse: 'Chicken treats it is.'
+    });
+
+    // Clearing one session forgets only its exchanges
+    await contextService.clearChatHistory('user-4', 'session-1');
+    let memories = (await contextService.getAIContext('user-4', 'session-3', query)).relevantMemories;
+    expect(memories.map(memory => memory.userMessage)).toEqual(['My other cat prefers chicken treats']);
+
+    // Clearing without a session forgets every session
+    await contextService.clearChatHistory('user-4');
+    memories = (await contextService.getAIContext('user-4', 'session-3', query)).relevantMemories;
+    expect(memories).toEqual([]);
+  });
+
+  test('does not retrieve anything without a query', async () => {
+    const aiContext = await contextService.getAIContext('user-2');
+
+    expect(aiContext.relevantMemories).toEqual([]);
+  });
+});
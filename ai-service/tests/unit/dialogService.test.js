@@ -0,0 +1,102 @@
+// Contexts come from the in-memory store
+jest.mock('../../src/services/cacheService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  set: jest.fn().mockResolvedValue(true)
+}));
+
+const dialogService = require('../../src/services/dialogService');
+const contextService = require('../../src/services/contextService');
+
+// Monday 19 October 2026, noon in Kuala Lumpur
+const referenceDate = new Date('2026-10-19T04:00:00Z');
+const services = [{ id: 'svc-1', name: 'Haircut', aliases: ['剪发'] }];
+
+const turn = (userId, text, extra = {}) => dialogService.processTurn({
+  userId,
+  text,
+  services,
+  referenceDate,
+  ...extra
+});
+
+describe('dialogService', () => {
+  test('asks for missing slots until the booking is complete', async () => {
+    let result = await turn('u1', 'I want to book a haircut tomorrow', { intent: 'booking', confidence: 0.9 });
+
+    expect(result).toMatchObject({
+      intent: 'booking',
+      status: 'active',
+      slots: { service: { id: 'svc-1', name: 'Haircut' }, date: '2026-10-20' },
+      filledSlots: ['service', 'date'],
+      missingSlots: ['time', 'phone'],
+      nextSlot: 'time',
+      question: 'What time would you prefer?'
+    });
+
+    // Follow-up messages continue the dialog whatever intent they are classified as
+    result = await turn('u1', '3pm', { intent: 'greeting', confidence: 0.4 });
+    expect(result).toMatchObject({ filledSlots: ['time'], nextSlot: 'phone' });
+
+    // Later values correct earlier ones
+    result = await turn('u1', 'actually make it 4pm, my number is 012-345 6789');
+    expect(result).toMatchObject({
+      status: 'complete',
+      slots: { time: '16:00', phone: '+60123456789' },
+      missingSlots: [],
+      nextSlot: null
+    });
+
+    // Completed dialogs are not continued
+    expect(await dialogService.getActiveDialog('u1', referenceDate)).toBeNull();
+    expect(await turn('u1', 'thanks', { intent: 'thanks' })).toBeNull();
+  });
+
+  test('asks follow-up questions in the customer\'s language', async () => {
+    let result = await turn('u2', '我想预约剪发', { intent: 'booking', confidence: 0.9 });
+    expect(result).toMatchObject({ language: 'zh', nextSlot: 'date', question: '请问您想预约哪一天？' });
+
+    // Short replies keep the language of the dialog
+    result = await turn('u2', '后天 3pm');
+    expect(result).toMatchObject({ language: 'zh', nextSlot: 'phone', question: '请提供您的联系电话。' });
+
+    result = await turn('u3', 'saya nak batalkan temujanji', { intent: 'cancel', confidence: 0.9 });
+    expect(result).toMatchObject({ language: 'ms', nextSlot: 'date', question: 'Apakah tarikh temujanji yang ingin dibatalkan?' });
+  });
+
+  test('takes a free-text answer for the slot it asked about', async () => {
+    await turn('u4', 'book an appointment', { intent: 'booking', confidence: 0.9, services: [] });
+    const result = await turn('u4', 'beard trim', { services: [] });
+
+    expect(result.slots.service).toBe('beard trim');
+    expect(result.nextSlot).toBe('date');
+  });
+
+  test('persists the dialog in the user context and resets it on request', async () => {
+    await turn('u5', 'book a haircut', { intent: 'booking', confidence: 0.9 });
+
+    // Stored at user level, shared by every session and platform
+    expect((await contextService.getUserContext('u5')).dialog).toMatchObject({ intent: 'booking', status: 'active' });
+
+    const result = await turn('u5', '算了');
+    expect(result.status).toBe('cancelled');
+    expect(await dialogService.getDialogState('u5')).toBeNull();
+  });
+
+  test('expires stale dialogs', async () => {
+    await turn('u6', 'book a haircut', { intent: 'booking', confidence: 0.9 });
+    const later = new Date(referenceDate.getTime() + 2 * 60 * 60 * 1000);
+
+    expect(await dialogService.getActiveDialog('u6', later)).toBeNull();
+    expect(await turn('u6', '3pm', { referenceDate: later })).toBeNull();
+  });
+
+  test('describes the dialog to the model', async () => {
+    const result = await turn('u7', 'haircut tomorrow please', { intent: 'booking', confidence: 0.9 });
+    const prompt = dialogService.buildDialogPrompt(result);
+
+    expect(prompt).toContain('- service: Haircut');
+    expect(prompt).toContain('- date: 2026-10-20');
+    expect(prompt).toContain('What time would you prefer?');
+    expect(dialogService.buildDialogPrompt(null)).toBe('');
+  });
+});
@@ -0,0 +1,121 @@
+jest.mock('../../src/services/aiService', () => ({
+  generateText: jest.fn()
+}));
+
+const aiService = require('../../src/services/aiService');
+const entityService = require('../../src/services/entityService');
+
+// Monday 19 October 2026, noon in Kuala Lumpur
+const referenceDate = new Date('2026-10-19T04:00:00Z');
+const services = [{ id: 'svc-1', name: 'Haircut', aliases: ['剪发', 'potong rambut'] }];
+
+const extract = (text, types) => entityService
+  .extractEntities(text, { referenceDate, services, types })
+  .map(({ type, value, text: matched }) => [type, value, matched]);
+
+describe('entityService', () => {
+  test('resolves relative and absolute dates in English, Chinese and Malay', () => {
+    const dates = text => extract(text, ['date']).map(([, value]) => value);
+
+    expect(dates('tomorrow')).toEqual(['2026-10-20']);
+    expect(dates('next friday')).toEqual(['2026-10-30']);
+    expect(dates('in 3 days')).toEqual(['2026-10-22']);
+    expect(dates('后天')).toEqual(['2026-10-21']);
+    expect(dates('下周二')).toEqual(['2026-10-27']);
+    expect(dates('十月二十号')).toEqual(['2026-10-20']);
+    expect(dates('esok')).toEqual(['2026-10-20']);
+    expect(dates('hari sabtu depan')).toEqual(['2026-10-31']);
+    expect(dates('25 Disember')).toEqual(['2026-12-25']);
+    // Dates already past this year roll over to next year
+    expect(dates('1/3')).toEqual(['2027-03-01']);
+    expect(dates('2026-02-30')).toEqual([]);
+  });
+
+  test('normalizes times to 24h', () => {
+    const times = text => extract(text, ['time']).map(([, value]) => value);
+
+    expect(times('3pm')).toEqual(['15:00']);
+    expect(times('at 10:30')).toEqual(['10:30']);
+    expect(times('下午三点半')).toEqual(['15:30']);
+    expect(times('pukul 8 malam')).toEqual(['20:00']);
+    // Without am/pm a dot is not a time ("RM3.50")
+    expect(times('RM3.50')).toEqual([]);
+  });
+
+  test('extracts phone numbers, postal codes and addresses with offsets', () => {
+    const text = 'Call 012-345 6789, No 12, Jalan Bukit Bintang, 55100 Kuala Lumpur';
+    const entities = entityService.extractEntities(text, { referenceDate });
+
+    expect(entities.map(({ type, value }) => [type, value])).toEqual([
+      ['phone', '+60123456789'],
+      ['address', 'No 12, Jalan Bukit Bintang, 55100 Kuala Lumpur'],
+      ['postal_code', '55100']
+    ]);
+    expect(text.slice(entities[0].start, entities[0].end)).toBe('012-345 6789');
+    expect(entityService.normalizePhone('+65 9123 4567')).toBe('+6591234567');
+  });
+
+  test('matches the business services by name and alias', () => {
+    expect(extract('我想剪发，明天下午3点', ['service', 'date', 'time'])).toEqual([
+      ['service', { id: 'svc-1', name: 'Haircut' }, '剪发'],
+      ['date', '2026-10-20', '明天'],
+      ['time', '15:00', '下午3点']
+    ]);
+  });
+
+  test('extracts money amounts with their currency', () => {
+    expect(extract('RM 1,200.50, 50 ringgit, 五十块, US$20, 30 sen, Rp 50 ribu', ['money']).map(([, value]) => value)).toEqual([
+      { amount: 1200.5, currency: 'MYR' },
+      { amount: 50, currency: 'MYR' },
+      { amount: 50, currency: 'MYR' },
+      { amount: 20, currency: 'USD' },
+      { amount: 0.3, currency: 'MYR' },
+      { amount: 50000, currency: 'IDR' }
+    ]);
+  });
+
+  test('extracts emails and Shopee/Lazada order numbers', () => {
+    expect(extract('Email Jane.Doe@Example.com about order 221015ABCD1234')).toEqual([
+      ['email', 'jane.doe@example.com', 'Jane.Doe@Example.com'],
+      ['order_number', { platform: 'shopee', orderNumber: '221015ABCD1234' }, '221015ABCD1234']
+    ]);
+    expect(extract('Lazada订单 123456789012345 还没到')).toEqual([
+      ['order_number', { platform: 'lazada', orderNumber: '123456789012345' }, '123456789012345']
+    ]);
+    // Long numbers without an order keyword are not order numbers
+    expect(extract('123456789012345', ['order_number'])).toEqual([]);
+  });
+
+  test('asks a model for the products and addresses the rules missed', async () => {
+    aiService.generateText.mockResolvedValueOnce({
+      text: '```json\n{"entities": [{"type": "product", "text": "blue yoga mat"}, {"type": "product", "text": "a mat I made up"}]}\n```'
+    });
+
+    const entities = await entityService.extractEntitiesWithFallback('Is the blue yoga mat RM59?', {
+      useLlm: true,
+      types: ['product', 'money']
+    });
+
+    expect(aiService.generateText).toHaveBeenCalledWith(
+      expect.stringContaining('Only extract these types: product.'),
+      expect.objectContaining({ feature: 'entity_extraction' })
+    );
+    // Entities the model invents are dropped, the others are located in the message
+    expect(entities).toEqual([
+      { type: 'product', value: { id: null, name: 'blue yoga mat' }, text: 'blue yoga mat', start: 7, end: 20, source: 'llm' },
+      { type: 'money', value: { amount: 59, currency: 'MYR' }, text: 'RM59', start: 21, end: 25, source: 'rule' }
+    ]);
+  });
+
+  test('keeps the rule entities when the model fails or is not needed', async () => {
+    aiService.generateText.mockClear();
+    aiService.generateText.mockRejectedValueOnce(new Error('AI service is not configured'));
+
+    const entities = await entityService.extractEntitiesWithFallback('RM59 tomorrow', { useLlm: true, referenceDate });
+    expect(entities.map(entity => entity.type)).toEqual(['money', 'date']);
+
+    const products = [{ id: 'p1', name: 'Yoga Mat', sku: 'YM-01' }];
+    await entityService.extractEntitiesWithFallback('YM-01 please', { useLlm: true, products, types: ['product'] });
+    expect(aiService.generateText).toHaveBeenCalledTimes(1);
+  });
+});
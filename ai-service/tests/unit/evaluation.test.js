@@ -0,0 +1,186 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const routingService = require('../../src/services/routingService');
+const { loadDataset, normalizeDataset } = require('../../src/evaluation/datasets');
+const { scoreTurn, parseJudgement } = require('../../src/evaluation/scorers');
+const { runEvaluation, CASE_STATUS } = require('../../src/evaluation/runner');
+const { compareReports, renderHtml } = require('../../src/evaluation/report');
+const { createAiTarget, createAutoReplyTarget } = require('../../src/evaluation/targets');
+const stubModel = require('../../src/evaluation/stubModel');
+
+const dataset = normalizeDataset({
+  name: 'shop',
+  cases: [
+    {
+      id: 'greeting',
+      turns: [{ user: 'hi', expect: { intent: 'greeting', contains: ['hello'], judge: 'Friendly' } }]
+    },
+    {
+      id: 'hours',
+      turns: [
+        { user: 'opening hours?', expect: { matches: ['/^We open/'] } },
+        { user: 'and on sunday?', expect: { notContains: ['closed'] } }
+      ]
+    },
+    { id: 'rules', target: 'auto_reply', turns: [{ user: 'price', expect: { matchType: 'direct' } }] }
+  ]
+});
+
+// AI service answering from a fixed table, with a judge that scores 3
+function createFakeAiService(replies) {
+  return {
+    processMessage: jest.fn(async ({ text, userId }) => ({
+      text: replies[text],
+      intent: text === 'hi' ? 'greeting' : null,
+      model: 'fake',
+      userId
+    })),
+    generateText: jest.fn(async () => ({ text: 'Score: {"score": 3, "reason": "A bit curt"}' }))
+  };
+}
+
+describe('evaluation harness', () => {
+  test('loads YAML datasets and rejects invalid ones', () => {
+    const file = path.join(os.tmpdir(), `eval-${process.pid}.yaml`);
+    fs.writeFileSync(file, [
+      'target: ai',
+      'stubRules:',
+      '  - match: opening hours',
+      '    reply: We open at 10am.',
+      'cases:',
+      '  - turns:',
+      '      - user: hello',
+      '        stub: Hi!',
+      '        expect: { judge: { criteria: Polite, minScore: 3 } }'
+    ].join('\n'));
+
+    try {
+      const loaded = loadDataset(file);
+      expect(loaded.name).toBe(`eval-${process.pid}`);
+      expect(loaded.stubRules[0].match.test('OPENING HOURS?')).toBe(true);
+      expect(loaded.cases[0]).toMatchObject({
+        id: 'case-1',
+        target: 'ai',
+        platform: 'web',
+        turns: [{ user: 'hello', stub: ['Hi!'], expect: { judge: { criteria: 'Polite', minScore: 3 } } }]
+      });
+    } finally {
+      fs.unlinkSync(file);
+    }
+
+    expect(() => normalizeDataset({ cases: [{ id: 'a', turns: [{ user: 'x' }] }, { id: 'a', turns: [{ user: 'y' }] }] }))
+      .toThrow('duplicate id');
+    expect(() => normalizeDataset({ cases: [{ target: 'sms', turns: [{ user: 'x' }] }] })).toThrow('target must be one of');
+    expect(() => normalizeDataset({ cases: [{ turns: [{ user: 'x', expect: { matches: ['('] } }] }] }))
+      .toThrow('invalid matches pattern');
+  });
+
+  test('scores intents, rule matches, keywords and patterns', () => {
+    const checks = scoreTurn({
+      intent: 'booking',
+      ruleId: 12,
+      contains: ['Tomorrow'],
+      notContains: ['sorry'],
+      matches: ['^booked'],
+      notMatches: ['/Booked/']
+    }, { text: 'Booked for tomorrow', intent: 'booking', ruleId: '12' });
+
+    expect(checks.map(check => [check.type, check.passed])).toEqual([
+      ['intent', true],
+      ['rule_match', true],
+      ['keyword', true],
+      ['keyword', true],
+      ['regex', true],
+      ['regex', false]
+    ]);
+    expect(parseJudgement('{"score": 6}')).toBeNull();
+    expect(parseJudgement('```json\n{"score": "4", "reason": "ok"}\n```')).toEqual({ score: 4, reason: 'ok' });
+  });
+
+  test('replays conversations, judges replies and restores the routing policy', async () => {
+    const aiService = createFakeAiService({
+      hi: 'Hello there',
+      'opening hours?': 'We open at 10am',
+      'and on sunday?': 'Sunday we are closed'
+    });
+    const policy = routingService.getPolicy();
+    const seen = [];
+
+    const report = await runEvaluation([dataset], {
+      runId: 'r1',
+      judgeModel: 'judge-model',
+      aiService,
+      targets: {
+        ai: createAiTarget(aiService),
+        auto_reply: createAutoReplyTarget({ modulePath: path.join(os.tmpdir(), 'missing-auto-reply') })
+      },
+      onCase: (name, result) => seen.push(`${name}/${result.id}`)
+    });
+
+    expect(routingService.getPolicy()).toEqual(policy);
+    expect(seen).toEqual(['shop/greeting', 'shop/hours', 'shop/rules']);
+    // Both turns of a case are one conversation
+    expect(aiService.processMessage.mock.calls.map(([message]) => message.userId))
+      .toEqual(['eval:r1:shop:greeting', 'eval:r1:shop:hours', 'eval:r1:shop:hours']);
+    expect(aiService.generateText).toHaveBeenCalledWith(expect.stringContaining('customer: hi'), {
+      model: 'judge-model',
+      feature: 'evaluation'
+    });
+
+    const [greeting, hours, rules] = report.datasets[0].cases;
+    expect(greeting.status).toBe(CASE_STATUS.FAILED);
+    expect(greeting.turns[0].checks[2]).toMatchObject({ type: 'judge', passed: false, actual: 3, expected: 4, reason: 'A bit curt' });
+    expect(hours.status).toBe(CASE_STATUS.FAILED);
+    expect(hours.turns.map(turn => turn.checks[0].passed)).toEqual([true, false]);
+    expect(rules).toMatchObject({ status: CASE_STATUS.SKIPPED, reason: expect.stringContaining('could not be loaded') });
+    expect(report.summary).toMatchObject({
+      cases: 3,
+      passed: 0,
+      failed: 2,
+      skipped: 1,
+      passRate: 0,
+      metrics: {
+        intent: { passed: 1, failed: 0, accuracy: 1 },
+        keyword: { passed: 1, failed: 1, accuracy: 0.5 },
+        judge: { passed: 0, failed: 1, accuracy: 0 }
+      }
+    });
+  });
+
+  test('compares runs and renders an escaped HTML report', async () => {
+    const run = replies => runEvaluation([dataset], {
+      runId: 'r2',
+      aiService: createFakeAiService(replies),
+      target: 'ai'
+    });
+    const baseline = await run({ hi: 'Hello', 'opening hours?': 'We open at 9', 'and on sunday?': 'Yes' });
+    const current = await run({ hi: '<b>Hi</b>', 'opening hours?': 'We open at 9', 'and on sunday?': 'Yes' });
+
+    // Judge checks are skipped without a judge model
+    expect(baseline.summary.metrics.judge).toMatchObject({ skipped: 1, accuracy: null });
+
+    const comparison = compareReports(baseline, current);
+    expect(comparison.regressions).toEqual(['shop/greeting']);
+    expect(comparison.fixes).toEqual([]);
+    expect(comparison.metrics.passRate).toEqual({ baseline: 1, current: 0.5, delta: -0.5 });
+    expect(comparison.changedReplies).toEqual([{ case: 'shop/greeting', turn: 1, baseline: 'Hello', current: '<b>Hi</b>' }]);
+
+    const html = renderHtml(current, comparison);
+    expect(html).toContain('&lt;b&gt;Hi&lt;/b&gt;');
+    expect(html).not.toContain('<b>Hi</b>');
+    expect(html).toContain('-50.0 pt');
+  });
+
+  test('stub model replies from the script, then the dataset rules', async () => {
+    stubModel.setScript({ replies: ['first', 'second'], rules: [{ match: /price/i, reply: 'RM 10' }] });
+
+    const replies = [];
+    for (const prompt of ['a', 'b', 'What is the PRICE?', 'Context\nlast line']) {
+      const result = await stubModel.geminiStub.generateContent(prompt);
+      replies.push(result.response.text());
+    }
+
+    expect(replies).toEqual(['first', 'second', 'RM 10', '[stub] last line']);
+  });
+});
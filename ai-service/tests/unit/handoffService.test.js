@@ -0,0 +1,115 @@
+// Low-confidence streaks are counted in the cache
+jest.mock('../../src/services/cacheService', () => {
+  const store = new Map();
+  return {
+    get: jest.fn(async key => store.get(key) ?? null),
+    set: jest.fn(async (key, value) => {
+      store.set(key, value);
+      return true;
+    })
+  };
+});
+
+const handoffService = require('../../src/services/handoffService');
+
+const { HANDOFF_STATES } = handoffService;
+const start = new Date('2026-10-19T04:00:00Z');
+const minutesLater = minutes => new Date(start.getTime() + minutes * 60 * 1000);
+
+const inbound = (userId, text, extra = {}) => handoffService.processInbound({
+  userId,
+  tenantId: 'shop-1',
+  platform: 'whatsapp',
+  text,
+  intentResult: { intent: null, confidence: 0.8 },
+  now: start,
+  ...extra
+});
+
+describe('handoffService', () => {
+  test('fires on the help intent, negative sentiment and keywords', async () => {
+    const reasons = message => handoffService.evaluateTriggers({ text: '', ...message });
+
+    expect(await reasons({ intentResult: { intent: 'help', confidence: 0.9 } })).toEqual([
+      { type: 'intent', intent: 'help' }
+    ]);
+    expect(await reasons({
+      analysis: { escalation: { escalate: true, reasons: ['negative_sentiment', 'high_urgency'] } }
+    })).toEqual([{ type: 'sentiment', reasons: ['negative_sentiment'] }]);
+    // Urgency alone does not need a human
+    expect(await reasons({ analysis: { escalation: { escalate: true, reasons: ['high_urgency'] } } })).toEqual([]);
+    expect(await reasons({ text: 'Can I talk to a real  person?' })).toEqual([{ type: 'keyword', keyword: 'real person' }]);
+    expect(await reasons({ text: '我要转人工' })).toEqual([{ type: 'keyword', keyword: '人工' }]);
+    // Latin keywords match whole words only
+    expect(await reasons({ text: 'do you sell humane traps?' })).toEqual([]);
+  });
+
+  test('fires after consecutive low-confidence messages', async () => {
+    const lowConfidence = { intent: null, confidence: 0.1 };
+
+    expect((await inbound('u1', 'asdf qwer', { intentResult: lowConfidence })).triggered).toBe(false);
+    // A confident message resets the streak
+    expect((await inbound('u1', 'what time do you open')).triggered).toBe(false);
+    expect((await inbound('u1', 'zxcv', { intentResult: lowConfidence })).triggered).toBe(false);
+
+    const result = await inbound('u1', 'hjkl', { intentResult: lowConfidence });
+    expect(result).toMatchObject({ triggered: true, state: HANDOFF_STATES.WAITING_FOR_AGENT });
+    expect(result.handoff.reasons).toEqual([{ type: 'low_confidence', confidence: 0.1, consecutive: 2 }]);
+  });
+
+  test('moves a conversation from the bot to an agent and back', async () => {
+    const triggered = await inbound('u2', '我要找人工客服');
+    expect(triggered).toMatchObject({
+      state: HANDOFF_STATES.WAITING_FOR_AGENT,
+      triggered: true,
+      suppressReply: false,
+      notice: '正在为您转接人工客服，请稍候，我们会尽快回复您。'
+    });
+    const handoffId = triggered.handoff.id;
+
+    // The bot keeps replying until an agent takes the conversation
+    const waiting = await inbound('u2', 'hello?', { now: minutesLater(1) });
+    expect(waiting).toMatchObject({ state: HANDOFF_STATES.WAITING_FOR_AGENT, triggered: false, suppressReply: false });
+    expect(await handoffService.getActiveHandoff('u2', null, minutesLater(1))).toMatchObject({ id: handoffId });
+
+    await handoffService.assignHandoff(handoffId, 'agent-1', { tenantId: 'shop-1', now: minutesLater(2) });
+    const withAgent = await inbound('u2', 'are you there?', { now: minutesLater(3) });
+    expect(withAgent).toMatchObject({ state: HANDOFF_STATES.AGENT, suppressReply: true, notice: null });
+
+    await expect(handoffService.recordAgentReply(handoffId, 'agent-2', 'Hi!', { now: minutesLater(4) }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    const replied = await handoffService.recordAgentReply(handoffId, 'agent-1', 'Hi, how can I help?', { now: minutesLater(4) });
+    expect(replied.messages.map(message => message.role)).toEqual(['customer', 'bot', 'customer', 'customer', 'agent']);
+
+    const released = await handoffService.releaseHandoff(handoffId, { tenantId: 'shop-1', now: minutesLater(5) });
+    expect(released).toMatchObject({ state: HANDOFF_STATES.BOT, closeReason: 'released' });
+    expect(await handoffService.getActiveHandoff('u2', null, minutesLater(5))).toBeNull();
+    expect((await inbound('u2', 'thanks', { now: minutesLater(6) })).suppressReply).toBe(false);
+  });
+
+  test('hands the conversation back to the bot after agent inactivity', async () => {
+    const { handoff } = await inbound('u3', 'I want to speak to an agent');
+    await handoffService.assignHandoff(handoff.id, 'agent-1', { now: minutesLater(1) });
+
+    expect((await inbound('u3', 'hello?', { now: minutesLater(20) })).suppressReply).toBe(true);
+
+    const later = await inbound('u3', 'anyone?', { now: minutesLater(40) });
+    expect(later).toMatchObject({ state: HANDOFF_STATES.BOT, suppressReply: false });
+    expect(await handoffService.getHandoff(handoff.id)).toMatchObject({ closeReason: 'inactivity' });
+  });
+
+  test('lists the inbox of a tenant, most urgent first', async () => {
+    await inbound('u4', 'talk to a human please', { tenantId: 'shop-2' });
+    await inbound('u5', 'human now, this is urgent', {
+      tenantId: 'shop-2',
+      now: minutesLater(1),
+      analysis: { urgency: { score: 0.9, level: 'high' }, escalation: { escalate: false, reasons: [] } }
+    });
+
+    const queue = await handoffService.listQueue({ tenantId: 'shop-2', now: minutesLater(2) });
+    expect(queue.map(handoff => [handoff.userId, handoff.priority])).toEqual([['u5', 0.9], ['u4', 0]]);
+
+    await expect(handoffService.getHandoff(queue[0].id, 'shop-1')).rejects.toMatchObject({ statusCode: 404 });
+    await expect(handoffService.listQueue({ state: 'bot' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,82 @@
+// Model versions come from the in-memory store
+jest.mock('../../src/services/cacheService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  set: jest.fn().mockResolvedValue(true)
+}));
+
+const intentService = require('../../src/services/intentService');
+
+describe('intentService evaluation', () => {
+  test('splits each intent into training and held-out examples reproducibly', () => {
+    const corpus = {
+      greeting: ['hello', 'hi', 'hey', 'good morning', 'good evening'],
+      thanks: ['thanks'],
+      booking: ['book', 'reserve', 'schedule', 'appointment', 'make a booking']
+    };
+
+    const split = intentService.splitCorpus(corpus, 0.4, 7);
+
+    expect(split.test).toHaveLength(4);
+    expect(split.train.thanks).toEqual(['thanks']);
+    expect(split.train.greeting).toHaveLength(3);
+    expect(intentService.splitCorpus(corpus, 0.4, 7)).toEqual(split);
+  });
+
+  test('reports per-intent precision, recall and a confusion matrix', () => {
+    const predictions = { hello: 'greeting', hi: 'greeting', book: 'greeting', reserve: 'booking' };
+    const classifier = { classify: text => predictions[text] };
+
+    const metrics = intentService.evaluateClassifier(classifier, [
+      { text: 'hello', intent: 'greeting' },
+      { text: 'hi', intent: 'greeting' },
+      { text: 'book', intent: 'booking' },
+      { text: 'reserve', intent: 'booking' }
+    ]);
+
+    expect(metrics.accuracy).toBe(0.75);
+    expect(metrics.perIntent.greeting).toEqual({ precision: 0.6667, recall: 1, f1: 0.8, support: 2 });
+    expect(metrics.perIntent.booking).toEqual({ precision: 1, recall: 0.5, f1: 0.6667, support: 2 });
+    expect(metrics.confusionMatrix).toEqual({
+      labels: ['booking', 'greeting'],
+      matrix: [[1, 1], [0, 2]]
+    });
+  });
+});
+
+describe('intentService model versions', () => {
+  beforeAll(async () => {
+    await intentService.initialize();
+  });
+
+  test('stores an evaluated version at startup and on every training run', async () => {
+    const report = await intentService.trainIntent('pricing', ['how much', 'price list', 'what does it cost', 'fees'], 'default');
+
+    expect(report).toMatchObject({ modelId: 'default', version: 2, active: true, previousVersion: 1 });
+    expect(report.metrics.perIntent.pricing.support).toBe(1);
+    expect(report.metrics.confusionMatrix.labels).toContain('pricing');
+    expect(Object.keys(report.metrics.byLanguage)).toEqual(expect.arrayContaining(['en', 'zh', 'ms']));
+
+    const { activeVersion, versions } = await intentService.listModelVersions('default');
+    expect(activeVersion).toBe(2);
+    expect(versions.map(v => v.version)).toEqual([2, 1]);
+    expect(versions[0].classifier).toBeUndefined();
+  });
+
+  test('picks the classifier from the detected language', async () => {
+    const malay = await intentService.recognizeIntent('saya nak buat tempahan esok');
+    const mixed = await intentService.recognizeIntent('nak cancel booking saya');
+
+    expect(malay).toMatchObject({ intent: 'booking', language: 'ms', classifier: 'ms', isCodeSwitched: false });
+    expect(mixed).toMatchObject({ intent: 'cancel', isCodeSwitched: true, classifier: 'all' });
+  });
+
+  test('rolls back to the previous version', async () => {
+    const result = await intentService.rollbackModel('default');
+
+    expect(result).toMatchObject({ version: 1, previousVersion: 2 });
+    expect((await intentService.recognizeIntent('price list')).modelVersion).toBe(1);
+    expect((await intentService.listModelVersions('default')).activeVersion).toBe(1);
+
+    await expect(intentService.rollbackModel('default', 9)).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,118 @@
+process.env.EMBEDDING_PROVIDER = 'local';
+process.env.KNOWLEDGE_CHUNK_SIZE = '120';
+process.env.KNOWLEDGE_CHUNK_OVERLAP = '20';
+process.env.KNOWLEDGE_MIN_SCORE = '0.2';
+
+const knowledgeService = require('../../src/services/knowledgeService');
+
+/**
+ * Wait until a source has been indexed in the background
+ */
+async function waitForIndex(tenantId, sourceId) {
+  for (let i = 0; i < 50; i++) {
+    const source = await knowledgeService.getSource(tenantId, sourceId);
+    if (['ready', 'failed'].includes(source.status)) return source;
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  throw new Error(`Source ${sourceId} was not indexed`);
+}
+
+describe('knowledgeService', () => {
+  test('chunks text at sentence boundaries within the chunk size', () => {
+    const text = 'We open at 9am on weekdays. We close at 6pm. '.repeat(8);
+    const chunks = knowledgeService.chunkText(text);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(120 + 20));
+  });
+
+  test('keeps chunks in order around a hard-split sentence', () => {
+    const longSentence = `${'word '.repeat(60).trim()}.`;
+    const chunks = knowledgeService.chunkText(`Opening. ${longSentence} Closing.`);
+
+    expect(chunks[0].startsWith('Opening.')).toBe(true);
+    expect(chunks[chunks.length - 1].endsWith('Closing.')).toBe(true);
+    // The text before the long sentence is not carried past its pieces
+    expect(chunks[chunks.length - 1]).not.toContain('Opening.');
+    chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(120 + 20));
+  });
+
+  test('ignores an overlap that is not smaller than the chunk size', () => {
+    process.env.KNOWLEDGE_CHUNK_OVERLAP = '120';
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    jest.isolateModules(() => {
+      const isolated = require('../../src/services/knowledgeService');
+      expect(isolated.chunkText('x'.repeat(300))).toEqual(['x'.repeat(120), 'x'.repeat(120), 'x'.repeat(60)]);
+    });
+
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('KNOWLEDGE_CHUNK_OVERLAP'));
+    warn.mockRestore();
+    process.env.KNOWLEDGE_CHUNK_OVERLAP = '20';
+  });
+
+  test('parses Q&A CSV with quoted fields', () => {
+    const pairs = knowledgeService.parseQaCsv(
+      'Question,Answer\n"Do you deliver?","Yes, within 10 km."\nOpening hours,9am - 6pm\n,missing question\n'
+    );
+
+    expect(pairs).toEqual([
+      { question: 'Do you deliver?', answer: 'Yes, within 10 km.' },
+      { question: 'Opening hours', answer: '9am - 6pm' }
+    ]);
+  });
+
+  test('indexes sources per tenant and returns passages with citations', async () => {
+    const faq = await knowledgeService.createSource('tenant-1', {
+      name: 'FAQ',
+      type: 'qa_csv',
+      content: 'question,answer\nDo you deliver?,We deliver within 10 km for RM5.\nWhen are you open?,Monday to Saturday 9am to 6pm.'
+    });
+    const services = await knowledgeService.createSource('tenant-1', {
+      name: 'Services',
+      type: 'services',
+      rows: [
+        { name: 'Haircut', price: 'RM35', duration: 45 },
+        { name: 'Hair colouring', price: 'RM120', duration: 120, description: 'Full colour with treatment' }
+      ]
+    });
+
+    expect(faq.status).toBe('pending');
+    expect((await waitForIndex('tenant-1', faq.id)).chunkCount).toBe(2);
+    expect((await waitForIndex('tenant-1', services.id)).chunkCount).toBe(2);
+
+    const passages = await knowledgeService.search('tenant-1', 'How much is a haircut?');
+
+    expect(passages[0]).toMatchObject({
+      citation: 1,
+      sourceId: services.id,
+      sourceName: 'Services',
+      title: 'Haircut'
+    });
+    expect(passages[0].content).toContain('RM35');
+
+    // Other tenants do not see the passages
+    expect(await knowledgeService.search('tenant-2', 'How much is a haircut?')).toEqual([]);
+  });
+
+  test('removes the chunks of a deleted source', async () => {
+    const source = await knowledgeService.createSource('tenant-3', {
+      name: 'Delivery policy',
+      type: 'markdown',
+      content: '# Delivery\nWe deliver cakes within Kuala Lumpur on weekdays.'
+    });
+    await waitForIndex('tenant-3', source.id);
+
+    expect(await knowledgeService.search('tenant-3', 'Do you deliver cakes?')).toHaveLength(1);
+
+    await knowledgeService.deleteSource('tenant-3', source.id);
+
+    expect(await knowledgeService.search('tenant-3', 'Do you deliver cakes?')).toEqual([]);
+    await expect(knowledgeService.getSource('tenant-3', source.id)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('rejects unknown source types', async () => {
+    await expect(knowledgeService.createSource('tenant-1', { name: 'Doc', type: 'docx', content: 'x' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,26 @@
+const languageService = require('../../src/services/languageService');
+
+describe('languageService', () => {
+  test('detects English, Chinese and Malay messages', () => {
+    expect(languageService.detectLanguage('can I book an appointment').language).toBe('en');
+    expect(languageService.detectLanguage('我想预约明天下午').language).toBe('zh');
+    expect(languageService.detectLanguage('saya nak buat tempahan esok pagi')).toMatchObject({
+      language: 'ms',
+      iso6393: 'zlm',
+      isCodeSwitched: false
+    });
+  });
+
+  test('detects code-switched messages', () => {
+    const detection = languageService.detectLanguage('boleh saya book appointment esok?');
+
+    expect(detection.isCodeSwitched).toBe(true);
+    expect(detection.languages).toEqual(['ms', 'en']);
+  });
+
+  test('segments CJK text and stems Malay and English words', () => {
+    expect(languageService.tokenize('我想预约')).toEqual(['我想', '我', '想', '预约', '预', '约']);
+    expect(languageService.tokenize('batalkan tempahan saya')).toEqual(['batal', 'tempah', 'saya']);
+    expect(languageService.tokenize('nak cancel booking')).toEqual(['nak', 'cancel', 'book']);
+  });
+});
@@ -0,0 +1,80 @@
+jest.mock('../../src/services/aiService', () => ({
+  processMessage: jest.fn(),
+  recordFeedback: jest.fn()
+}));
+jest.mock('../../src/services/intentService', () => ({
+  recognizeIntent: jest.fn(),
+  trainIntent: jest.fn()
+}));
+jest.mock('../../src/services/knowledgeService', () => ({
+  indexSource: jest.fn()
+}));
+
+const { createMessageBus, createMemoryTransport, MESSAGE_SCHEMAS, ERROR_CODES } = require('@ibuddy2/messaging');
+const aiService = require('../../src/services/aiService');
+const knowledgeService = require('../../src/services/knowledgeService');
+const messageQueue = require('../../src/services/messageQueue');
+const { registerMessageHandlers } = require('../../src/services/messageHandlers');
+
+const silentLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+describe('messageHandlers', () => {
+  let transport;
+  let caller;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    // The AI service and a calling service on one in-memory broker
+    transport = createMemoryTransport();
+    const options = { transport, schemas: MESSAGE_SCHEMAS, logger: silentLogger, retry: { maxAttempts: 2, baseDelay: 5 } };
+    messageQueue.setBus(createMessageBus({ ...options, serviceName: 'ai-service' }));
+    caller = createMessageBus({ ...options, serviceName: 'core-service' });
+
+    await registerMessageHandlers(messageQueue, silentLogger);
+  });
+
+  afterEach(async () => {
+    await messageQueue.close();
+  });
+
+  test('replies to chat requests', async () => {
+    aiService.processMessage.mockResolvedValue({ messageId: 'm-1', text: 'We open at 10am', intent: 'hours' });
+
+    const reply = await caller.request('ai.request', { type: 'message', text: 'opening hours?', userId: 'u-1', tenantId: 't-1' });
+
+    expect(reply).toMatchObject({ type: 'response', messageId: 'm-1', text: 'We open at 10am', intent: 'hours', suppressed: false });
+    expect(aiService.processMessage).toHaveBeenCalledWith(expect.objectContaining({ text: 'opening hours?', tenantId: 't-1' }));
+  });
+
+  test('still replies to the queue named in the message body', async () => {
+    aiService.processMessage.mockResolvedValue({ messageId: 'm-2', text: 'Hello' });
+    const replies = [];
+    await caller.consume('legacy.replies', reply => {
+      replies.push(reply);
+    });
+
+    await caller.send('ai.request', { type: 'message', text: 'hi', userId: 'u-1', replyTo: 'legacy.replies', requestId: 'r-1' });
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(replies).toEqual([expect.objectContaining({ type: 'response', text: 'Hello', requestId: 'r-1' })]);
+  });
+
+  test('rejects invalid requests without calling the model', async () => {
+    await expect(caller.request('ai.request', { type: 'message', userId: 'u-1' }))
+      .rejects.toMatchObject({ code: ERROR_CODES.INVALID_MESSAGE });
+    expect(aiService.processMessage).not.toHaveBeenCalled();
+  });
+
+  test('retries failed jobs and dead-letters them after the last attempt', async () => {
+    knowledgeService.indexSource.mockRejectedValue(new Error('Embedding API unavailable'));
+
+    await caller.send('knowledge.reindex', { tenantId: 't-1', sourceId: 's-1' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(knowledgeService.indexSource).toHaveBeenCalledTimes(2);
+    const [deadLetter] = transport.getQueuedMessages('knowledge.reindex.dlq');
+    expect(deadLetter.body).toEqual({ tenantId: 't-1', sourceId: 's-1' });
+    expect(deadLetter.properties.headers['x-error']).toBe('Embedding API unavailable');
+  });
+});
@@ -0,0 +1,66 @@
+// Personal data in stored text is only masked with PII_REDACT_AT_REST
+process.env.PII_REDACT_AT_REST = 'true';
+
+const piiService = require('../../src/services/piiService');
+
+const typesOf = text => piiService.detectPII(text).map(detection => [detection.type, detection.text]);
+
+describe('piiService', () => {
+  test('detects phone numbers, emails, IC, passport and card numbers', () => {
+    expect(typesOf('Call me at 012-345 6789 or mail ali@example.com')).toEqual([
+      ['phone', '012-345 6789'],
+      ['email', 'ali@example.com']
+    ]);
+    expect(typesOf('My IC is 900101-14-5678')).toEqual([['ic', '900101-14-5678']]);
+    expect(typesOf('passport no: A12345678')).toEqual([['passport', 'A12345678']]);
+    expect(typesOf('Card 4111 1111 1111 1111 please')).toEqual([['card', '4111 1111 1111 1111']]);
+    // Card numbers must pass the Luhn check, IC numbers must start with a birth date
+    expect(typesOf('Card 4111 1111 1111 1112')).toEqual([]);
+    expect(typesOf('ref 901301-14-5678')).toEqual([]);
+  });
+
+  test('replaces personal data with numbered placeholders and restores replies', () => {
+    const { text, vault } = piiService.redact(
+      'Send it to ali@example.com, or bob@example.com. Card 4111 1111 1111 1111, email ali@example.com'
+    );
+    expect(text).toBe('Send it to [EMAIL_1], or [EMAIL_2]. Card [CARD_1], email [EMAIL_1]');
+
+    expect(piiService.restore('Sent to [EMAIL_2], charged [CARD_1]', vault))
+      .toBe('Sent to bob@example.com, charged 4111 1111 1111 1111');
+    // Card numbers are masked in replies to the customer
+    expect(piiService.restoreReply('Sent to [EMAIL_2], charged [CARD_1]', vault))
+      .toBe('Sent to bob@example.com, charged **** **** **** 1111');
+    // Unknown placeholders are left alone
+    expect(piiService.restore('[PHONE_9]', vault)).toBe('[PHONE_9]');
+  });
+
+  test('shares one vault between the prompt and tool values', () => {
+    const vault = piiService.createVault();
+    piiService.redact('my email is ali@example.com', { vault });
+
+    const redacted = piiService.redactValue({ customer: { email: 'ali@example.com', phone: '0123456789' } }, vault);
+    expect(redacted).toEqual({ customer: { email: '[EMAIL_1]', phone: '[PHONE_1]' } });
+    expect(piiService.restoreValue({ to: ['[EMAIL_1]'], phone: '[PHONE_1]', count: 2 }, vault))
+      .toEqual({ to: ['ali@example.com'], phone: '0123456789', count: 2 });
+  });
+
+  test('restores placeholders split across streamed tokens', () => {
+    const { vault } = piiService.redact('call 0123456789');
+    const tokens = [];
+    const restorer = piiService.createStreamRestorer(vault, token => tokens.push(token));
+
+    ['We will call ', '[PHO', 'NE_', '1] soon', ' [ok]'].forEach(token => restorer.push(token));
+    restorer.flush();
+
+    expect(tokens.join('')).toBe('We will call 0123456789 soon [ok]');
+    expect(tokens).not.toContain('[PHO');
+  });
+
+  test('masks personal data in stored values', () => {
+    expect(piiService.redactForStorage({
+      userMessage: 'My IC is 900101-14-5678, email ali@example.com',
+      rating: 5
+    })).toEqual({ userMessage: 'My IC is [IC], email [EMAIL]', rating: 5 });
+    expect(piiService.redactForStorage(null)).toBeNull();
+  });
+});
@@ -0,0 +1,85 @@
+const promptService = require('../../src/services/promptService');
+
+const { TEMPLATE_SOURCES } = promptService;
+
+describe('promptService', () => {
+  test('renders the default template in the customer language', async () => {
+    const rendered = await promptService.renderPrompt('chat.persona', {
+      language: 'en',
+      variables: { date: '2026-10-19' }
+    });
+
+    expect(rendered.text).toContain('replying to customers on web. Today is 2026-10-19.');
+    expect(rendered.template).toEqual({ name: 'chat.persona', version: 0, language: 'en', source: TEMPLATE_SOURCES.DEFAULT });
+
+    // Languages without a variant use the default text
+    const fallback = await promptService.renderPrompt('chat.persona', { language: 'ja', variables: { platform: 'line' } });
+    expect(fallback.text).toMatch(/^你是商家的在线客服助手，正在line上回复客户/);
+    expect(fallback.template.language).toBe('default');
+  });
+
+  test('reports missing required variables and keeps unknown placeholders', async () => {
+    const rendered = await promptService.renderPrompt('chat.knowledge', {
+      draft: { text: 'Passages: {{passages}} {{unknown}}' },
+      variables: {}
+    });
+
+    expect(rendered).toMatchObject({
+      text: 'Passages:  {{unknown}}',
+      template: { name: 'chat.knowledge', version: null, source: TEMPLATE_SOURCES.DRAFT },
+      missingVariables: ['passages']
+    });
+    await expect(promptService.renderPrompt('chat.unknown', {})).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('versions global templates and lets tenants override them', async () => {
+    const saved = await promptService.saveTemplate('auto_reply.intent', {
+      text: 'Pick an intent for "{{message}}":\n{{intents}}'
+    }, { createdBy: 'admin-1' });
+    expect(saved).toMatchObject({ version: 1, source: TEMPLATE_SOURCES.GLOBAL, active: true });
+    // Variables are kept from the default
+    expect(saved.variables.map(variable => variable.name)).toEqual(['message', 'intents', 'context']);
+
+    const override = await promptService.saveTemplate('auto_reply.intent', {
+      text: 'Shop intent for "{{message}}" ({{tone}}): {{intents}}'
+    }, { tenantId: 'shop-1' });
+    expect(override).toMatchObject({ version: 1, tenantId: 'shop-1', source: TEMPLATE_SOURCES.TENANT });
+    // Undeclared placeholders become optional variables
+    expect(override.variables.find(variable => variable.name === 'tone')).toMatchObject({ required: false });
+
+    const variables = { message: 'hi', intents: '- greeting' };
+    expect((await promptService.renderPrompt('auto_reply.intent', { tenantId: 'shop-1', variables })).text)
+      .toBe('Shop intent for "hi" (): - greeting');
+    expect((await promptService.renderPrompt('auto_reply.intent', { tenantId: 'shop-2', variables })).template)
+      .toMatchObject({ version: 1, source: TEMPLATE_SOURCES.GLOBAL });
+
+    // Without the override the tenant gets the global version again
+    const reset = await promptService.resetTemplate('auto_reply.intent', { tenantId: 'shop-1' });
+    expect(reset).toMatchObject({ version: 1, source: TEMPLATE_SOURCES.GLOBAL });
+  });
+
+  test('rolls back to an earlier version', async () => {
+    await promptService.saveTemplate('chat.persona', { text: 'v1 {{platform}}' }, { tenantId: 'shop-3' });
+    await promptService.saveTemplate('chat.persona', {
+      text: 'v2 {{platform}}',
+      languages: { ms: 'v2 ms {{platform}}' }
+    }, { tenantId: 'shop-3' });
+
+    let rendered = await promptService.renderPrompt('chat.persona', { tenantId: 'shop-3', language: 'ms' });
+    expect(rendered).toMatchObject({ text: 'v2 ms web', template: { version: 2, language: 'ms' } });
+
+    await promptService.activateVersion('chat.persona', 1, { tenantId: 'shop-3' });
+    rendered = await promptService.renderPrompt('chat.persona', { tenantId: 'shop-3', language: 'ms' });
+    expect(rendered).toMatchObject({ text: 'v1 web', template: { version: 1, language: 'default' } });
+
+    const versions = await promptService.listVersions('chat.persona', 'shop-3');
+    expect(versions.map(version => [version.version, version.active])).toEqual([[2, false], [1, true], [0, false]]);
+    // Older versions stay renderable
+    expect((await promptService.renderPrompt('chat.persona', { tenantId: 'shop-3', version: 2 })).text).toBe('v2 web');
+
+    await expect(promptService.activateVersion('chat.persona', 7, { tenantId: 'shop-3' }))
+      .rejects.toMatchObject({ statusCode: 404 });
+    await expect(promptService.saveTemplate('chat.persona', { text: 'x', languages: { fr: 'y' } }, { tenantId: 'shop-3' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,218 @@
+const responseFormatter = require('../../src/services/responseFormatterService');
+
+const { PLATFORMS, PLATFORM_LIMITS } = responseFormatter;
+
+// Replies as the model writes them, one per rich element
+const samples = {
+  buttons: 'Choose one [Button: Book now](book_now) [Button: Prices](prices)',
+  links: 'See our shop [Button: Website](https://shop.example.com) [Button: Call us](call_us)',
+  image: '![Storefront](https://img.example.com/store.jpg)',
+  carousel: '![Red shoe](https://img.example.com/red.png) ![Blue shoe](https://img.example.com/blue.png)',
+  card: 'Our pick:\n```json\n' + JSON.stringify({
+    type: 'card',
+    title: 'Running shoe',
+    subtitle: 'Light and fast',
+    imageUrl: 'https://img.example.com/shoe.png',
+    url: 'https://shop.example.com/shoe',
+    price: 'RM 199',
+    itemId: 12345
+  }) + '\n```',
+  table: '| Day | Hours |\n|---|---|\n| Mon | 10am-8pm |\n| Sun | Closed |'
+};
+
+// Platform message payload of a formatted reply
+const payload = formatted => formatted.message || formatted.messages;
+
+describe('responseFormatterService', () => {
+  // One small snapshot per platform: buttons with a link, and a product card
+  test.each([
+    PLATFORMS.MESSENGER, PLATFORMS.INSTAGRAM, PLATFORMS.SHOPEE, PLATFORMS.LAZADA, PLATFORMS.LINE, PLATFORMS.WECHAT
+  ])('formats replies for %s', platform => {
+    expect({
+      links: payload(responseFormatter.formatRichResponse(samples.links, platform)),
+      card: payload(responseFormatter.formatRichResponse(samples.card, platform))
+    }).toMatchSnapshot();
+  });
+
+  describe('messenger', () => {
+    test('maps postback buttons to quick replies and links to a button template', () => {
+      const buttons = responseFormatter.formatRichResponse(samples.buttons, PLATFORMS.MESSENGER);
+      expect(buttons.message).toEqual({
+        text: 'Choose one',
+        quick_replies: [
+          { content_type: 'text', title: 'Book now', payload: 'book_now' },
+          { content_type: 'text', title: 'Prices', payload: 'prices' }
+        ]
+      });
+
+      const links = responseFormatter.formatRichResponse(samples.links, PLATFORMS.MESSENGER);
+      expect(links.message.attachment.payload).toEqual({
+        template_type: 'button',
+        text: 'See our shop',
+        buttons: [
+          { type: 'web_url', url: 'https://shop.example.com', title: 'Website' },
+          { type: 'postback', title: 'Call us', payload: 'call_us' }
+        ]
+      });
+    });
+
+    test('sends cards and images as generic templates', () => {
+      const card = responseFormatter.formatRichResponse(samples.card, PLATFORMS.MESSENGER);
+      expect(card.message.attachment.payload.elements).toEqual([{
+        title: 'Running shoe',
+        subtitle: 'RM 199 · Light and fast',
+        image_url: 'https://img.example.com/shoe.png',
+        default_action: { type: 'web_url', url: 'https://shop.example.com/shoe' }
+      }]);
+
+      const carousel = responseFormatter.formatRichResponse(samples.carousel, PLATFORMS.MESSENGER);
+      expect(carousel.message.attachment.payload.elements.map(element => element.title)).toEqual(['Red shoe', 'Blue shoe']);
+    });
+
+    test('cuts button titles to the title limit', () => {
+      const reply = responseFormatter.formatRichResponse('Pick [Button: A very long button label here](x_y)', PLATFORMS.MESSENGER);
+      const [quickReply] = reply.message.quick_replies;
+
+      expect(quickReply.title).toBe('A very long button…');
+      expect(quickReply.title.length).toBeLessThanOrEqual(PLATFORM_LIMITS.messenger.title);
+      expect(quickReply.payload).toBe('x_y');
+    });
+  });
+
+  describe('instagram', () => {
+    test('keeps links in the text since only postbacks can be quick replies', () => {
+      const links = responseFormatter.formatRichResponse(samples.links, PLATFORMS.INSTAGRAM);
+
+      expect(links.message).toEqual({
+        text: 'See our shop\n1. Website: https://shop.example.com',
+        quick_replies: [{ content_type: 'text', title: 'Call us', payload: 'call_us' }]
+      });
+    });
+  });
+
+  describe.each([PLATFORMS.SHOPEE, PLATFORMS.LAZADA])('%s', platform => {
+    test('lists buttons in the text', () => {
+      const reply = responseFormatter.formatRichResponse(samples.links, platform);
+
+      expect(reply.messages).toEqual([
+        { type: 'text', text: 'See our shop\n1. Website: https://shop.example.com\n2. Call us' }
+      ]);
+    });
+
+    test('sends cards with an item id as product messages', () => {
+      const reply = responseFormatter.formatRichResponse(samples.card, platform);
+
+      expect(reply.messages).toEqual([
+        { type: 'text', text: 'Our pick:' },
+        { type: 'product', itemId: '12345', title: 'Running shoe', price: 'RM 199' }
+      ]);
+    });
+  });
+
+  describe('line', () => {
+    test('maps buttons to postback and uri quick reply actions', () => {
+      const reply = responseFormatter.formatRichResponse(samples.links, PLATFORMS.LINE);
+
+      expect(reply.messages[0].text).toBe('See our shop');
+      expect(reply.messages[0].quickReply.items.map(item => item.action)).toEqual([
+        { type: 'uri', label: 'Website', uri: 'https://shop.example.com' },
+        { type: 'postback', label: 'Call us', data: 'call_us', displayText: 'Call us' }
+      ]);
+    });
+
+    test('cuts labels to the label limit but echoes the full button text', () => {
+      const reply = responseFormatter.formatRichResponse('Pick [Button: A very long button label here](x_y)', PLATFORMS.LINE);
+      const { action } = reply.messages[0].quickReply.items[0];
+
+      expect(action.label).toBe('A very long button…');
+      expect(action.label.length).toBeLessThanOrEqual(PLATFORM_LIMITS.line.label);
+      expect(action.displayText).toBe('A very long button label here');
+    });
+
+    test('sends images, cards and tables as image and flex messages', () => {
+      const image = responseFormatter.formatRichResponse(samples.image, PLATFORMS.LINE);
+      expect(image.messages[1]).toEqual({
+        type: 'image',
+        originalContentUrl: 'https://img.example.com/store.jpg',
+        previewImageUrl: 'https://img.example.com/store.jpg'
+      });
+
+      const carousel = responseFormatter.formatRichResponse(samples.carousel, PLATFORMS.LINE);
+      expect(carousel.messages[0].contents.type).toBe('carousel');
+      expect(carousel.messages[0].contents.contents).toHaveLength(2);
+
+      const card = responseFormatter.formatRichResponse(samples.card, PLATFORMS.LINE);
+      expect(card.messages[1].contents.footer.contents[0].action).toEqual({ type: 'uri', label: 'View', uri: 'https://shop.example.com/shoe' });
+
+      const table = responseFormatter.formatRichResponse(samples.table, PLATFORMS.LINE);
+      expect(table.messages[0].altText).toBe('Day | Hours\nMon | 10am-8pm\nSun | Closed');
+    });
+  });
+
+  describe('wechat', () => {
+    test('maps postback buttons to a menu and links to <a> tags', () => {
+      const reply = responseFormatter.formatRichResponse(samples.links, PLATFORMS.WECHAT);
+
+      expect(reply.message.msgmenu).toEqual({
+        head_content: 'See our shop',
+        list: [{ id: 'call_us', content: 'Call us' }],
+        tail_content: '<a href="https://shop.example.com">Website</a>'
+      });
+    });
+
+    test('sends a card with a link as a news article', () => {
+      const reply = responseFormatter.formatRichResponse(samples.card, PLATFORMS.WECHAT);
+
+      expect(reply.message.news.articles).toEqual([{
+        title: 'Running shoe',
+        description: 'RM 199 · Light and fast',
+        url: 'https://shop.example.com/shoe',
+        picurl: 'https://img.example.com/shoe.png'
+      }]);
+    });
+  });
+
+  test('escapes text only where it is written as markup', () => {
+    const text = 'Tom & Jerry "quoted" [Button: A & B <x>](a_b)';
+
+    // JSON message APIs take the text as is
+    expect(responseFormatter.formatRichResponse(text, PLATFORMS.MESSENGER).message.quick_replies[0].title).toBe('A & B <x>');
+    expect(responseFormatter.formatRichResponse(text, PLATFORMS.LINE).messages[0].text).toBe('Tom & Jerry "quoted"');
+    expect(responseFormatter.formatRichResponse(text, PLATFORMS.WECHAT).message.msgmenu.list[0].content).toBe('A & B <x>');
+
+    const link = responseFormatter.formatRichResponse('Shop [Button: Tom & Jerry <3>](https://shop.example.com/?a=1&b="2")', PLATFORMS.WECHAT);
+    expect(link.message.text.content).toBe('Shop\n<a href="https://shop.example.com/?a=1&amp;b=&quot;2&quot;">Tom &amp; Jerry &lt;3&gt;</a>');
+  });
+
+  test('keeps text within the platform limits', () => {
+    const longText = Array.from({ length: 400 }, (_, index) => `word${index}`).join(' ');
+
+    const messenger = responseFormatter.formatRichResponse(longText, PLATFORMS.MESSENGER);
+    expect(messenger.message.text).toHaveLength(PLATFORM_LIMITS.messenger.text);
+    expect(messenger.message.text.endsWith('…')).toBe(true);
+
+    // Marketplace chat splits at word breaks instead of cutting the reply
+    const shopee = responseFormatter.formatRichResponse(longText, PLATFORMS.SHOPEE);
+    expect(shopee.messages.length).toBeGreaterThan(1);
+    shopee.messages.forEach(message => expect(message.text.length).toBeLessThanOrEqual(PLATFORM_LIMITS.shopee.text));
+    expect(shopee.messages.map(message => message.text).join(' ')).toBe(longText);
+
+    // WeChat limits bytes, not characters
+    const wechat = responseFormatter.formatRichResponse('营业时间'.repeat(300), PLATFORMS.WECHAT);
+    expect(Buffer.byteLength(wechat.message.text.content)).toBeLessThanOrEqual(PLATFORM_LIMITS.wechat.textBytes);
+  });
+
+  test('lists the options that do not fit in the text', () => {
+    const buttons = Array.from({ length: 5 }, (_, index) => `[Button: Page ${index + 1}](https://shop.example.com/${index + 1})`);
+    const messenger = responseFormatter.formatRichResponse(`Pages ${buttons.join(' ')}`, PLATFORMS.MESSENGER);
+    const { payload } = messenger.message.attachment;
+
+    expect(payload.buttons).toHaveLength(PLATFORM_LIMITS.messenger.buttons);
+    expect(payload.text).toBe('Pages\n4. Page 4: https://shop.example.com/4\n5. Page 5: https://shop.example.com/5');
+
+    const replies = Array.from({ length: 15 }, (_, index) => `[Button: Slot ${index + 1}](slot_${index + 1})`);
+    const line = responseFormatter.formatRichResponse(`Pick a slot ${replies.join(' ')}`, PLATFORMS.LINE);
+    expect(line.messages[0].quickReply.items).toHaveLength(PLATFORM_LIMITS.line.quickReplies);
+    expect(line.messages[0].text).toBe('Pick a slot\n14. Slot 14\n15. Slot 15');
+  });
+});
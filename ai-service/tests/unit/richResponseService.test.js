@@ -0,0 +1,96 @@
+const richResponseService = require('../../src/services/richResponseService');
+const responseFormatter = require('../../src/services/responseFormatterService');
+
+const { PLATFORMS } = responseFormatter;
+
+describe('richResponseService', () => {
+  test('parses a valid rich response', () => {
+    const { response, repaired, errors } = richResponseService.parseRichResponse(JSON.stringify({
+      type: 'card',
+      content: 'Our pick',
+      title: 'Running shoe',
+      imageUrl: 'https://img.example.com/shoe.png',
+      price: 'RM 199',
+      itemId: 12345
+    }));
+
+    expect(errors).toEqual([]);
+    expect(repaired).toBe(false);
+    expect(response).toEqual({
+      type: 'card',
+      content: 'Our pick',
+      title: 'Running shoe',
+      imageUrl: 'https://img.example.com/shoe.png',
+      price: 'RM 199',
+      itemId: '12345'
+    });
+  });
+
+  test('repairs JSON the way models commonly break it', () => {
+    const fenced = "Here you go:\n```json\n{'type': 'quick_reply', content: 'Pick a time', buttons: ['10am', {text: '2pm', value: 'slot_2pm'},],}\n```";
+    const quickReply = richResponseService.parseRichResponse(fenced);
+
+    expect(quickReply.repaired).toBe(true);
+    expect(quickReply.response).toEqual({
+      type: 'quick_reply',
+      content: 'Pick a time',
+      buttons: [{ text: '10am', value: '10am' }, { text: '2pm', value: 'slot_2pm' }]
+    });
+
+    // Output cut off at the token limit keeps the complete part
+    const truncated = richResponseService.parseRichResponse(
+      '{"type":"carousel","content":"Shoes","items":[{"title":"Red","price":"RM 99"},{"title":"Blue","pri'
+    );
+    expect(truncated.response.items).toEqual([{ title: 'Red', price: 'RM 99' }, { title: 'Blue' }]);
+
+    expect(JSON.parse(richResponseService.repairJson('{"type": "text", "content": "Line 1\nLine 2", "ok": True}')))
+      .toEqual({ type: 'text', content: 'Line 1\nLine 2', ok: true });
+  });
+
+  test('rejects replies that are not valid rich responses', () => {
+    expect(richResponseService.parseRichResponse('Just text').response).toBeNull();
+
+    const missingTitle = richResponseService.parseRichResponse('{"type": "card", "content": "Our pick"}');
+    expect(missingTitle.response).toBeNull();
+    expect(missingTitle.errors).toEqual(['response.title is required for card']);
+
+    expect(richResponseService.parseRichResponse('{"type": "widget", "content": "Hello"}').response).toBeNull();
+  });
+
+  test('falls back to the text of the reply', () => {
+    expect(richResponseService.getFallbackText('{"type": "widget", "content": "Hello"}')).toBe('Hello');
+    expect(richResponseService.getFallbackText('Plain reply')).toBe('Plain reply');
+  });
+
+  test('formats structured responses for each platform', () => {
+    const form = richResponseService.parseRichResponse(JSON.stringify({
+      type: 'form',
+      content: 'Leave your details',
+      fields: [
+        { name: 'phone', label: 'Phone', type: 'tel', required: true },
+        { name: 'day', label: 'Day', type: 'select', options: ['Mon', 'Tue'] }
+      ]
+    })).response;
+    const quickReply = richResponseService.parseRichResponse(
+      '{"type": "quick_reply", "content": "Pick a time", "buttons": ["10am", "2pm"]}'
+    ).response;
+
+    // The web widget renders the structured response as is
+    expect(responseFormatter.formatRichResponse(form, PLATFORMS.WEB)).toEqual(form);
+
+    // Platforms without forms get the fields as text
+    expect(responseFormatter.formatRichResponse(form, PLATFORMS.TELEGRAM)).toEqual({
+      type: 'text',
+      content: 'Leave your details\n- Phone\n- Day (Mon / Tue)'
+    });
+
+    expect(responseFormatter.formatRichResponse(quickReply, PLATFORMS.WHATSAPP)).toEqual({
+      type: 'interactive',
+      content: 'Pick a time',
+      buttons: [{ text: '10am', payload: '10am' }, { text: '2pm', payload: '2pm' }]
+    });
+
+    const messenger = responseFormatter.formatRichResponse(quickReply, PLATFORMS.MESSENGER);
+    expect(messenger.message.quick_replies.map(reply => reply.title)).toEqual(['10am', '2pm']);
+  });
+});
@@ -0,0 +1,128 @@
+jest.mock('../../src/services/modelRegistry', () => ({
+  getModel: jest.fn(id => (['model-a', 'model-b', 'model-c'].includes(id) ? { id } : null)),
+  isModelAvailable: jest.fn(id => id !== 'model-c')
+}));
+
+const routingService = require('../../src/services/routingService');
+
+const policy = {
+  defaultModel: 'model-a',
+  rules: [
+    {
+      id: 'long-threads',
+      when: { conversationLength: { gte: 20 } },
+      model: 'model-b'
+    },
+    {
+      id: 'malay-shopee',
+      priority: 10,
+      when: { language: { in: ['zlm', 'msa'] }, platform: 'shopee' },
+      model: 'model-b'
+    },
+    {
+      id: 'ab-test',
+      priority: 100,
+      when: { abModel: { exists: true } },
+      model: '$abModel'
+    },
+    {
+      id: 'unavailable',
+      priority: 50,
+      when: { any: [{ intent: 'complaint' }, { text: { matches: 'refund' } }] },
+      model: 'model-c'
+    }
+  ]
+};
+
+describe('routingService', () => {
+  const facts = (messageData, signals) => routingService.buildFacts(
+    { text: 'hello', platform: 'web', ...messageData },
+    signals
+  );
+  
+  it('uses the default model when no rule matches', () => {
+    const decision = routingService.selectModel(facts(), policy);
+    
+    expect(decision).toMatchObject({ model: 'model-a', ruleId: null });
+    expect(decision.trace).toHaveLength(4);
+  });
+  
+  it('evaluates rules by descending priority', () => {
+    const decision = routingService.selectModel(
+      facts({ platform: 'shopee', context: { interactionCount: 30 } }, { language: 'zlm' }),
+      policy
+    );
+    
+    expect(decision.ruleId).toBe('malay-shopee');
+    expect(decision.trace.map(entry => entry.ruleId)).toEqual(['ab-test', 'unavailable', 'malay-shopee']);
+  });
+  
+  it('resolves $fact model references', () => {
+    const decision = routingService.selectModel(facts({}, { abModel: 'model-b' }), policy);
+    
+    expect(decision).toMatchObject({ model: 'model-b', ruleId: 'ab-test' });
+  });
+  
+  it('skips matching rules whose model is unavailable', () => {
+    const decision = routingService.selectModel(
+      facts({ text: 'I want a refund', context: { interactionCount: 25 } }),
+      policy
+    );
+    
+    const skipped = decision.trace.find(entry => entry.ruleId === 'unavailable');
+    expect(skipped).toMatchObject({ matched: true, skipped: 'Model model-c is not available' });
+    expect(decision.ruleId).toBe('long-threads');
+  });
+  
+  it('explains every comparison', () => {
+    const result = routingService.evaluateCondition(
+      { not: { platform: 'web' }, messageLength: { lt: 3 } },
+      facts()
+    );
+    
+    expect(result.passed).toBe(false);
+    expect(result.checks).toEqual([
+      { combinator: 'not', passed: false, checks: [expect.objectContaining({ fact: 'platform', passed: true })] },
+      expect.objectContaining({ fact: 'messageLength', operator: 'lt', actual: 5, passed: false })
+    ]);
+  });
+  
+  it('rejects invalid policies with every error', () => {
+    expect(() => routingService.validatePolicy({
+      defaultModel: 'model-a',
+      rules: [
+        { id: 'a', when: { unknownFact: 1 }, model: 'missing' },
+        { id: 'a', when: { platform: { like: 'x' } }, model: '$nothing' }
+      ]
+    })).toThrow(expect.objectContaining({
+      statusCode: 400,
+      data: {
+        errors: [
+          'rules[0]: model "missing" is not declared',
+          'rules[0].when: unknown fact "unknownFact"',
+          'rules[1]: duplicate id "a"',
+          'rules[1]: model references unknown fact "$nothing"',
+          'rules[1].when.platform: unknown operator "like"'
+        ]
+      }
+    }));
+  });
+  
+  it('rejects patterns that could backtrack catastrophically', () => {
+    expect(() => routingService.validatePolicy({
+      defaultModel: 'model-a',
+      rules: [
+        { id: 'nested', when: { text: { matches: '^(a+)+$' } }, model: 'model-a' },
+        { id: 'long', when: { text: { matches: 'a'.repeat(201) } }, model: 'model-a' },
+        { id: 'fine', when: { text: { matches: '^(hi|hello)\\b' } }, model: 'model-a' }
+      ]
+    })).toThrow(expect.objectContaining({
+      data: {
+        errors: [
+          'rules[0].when.text: regular expression "^(a+)+$" has nested quantifiers',
+          'rules[1].when.text: regular expression must be a string of at most 200 characters'
+        ]
+      }
+    }));
+  });
+});
@@ -0,0 +1,66 @@
+jest.mock('../../src/services/aiService', () => ({
+  generateText: jest.fn()
+}));
+
+const aiService = require('../../src/services/aiService');
+const sentimentService = require('../../src/services/sentimentService');
+
+const analyze = text => sentimentService.analyzeWithLexicon(text);
+
+describe('sentimentService', () => {
+  test('scores sentiment in English, Chinese and Malay', () => {
+    expect(analyze('Thanks, the service was great!').sentiment.label).toBe('positive');
+    expect(analyze('服务很好，谢谢').sentiment.label).toBe('positive');
+    expect(analyze('mantap, terima kasih').sentiment.label).toBe('positive');
+    expect(analyze('Can I book a haircut tomorrow?').sentiment).toEqual({ score: 0, label: 'neutral' });
+    expect(analyze('很失望，太差了').sentiment.label).toBe('negative');
+    expect(analyze('teruk betul, kecewa').sentiment.label).toBe('negative');
+  });
+
+  test('handles negation and intensifiers', () => {
+    expect(analyze('not good').sentiment.score).toBeLessThan(0);
+    expect(analyze('不满意').sentiment.score).toBeLessThan(0);
+    // "tak puas hati" is a negative phrase, not a negated "puas hati"
+    expect(analyze('tak puas hati').sentiment.score).toBeLessThan(0);
+    expect(analyze('very bad').sentiment.score).toBeLessThan(analyze('bad').sentiment.score);
+  });
+
+  test('scores urgency and toxicity', () => {
+    expect(analyze('URGENT: my aircon is leaking, please help asap').urgency.level).toBe('high');
+    expect(analyze('我的订单还没到，马上处理！').urgency.score).toBeGreaterThanOrEqual(0.4);
+    expect(analyze('what time do you open?').urgency).toEqual({ score: 0, level: 'low' });
+
+    const insult = analyze('you stupid idiot');
+    expect(insult.toxicity).toEqual({ score: 1, toxic: true });
+    expect(insult.sentiment.label).toBe('negative');
+    expect(analyze('bodoh').toxicity.toxic).toBe(true);
+    expect(analyze('Thank you').toxicity.toxic).toBe(false);
+  });
+
+  test('flags messages to escalate with their reasons', () => {
+    expect(analyze('The worst service ever!!! I want a refund NOW').escalation).toEqual({
+      escalate: true,
+      reasons: ['negative_sentiment', 'high_urgency']
+    });
+    expect(analyze('you stupid idiot').escalation.reasons).toContain('toxicity');
+    expect(analyze('Thanks a lot').escalation).toEqual({ escalate: false, reasons: [] });
+  });
+
+  test('scores with a model when asked, falling back to the lexicon', async () => {
+    aiService.generateText.mockResolvedValueOnce({ text: '{"sentiment": -0.9, "urgency": 1.4, "toxicity": 0}' });
+
+    const scored = await sentimentService.analyzeMessage('My parcel never arrived', { provider: 'llm', userId: 'shop-1' });
+    expect(scored).toMatchObject({
+      source: 'llm',
+      sentiment: { score: -0.9, label: 'negative' },
+      urgency: { score: 1, level: 'high' }
+    });
+    expect(aiService.generateText).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+      userId: 'shop-1',
+      feature: 'message_analysis'
+    }));
+
+    aiService.generateText.mockResolvedValueOnce({ text: 'I think it is negative' });
+    expect((await sentimentService.analyzeMessage('terrible', { provider: 'llm' })).source).toBe('lexicon');
+  });
+});
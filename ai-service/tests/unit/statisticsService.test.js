@@ -0,0 +1,45 @@
+const statisticsService = require('../../src/services/statisticsService');
+
+describe('statisticsService', () => {
+  test("Welch's t-test matches reference values", () => {
+    const a = statisticsService.summarize([27.5, 21.0, 19.0, 23.6, 17.0, 17.9, 16.9, 20.1, 21.9, 22.6, 23.1, 19.6, 19.0, 21.7, 21.4]);
+    const b = statisticsService.summarize([27.1, 22.0, 20.8, 23.4, 23.4, 23.5, 25.8, 22.0, 24.8, 20.2, 21.9, 22.1, 22.9, 20.5, 24.4]);
+
+    const result = statisticsService.welchTTest(a, b);
+
+    expect(result.statistic).toBeCloseTo(-2.4554, 3);
+    expect(result.df).toBeCloseTo(24.9885, 3);
+    expect(result.pValue).toBeCloseTo(0.02138, 4);
+    expect(result.ci[0]).toBeCloseTo(-3.984, 2);
+    expect(result.ci[1]).toBeCloseTo(-0.349, 2);
+  });
+
+  test('two-proportion z-test and Wilson interval', () => {
+    const result = statisticsService.twoProportionZTest(45, 100, 30, 100);
+
+    expect(result.statistic).toBeCloseTo(2.1909, 3);
+    expect(result.pValue).toBeCloseTo(0.02846, 4);
+
+    const [lower, upper] = statisticsService.proportionConfidenceInterval(45, 100);
+    expect(lower).toBeCloseTo(0.3561, 3);
+    expect(upper).toBeCloseTo(0.5475, 3);
+  });
+
+  test('Holm and Bonferroni corrections', () => {
+    expect(statisticsService.adjustPValues([0.01, 0.04, 0.03], 'holm')).toEqual([0.03, 0.06, 0.06]);
+    expect(statisticsService.adjustPValues([0.01, 0.04, 0.5], 'bonferroni')).toEqual([0.03, 0.12, 1]);
+  });
+
+  test('posterior probability to be best is reproducible with a seed', () => {
+    const samplers = {
+      a: statisticsService.betaPosterior(45, 100),
+      b: statisticsService.betaPosterior(30, 100)
+    };
+
+    const first = statisticsService.posteriorComparison(samplers, { seed: 7 });
+
+    expect(first.a.probabilityBest).toBeGreaterThan(0.97);
+    expect(first.a.expectedLoss).toBeLessThan(first.b.expectedLoss);
+    expect(statisticsService.posteriorComparison(samplers, { seed: 7 })).toEqual(first);
+  });
+});
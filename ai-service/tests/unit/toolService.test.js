@@ -0,0 +1,153 @@
+// In-memory cache without expiry timers
+jest.mock('../../src/services/cacheService', () => {
+  const store = new Map();
+  return {
+    get: jest.fn(async key => store.get(key) ?? null),
+    set: jest.fn(async (key, value) => store.set(key, value)),
+    del: jest.fn(async key => store.delete(key))
+  };
+});
+
+const toolService = require('../../src/services/toolService');
+
+// Stand-in for a booking tool, so the tests do not call the server API
+const bookings = [];
+toolService.registerTool({
+  name: 'test_book',
+  description: 'Book a test appointment',
+  requiresConfirmation: true,
+  parameters: {
+    type: 'object',
+    properties: {
+      date: { type: 'string' },
+      hour: { type: 'integer' },
+      type: { type: 'string', enum: ['in-store', 'on-site'] }
+    },
+    required: ['date', 'hour']
+  },
+  summarize: args => `Book on ${args.date} at ${args.hour}:00`,
+  execute: async args => {
+    bookings.push(args);
+    return { appointmentId: `appt-${bookings.length}` };
+  }
+});
+
+const context = { userId: 'customer-1', tenantId: 'shop-1', sessionId: 's1', authToken: 'token' };
+
+describe('toolService', () => {
+  test('declares the booking tools centrally', () => {
+    const names = toolService.getDeclarations().map(tool => tool.name);
+
+    expect(names).toEqual(expect.arrayContaining([
+      'find_available_slots', 'create_appointment', 'reschedule_appointment',
+      'cancel_appointment', 'get_service_prices'
+    ]));
+    expect(toolService.getDeclarations(['cancel_appointment'])[0]).toMatchObject({
+      requiresConfirmation: true,
+      parameters: { required: ['appointment_id'] }
+    });
+  });
+
+  test('validates arguments against the declared schema', async () => {
+    expect(toolService.validateSchema({ date: '2026-10-20', hour: 1.5, type: 'home' }, {
+      type: 'object',
+      properties: { hour: { type: 'integer' }, type: { type: 'string', enum: ['in-store', 'on-site'] } },
+      required: ['date', 'name']
+    })).toEqual([
+      'arguments.name is required',
+      'arguments.hour must be of type integer',
+      'arguments.type must be one of: in-store, on-site'
+    ]);
+
+    const invocation = await toolService.invokeTool('test_book', { date: '2026-10-20' }, context);
+    expect(invocation.status).toBe('error');
+    expect(invocation.error).toContain('arguments.hour is required');
+
+    const unknown = await toolService.invokeTool('launch_rocket', {}, context);
+    expect(unknown).toMatchObject({ status: 'error', error: 'Unknown tool: launch_rocket' });
+  });
+
+  test('holds actions until the customer confirms them', async () => {
+    // Numbers sent as strings are coerced to the declared type
+    const invocation = await toolService.invokeTool('test_book', { date: '2026-10-20', hour: '15' }, context);
+
+    expect(invocation.status).toBe('confirmation_required');
+    expect(invocation.pendingAction).toMatchObject({
+      tool: 'test_book',
+      arguments: { date: '2026-10-20', hour: 15 },
+      summary: 'Book on 2026-10-20 at 15:00'
+    });
+    expect(bookings).toHaveLength(0);
+    expect(await toolService.getPendingAction('customer-1', 's1', 'shop-1')).toMatchObject({
+      confirmationId: invocation.pendingAction.confirmationId
+    });
+
+    const confirmed = await toolService.resolvePendingAction(context, true);
+
+    expect(confirmed).toMatchObject({ status: 'success', result: { appointmentId: 'appt-1' } });
+    expect(bookings).toEqual([{ date: '2026-10-20', hour: 15 }]);
+    expect(await toolService.getPendingAction('customer-1', 's1', 'shop-1')).toBeNull();
+    await expect(toolService.resolvePendingAction(context, true)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('does not run rejected actions', async () => {
+    const invocation = await toolService.invokeTool('test_book', { date: '2026-10-21', hour: 9 }, context);
+
+    await expect(toolService.resolvePendingAction(context, true, 'other-id')).rejects.toMatchObject({ statusCode: 404 });
+
+    const rejected = await toolService.resolvePendingAction(context, false, invocation.pendingAction.confirmationId);
+
+    expect(rejected.status).toBe('rejected');
+    expect(bookings).toHaveLength(1);
+  });
+
+  test('classifies confirmations in English, Chinese and Malay', () => {
+    expect(toolService.classifyConfirmation('Yes!')).toBe('confirm');
+    expect(toolService.classifyConfirmation('好的')).toBe('confirm');
+    expect(toolService.classifyConfirmation('boleh')).toBe('confirm');
+    expect(toolService.classifyConfirmation('不要')).toBe('reject');
+    expect(toolService.classifyConfirmation('tidak')).toBe('reject');
+    expect(toolService.classifyConfirmation('Yes but at 4pm instead')).toBeNull();
+  });
+
+  test('audits every invocation', async () => {
+    const invocations = await toolService.listInvocations({ userId: 'customer-1', tool: 'test_book' });
+
+    expect(invocations.map(row => row.status)).toEqual([
+      'rejected', 'confirmation_required', 'success', 'confirmation_required', 'error'
+    ]);
+    expect(invocations[0]).toMatchObject({ tenant_id: 'shop-1', session_id: 's1' });
+  });
+
+  test('parses JSON tool calls from models without native function calling', () => {
+    const calls = toolService.parseToolCalls(
+      '```json\n{"tool_calls": [{"name": "find_available_slots", "arguments": {"service_id": "svc-1", "date": "2026-10-20"}}]}\n```'
+    );
+
+    expect(calls).toEqual([{
+      id: expect.any(String),
+      name: 'find_available_slots',
+      arguments: { service_id: 'svc-1', date: '2026-10-20' }
+    }]);
+    expect(toolService.parseToolCalls('We have slots at 3pm and 4pm.')).toEqual([]);
+
+    const prompt = toolService.buildToolPrompt(
+      [{ role: 'user', content: 'Book a haircut tomorrow' }],
+      toolService.getDeclarations(['find_available_slots'])
+    );
+    expect(prompt).toContain('find_available_slots');
+    expect(prompt).toContain('Book a haircut tomorrow');
+  });
+
+  test('keeps pending actions within their tenant', async () => {
+    const invocation = await toolService.invokeTool('test_book', { date: '2026-10-22', hour: 11 }, context);
+    const otherTenant = { ...context, tenantId: 'shop-2' };
+
+    expect(await toolService.getPendingAction('customer-1', 's1', 'shop-2')).toBeNull();
+    await expect(toolService.resolvePendingAction(otherTenant, true, invocation.pendingAction.confirmationId))
+      .rejects.toMatchObject({ statusCode: 404 });
+
+    expect(await toolService.getPendingAction('customer-1', 's1', 'shop-1')).not.toBeNull();
+    await toolService.resolvePendingAction(context, false);
+  });
+});
@@ -0,0 +1,84 @@
+const usageService = require('../../src/services/usageService');
+
+describe('usageService', () => {
+  describe('estimateTokens', () => {
+    it('counts CJK characters as one token each', () => {
+      expect(usageService.estimateTokens('你好世界')).toBe(4);
+    });
+    
+    it('counts other text as roughly four characters per token', () => {
+      expect(usageService.estimateTokens('abcdefgh')).toBe(2);
+      expect(usageService.estimateTokens('')).toBe(0);
+    });
+  });
+  
+  describe('calculateCost', () => {
+    it('prices tokens with the model cost table', () => {
+      // gpt-4o-mini: 0.00015 input / 0.0006 output per 1K tokens
+      expect(usageService.calculateCost('gpt-4o-mini', 2000, 1000)).toBeCloseTo(0.0009, 6);
+    });
+    
+    it('returns 0 for unknown models', () => {
+      expect(usageService.calculateCost('unknown-model', 1000, 1000)).toBe(0);
+    });
+  });
+  
+  describe('budgets', () => {
+    it('tracks monthly usage per feature', async () => {
+      await usageService.recordUsage({ userId: 'tenant-a', feature: 'chat', model: 'gpt-4o-mini', tokensInput: 100, tokensOutput: 50 });
+      await usageService.recordUsage({ userId: 'tenant-a', feature: 'content_generation', model: 'gpt-4o-mini', tokensInput: 10, tokensOutput: 5 });
+      
+      const usage = await usageService.getMonthlyUsage('tenant-a');
+      
+      expect(usage.requests).toBe(2);
+      expect(usage.tokensInput).toBe(110);
+      expect(usage.byFeature.chat.tokensOutput).toBe(50);
+      expect(usage.byFeature.content_generation.requests).toBe(1);
+    });
+    
+    it('keeps the routed model while within budget', async () => {
+      const selection = await usageService.selectModelWithinBudget('tenant-b', 'gemini-1.5-pro-latest', { plan: 'proA' });
+      
+      expect(selection).toMatchObject({ model: 'gemini-1.5-pro-latest', downgraded: false, maxTokens: 1024 });
+    });
+    
+    it('blocks calls once a blocking budget is exhausted', async () => {
+      await usageService.setUserBudget('tenant-c', { monthlyTokens: 100, onExhausted: 'block' });
+      await usageService.recordUsage({ userId: 'tenant-c', model: 'gpt-4o-mini', tokensInput: 90, tokensOutput: 10 });
+      
+      await expect(usageService.selectModelWithinBudget('tenant-c', 'gpt-4o-mini'))
+        .rejects.toMatchObject({ statusCode: 402 });
+    });
+    
+    it('allows calls on an exhausted downgrading budget', async () => {
+      await usageService.setUserBudget('tenant-d', { monthlyCost: 0.0001, onExhausted: 'downgrade' });
+      await usageService.recordUsage({ userId: 'tenant-d', model: 'gemini-1.5-pro-latest', tokensInput: 1000, tokensOutput: 0 });
+      
+      const status = await usageService.checkBudget('tenant-d');
+      
+      expect(status).toMatchObject({ exhausted: true, action: 'downgrade', allowed: true });
+    });
+    
+    it('keeps the plan values for fields a partial override leaves unset', async () => {
+      // Unset columns come back as null when the override is reloaded from Supabase
+      const budget = await usageService.setUserBudget('tenant-e', {
+        monthlyTokens: null,
+        monthlyCost: null,
+        maxTokensPerRequest: 256,
+        onExhausted: null
+      });
+      const planBudget = usageService.getPlanBudgets()[await usageService.getUserPlan('tenant-e')];
+      
+      expect(budget).toEqual({ ...planBudget, maxTokensPerRequest: 256 });
+    });
+    
+    it('rejects limits that are not non-negative numbers', async () => {
+      await expect(usageService.setUserBudget('tenant-f', { monthlyTokens: -1 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(usageService.setUserBudget('tenant-f', { monthlyCost: '10' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(usageService.setUserBudget('tenant-f', { maxTokensPerRequest: Infinity }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
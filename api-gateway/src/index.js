@@ -34,7 +34,6 @@ const app = express();
 // Basic middleware
 app.use(helmet()); // Security headers
 app.use(cors()); // Enable CORS
-app.use(express.json()); // Parse JSON bodies
 app.use(morgan('combined')); // HTTP request logging
 
 // Rate limiting
@@ -46,9 +45,10 @@ const apiLimiter = rateLimit({
 });
 app.use('/api/', apiLimiter);
 
-// Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/services', serviceRoutes);
+// Routes (only the gateway's own routes parse JSON bodies; proxied requests
+// must keep their body stream, or the services would receive an empty body)
+app.use('/api/auth', express.json(), authRoutes);
+app.use('/api/services', express.json(), serviceRoutes);
 
 // Proxy middleware for core-service
 app.use('/api/core', createProxyMiddleware({
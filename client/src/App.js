@@ -26,6 +26,7 @@ const AutoReplyDashboard = lazy(() => import('./components/dashboard/AutoReplyDa
 const AppointmentMapPage = lazy(() => import('./pages/AppointmentMapPage'));
 const ContentAgentPage = lazy(() => import('./pages/ContentAgentPage'));
 const BrandSettingsPage = lazy(() => import('./pages/BrandSettingsPage'));
+const KnowledgeBaseSettingsPage = lazy(() => import('./pages/KnowledgeBaseSettingsPage'));
 // Layouts and pages for Data/Settings
 const DataCenterLayout = lazy(() => import('./components/layouts/DataCenterLayout'));
 const SettingsCenterLayout = lazy(() => import('./components/layouts/SettingsCenterLayout'));
@@ -83,6 +84,7 @@ function App() {
                     <Route path="walkin-booking" element={<WalkinBookingSettingsPage />} />
                     <Route path="onsite-booking" element={<OnsiteBookingSettingsPage />} />
                     <Route path="content-generator" element={<BrandSettingsPage />} />
+                    <Route path="knowledge-base" element={<KnowledgeBaseSettingsPage />} />
                   </Route>
                   {/* Upgrade Prompt */}
                   <Route path="/upgrade" element={<UpgradePage />} />
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
-import api from '../../api/axiosInstance'; // Use axios instance
+import { streamChatMessage } from '../../services/chatService';
+import { useAuth } from '../../context/AuthContext';
 import './ChatInterface.css';
 
 function ChatInterface() {
@@ -10,6 +11,13 @@ function ChatInterface() {
     const [currentMessage, setCurrentMessage] = useState('');
     const [isLoading, setIsLoading] = useState(false);
     const messagesEndRef = useRef(null); // Ref to scroll to bottom
+    const abortControllerRef = useRef(null); // Controller for the in-flight generation
+    const { user } = useAuth();
+
+    // Cancel any in-flight generation when the component unmounts
+    useEffect(() => {
+        return () => abortControllerRef.current?.abort();
+    }, []);
 
     // Function to scroll to the bottom of the messages
     const scrollToBottom = () => {
@@ -40,42 +48,61 @@ function ChatInterface() {
             return; // Don't send empty messages or while loading
         }
 
-        // Add user message to state
+        // Add user message and an empty AI message that will be filled progressively
         const newUserMessage = { sender: 'user', text: trimmedMessage };
-        setMessages(prevMessages => [...prevMessages, newUserMessage]);
+        setMessages(prevMessages => [...prevMessages, newUserMessage, { sender: 'ai', text: '', streaming: true }]);
         setCurrentMessage(''); // Clear input field
         setIsLoading(true);
 
+        // Update the last (streaming) AI message
+        const updateStreamingMessage = (update) => {
+            setMessages(prevMessages => {
+                const lastIndex = prevMessages.length - 1;
+                return prevMessages.map((msg, index) => (index === lastIndex ? { ...msg, ...update(msg) } : msg));
+            });
+        };
+
+        const abortController = new AbortController();
+        abortControllerRef.current = abortController;
+
         try {
-            console.log('Sending message to backend:', trimmedMessage);
-            // Call the backend chat API
-            const response = await api.post('/chat', { message: trimmedMessage });
-            const aiReply = response.data.reply;
+            const result = await streamChatMessage({
+                text: trimmedMessage,
+                userId: user?.id,
+                onToken: (delta) => updateStreamingMessage(msg => ({ text: msg.text + delta })),
+                signal: abortController.signal
+            });
 
-            if (aiReply) {
-                // Add AI response to state
-                const newAiMessage = { sender: 'ai', text: aiReply };
-                setMessages(prevMessages => [...prevMessages, newAiMessage]);
-            } else {
+            updateStreamingMessage(msg => ({
+                streaming: false,
                 // Handle case where reply might be empty
-                 setMessages(prevMessages => [...prevMessages, { sender: 'ai', text: 'Sorry, I could not process that.' }]);
-            }
-
+                text: msg.text || result?.reply || 'Sorry, I could not process that.'
+            }));
         } catch (error) {
-            console.error('Error sending message or receiving reply:', error);
-            // Display an error message in the chat
-            const errorMessage = error.response?.data?.message || 'Error communicating with the AI.';
-            setMessages(prevMessages => [...prevMessages, { sender: 'ai', text: `Sorry, an error occurred: ${errorMessage}` }]);
+            if (error.name === 'AbortError') {
+                // Keep whatever was generated before the user stopped it
+                updateStreamingMessage(msg => ({ streaming: false, text: msg.text || '(Generation stopped)' }));
+            } else {
+                console.error('Error sending message or receiving reply:', error);
+                // Display an error message in the chat
+                const errorMessage = error.message || 'Error communicating with the AI.';
+                updateStreamingMessage(() => ({ streaming: false, text: `Sorry, an error occurred: ${errorMessage}` }));
+            }
         } finally {
+            abortControllerRef.current = null;
             setIsLoading(false);
         }
     };
 
+    const handleStopGeneration = () => {
+        abortControllerRef.current?.abort();
+    };
+
     return (
         <div className="chat-interface-container">
             <div className="chat-messages">
                 {messages.map((msg, index) => (
-                    <div key={index} className={`message ${msg.sender}`}>
+                    <div key={index} className={`message ${msg.sender}${msg.streaming ? ' streaming' : ''}`}>
                         {/* Basic text rendering, can enhance with Markdown later */}
                         {msg.text}
                     </div>
@@ -92,9 +119,15 @@ function ChatInterface() {
                     onKeyPress={handleSendMessage} // Send on Enter key press
                     disabled={isLoading}
                 />
-                <button onClick={handleSendMessage} disabled={isLoading || !currentMessage.trim()}>
-                    {isLoading ? 'Sending...' : 'Send'}
-                </button>
+                {isLoading ? (
+                    <button onClick={handleStopGeneration}>
+                        Stop
+                    </button>
+                ) : (
+                    <button onClick={handleSendMessage} disabled={!currentMessage.trim()}>
+                        Send
+                    </button>
+                )}
             </div>
         </div>
     );
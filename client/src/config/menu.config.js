@@ -10,5 +10,6 @@ export const settingsMenu = [
   { key: 'agent-reply', path: '/settings/agent-reply', title: 'Auto Reply Settings', icon: null, minPlan: 'free' },
   { key: 'walkin-booking', path: '/settings/walkin-booking', title: 'Walk-in Settings', icon: null, minPlan: 'free' },
   { key: 'onsite-booking', path: '/settings/onsite-booking', title: 'On-site Settings', icon: null, minPlan: 'free' },
-  { key: 'content-generator', path: '/settings/content-generator', title: 'Content Generator Settings', icon: null, minPlan: 'free' }
+  { key: 'content-generator', path: '/settings/content-generator', title: 'Content Generator Settings', icon: null, minPlan: 'free' },
+  { key: 'knowledge-base', path: '/settings/knowledge-base', title: 'Knowledge Base', icon: null, minPlan: 'free' }
 ]; 
\ No newline at end of file
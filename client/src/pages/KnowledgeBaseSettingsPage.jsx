@@ -0,0 +1,240 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Card, Table, Form, Button, Badge, Spinner, Alert, InputGroup } from 'react-bootstrap';
+import { useFeatureGuard } from '../hooks/useFeatureGuard';
+import { fetchServices } from '../services/serviceService';
+import {
+  fetchSources,
+  uploadDocument,
+  importServices,
+  deleteSource,
+  reindexSource,
+  searchKnowledge
+} from '../services/knowledgeBaseService';
+
+const STATUS_VARIANTS = {
+  pending: 'secondary',
+  indexing: 'info',
+  ready: 'success',
+  failed: 'danger'
+};
+
+const TYPE_LABELS = {
+  pdf: 'PDF',
+  markdown: 'Markdown',
+  text: 'Text',
+  qa_csv: 'Q&A CSV',
+  services: 'Services'
+};
+
+// Refresh the list while sources are being indexed
+const POLL_INTERVAL_MS = 3000;
+
+export default function KnowledgeBaseSettingsPage() {
+  useFeatureGuard('free');
+  document.title = 'Knowledge Base Settings';
+
+  const [sources, setSources] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isWorking, setIsWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [file, setFile] = useState(null);
+  const [query, setQuery] = useState('');
+  const [passages, setPassages] = useState(null);
+
+  const loadSources = useCallback(async () => {
+    try {
+      setSources(await fetchSources());
+      setError(null);
+    } catch (err) {
+      console.error('Error loading knowledge sources:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSources();
+  }, [loadSources]);
+
+  useEffect(() => {
+    const isIndexing = sources.some(source => ['pending', 'indexing'].includes(source.status));
+    if (!isIndexing) return undefined;
+
+    const timer = setInterval(loadSources, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [sources, loadSources]);
+
+  // Run an action, then refresh the list
+  const runAction = async (action) => {
+    setIsWorking(true);
+    setError(null);
+    try {
+      await action();
+      await loadSources();
+    } catch (err) {
+      console.error('Knowledge base action failed:', err);
+      setError(err.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleUpload = (e) => {
+    e.preventDefault();
+    if (!file) return;
+    runAction(async () => {
+      await uploadDocument(file);
+      setFile(null);
+      e.target.reset();
+    });
+  };
+
+  const handleImportServices = () => runAction(async () => {
+    const services = await fetchServices();
+    if (services.length === 0) {
+      throw new Error('You have no services to import yet.');
+    }
+    await importServices(services, sources.find(source => source.type === 'services'));
+  });
+
+  const handleDelete = (source) => {
+    if (!window.confirm(`Delete "${source.name}" from the knowledge base?`)) return;
+    runAction(() => deleteSource(source.id));
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+    try {
+      setPassages(await searchKnowledge(query));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Container fluid className="mt-4">
+      <h2>Knowledge Base Settings</h2>
+      <p className="text-muted">
+        Prices, opening hours, delivery and other answers the AI should rely on when replying to customers.
+        Replies cite the sources they use.
+      </p>
+
+      {error && <Alert variant="danger" onClose={() => setError(null)} dismissible>{error}</Alert>}
+
+      <Row>
+        <Col lg={6}>
+          <Card className="mb-4">
+            <Card.Body>
+              <Card.Title>Upload a document</Card.Title>
+              <Form onSubmit={handleUpload}>
+                <Form.Group controlId="knowledgeFile" className="mb-3">
+                  <Form.Control
+                    type="file"
+                    accept=".pdf,.md,.markdown,.txt,.csv"
+                    onChange={(e) => setFile(e.target.files[0] || null)}
+                  />
+                  <Form.Text muted>PDF, Markdown or text documents, or a CSV with question and answer columns.</Form.Text>
+                </Form.Group>
+                <Button type="submit" disabled={!file || isWorking}>Upload</Button>
+              </Form>
+            </Card.Body>
+          </Card>
+        </Col>
+        <Col lg={6}>
+          <Card className="mb-4">
+            <Card.Body>
+              <Card.Title>Services</Card.Title>
+              <Card.Text>Import your services with their prices and durations. Import again after changing them.</Card.Text>
+              <Button variant="outline-primary" onClick={handleImportServices} disabled={isWorking}>
+                Import services
+              </Button>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+
+      <Card className="mb-4">
+        <Card.Body>
+          <div className="d-flex justify-content-between align-items-center mb-3">
+            <Card.Title className="mb-0">Sources</Card.Title>
+            <Button
+              variant="outline-secondary"
+              size="sm"
+              onClick={() => runAction(() => reindexSource())}
+              disabled={isWorking || sources.length === 0}
+            >
+              Re-index all
+            </Button>
+          </div>
+          {isLoading ? (
+            <Spinner animation="border" />
+          ) : sources.length === 0 ? (
+            <p className="text-muted mb-0">No sources yet.</p>
+          ) : (
+            <Table responsive hover size="sm">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Type</th>
+                  <th>Status</th>
+                  <th>Chunks</th>
+                  <th>Indexed</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {sources.map(source => (
+                  <tr key={source.id}>
+                    <td>{source.name}</td>
+                    <td>{TYPE_LABELS[source.type] || source.type}</td>
+                    <td>
+                      <Badge bg={STATUS_VARIANTS[source.status] || 'secondary'} title={source.error || ''}>
+                        {source.status}
+                      </Badge>
+                    </td>
+                    <td>{source.chunkCount}</td>
+                    <td>{source.indexedAt ? new Date(source.indexedAt).toLocaleString() : '-'}</td>
+                    <td className="text-end">
+                      <Button variant="link" size="sm" onClick={() => runAction(() => reindexSource(source.id))} disabled={isWorking}>
+                        Re-index
+                      </Button>
+                      <Button variant="link" size="sm" className="text-danger" onClick={() => handleDelete(source)} disabled={isWorking}>
+                        Delete
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+
+      <Card className="mb-4">
+        <Card.Body>
+          <Card.Title>Test a question</Card.Title>
+          <Form onSubmit={handleSearch}>
+            <InputGroup className="mb-3">
+              <Form.Control
+                placeholder="e.g. How much is a haircut?"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+              />
+              <Button type="submit" variant="outline-primary">Search</Button>
+            </InputGroup>
+          </Form>
+          {passages && passages.length === 0 && <p className="text-muted mb-0">No relevant passages found.</p>}
+          {passages && passages.map(passage => (
+            <div key={passage.id} className="mb-2">
+              <strong>[{passage.citation}] {passage.sourceName}{passage.title ? ` - ${passage.title}` : ''}</strong>
+              <span className="text-muted ms-2">({passage.score.toFixed(2)})</span>
+              <div style={{ whiteSpace: 'pre-wrap' }}>{passage.content}</div>
+            </div>
+          ))}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+}
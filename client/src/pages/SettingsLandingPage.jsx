@@ -45,6 +45,15 @@ export default function SettingsLandingPage() {
             </Card.Body>
           </Card>
         </Col>
+        <Col md={6}>
+          <Card className="mb-4">
+            <Card.Body>
+              <Card.Title>Knowledge Base</Card.Title>
+              <Card.Text>Upload FAQs, policies and your services for the AI to answer from.</Card.Text>
+              <Button variant="primary" onClick={() => navigate('knowledge-base')}>Go to Knowledge Base</Button>
+            </Card.Body>
+          </Card>
+        </Col>
       </Row>
     </Container>
   );
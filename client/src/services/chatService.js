@@ -0,0 +1,100 @@
+// AI service base URL (through the API gateway)
+const AI_API_BASE_URL = process.env.REACT_APP_AI_API_URL || 'http://localhost:3000/api/ai';
+
+/**
+ * Parse a single Server-Sent Event frame
+ * @param {string} frame - Raw frame text (without the trailing blank line)
+ * @returns {{event: string, data: any}|null} Parsed event or null
+ */
+const parseEventFrame = (frame) => {
+  let event = 'message';
+  const dataLines = [];
+
+  frame.split('\n').forEach(line => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+
+  if (dataLines.length === 0) {
+    return null;
+  }
+
+  try {
+    return { event, data: JSON.parse(dataLines.join('\n')) };
+  } catch (error) {
+    console.error('[chatService] Failed to parse event data:', error);
+    return null;
+  }
+};
+
+/**
+ * Send a chat message and stream the AI reply
+ * @param {Object} params
+ * @param {string} params.text - Message text
+ * @param {string} params.userId - User ID
+ * @param {string} [params.sessionId] - Session ID
+ * @param {Function} params.onToken - Called with each text delta
+ * @param {AbortSignal} [params.signal] - Signal used to cancel the generation
+ * @returns {Promise<Object>} Final response payload ({ reply, model, messageId, cancelled, ... })
+ */
+export const streamChatMessage = async ({ text, userId, sessionId, onToken, signal }) => {
+  const token = localStorage.getItem('auth_token');
+
+  const response = await fetch(`${AI_API_BASE_URL}/chat/message`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: JSON.stringify({ text, userId, sessionId, stream: true }),
+    signal
+  });
+
+  if (!response.ok) {
+    let message = `Request failed with status ${response.status}`;
+    try {
+      const body = await response.json();
+      message = body.message || message;
+    } catch (error) {
+      // Non-JSON error body, keep the status message
+    }
+    throw new Error(message);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finalPayload = null;
+  let result;
+
+  while (!(result = await reader.read()).done) {
+    buffer += decoder.decode(result.value, { stream: true });
+
+    // Events are separated by a blank line
+    let separatorIndex = buffer.indexOf('\n\n');
+    while (separatorIndex !== -1) {
+      const parsed = parseEventFrame(buffer.slice(0, separatorIndex));
+      buffer = buffer.slice(separatorIndex + 2);
+
+      if (parsed?.event === 'token') {
+        onToken(parsed.data.delta);
+      } else if (parsed?.event === 'done') {
+        finalPayload = parsed.data;
+      } else if (parsed?.event === 'error') {
+        throw new Error(parsed.data.message || 'Error communicating with the AI.');
+      }
+
+      separatorIndex = buffer.indexOf('\n\n');
+    }
+  }
+
+  return finalPayload;
+};
+
+export default {
+  streamChatMessage
+};
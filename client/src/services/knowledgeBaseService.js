@@ -0,0 +1,143 @@
+// AI service base URL (through the API gateway)
+const AI_API_BASE_URL = process.env.REACT_APP_AI_API_URL || 'http://localhost:3000/api/ai';
+
+/**
+ * Call a knowledge base endpoint of the AI service
+ * @param {string} path - Path below /knowledge
+ * @param {Object} [options] - fetch options (body is JSON serialized)
+ * @returns {Promise<Object>} Response body
+ */
+const request = async (path, { method = 'GET', body } = {}) => {
+  const token = localStorage.getItem('auth_token');
+
+  const response = await fetch(`${AI_API_BASE_URL}/knowledge${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.message || `Request failed with status ${response.status}`);
+  }
+
+  return data;
+};
+
+/**
+ * Read a file as base64 (without the data URL prefix)
+ * @param {File} file - File picked by the user
+ * @returns {Promise<string>} Base64 content
+ */
+const readFileAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+/**
+ * Detect the knowledge source type of a file from its extension
+ * @param {File} file - File picked by the user
+ * @returns {string|null} Source type or null if unsupported
+ */
+export const getSourceType = (file) => {
+  const extension = file.name.split('.').pop().toLowerCase();
+  return {
+    pdf: 'pdf',
+    md: 'markdown',
+    markdown: 'markdown',
+    txt: 'text',
+    csv: 'qa_csv'
+  }[extension] || null;
+};
+
+/**
+ * List the knowledge sources of the signed-in business
+ * @returns {Promise<Array<Object>>} Sources
+ */
+export const fetchSources = async () => {
+  const data = await request('/sources');
+  return data.sources || [];
+};
+
+/**
+ * Upload a document (PDF, Markdown, text or Q&A CSV) as a knowledge source
+ * @param {File} file - File picked by the user
+ * @param {string} [name] - Source name shown in citations (defaults to the file name)
+ * @returns {Promise<Object>} Created source
+ */
+export const uploadDocument = async (file, name) => {
+  const type = getSourceType(file);
+  if (!type) {
+    throw new Error('Unsupported file type. Use PDF, Markdown, TXT or a Q&A CSV.');
+  }
+
+  const body = { name: name || file.name, type };
+  if (type === 'pdf') {
+    body.contentBase64 = await readFileAsBase64(file);
+  } else {
+    body.content = await file.text();
+  }
+
+  const data = await request('/sources', { method: 'POST', body });
+  return data.source;
+};
+
+/**
+ * Import the services table (names, prices, durations) as a knowledge source,
+ * replacing a previous import
+ * @param {Array<Object>} services - Services from serviceService.fetchServices
+ * @param {Object|null} existingSource - Previously imported services source
+ * @returns {Promise<Object>} Created or updated source
+ */
+export const importServices = async (services, existingSource = null) => {
+  const rows = services.map(({ name, price, duration, description }) => ({ name, price, duration, description }));
+
+  const data = existingSource
+    ? await request(`/sources/${existingSource.id}`, { method: 'PUT', body: { rows } })
+    : await request('/sources', { method: 'POST', body: { name: 'Services', type: 'services', rows } });
+  return data.source;
+};
+
+/**
+ * Delete a knowledge source
+ * @param {string} sourceId - Source ID
+ * @returns {Promise<void>}
+ */
+export const deleteSource = async (sourceId) => {
+  await request(`/sources/${sourceId}`, { method: 'DELETE' });
+};
+
+/**
+ * Re-index a knowledge source (or every source when no ID is given)
+ * @param {string} [sourceId] - Source ID
+ * @returns {Promise<void>}
+ */
+export const reindexSource = async (sourceId) => {
+  await request(sourceId ? `/sources/${sourceId}/reindex` : '/reindex', { method: 'POST' });
+};
+
+/**
+ * Search the knowledge base, to check what the AI will see for a question
+ * @param {string} query - Question
+ * @returns {Promise<Array<Object>>} Passages with citations
+ */
+export const searchKnowledge = async (query) => {
+  const data = await request('/search', { method: 'POST', body: { query } });
+  return data.passages || [];
+};
+
+export default {
+  getSourceType,
+  fetchSources,
+  uploadDocument,
+  importServices,
+  deleteSource,
+  reindexSource,
+  searchKnowledge
+};
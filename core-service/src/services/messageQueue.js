@@ -1,51 +1,49 @@
 /**
  * 消息队列服务
- * 处理与RabbitMQ的连接和消息通信
+ * 基于共享消息层（@ibuddy2/messaging）与其他服务通信：请求/响应、
+ * 指数退避重试与死信队列、幂等键和消息结构校验
  */
-const amqp = require('amqplib');
-const { ApiError } = require('../middleware/errorHandler');
+const { createMessageBus, createTransport, MESSAGE_SCHEMAS } = require('@ibuddy2/messaging');
 
 // 环境变量
 const RABBITMQ_URL = process.env.RABBITMQ_URL || 'amqp://localhost:5672';
-const QUEUE_NAME = process.env.RABBITMQ_QUEUE_NAME || 'core-service-queue';
+const MESSAGE_TRANSPORT = process.env.MESSAGE_TRANSPORT || 'amqp';
+const MQ_EXCHANGE = process.env.MQ_EXCHANGE || 'ibuddy';
+const MQ_MAX_ATTEMPTS = parseInt(process.env.MQ_MAX_ATTEMPTS || '5');
+const MQ_RETRY_DELAY = parseInt(process.env.MQ_RETRY_DELAY || '1000');
+const MQ_REQUEST_TIMEOUT = parseInt(process.env.MQ_REQUEST_TIMEOUT || '30000');
 
-// 连接和通道
-let connection = null;
-let channel = null;
+// 消息总线，首次使用时创建
+let bus = null;
+
+/**
+ * 获取消息总线
+ * @returns {Object} 消息总线
+ */
+function getBus() {
+  if (!bus) {
+    bus = createMessageBus({
+      transport: createTransport({ type: MESSAGE_TRANSPORT, url: RABBITMQ_URL }),
+      serviceName: 'core-service',
+      exchange: MQ_EXCHANGE,
+      schemas: MESSAGE_SCHEMAS,
+      retry: { maxAttempts: MQ_MAX_ATTEMPTS, baseDelay: MQ_RETRY_DELAY },
+      requestTimeout: MQ_REQUEST_TIMEOUT
+    });
+  }
+  return bus;
+}
 
 /**
  * 初始化消息队列
- * @returns {Promise<void>}
+ * 连接断开后传输层会自动重连并重新声明队列和消费者
+ * @returns {Promise<Object>} 消息总线
  */
 async function initialize() {
   try {
-    // 连接到RabbitMQ服务器
-    connection = await amqp.connect(RABBITMQ_URL);
-    
-    // 创建通道
-    channel = await connection.createChannel();
-    
-    // 创建常用队列
-    await Promise.all([
-      channel.assertQueue('core.user', { durable: true }),
-      channel.assertQueue('core.auth', { durable: true }),
-      channel.assertQueue('core.profile', { durable: true }),
-      channel.assertQueue('core.request', { durable: true }),
-      channel.assertQueue('core.response', { durable: true })
-    ]);
-    
+    await getBus().connect();
     console.log('消息队列已初始化');
-    
-    // 设置关闭事件处理
-    connection.on('close', () => {
-      console.log('RabbitMQ连接已关闭');
-      setTimeout(() => {
-        console.log('尝试重新连接到RabbitMQ...');
-        initialize();
-      }, 5000); // 5秒后重连
-    });
-    
-    return { connection, channel };
+    return bus;
   } catch (error) {
     console.error('初始化消息队列失败', error);
     throw error;
@@ -57,80 +55,67 @@ async function initialize() {
  * @returns {Promise<boolean>} 连接是否活跃
  */
 async function checkConnection() {
-  if (!connection || !channel) {
-    return false;
-  }
-  
-  return true;
+  return !!bus && bus.isConnected();
 }
 
 /**
  * 发送消息到队列
  * @param {string} queueName - 队列名称
  * @param {Object} message - 要发送的消息
+ * @param {Object} options - 发送选项（idempotencyKey、headers）
  * @returns {Promise<boolean>} 消息是否发送成功
  */
-async function sendMessage(queueName, message) {
-  if (!channel) {
-    try {
-      await initialize();
-    } catch (error) {
-      console.error('发送消息前初始化队列失败', error);
-      return false;
-    }
-  }
-  
+async function sendMessage(queueName, message, options = {}) {
   try {
-    // 确保队列存在
-    await channel.assertQueue(queueName, { durable: true });
-    
-    // 发送消息
-    return channel.sendToQueue(
-      queueName, 
-      Buffer.from(JSON.stringify(message)), 
-      { 
-        persistent: true,
-        timestamp: Date.now(),
-        contentType: 'application/json'
-      }
-    );
+    await getBus().send(queueName, message, options);
+    return true;
   } catch (error) {
     console.error(`向队列 ${queueName} 发送消息时出错`, error);
     return false;
   }
 }
 
+/**
+ * 发送请求并等待响应（按correlationId匹配，超时则拒绝）
+ * @param {string} queueName - 队列名称，如 'ai.request'
+ * @param {Object} message - 请求内容
+ * @param {Object} options - 请求选项（timeout、idempotencyKey、headers）
+ * @returns {Promise<*>} 响应数据
+ */
+async function request(queueName, message, options = {}) {
+  return getBus().request(queueName, message, options);
+}
+
+/**
+ * 发布事件到主题交换机
+ * @param {string} topic - 主题，如 'core.user.updated'
+ * @param {Object} message - 事件内容
+ * @param {Object} options - 发送选项
+ * @returns {Promise<boolean>} 是否发布成功
+ */
+async function publish(topic, message, options = {}) {
+  try {
+    await getBus().publish(topic, message, options);
+    return true;
+  } catch (error) {
+    console.error(`发布主题 ${topic} 时出错`, error);
+    return false;
+  }
+}
+
 /**
  * 从队列消费消息
+ * 处理函数返回值作为响应；抛出错误时消息按指数退避重试，超过次数后进入死信队列
  * @param {string} queueName - 队列名称
- * @param {Function} handler - 消息处理函数
+ * @param {Function} handler - 消息处理函数 async (message, context) => reply
+ * @param {Object} options - 消费选项（retry、prefetch）
  * @returns {Promise<Object>} 消费者详情
  */
-async function consumeMessages(queueName, handler) {
-  if (!channel) {
-    try {
-      await initialize();
-    } catch (error) {
-      console.error('消费消息前初始化队列失败', error);
-      throw error;
-    }
-  }
-  
+async function consumeMessages(queueName, handler, options = {}) {
   try {
-    // 确保队列存在
-    await channel.assertQueue(queueName, { durable: true });
-    
-    // 设置prefetch，每个消费者一次处理一条消息
-    await channel.prefetch(1);
-    
-    // 开始消费
-    const { consumerTag } = await channel.consume(queueName, handler, {
-      noAck: false // 手动确认
-    });
-    
-    console.log(`开始从队列 ${queueName} 消费消息，消费者标签: ${consumerTag}`);
-    
-    return { queueName, consumerTag };
+    const consumer = await getBus().consume(queueName, handler, options);
+    console.log(`开始从队列 ${queueName} 消费消息，消费者标签: ${consumer.consumerTag}`);
+    return consumer;
   } catch (error) {
     console.error(`从队列 ${queueName} 消费消息时出错`, error);
     throw error;
@@ -143,13 +128,12 @@ async function consumeMessages(queueName, handler) {
  * @returns {Promise<boolean>} 是否成功取消
  */
 async function cancelConsumer(consumerTag) {
-  if (!channel) {
+  if (!bus) {
     return false;
   }
-  
+
   try {
-    await channel.cancel(consumerTag);
-    return true;
+    return await bus.cancel(consumerTag);
   } catch (error) {
     console.error(`取消消费者 ${consumerTag} 时出错`, error);
     return false;
@@ -161,29 +145,20 @@ async function cancelConsumer(consumerTag) {
  * @returns {Promise<void>}
  */
 async function close() {
-  if (channel) {
-    await channel.close();
-    channel = null;
-  }
-  
-  if (connection) {
-    await connection.close();
-    connection = null;
+  if (bus) {
+    const current = bus;
+    bus = null;
+    await current.close();
   }
 }
 
-// 为连接错误和关闭添加事件处理
-process.on('exit', async () => {
-  await close();
-});
-
 module.exports = {
   initialize,
   sendMessage,
+  request,
+  publish,
   consumeMessages,
   cancelConsumer,
   close,
-  checkConnection,
-  get connection() { return connection; },
-  get channel() { return channel; }
-}; 
\ No newline at end of file
+  checkConnection
+};
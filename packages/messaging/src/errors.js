@@ -0,0 +1,41 @@
+/**
+ * Messaging errors
+ */
+
+// Error codes
+const ERROR_CODES = {
+  TIMEOUT: 'TIMEOUT', // No reply before the request timed out
+  INVALID_MESSAGE: 'INVALID_MESSAGE', // Message does not match its schema
+  REMOTE_ERROR: 'REMOTE_ERROR', // The consumer failed to handle the request
+  NOT_CONNECTED: 'NOT_CONNECTED', // Transport is not connected
+  CLOSED: 'CLOSED' // Bus was closed while waiting
+};
+
+/**
+ * Error raised by the message bus
+ * Handlers can throw it (or any error with retryable = false) to send a
+ * message straight to the dead-letter queue instead of retrying it.
+ */
+class MessagingError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} code - One of ERROR_CODES, or an application code
+   * @param {Object} options - Options
+   * @param {boolean} options.retryable - Whether the message may be retried (default true)
+   * @param {number} options.statusCode - HTTP-style status of a remote error
+   * @param {*} options.data - Additional data
+   */
+  constructor(message, code, { retryable = true, statusCode = null, data = null } = {}) {
+    super(message);
+    this.name = 'MessagingError';
+    this.code = code;
+    this.retryable = retryable;
+    this.statusCode = statusCode;
+    this.data = data;
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  MessagingError
+};
@@ -0,0 +1,55 @@
+/**
+ * Idempotency store
+ * Remembers the result of every handled message by its idempotency key, so a
+ * message delivered twice (a retried publish, a redelivery after a consumer
+ * crash) is handled once and a repeated request gets the original reply.
+ *
+ * A store has async get(key) and set(key, value). The memory store below is
+ * per process; services running several instances can pass a shared store
+ * (e.g. backed by Redis) to createMessageBus.
+ */
+
+/**
+ * Create an in-memory idempotency store
+ * @param {Object} options - Options
+ * @param {number} options.ttl - Seconds a key is remembered (default 24 hours)
+ * @param {number} options.maxSize - Maximum number of keys, the oldest are dropped first
+ * @returns {Object} Store with get(key), set(key, value) and clear()
+ */
+function createMemoryIdempotencyStore({ ttl = 24 * 60 * 60, maxSize = 10000 } = {}) {
+  // Map keeps insertion order, so the first key is the oldest
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+
+      return entry.value;
+    },
+
+    async set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+
+      while (entries.size > maxSize) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+module.exports = {
+  createMemoryIdempotencyStore
+};
@@ -0,0 +1,37 @@
+/**
+ * Shared messaging layer for ibuddy2 services
+ * See messageBus.js for the API and the retry / dead-letter / idempotency behaviour.
+ */
+const { DEFAULT_RETRY, createMessageBus, getRetryDelay } = require('./messageBus');
+const { ERROR_CODES, MessagingError } = require('./errors');
+const { validateSchema, createSchemaRegistry } = require('./schema');
+const { createMemoryIdempotencyStore } = require('./idempotencyStore');
+const { MESSAGE_SCHEMAS } = require('./messageSchemas');
+const { createAmqpTransport } = require('./transports/amqpTransport');
+const { createMemoryTransport, matchTopic } = require('./transports/memoryTransport');
+
+/**
+ * Create the transport named in MESSAGE_TRANSPORT ('amqp', the default, or 'memory')
+ * @param {Object} options - Options passed to the transport
+ * @param {string} options.type - Transport type, overrides MESSAGE_TRANSPORT
+ * @returns {Object} Transport
+ */
+function createTransport({ type = process.env.MESSAGE_TRANSPORT || 'amqp', ...options } = {}) {
+  return type === 'memory' ? createMemoryTransport() : createAmqpTransport(options);
+}
+
+module.exports = {
+  DEFAULT_RETRY,
+  ERROR_CODES,
+  MESSAGE_SCHEMAS,
+  MessagingError,
+  createMessageBus,
+  createTransport,
+  createAmqpTransport,
+  createMemoryTransport,
+  createMemoryIdempotencyStore,
+  createSchemaRegistry,
+  validateSchema,
+  getRetryDelay,
+  matchTopic
+};
@@ -0,0 +1,604 @@
+/**
+ * Message bus
+ * The messaging API shared by the services, on top of a transport (RabbitMQ or
+ * in-memory):
+ * - send(queue, message): Point-to-point message to a queue
+ * - publish(topic, message): Event on the topic exchange
+ * - request(queue, message): Request/reply, resolved with the consumer's reply
+ *   (matched by correlationId) or rejected when the request times out
+ * - consume(queue, handler) / subscribe(pattern, handler): Handlers return the
+ *   reply (if the message asked for one) and throw to fail the message
+ *
+ * Failed messages are retried with exponential backoff: they wait in a retry
+ * queue ('<queue>.retry.<delay>') whose TTL dead-letters them back to the
+ * queue. After the last attempt, or when the error is not retryable, the
+ * message goes to the dead-letter queue '<queue>.dlq' and a requester gets
+ * an error reply. Every message carries an idempotency key (the message id
+ * unless the sender gives one); a message whose key was already handled is
+ * acknowledged without running the handler again and gets the stored reply.
+ *
+ * Messages are validated against the schema registered for their queue or
+ * topic (see schema.js) before they are sent and when they are consumed;
+ * invalid messages are never retried.
+ *
+ * Headers used on the wire:
+ * - x-idempotency-key: Idempotency key
+ * - x-attempt: Delivery attempt, starting at 1
+ * - x-topic: Topic of a published event (kept across retries)
+ * - x-source: Name of the sending service
+ * - x-error, x-failed-at: Why and when a message was dead-lettered
+ *
+ * Replies are { ok: true, data } or { ok: false, error: { message, code, statusCode } }.
+ */
+const crypto = require('crypto');
+const { ERROR_CODES, MessagingError } = require('./errors');
+const { createSchemaRegistry } = require('./schema');
+const { createMemoryIdempotencyStore } = require('./idempotencyStore');
+
+// Defaults
+const DEFAULT_EXCHANGE = 'ibuddy';
+const DEFAULT_REQUEST_TIMEOUT = 30000;
+const DEFAULT_RETRY = {
+  maxAttempts: 5,
+  baseDelay: 1000, // Delay before the second attempt, doubled for every attempt after it
+  maxDelay: 60000
+};
+
+/**
+ * Delay before the next attempt of a failed message
+ * @param {number} attempt - Attempt that failed, starting at 1
+ * @param {Object} retry - Retry options { baseDelay, maxDelay }
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, retry) {
+  return Math.min(retry.baseDelay * 2 ** (attempt - 1), retry.maxDelay);
+}
+
+/**
+ * Whether a handler error should be retried
+ * Errors marked retryable = false and client errors (statusCode 4xx, e.g. an
+ * ApiError for bad input) fail the same way on every attempt, so they are not.
+ * @param {Error} error - Handler error
+ * @returns {boolean} Whether to retry
+ */
+function isRetryable(error) {
+  if (error?.retryable === false) {
+    return false;
+  }
+
+  const statusCode = error?.statusCode;
+  return !(statusCode >= 400 && statusCode < 500);
+}
+
+/**
+ * Create a message bus
+ * @param {Object} options - Options
+ * @param {Object} options.transport - Transport (createAmqpTransport or createMemoryTransport)
+ * @param {string} options.serviceName - Name of the service, used in queue names and the x-source header
+ * @param {string} options.exchange - Topic exchange for publish/subscribe (default 'ibuddy')
+ * @param {Object} options.schemas - Message schemas by queue name or topic
+ * @param {Object} options.idempotencyStore - Store for handled message keys (default in-memory)
+ * @param {Object} options.retry - Retry options { maxAttempts, baseDelay, maxDelay }
+ * @param {number} options.requestTimeout - Default request timeout in milliseconds
+ * @param {number} options.prefetch - Default number of unacknowledged messages per consumer
+ * @param {Object} options.logger - Logger with debug/info/warn/error (default console)
+ * @returns {Object} Message bus
+ */
+function createMessageBus({
+  transport,
+  serviceName = 'service',
+  exchange = DEFAULT_EXCHANGE,
+  schemas = {},
+  idempotencyStore = createMemoryIdempotencyStore(),
+  retry = {},
+  requestTimeout = DEFAULT_REQUEST_TIMEOUT,
+  prefetch = 1,
+  logger = console
+} = {}) {
+  if (!transport) {
+    throw new Error('createMessageBus requires a transport');
+  }
+
+  const registry = createSchemaRegistry(schemas);
+  const defaultRetry = { ...DEFAULT_RETRY, ...retry };
+
+  const declaredQueues = new Set();
+  const consumerTags = [];
+  const pendingRequests = new Map();
+  let connecting = null;
+  let exchangeDeclared = false;
+  let replyQueue = null;
+  let replyQueueSetup = null;
+
+  /**
+   * Connect the transport (concurrent calls share one attempt, a failed attempt can be retried)
+   * @returns {Promise<void>}
+   */
+  async function connect() {
+    if (transport.isConnected()) {
+      return;
+    }
+
+    if (!connecting) {
+      connecting = transport.connect().finally(() => {
+        connecting = null;
+      });
+    }
+    await connecting;
+  }
+
+  /**
+   * Declare a durable queue and its dead-letter queue
+   * @param {string} queue - Queue name
+   * @returns {Promise<void>}
+   */
+  async function ensureQueue(queue) {
+    if (declaredQueues.has(queue)) {
+      return;
+    }
+
+    await connect();
+    await transport.assertQueue(queue, { durable: true });
+    await transport.assertQueue(`${queue}.dlq`, { durable: true });
+    declaredQueues.add(queue);
+  }
+
+  /**
+   * Declare the retry queue that holds messages of a queue for a delay
+   * Its TTL dead-letters the messages back to the queue. The delay is in the
+   * name, so changing the retry options declares new queues instead of
+   * conflicting with the existing ones.
+   * @param {string} queue - Queue name
+   * @param {number} delay - Delay in milliseconds
+   * @returns {Promise<string>} Retry queue name
+   */
+  async function ensureRetryQueue(queue, delay) {
+    const retryQueue = `${queue}.retry.${delay}`;
+
+    if (!declaredQueues.has(retryQueue)) {
+      await transport.assertQueue(retryQueue, { durable: true, messageTtl: delay, deadLetterQueue: queue });
+      declaredQueues.add(retryQueue);
+    }
+    return retryQueue;
+  }
+
+  /**
+   * Declare the topic exchange
+   * @returns {Promise<void>}
+   */
+  async function ensureExchange() {
+    if (exchangeDeclared) {
+      return;
+    }
+
+    await connect();
+    await transport.assertExchange(exchange);
+    exchangeDeclared = true;
+  }
+
+  /**
+   * Validate a message against its schema, throwing when it is invalid
+   * @param {string} name - Queue name or topic
+   * @param {*} message - Message body
+   */
+  function assertValid(name, message) {
+    const errors = registry.validate(name, message);
+    if (errors.length > 0) {
+      throw new MessagingError(`Invalid ${name} message: ${errors.join('; ')}`, ERROR_CODES.INVALID_MESSAGE, {
+        retryable: false,
+        statusCode: 400,
+        data: { errors }
+      });
+    }
+  }
+
+  /**
+   * Build the properties of an outgoing message
+   * @param {Object} options - Send options { messageId, idempotencyKey, correlationId, replyTo, expiration, headers }
+   * @param {Object} extraHeaders - Headers added by the bus
+   * @returns {Object} Message properties
+   */
+  function buildProperties(options, extraHeaders = {}) {
+    const messageId = options.messageId || crypto.randomUUID();
+
+    return {
+      messageId,
+      correlationId: options.correlationId,
+      replyTo: options.replyTo,
+      expiration: options.expiration !== undefined ? String(options.expiration) : undefined,
+      persistent: true,
+      contentType: 'application/json',
+      timestamp: Date.now(),
+      headers: {
+        ...options.headers,
+        'x-idempotency-key': options.idempotencyKey || messageId,
+        'x-attempt': 1,
+        'x-source': serviceName,
+        ...extraHeaders
+      }
+    };
+  }
+
+  /**
+   * Send a message to a queue
+   * @param {string} queue - Queue name
+   * @param {Object} message - Message body (JSON)
+   * @param {Object} options - Options
+   * @param {string} options.idempotencyKey - Key identifying the operation, for deduplication (default the message id)
+   * @param {string} options.messageId - Message id (default a new UUID)
+   * @param {Object} options.headers - Additional headers
+   * @returns {Promise<string>} Message id
+   */
+  async function send(queue, message, options = {}) {
+    assertValid(queue, message);
+    await ensureQueue(queue);
+
+    const properties = buildProperties(options);
+    await transport.send(queue, Buffer.from(JSON.stringify(message)), properties);
+    return properties.messageId;
+  }
+
+  /**
+   * Publish an event to the topic exchange
+   * @param {string} topic - Topic (routing key), e.g. 'customer.created'
+   * @param {Object} message - Event body (JSON)
+   * @param {Object} options - Options, as for send
+   * @returns {Promise<string>} Message id
+   */
+  async function publish(topic, message, options = {}) {
+    assertValid(topic, message);
+    await ensureExchange();
+
+    const properties = buildProperties(options, { 'x-topic': topic });
+    await transport.publish(exchange, topic, Buffer.from(JSON.stringify(message)), properties);
+    return properties.messageId;
+  }
+
+  /**
+   * Handle a reply to one of our requests
+   * @param {Object} delivery - Transport delivery
+   */
+  function handleReply(delivery) {
+    transport.ack(delivery);
+
+    const { correlationId } = delivery.properties;
+    const pending = pendingRequests.get(correlationId);
+    if (!pending) {
+      // The request already timed out
+      logger.debug?.(`Ignoring reply for unknown or expired request ${correlationId}`);
+      return;
+    }
+
+    pendingRequests.delete(correlationId);
+    clearTimeout(pending.timer);
+
+    let reply;
+    try {
+      reply = JSON.parse(delivery.content.toString());
+    } catch (error) {
+      pending.reject(new MessagingError(`Invalid reply from ${pending.queue}`, ERROR_CODES.REMOTE_ERROR, { retryable: false }));
+      return;
+    }
+
+    if (reply.ok) {
+      pending.resolve(reply.data);
+    } else {
+      const error = reply.error || {};
+      pending.reject(new MessagingError(error.message || `Request to ${pending.queue} failed`, error.code || ERROR_CODES.REMOTE_ERROR, {
+        retryable: false,
+        statusCode: error.statusCode || null,
+        data: { queue: pending.queue, ...(error.data ? { details: error.data } : {}) }
+      }));
+    }
+  }
+
+  /**
+   * Declare and consume the exclusive queue replies to this bus are sent to
+   * The name is chosen here (not by the broker) so it stays the same after a reconnect.
+   * @returns {Promise<string>} Reply queue name
+   */
+  function ensureReplyQueue() {
+    if (!replyQueueSetup) {
+      replyQueueSetup = (async () => {
+        await connect();
+        const queue = await transport.assertQueue(`${serviceName}.reply.${crypto.randomUUID()}`, {
+          durable: false,
+          exclusive: true,
+          autoDelete: true
+        });
+        consumerTags.push(await transport.consume(queue, handleReply, { prefetch: 0 }));
+        replyQueue = queue;
+        return queue;
+      })().catch(error => {
+        replyQueueSetup = null;
+        throw error;
+      });
+    }
+    return replyQueueSetup;
+  }
+
+  /**
+   * Send a request and wait for the reply
+   * The request expires on the queue when it times out, so a consumer does not
+   * pick up a request nobody is waiting for anymore.
+   * @param {string} queue - Queue name
+   * @param {Object} message - Request body (JSON)
+   * @param {Object} options - Options, as for send, plus:
+   * @param {number} options.timeout - Milliseconds to wait for the reply (default requestTimeout)
+   * @returns {Promise<*>} Data of the reply
+   */
+  async function request(queue, message, options = {}) {
+    assertValid(queue, message);
+    const timeout = options.timeout || requestTimeout;
+    const [replyTo] = await Promise.all([ensureReplyQueue(), ensureQueue(queue)]);
+
+    const correlationId = crypto.randomUUID();
+    const properties = buildProperties({ ...options, correlationId, replyTo, expiration: timeout });
+
+    const reply = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pendingRequests.delete(correlationId);
+        reject(new MessagingError(`Request to ${queue} timed out after ${timeout}ms`, ERROR_CODES.TIMEOUT, {
+          statusCode: 504,
+          data: { queue, correlationId }
+        }));
+      }, timeout);
+
+      pendingRequests.set(correlationId, { queue, resolve, reject, timer });
+    });
+
+    try {
+      await transport.send(queue, Buffer.from(JSON.stringify(message)), properties);
+    } catch (error) {
+      const pending = pendingRequests.get(correlationId);
+      pendingRequests.delete(correlationId);
+      clearTimeout(pending?.timer);
+      throw error;
+    }
+
+    return reply;
+  }
+
+  /**
+   * Send the reply to a request
+   * @param {Object} properties - Properties of the request
+   * @param {Object} reply - Reply envelope { ok, data | error }
+   * @returns {Promise<void>}
+   */
+  async function sendReply(properties, reply) {
+    if (!properties.replyTo) {
+      return;
+    }
+
+    try {
+      await transport.send(properties.replyTo, Buffer.from(JSON.stringify(reply)), {
+        correlationId: properties.correlationId,
+        contentType: 'application/json',
+        timestamp: Date.now(),
+        headers: { 'x-source': serviceName }
+      });
+    } catch (error) {
+      logger.error(`Failed to send reply to ${properties.replyTo}:`, error.message);
+    }
+  }
+
+  /**
+   * Move a message that cannot be handled to the dead-letter queue and tell the requester
+   * @param {string} queue - Queue the message was consumed from
+   * @param {Object} delivery - Transport delivery
+   * @param {Error} error - Why the message failed
+   * @returns {Promise<void>}
+   */
+  async function deadLetter(queue, delivery, error) {
+    const { properties } = delivery;
+
+    await transport.send(`${queue}.dlq`, delivery.content, {
+      ...properties,
+      expiration: undefined,
+      headers: {
+        ...properties.headers,
+        'x-error': error.message,
+        'x-failed-at': new Date().toISOString()
+      }
+    });
+
+    await sendReply(properties, {
+      ok: false,
+      error: {
+        message: error.message,
+        code: error.code || ERROR_CODES.REMOTE_ERROR,
+        statusCode: error.statusCode || null,
+        ...(error.data ? { data: error.data } : {})
+      }
+    });
+  }
+
+  /**
+   * Handle one delivery: deduplicate, validate, run the handler, reply, then
+   * retry or dead-letter on failure. The delivery is always acknowledged, since
+   * retries and dead-lettering are copies of the message.
+   * @param {string} queue - Queue the message was consumed from
+   * @param {Function} handler - Message handler
+   * @param {Object} delivery - Transport delivery
+   * @param {Object} options - { retry, schema }
+   * @returns {Promise<void>}
+   */
+  async function handleDelivery(queue, handler, delivery, options) {
+    const { properties, fields } = delivery;
+    const headers = properties.headers || {};
+    const attempt = Number(headers['x-attempt']) || 1;
+    const topic = headers['x-topic'] || null;
+    const idempotencyKey = headers['x-idempotency-key'] || properties.messageId;
+    const storeKey = idempotencyKey ? `${queue}:${idempotencyKey}` : null;
+
+    try {
+      let message;
+      try {
+        message = JSON.parse(delivery.content.toString());
+      } catch (error) {
+        throw new MessagingError(`Message on ${queue} is not valid JSON`, ERROR_CODES.INVALID_MESSAGE, { retryable: false, statusCode: 400 });
+      }
+
+      if (storeKey) {
+        const previous = await idempotencyStore.get(storeKey);
+        if (previous !== undefined) {
+          logger.info(`Skipping duplicate message ${idempotencyKey} on ${queue}`);
+          await sendReply(properties, previous);
+          transport.ack(delivery);
+          return;
+        }
+      }
+
+      assertValid(options.schema || topic || queue, message);
+
+      const result = await handler(message, {
+        queue,
+        topic,
+        messageId: properties.messageId,
+        idempotencyKey,
+        correlationId: properties.correlationId,
+        replyTo: properties.replyTo,
+        attempt,
+        timestamp: properties.timestamp,
+        redelivered: !!fields?.redelivered,
+        headers
+      });
+
+      const reply = { ok: true, data: result === undefined ? null : result };
+      if (storeKey) {
+        await idempotencyStore.set(storeKey, reply);
+      }
+      await sendReply(properties, reply);
+      transport.ack(delivery);
+    } catch (error) {
+      try {
+        if (isRetryable(error) && attempt < options.retry.maxAttempts) {
+          const delay = getRetryDelay(attempt, options.retry);
+          const retryQueue = await ensureRetryQueue(queue, delay);
+
+          logger.warn(`Message ${properties.messageId} on ${queue} failed (attempt ${attempt}), retrying in ${delay}ms: ${error.message}`);
+          await transport.send(retryQueue, delivery.content, {
+            ...properties,
+            expiration: undefined,
+            headers: { ...headers, 'x-attempt': attempt + 1 }
+          });
+        } else {
+          logger.error(`Message ${properties.messageId} on ${queue} failed (attempt ${attempt}), dead-lettered: ${error.message}`);
+          await deadLetter(queue, delivery, error);
+        }
+        transport.ack(delivery);
+      } catch (transportError) {
+        // Could not store the copy: leave the message on the queue to be redelivered
+        logger.error(`Failed to retry or dead-letter message on ${queue}:`, transportError.message);
+        transport.nack(delivery, true);
+      }
+    }
+  }
+
+  /**
+   * Consume a queue
+   * @param {string} queue - Queue name
+   * @param {Function} handler - async (message, context) => reply; context has queue, topic,
+   *   messageId, idempotencyKey, correlationId, replyTo, attempt, timestamp, redelivered and headers
+   * @param {Object} options - Options
+   * @param {Object} options.retry - Retry options for this queue { maxAttempts, baseDelay, maxDelay }
+   * @param {number} options.prefetch - Unacknowledged messages at a time
+   * @param {string} options.schema - Schema name to validate with (default the topic or queue)
+   * @returns {Promise<Object>} Consumer { queue, consumerTag }
+   */
+  async function consume(queue, handler, options = {}) {
+    await ensureQueue(queue);
+
+    const consumerOptions = {
+      retry: { ...defaultRetry, ...options.retry },
+      schema: options.schema
+    };
+    const consumerTag = await transport.consume(
+      queue,
+      delivery => handleDelivery(queue, handler, delivery, consumerOptions),
+      { prefetch: options.prefetch ?? prefetch }
+    );
+    consumerTags.push(consumerTag);
+
+    logger.info(`Consuming ${queue}`);
+    return { queue, consumerTag };
+  }
+
+  /**
+   * Subscribe to events on the topic exchange
+   * Events are delivered to a durable queue of this service (one per pattern
+   * unless options.queue is given), so they are kept while the service is down
+   * and retried like queue messages.
+   * @param {string} pattern - Topic pattern, e.g. 'customer.*' ('*' is one word, '#' any number)
+   * @param {Function} handler - async (message, context) => void
+   * @param {Object} options - Options, as for consume, plus:
+   * @param {string} options.queue - Queue name (default '<serviceName>.<pattern>')
+   * @returns {Promise<Object>} Consumer { queue, consumerTag }
+   */
+  async function subscribe(pattern, handler, options = {}) {
+    const queue = options.queue || `${serviceName}.${pattern}`;
+
+    await ensureExchange();
+    await ensureQueue(queue);
+    await transport.bindQueue(queue, exchange, pattern);
+
+    return consume(queue, handler, options);
+  }
+
+  /**
+   * Stop a consumer
+   * @param {string} consumerTag - Consumer tag returned by consume/subscribe
+   * @returns {Promise<boolean>} Whether the consumer was stopped
+   */
+  async function cancel(consumerTag) {
+    const index = consumerTags.indexOf(consumerTag);
+    if (index !== -1) {
+      consumerTags.splice(index, 1);
+    }
+    return transport.cancel(consumerTag);
+  }
+
+  /**
+   * Close the bus: fail pending requests, stop consumers and close the transport
+   * @returns {Promise<void>}
+   */
+  async function close() {
+    pendingRequests.forEach(pending => {
+      clearTimeout(pending.timer);
+      pending.reject(new MessagingError(`Request to ${pending.queue} was cancelled, the message bus closed`, ERROR_CODES.CLOSED));
+    });
+    pendingRequests.clear();
+
+    for (const consumerTag of consumerTags.splice(0)) {
+      await transport.cancel(consumerTag).catch(() => false);
+    }
+
+    declaredQueues.clear();
+    exchangeDeclared = false;
+    replyQueue = null;
+    replyQueueSetup = null;
+
+    await transport.close();
+  }
+
+  return {
+    connect,
+    send,
+    publish,
+    request,
+    consume,
+    subscribe,
+    cancel,
+    close,
+    isConnected: () => transport.isConnected(),
+    get serviceName() { return serviceName; },
+    get replyQueue() { return replyQueue; },
+    get transport() { return transport; }
+  };
+}
+
+module.exports = {
+  DEFAULT_RETRY,
+  createMessageBus,
+  getRetryDelay
+};
@@ -0,0 +1,114 @@
+/**
+ * Schemas of the messages exchanged between the services
+ * Producers and consumers pass these to createMessageBus, so a message is
+ * checked against the same contract on both sides. Queues and topics without
+ * a schema here are not validated.
+ */
+
+const MESSAGE_SCHEMAS = {
+  // ai-service: chat messages and intent recognition, usually sent with request()
+  'ai.request': {
+    discriminator: 'type',
+    mapping: {
+      message: {
+        type: 'object',
+        required: ['type', 'text', 'userId'],
+        properties: {
+          type: { type: 'string' },
+          text: { type: 'string' },
+          userId: { type: 'string' },
+          sessionId: { type: 'string' },
+          platform: { type: 'string' },
+          context: { type: 'object' },
+          plan: { type: 'string' },
+          feature: { type: 'string' },
+          tenantId: { type: 'string' },
+          authToken: { type: 'string' },
+          services: { type: 'array' },
+          products: { type: 'array' },
+          // Callers that predate request/reply name their reply queue in the body
+          replyTo: { type: 'string' },
+          requestId: { type: 'string' }
+        }
+      },
+      intent: {
+        type: 'object',
+        required: ['type', 'text'],
+        properties: {
+          type: { type: 'string' },
+          text: { type: 'string' },
+          modelId: { type: 'string' },
+          context: { type: 'object' },
+          replyTo: { type: 'string' },
+          requestId: { type: 'string' }
+        }
+      }
+    }
+  },
+
+  'ai.feedback': {
+    type: 'object',
+    required: ['messageId', 'rating'],
+    properties: {
+      messageId: { type: 'string' },
+      userId: { type: 'string' },
+      rating: { type: 'number' },
+      comment: { type: 'string' },
+      timestamp: { type: 'string' }
+    }
+  },
+
+  'ai.train_intent': {
+    type: 'object',
+    required: ['intent', 'examples'],
+    properties: {
+      intent: { type: 'string' },
+      examples: { type: 'array', items: { type: 'string' } },
+      modelId: { type: 'string' },
+      replyTo: { type: 'string' },
+      requestId: { type: 'string' }
+    }
+  },
+
+  'knowledge.reindex': {
+    type: 'object',
+    required: ['tenantId', 'sourceId'],
+    properties: {
+      tenantId: { type: 'string' },
+      sourceId: { type: 'string' }
+    }
+  },
+
+  // core-service: chat history written after every chat reply
+  'core.chat.history': {
+    type: 'object',
+    required: ['userId', 'message', 'timestamp'],
+    properties: {
+      userId: { type: 'string' },
+      conversationId: { type: 'string' },
+      timestamp: { type: 'string' },
+      message: { type: 'string' }
+    }
+  },
+
+  // customer-service events
+  'customer.created': {
+    type: 'object',
+    required: ['customer', 'user_id'],
+    properties: { customer: { type: 'object' }, user_id: { type: 'string' } }
+  },
+  'customer.updated': {
+    type: 'object',
+    required: ['customer', 'user_id'],
+    properties: { customer: { type: 'object' }, previous: { type: 'object' }, user_id: { type: 'string' } }
+  },
+  'customer.deleted': {
+    type: 'object',
+    required: ['customer', 'user_id'],
+    properties: { customer: { type: 'object' }, user_id: { type: 'string' } }
+  }
+};
+
+module.exports = {
+  MESSAGE_SCHEMAS
+};
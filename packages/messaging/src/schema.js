@@ -0,0 +1,101 @@
+/**
+ * Message schemas
+ * Schemas are the JSON schema subset used across the services: type, enum,
+ * properties, required and items. The bus validates messages against the
+ * schema registered for their queue or topic when they are sent and again
+ * when they are consumed.
+ */
+
+/**
+ * Check a value against a JSON schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateSchema(value, schema, path = 'message') {
+  const errors = [];
+  const typeChecks = {
+    string: v => typeof v === 'string',
+    number: v => typeof v === 'number' && Number.isFinite(v),
+    integer: v => Number.isInteger(v),
+    boolean: v => typeof v === 'boolean',
+    object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+    array: v => Array.isArray(v)
+  };
+
+  if (schema.type && typeChecks[schema.type] && !typeChecks[schema.type](value)) {
+    return [`${path} must be of type ${schema.type}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null || value[key] === '') {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Create a schema registry
+ * Schemas are keyed by queue name or topic. A schema with a oneOf-style
+ * discriminator can be written as { discriminator: 'type', mapping: { message: {...} } }
+ * to validate request types that share a queue.
+ * @param {Object} schemas - Schemas by queue name or topic
+ * @returns {Object} Registry with validate(name, message)
+ */
+function createSchemaRegistry(schemas = {}) {
+  /**
+   * Validate a message against the schema registered for a queue or topic
+   * @param {string} name - Queue name or topic
+   * @param {*} message - Message body
+   * @returns {Array<string>} Validation errors (empty when valid or no schema is registered)
+   */
+  function validate(name, message) {
+    const schema = schemas[name];
+    if (!schema) {
+      return [];
+    }
+
+    if (!schema.discriminator) {
+      return validateSchema(message, schema, name);
+    }
+
+    const kind = message && typeof message === 'object' ? message[schema.discriminator] : undefined;
+    const kindSchema = schema.mapping?.[kind];
+    if (!kindSchema) {
+      return [`${name}.${schema.discriminator} must be one of: ${Object.keys(schema.mapping || {}).join(', ')}`];
+    }
+
+    return validateSchema(message, kindSchema, name);
+  }
+
+  return {
+    validate,
+    has: name => !!schemas[name]
+  };
+}
+
+module.exports = {
+  validateSchema,
+  createSchemaRegistry
+};
@@ -0,0 +1,293 @@
+/**
+ * RabbitMQ transport (amqplib)
+ * Keeps the topology it declared (queues, exchanges, bindings, consumers) and
+ * declares it again after reconnecting or reopening the channel, so a broker
+ * restart or a channel error does not leave the service without its consumers.
+ */
+
+/**
+ * Create a RabbitMQ transport
+ * @param {Object} options - Options
+ * @param {string} options.url - Broker URL (default RABBITMQ_URL or amqp://localhost:5672)
+ * @param {number} options.reconnectDelay - Milliseconds before reconnecting after the connection or channel closes
+ * @param {Object} options.logger - Logger with info/warn/error (default console)
+ * @param {Object} options.amqp - amqplib module (injected in tests)
+ * @returns {Object} Transport
+ */
+function createAmqpTransport({
+  url = process.env.RABBITMQ_URL || 'amqp://localhost:5672',
+  reconnectDelay = 5000,
+  logger = console,
+  amqp = require('amqplib')
+} = {}) {
+  let connection = null;
+  let channel = null;
+  let connecting = null;
+  let closing = false;
+  let reconnectTimer = null;
+
+  // Declared topology, replayed after a reconnect
+  const queues = new Map();
+  const exchanges = new Set();
+  const bindings = [];
+  const consumers = new Map();
+  let nextConsumerId = 1;
+
+  /**
+   * Declare a queue on the current channel
+   * @param {string} name - Queue name
+   * @param {Object} options - Queue options
+   * @returns {Promise<string>} Queue name
+   */
+  async function declareQueue(name, options) {
+    const { durable = true, exclusive = false, autoDelete = false, messageTtl, deadLetterQueue } = options;
+    const { queue } = await channel.assertQueue(name, {
+      durable,
+      exclusive,
+      autoDelete,
+      ...(messageTtl !== undefined ? { messageTtl } : {}),
+      ...(deadLetterQueue ? { deadLetterExchange: '', deadLetterRoutingKey: deadLetterQueue } : {})
+    });
+    return queue;
+  }
+
+  /**
+   * Start a consumer on the current channel
+   * @param {Object} consumer - Consumer { queue, onMessage, prefetch }
+   */
+  async function startConsumer(consumer) {
+    const consumerChannel = channel;
+    await consumerChannel.prefetch(consumer.prefetch);
+
+    const { consumerTag } = await consumerChannel.consume(consumer.queue, message => {
+      // A null message means the broker cancelled the consumer (e.g. the queue was deleted)
+      if (!message) {
+        logger.warn(`Consumer of ${consumer.queue} was cancelled by the broker`);
+        return;
+      }
+
+      consumer.onMessage({
+        content: message.content,
+        properties: message.properties,
+        fields: message.fields,
+        queue: consumer.queue,
+        message,
+        channel: consumerChannel
+      });
+    }, { noAck: false });
+
+    consumer.consumerTag = consumerTag;
+  }
+
+  /**
+   * Connect (unless the connection is still open) and open a channel
+   * @returns {Promise<void>}
+   */
+  async function open() {
+    if (!connection) {
+      const current = await amqp.connect(url);
+      connection = current;
+
+      current.on('error', error => {
+        logger.error('RabbitMQ connection error:', error.message);
+      });
+
+      current.on('close', () => {
+        if (connection !== current) {
+          return;
+        }
+
+        connection = null;
+        channel = null;
+
+        if (!closing) {
+          logger.warn(`RabbitMQ connection closed, reconnecting in ${reconnectDelay}ms`);
+          scheduleReconnect();
+        }
+      });
+    }
+
+    await openChannel();
+  }
+
+  /**
+   * Open a channel and declare the known topology on it
+   * The broker closes a channel (but not the connection) on errors such as a
+   * queue declared again with other arguments or an ack with a stale delivery
+   * tag; the channel is then opened again with its consumers.
+   * @returns {Promise<void>}
+   */
+  async function openChannel() {
+    const current = await connection.createChannel();
+
+    // Without an error listener a channel error would crash the process
+    current.on('error', error => {
+      logger.error('RabbitMQ channel error:', error.message);
+    });
+
+    current.on('close', () => {
+      // Already replaced, or closed along with the connection
+      if (channel !== current) {
+        return;
+      }
+
+      channel = null;
+
+      if (!closing && connection) {
+        logger.warn(`RabbitMQ channel closed, reopening in ${reconnectDelay}ms`);
+        scheduleReconnect();
+      }
+    });
+
+    channel = current;
+
+    for (const exchange of exchanges) {
+      await channel.assertExchange(exchange, 'topic', { durable: true });
+    }
+    for (const [name, options] of queues) {
+      await declareQueue(name, options);
+    }
+    for (const binding of bindings) {
+      await channel.bindQueue(binding.queue, binding.exchange, binding.pattern);
+    }
+    for (const consumer of consumers.values()) {
+      await startConsumer(consumer);
+    }
+  }
+
+  /**
+   * Reconnect (or reopen the channel) after a delay, retrying until it succeeds
+   * or the transport is closed
+   */
+  function scheduleReconnect() {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(() => {
+      connect().catch(error => {
+        logger.error('Failed to reconnect to RabbitMQ:', error.message);
+        scheduleReconnect();
+      });
+    }, reconnectDelay);
+  }
+
+  /**
+   * Connect to the broker (concurrent calls share one attempt)
+   * @returns {Promise<void>}
+   */
+  function connect() {
+    if (channel) {
+      return Promise.resolve();
+    }
+
+    if (!connecting) {
+      closing = false;
+      connecting = open().finally(() => {
+        connecting = null;
+      });
+    }
+    return connecting;
+  }
+
+  /**
+   * Get the channel, connecting first if needed
+   * @returns {Promise<Object>} amqplib channel
+   */
+  async function getChannel() {
+    await connect();
+    return channel;
+  }
+
+  return {
+    name: 'amqp',
+
+    connect,
+
+    isConnected() {
+      return !!channel;
+    },
+
+    async assertQueue(name, options = {}) {
+      await getChannel();
+      const queue = await declareQueue(name, options);
+      // Server-named queues get a new name on every connection, so only named queues are replayed
+      if (name) {
+        queues.set(name, options);
+      }
+      return queue;
+    },
+
+    async assertExchange(exchange) {
+      const current = await getChannel();
+      await current.assertExchange(exchange, 'topic', { durable: true });
+      exchanges.add(exchange);
+    },
+
+    async bindQueue(queue, exchange, pattern) {
+      const current = await getChannel();
+      await current.bindQueue(queue, exchange, pattern);
+      if (!bindings.some(binding => binding.queue === queue && binding.exchange === exchange && binding.pattern === pattern)) {
+        bindings.push({ queue, exchange, pattern });
+      }
+    },
+
+    async send(queue, content, properties = {}) {
+      const current = await getChannel();
+      return current.sendToQueue(queue, content, properties);
+    },
+
+    async publish(exchange, routingKey, content, properties = {}) {
+      const current = await getChannel();
+      return current.publish(exchange, routingKey, content, properties);
+    },
+
+    async consume(queue, onMessage, { prefetch = 1 } = {}) {
+      await getChannel();
+      const consumer = { id: `amqp-${nextConsumerId++}`, queue, onMessage, prefetch, consumerTag: null };
+      await startConsumer(consumer);
+      consumers.set(consumer.id, consumer);
+      return consumer.id;
+    },
+
+    ack(delivery) {
+      // Deliveries from a closed channel are redelivered by the broker, nothing to do
+      if (delivery.channel === channel) {
+        channel.ack(delivery.message);
+      }
+    },
+
+    nack(delivery, requeue = false) {
+      if (delivery.channel === channel) {
+        channel.nack(delivery.message, false, requeue);
+      }
+    },
+
+    async cancel(consumerId) {
+      const consumer = consumers.get(consumerId);
+      if (!consumer) {
+        return false;
+      }
+
+      consumers.delete(consumerId);
+      if (channel && consumer.consumerTag) {
+        await channel.cancel(consumer.consumerTag);
+      }
+      return true;
+    },
+
+    async close() {
+      closing = true;
+      clearTimeout(reconnectTimer);
+
+      const current = connection;
+      connection = null;
+      channel = null;
+
+      if (current) {
+        await current.close();
+      }
+    }
+  };
+}
+
+module.exports = {
+  createAmqpTransport
+};
@@ -0,0 +1,310 @@
+/**
+ * In-memory transport
+ * Behaves like the RabbitMQ transport within one process: durable queues,
+ * topic exchanges, prefetch, ack/nack, per-queue and per-message TTL and
+ * dead-lettering. Used in tests and in development without a broker; buses
+ * that share one memory transport can talk to each other.
+ */
+const crypto = require('crypto');
+
+/**
+ * Check whether a routing key matches an AMQP topic pattern
+ * ('*' is exactly one word, '#' is zero or more words)
+ * @param {string} pattern - Binding pattern
+ * @param {string} routingKey - Routing key of the message
+ * @returns {boolean} Whether the key matches
+ */
+function matchTopic(pattern, routingKey) {
+  const patternWords = pattern.split('.');
+  const keyWords = routingKey.split('.');
+
+  const matchFrom = (p, k) => {
+    if (p === patternWords.length) {
+      return k === keyWords.length;
+    }
+    if (patternWords[p] === '#') {
+      return matchFrom(p + 1, k) || (k < keyWords.length && matchFrom(p, k + 1));
+    }
+    if (k === keyWords.length) {
+      return false;
+    }
+    return (patternWords[p] === '*' || patternWords[p] === keyWords[k]) && matchFrom(p + 1, k + 1);
+  };
+
+  return matchFrom(0, 0);
+}
+
+/**
+ * Create an in-memory transport
+ * @returns {Object} Transport
+ */
+function createMemoryTransport() {
+  const queues = new Map();
+  const exchanges = new Map();
+  const consumers = new Map();
+  let connected = false;
+
+  /**
+   * Get a declared queue
+   * @param {string} name - Queue name
+   * @returns {Object|undefined} Queue state
+   */
+  function getQueue(name) {
+    return queues.get(name);
+  }
+
+  /**
+   * Put a message on a queue and start its TTL
+   * @param {Object} queue - Queue state
+   * @param {Object} message - Message { content, properties, fields }
+   */
+  function enqueue(queue, message) {
+    const ttls = [queue.options.messageTtl, message.properties.expiration]
+      .map(Number)
+      .filter(ttl => Number.isFinite(ttl) && ttl >= 0);
+
+    if (ttls.length > 0) {
+      message.timer = setTimeout(() => {
+        const index = queue.messages.indexOf(message);
+        if (index !== -1) {
+          queue.messages.splice(index, 1);
+          deadLetter(queue, message, 'expired');
+        }
+      }, Math.min(...ttls));
+    }
+
+    queue.messages.push(message);
+    scheduleDispatch(queue);
+  }
+
+  /**
+   * Move a rejected or expired message to the queue's dead-letter queue (dropped if it has none)
+   * Like RabbitMQ, the per-message expiration is removed so it does not expire again.
+   * @param {Object} queue - Queue state
+   * @param {Object} message - Message
+   * @param {string} reason - 'rejected' or 'expired'
+   */
+  function deadLetter(queue, message, reason) {
+    const target = queue.options.deadLetterQueue && getQueue(queue.options.deadLetterQueue);
+    if (!target) {
+      return;
+    }
+
+    const { expiration, ...properties } = message.properties;
+    enqueue(target, {
+      content: message.content,
+      properties: {
+        ...properties,
+        headers: {
+          ...properties.headers,
+          'x-death-reason': reason,
+          'x-death-queue': queue.name
+        }
+      },
+      fields: { ...message.fields, routingKey: target.name, redelivered: false }
+    });
+  }
+
+  /**
+   * Deliver queued messages to the queue's consumers on the next tick
+   * @param {Object} queue - Queue state
+   */
+  function scheduleDispatch(queue) {
+    if (queue.dispatchScheduled) {
+      return;
+    }
+
+    queue.dispatchScheduled = true;
+    Promise.resolve().then(() => {
+      queue.dispatchScheduled = false;
+      dispatch(queue);
+    });
+  }
+
+  /**
+   * Deliver queued messages to consumers with free prefetch capacity, round robin
+   * @param {Object} queue - Queue state
+   */
+  function dispatch(queue) {
+    while (queue.messages.length > 0) {
+      const available = queue.consumers.filter(consumer => !consumer.prefetch || consumer.inFlight < consumer.prefetch);
+      if (available.length === 0) {
+        return;
+      }
+
+      const consumer = available[queue.nextConsumer++ % available.length];
+      const message = queue.messages.shift();
+      clearTimeout(message.timer);
+
+      consumer.inFlight++;
+      const delivery = {
+        content: message.content,
+        properties: message.properties,
+        fields: { ...message.fields, consumerTag: consumer.tag },
+        queue: queue.name,
+        message,
+        consumer
+      };
+
+      Promise.resolve()
+        .then(() => consumer.onMessage(delivery))
+        .catch(error => console.error(`[MemoryTransport] Unhandled error in consumer of ${queue.name}:`, error));
+    }
+  }
+
+  /**
+   * Finish a delivery, freeing the consumer's prefetch slot
+   * @param {Object} delivery - Delivery
+   * @returns {boolean} Whether the delivery was still open
+   */
+  function settle(delivery) {
+    if (delivery.settled) {
+      return false;
+    }
+
+    delivery.settled = true;
+    delivery.consumer.inFlight--;
+    return true;
+  }
+
+  return {
+    name: 'memory',
+
+    async connect() {
+      connected = true;
+    },
+
+    isConnected() {
+      return connected;
+    },
+
+    async assertQueue(name, options = {}) {
+      const queueName = name || `amq.gen-${crypto.randomUUID()}`;
+      if (!queues.has(queueName)) {
+        queues.set(queueName, {
+          name: queueName,
+          options,
+          messages: [],
+          consumers: [],
+          nextConsumer: 0,
+          dispatchScheduled: false
+        });
+      }
+      return queueName;
+    },
+
+    async assertExchange(exchange) {
+      if (!exchanges.has(exchange)) {
+        exchanges.set(exchange, []);
+      }
+    },
+
+    async bindQueue(queue, exchange, pattern) {
+      const bindings = exchanges.get(exchange);
+      if (!bindings.some(binding => binding.queue === queue && binding.pattern === pattern)) {
+        bindings.push({ queue, pattern });
+      }
+    },
+
+    async send(queueName, content, properties = {}) {
+      const queue = getQueue(queueName);
+      if (!queue) {
+        return false;
+      }
+
+      enqueue(queue, {
+        content: Buffer.from(content),
+        properties: { ...properties },
+        fields: { exchange: '', routingKey: queueName, redelivered: false }
+      });
+      return true;
+    },
+
+    async publish(exchange, routingKey, content, properties = {}) {
+      const bindings = exchanges.get(exchange) || [];
+      const targets = new Set(bindings.filter(binding => matchTopic(binding.pattern, routingKey)).map(binding => binding.queue));
+
+      targets.forEach(queueName => {
+        const queue = getQueue(queueName);
+        if (queue) {
+          enqueue(queue, {
+            content: Buffer.from(content),
+            properties: { ...properties },
+            fields: { exchange, routingKey, redelivered: false }
+          });
+        }
+      });
+      return true;
+    },
+
+    async consume(queueName, onMessage, { prefetch = 1 } = {}) {
+      const queue = getQueue(queueName);
+      if (!queue) {
+        throw new Error(`Queue ${queueName} does not exist`);
+      }
+
+      const consumer = { tag: `memory-${crypto.randomUUID()}`, queue, onMessage, prefetch, inFlight: 0 };
+      queue.consumers.push(consumer);
+      consumers.set(consumer.tag, consumer);
+      scheduleDispatch(queue);
+      return consumer.tag;
+    },
+
+    ack(delivery) {
+      if (settle(delivery)) {
+        scheduleDispatch(delivery.consumer.queue);
+      }
+    },
+
+    nack(delivery, requeue = false) {
+      if (!settle(delivery)) {
+        return;
+      }
+
+      const queue = delivery.consumer.queue;
+      if (requeue) {
+        queue.messages.unshift({ ...delivery.message, fields: { ...delivery.message.fields, redelivered: true } });
+      } else {
+        deadLetter(queue, delivery.message, 'rejected');
+      }
+      scheduleDispatch(queue);
+    },
+
+    async cancel(consumerTag) {
+      const consumer = consumers.get(consumerTag);
+      if (!consumer) {
+        return false;
+      }
+
+      consumers.delete(consumerTag);
+      consumer.queue.consumers = consumer.queue.consumers.filter(other => other !== consumer);
+      return true;
+    },
+
+    async close() {
+      connected = false;
+      queues.forEach(queue => {
+        queue.messages.forEach(message => clearTimeout(message.timer));
+        queue.consumers = [];
+      });
+      consumers.clear();
+    },
+
+    /**
+     * Messages waiting on a queue (not yet delivered), for tests and debugging
+     * @param {string} queueName - Queue name
+     * @returns {Array<Object>} Messages { body, properties }
+     */
+    getQueuedMessages(queueName) {
+      return (getQueue(queueName)?.messages || []).map(message => ({
+        body: JSON.parse(message.content.toString()),
+        properties: message.properties
+      }));
+    }
+  };
+}
+
+module.exports = {
+  createMemoryTransport,
+  matchTopic
+};
@@ -0,0 +1,128 @@
+const EventEmitter = require('events');
+const { createAmqpTransport } = require('../src');
+
+/**
+ * Fake amqplib recording the calls made on every channel
+ */
+function createFakeAmqp() {
+  const connections = [];
+
+  return {
+    connections,
+    async connect() {
+      const connection = new EventEmitter();
+      connection.channels = [];
+      connection.createChannel = async () => {
+        const channel = Object.assign(new EventEmitter(), {
+          calls: [],
+          async assertQueue(name, options) {
+            this.calls.push(['assertQueue', name, options]);
+            return { queue: name };
+          },
+          async assertExchange(name) {
+            this.calls.push(['assertExchange', name]);
+          },
+          async bindQueue(queue, exchange, pattern) {
+            this.calls.push(['bindQueue', queue, exchange, pattern]);
+          },
+          async prefetch(count) {
+            this.calls.push(['prefetch', count]);
+          },
+          async consume(queue, onMessage) {
+            this.calls.push(['consume', queue]);
+            this.onMessage = onMessage;
+            return { consumerTag: `tag-${connections.length}` };
+          },
+          sendToQueue: jest.fn(() => true),
+          ack: jest.fn()
+        });
+        connection.channels.push(channel);
+        connection.channel = channel;
+        return channel;
+      };
+      connection.close = async () => connection.emit('close');
+      connections.push(connection);
+      return connection;
+    }
+  };
+}
+
+describe('amqpTransport', () => {
+  test('declares dead-lettering and replays the topology after reconnecting', async () => {
+    const amqp = createFakeAmqp();
+    const logger = { info: () => {}, warn: () => {}, error: () => {} };
+    const transport = createAmqpTransport({ amqp, reconnectDelay: 5, logger });
+
+    await transport.assertExchange('ibuddy');
+    await transport.assertQueue('ai.request.retry.1000', { durable: true, messageTtl: 1000, deadLetterQueue: 'ai.request' });
+    await transport.bindQueue('ai.request.retry.1000', 'ibuddy', 'ai.#');
+    const onMessage = jest.fn();
+    await transport.consume('ai.request.retry.1000', onMessage, { prefetch: 2 });
+
+    expect(amqp.connections[0].channel.calls).toContainEqual(['assertQueue', 'ai.request.retry.1000', {
+      durable: true,
+      exclusive: false,
+      autoDelete: false,
+      messageTtl: 1000,
+      deadLetterExchange: '',
+      deadLetterRoutingKey: 'ai.request'
+    }]);
+
+    // The broker goes away: the transport reconnects and declares everything again
+    amqp.connections[0].emit('close');
+    expect(transport.isConnected()).toBe(false);
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    expect(amqp.connections).toHaveLength(2);
+    const replayed = amqp.connections[1].channel.calls.map(call => call.slice(0, 2));
+    expect(replayed).toEqual([
+      ['assertExchange', 'ibuddy'],
+      ['assertQueue', 'ai.request.retry.1000'],
+      ['bindQueue', 'ai.request.retry.1000'],
+      ['prefetch', 2],
+      ['consume', 'ai.request.retry.1000']
+    ]);
+
+    // Deliveries from the new channel are acknowledged on it
+    const message = { content: Buffer.from('{}'), properties: {}, fields: {} };
+    amqp.connections[1].channel.onMessage(message);
+    transport.ack(onMessage.mock.calls[0][0]);
+    expect(amqp.connections[1].channel.ack).toHaveBeenCalledWith(message);
+
+    await transport.close();
+  });
+
+  test('reopens a channel the broker closed while the connection stays up', async () => {
+    const amqp = createFakeAmqp();
+    const logger = { info: () => {}, warn: () => {}, error: jest.fn() };
+    const transport = createAmqpTransport({ amqp, reconnectDelay: 5, logger });
+
+    await transport.assertQueue('ai.request');
+    await transport.consume('ai.request', jest.fn());
+    const [connection] = amqp.connections;
+    const [closed] = connection.channels;
+
+    // e.g. PRECONDITION_FAILED: amqplib emits error, then close on the channel only
+    closed.emit('error', new Error('PRECONDITION_FAILED'));
+    closed.emit('close');
+    expect(logger.error).toHaveBeenCalledWith('RabbitMQ channel error:', 'PRECONDITION_FAILED');
+    expect(transport.isConnected()).toBe(false);
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    // Same connection, new channel with the consumers replayed
+    expect(amqp.connections).toHaveLength(1);
+    expect(connection.channels).toHaveLength(2);
+    expect(connection.channels[1].calls.map(call => call.slice(0, 2))).toEqual([
+      ['assertQueue', 'ai.request'],
+      ['prefetch', 1],
+      ['consume', 'ai.request']
+    ]);
+    expect(transport.isConnected()).toBe(true);
+
+    await transport.send('ai.request', Buffer.from('{}'));
+    expect(connection.channels[1].sendToQueue).toHaveBeenCalled();
+    expect(closed.sendToQueue).not.toHaveBeenCalled();
+
+    await transport.close();
+  });
+});
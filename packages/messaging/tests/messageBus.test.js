@@ -0,0 +1,191 @@
+const {
+  ERROR_CODES,
+  MessagingError,
+  createMessageBus,
+  createMemoryTransport,
+  getRetryDelay,
+  matchTopic
+} = require('../src');
+
+const silentLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+const schemas = {
+  'orders.create': {
+    type: 'object',
+    required: ['orderId'],
+    properties: { orderId: { type: 'string' }, quantity: { type: 'integer' } }
+  }
+};
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns true when done
+ * @param {number} timeout - Milliseconds before giving up
+ */
+async function waitFor(condition, timeout = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('messageBus', () => {
+  let transport;
+  let client;
+  let server;
+
+  beforeEach(() => {
+    // Both buses share the in-memory broker, like two services on one RabbitMQ
+    transport = createMemoryTransport();
+    const options = { transport, schemas, logger: silentLogger, retry: { maxAttempts: 3, baseDelay: 5, maxDelay: 20 } };
+    client = createMessageBus({ ...options, serviceName: 'client' });
+    server = createMessageBus({ ...options, serviceName: 'server' });
+  });
+
+  afterEach(async () => {
+    await client.close();
+  });
+
+  test('replies to requests by correlation id', async () => {
+    await server.consume('math.add', async ({ a, b }, context) => {
+      expect(context.correlationId).toBeTruthy();
+      return { sum: a + b };
+    });
+
+    const results = await Promise.all([
+      client.request('math.add', { a: 1, b: 2 }),
+      client.request('math.add', { a: 10, b: 20 })
+    ]);
+
+    expect(results).toEqual([{ sum: 3 }, { sum: 30 }]);
+  });
+
+  test('times out when nobody replies and drops the expired request', async () => {
+    await expect(client.request('math.add', { a: 1, b: 2 }, { timeout: 30 }))
+      .rejects.toMatchObject({ code: ERROR_CODES.TIMEOUT });
+
+    await waitFor(() => transport.getQueuedMessages('math.add').length === 0);
+  });
+
+  test('retries failed messages with backoff, then succeeds', async () => {
+    const attempts = [];
+    await server.consume('jobs.flaky', async (message, context) => {
+      attempts.push(context.attempt);
+      if (context.attempt < 3) {
+        throw new Error('Temporary failure');
+      }
+      return { done: true };
+    });
+
+    await expect(client.request('jobs.flaky', { id: 1 })).resolves.toEqual({ done: true });
+    expect(attempts).toEqual([1, 2, 3]);
+    expect(getRetryDelay(1, { baseDelay: 1000, maxDelay: 60000 })).toBe(1000);
+    expect(getRetryDelay(3, { baseDelay: 1000, maxDelay: 60000 })).toBe(4000);
+    expect(getRetryDelay(10, { baseDelay: 1000, maxDelay: 60000 })).toBe(60000);
+  });
+
+  test('dead-letters messages after the last attempt and fails the request', async () => {
+    const handler = jest.fn(async () => {
+      throw new Error('Still broken');
+    });
+    await server.consume('jobs.broken', handler);
+
+    await expect(client.request('jobs.broken', { id: 1 }))
+      .rejects.toMatchObject({ code: ERROR_CODES.REMOTE_ERROR, message: 'Still broken' });
+    expect(handler).toHaveBeenCalledTimes(3);
+
+    const [deadLetter] = transport.getQueuedMessages('jobs.broken.dlq');
+    expect(deadLetter.body).toEqual({ id: 1 });
+    expect(deadLetter.properties.headers).toMatchObject({ 'x-attempt': 3, 'x-error': 'Still broken', 'x-source': 'client' });
+  });
+
+  test('does not retry errors that are not retryable', async () => {
+    const handler = jest.fn(async () => {
+      const error = new Error('Unknown product');
+      error.statusCode = 404;
+      throw error;
+    });
+    await server.consume('jobs.lookup', handler);
+
+    await expect(client.request('jobs.lookup', { id: 'x' })).rejects.toMatchObject({ statusCode: 404 });
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    await server.consume('jobs.final', async () => {
+      throw new MessagingError('Cannot be handled', 'BAD_JOB', { retryable: false });
+    });
+    await expect(client.request('jobs.final', {})).rejects.toMatchObject({ code: 'BAD_JOB' });
+  });
+
+  test('handles a message once per idempotency key', async () => {
+    let charges = 0;
+    await server.consume('payments.charge', async ({ amount }) => {
+      charges += 1;
+      return { chargeId: `charge-${charges}`, amount };
+    });
+
+    const first = await client.request('payments.charge', { amount: 10 }, { idempotencyKey: 'order-1' });
+    const second = await client.request('payments.charge', { amount: 10 }, { idempotencyKey: 'order-1' });
+
+    expect(second).toEqual(first);
+    expect(charges).toBe(1);
+
+    await client.send('payments.charge', { amount: 5 }, { idempotencyKey: 'order-2' });
+    await client.send('payments.charge', { amount: 5 }, { idempotencyKey: 'order-2' });
+    await waitFor(() => charges === 2);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(charges).toBe(2);
+  });
+
+  test('validates messages against their schema', async () => {
+    await expect(client.send('orders.create', { quantity: 1.5 }))
+      .rejects.toMatchObject({ code: ERROR_CODES.INVALID_MESSAGE });
+
+    // Messages that skipped validation (other senders) are dead-lettered without calling the handler
+    const handler = jest.fn();
+    await server.consume('orders.create', handler);
+    await transport.send('orders.create', Buffer.from(JSON.stringify({ orderId: 42 })), { messageId: 'm-1', headers: {} });
+
+    await waitFor(() => transport.getQueuedMessages('orders.create.dlq').length === 1);
+    expect(handler).not.toHaveBeenCalled();
+    expect(transport.getQueuedMessages('orders.create.dlq')[0].properties.headers['x-error'])
+      .toBe('Invalid orders.create message: orders.create.orderId must be of type string');
+  });
+
+  test('delivers events to matching subscriptions and retries per subscriber', async () => {
+    const received = { all: [], created: [] };
+    let failures = 0;
+
+    await server.subscribe('customer.#', async (message, context) => {
+      received.all.push(context.topic);
+    });
+    await client.subscribe('customer.*.created', async (message, context) => {
+      if (failures++ === 0) {
+        throw new Error('Temporary failure');
+      }
+      received.created.push(context.topic);
+    });
+
+    await client.publish('customer.tenant1.created', { id: 1 });
+    await client.publish('customer.tenant1.deleted', { id: 1 });
+
+    await waitFor(() => received.all.length === 2 && received.created.length === 1);
+    expect(received.created).toEqual(['customer.tenant1.created']);
+    // The retry of the second subscriber is not delivered to the first one again
+    expect(received.all.sort()).toEqual(['customer.tenant1.created', 'customer.tenant1.deleted']);
+
+    expect(matchTopic('customer.#', 'customer')).toBe(true);
+    expect(matchTopic('customer.*', 'customer.a.b')).toBe(false);
+    expect(matchTopic('#.created', 'customer.a.created')).toBe(true);
+  });
+
+  test('fails pending requests when the bus closes', async () => {
+    const pending = client.request('math.add', { a: 1, b: 2 }, { timeout: 1000 });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await client.close();
+
+    await expect(pending).rejects.toMatchObject({ code: ERROR_CODES.CLOSED });
+  });
+});
@@ -0,0 +1,35 @@
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+// AI service (budgets, knowledge base, prompt templates, message analysis, handoffs and the response cache live there)
+const AI_SERVICE_URL = process.env.AI_SERVICE_URL; // e.g. http://localhost:3002
+const AI_SERVICE_JWT_SECRET = process.env.AI_SERVICE_JWT_SECRET; // Must match JWT_SECRET of the AI service
+const AI_SERVICE_TIMEOUT = parseInt(process.env.AI_SERVICE_TIMEOUT || '3000');
+
+const isConfigured = () => !!(AI_SERVICE_URL && AI_SERVICE_JWT_SECRET);
+
+/**
+ * Build a short-lived service token for the AI service
+ * @returns {string} Bearer token
+ */
+const getServiceToken = () => jwt.sign(
+  { id: 'server', role: 'service' },
+  AI_SERVICE_JWT_SECRET,
+  { expiresIn: '5m' }
+);
+
+// Client for the AI service: every request is sent with a fresh service token
+const aiServiceClient = axios.create({
+  baseURL: AI_SERVICE_URL,
+  timeout: AI_SERVICE_TIMEOUT
+});
+
+aiServiceClient.interceptors.request.use(config => {
+  config.headers.Authorization = `Bearer ${getServiceToken()}`;
+  return config;
+});
+
+module.exports = {
+  aiServiceClient,
+  isConfigured
+};
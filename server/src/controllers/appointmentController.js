@@ -133,16 +133,17 @@ exports.getAppointmentById = async (req, res) => {
 // 获取可用时间段建议
 exports.getAppointmentSuggestions = async (req, res) => {
   try {
-    const { service_id, date, team_id, preferred_start_hour, preferred_end_hour } = req.query;
+    const { service_id, date, end_date, team_id, preferred_start_hour, preferred_end_hour } = req.query;
 
     if (!service_id || !date) {
       return res.status(400).json({ message: 'Missing required query parameters: service_id, date' });
     }
 
-    // Construct criteria object
+    // Construct criteria object (end_date optionally widens the search to a range)
     const criteria = { 
         service_id, 
-        date, 
+        target_date_start: date, 
+        target_date_end: end_date || date, 
         team_id, 
         preferred_start_hour: preferred_start_hour ? parseInt(preferred_start_hour) : undefined,
         preferred_end_hour: preferred_end_hour ? parseInt(preferred_end_hour) : undefined
@@ -1,5 +1,6 @@
 const supabase = require('../config/supabase');
 const autoReplyService = require('../services/autoReplyService');
+const responseCacheService = require('../services/responseCacheService');
 
 // Helper function for error handling
 const handleSupabaseError = (error, res, message) => {
@@ -88,6 +89,8 @@ exports.createRule = async (req, res) => {
       .single(); // Insert returns an array, get the single object
     
     if (error) throw error;
+    // Rules are shared by all tenants, so every tenant's cached replies are invalidated
+    responseCacheService.invalidate();
     res.status(201).json(data);
   } catch (error) {
     handleSupabaseError(error, res, 'Error creating auto-reply rule:');
@@ -134,6 +137,7 @@ exports.updateRule = async (req, res) => {
         return res.status(404).json({ message: 'Rule not found' });
     }
     
+    responseCacheService.invalidate();
     res.status(200).json(data);
   } catch (error) {
     handleSupabaseError(error, res, `Error updating rule with id ${req.params.id}:`);
@@ -154,6 +158,7 @@ exports.deleteRule = async (req, res) => {
         return res.status(404).json({ message: 'Rule not found' });
     }
 
+    responseCacheService.invalidate();
     res.status(200).json({ message: 'Rule deleted successfully' });
   } catch (error) {
     handleSupabaseError(error, res, `Error deleting rule with id ${req.params.id}:`);
@@ -200,7 +205,7 @@ exports.createCondition = async (req, res) => {
   try {
     const { 
       name, 
-      type, // time, user, platform, context
+      type, // time, user, platform, context, sentiment
       parameters, // JSON object with condition parameters
       description
     } = req.body;
@@ -432,13 +437,21 @@ exports.processIncomingMessage = async (req, res) => {
     const reply = await autoReplyService.processMessage(message, {
         useIntentRecognition: true, // Enable/disable features via config or request
         personalizeResponse: true,
-        useContext: true // Enable context usage
+        useContext: true, // Enable context usage
+        tenantId: req.user?.id // Bill AI usage to the business account
     });
 
+    // Sentiment, urgency and toxicity scores, also when no reply matched (null if not scored)
+    const analysis = message.analysis || null;
+    // Human agent handoff of the conversation (null when the bot handles it)
+    const handoff = message.handoff || null;
+
     if (reply) {
-        res.status(200).json({ reply: reply.text, matchInfo: reply });
+        res.status(200).json({ reply: reply.text, matchInfo: reply, analysis, handoff });
+    } else if (handoff?.state === 'agent') {
+        res.status(200).json({ reply: null, message: 'A human agent is handling this conversation', analysis, handoff });
     } else {
-        res.status(200).json({ reply: null, message: 'No matching auto-reply found' });
+        res.status(200).json({ reply: null, message: 'No matching auto-reply found', analysis, handoff });
     }
 
   } catch (error) {
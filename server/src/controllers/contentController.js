@@ -2,6 +2,8 @@ const { geminiModel } = require('../config/gemini');
 const supabase = require('../config/supabase'); // Import supabase client
 const platformService = require('../services/platformService'); // Import platform service
 const platformStrategies = require('../services/platformStrategies'); // Import strategies
+const aiUsageService = require('../services/aiUsageService'); // AI budgets and cost accounting
+const promptTemplateService = require('../services/promptTemplateService'); // Versioned prompt templates
 
 const BRAND_PROFILES_TABLE = 'brand_profiles';
 
@@ -53,6 +55,11 @@ const contentController = {
     
     console.log(`Received content generation request with prompt: "${prompt.substring(0, 100)}..."`);
     
+    // Check the tenant's monthly AI budget
+    if (!(await aiUsageService.isWithinBudget(userId))) {
+      return res.status(402).json({ message: 'Monthly AI budget exhausted. Please upgrade your plan.' });
+    }
+    
     try {
       // Fetch brand profile if not provided and user is authenticated
       let profile = brandProfile;
@@ -70,8 +77,24 @@ const contentController = {
       }
 
       // Construct the prompt for the AI, incorporating brand profile if available
-      let fullPrompt = `Generate a marketing text based on the following request: ${userPrompt}`;
-      if (profile) {
+      // (rendered from the tenant's prompt templates, built-in prompt as fallback)
+      const brandVariables = profile ? {
+          brandName: profile.profile_name,
+          brandKeywords: profile.brand_keywords?.join(', '),
+          targetAudience: profile.target_audience,
+          brandTone: profile.brand_tone?.join(', '),
+          communicationStyle: profile.communication_style,
+          industry: profile.industry,
+          brandMission: profile.brand_mission,
+          wordsToAvoid: profile.negative_keywords?.join(', ')
+      } : {};
+      const rendered = await promptTemplateService.render(
+          profile ? 'content.generate_with_brand' : 'content.generate',
+          { tenantId: userId, variables: { request: userPrompt, ...brandVariables } }
+      );
+
+      let fullPrompt = rendered?.text || `Generate a marketing text based on the following request: ${userPrompt}`;
+      if (profile && !rendered) {
           // Using a clear structure for the AI
           fullPrompt = `**Brand Profile Context:**
 - Brand Name: ${profile.profile_name || 'Not specified'}
@@ -90,14 +113,23 @@ ${userPrompt}
 `; // Added labels for clarity and a final instruction
       }
       
+      const startTime = Date.now();
       const result = await geminiModel.generateContent(fullPrompt);
       const response = await result.response;
       const generatedText = response.text();
       
+      aiUsageService.reportUsage({
+        userId,
+        feature: aiUsageService.AI_FEATURES.CONTENT_GENERATION,
+        response,
+        processingTime: Date.now() - startTime,
+        promptTemplate: rendered?.template
+      });
+      
       console.log(`Generated content: "${generatedText.substring(0, 100)}..."`);
       
-      // Send the generated text back to the client
-      res.json({ generatedText });
+      // Send the generated text back to the client, with the template version that produced it
+      res.json({ generatedText, promptTemplate: rendered?.template || null });
       
     } catch (error) {
       console.error('Error calling Gemini API for content generation:', error);
@@ -128,6 +160,10 @@ ${userPrompt}
 
     console.log(`Received suggest ideas request for user ${userId}. Topic: ${topic}, Goal: ${goal}`);
 
+    if (!(await aiUsageService.isWithinBudget(userId))) {
+      return res.status(402).json({ message: 'Monthly AI budget exhausted. Please upgrade your plan.' });
+    }
+
     try {
         // Fetch the user's brand profile
         const profile = await fetchBrandProfile(userId);
@@ -167,10 +203,18 @@ ${userPrompt}
 Please suggest 5 distinct and creative content ideas (e.g., blog post titles, social media post themes, campaign slogans) suitable for this brand. Provide only the list of ideas, each on a new line.`;
 
         console.log("Sending prompt to Gemini for idea suggestion...");
+        const startTime = Date.now();
         const result = await geminiModel.generateContent(ideaPrompt);
         const response = await result.response;
         const suggestionsText = response.text();
 
+        aiUsageService.reportUsage({
+          userId,
+          feature: aiUsageService.AI_FEATURES.CONTENT_GENERATION,
+          response,
+          processingTime: Date.now() - startTime
+        });
+
         // Parse the suggestions (assuming Gemini returns a list, potentially numbered or bulleted)
         const suggestions = suggestionsText.split('\n')
                              .map(s => s.replace(/^[\*\-\d\.\s]+/, '').trim()) // Remove list markers
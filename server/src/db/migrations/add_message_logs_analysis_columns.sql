@@ -0,0 +1,18 @@
+-- 为 message_logs 表添加消息情感分析相关列（由AI服务的 POST /intent/sentiment 评分）
+-- 使用 ADD COLUMN IF NOT EXISTS 确保幂等性（可重复执行）
+
+ALTER TABLE public.message_logs ADD COLUMN IF NOT EXISTS sentiment_score DOUBLE PRECISION;
+ALTER TABLE public.message_logs ADD COLUMN IF NOT EXISTS sentiment_label VARCHAR(20);
+ALTER TABLE public.message_logs ADD COLUMN IF NOT EXISTS urgency_score DOUBLE PRECISION;
+ALTER TABLE public.message_logs ADD COLUMN IF NOT EXISTS toxicity_score DOUBLE PRECISION;
+ALTER TABLE public.message_logs ADD COLUMN IF NOT EXISTS needs_escalation BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMENT ON COLUMN public.message_logs.sentiment_score IS '情感分数 (-1 非常负面 ... 1 非常正面)';
+COMMENT ON COLUMN public.message_logs.sentiment_label IS '情感标签：negative, neutral, positive';
+COMMENT ON COLUMN public.message_logs.urgency_score IS '紧急程度分数 (0-1)';
+COMMENT ON COLUMN public.message_logs.toxicity_score IS '攻击性/辱骂分数 (0-1)';
+COMMENT ON COLUMN public.message_logs.needs_escalation IS '是否需要转人工处理';
+
+-- 便于查询需要转人工和负面情绪的消息
+CREATE INDEX IF NOT EXISTS message_logs_needs_escalation_idx ON public.message_logs(needs_escalation) WHERE needs_escalation;
+CREATE INDEX IF NOT EXISTS message_logs_sentiment_label_idx ON public.message_logs(sentiment_label);
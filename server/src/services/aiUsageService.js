@@ -0,0 +1,73 @@
+// AI service (budgets and cost accounting live there)
+const { aiServiceClient, isConfigured } = require('../config/aiService');
+
+// Model used by the server's direct Gemini calls (see config/gemini.js)
+const SERVER_AI_MODEL = 'gemini-2.0-flash-lite';
+
+// Features billed to the tenant, must match FEATURES in ai-service usageService
+const AI_FEATURES = {
+  AUTO_REPLY_INTENT: 'auto_reply_intent',
+  AUTO_REPLY_PERSONALIZATION: 'auto_reply_personalization',
+  AUTO_REPLY_KNOWLEDGE: 'auto_reply_knowledge',
+  CONTENT_GENERATION: 'content_generation'
+};
+
+/**
+ * Reports Gemini token usage to the AI service and enforces tenant AI budgets
+ * for calls the server makes directly (auto-reply, content generation).
+ * Without AI_SERVICE_URL / AI_SERVICE_JWT_SECRET budgets are not enforced.
+ */
+const aiUsageService = {
+  AI_FEATURES,
+
+  /**
+   * Check whether a tenant may still make AI calls this month
+   * Fails open: if the AI service cannot be reached the call is allowed.
+   * @param {string} userId - Tenant (Supabase auth user ID)
+   * @returns {Promise<boolean>} Whether the call is allowed
+   */
+  async isWithinBudget(userId) {
+    if (!isConfigured() || !userId) return true;
+
+    try {
+      const response = await aiServiceClient.get(`/analytics/budgets/${encodeURIComponent(userId)}`);
+      return response.data.budgetStatus.allowed;
+    } catch (error) {
+      console.error('aiUsageService: Failed to check AI budget:', error.message);
+      return true;
+    }
+  },
+
+  /**
+   * Report the token usage of a Gemini call
+   * Uses usageMetadata from the Gemini response; never throws.
+   * @param {Object} params
+   * @param {string} params.userId - Tenant (Supabase auth user ID)
+   * @param {string} params.feature - One of AI_FEATURES
+   * @param {Object} params.response - Gemini GenerateContentResponse (result.response)
+   * @param {number} [params.processingTime] - Call duration in ms
+   * @param {Object} [params.promptTemplate] - Prompt template version the prompt was rendered from
+   * @returns {Promise<void>}
+   */
+  async reportUsage({ userId, feature, response, processingTime, promptTemplate }) {
+    if (!isConfigured() || !userId) return;
+
+    const usageMetadata = response?.usageMetadata || {};
+
+    try {
+      await aiServiceClient.post('/analytics/usage', {
+        userId,
+        feature,
+        model: SERVER_AI_MODEL,
+        tokensInput: usageMetadata.promptTokenCount || 0,
+        tokensOutput: usageMetadata.candidatesTokenCount || 0,
+        processingTime,
+        promptTemplates: promptTemplate ? [promptTemplate] : undefined
+      });
+    } catch (error) {
+      console.error('aiUsageService: Failed to report AI usage:', error.message);
+    }
+  }
+};
+
+module.exports = aiUsageService;
@@ -1,11 +1,17 @@
 const supabase = require('../config/supabase');
 const { GoogleGenerativeAI } = require("@google/generative-ai");
 const franc = require('franc'); // Language detection library
+const aiUsageService = require('./aiUsageService'); // AI budgets and cost accounting
+const knowledgeBaseService = require('./knowledgeBaseService'); // Tenant knowledge base (RAG)
+const messageAnalysisService = require('./messageAnalysisService'); // Sentiment, urgency and toxicity scores
+const handoffService = require('./handoffService'); // Human agent handoffs
+const promptTemplateService = require('./promptTemplateService'); // Versioned prompt templates
 
 // Initialize Gemini (AI intent recognition)
 const geminiApiKey = process.env.GEMINI_API_KEY;
 const genAI = geminiApiKey ? new GoogleGenerativeAI(geminiApiKey) : null;
-const geminiModel = genAI ? genAI.getGenerativeModel({ model: "gemini-2.0-flash-lite" }) : null;
+const configuredModel = genAI ? genAI.getGenerativeModel({ model: "gemini-2.0-flash-lite" }) : null;
+let geminiModel = configuredModel;
 
 // Simple cache for conditions (improve with TTL or LRU cache if needed)
 const conditionCache = {};
@@ -78,7 +84,8 @@ async function updateUserContext(userId, message, reply) {
     userMessage: message.text,
     reply: reply ? reply.text : null,
     timestamp: new Date(),
-    matchType: reply ? reply.matchType : 'none'
+    matchType: reply ? reply.matchType : 'none',
+    analysis: message.analysis || null
   });
   // Limit history size
   if (context.interactionHistory.length > 10) {
@@ -91,6 +98,15 @@ async function updateUserContext(userId, message, reply) {
  * Auto-reply service for handling message matching and response generation
  */
 class AutoReplyService {
+  /**
+   * Replace the Gemini model (e.g. with the deterministic stub of the AI service's
+   * evaluation harness, which replays golden conversations offline)
+   * @param {Object|null} model - Object with generateContent(prompt), or null for the configured model
+   */
+  useModel(model) {
+    geminiModel = model || configuredModel;
+  }
+
   /**
    * Process an incoming message and find an appropriate auto-reply
    * @param {Object} message - The incoming message object
@@ -102,13 +118,17 @@ class AutoReplyService {
    * @param {boolean} options.useIntentRecognition - Whether to use AI intent recognition
    * @param {boolean} options.personalizeResponse - Whether to personalize the response
    * @param {boolean} options.useContext - Whether to use user context
-   * @returns {Promise<Object|null>} The response object { text, ruleId?, intentId?, matchType } or null if no match
+   * @param {string} options.tenantId - Business user the AI usage is billed to
+   * @returns {Promise<Object|null>} The response object { text, ruleId?, intentId?, matchType, analysis, escalate } or null if no match
+   *   or a human agent owns the conversation. The message's scores are also set on message.analysis, and its
+   *   handoff (if any) on message.handoff.
    */
   async processMessage(message, options = {}) {
     const { 
       useIntentRecognition = true, 
       personalizeResponse = true,
-      useContext = true
+      useContext = true,
+      tenantId = null
     } = options;
     
     let reply = null;
@@ -119,20 +139,51 @@ class AutoReplyService {
       const detectedLang = franc(message.text, { minLength: 3, only: ['eng', 'cmn', 'msa'] }) || 'und'; // ISO 639-3 codes (English, Mandarin, Malay)
       const targetLang = (detectedLang !== 'und' && detectedLang !== 'eng') ? detectedLang : 'default'; // Use specific language or default
 
+      // Score sentiment, urgency and toxicity (used by 'sentiment' conditions and for escalation)
+      message.analysis = await messageAnalysisService.analyze(tenantId, message.text);
+
+      // Human handoff: no auto-reply while an agent owns the conversation, and
+      // a notice instead of the auto-reply when the conversation is handed off
+      const handoffCheck = await handoffService.checkMessage(tenantId, message);
+      message.handoff = handoffCheck?.handoff || null;
+
+      if (handoffCheck?.suppressReply) {
+        await this.logMessage(message, null);
+        return null;
+      }
+
+      if (handoffCheck?.triggered) {
+        reply = {
+          text: handoffCheck.notice,
+          handoffId: handoffCheck.handoff.id,
+          matchType: 'handoff'
+        };
+      }
+
       // 2. Get User Context (if enabled)
       const userContext = useContext && message.sender.id ? await getUserContext(message.sender.id) : null;
       
       // 3. Find Direct Match (Rule-based)
-      reply = await this.findDirectMatch(message, targetLang, userContext);
+      if (!reply) {
+        reply = await this.findDirectMatch(message, targetLang, userContext);
+      }
+      
+      // AI features are skipped once the tenant's monthly AI budget is exhausted
+      const needsAI = reply
+        ? personalizeResponse && reply.matchType !== 'handoff' && reply.text.includes('{ai:')
+        : useIntentRecognition;
+      const aiAllowed = geminiModel && needsAI
+        ? await aiUsageService.isWithinBudget(tenantId)
+        : false;
       
       // 4. Find Intent Match (AI-based, if no direct match and enabled)
-      if (!reply && useIntentRecognition && geminiModel) {
-        reply = await this.findIntentMatch(message, targetLang, userContext);
+      if (!reply && useIntentRecognition && geminiModel && aiAllowed) {
+        reply = await this.findIntentMatch(message, targetLang, userContext, tenantId);
       }
       
       // 5. Personalize Response (if reply found and enabled)
-      if (reply && personalizeResponse) {
-        reply.text = await this.personalizeResponse(reply.text, message, userContext);
+      if (reply && personalizeResponse && reply.matchType !== 'handoff') {
+        reply.text = await this.personalizeResponse(reply.text, message, userContext, { tenantId, aiAllowed });
       }
 
       // 6. Update User Context (if enabled)
@@ -140,9 +191,11 @@ class AutoReplyService {
         await updateUserContext(message.sender.id, message, reply);
       }
       
-      // Add processing time to the response
+      // Add processing time and the message's scores to the response
       if (reply) {
         reply.processingTime = Date.now() - startTime;
+        reply.analysis = message.analysis;
+        reply.escalate = !!message.analysis?.escalation?.escalate;
       }
       
       // 7. Log the message and response to the database
@@ -315,6 +368,8 @@ class AutoReplyService {
           return this.evaluatePlatformCondition(parameters, message.platform);
         case 'context': // New condition type for user context
           return this.evaluateContextCondition(parameters, userContext);
+        case 'sentiment': // Sentiment, urgency and toxicity scores of the message
+          return this.evaluateSentimentCondition(parameters, message.analysis);
         default:
           console.warn(`Unknown condition type: ${type}`);
           return true; // Default to true (or false based on policy)
@@ -396,49 +451,95 @@ class AutoReplyService {
     return true;
   }
 
+  evaluateSentimentCondition(parameters, analysis) {
+    if (!analysis) return false; // Cannot evaluate unscored messages
+    const {
+        labels, // e.g. ['negative']
+        minSentiment, // Sentiment score range (-1 ... 1)
+        maxSentiment,
+        urgencyLevels, // e.g. ['high']
+        minUrgency, // Urgency score (0 ... 1)
+        toxic, // true/false
+        escalate // true/false
+    } = parameters;
+
+    if (Array.isArray(labels) && labels.length > 0 && !labels.includes(analysis.sentiment.label)) return false;
+    if (minSentiment !== undefined && analysis.sentiment.score < minSentiment) return false;
+    if (maxSentiment !== undefined && analysis.sentiment.score > maxSentiment) return false;
+    if (Array.isArray(urgencyLevels) && urgencyLevels.length > 0 && !urgencyLevels.includes(analysis.urgency.level)) return false;
+    if (minUrgency !== undefined && analysis.urgency.score < minUrgency) return false;
+    if (toxic !== undefined && analysis.toxicity.toxic !== toxic) return false;
+    if (escalate !== undefined && analysis.escalation.escalate !== escalate) return false;
+    return true;
+  }
+
   // --- Intent Matching --- //
 
   /**
    * Find an intent match using AI, considering language and context
+   * When no intent matches, answers from the tenant's knowledge base instead
+   * (grounded passages with citations), if it has relevant passages.
    * @param {Object} message - The message object
    * @param {string} targetLang - Language code or 'default'
    * @param {Object|null} userContext - User context data
-   * @returns {Promise<Object|null>} Matching intent response or null
+   * @param {string|null} tenantId - Business user the AI usage is billed to
+   * @returns {Promise<Object|null>} Matching intent or knowledge response or null
    */
-  async findIntentMatch(message, targetLang, userContext) {
+  async findIntentMatch(message, targetLang, userContext, tenantId = null) {
     if (!geminiModel) return null;
     
     try {
-      // Fetch active intents for the target language or default
-      const { data: intents, error } = await supabase
-        .from('auto_reply_intents')
-        .select('*')
-        .eq('is_active', true)
-        .in('language', [targetLang, 'default'])
-        .order('language', { ascending: false }); // Prioritize specific language
+      // Fetch active intents and knowledge passages in parallel
+      const [{ data: intents, error }, passages] = await Promise.all([
+        supabase
+          .from('auto_reply_intents')
+          .select('*')
+          .eq('is_active', true)
+          .in('language', [targetLang, 'default'])
+          .order('language', { ascending: false }), // Prioritize specific language
+        knowledgeBaseService.search(tenantId, message.text)
+      ]);
       
       if (error) throw error;
-      if (!intents || intents.length === 0) return null;
-      
-      // Construct prompt for Gemini
-      const prompt = this.buildIntentPrompt(message, intents, userContext);
       
-      const result = await geminiModel.generateContent(prompt);
-      const response = await result.response;
-      const identifiedIntentName = response.text().trim();
-      
-      // Find the intent object by the identified name
-      const matchedIntent = intents.find(intent => 
-        intent.name.toLowerCase() === identifiedIntentName.toLowerCase()
-      );
+      if (intents && intents.length > 0) {
+        // Construct prompt for Gemini
+        const { prompt, template } = await this.buildIntentPrompt(message, intents, userContext, {
+          tenantId,
+          language: targetLang
+        });
+        
+        const startTime = Date.now();
+        const result = await geminiModel.generateContent(prompt);
+        const response = await result.response;
+        const identifiedIntentName = response.text().trim();
+        
+        aiUsageService.reportUsage({
+          userId: tenantId,
+          feature: aiUsageService.AI_FEATURES.AUTO_REPLY_INTENT,
+          response,
+          processingTime: Date.now() - startTime,
+          promptTemplate: template
+        });
+        
+        // Find the intent object by the identified name
+        const matchedIntent = intents.find(intent => 
+          intent.name.toLowerCase() === identifiedIntentName.toLowerCase()
+        );
+        
+        if (matchedIntent) {
+          return {
+            text: matchedIntent.response,
+            intentId: matchedIntent.id,
+            intentName: matchedIntent.name, // Include name for context update
+            matchType: 'intent',
+            promptTemplates: template ? [template] : []
+          };
+        }
+      }
       
-      if (matchedIntent) {
-        return {
-          text: matchedIntent.response,
-          intentId: matchedIntent.id,
-          intentName: matchedIntent.name, // Include name for context update
-          matchType: 'intent'
-        };
+      if (passages.length > 0) {
+        return await this.answerFromKnowledge(message, passages, userContext, tenantId, targetLang);
       }
       
       return null;
@@ -449,33 +550,133 @@ class AutoReplyService {
   }
 
   /**
-   * Builds the prompt for Gemini intent recognition
+   * Answer a message from knowledge base passages
+   * @param {Object} message - The message object
+   * @param {Array<Object>} passages - Passages from knowledgeBaseService.search
+   * @param {Object|null} userContext - User context data
+   * @param {string|null} tenantId - Business user the AI usage is billed to
+   * @param {string} targetLang - Language code or 'default'
+   * @returns {Promise<Object|null>} Knowledge response with citations, or null if the passages do not answer it
    */
-  buildIntentPrompt(message, intents, userContext) {
-      let prompt = `Identify the single best matching intent for the user message. Respond ONLY with the intent name or "none".
-
-User Message: "${message.text}"
+  async answerFromKnowledge(message, passages, userContext, tenantId = null, targetLang = 'default') {
+    const { prompt, template } = await this.buildKnowledgePrompt(message, passages, userContext, {
+      tenantId,
+      language: targetLang
+    });
+    
+    const startTime = Date.now();
+    const result = await geminiModel.generateContent(prompt);
+    const response = await result.response;
+    const answer = response.text().trim();
+    
+    aiUsageService.reportUsage({
+      userId: tenantId,
+      feature: aiUsageService.AI_FEATURES.AUTO_REPLY_KNOWLEDGE,
+      response,
+      processingTime: Date.now() - startTime,
+      promptTemplate: template
+    });
+    
+    if (!answer || answer.toLowerCase() === 'none') {
+      return null;
+    }
+    
+    // Only keep the passages the answer actually cites
+    const cited = passages.filter(passage => answer.includes(`[${passage.citation}]`));
+    
+    return {
+      text: answer.replace(/\s*\[\d+\]/g, ''),
+      citations: (cited.length > 0 ? cited : passages).map(passage => ({
+        citation: passage.citation,
+        sourceId: passage.sourceId,
+        sourceName: passage.sourceName,
+        title: passage.title
+      })),
+      matchType: 'knowledge',
+      promptTemplates: template ? [template] : []
+    };
+  }
 
-Available Intents:
-`;
-      intents.forEach(intent => {
-          prompt += `- ${intent.name}: (Examples: ${intent.examples.slice(0,3).join(', ')}${intent.examples.length > 3 ? '...' : ''})
-`;
-      });
+  /**
+   * Describe the last interaction for a prompt
+   * @param {Object|null} userContext - User context data
+   * @param {boolean} withMatchType - Whether to mention how the last message was matched
+   * @returns {string} Context section (empty without history)
+   */
+  buildInteractionContext(userContext, withMatchType = false) {
+      const history = userContext?.interactionHistory || [];
+      if (history.length === 0) return '';
 
-      // Add context if available
-      if (userContext && userContext.interactionHistory && userContext.interactionHistory.length > 0) {
-          const lastInteraction = userContext.interactionHistory[userContext.interactionHistory.length - 1];
-          prompt += `
+      const lastInteraction = history[history.length - 1];
+      const match = withMatchType ? ` (Match: ${lastInteraction.matchType})` : '';
+      return `
 Previous interaction context:
 User said: "${lastInteraction.userMessage}"
-We replied: "${lastInteraction.reply || 'No reply given'}" (Match: ${lastInteraction.matchType})
+We replied: "${lastInteraction.reply || 'No reply given'}"${match}
 `;
+  }
+
+  /**
+   * Builds the prompt for answering from knowledge base passages
+   * Rendered from the auto_reply.knowledge template (with the tenant's override),
+   * or the built-in prompt when the template registry cannot be reached.
+   * @returns {Promise<Object>} { prompt, template } (template is null for the built-in prompt)
+   */
+  async buildKnowledgePrompt(message, passages, userContext, templateOptions = {}) {
+      const passageList = passages.map(passage => {
+          const source = passage.title ? `${passage.sourceName} - ${passage.title}` : passage.sourceName;
+          return `[${passage.citation}] (${source}) ${passage.content}`;
+      }).join('\n');
+      const context = this.buildInteractionContext(userContext);
+
+      const rendered = await promptTemplateService.render('auto_reply.knowledge', {
+          ...templateOptions,
+          variables: { message: message.text, passages: passageList, context }
+      });
+      if (rendered) {
+          return { prompt: rendered.text, template: rendered.template };
+      }
+
+      const prompt = `You are replying to a customer on behalf of the business. Answer the customer message using ONLY the numbered passages from the business's knowledge base. Cite every passage you use as [number]. Reply in the language of the customer message, briefly and politely. If the passages do not answer the message, respond ONLY with "none".
+
+Knowledge Base:
+${passageList}
+${context}
+Customer Message: "${message.text}"
+
+Answer:`;
+      return { prompt, template: null };
+  }
+
+  /**
+   * Builds the prompt for Gemini intent recognition
+   * Rendered from the auto_reply.intent template (with the tenant's override),
+   * or the built-in prompt when the template registry cannot be reached.
+   * @returns {Promise<Object>} { prompt, template } (template is null for the built-in prompt)
+   */
+  async buildIntentPrompt(message, intents, userContext, templateOptions = {}) {
+      const intentList = intents.map(intent =>
+          `- ${intent.name}: (Examples: ${intent.examples.slice(0,3).join(', ')}${intent.examples.length > 3 ? '...' : ''})`
+      ).join('\n');
+      const context = this.buildInteractionContext(userContext, true);
+
+      const rendered = await promptTemplateService.render('auto_reply.intent', {
+          ...templateOptions,
+          variables: { message: message.text, intents: intentList, context }
+      });
+      if (rendered) {
+          return { prompt: rendered.text, template: rendered.template };
       }
 
-      prompt += `
+      const prompt = `Identify the single best matching intent for the user message. Respond ONLY with the intent name or "none".
+
+User Message: "${message.text}"
+
+Available Intents:
+${intentList}
+${context}
 Identified Intent Name:`;
-      return prompt;
+      return { prompt, template: null };
   }
 
   // --- Response Personalization --- //
@@ -485,9 +686,13 @@ Identified Intent Name:`;
    * @param {string} responseText - Original response text
    * @param {Object} message - Message object
    * @param {Object|null} userContext - User context
+   * @param {Object} aiOptions - AI personalization options
+   * @param {string|null} aiOptions.tenantId - Business user the AI usage is billed to
+   * @param {boolean} aiOptions.aiAllowed - Whether AI calls are within the tenant's budget
    * @returns {Promise<string>} Personalized response text
    */
-  async personalizeResponse(responseText, message, userContext) {
+  async personalizeResponse(responseText, message, userContext, aiOptions = {}) {
+    const { tenantId = null, aiAllowed = true } = aiOptions;
     let personalizedText = responseText;
     const sender = message.sender;
     const context = { ...sender, ...(userContext || {}) }; // Combined context
@@ -509,8 +714,11 @@ Identified Intent Name:`;
           .replace(/\{date\}/gi, now.toLocaleDateString());
 
       // Handle AI personalization {ai:instruction}
-      if (geminiModel && personalizedText.includes('{ai:')) {
-        personalizedText = await this.handleAIPersonalization(personalizedText, message, context);
+      if (geminiModel && aiAllowed && personalizedText.includes('{ai:')) {
+        personalizedText = await this.handleAIPersonalization(personalizedText, message, context, tenantId);
+      } else {
+        // Drop AI placeholders that cannot be filled
+        personalizedText = personalizedText.replace(/\{ai:(.*?)\}/gi, '');
       }
       
       return personalizedText;
@@ -522,8 +730,13 @@ Identified Intent Name:`;
 
   /**
    * Handle AI personalization placeholders {ai:instruction}
+   * @param {string} text - Text containing placeholders
+   * @param {Object} message - Message object
+   * @param {Object} context - Combined sender/user context
+   * @param {string|null} tenantId - Business user the AI usage is billed to
+   * @returns {Promise<string>} Text with placeholders replaced
    */
-  async handleAIPersonalization(text, message, context) {
+  async handleAIPersonalization(text, message, context, tenantId = null) {
     const aiRegex = /\{ai:(.*?)\}/gi;
     let processedText = text;
     let match;
@@ -534,19 +747,20 @@ Identified Intent Name:`;
     while ((match = aiRegex.exec(text)) !== null) {
       const [fullMatch, instruction] = match;
       
-      const prompt = `Based on the user message and context, fulfill the instruction: "${instruction}".
-      Keep the response brief and conversational, suitable for a chat reply.
-
-      User Message: "${message.text}"
-      User Name: ${context.name || 'Unknown'}
-      Platform: ${message.platform || 'Unknown'}
-      Context: ${JSON.stringify(context.interactionHistory || [])}
-      
-      Generated text:`;
-      
       aiPromises.push(
-          geminiModel.generateContent(prompt)
-              .then(result => result.response.text().trim())
+          this.buildPersonalizationPrompt(instruction, message, context, tenantId)
+              .then(async ({ prompt, template }) => {
+                  const startTime = Date.now();
+                  const result = await geminiModel.generateContent(prompt);
+                  aiUsageService.reportUsage({
+                      userId: tenantId,
+                      feature: aiUsageService.AI_FEATURES.AUTO_REPLY_PERSONALIZATION,
+                      response: result.response,
+                      processingTime: Date.now() - startTime,
+                      promptTemplate: template
+                  });
+                  return result.response.text().trim();
+              })
               .then(generatedText => ({ fullMatch, generatedText }))
               .catch(err => {
                   console.error('AI personalization failed for instruction:', instruction, err);
@@ -563,6 +777,42 @@ Identified Intent Name:`;
     return processedText;
   }
 
+  /**
+   * Builds the prompt for an AI personalization placeholder
+   * Rendered from the auto_reply.personalization template (with the tenant's override),
+   * or the built-in prompt when the template registry cannot be reached.
+   * @param {string} instruction - Instruction of the {ai:instruction} placeholder
+   * @param {Object} message - Message object
+   * @param {Object} context - Combined sender/user context
+   * @param {string|null} tenantId - Tenant whose override applies
+   * @returns {Promise<Object>} { prompt, template } (template is null for the built-in prompt)
+   */
+  async buildPersonalizationPrompt(instruction, message, context, tenantId = null) {
+    const variables = {
+      instruction,
+      message: message.text,
+      userName: context.name || 'Unknown',
+      platform: message.platform || 'Unknown',
+      context: JSON.stringify(context.interactionHistory || [])
+    };
+
+    const rendered = await promptTemplateService.render('auto_reply.personalization', { tenantId, variables });
+    if (rendered) {
+      return { prompt: rendered.text, template: rendered.template };
+    }
+
+    const prompt = `Based on the user message and context, fulfill the instruction: "${variables.instruction}".
+      Keep the response brief and conversational, suitable for a chat reply.
+
+      User Message: "${variables.message}"
+      User Name: ${variables.userName}
+      Platform: ${variables.platform}
+      Context: ${variables.context}
+      
+      Generated text:`;
+    return { prompt, template: null };
+  }
+
   /**
    * Get usage statistics for auto-reply
    * @param {string} timeRange - Time range for statistics: 'day', 'week', 'month'
@@ -790,7 +1040,16 @@ Identified Intent Name:`;
    */
   async logMessage(message, response) {
     try {
-      const { text, platform, sender, timestamp = new Date() } = message;
+      const { text, platform, sender, timestamp = new Date(), analysis } = message;
+      
+      // Scores are only written when the message was analyzed (see add_message_logs_analysis_columns.sql)
+      const scores = analysis ? {
+        sentiment_score: analysis.sentiment.score,
+        sentiment_label: analysis.sentiment.label,
+        urgency_score: analysis.urgency.score,
+        toxicity_score: analysis.toxicity.score,
+        needs_escalation: analysis.escalation.escalate
+      } : {};
       
       const { error } = await supabase
         .from('message_logs')
@@ -800,7 +1059,8 @@ Identified Intent Name:`;
             platform, 
             sender, 
             response, 
-            timestamp 
+            timestamp,
+            ...scores
           }
         ]);
       
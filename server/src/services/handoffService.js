@@ -0,0 +1,42 @@
+// AI service (handoffs to human agents are managed there)
+const { aiServiceClient, isConfigured } = require('../config/aiService');
+
+/**
+ * Checks inbound customer messages against the human handoff of their
+ * conversation in the AI service, which hands conversations to an agent when
+ * a trigger fires (help intent, low confidence, negative sentiment, keywords).
+ * While an agent owns the conversation no auto-reply must be sent. Without
+ * AI_SERVICE_URL / AI_SERVICE_JWT_SECRET conversations are never handed off.
+ */
+const handoffService = {
+  /**
+   * Check a message
+   * Never throws: returns null when the AI service cannot be reached.
+   * @param {string} tenantId - Business user whose agents take the handoff
+   * @param {Object} message - Incoming message { text, platform, sender, analysis }
+   * @returns {Promise<Object|null>} { state, handoff, triggered, suppressReply, notice } or null
+   */
+  async checkMessage(tenantId, message) {
+    if (!isConfigured() || !message.text || !message.sender?.id) return null;
+
+    try {
+      const response = await aiServiceClient.post('/handoff/inbound', {
+        text: message.text,
+        userId: message.sender.id,
+        // One conversation per platform
+        sessionId: message.platform || undefined,
+        platform: message.platform,
+        analysis: message.analysis || undefined,
+        tenantId: tenantId || undefined
+      });
+
+      const { state, handoff, triggered, suppressReply, notice } = response.data;
+      return { state, handoff, triggered, suppressReply, notice };
+    } catch (error) {
+      console.error('handoffService: Failed to check message:', error.message);
+      return null;
+    }
+  }
+};
+
+module.exports = handoffService;
@@ -0,0 +1,36 @@
+// AI service (the knowledge base is indexed and searched there)
+const { aiServiceClient, isConfigured } = require('../config/aiService');
+
+const KNOWLEDGE_TOP_K = parseInt(process.env.KNOWLEDGE_TOP_K || '3');
+
+/**
+ * Searches a tenant's knowledge base (FAQs, documents, services) in the AI
+ * service, so auto-replies can be grounded in the business's own information.
+ * Without AI_SERVICE_URL / AI_SERVICE_JWT_SECRET no passages are returned.
+ */
+const knowledgeBaseService = {
+  /**
+   * Find the knowledge passages most relevant to a message
+   * Never throws: returns no passages when the AI service cannot be reached.
+   * @param {string} tenantId - Tenant (Supabase auth user ID)
+   * @param {string} query - Customer message
+   * @returns {Promise<Array<Object>>} Passages { citation, sourceId, sourceName, title, content, score }
+   */
+  async search(tenantId, query) {
+    if (!isConfigured() || !tenantId || !query) return [];
+
+    try {
+      const response = await aiServiceClient.post('/knowledge/search', {
+        tenantId,
+        query,
+        topK: KNOWLEDGE_TOP_K
+      });
+      return response.data.passages || [];
+    } catch (error) {
+      console.error('knowledgeBaseService: Failed to search knowledge base:', error.message);
+      return [];
+    }
+  }
+};
+
+module.exports = knowledgeBaseService;
@@ -0,0 +1,36 @@
+// AI service (sentiment, urgency and toxicity are scored there)
+const { aiServiceClient, isConfigured } = require('../config/aiService');
+
+/**
+ * Scores inbound customer messages for sentiment, urgency and toxicity in the
+ * AI service, so auto-reply rules can react to them and unhappy or urgent
+ * customers can be escalated. Without AI_SERVICE_URL / AI_SERVICE_JWT_SECRET
+ * messages are not scored.
+ */
+const messageAnalysisService = {
+  /**
+   * Score a message
+   * Never throws: returns null when the AI service cannot be reached.
+   * @param {string} tenantId - Business user the analysis is billed to (LLM scoring only)
+   * @param {string} text - Customer message
+   * @returns {Promise<Object|null>} Analysis { sentiment, urgency, toxicity, escalation, source } or null
+   */
+  async analyze(tenantId, text) {
+    if (!isConfigured() || !text) return null;
+
+    try {
+      const response = await aiServiceClient.post('/intent/sentiment', {
+        text,
+        userId: tenantId || undefined
+      });
+
+      const { sentiment, urgency, toxicity, escalation, source } = response.data;
+      return { sentiment, urgency, toxicity, escalation, source };
+    } catch (error) {
+      console.error('messageAnalysisService: Failed to analyze message:', error.message);
+      return null;
+    }
+  }
+};
+
+module.exports = messageAnalysisService;
@@ -0,0 +1,49 @@
+// AI service (the prompt template registry lives there)
+const { aiServiceClient, isConfigured } = require('../config/aiService');
+
+// ISO 639-3 codes detected by franc, as the template languages of the AI service
+const TEMPLATE_LANGUAGES = {
+  eng: 'en',
+  cmn: 'zh',
+  msa: 'ms',
+  zlm: 'ms'
+};
+
+/**
+ * Renders the prompts of the server's direct Gemini calls (auto-reply intent
+ * matching, knowledge answers, personalization, content generation) from the
+ * versioned prompt templates of the AI service, including the tenant's own
+ * overrides. Without AI_SERVICE_URL / AI_SERVICE_JWT_SECRET, or when the AI
+ * service cannot be reached, callers build their built-in prompt instead.
+ */
+const promptTemplateService = {
+  /**
+   * Render a prompt template
+   * Never throws: returns null when the template cannot be rendered.
+   * @param {string} name - Template name, e.g. 'auto_reply.intent'
+   * @param {Object} options
+   * @param {string} [options.tenantId] - Tenant whose override applies
+   * @param {string} [options.language] - Customer language (ISO 639-1 or 639-3)
+   * @param {Object} options.variables - Variable values
+   * @returns {Promise<Object|null>} { text, template: { name, version, language, source } } or null
+   */
+  async render(name, { tenantId, language, variables = {} } = {}) {
+    if (!isConfigured()) return null;
+
+    try {
+      const response = await aiServiceClient.post(`/prompts/${encodeURIComponent(name)}/render`, {
+        tenantId: tenantId || undefined,
+        language: TEMPLATE_LANGUAGES[language] || language || undefined,
+        variables
+      });
+
+      const { text, template } = response.data;
+      return { text, template };
+    } catch (error) {
+      console.error(`promptTemplateService: Failed to render prompt template ${name}:`, error.message);
+      return null;
+    }
+  }
+};
+
+module.exports = promptTemplateService;
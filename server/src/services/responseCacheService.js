@@ -0,0 +1,32 @@
+// AI service (the semantic response cache lives there)
+const { aiServiceClient, isConfigured } = require('../config/aiService');
+
+/**
+ * Invalidates the semantic response cache of the AI service when data its
+ * cached replies depend on changes (e.g. auto-reply rules), so customers do
+ * not keep getting outdated answers until the entries expire.
+ * Without AI_SERVICE_URL / AI_SERVICE_JWT_SECRET nothing is invalidated.
+ */
+const responseCacheService = {
+  /**
+   * Invalidate cached replies
+   * Never throws: failures are logged and the entries expire by their TTL.
+   * @param {string} tenantId - Tenant (Supabase auth user ID); every tenant when omitted
+   * @returns {Promise<boolean>} Whether the cache was invalidated
+   */
+  async invalidate(tenantId = null) {
+    if (!isConfigured()) return false;
+
+    try {
+      await aiServiceClient.delete('/chat/cache', {
+        params: tenantId ? { tenantId } : {},
+      });
+      return true;
+    } catch (error) {
+      console.error('responseCacheService: Failed to invalidate response cache:', error.message);
+      return false;
+    }
+  }
+};
+
+module.exports = responseCacheService;
@@ -29,6 +29,10 @@ const config = {
   // 消息队列配置
   RABBITMQ_URL: process.env.RABBITMQ_URL || 'amqp://localhost:5672',
   MQ_EXCHANGE: process.env.MQ_EXCHANGE || 'ibuddy',
+  MESSAGE_TRANSPORT: process.env.MESSAGE_TRANSPORT || 'amqp', // amqp 或 memory（开发/测试）
+  MQ_MAX_ATTEMPTS: parseInt(process.env.MQ_MAX_ATTEMPTS || '5'),
+  MQ_RETRY_DELAY: parseInt(process.env.MQ_RETRY_DELAY || '1000'), // 第一次重试前的等待（毫秒），之后每次翻倍
+  MQ_REQUEST_TIMEOUT: parseInt(process.env.MQ_REQUEST_TIMEOUT || '30000'),
   
   // 分页设置
   DEFAULT_PAGE_SIZE: parseInt(process.env.DEFAULT_PAGE_SIZE || '20'),
@@ -1,295 +1,125 @@
-const amqp = require('amqplib');
-const { v4: uuidv4 } = require('uuid');
+const { createMessageBus, createTransport, MESSAGE_SCHEMAS } = require('@ibuddy2/messaging');
 const config = require('../config');
 
+// 所有实例共用一个消息总线（一个连接；内存传输时发布和订阅也在同一个代理上）
+let sharedBus = null;
+
 /**
- * 内存消息队列 - 用于开发/测试环境
+ * 获取共享的消息总线
+ * @returns {Object} 消息总线
  */
-class MemoryMessageQueue {
-  constructor() {
-    this.handlers = new Map();
-    this.messages = [];
-    this.processInterval = null;
-    
-    // 启动消息处理
-    this.startProcessing();
-  }
-  
-  /**
-   * 发布消息
-   * @param {string} topic - 主题
-   * @param {object} message - 消息内容
-   */
-  async publish(topic, message) {
-    const timestamp = new Date().toISOString();
-    const id = `msg-${Date.now()}-${Math.round(Math.random() * 1000)}`;
-    
-    this.messages.push({
-      id,
-      topic,
-      message,
-      timestamp,
-      attempts: 0
+function getSharedBus() {
+  if (!sharedBus) {
+    sharedBus = createMessageBus({
+      transport: createTransport({ type: config.MESSAGE_TRANSPORT, url: config.RABBITMQ_URL }),
+      serviceName: config.APP_ID,
+      exchange: config.MQ_EXCHANGE,
+      schemas: MESSAGE_SCHEMAS,
+      retry: { maxAttempts: config.MQ_MAX_ATTEMPTS, baseDelay: config.MQ_RETRY_DELAY },
+      requestTimeout: config.MQ_REQUEST_TIMEOUT
     });
-    
-    console.log(`[MemoryMQ] 消息已发布到主题: ${topic}`);
-    return { id, status: 'queued' };
-  }
-  
-  /**
-   * 订阅主题
-   * @param {string} topic - 主题名称
-   * @param {Function} handler - 处理函数
-   */
-  subscribe(topic, handler) {
-    if (!this.handlers.has(topic)) {
-      this.handlers.set(topic, []);
-    }
-    
-    this.handlers.get(topic).push(handler);
-    console.log(`[MemoryMQ] 已订阅主题: ${topic}`);
-  }
-  
-  /**
-   * 启动消息处理
-   */
-  startProcessing() {
-    if (this.processInterval) {
-      clearInterval(this.processInterval);
-    }
-    
-    this.processInterval = setInterval(() => {
-      this.processMessages();
-    }, 500);
-  }
-  
-  /**
-   * 处理队列中的消息
-   */
-  async processMessages() {
-    if (this.messages.length === 0) return;
-    
-    const message = this.messages.shift();
-    const handlers = this.handlers.get(message.topic) || [];
-    
-    if (handlers.length === 0) {
-      // 如果没有处理程序，且尝试次数少于最大次数，则重新加入队列
-      if (message.attempts < 3) {
-        message.attempts += 1;
-        this.messages.push(message);
-      } else {
-        console.warn(`[MemoryMQ] 消息无法处理，已丢弃: ${message.topic}`);
-      }
-      return;
-    }
-    
-    // 调用所有处理程序
-    for (const handler of handlers) {
-      try {
-        await handler(message.message);
-      } catch (error) {
-        console.error(`[MemoryMQ] 处理消息时出错:`, error);
-      }
-    }
-  }
-  
-  /**
-   * 停止消息处理
-   */
-  stop() {
-    if (this.processInterval) {
-      clearInterval(this.processInterval);
-      this.processInterval = null;
-    }
   }
+  return sharedBus;
 }
 
 /**
  * 消息队列服务 - 提供消息发布和订阅功能
+ * 基于共享消息层（@ibuddy2/messaging）：失败的消息按指数退避重试，
+ * 超过次数后进入死信队列；重复投递的消息按幂等键只处理一次。
+ * 开发/测试环境设置 MESSAGE_TRANSPORT=memory 使用内存传输。
  */
 class MessageQueueService {
   constructor() {
-    this.connection = null;
-    this.channel = null;
+    this.bus = getSharedBus();
     this.exchange = config.MQ_EXCHANGE;
-    this.connected = false;
     this.lastError = null;
     this.subscriptions = new Map();
-    
-    // 内存消息队列（用于开发/测试或故障转移）
-    this.memoryMQ = new MemoryMessageQueue();
-    
-    // 建立连接
-    this._connect()
+
+    // 建立连接（连接断开后传输层自动重连并恢复订阅）
+    this.bus.connect()
       .then(() => console.log('RabbitMQ连接已建立'))
       .catch(error => {
+        this.lastError = error;
         console.error('RabbitMQ连接失败:', error.message);
-        console.warn('使用内存消息队列作为备用');
-        this.connected = false;
       });
   }
-  
+
   /**
-   * 初始化连接
-   * @private
+   * 是否已连接
+   * @returns {boolean}
    */
-  async _connect() {
-    if (this.connected) return;
-    
-    try {
-      // 连接RabbitMQ
-      this.connection = await amqp.connect(config.RABBITMQ_URL);
-      
-      // 创建通道
-      this.channel = await this.connection.createChannel();
-      
-      // 声明交换机
-      await this.channel.assertExchange(this.exchange, 'topic', {
-        durable: true
-      });
-      
-      // 设置连接事件处理
-      this.connection.on('error', err => {
-        this.lastError = err;
-        this.connected = false;
-        console.error('RabbitMQ连接错误:', err);
-      });
-      
-      this.connection.on('close', () => {
-        this.connected = false;
-        console.warn('RabbitMQ连接已关闭，尝试重新连接...');
-        
-        // 重新连接
-        setTimeout(() => this._connect(), 5000);
-      });
-      
-      this.connected = true;
-      console.log('已连接到RabbitMQ');
-      
-      // 重新订阅之前的主题
-      if (this.subscriptions.size > 0) {
-        for (const [pattern, callback] of this.subscriptions.entries()) {
-          await this._subscribe(pattern, callback);
-        }
-      }
-    } catch (err) {
-      this.lastError = err;
-      console.error('连接RabbitMQ失败:', err);
-      
-      // 连接失败后重试
-      setTimeout(() => this._connect(), 5000);
-    }
+  get connected() {
+    return this.bus.isConnected();
   }
-  
-  /**
-   * 内部订阅方法
-   * @private
-   */
-  async _subscribe(pattern, callback) {
-    try {
-      if (!this.connected) {
-        await this._connect();
-      }
-      
-      // 为每个订阅创建一个唯一的队列
-      const { queue } = await this.channel.assertQueue('', {
-        exclusive: true,
-        autoDelete: true
-      });
-      
-      // 将队列绑定到交换机，使用主题模式
-      await this.channel.bindQueue(queue, this.exchange, pattern);
-      
-      // 设置消费者
-      await this.channel.consume(queue, async (msg) => {
-        if (!msg) return;
-        
-        try {
-          // 解析消息内容
-          const content = JSON.parse(msg.content.toString());
-          
-          // 添加元数据
-          content._meta = {
-            messageId: msg.properties.messageId,
-            timestamp: new Date(parseInt(msg.properties.timestamp)),
-            routingKey: msg.fields.routingKey,
-            pattern
-          };
-          
-          // 调用回调处理消息
-          await callback(content);
-          
-          // 确认消息已处理
-          this.channel.ack(msg);
-        } catch (err) {
-          console.error(`处理消息错误 (${pattern}):`, err);
-          
-          // 根据需要选择是拒绝还是重新入队
-          this.channel.nack(msg, false, false);
-        }
-      });
-      
-      console.log(`已订阅主题: ${pattern}`);
-      
-      // 保存订阅信息
-      this.subscriptions.set(pattern, callback);
-      
-      return true;
-    } catch (err) {
-      console.error(`订阅主题错误 (${pattern}):`, err);
-      return false;
-    }
-  }
-  
+
   /**
    * 发布消息到主题
    * @param {string} topic - 主题
    * @param {object} message - 消息对象
+   * @param {object} options - 发送选项（idempotencyKey、headers）
    * @returns {Promise<boolean>} 是否成功
    */
-  async publish(topic, message) {
+  async publish(topic, message, options = {}) {
     try {
-      if (!this.connected) {
-        await this._connect();
-      }
-      
-      // 准备消息属性
-      const options = {
-        persistent: true,
-        messageId: uuidv4(),
-        timestamp: Date.now(),
-        contentType: 'application/json'
-      };
-      
-      // 发布消息
-      const result = this.channel.publish(
-        this.exchange,
-        topic,
-        Buffer.from(JSON.stringify(message)),
-        options
-      );
-      
-      return result;
+      await this.bus.publish(topic, message, options);
+      return true;
     } catch (err) {
+      this.lastError = err;
       console.error(`发布消息错误 (${topic}):`, err);
       return false;
     }
   }
-  
+
+  /**
+   * 发送请求并等待响应（如请求AI服务的 'ai.request' 队列）
+   * @param {string} queue - 队列名称
+   * @param {object} message - 请求内容
+   * @param {object} options - 请求选项（timeout、idempotencyKey）
+   * @returns {Promise<*>} 响应数据，超时或对方处理失败时抛出MessagingError
+   */
+  async request(queue, message, options = {}) {
+    return this.bus.request(queue, message, options);
+  }
+
   /**
    * 订阅主题
+   * 回调抛出错误时消息会被重试，最后进入死信队列
    * @param {string} pattern - 主题模式
-   * @param {function} callback - 回调函数，接收消息内容
+   * @param {function} callback - 回调函数，接收消息内容（含 _meta 元数据）
    * @returns {Promise<boolean>} 是否成功
    */
   async subscribe(pattern, callback) {
     if (!pattern || typeof callback !== 'function') {
       throw new Error('无效的订阅参数');
     }
-    
-    return this._subscribe(pattern, callback);
+
+    try {
+      const { consumerTag } = await this.bus.subscribe(pattern, async (content, context) => {
+        // 添加元数据
+        content._meta = {
+          messageId: context.messageId,
+          timestamp: new Date(parseInt(context.timestamp)),
+          routingKey: context.topic,
+          attempt: context.attempt,
+          pattern
+        };
+
+        await callback(content);
+      });
+
+      console.log(`已订阅主题: ${pattern}`);
+
+      // 保存订阅信息
+      this.subscriptions.set(pattern, consumerTag);
+
+      return true;
+    } catch (err) {
+      this.lastError = err;
+      console.error(`订阅主题错误 (${pattern}):`, err);
+      return false;
+    }
   }
-  
+
   /**
    * 取消订阅
    * @param {string} pattern - 主题模式
@@ -300,31 +130,32 @@ class MessageQueueService {
       if (!this.subscriptions.has(pattern)) {
         return true;
       }
-      
-      // 从订阅Map中移除
+
+      await this.bus.cancel(this.subscriptions.get(pattern));
       this.subscriptions.delete(pattern);
-      
+
       console.log(`已取消订阅主题: ${pattern}`);
-      
+
       return true;
     } catch (err) {
       console.error(`取消订阅错误 (${pattern}):`, err);
       return false;
     }
   }
-  
+
   /**
    * 执行消息队列健康检查
    */
   async healthCheck() {
     try {
       if (!this.connected) {
-        await this._connect();
+        await this.bus.connect();
       }
-      
+
       return {
         status: this.connected ? 'healthy' : 'unhealthy',
         message: this.connected ? 'RabbitMQ连接正常' : '未连接到RabbitMQ',
+        transport: this.bus.transport.name,
         subscriptions: this.subscriptions.size,
         timestamp: new Date().toISOString()
       };
@@ -336,23 +167,19 @@ class MessageQueueService {
       };
     }
   }
-  
+
   /**
    * 关闭连接
    */
   async close() {
     try {
-      if (this.channel) {
-        await this.channel.close();
-      }
-      
-      if (this.connection) {
-        await this.connection.close();
+      if (sharedBus === this.bus) {
+        sharedBus = null;
       }
-      
-      this.connected = false;
+      await this.bus.close();
+
       console.log('RabbitMQ连接已关闭');
-      
+
       return true;
     } catch (err) {
       console.error('关闭RabbitMQ连接错误:', err);
@@ -361,4 +188,4 @@ class MessageQueueService {
   }
 }
 
-module.exports = { MessageQueueService }; 
\ No newline at end of file
+module.exports = { MessageQueueService };